@@ -0,0 +1,213 @@
+// Generates src/modules/countryBoundaries.js from the Natural Earth 1:10m Admin 0 countries
+// (public domain, redistributed as TopoJSON by the world-atlas package).
+// Usage: npm run build:boundaries
+//
+// Borders are simplified once per shared TopoJSON arc, so neighbouring countries keep exactly
+// the same line, and small islands keep at least a triangle.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { feature } from 'topojson-client';
+
+const require = createRequire(import.meta.url);
+const OUTPUT_FILE = new URL('../src/modules/countryBoundaries.js', import.meta.url);
+
+const TOLERANCE_KM = 0.3; // Douglas-Peucker tolerance, below the accuracy of the 1:10m data
+const DECIMALS = 3; // About 100 m, finer than the data's quantization grid
+const EUROPE_BOUNDS = { minLng: -32, maxLng: 45, minLat: 27, maxLat: 72 }; // Drops overseas territories
+
+// Countries with balcony solar rules in reach: EU, EFTA, UK and the Western Balkans.
+// `sources` lists the Natural Earth ids (ISO 3166-1 numeric) or names merged into the country.
+// Enclaved microstates come first. Vatican City is missing: the quantized data reduces it to
+// a line, so the lookup answers Italy there and leaves the country to the Geocoder.
+const COUNTRIES = [
+  { code: 'SM', name: 'San Marino', sources: ['674'] },
+  { code: 'MC', name: 'Monaco', sources: ['492'] },
+  { code: 'LI', name: 'Liechtenstein', sources: ['438'] },
+  { code: 'AD', name: 'Andorra', sources: ['020'] },
+  { code: 'GI', name: 'Gibraltar', sources: ['292'] },
+  { code: 'LU', name: 'Luxembourg', sources: ['442'] },
+  { code: 'MT', name: 'Malta', sources: ['470'] },
+  { code: 'DE', name: 'Germany', sources: ['276'] },
+  { code: 'NL', name: 'Netherlands', sources: ['528'] },
+  { code: 'BE', name: 'Belgium', sources: ['056'] },
+  { code: 'FR', name: 'France', sources: ['250'] },
+  { code: 'CH', name: 'Switzerland', sources: ['756'] },
+  { code: 'AT', name: 'Austria', sources: ['040'] },
+  { code: 'IT', name: 'Italy', sources: ['380'] },
+  { code: 'ES', name: 'Spain', sources: ['724'] },
+  { code: 'PT', name: 'Portugal', sources: ['620'] },
+  { code: 'IE', name: 'Ireland', sources: ['372'] },
+  { code: 'GB', name: 'United Kingdom', sources: ['826'] },
+  { code: 'IS', name: 'Iceland', sources: ['352'] },
+  { code: 'DK', name: 'Denmark', sources: ['208'] },
+  { code: 'NO', name: 'Norway', sources: ['578'] },
+  { code: 'SE', name: 'Sweden', sources: ['752'] },
+  { code: 'FI', name: 'Finland', sources: ['246', '248'] }, // With the Åland Islands
+  { code: 'EE', name: 'Estonia', sources: ['233'] },
+  { code: 'LV', name: 'Latvia', sources: ['428'] },
+  { code: 'LT', name: 'Lithuania', sources: ['440'] },
+  { code: 'PL', name: 'Poland', sources: ['616'] },
+  { code: 'CZ', name: 'Czechia', sources: ['203'] },
+  { code: 'SK', name: 'Slovakia', sources: ['703'] },
+  { code: 'HU', name: 'Hungary', sources: ['348'] },
+  { code: 'SI', name: 'Slovenia', sources: ['705'] },
+  { code: 'HR', name: 'Croatia', sources: ['191'] },
+  { code: 'BA', name: 'Bosnia and Herzegovina', sources: ['070'] },
+  { code: 'RS', name: 'Serbia', sources: ['688'] },
+  { code: 'XK', name: 'Kosovo', sources: ['Kosovo'] },
+  { code: 'ME', name: 'Montenegro', sources: ['499'] },
+  { code: 'AL', name: 'Albania', sources: ['008'] },
+  { code: 'MK', name: 'North Macedonia', sources: ['807'] },
+  { code: 'BG', name: 'Bulgaria', sources: ['100'] },
+  { code: 'RO', name: 'Romania', sources: ['642'] },
+  { code: 'GR', name: 'Greece', sources: ['300'] },
+  { code: 'CY', name: 'Cyprus', sources: ['196', 'N. Cyprus', 'Cyprus U.N. Buffer Zone'] }
+];
+
+/**
+ * Decode the delta-encoded, quantized arcs to [longitude, latitude] points
+ */
+function decodeArcs(topology) {
+  const { scale, translate } = topology.transform;
+  return topology.arcs.map(arc => {
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return [x * scale[0] + translate[0], y * scale[1] + translate[1]];
+    });
+  });
+}
+
+/**
+ * Distance in km from a point to a segment, on a local equirectangular projection
+ */
+function segmentDistanceKm([lng, lat], [lngA, latA], [lngB, latB]) {
+  const kmPerDegreeLng = 111.32 * Math.cos(lat * Math.PI / 180);
+  const kmPerDegreeLat = 110.574;
+  const px = (lng - lngA) * kmPerDegreeLng;
+  const py = (lat - latA) * kmPerDegreeLat;
+  const dx = (lngB - lngA) * kmPerDegreeLng;
+  const dy = (latB - latA) * kmPerDegreeLat;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSquared)) : 0;
+  return Math.hypot(px - t * dx, py - t * dy);
+}
+
+/**
+ * Douglas-Peucker simplification; returns the indices of the points to keep
+ */
+function simplifyIndices(points, first, last, keep) {
+  let maxDistance = 0;
+  let farthest = -1;
+  for (let i = first + 1; i < last; i++) {
+    const distance = segmentDistanceKm(points[i], points[first], points[last]);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      farthest = i;
+    }
+  }
+
+  if (farthest !== -1 && maxDistance > TOLERANCE_KM) {
+    keep.add(farthest);
+    simplifyIndices(points, first, farthest, keep);
+    simplifyIndices(points, farthest, last, keep);
+  }
+}
+
+function simplifyArc(points) {
+  if (points.length <= 2) return points;
+
+  const last = points.length - 1;
+  const keep = new Set([0, last]);
+  const isClosed = points[0][0] === points[last][0] && points[0][1] === points[last][1];
+
+  if (isClosed) {
+    // A closed arc (an island) has no segment to measure against; split it at its farthest point
+    const distances = points.map(point => segmentDistanceKm(point, points[0], points[0]));
+    const farthest = distances.indexOf(Math.max(...distances));
+    keep.add(farthest);
+    simplifyIndices(points, 0, farthest, keep);
+    simplifyIndices(points, farthest, last, keep);
+
+    // Keep small islands as a triangle at least
+    if (keep.size < 4) {
+      const middle = Math.round((farthest + (farthest < last / 2 ? last : 0)) / 2);
+      keep.add(Math.min(last - 1, Math.max(1, middle)));
+    }
+  } else {
+    simplifyIndices(points, 0, last, keep);
+  }
+
+  return [...keep].sort((a, b) => a - b).map(index => points[index]);
+}
+
+function roundPoint([lng, lat]) {
+  const factor = 10 ** DECIMALS;
+  return [Math.round(lng * factor) / factor, Math.round(lat * factor) / factor];
+}
+
+function isInEurope(polygon) {
+  const [lng, lat] = polygon[0][0];
+  return lng >= EUROPE_BOUNDS.minLng && lng <= EUROPE_BOUNDS.maxLng &&
+    lat >= EUROPE_BOUNDS.minLat && lat <= EUROPE_BOUNDS.maxLat;
+}
+
+/**
+ * Rings without repeated points; the closing point is implied
+ */
+function cleanRing(ring) {
+  const points = ring.map(roundPoint).filter((point, index, all) =>
+    index === 0 || point[0] !== all[index - 1][0] || point[1] !== all[index - 1][1]);
+  if (points.length > 1 && points[0][0] === points.at(-1)[0] && points[0][1] === points.at(-1)[1]) points.pop();
+  return points;
+}
+
+function formatCountry({ code, name, polygons }) {
+  const lines = polygons.map(polygon => `    ${JSON.stringify(polygon).replace(/,/g, ', ')}`);
+  return `  { code: '${code}', name: '${name}', polygons: [\n${lines.join(',\n')}\n  ] }`;
+}
+
+async function main() {
+  const topology = JSON.parse(await readFile(require.resolve('world-atlas/countries-10m.json'), 'utf8'));
+  const simplified = {
+    type: 'Topology',
+    objects: topology.objects,
+    arcs: decodeArcs(topology).map(simplifyArc)
+  };
+  const features = feature(simplified, simplified.objects.countries).features;
+
+  let pointCount = 0;
+  const countries = COUNTRIES.map(({ code, name, sources }) => {
+    const polygons = features
+      .filter(country => sources.includes(country.id) || sources.includes(country.properties.name))
+      .flatMap(country => country.geometry.type === 'Polygon' ? [country.geometry.coordinates] : country.geometry.coordinates)
+      .filter(isInEurope)
+      .map(polygon => polygon.map(cleanRing).filter(ring => ring.length >= 3))
+      .filter(polygon => polygon.length > 0);
+
+    if (polygons.length === 0) throw new Error(`No boundary found for ${name}`);
+    pointCount += polygons.flat(2).length;
+    return { code, name, polygons };
+  });
+
+  const source = `/**
+ * Country boundaries for the offline country lookup
+ * Generated by scripts/buildCountryBoundaries.js from the Natural Earth 1:10m Admin 0
+ * countries (public domain, https://www.naturalearthdata.com); do not edit by hand.
+ * Borders are simplified to ${TOLERANCE_KM * 1000} m and accurate to about 1 km, so the lookup
+ * leaves points close to a border or the coast to the Google Geocoder (see countryLookup.js).
+ * Each polygon is a list of [longitude, latitude] rings: the outline first, then its holes.
+ */
+export const COUNTRY_BOUNDARIES = [
+${countries.map(formatCountry).join(',\n')}
+];
+`;
+
+  await writeFile(OUTPUT_FILE, source);
+  console.log(`Wrote ${countries.length} countries with ${pointCount} points to ${OUTPUT_FILE.pathname}`);
+}
+
+main();
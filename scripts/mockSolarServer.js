@@ -0,0 +1,207 @@
+// Local mock of the Google Solar API for testing without an API key
+// Serves buildingInsights, dataLayers and synthetic GeoTIFF layers around the requested location.
+// Usage: npm run mock:solar, then set VITE_SOLAR_API_BASE_URL=http://localhost:8787/v1
+
+import { createServer } from 'node:http';
+import { writeArrayBuffer } from 'geotiff';
+import { latLngToUtm } from '../src/modules/geoTiffLayer.js';
+
+const PORT = parseInt(process.env.MOCK_SOLAR_PORT) || 8787;
+const PIXEL_SIZE_M = 0.5;
+const GROUND_HEIGHT_M = 100;
+const BUILDING_HEIGHT_M = 15;
+const BUILDING_HALF_SIZE_M = 10; // A 20 m × 20 m building in the middle of the layer
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Synthetic annual flux (kWh/kW/year) and DSM for a square area centred on the location:
+ * a sunny flat roof, a darker strip north of the building (its own shadow) and open ground
+ */
+function buildLayers(radiusMeters) {
+  const size = Math.ceil((2 * radiusMeters) / PIXEL_SIZE_M);
+  const flux = new Float32Array(size * size);
+  const dsm = new Float32Array(size * size);
+
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      const x = (column + 0.5) * PIXEL_SIZE_M - radiusMeters; // metres east of the centre
+      const y = radiusMeters - (row + 0.5) * PIXEL_SIZE_M; // metres north of the centre
+      const index = row * size + column;
+      const onBuilding = Math.abs(x) <= BUILDING_HALF_SIZE_M && Math.abs(y) <= BUILDING_HALF_SIZE_M;
+      const northShadow = Math.abs(x) <= BUILDING_HALF_SIZE_M && y > BUILDING_HALF_SIZE_M && y < BUILDING_HALF_SIZE_M + 12;
+
+      dsm[index] = GROUND_HEIGHT_M + (onBuilding ? BUILDING_HEIGHT_M : 0);
+      flux[index] = onBuilding ? 1150 : northShadow ? 650 : 980;
+    }
+  }
+
+  return { size, flux, dsm };
+}
+
+/**
+ * Synthetic monthly flux: the annual flux split over the months, more in summer than in winter
+ * Bands are interleaved per pixel, as expected by writeArrayBuffer
+ */
+function buildMonthlyFlux(annualFlux, lat) {
+  const summerMonth = lat >= 0 ? 5.5 : 11.5;
+  const weights = DAYS_IN_MONTH.map((_, month) => 1 + 0.7 * Math.cos(2 * Math.PI * (month - summerMonth) / 12));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const monthly = new Float32Array(annualFlux.length * 12);
+
+  annualFlux.forEach((flux, index) => {
+    weights.forEach((weight, month) => {
+      monthly[index * 12 + month] = flux * weight / totalWeight;
+    });
+  });
+
+  return monthly;
+}
+
+function getSunPosition(lat, dayOfYear, solarHour) {
+  const declination = 23.45 * Math.sin(2 * Math.PI * (284 + dayOfYear) / 365) * Math.PI / 180;
+  const latRad = lat * Math.PI / 180;
+  const hourAngle = (solarHour - 12) * 15 * Math.PI / 180;
+  const sinElevation = Math.sin(latRad) * Math.sin(declination) + Math.cos(latRad) * Math.cos(declination) * Math.cos(hourAngle);
+  const elevation = Math.asin(sinElevation);
+  const cosAzimuth = (Math.sin(declination) * Math.cos(latRad) - Math.cos(declination) * Math.sin(latRad) * Math.cos(hourAngle)) / Math.cos(elevation);
+  let azimuth = Math.acos(Math.max(-1, Math.min(1, cosAzimuth))) * 180 / Math.PI;
+  if (hourAngle > 0) azimuth = 360 - azimuth;
+
+  return { elevation: elevation * 180 / Math.PI, azimuth };
+}
+
+/**
+ * Synthetic hourly shade for one month: 24 bands of day bitmasks in local standard time
+ * Pixels in the strip north of the building lose the sun while it is low in the south
+ */
+function buildHourlyShade(radiusMeters, lat, lng, month) {
+  const size = Math.ceil((2 * radiusMeters) / PIXEL_SIZE_M);
+  const shade = new Uint32Array(size * size * 24); // The real layers are Int32, but geotiff writes Int32 bands incorrectly
+  const firstDay = DAYS_IN_MONTH.slice(0, month).reduce((sum, days) => sum + days, 0) + 1;
+  const masks = new Map(); // Distance behind the building (or -1 for a free view) -> 24 masks
+  const solarTimeOffset = lng / 15 - Math.round(lng / 15); // Solar time minus the zone's standard time
+
+  const getMasks = (distanceM) => {
+    if (masks.has(distanceM)) return masks.get(distanceM);
+
+    const hourMasks = Array.from({ length: 24 }, (_, clockHour) => {
+      let mask = 0;
+      for (let day = 0; day < DAYS_IN_MONTH[month]; day++) {
+        const sun = getSunPosition(lat, firstDay + day, clockHour + 0.5 + solarTimeOffset);
+        const blocked = distanceM >= 0 && sun.azimuth > 90 && sun.azimuth < 270 &&
+          sun.elevation < Math.atan2(BUILDING_HEIGHT_M, distanceM) * 180 / Math.PI;
+        if (sun.elevation > 0 && !blocked) mask |= 1 << day;
+      }
+      return mask;
+    });
+
+    masks.set(distanceM, hourMasks);
+    return hourMasks;
+  };
+
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      const x = (column + 0.5) * PIXEL_SIZE_M - radiusMeters;
+      const y = radiusMeters - (row + 0.5) * PIXEL_SIZE_M;
+      const behindBuilding = Math.abs(x) <= BUILDING_HALF_SIZE_M && y > BUILDING_HALF_SIZE_M;
+      const hourMasks = getMasks(behindBuilding ? y - BUILDING_HALF_SIZE_M : -1);
+      hourMasks.forEach((mask, hour) => { shade[(row * size + column) * 24 + hour] = mask; });
+    }
+  }
+
+  return shade;
+}
+
+function encodeGeoTiff(values, size, lat, lng, radiusMeters) {
+  const zone = Math.floor((lng + 180) / 6) + 1;
+  const { easting, northing } = latLngToUtm(lat, lng, zone);
+
+  return writeArrayBuffer(values, {
+    width: size,
+    height: size,
+    ModelPixelScale: [PIXEL_SIZE_M, PIXEL_SIZE_M, 0],
+    ModelTiepoint: [0, 0, 0, easting - radiusMeters, northing + radiusMeters, 0],
+    GTModelTypeGeoKey: 1,
+    ProjectedCSTypeGeoKey: (lat >= 0 ? 32600 : 32700) + zone,
+    GDAL_NODATA: '-9999'
+  });
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  response.end(JSON.stringify(body));
+}
+
+function handleBuildingInsights(url, response) {
+  const lat = parseFloat(url.searchParams.get('location.latitude'));
+  const lng = parseFloat(url.searchParams.get('location.longitude'));
+
+  sendJson(response, 200, {
+    name: 'buildings/mock',
+    center: { latitude: lat, longitude: lng },
+    imageryQuality: 'HIGH',
+    solarPotential: {
+      carbonOffsetFactorKgPerMwh: 401,
+      roofSegmentStats: [
+        { panelsCount: 20, yearlyEnergyDcKwh: 8000, stats: { sunshineQuantiles: [600, 800, 900, 1000, 1100, 1150, 1180] } }
+      ]
+    }
+  });
+}
+
+function handleDataLayers(url, response) {
+  const lat = url.searchParams.get('location.latitude');
+  const lng = url.searchParams.get('location.longitude');
+  const radius = url.searchParams.get('radiusMeters') || '50';
+  const layerUrl = (id) => `http://localhost:${PORT}/v1/geoTiff:get?id=${id}&lat=${lat}&lng=${lng}&radius=${radius}`;
+
+  sendJson(response, 200, {
+    imageryDate: { year: 2024, month: 6, day: 1 },
+    imageryQuality: 'HIGH',
+    dsmUrl: layerUrl('dsm'),
+    annualFluxUrl: layerUrl('annualFlux'),
+    monthlyFluxUrl: layerUrl('monthlyFlux'),
+    hourlyShadeUrls: DAYS_IN_MONTH.map((_, month) => layerUrl(`hourlyShade${month + 1}`))
+  });
+}
+
+function handleGeoTiff(url, response) {
+  const id = url.searchParams.get('id');
+  const lat = parseFloat(url.searchParams.get('lat'));
+  const lng = parseFloat(url.searchParams.get('lng'));
+  const radiusMeters = parseFloat(url.searchParams.get('radius')) || 50;
+  const layers = buildLayers(radiusMeters);
+  const shadeMonth = id?.match(/^hourlyShade(\d+)$/)?.[1];
+  let values;
+  if (id === 'dsm') values = layers.dsm;
+  else if (id === 'annualFlux') values = layers.flux;
+  else if (id === 'monthlyFlux') values = buildMonthlyFlux(layers.flux, lat);
+  else if (shadeMonth >= 1 && shadeMonth <= 12) values = buildHourlyShade(radiusMeters, lat, lng, shadeMonth - 1);
+
+  if (!values || isNaN(lat) || isNaN(lng)) {
+    sendJson(response, 404, { error: { code: 404, message: `Unknown layer ${id}` } });
+    return;
+  }
+
+  response.writeHead(200, { 'Content-Type': 'image/tiff', 'Access-Control-Allow-Origin': '*' });
+  response.end(Buffer.from(encodeGeoTiff(values, layers.size, lat, lng, radiusMeters)));
+}
+
+const server = createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${PORT}`);
+  console.log(request.method, url.pathname, url.searchParams.get('id') || '');
+
+  if (url.pathname === '/v1/buildingInsights:findClosest') {
+    handleBuildingInsights(url, response);
+  } else if (url.pathname === '/v1/dataLayers:get') {
+    handleDataLayers(url, response);
+  } else if (url.pathname === '/v1/geoTiff:get') {
+    handleGeoTiff(url, response);
+  } else {
+    sendJson(response, 404, { error: { code: 404, message: 'Not found' } });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`☀️ Mock Solar API running at http://localhost:${PORT}/v1`);
+});
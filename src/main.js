@@ -5,13 +5,26 @@ import { MapOverlayService } from './mapOverlay.js'
 import { MapController } from './modules/mapController.js'
 import { LocationController } from './modules/locationController.js'
 import { PanelController } from './modules/panelController.js'
+import { PanelModuleLibrary } from './modules/panelModules.js'
 import { SolarCalculator } from './modules/solarCalculator.js'
+import { ShadingModel } from './modules/shadingModel.js'
+import { ShadingController } from './modules/shadingController.js'
+import { SelfConsumptionCalculator } from './modules/selfConsumptionCalculator.js'
+import { EconomicsCalculator } from './modules/economicsCalculator.js'
+import { LoadProfileImporter } from './modules/loadProfileImporter.js'
+import { TmyImporter } from './modules/tmyWeatherData.js'
+import { PriceSeriesImporter } from './modules/electricityTariffs.js'
 import { UIController } from './modules/uiController.js'
+import { ProjectLink } from './modules/projectLink.js'
+import { ProjectStore } from './modules/projectStore.js'
+import { ProjectController } from './modules/projectController.js'
+import { findBoundaryMismatches } from './modules/countryLookup.js'
 
 // Configuration from environment variables
 const CONFIG = {
   GOOGLE_MAPS_API_KEY: import.meta.env.VITE_GOOGLE_MAPS_API_KEY,
   SOLAR_API_KEY: import.meta.env.VITE_SOLAR_API_KEY,
+  SOLAR_API_BASE_URL: import.meta.env.VITE_SOLAR_API_BASE_URL || 'https://solar.googleapis.com/v1',
   DEFAULT_CENTER: { 
     lat: parseFloat(import.meta.env.VITE_DEFAULT_LAT) || 49.9929, 
     lng: parseFloat(import.meta.env.VITE_DEFAULT_LNG) || 8.2473 
@@ -20,6 +33,13 @@ const CONFIG = {
   USE_MOCK_SOLAR_DATA: import.meta.env.VITE_USE_MOCK_SOLAR_DATA === 'true'
 };
 
+// Catch regenerated country boundaries that lose a border town or island
+if (import.meta.env.DEV) {
+  findBoundaryMismatches().forEach(({ name, code, found }) => {
+    console.warn(`Country boundaries: ${name} resolves to ${found}, expected ${code}`);
+  });
+}
+
 // Validate required environment variables
 if (!CONFIG.GOOGLE_MAPS_API_KEY) {
   console.error('❌ Missing VITE_GOOGLE_MAPS_API_KEY in environment variables');
@@ -44,8 +64,16 @@ class SolarMapApp {
     this.mapController = null;
     this.locationController = null;
     this.panelController = null;
+    this.panelModuleLibrary = null;
+    this.shadingController = null;
     this.solarCalculator = null;
+    this.selfConsumptionCalculator = null;
+    this.loadProfileImporter = null;
+    this.tmyImporter = null;
+    this.economicsCalculator = null;
     this.uiController = null;
+    this.projectLink = null;
+    this.projectController = null;
     
     // Services
     this.solarAPI = null;
@@ -66,6 +94,9 @@ class SolarMapApp {
       if (this.uiController) {
         this.uiController.showStep(1);
       }
+      
+      // Links shared from the results open straight into the analysis
+      await this.projectLink.restoreFromUrl();
     } catch (error) {
       console.error('Failed to initialize app:', error);
       this.showError('Failed to load Google Maps. Please check your API key and internet connection.');
@@ -126,16 +157,26 @@ class SolarMapApp {
   }
 
   initializeServices() {
-    this.solarAPI = new SolarAPIService(CONFIG.SOLAR_API_KEY);
+    this.solarAPI = new SolarAPIService(CONFIG.SOLAR_API_KEY, CONFIG.SOLAR_API_BASE_URL);
     this.mapOverlay = new MapOverlayService(this.map);
   }
 
   initializeControllers() {
     this.mapController = new MapController(this.map);
     this.locationController = new LocationController(this.map, this);
+    this.panelModuleLibrary = new PanelModuleLibrary();
     this.panelController = new PanelController(this.map, this);
-    this.solarCalculator = new SolarCalculator(this.solarAPI);
+    this.shadingModel = new ShadingModel();
+    this.shadingController = new ShadingController(this.map, this, this.shadingModel);
+    this.solarCalculator = new SolarCalculator(this.solarAPI, this.shadingModel);
+    this.selfConsumptionCalculator = new SelfConsumptionCalculator();
+    this.loadProfileImporter = new LoadProfileImporter();
+    this.tmyImporter = new TmyImporter();
+    this.priceSeriesImporter = new PriceSeriesImporter();
+    this.economicsCalculator = new EconomicsCalculator();
     this.uiController = new UIController(this);
+    this.projectLink = new ProjectLink(this);
+    this.projectController = new ProjectController(this, new ProjectStore());
     
     // Ensure satellite view is enforced from the start
     if (this.mapController) {
@@ -150,6 +191,8 @@ class SolarMapApp {
         this.locationController.selectLocation(event.latLng);
       } else if (this.currentStep === 2) {
         this.panelController.handleLineDrawing(event.latLng);
+      } else if (this.currentStep === 3 && this.shadingController.isDrawingObstacle) {
+        this.shadingController.addObstaclePoint(event.latLng);
       }
     });
 
@@ -158,11 +201,37 @@ class SolarMapApp {
     this.mapController.setupEventListeners();
     this.locationController.setupEventListeners();
     this.panelController.setupEventListeners();
+    this.shadingController.setupEventListeners();
+    this.projectController.setupEventListeners();
   }
 
   // Public methods for controllers to communicate
-  setSelectedLocation(location) {
-    this.selectedLocation = location;
+  setSelectedLocation(location, address = null) {
+    this.selectedLocation = { ...location, address };
+    this.updateRegulations();
+  }
+
+  /**
+   * Store the reverse-geocoded country of the selected location
+   */
+  setLocationCountry(countryCode, countryName = null) {
+    if (!this.selectedLocation) return;
+    
+    this.selectedLocation.countryCode = countryCode;
+    this.selectedLocation.countryName = countryName;
+    console.log('Location country:', countryCode, countryName);
+    this.updateRegulations();
+  }
+
+  /**
+   * Apply the regulation profile of the selected location to the panel limits
+   */
+  updateRegulations() {
+    if (!this.selectedLocation || !this.solarCalculator || !this.panelController) return;
+    
+    const { lat, lng, countryCode } = this.selectedLocation;
+    const regulations = this.solarCalculator.getRegionalSolarRegulations(lat, lng, countryCode);
+    this.panelController.setMaxSystemWattage(regulations.maxPanelCapacityW);
   }
 
   setCurrentSolarData(data) {
@@ -0,0 +1,62 @@
+/**
+ * CellTemperatureModel - Hourly cell temperature and the resulting power loss
+ * Cell temperature follows the Sandia module temperature model (King et al. 2004): the
+ * panels heat up with the irradiance on their plane, and less so when air can flow behind
+ * them. Output changes by the module's power temperature coefficient per °C away from 25 °C.
+ */
+
+// Sandia coefficients per mounting type: module temperature = E·exp(a + b·wind) + ambient, cell = module + E/1000·ΔT
+// rearExposure: share of the back hemisphere light that reaches bifacial panels (the balcony and
+// facade behind a railing block part of it, a wall all of it)
+export const MOUNTING_TYPES = {
+  railing: { label: 'Railing / open rack', a: -3.56, b: -0.075, deltaT: 3, rearExposure: 0.6 },
+  wall: { label: 'Wall-mounted (no rear ventilation)', a: -2.98, b: -0.0471, deltaT: 1, rearExposure: 0 }
+};
+
+export const DEFAULT_TEMPERATURE_COEFFICIENT = -0.35; // %/°C, typical for crystalline modules
+
+const REFERENCE_TEMPERATURE = 25; // °C, standard test conditions
+
+export class CellTemperatureModel {
+  constructor(options = {}) {
+    this.windSpeed = options.windSpeed ?? 1; // m/s at the panels; balconies are sheltered
+  }
+
+  /**
+   * Ambient temperature estimate when no weather file is loaded
+   * Annual mean and seasonal swing follow the latitude; the warmest hour is mid-afternoon
+   * @param {number} dayOfYear - Day of the year (1-365)
+   * @param {number} hour - Solar hour (0-23)
+   */
+  getAmbientTemperature(dayOfYear, hour, latitude = 51.0) {
+    const absLatitude = Math.abs(latitude);
+    const annualMean = 30 - 0.4 * absLatitude;
+    const seasonalSwing = Math.min(12, 0.2 * absLatitude);
+    const warmestDay = latitude >= 0 ? 200 : 17; // About a month after the summer solstice
+
+    const seasonal = seasonalSwing * Math.cos(2 * Math.PI * (dayOfYear - warmestDay) / 365);
+    const diurnal = 4 * Math.cos(2 * Math.PI * (hour - 15) / 24);
+
+    return annualMean + seasonal + diurnal;
+  }
+
+  /**
+   * Cell temperature in °C
+   * @param {number} irradiance - Irradiance reaching the panel plane (W/m²)
+   * @param {number} ambientTemperature - °C
+   * @param {string} mounting - Key of MOUNTING_TYPES
+   */
+  getCellTemperature(irradiance, ambientTemperature, mounting = 'railing') {
+    const { a, b, deltaT } = MOUNTING_TYPES[mounting] || MOUNTING_TYPES.railing;
+    const moduleTemperature = irradiance * Math.exp(a + b * this.windSpeed) + ambientTemperature;
+    return moduleTemperature + irradiance / 1000 * deltaT;
+  }
+
+  /**
+   * Power factor for a cell temperature (above 1 for cells colder than 25 °C)
+   * @param {number} temperatureCoefficient - Power temperature coefficient in %/°C (negative)
+   */
+  getTemperatureFactor(cellTemperature, temperatureCoefficient = DEFAULT_TEMPERATURE_COEFFICIENT) {
+    return Math.max(0, 1 + temperatureCoefficient / 100 * (cellTemperature - REFERENCE_TEMPERATURE));
+  }
+}
@@ -0,0 +1,626 @@
+/**
+ * Country boundaries for the offline country lookup
+ * Generated by scripts/buildCountryBoundaries.js from the Natural Earth 1:10m Admin 0
+ * countries (public domain, https://www.naturalearthdata.com); do not edit by hand.
+ * Borders are simplified to 300 m and accurate to about 1 km, so the lookup
+ * leaves points close to a border or the coast to the Google Geocoder (see countryLookup.js).
+ * Each polygon is a list of [longitude, latitude] rings: the outline first, then its holes.
+ */
+export const COUNTRY_BOUNDARIES = [
+  { code: 'SM', name: 'San Marino', polygons: [
+    [[[12.429, 43.892], [12.4, 43.904], [12.386, 43.924], [12.397, 43.949], [12.422, 43.968], [12.454, 43.98], [12.483, 43.983], [12.494, 43.956], [12.49, 43.939], [12.476, 43.92], [12.48, 43.917], [12.462, 43.895]]]
+  ] },
+  { code: 'MC', name: 'Monaco', polygons: [
+    [[[7.436, 43.743], [7.403, 43.718], [7.367, 43.723], [7.371, 43.747], [7.389, 43.758], [7.407, 43.763], [7.425, 43.755]]]
+  ] },
+  { code: 'LI', name: 'Liechtenstein', polygons: [
+    [[[9.52, 47.262], [9.545, 47.244], [9.542, 47.228], [9.563, 47.198], [9.553, 47.168], [9.581, 47.154], [9.607, 47.132], [9.617, 47.107], [9.61, 47.081], [9.581, 47.056], [9.56, 47.053], [9.477, 47.065], [9.477, 47.073], [9.513, 47.108], [9.513, 47.129], [9.484, 47.176], [9.488, 47.21]]]
+  ] },
+  { code: 'AD', name: 'Andorra', polygons: [
+    [[[1.708, 42.502], [1.687, 42.49], [1.654, 42.497], [1.64, 42.467], [1.607, 42.456], [1.546, 42.45], [1.517, 42.429], [1.449, 42.435], [1.438, 42.441], [1.438, 42.453], [1.406, 42.487], [1.431, 42.494], [1.449, 42.504], [1.445, 42.521], [1.427, 42.531], [1.406, 42.529], [1.409, 42.541], [1.427, 42.561], [1.427, 42.566], [1.417, 42.57], [1.424, 42.59], [1.431, 42.595], [1.453, 42.602], [1.467, 42.642], [1.499, 42.641], [1.528, 42.649], [1.543, 42.649], [1.607, 42.619], [1.723, 42.61], [1.712, 42.59], [1.751, 42.576], [1.766, 42.563], [1.741, 42.561], [1.723, 42.549], [1.712, 42.527]]]
+  ] },
+  { code: 'GI', name: 'Gibraltar', polygons: [
+    [[[-5.359, 36.141], [-5.337, 36.141], [-5.341, 36.111], [-5.351, 36.119]]]
+  ] },
+  { code: 'LU', name: 'Luxembourg', polygons: [
+    [[[6.118, 50.121], [6.1, 50.063], [6.111, 50.063], [6.097, 50.048], [6.115, 50.036], [6.122, 49.996], [6.14, 49.979], [6.161, 49.942], [6.172, 49.955], [6.19, 49.939], [6.223, 49.888], [6.237, 49.876], [6.287, 49.861], [6.302, 49.836], [6.309, 49.834], [6.334, 49.841], [6.395, 49.809], [6.464, 49.805], [6.503, 49.797], [6.493, 49.763], [6.496, 49.748], [6.485, 49.743], [6.489, 49.726], [6.5, 49.712], [6.493, 49.714], [6.482, 49.709], [6.493, 49.7], [6.417, 49.67], [6.403, 49.657], [6.417, 49.646], [6.417, 49.64], [6.399, 49.614], [6.356, 49.577], [6.341, 49.493], [6.345, 49.456], [6.298, 49.466], [6.248, 49.491], [6.223, 49.498], [6.194, 49.5], [6.136, 49.494], [6.143, 49.486], [6.107, 49.483], [6.1, 49.476], [6.1, 49.464], [6.089, 49.462], [6.079, 49.452], [5.96, 49.442], [5.945, 49.469], [5.927, 49.483], [5.841, 49.5], [5.791, 49.538], [5.816, 49.545], [5.837, 49.56], [5.848, 49.577], [5.83, 49.582], [5.884, 49.643], [5.881, 49.658], [5.852, 49.663], [5.841, 49.673], [5.848, 49.68], [5.848, 49.692], [5.859, 49.7], [5.852, 49.714], [5.837, 49.712], [5.805, 49.722], [5.805, 49.738], [5.78, 49.773], [5.773, 49.78], [5.737, 49.788], [5.719, 49.825], [5.737, 49.839], [5.726, 49.846], [5.733, 49.859], [5.758, 49.857], [5.747, 49.868], [5.715, 49.881], [5.719, 49.891], [5.755, 49.93], [5.758, 49.942], [5.773, 49.954], [5.794, 49.959], [5.812, 49.977], [5.801, 49.989], [5.801, 50.003], [5.837, 50.018], [5.837, 50.047], [5.859, 50.062], [5.873, 50.097], [5.888, 50.107], [5.927, 50.118], [5.942, 50.128], [5.96, 50.165], [5.981, 50.166], [5.999, 50.175], [6.014, 50.153], [6.039, 50.148], [6.086, 50.16], [6.097, 50.151], [6.104, 50.124]]]
+  ] },
+  { code: 'MT', name: 'Malta', polygons: [
+    [[[14.55, 35.89], [14.564, 35.869], [14.568, 35.846], [14.56, 35.83], [14.55, 35.836], [14.532, 35.822], [14.528, 35.802], [14.424, 35.824], [14.38, 35.842], [14.362, 35.866], [14.344, 35.876], [14.344, 35.912], [14.337, 35.947], [14.334, 35.962], [14.323, 35.972], [14.348, 35.989], [14.377, 35.994], [14.377, 35.986], [14.362, 35.982], [14.348, 35.972], [14.427, 35.966], [14.445, 35.96], [14.478, 35.937], [14.506, 35.928], [14.514, 35.92], [14.514, 35.901]]],
+    [[[14.258, 36.075], [14.283, 36.069], [14.316, 36.052], [14.334, 36.035], [14.323, 36.026], [14.305, 36.026], [14.262, 36.013], [14.222, 36.02], [14.186, 36.035], [14.19, 36.045], [14.182, 36.065]]]
+  ] },
+  { code: 'DE', name: 'Germany', polygons: [
+    [[[13.815, 48.767], [13.783, 48.716], [13.79, 48.716], [13.804, 48.699], [13.815, 48.696], [13.804, 48.687], [13.801, 48.675], [13.808, 48.643], [13.797, 48.598], [13.776, 48.569], [13.758, 48.561], [13.732, 48.559], [13.718, 48.522], [13.675, 48.535], [13.657, 48.551], [13.624, 48.566], [13.52, 48.584], [13.455, 48.574], [13.441, 48.561], [13.459, 48.517], [13.437, 48.478], [13.437, 48.431], [13.426, 48.419], [13.419, 48.392], [13.405, 48.377], [13.308, 48.319], [13.275, 48.307], [13.135, 48.29], [13.034, 48.263], [12.933, 48.209], [12.879, 48.203], [12.861, 48.196], [12.822, 48.16], [12.782, 48.142], [12.764, 48.123], [12.746, 48.12], [12.739, 48.113], [12.75, 48.074], [12.832, 48.015], [12.861, 47.963], [12.886, 47.953], [12.93, 47.924], [12.966, 47.872], [12.991, 47.846], [12.926, 47.777], [12.919, 47.75], [12.894, 47.723], [12.908, 47.713], [12.966, 47.705], [13.005, 47.715], [13.02, 47.713], [13.045, 47.696], [13.074, 47.659], [13.074, 47.622], [13.059, 47.6], [13.041, 47.583], [13.038, 47.585], [13.041, 47.561], [13.027, 47.542], [13.027, 47.524], [13.038, 47.493], [13.002, 47.466], [12.984, 47.468], [12.969, 47.475], [12.944, 47.47], [12.933, 47.473], [12.883, 47.499], [12.829, 47.537], [12.804, 47.541], [12.778, 47.554], [12.775, 47.58], [12.786, 47.603], [12.814, 47.612], [12.753, 47.649], [12.76, 47.667], [12.746, 47.666], [12.688, 47.676], [12.652, 47.676], [12.598, 47.662], [12.555, 47.635], [12.498, 47.629], [12.444, 47.656], [12.426, 47.691], [12.408, 47.694], [12.35, 47.681], [12.292, 47.689], [12.238, 47.679], [12.228, 47.684], [12.224, 47.696], [12.238, 47.716], [12.238, 47.732], [12.177, 47.706], [12.181, 47.693], [12.206, 47.672], [12.206, 47.637], [12.174, 47.605], [11.936, 47.61], [11.853, 47.6], [11.842, 47.595], [11.832, 47.578], [11.821, 47.575], [11.763, 47.583], [11.684, 47.583], [11.619, 47.59], [11.59, 47.571], [11.576, 47.537], [11.551, 47.514], [11.482, 47.502], [11.436, 47.51], [11.414, 47.505], [11.367, 47.47], [11.389, 47.461], [11.392, 47.455], [11.385, 47.445], [11.367, 47.439], [11.306, 47.436], [11.259, 47.401], [11.238, 47.394], [11.212, 47.396], [11.216, 47.423], [11.194, 47.429], [11.169, 47.424], [11.104, 47.394], [11.083, 47.389], [10.978, 47.39], [10.964, 47.396], [10.957, 47.409], [10.964, 47.421], [10.96, 47.433], [10.91, 47.468], [10.86, 47.485], [10.852, 47.493], [10.892, 47.515], [10.87, 47.527], [10.86, 47.531], [10.831, 47.529], [10.791, 47.515], [10.762, 47.514], [10.752, 47.515], [10.741, 47.529], [10.608, 47.563], [10.582, 47.563], [10.536, 47.531], [10.482, 47.532], [10.453, 47.546], [10.46, 47.566], [10.456, 47.58], [10.428, 47.576], [10.413, 47.573], [10.431, 47.542], [10.42, 47.493], [10.435, 47.488], [10.449, 47.473], [10.453, 47.439], [10.428, 47.396], [10.413, 47.38], [10.37, 47.367], [10.345, 47.331], [10.305, 47.303], [10.24, 47.277], [10.161, 47.271], [10.154, 47.272], [10.168, 47.291], [10.186, 47.294], [10.194, 47.304], [10.19, 47.318], [10.208, 47.355], [10.208, 47.372], [10.19, 47.379], [10.147, 47.374], [10.132, 47.363], [10.111, 47.367], [10.082, 47.358], [10.068, 47.375], [10.064, 47.396], [10.053, 47.406], [10.075, 47.417], [10.082, 47.428], [10.024, 47.488], [9.992, 47.477], [9.981, 47.482], [9.981, 47.493], [9.949, 47.524], [9.945, 47.541], [9.934, 47.534], [9.92, 47.532], [9.887, 47.534], [9.859, 47.541], [9.833, 47.534], [9.812, 47.542], [9.808, 47.576], [9.797, 47.585], [9.769, 47.588], [9.729, 47.564], [9.704, 47.531], [9.675, 47.522], [9.614, 47.522], [9.549, 47.534], [9.272, 47.651], [9.196, 47.656], [9.182, 47.671], [9.128, 47.671], [9.016, 47.679], [8.998, 47.674], [8.98, 47.662], [8.944, 47.654], [8.905, 47.652], [8.883, 47.656], [8.851, 47.671], [8.836, 47.681], [8.836, 47.688], [8.854, 47.691], [8.829, 47.708], [8.797, 47.72], [8.771, 47.721], [8.761, 47.701], [8.771, 47.694], [8.717, 47.694], [8.714, 47.708], [8.699, 47.723], [8.721, 47.747], [8.714, 47.757], [8.681, 47.759], [8.667, 47.779], [8.645, 47.791], [8.635, 47.784], [8.631, 47.762], [8.617, 47.757], [8.606, 47.762], [8.602, 47.794], [8.584, 47.801], [8.559, 47.801], [8.541, 47.796], [8.552, 47.779], [8.537, 47.774], [8.462, 47.764], [8.444, 47.743], [8.437, 47.723], [8.401, 47.708], [8.39, 47.693], [8.397, 47.676], [8.39, 47.666], [8.408, 47.662], [8.458, 47.64], [8.476, 47.64], [8.519, 47.657], [8.57, 47.662], [8.606, 47.656], [8.602, 47.632], [8.595, 47.635], [8.595, 47.642], [8.581, 47.639], [8.577, 47.634], [8.584, 47.622], [8.577, 47.595], [8.559, 47.59], [8.523, 47.622], [8.491, 47.62], [8.462, 47.607], [8.447, 47.585], [8.422, 47.581], [8.354, 47.581], [8.318, 47.588], [8.307, 47.591], [8.289, 47.615], [8.231, 47.622], [8.177, 47.615], [8.163, 47.603], [8.113, 47.588], [8.098, 47.571], [8.041, 47.561], [7.911, 47.561], [7.904, 47.583], [7.897, 47.588], [7.835, 47.59], [7.821, 47.595], [7.785, 47.563], [7.767, 47.556], [7.684, 47.544], [7.663, 47.546], [7.609, 47.564], [7.637, 47.564], [7.648, 47.571], [7.659, 47.596], [7.587, 47.585], [7.594, 47.598], [7.591, 47.608], [7.573, 47.622], [7.537, 47.666], [7.522, 47.671], [7.511, 47.708], [7.537, 47.732], [7.526, 47.784], [7.544, 47.83], [7.562, 47.84], [7.565, 47.85], [7.558, 47.884], [7.58, 47.905], [7.583, 47.941], [7.612, 47.96], [7.619, 47.971], [7.619, 48.003], [7.576, 48.054], [7.573, 48.095], [7.58, 48.115], [7.605, 48.152], [7.612, 48.179], [7.688, 48.253], [7.702, 48.311], [7.738, 48.326], [7.749, 48.341], [7.753, 48.355], [7.738, 48.407], [7.749, 48.444], [7.771, 48.469], [7.771, 48.49], [7.789, 48.507], [7.814, 48.52], [7.803, 48.547], [7.81, 48.615], [7.853, 48.659], [7.882, 48.667], [7.958, 48.721], [7.965, 48.73], [7.969, 48.757], [8.015, 48.762], [8.023, 48.765], [8.026, 48.78], [8.037, 48.79], [8.048, 48.79], [8.091, 48.807], [8.149, 48.903], [8.199, 48.959], [8.188, 48.966], [8.091, 48.979], [7.933, 49.035], [7.857, 49.032], [7.774, 49.049], [7.727, 49.035], [7.684, 49.044], [7.648, 49.035], [7.634, 49.039], [7.609, 49.062], [7.544, 49.074], [7.508, 49.094], [7.472, 49.128], [7.483, 49.136], [7.475, 49.152], [7.414, 49.158], [7.411, 49.169], [7.371, 49.167], [7.349, 49.158], [7.335, 49.135], [7.295, 49.128], [7.274, 49.104], [7.241, 49.115], [7.155, 49.115], [7.123, 49.123], [7.087, 49.142], [7.072, 49.136], [7.072, 49.12], [7.043, 49.108], [7.022, 49.12], [7.007, 49.147], [7.011, 49.182], [6.989, 49.182], [6.914, 49.207], [6.885, 49.204], [6.835, 49.209], [6.827, 49.196], [6.838, 49.163], [6.82, 49.148], [6.712, 49.158], [6.701, 49.174], [6.709, 49.197], [6.701, 49.214], [6.68, 49.207], [6.665, 49.245], [6.64, 49.253], [6.64, 49.272], [6.557, 49.326], [6.55, 49.337], [6.554, 49.348], [6.572, 49.348], [6.579, 49.356], [6.518, 49.402], [6.521, 49.408], [6.511, 49.425], [6.496, 49.435], [6.403, 49.466], [6.392, 49.467], [6.363, 49.456], [6.345, 49.456], [6.341, 49.493], [6.356, 49.577], [6.399, 49.614], [6.417, 49.64], [6.417, 49.646], [6.403, 49.657], [6.417, 49.67], [6.493, 49.7], [6.482, 49.709], [6.493, 49.714], [6.5, 49.712], [6.489, 49.726], [6.485, 49.743], [6.496, 49.748], [6.493, 49.763], [6.503, 49.797], [6.464, 49.805], [6.395, 49.809], [6.334, 49.841], [6.309, 49.834], [6.302, 49.836], [6.287, 49.861], [6.237, 49.876], [6.223, 49.888], [6.19, 49.939], [6.172, 49.955], [6.161, 49.942], [6.14, 49.979], [6.122, 49.996], [6.115, 50.036], [6.097, 50.048], [6.111, 50.063], [6.1, 50.063], [6.118, 50.121], [6.129, 50.134], [6.115, 50.146], [6.122, 50.165], [6.151, 50.17], [6.165, 50.182], [6.161, 50.205], [6.147, 50.214], [6.19, 50.242], [6.255, 50.256], [6.273, 50.268], [6.266, 50.276], [6.269, 50.286], [6.287, 50.303], [6.298, 50.308], [6.334, 50.303], [6.363, 50.307], [6.374, 50.315], [6.374, 50.329], [6.338, 50.367], [6.352, 50.433], [6.331, 50.447], [6.323, 50.465], [6.338, 50.481], [6.277, 50.487], [6.259, 50.494], [6.208, 50.486], [6.183, 50.506], [6.19, 50.516], [6.172, 50.518], [6.169, 50.523], [6.176, 50.53], [6.161, 50.543], [6.179, 50.562], [6.233, 50.587], [6.251, 50.609], [6.248, 50.614], [6.179, 50.616], [6.158, 50.622], [6.147, 50.636], [6.161, 50.643], [6.1, 50.702], [6.082, 50.714], [6.064, 50.715], [6.025, 50.707], [6.01, 50.709], [6.01, 50.737], [5.992, 50.744], [5.996, 50.751], [5.992, 50.769], [5.981, 50.773], [5.967, 50.795], [5.985, 50.793], [5.999, 50.801], [5.999, 50.83], [6.01, 50.84], [6.025, 50.845], [6.046, 50.844], [6.057, 50.852], [6.064, 50.871], [6.053, 50.891], [6.064, 50.908], [6.032, 50.915], [5.999, 50.93], [5.996, 50.952], [6.007, 50.969], [6.003, 50.974], [5.967, 50.97], [5.927, 50.977], [5.873, 50.965], [5.873, 50.991], [5.852, 51.043], [5.881, 51.051], [5.895, 51.048], [5.92, 51.029], [5.938, 51.031], [5.981, 51.075], [6.075, 51.121], [6.133, 51.139], [6.147, 51.153], [6.125, 51.164], [6.158, 51.18], [6.133, 51.185], [6.086, 51.163], [6.061, 51.171], [6.053, 51.19], [6.057, 51.212], [6.064, 51.232], [6.097, 51.259], [6.147, 51.318], [6.183, 51.335], [6.194, 51.345], [6.208, 51.387], [6.194, 51.399], [6.205, 51.458], [6.194, 51.509], [6.086, 51.595], [6.086, 51.622], [6.1, 51.644], [6.032, 51.663], [6.01, 51.681], [6.021, 51.71], [6.014, 51.717], [5.978, 51.73], [5.938, 51.732], [5.945, 51.747], [5.963, 51.757], [5.963, 51.776], [5.949, 51.796], [5.927, 51.806], [5.931, 51.816], [5.949, 51.823], [5.989, 51.828], [6.043, 51.847], [6.082, 51.853], [6.158, 51.842], [6.093, 51.885], [6.125, 51.897], [6.226, 51.862], [6.266, 51.867], [6.287, 51.847], [6.327, 51.843], [6.341, 51.837], [6.345, 51.821], [6.381, 51.828], [6.388, 51.838], [6.377, 51.86], [6.442, 51.848], [6.464, 51.848], [6.529, 51.877], [6.629, 51.897], [6.716, 51.899], [6.745, 51.909], [6.791, 51.951], [6.809, 51.96], [6.809, 51.98], [6.777, 52.002], [6.691, 52.027], [6.676, 52.034], [6.673, 52.049], [6.68, 52.061], [6.698, 52.063], [6.719, 52.073], [6.727, 52.086], [6.748, 52.103], [6.766, 52.108], [6.831, 52.113], [6.885, 52.161], [6.928, 52.173], [6.982, 52.215], [7.025, 52.23], [7.029, 52.235], [7.011, 52.267], [7.011, 52.286], [7.04, 52.328], [7.047, 52.365], [7.033, 52.39], [6.975, 52.451], [6.95, 52.438], [6.928, 52.433], [6.899, 52.433], [6.871, 52.434], [6.82, 52.446], [6.741, 52.453], [6.716, 52.461], [6.694, 52.475], [6.683, 52.525], [6.673, 52.542], [6.687, 52.542], [6.745, 52.559], [6.705, 52.583], [6.709, 52.608], [6.701, 52.618], [6.737, 52.635], [6.77, 52.64], [6.867, 52.642], [6.917, 52.632], [6.968, 52.637], [7.018, 52.627], [7.036, 52.647], [7.061, 52.824], [7.079, 52.855], [7.162, 52.932], [7.184, 52.966], [7.195, 53.034], [7.173, 53.145], [7.198, 53.201], [7.195, 53.245], [7.216, 53.255], [7.234, 53.273], [7.238, 53.285], [7.231, 53.297], [7.267, 53.324], [7.313, 53.321], [7.367, 53.302], [7.342, 53.324], [7.303, 53.333], [7.076, 53.338], [7.04, 53.348], [7.022, 53.376], [7.022, 53.451], [7.051, 53.513], [7.061, 53.522], [7.119, 53.517], [7.141, 53.537], [7.141, 53.55], [7.101, 53.566], [7.09, 53.574], [7.087, 53.588], [7.227, 53.667], [7.306, 53.685], [7.457, 53.696], [7.479, 53.682], [7.504, 53.679], [7.652, 53.697], [7.951, 53.723], [8.03, 53.707], [8.026, 53.672], [8.051, 53.637], [8.095, 53.604], [8.127, 53.591], [8.12, 53.572], [8.156, 53.564], [8.167, 53.554], [8.167, 53.535], [8.156, 53.527], [8.116, 53.512], [8.077, 53.508], [8.059, 53.501], [8.077, 53.469], [8.098, 53.447], [8.123, 53.454], [8.141, 53.454], [8.188, 53.429], [8.206, 53.41], [8.235, 53.407], [8.26, 53.412], [8.293, 53.441], [8.314, 53.474], [8.321, 53.51], [8.293, 53.53], [8.253, 53.523], [8.231, 53.525], [8.249, 53.591], [8.257, 53.604], [8.271, 53.613], [8.329, 53.618], [8.365, 53.601], [8.386, 53.577], [8.429, 53.566], [8.512, 53.555], [8.552, 53.544], [8.552, 53.537], [8.505, 53.508], [8.491, 53.486], [8.483, 53.458], [8.483, 53.402], [8.491, 53.376], [8.505, 53.358], [8.509, 53.383], [8.498, 53.474], [8.512, 53.496], [8.555, 53.518], [8.566, 53.547], [8.516, 53.61], [8.487, 53.667], [8.483, 53.684], [8.491, 53.716], [8.53, 53.77], [8.573, 53.858], [8.606, 53.881], [8.627, 53.89], [8.653, 53.893], [8.685, 53.888], [8.746, 53.854], [8.782, 53.843], [8.861, 53.831], [8.977, 53.843], [9.016, 53.841], [9.034, 53.854], [9.113, 53.864], [9.193, 53.864], [9.211, 53.871], [9.239, 53.864], [9.275, 53.864], [9.304, 53.844], [9.401, 53.743], [9.484, 53.691], [9.499, 53.66], [9.581, 53.591], [9.625, 53.584], [9.697, 53.557], [9.819, 53.54], [9.833, 53.544], [9.819, 53.557], [9.783, 53.569], [9.693, 53.576], [9.657, 53.584], [9.585, 53.613], [9.549, 53.635], [9.531, 53.711], [9.437, 53.748], [9.412, 53.778], [9.394, 53.831], [9.358, 53.839], [9.297, 53.871], [9.221, 53.892], [9.092, 53.893], [9.031, 53.907], [9.009, 53.893], [8.984, 53.897], [8.948, 53.913], [8.915, 53.937], [8.833, 54.037], [8.89, 54.049], [8.955, 54.028], [8.977, 54.025], [8.998, 54.03], [9.02, 54.082], [9.02, 54.098], [8.973, 54.128], [8.977, 54.146], [8.951, 54.15], [8.919, 54.146], [8.861, 54.125], [8.811, 54.18], [8.847, 54.234], [8.84, 54.256], [8.923, 54.275], [8.962, 54.317], [8.941, 54.315], [8.901, 54.295], [8.879, 54.29], [8.887, 54.304], [8.804, 54.292], [8.739, 54.293], [8.678, 54.27], [8.653, 54.275], [8.624, 54.29], [8.602, 54.312], [8.599, 54.337], [8.613, 54.349], [8.642, 54.356], [8.696, 54.359], [8.696, 54.366], [8.649, 54.378], [8.635, 54.366], [8.627, 54.388], [8.649, 54.407], [8.671, 54.401], [8.75, 54.413], [8.861, 54.413], [8.887, 54.418], [8.948, 54.447], [9.005, 54.466], [9.013, 54.506], [8.987, 54.53], [8.905, 54.58], [8.887, 54.602], [8.858, 54.606], [8.825, 54.597], [8.818, 54.606], [8.854, 54.619], [8.818, 54.673], [8.804, 54.687], [8.721, 54.726], [8.689, 54.736], [8.696, 54.759], [8.649, 54.819], [8.642, 54.844], [8.66, 54.896], [8.696, 54.889], [8.732, 54.889], [8.8, 54.905], [8.825, 54.906], [8.905, 54.898], [8.984, 54.879], [9.196, 54.851], [9.211, 54.842], [9.225, 54.807], [9.243, 54.802], [9.333, 54.803], [9.383, 54.82], [9.405, 54.808], [9.437, 54.81], [9.452, 54.81], [9.509, 54.829], [9.531, 54.842], [9.553, 54.847], [9.567, 54.861], [9.581, 54.866], [9.581, 54.83], [9.632, 54.82], [9.693, 54.819], [9.736, 54.807], [9.801, 54.783], [9.823, 54.756], [9.895, 54.77], [9.891, 54.79], [9.916, 54.792], [9.949, 54.78], [9.97, 54.763], [9.999, 54.712], [10.017, 54.702], [10.006, 54.695], [9.97, 54.702], [9.945, 54.687], [9.931, 54.685], [9.931, 54.673], [9.995, 54.678], [10.01, 54.667], [10.035, 54.673], [10.039, 54.667], [10.032, 54.653], [10.039, 54.619], [10.028, 54.56], [9.999, 54.523], [9.967, 54.506], [9.927, 54.493], [9.88, 54.484], [9.841, 54.483], [9.841, 54.476], [9.884, 54.462], [10.125, 54.496], [10.143, 54.493], [10.204, 54.461], [10.183, 54.449], [10.197, 54.41], [10.19, 54.396], [10.176, 54.385], [10.143, 54.373], [10.143, 54.359], [10.154, 54.352], [10.154, 54.344], [10.143, 54.324], [10.165, 54.329], [10.179, 54.341], [10.204, 54.373], [10.219, 54.405], [10.233, 54.418], [10.273, 54.42], [10.305, 54.44], [10.32, 54.444], [10.384, 54.435], [10.442, 54.407], [10.6, 54.366], [10.69, 54.317], [10.73, 54.31], [10.777, 54.315], [10.809, 54.327], [10.867, 54.359], [10.935, 54.379], [11.018, 54.386], [11.018, 54.379], [10.975, 54.378], [10.993, 54.374], [11.011, 54.378], [11.032, 54.368], [11.104, 54.393], [11.137, 54.386], [11.086, 54.352], [11.068, 54.359], [11.079, 54.342], [11.094, 54.283], [11.086, 54.255], [11.094, 54.226], [11.09, 54.207], [11.068, 54.184], [10.95, 54.14], [10.91, 54.109], [10.892, 54.103], [10.838, 54.091], [10.813, 54.098], [10.752, 54.05], [10.78, 54.01], [10.798, 54.001], [10.827, 53.996], [10.874, 53.996], [10.888, 53.964], [10.903, 53.961], [10.924, 53.961], [10.964, 53.986], [11, 53.991], [11.054, 54.008], [11.176, 54.018], [11.191, 54.01], [11.205, 53.989], [11.241, 53.983], [11.241, 53.956], [11.245, 53.946], [11.256, 53.94], [11.295, 53.94], [11.335, 53.961], [11.36, 53.94], [11.4, 53.94], [11.439, 53.908], [11.457, 53.907], [11.475, 53.952], [11.472, 53.969], [11.497, 53.981], [11.493, 54.003], [11.526, 54.023], [11.518, 54.037], [11.554, 54.03], [11.572, 54.038], [11.59, 54.065], [11.612, 54.072], [11.626, 54.084], [11.63, 54.096], [11.623, 54.104], [11.659, 54.141], [11.691, 54.155], [11.727, 54.158], [11.814, 54.15], [12.051, 54.18], [12.087, 54.194], [12.094, 54.165], [12.091, 54.114], [12.116, 54.098], [12.105, 54.109], [12.094, 54.146], [12.105, 54.157], [12.134, 54.167], [12.141, 54.18], [12.12, 54.18], [12.102, 54.173], [12.109, 54.184], [12.163, 54.219], [12.188, 54.243], [12.289, 54.275], [12.343, 54.304], [12.379, 54.346], [12.44, 54.396], [12.487, 54.447], [12.501, 54.474], [12.512, 54.483], [12.534, 54.488], [12.534, 54.483], [12.526, 54.483], [12.548, 54.462], [12.591, 54.452], [12.818, 54.452], [12.858, 54.44], [12.879, 54.449], [12.908, 54.445], [12.922, 54.434], [12.897, 54.42], [12.872, 54.417], [12.764, 54.422], [12.696, 54.434], [12.67, 54.42], [12.624, 54.423], [12.613, 54.42], [12.609, 54.407], [12.602, 54.413], [12.58, 54.407], [12.588, 54.395], [12.602, 54.391], [12.595, 54.391], [12.595, 54.386], [12.555, 54.391], [12.537, 54.385], [12.526, 54.373], [12.512, 54.385], [12.49, 54.39], [12.454, 54.391], [12.44, 54.388], [12.418, 54.361], [12.426, 54.346], [12.404, 54.347], [12.397, 54.352], [12.39, 54.346], [12.397, 54.332], [12.393, 54.32], [12.379, 54.312], [12.364, 54.31], [12.379, 54.287], [12.379, 54.276], [12.368, 54.27], [12.411, 54.251], [12.436, 54.248], [12.458, 54.256], [12.429, 54.258], [12.411, 54.27], [12.426, 54.29], [12.472, 54.31], [12.48, 54.332], [12.494, 54.341], [12.562, 54.359], [12.541, 54.366], [12.541, 54.373], [12.559, 54.376], [12.573, 54.373], [12.573, 54.379], [12.595, 54.369], [12.678, 54.391], [12.67, 54.407], [12.681, 54.412], [12.717, 54.413], [12.717, 54.407], [12.703, 54.405], [12.692, 54.396], [12.685, 54.373], [12.706, 54.4], [12.724, 54.381], [12.735, 54.378], [12.746, 54.386], [12.757, 54.379], [12.768, 54.379], [12.786, 54.391], [12.818, 54.358], [12.854, 54.358], [12.886, 54.373], [12.894, 54.39], [12.93, 54.415], [12.969, 54.43], [13.009, 54.439], [13.034, 54.434], [13.023, 54.427], [13.02, 54.415], [13.03, 54.401], [13.041, 54.391], [13.095, 54.373], [13.077, 54.352], [13.081, 54.337], [13.11, 54.31], [13.113, 54.28], [13.171, 54.276], [13.171, 54.27], [13.142, 54.263], [13.174, 54.265], [13.29, 54.234], [13.322, 54.194], [13.347, 54.18], [13.322, 54.167], [13.347, 54.167], [13.383, 54.179], [13.405, 54.173], [13.383, 54.153], [13.394, 54.148], [13.408, 54.155], [13.419, 54.153], [13.437, 54.125], [13.466, 54.099], [13.484, 54.091], [13.506, 54.091], [13.506, 54.098], [13.48, 54.118], [13.48, 54.125], [13.603, 54.14], [13.682, 54.168], [13.711, 54.173], [13.718, 54.168], [13.7, 54.16], [13.7, 54.153], [13.808, 54.104], [13.772, 54.047], [13.747, 54.037], [13.797, 54], [13.84, 53.986], [13.851, 53.964], [13.848, 53.956], [13.905, 53.944], [13.909, 53.934], [13.891, 53.913], [13.819, 53.878], [13.808, 53.864], [13.819, 53.853], [13.855, 53.844], [13.884, 53.817], [13.902, 53.809], [13.912, 53.81], [13.984, 53.773], [14.017, 53.77], [14.038, 53.755], [14.06, 53.756], [14.107, 53.743], [14.186, 53.74], [14.215, 53.745], [14.233, 53.761], [14.251, 53.76], [14.265, 53.751], [14.269, 53.736], [14.211, 53.707], [14.24, 53.701], [14.265, 53.701], [14.262, 53.657], [14.298, 53.598], [14.298, 53.528], [14.305, 53.508], [14.33, 53.486], [14.337, 53.466], [14.359, 53.444], [14.37, 53.392], [14.398, 53.316], [14.402, 53.279], [14.442, 53.252], [14.409, 53.214], [14.388, 53.203], [14.38, 53.189], [14.377, 53.177], [14.391, 53.132], [14.344, 53.049], [14.254, 53.002], [14.143, 52.959], [14.164, 52.895], [14.161, 52.877], [14.15, 52.865], [14.125, 52.851], [14.136, 52.836], [14.154, 52.828], [14.215, 52.818], [14.247, 52.794], [14.276, 52.785], [14.384, 52.738], [14.431, 52.686], [14.463, 52.674], [14.488, 52.65], [14.55, 52.637], [14.643, 52.576], [14.618, 52.541], [14.611, 52.517], [14.629, 52.507], [14.632, 52.497], [14.593, 52.449], [14.539, 52.422], [14.546, 52.382], [14.589, 52.309], [14.586, 52.291], [14.607, 52.276], [14.697, 52.254], [14.712, 52.237], [14.712, 52.215], [14.694, 52.2], [14.708, 52.179], [14.686, 52.122], [14.697, 52.107], [14.762, 52.076], [14.737, 52.054], [14.726, 52.026], [14.704, 52.002], [14.697, 51.931], [14.686, 51.912], [14.654, 51.879], [14.596, 51.843], [14.582, 51.825], [14.586, 51.804], [14.604, 51.788], [14.636, 51.769], [14.647, 51.717], [14.719, 51.676], [14.733, 51.658], [14.744, 51.632], [14.744, 51.607], [14.733, 51.587], [14.712, 51.568], [14.704, 51.548], [14.712, 51.531], [14.733, 51.516], [14.798, 51.502], [14.841, 51.484], [14.888, 51.475], [14.928, 51.462], [14.946, 51.45], [14.956, 51.435], [14.946, 51.423], [14.96, 51.335], [15.021, 51.273], [15.014, 51.242], [15.021, 51.237], [15.003, 51.215], [14.982, 51.161], [14.982, 51.122], [14.96, 51.105], [14.956, 51.065], [14.859, 50.916], [14.809, 50.877], [14.809, 50.859], [14.784, 50.82], [14.776, 50.813], [14.758, 50.81], [14.701, 50.817], [14.661, 50.835], [14.614, 50.845], [14.607, 50.854], [14.611, 50.871], [14.636, 50.909], [14.629, 50.921], [14.56, 50.906], [14.55, 50.913], [14.575, 50.95], [14.575, 50.975], [14.542, 50.999], [14.514, 51.002], [14.503, 51.009], [14.481, 51.038], [14.474, 51.023], [14.463, 51.019], [14.427, 51.021], [14.398, 51.012], [14.388, 51.012], [14.355, 51.033], [14.319, 51.039], [14.287, 51.036], [14.265, 51.021], [14.24, 50.982], [14.251, 50.977], [14.305, 50.97], [14.294, 50.964], [14.294, 50.953], [14.319, 50.938], [14.355, 50.931], [14.38, 50.921], [14.377, 50.896], [14.348, 50.881], [14.269, 50.884], [14.233, 50.879], [14.19, 50.849], [14.035, 50.803], [13.981, 50.805], [13.948, 50.798], [13.923, 50.779], [13.891, 50.781], [13.88, 50.764], [13.884, 50.742], [13.833, 50.724], [13.772, 50.725], [13.693, 50.712], [13.603, 50.712], [13.556, 50.707], [13.516, 50.692], [13.527, 50.676], [13.524, 50.663], [13.495, 50.643], [13.498, 50.629], [13.448, 50.597], [13.43, 50.594], [13.408, 50.6], [13.387, 50.622], [13.369, 50.629], [13.358, 50.619], [13.322, 50.602], [13.304, 50.575], [13.286, 50.568], [13.254, 50.58], [13.232, 50.582], [13.185, 50.509], [13.16, 50.497], [13.106, 50.499], [13.07, 50.491], [13.052, 50.491], [13.027, 50.497], [13.009, 50.492], [12.998, 50.433], [12.951, 50.405], [12.919, 50.405], [12.818, 50.443], [12.789, 50.435], [12.771, 50.437], [12.739, 50.432], [12.692, 50.394], [12.627, 50.4], [12.552, 50.396], [12.512, 50.389], [12.476, 50.369], [12.465, 50.356], [12.465, 50.342], [12.397, 50.315], [12.368, 50.28], [12.336, 50.259], [12.336, 50.242], [12.314, 50.227], [12.31, 50.217], [12.307, 50.199], [12.314, 50.166], [12.3, 50.161], [12.285, 50.161], [12.274, 50.172], [12.26, 50.21], [12.228, 50.237], [12.238, 50.242], [12.242, 50.253], [12.231, 50.259], [12.202, 50.259], [12.177, 50.27], [12.17, 50.303], [12.148, 50.312], [12.076, 50.315], [12.109, 50.291], [12.112, 50.276], [12.109, 50.264], [12.08, 50.242], [12.091, 50.231], [12.138, 50.21], [12.163, 50.194], [12.184, 50.172], [12.177, 50.133], [12.188, 50.102], [12.231, 50.08], [12.242, 50.07], [12.246, 50.045], [12.4, 49.993], [12.415, 49.982], [12.451, 49.981], [12.469, 49.971], [12.472, 49.955], [12.462, 49.932], [12.519, 49.912], [12.523, 49.886], [12.483, 49.827], [12.462, 49.83], [12.454, 49.78], [12.436, 49.77], [12.397, 49.758], [12.382, 49.743], [12.418, 49.7], [12.498, 49.67], [12.505, 49.646], [12.498, 49.635], [12.508, 49.63], [12.501, 49.619], [12.548, 49.596], [12.562, 49.55], [12.584, 49.523], [12.595, 49.515], [12.624, 49.51], [12.631, 49.444], [12.645, 49.43], [12.663, 49.418], [12.71, 49.405], [12.728, 49.391], [12.76, 49.342], [12.778, 49.332], [12.858, 49.322], [12.876, 49.324], [12.872, 49.337], [12.886, 49.339], [12.94, 49.327], [12.984, 49.3], [13.002, 49.295], [13.012, 49.268], [13.056, 49.238], [13.149, 49.155], [13.178, 49.118], [13.207, 49.108], [13.268, 49.106], [13.3, 49.094], [13.329, 49.067], [13.372, 49.039], [13.383, 49.022], [13.383, 48.993], [13.398, 48.978], [13.426, 48.959], [13.459, 48.946], [13.484, 48.937], [13.491, 48.956], [13.516, 48.971], [13.538, 48.968], [13.592, 48.946], [13.61, 48.946], [13.61, 48.927], [13.621, 48.909], [13.653, 48.881], [13.725, 48.868], [13.797, 48.78]]],
+    [[[14.211, 53.939], [14.193, 53.912], [14.175, 53.907], [14.193, 53.893], [14.2, 53.878], [14.089, 53.871], [14.064, 53.873], [14.049, 53.88], [13.995, 53.854], [13.938, 53.844], [13.876, 53.844], [13.84, 53.851], [13.822, 53.864], [13.855, 53.878], [13.887, 53.881], [13.923, 53.893], [13.93, 53.9], [13.938, 53.929], [13.902, 53.969], [13.905, 53.996], [13.974, 53.989], [13.959, 53.957], [13.959, 53.94], [13.974, 53.957], [13.988, 53.961], [14.028, 53.961], [14.013, 53.947], [14.049, 53.94], [14.042, 53.954], [14.053, 53.978], [14.053, 54.005], [14.038, 54.022], [14.013, 54.016], [13.981, 54.057], [13.945, 54.067], [13.916, 54.057], [13.923, 54.037], [13.891, 54.01], [13.855, 54.003], [13.858, 54.016], [13.876, 54.037], [13.873, 54.049], [13.862, 54.05], [13.822, 54.038], [13.794, 54.018], [13.776, 54.023], [13.808, 54.076], [13.815, 54.101], [13.808, 54.116], [13.765, 54.141], [13.754, 54.153], [13.761, 54.165], [13.797, 54.179], [13.815, 54.173], [13.855, 54.118], [13.884, 54.103], [14.017, 54.06], [14.193, 53.946]]],
+    [[[6.799, 53.604], [6.723, 53.591], [6.723, 53.584], [6.741, 53.579], [6.755, 53.562], [6.727, 53.577], [6.701, 53.571], [6.676, 53.576], [6.662, 53.588], [6.658, 53.599], [6.748, 53.618], [6.784, 53.62]]],
+    [[[6.874, 53.672], [6.91, 53.684], [7.047, 53.694], [7.087, 53.687]]],
+    [[[7.133, 53.707], [7.18, 53.724], [7.234, 53.729], [7.346, 53.728], [7.346, 53.723], [7.295, 53.711], [7.173, 53.701]]],
+    [[[7.367, 53.728], [7.382, 53.734], [7.403, 53.736], [7.421, 53.734], [7.436, 53.728], [7.421, 53.721]]],
+    [[[8.12, 53.721], [8.134, 53.734], [8.152, 53.74], [8.174, 53.738], [8.195, 53.728], [8.17, 53.726], [8.152, 53.714], [8.131, 53.719], [8.12, 53.714]]],
+    [[[7.519, 53.761], [7.605, 53.763], [7.627, 53.755], [7.627, 53.75], [7.515, 53.746], [7.511, 53.728], [7.472, 53.731], [7.468, 53.745], [7.475, 53.756], [7.486, 53.761]]],
+    [[[7.663, 53.761], [7.688, 53.782], [7.727, 53.787], [7.814, 53.783], [7.814, 53.777], [7.799, 53.777], [7.749, 53.761], [7.72, 53.76], [7.695, 53.77], [7.677, 53.758]]],
+    [[[7.875, 53.777], [7.853, 53.785], [7.875, 53.795], [7.915, 53.795], [7.954, 53.783], [7.875, 53.788]]],
+    [[[11.374, 53.981], [11.389, 54.005], [11.428, 54.023], [11.468, 54.032], [11.497, 54.023], [11.457, 53.961], [11.446, 53.961], [11.443, 53.967], [11.45, 53.986], [11.446, 53.998], [11.439, 53.998], [11.432, 53.989], [11.439, 53.974], [11.425, 53.967], [11.407, 53.967]]],
+    [[[11.529, 54.076], [11.533, 54.086], [11.601, 54.104], [11.616, 54.113], [11.554, 54.074], [11.54, 54.057], [11.533, 54.057]]],
+    [[[8.962, 54.523], [8.955, 54.52], [8.955, 54.51], [8.912, 54.476], [8.887, 54.469], [8.843, 54.467], [8.825, 54.471], [8.811, 54.483], [8.825, 54.486], [8.822, 54.498], [8.811, 54.503], [8.843, 54.52], [8.879, 54.53], [8.919, 54.53]]],
+    [[[11.256, 54.479], [11.313, 54.413], [11.187, 54.427], [11.169, 54.42], [11.18, 54.415], [11.112, 54.415], [11.101, 54.423], [11.104, 54.444], [11.097, 54.452], [11.058, 54.455], [11.032, 54.447], [11.025, 54.459], [11.007, 54.455], [11.007, 54.469], [11.032, 54.51], [11.072, 54.531], [11.122, 54.537], [11.205, 54.515], [11.241, 54.496]]],
+    [[[13.142, 54.597], [13.12, 54.587], [13.113, 54.55], [13.102, 54.53], [13.074, 54.51], [13.07, 54.469], [13.063, 54.469], [13.063, 54.504], [13.102, 54.596], [13.11, 54.602], [13.153, 54.606], [13.156, 54.587], [13.149, 54.591], [13.149, 54.577], [13.142, 54.577]]],
+    [[[13.7, 54.391], [13.743, 54.351], [13.765, 54.346], [13.74, 54.331], [13.729, 54.317], [13.722, 54.278], [13.689, 54.283], [13.711, 54.287], [13.711, 54.304], [13.678, 54.293], [13.65, 54.297], [13.65, 54.304], [13.704, 54.32], [13.711, 54.332], [13.66, 54.331], [13.617, 54.317], [13.689, 54.346], [13.689, 54.352], [13.65, 54.352], [13.628, 54.339], [13.599, 54.352], [13.498, 54.346], [13.48, 54.339], [13.43, 54.31], [13.405, 54.285], [13.358, 54.275], [13.354, 54.249], [13.369, 54.256], [13.362, 54.263], [13.419, 54.266], [13.426, 54.243], [13.423, 54.233], [13.408, 54.228], [13.347, 54.238], [13.311, 54.251], [13.336, 54.283], [13.308, 54.27], [13.315, 54.263], [13.293, 54.265], [13.268, 54.256], [13.243, 54.27], [13.21, 54.276], [13.2, 54.285], [13.203, 54.297], [13.189, 54.3], [13.149, 54.29], [13.142, 54.298], [13.149, 54.305], [13.178, 54.304], [13.178, 54.31], [13.117, 54.337], [13.128, 54.359], [13.149, 54.378], [13.174, 54.385], [13.203, 54.373], [13.21, 54.379], [13.225, 54.373], [13.268, 54.386], [13.25, 54.386], [13.239, 54.393], [13.239, 54.42], [13.225, 54.42], [13.21, 54.432], [13.156, 54.427], [13.182, 54.454], [13.261, 54.469], [13.261, 54.476], [13.272, 54.483], [13.232, 54.493], [13.225, 54.503], [13.232, 54.506], [13.232, 54.516], [13.185, 54.508], [13.167, 54.52], [13.16, 54.54], [13.142, 54.543], [13.167, 54.55], [13.243, 54.557], [13.29, 54.54], [13.297, 54.52], [13.308, 54.535], [13.3, 54.55], [13.333, 54.574], [13.369, 54.586], [13.344, 54.55], [13.354, 54.55], [13.362, 54.543], [13.347, 54.523], [13.362, 54.523], [13.383, 54.531], [13.39, 54.543], [13.362, 54.55], [13.362, 54.557], [13.376, 54.565], [13.416, 54.525], [13.412, 54.51], [13.43, 54.493], [13.455, 54.488], [13.506, 54.488], [13.498, 54.496], [13.52, 54.516], [13.509, 54.545], [13.498, 54.55], [13.498, 54.557], [13.52, 54.565], [13.52, 54.57], [13.509, 54.57], [13.488, 54.557], [13.441, 54.557], [13.423, 54.575], [13.398, 54.579], [13.369, 54.613], [13.333, 54.587], [13.293, 54.569], [13.272, 54.56], [13.254, 54.565], [13.25, 54.577], [13.257, 54.596], [13.282, 54.619], [13.293, 54.643], [13.29, 54.646], [13.225, 54.634], [13.225, 54.646], [13.243, 54.66], [13.254, 54.665], [13.39, 54.689], [13.419, 54.689], [13.444, 54.68], [13.444, 54.673], [13.39, 54.651], [13.383, 54.636], [13.394, 54.604], [13.408, 54.594], [13.426, 54.586], [13.466, 54.577], [13.596, 54.591], [13.639, 54.586], [13.671, 54.567], [13.678, 54.54], [13.65, 54.516], [13.585, 54.486], [13.574, 54.472], [13.588, 54.437], [13.61, 54.413], [13.678, 54.401]]],
+    [[[8.332, 54.694], [8.383, 54.64], [8.401, 54.633], [8.354, 54.619], [8.329, 54.631], [8.293, 54.667], [8.321, 54.699], [8.339, 54.71], [8.361, 54.716], [8.361, 54.71]]],
+    [[[8.498, 54.756], [8.552, 54.754], [8.577, 54.746], [8.595, 54.729], [8.566, 54.687], [8.534, 54.687], [8.512, 54.694], [8.483, 54.689], [8.451, 54.694], [8.393, 54.716], [8.437, 54.749]]],
+    [[[8.361, 54.949], [8.354, 54.913], [8.39, 54.895], [8.437, 54.888], [8.653, 54.893], [8.631, 54.883], [8.505, 54.886], [8.447, 54.866], [8.375, 54.866], [8.361, 54.878], [8.336, 54.878], [8.307, 54.866], [8.3, 54.856], [8.3, 54.776], [8.285, 54.743], [8.278, 54.756], [8.278, 54.783], [8.296, 54.913], [8.375, 55.035], [8.415, 55.065], [8.462, 55.05], [8.401, 55.048], [8.393, 55.043], [8.422, 55.041], [8.429, 55.03], [8.422, 55.016], [8.379, 55.003], [8.361, 54.987], [8.35, 54.967]]],
+    [[[8.635, 54.543], [8.699, 54.558], [8.692, 54.523], [8.671, 54.501], [8.642, 54.493], [8.62, 54.493], [8.606, 54.499], [8.595, 54.513], [8.602, 54.53]]],
+    [[[7.904, 54.18], [7.879, 54.194], [7.893, 54.195]]],
+    [[[7.911, 54.192], [7.929, 54.195], [7.933, 54.19], [7.918, 54.187]]]
+  ] },
+  { code: 'NL', name: 'Netherlands', polygons: [
+    [[[7.195, 53.245], [7.198, 53.201], [7.173, 53.145], [7.195, 53.034], [7.184, 52.966], [7.162, 52.932], [7.079, 52.855], [7.061, 52.824], [7.036, 52.647], [7.018, 52.627], [6.968, 52.637], [6.917, 52.632], [6.867, 52.642], [6.77, 52.64], [6.737, 52.635], [6.701, 52.618], [6.709, 52.608], [6.705, 52.583], [6.745, 52.559], [6.687, 52.542], [6.673, 52.542], [6.683, 52.525], [6.694, 52.475], [6.716, 52.461], [6.741, 52.453], [6.82, 52.446], [6.871, 52.434], [6.899, 52.433], [6.928, 52.433], [6.95, 52.438], [6.975, 52.451], [7.033, 52.39], [7.047, 52.365], [7.04, 52.328], [7.011, 52.286], [7.011, 52.267], [7.029, 52.235], [7.025, 52.23], [6.982, 52.215], [6.928, 52.173], [6.885, 52.161], [6.831, 52.113], [6.766, 52.108], [6.748, 52.103], [6.727, 52.086], [6.719, 52.073], [6.698, 52.063], [6.68, 52.061], [6.673, 52.049], [6.676, 52.034], [6.691, 52.027], [6.777, 52.002], [6.809, 51.98], [6.809, 51.96], [6.791, 51.951], [6.745, 51.909], [6.716, 51.899], [6.629, 51.897], [6.529, 51.877], [6.464, 51.848], [6.442, 51.848], [6.377, 51.86], [6.388, 51.838], [6.381, 51.828], [6.345, 51.821], [6.341, 51.837], [6.327, 51.843], [6.287, 51.847], [6.266, 51.867], [6.226, 51.862], [6.125, 51.897], [6.093, 51.885], [6.158, 51.842], [6.082, 51.853], [6.043, 51.847], [5.989, 51.828], [5.949, 51.823], [5.931, 51.816], [5.927, 51.806], [5.949, 51.796], [5.963, 51.776], [5.963, 51.757], [5.945, 51.747], [5.938, 51.732], [5.978, 51.73], [6.014, 51.717], [6.021, 51.71], [6.01, 51.681], [6.032, 51.663], [6.1, 51.644], [6.086, 51.622], [6.086, 51.595], [6.194, 51.509], [6.205, 51.458], [6.194, 51.399], [6.208, 51.387], [6.194, 51.345], [6.183, 51.335], [6.147, 51.318], [6.097, 51.259], [6.064, 51.232], [6.057, 51.212], [6.053, 51.19], [6.061, 51.171], [6.086, 51.163], [6.133, 51.185], [6.158, 51.18], [6.125, 51.164], [6.147, 51.153], [6.133, 51.139], [6.075, 51.121], [5.981, 51.075], [5.938, 51.031], [5.92, 51.029], [5.895, 51.048], [5.881, 51.051], [5.852, 51.043], [5.873, 50.991], [5.873, 50.965], [5.927, 50.977], [5.967, 50.97], [6.003, 50.974], [6.007, 50.969], [5.996, 50.952], [5.999, 50.93], [6.032, 50.915], [6.064, 50.908], [6.053, 50.891], [6.064, 50.871], [6.057, 50.852], [6.046, 50.844], [6.025, 50.845], [6.01, 50.84], [5.999, 50.83], [5.999, 50.801], [5.985, 50.793], [5.967, 50.795], [5.981, 50.773], [5.992, 50.769], [5.996, 50.751], [5.974, 50.747], [5.902, 50.749], [5.881, 50.754], [5.794, 50.752], [5.762, 50.771], [5.751, 50.773], [5.729, 50.754], [5.708, 50.754], [5.69, 50.761], [5.701, 50.796], [5.639, 50.815], [5.625, 50.83], [5.621, 50.852], [5.693, 50.904], [5.722, 50.911], [5.765, 50.96], [5.744, 50.964], [5.722, 50.96], [5.762, 50.999], [5.776, 51.024], [5.765, 51.034], [5.773, 51.058], [5.78, 51.061], [5.791, 51.055], [5.805, 51.068], [5.812, 51.082], [5.805, 51.097], [5.827, 51.097], [5.845, 51.104], [5.823, 51.119], [5.827, 51.131], [5.841, 51.139], [5.83, 51.156], [5.812, 51.158], [5.78, 51.153], [5.747, 51.178], [5.729, 51.183], [5.657, 51.18], [5.625, 51.197], [5.567, 51.208], [5.546, 51.22], [5.535, 51.262], [5.517, 51.278], [5.492, 51.286], [5.47, 51.288], [5.387, 51.259], [5.272, 51.262], [5.233, 51.256], [5.215, 51.259], [5.215, 51.294], [5.197, 51.308], [5.139, 51.308], [5.125, 51.313], [5.103, 51.35], [5.067, 51.374], [5.067, 51.406], [5.081, 51.438], [5.06, 51.462], [5.027, 51.477], [5.013, 51.475], [4.995, 51.446], [4.955, 51.411], [4.93, 51.396], [4.909, 51.392], [4.855, 51.406], [4.783, 51.408], [4.761, 51.413], [4.768, 51.426], [4.822, 51.414], [4.815, 51.431], [4.826, 51.46], [4.822, 51.475], [4.815, 51.484], [4.779, 51.495], [4.765, 51.495], [4.732, 51.485], [4.653, 51.426], [4.631, 51.418], [4.581, 51.423], [4.541, 51.419], [4.52, 51.428], [4.534, 51.468], [4.513, 51.477], [4.484, 51.475], [4.376, 51.443], [4.39, 51.435], [4.379, 51.409], [4.412, 51.384], [4.412, 51.357], [4.394, 51.35], [4.347, 51.352], [4.289, 51.369], [4.261, 51.369], [4.25, 51.384], [4.246, 51.414], [4.235, 51.419], [4.225, 51.409], [4.199, 51.406], [4.109, 51.408], [4.07, 51.419], [4.016, 51.448], [3.958, 51.457], [3.944, 51.45], [3.901, 51.404], [3.829, 51.391], [3.789, 51.413], [3.728, 51.431], [3.688, 51.455], [3.609, 51.445], [3.555, 51.453], [3.537, 51.46], [3.494, 51.5], [3.451, 51.529], [3.447, 51.546], [3.458, 51.555], [3.559, 51.595], [3.829, 51.612], [3.85, 51.61], [3.883, 51.597], [3.904, 51.57], [3.872, 51.556], [3.872, 51.549], [3.969, 51.543], [4.016, 51.531], [4.055, 51.509], [4.091, 51.458], [4.106, 51.446], [4.127, 51.441], [4.181, 51.446], [4.199, 51.44], [4.282, 51.448], [4.297, 51.47], [4.289, 51.492], [4.268, 51.509], [4.239, 51.519], [4.153, 51.534], [4.091, 51.534], [3.987, 51.59], [4.041, 51.607], [4.066, 51.61], [4.156, 51.609], [4.185, 51.603], [4.207, 51.59], [4.203, 51.609], [4.189, 51.617], [4.135, 51.62], [4.117, 51.63], [4.109, 51.651], [4.113, 51.671], [4.127, 51.679], [4.142, 51.685], [4.178, 51.686], [4.142, 51.703], [4.07, 51.717], [4.055, 51.73], [4.052, 51.764], [4.034, 51.784], [4.009, 51.798], [3.98, 51.809], [3.962, 51.801], [3.872, 51.788], [3.861, 51.816], [3.89, 51.828], [3.955, 51.84], [3.962, 51.847], [3.983, 51.848], [4.016, 51.843], [4.048, 51.833], [4.077, 51.843], [4.03, 51.889], [4.03, 51.896], [4.045, 51.909], [4.009, 51.98], [4.016, 51.988], [4.023, 51.994], [4.07, 51.988], [4.109, 51.992], [4.142, 52.005], [4.286, 52.113], [4.408, 52.223], [4.509, 52.336], [4.57, 52.446], [4.577, 52.482], [4.595, 52.507], [4.639, 52.701], [4.671, 52.797], [4.711, 52.863], [4.732, 52.959], [4.747, 52.968], [4.808, 52.961], [4.819, 52.968], [4.826, 52.959], [4.808, 52.929], [4.833, 52.912], [4.873, 52.904], [4.912, 52.905], [4.977, 52.936], [5.078, 52.954], [5.279, 53.062], [5.294, 53.074], [5.312, 53.083], [5.359, 53.089], [5.38, 53.098], [5.398, 53.122], [5.427, 53.191], [5.449, 53.221], [5.503, 53.257], [5.542, 53.267], [5.593, 53.302], [5.661, 53.312], [5.693, 53.331], [5.855, 53.368], [5.891, 53.385], [5.913, 53.385], [5.981, 53.407], [6.273, 53.412], [6.313, 53.398], [6.345, 53.412], [6.493, 53.439], [6.73, 53.461], [6.827, 53.451], [6.849, 53.446], [6.867, 53.434], [6.899, 53.351], [6.907, 53.351], [6.95, 53.326], [7.018, 53.306], [7.036, 53.309], [7.058, 53.302], [7.087, 53.309], [7.087, 53.302], [7.072, 53.295], [7.079, 53.267], [7.112, 53.257]]],
+    [[[3.35, 51.376], [3.512, 51.408], [3.526, 51.416], [3.541, 51.416], [3.605, 51.391], [3.703, 51.374], [3.735, 51.355], [3.832, 51.343], [3.857, 51.345], [3.955, 51.372], [3.969, 51.382], [3.983, 51.411], [4.045, 51.399], [4.07, 51.37], [4.106, 51.365], [4.12, 51.359], [4.156, 51.357], [4.181, 51.377], [4.221, 51.369], [4.207, 51.33], [4.167, 51.296], [4.12, 51.273], [3.994, 51.234], [3.951, 51.21], [3.807, 51.205], [3.782, 51.22], [3.782, 51.242], [3.775, 51.254], [3.757, 51.262], [3.609, 51.291], [3.515, 51.281], [3.505, 51.274], [3.501, 51.24], [3.454, 51.235], [3.422, 51.239], [3.393, 51.247], [3.368, 51.264], [3.353, 51.289], [3.357, 51.337]]],
+    [[[4.037, 51.686], [4.099, 51.671], [4.099, 51.654], [4.088, 51.644], [4.055, 51.632], [3.962, 51.624], [3.922, 51.632], [3.901, 51.642], [3.886, 51.668], [3.832, 51.686], [3.811, 51.7], [3.796, 51.7], [3.764, 51.678], [3.721, 51.676], [3.699, 51.681], [3.688, 51.693], [3.688, 51.725], [3.724, 51.74], [3.814, 51.749], [3.843, 51.744], [3.94, 51.742], [3.962, 51.739]]],
+    [[[4.894, 53.111], [4.894, 53.105], [4.912, 53.105], [4.894, 53.076], [4.865, 53.051], [4.819, 53.027], [4.797, 53], [4.761, 52.995], [4.725, 53.003], [4.707, 53.029], [4.732, 53.084], [4.757, 53.108], [4.804, 53.133], [4.855, 53.187], [4.887, 53.187], [4.891, 53.181], [4.887, 53.165], [4.909, 53.135], [4.909, 53.118]]],
+    [[[4.88, 53.221], [4.919, 53.253], [4.988, 53.29], [5.056, 53.314], [5.103, 53.309], [5.103, 53.302], [5.078, 53.302], [5.038, 53.292], [4.959, 53.245], [4.937, 53.226], [4.909, 53.213]]],
+    [[[5.423, 53.431], [5.438, 53.437], [5.585, 53.454], [5.56, 53.434], [5.535, 53.429], [5.474, 53.427], [5.481, 53.412], [5.47, 53.409], [5.427, 53.407], [5.207, 53.353], [5.179, 53.353], [5.168, 53.368], [5.179, 53.385], [5.233, 53.397], [5.251, 53.407], [5.405, 53.422]]],
+    [[[5.675, 53.468], [5.913, 53.474], [5.956, 53.461], [5.855, 53.447], [5.751, 53.447], [5.679, 53.431], [5.654, 53.434], [5.636, 53.449], [5.643, 53.463], [5.657, 53.471]]],
+    [[[6.212, 53.508], [6.309, 53.515], [6.338, 53.508], [6.338, 53.501], [6.154, 53.469], [6.133, 53.454], [6.125, 53.463], [6.133, 53.468], [6.122, 53.481], [6.147, 53.495]]],
+    [[[6.442, 53.557], [6.457, 53.559], [6.511, 53.544], [6.496, 53.537], [6.46, 53.544], [6.442, 53.55]]]
+  ] },
+  { code: 'BE', name: 'Belgium', polygons: [
+    [[[2.522, 51.087], [2.543, 51.097], [2.579, 51.105], [2.716, 51.17], [2.925, 51.247], [3.127, 51.33], [3.35, 51.376], [3.357, 51.337], [3.353, 51.289], [3.368, 51.264], [3.393, 51.247], [3.422, 51.239], [3.454, 51.235], [3.501, 51.24], [3.505, 51.274], [3.515, 51.281], [3.609, 51.291], [3.757, 51.262], [3.775, 51.254], [3.782, 51.242], [3.782, 51.22], [3.807, 51.205], [3.951, 51.21], [3.994, 51.234], [4.12, 51.273], [4.167, 51.296], [4.207, 51.33], [4.221, 51.369], [4.243, 51.357], [4.257, 51.328], [4.304, 51.296], [4.307, 51.284], [4.297, 51.267], [4.307, 51.271], [4.329, 51.296], [4.289, 51.31], [4.282, 51.35], [4.261, 51.369], [4.289, 51.369], [4.347, 51.352], [4.394, 51.35], [4.412, 51.357], [4.412, 51.384], [4.379, 51.409], [4.39, 51.435], [4.376, 51.443], [4.484, 51.475], [4.513, 51.477], [4.534, 51.468], [4.52, 51.428], [4.541, 51.419], [4.581, 51.423], [4.631, 51.418], [4.653, 51.426], [4.732, 51.485], [4.765, 51.495], [4.779, 51.495], [4.815, 51.484], [4.822, 51.475], [4.826, 51.46], [4.815, 51.431], [4.822, 51.414], [4.768, 51.426], [4.761, 51.413], [4.783, 51.408], [4.855, 51.406], [4.909, 51.392], [4.93, 51.396], [4.955, 51.411], [4.995, 51.446], [5.013, 51.475], [5.027, 51.477], [5.06, 51.462], [5.081, 51.438], [5.067, 51.406], [5.067, 51.374], [5.103, 51.35], [5.125, 51.313], [5.139, 51.308], [5.197, 51.308], [5.215, 51.294], [5.215, 51.259], [5.233, 51.256], [5.272, 51.262], [5.387, 51.259], [5.47, 51.288], [5.492, 51.286], [5.517, 51.278], [5.535, 51.262], [5.546, 51.22], [5.567, 51.208], [5.625, 51.197], [5.657, 51.18], [5.729, 51.183], [5.747, 51.178], [5.78, 51.153], [5.812, 51.158], [5.83, 51.156], [5.841, 51.139], [5.827, 51.131], [5.823, 51.119], [5.845, 51.104], [5.827, 51.097], [5.805, 51.097], [5.812, 51.082], [5.805, 51.068], [5.791, 51.055], [5.78, 51.061], [5.773, 51.058], [5.765, 51.034], [5.776, 51.024], [5.762, 50.999], [5.722, 50.96], [5.744, 50.964], [5.765, 50.96], [5.722, 50.911], [5.693, 50.904], [5.621, 50.852], [5.625, 50.83], [5.639, 50.815], [5.701, 50.796], [5.69, 50.761], [5.708, 50.754], [5.729, 50.754], [5.751, 50.773], [5.762, 50.771], [5.794, 50.752], [5.881, 50.754], [5.902, 50.749], [5.974, 50.747], [5.996, 50.751], [5.992, 50.744], [6.01, 50.737], [6.01, 50.709], [6.025, 50.707], [6.064, 50.715], [6.082, 50.714], [6.1, 50.702], [6.161, 50.643], [6.147, 50.636], [6.158, 50.622], [6.179, 50.616], [6.248, 50.614], [6.251, 50.609], [6.233, 50.587], [6.179, 50.562], [6.161, 50.543], [6.176, 50.53], [6.169, 50.523], [6.172, 50.518], [6.19, 50.516], [6.183, 50.506], [6.208, 50.486], [6.259, 50.494], [6.277, 50.487], [6.338, 50.481], [6.323, 50.465], [6.331, 50.447], [6.352, 50.433], [6.338, 50.367], [6.374, 50.329], [6.374, 50.315], [6.363, 50.307], [6.334, 50.303], [6.298, 50.308], [6.287, 50.303], [6.269, 50.286], [6.266, 50.276], [6.273, 50.268], [6.255, 50.256], [6.19, 50.242], [6.147, 50.214], [6.161, 50.205], [6.165, 50.182], [6.151, 50.17], [6.122, 50.165], [6.115, 50.146], [6.129, 50.134], [6.118, 50.121], [6.104, 50.124], [6.097, 50.151], [6.086, 50.16], [6.039, 50.148], [6.014, 50.153], [5.999, 50.175], [5.981, 50.166], [5.96, 50.165], [5.942, 50.128], [5.927, 50.118], [5.888, 50.107], [5.873, 50.097], [5.859, 50.062], [5.837, 50.047], [5.837, 50.018], [5.801, 50.003], [5.801, 49.989], [5.812, 49.977], [5.794, 49.959], [5.773, 49.954], [5.758, 49.942], [5.755, 49.93], [5.719, 49.891], [5.715, 49.881], [5.747, 49.868], [5.758, 49.857], [5.733, 49.859], [5.726, 49.846], [5.737, 49.839], [5.719, 49.825], [5.737, 49.788], [5.773, 49.78], [5.78, 49.773], [5.805, 49.738], [5.805, 49.722], [5.837, 49.712], [5.852, 49.714], [5.859, 49.7], [5.848, 49.692], [5.848, 49.68], [5.841, 49.673], [5.852, 49.663], [5.881, 49.658], [5.884, 49.643], [5.83, 49.582], [5.848, 49.577], [5.837, 49.56], [5.816, 49.545], [5.791, 49.538], [5.747, 49.55], [5.711, 49.532], [5.643, 49.543], [5.607, 49.525], [5.603, 49.513], [5.546, 49.523], [5.477, 49.494], [5.456, 49.5], [5.449, 49.508], [5.456, 49.537], [5.402, 49.603], [5.384, 49.613], [5.333, 49.626], [5.323, 49.613], [5.297, 49.613], [5.29, 49.626], [5.294, 49.641], [5.305, 49.648], [5.301, 49.663], [5.258, 49.692], [5.193, 49.684], [5.168, 49.687], [5.135, 49.706], [5.081, 49.753], [5.027, 49.766], [4.97, 49.797], [4.948, 49.797], [4.905, 49.787], [4.858, 49.787], [4.847, 49.795], [4.847, 49.837], [4.837, 49.847], [4.837, 49.859], [4.855, 49.883], [4.862, 49.913], [4.844, 49.932], [4.797, 49.944], [4.783, 49.959], [4.826, 50.036], [4.826, 50.063], [4.847, 50.091], [4.851, 50.092], [4.862, 50.084], [4.873, 50.139], [4.862, 50.148], [4.833, 50.143], [4.819, 50.146], [4.815, 50.161], [4.79, 50.153], [4.682, 50.084], [4.675, 50.075], [4.682, 50.048], [4.675, 50.016], [4.657, 49.989], [4.646, 49.984], [4.603, 49.981], [4.466, 49.935], [4.433, 49.932], [4.279, 49.96], [4.199, 49.954], [4.131, 49.976], [4.138, 49.974], [4.135, 50.004], [4.127, 50.006], [4.131, 50.018], [4.163, 50.042], [4.21, 50.06], [4.181, 50.128], [4.171, 50.131], [4.138, 50.124], [4.127, 50.128], [4.127, 50.146], [4.156, 50.212], [4.203, 50.241], [4.203, 50.253], [4.185, 50.266], [4.163, 50.273], [4.149, 50.27], [4.153, 50.256], [4.145, 50.251], [4.124, 50.258], [4.099, 50.295], [4.055, 50.315], [4.023, 50.339], [4.005, 50.344], [3.983, 50.342], [3.919, 50.325], [3.897, 50.325], [3.839, 50.345], [3.757, 50.347], [3.742, 50.344], [3.71, 50.307], [3.699, 50.305], [3.695, 50.298], [3.663, 50.318], [3.652, 50.361], [3.645, 50.445], [3.609, 50.477], [3.562, 50.487], [3.497, 50.487], [3.487, 50.492], [3.497, 50.504], [3.497, 50.513], [3.476, 50.519], [3.461, 50.519], [3.429, 50.503], [3.361, 50.489], [3.299, 50.508], [3.271, 50.526], [3.263, 50.57], [3.231, 50.656], [3.245, 50.671], [3.224, 50.705], [3.199, 50.709], [3.188, 50.715], [3.163, 50.751], [3.13, 50.779], [3.105, 50.785], [2.947, 50.749], [2.9, 50.703], [2.885, 50.697], [2.788, 50.724], [2.767, 50.734], [2.745, 50.766], [2.705, 50.79], [2.691, 50.808], [2.68, 50.813], [2.651, 50.812], [2.619, 50.817], [2.608, 50.835], [2.587, 50.845], [2.597, 50.867], [2.576, 50.911], [2.612, 50.942], [2.608, 50.962], [2.558, 51.001], [2.536, 51.065]]]
+  ] },
+  { code: 'FR', name: 'France', polygons: [
+    [[[2.522, 51.087], [2.536, 51.065], [2.558, 51.001], [2.608, 50.962], [2.612, 50.942], [2.576, 50.911], [2.597, 50.867], [2.587, 50.845], [2.608, 50.835], [2.619, 50.817], [2.651, 50.812], [2.68, 50.813], [2.691, 50.808], [2.705, 50.79], [2.745, 50.766], [2.767, 50.734], [2.788, 50.724], [2.885, 50.697], [2.9, 50.703], [2.947, 50.749], [3.105, 50.785], [3.13, 50.779], [3.163, 50.751], [3.188, 50.715], [3.199, 50.709], [3.224, 50.705], [3.245, 50.671], [3.231, 50.656], [3.263, 50.57], [3.271, 50.526], [3.299, 50.508], [3.361, 50.489], [3.429, 50.503], [3.461, 50.519], [3.476, 50.519], [3.497, 50.513], [3.497, 50.504], [3.487, 50.492], [3.497, 50.487], [3.562, 50.487], [3.609, 50.477], [3.645, 50.445], [3.652, 50.361], [3.663, 50.318], [3.695, 50.298], [3.699, 50.305], [3.71, 50.307], [3.742, 50.344], [3.757, 50.347], [3.839, 50.345], [3.897, 50.325], [3.919, 50.325], [3.983, 50.342], [4.005, 50.344], [4.023, 50.339], [4.055, 50.315], [4.099, 50.295], [4.124, 50.258], [4.145, 50.251], [4.153, 50.256], [4.149, 50.27], [4.163, 50.273], [4.185, 50.266], [4.203, 50.253], [4.203, 50.241], [4.156, 50.212], [4.127, 50.146], [4.127, 50.128], [4.138, 50.124], [4.171, 50.131], [4.181, 50.128], [4.21, 50.06], [4.163, 50.042], [4.131, 50.018], [4.127, 50.006], [4.135, 50.004], [4.138, 49.974], [4.131, 49.976], [4.199, 49.954], [4.279, 49.96], [4.433, 49.932], [4.466, 49.935], [4.603, 49.981], [4.646, 49.984], [4.657, 49.989], [4.675, 50.016], [4.682, 50.048], [4.675, 50.075], [4.682, 50.084], [4.79, 50.153], [4.815, 50.161], [4.819, 50.146], [4.833, 50.143], [4.862, 50.148], [4.873, 50.139], [4.862, 50.084], [4.851, 50.092], [4.847, 50.091], [4.826, 50.063], [4.826, 50.036], [4.783, 49.959], [4.797, 49.944], [4.844, 49.932], [4.862, 49.913], [4.855, 49.883], [4.837, 49.859], [4.837, 49.847], [4.847, 49.837], [4.847, 49.795], [4.858, 49.787], [4.905, 49.787], [4.948, 49.797], [4.97, 49.797], [5.027, 49.766], [5.081, 49.753], [5.135, 49.706], [5.168, 49.687], [5.193, 49.684], [5.258, 49.692], [5.301, 49.663], [5.305, 49.648], [5.294, 49.641], [5.29, 49.626], [5.297, 49.613], [5.323, 49.613], [5.333, 49.626], [5.384, 49.613], [5.402, 49.603], [5.456, 49.537], [5.449, 49.508], [5.456, 49.5], [5.477, 49.494], [5.546, 49.523], [5.603, 49.513], [5.607, 49.525], [5.643, 49.543], [5.711, 49.532], [5.747, 49.55], [5.791, 49.538], [5.841, 49.5], [5.927, 49.483], [5.945, 49.469], [5.96, 49.442], [6.079, 49.452], [6.089, 49.462], [6.1, 49.464], [6.1, 49.476], [6.107, 49.483], [6.143, 49.486], [6.136, 49.494], [6.194, 49.5], [6.223, 49.498], [6.248, 49.491], [6.298, 49.466], [6.345, 49.456], [6.363, 49.456], [6.392, 49.467], [6.403, 49.466], [6.496, 49.435], [6.511, 49.425], [6.521, 49.408], [6.518, 49.402], [6.579, 49.356], [6.572, 49.348], [6.554, 49.348], [6.55, 49.337], [6.557, 49.326], [6.64, 49.272], [6.64, 49.253], [6.665, 49.245], [6.68, 49.207], [6.701, 49.214], [6.709, 49.197], [6.701, 49.174], [6.712, 49.158], [6.82, 49.148], [6.838, 49.163], [6.827, 49.196], [6.835, 49.209], [6.885, 49.204], [6.914, 49.207], [6.989, 49.182], [7.011, 49.182], [7.007, 49.147], [7.022, 49.12], [7.043, 49.108], [7.072, 49.12], [7.072, 49.136], [7.087, 49.142], [7.123, 49.123], [7.155, 49.115], [7.241, 49.115], [7.274, 49.104], [7.295, 49.128], [7.335, 49.135], [7.349, 49.158], [7.371, 49.167], [7.411, 49.169], [7.414, 49.158], [7.475, 49.152], [7.483, 49.136], [7.472, 49.128], [7.508, 49.094], [7.544, 49.074], [7.609, 49.062], [7.634, 49.039], [7.648, 49.035], [7.684, 49.044], [7.727, 49.035], [7.774, 49.049], [7.857, 49.032], [7.933, 49.035], [8.091, 48.979], [8.188, 48.966], [8.199, 48.959], [8.149, 48.903], [8.091, 48.807], [8.048, 48.79], [8.037, 48.79], [8.026, 48.78], [8.023, 48.765], [8.015, 48.762], [7.969, 48.757], [7.965, 48.73], [7.958, 48.721], [7.882, 48.667], [7.853, 48.659], [7.81, 48.615], [7.803, 48.547], [7.814, 48.52], [7.789, 48.507], [7.771, 48.49], [7.771, 48.469], [7.749, 48.444], [7.738, 48.407], [7.753, 48.355], [7.749, 48.341], [7.738, 48.326], [7.702, 48.311], [7.688, 48.253], [7.612, 48.179], [7.605, 48.152], [7.58, 48.115], [7.573, 48.095], [7.576, 48.054], [7.619, 48.003], [7.619, 47.971], [7.612, 47.96], [7.583, 47.941], [7.58, 47.905], [7.558, 47.884], [7.565, 47.85], [7.562, 47.84], [7.544, 47.83], [7.526, 47.784], [7.537, 47.732], [7.511, 47.708], [7.522, 47.671], [7.537, 47.666], [7.573, 47.622], [7.591, 47.608], [7.594, 47.598], [7.587, 47.585], [7.526, 47.566], [7.483, 47.542], [7.504, 47.532], [7.504, 47.522], [7.493, 47.515], [7.475, 47.515], [7.486, 47.493], [7.468, 47.482], [7.425, 47.492], [7.414, 47.49], [7.418, 47.478], [7.429, 47.472], [7.425, 47.456], [7.407, 47.438], [7.389, 47.433], [7.31, 47.433], [7.238, 47.417], [7.22, 47.429], [7.169, 47.443], [7.162, 47.46], [7.18, 47.488], [7.155, 47.487], [7.105, 47.497], [7.054, 47.49], [7.011, 47.499], [6.975, 47.488], [6.989, 47.453], [6.968, 47.434], [6.925, 47.424], [6.925, 47.406], [6.899, 47.396], [6.871, 47.367], [6.867, 47.353], [6.986, 47.362], [7.004, 47.369], [7.043, 47.34], [7.036, 47.33], [7.007, 47.32], [6.993, 47.306], [6.979, 47.304], [6.957, 47.291], [6.957, 47.245], [6.889, 47.211], [6.86, 47.191], [6.842, 47.169], [6.773, 47.129], [6.745, 47.12], [6.745, 47.103], [6.723, 47.092], [6.698, 47.085], [6.676, 47.063], [6.687, 47.044], [6.665, 47.021], [6.597, 46.987], [6.493, 46.963], [6.442, 46.945], [6.428, 46.909], [6.449, 46.872], [6.442, 46.848], [6.417, 46.806], [6.431, 46.786], [6.428, 46.761], [6.417, 46.751], [6.374, 46.734], [6.338, 46.707], [6.266, 46.68], [6.118, 46.583], [6.122, 46.57], [6.147, 46.551], [6.064, 46.472], [6.061, 46.455], [6.068, 46.433], [6.053, 46.42], [6.107, 46.396], [6.136, 46.371], [6.136, 46.359], [6.1, 46.301], [6.089, 46.246], [6.061, 46.241], [6.046, 46.244], [5.96, 46.212], [5.956, 46.2], [5.963, 46.187], [5.981, 46.171], [5.981, 46.163], [5.96, 46.131], [5.981, 46.141], [6.028, 46.148], [6.075, 46.149], [6.107, 46.139], [6.14, 46.149], [6.19, 46.192], [6.255, 46.22], [6.28, 46.241], [6.277, 46.263], [6.269, 46.266], [6.251, 46.259], [6.237, 46.268], [6.215, 46.315], [6.219, 46.328], [6.269, 46.376], [6.302, 46.394], [6.399, 46.408], [6.482, 46.448], [6.547, 46.457], [6.615, 46.457], [6.763, 46.43], [6.777, 46.425], [6.788, 46.414], [6.788, 46.396], [6.781, 46.379], [6.755, 46.357], [6.752, 46.345], [6.77, 46.323], [6.806, 46.296], [6.827, 46.269], [6.791, 46.222], [6.773, 46.187], [6.766, 46.151], [6.773, 46.134], [6.853, 46.122], [6.871, 46.112], [6.849, 46.085], [6.849, 46.053], [6.86, 46.045], [6.871, 46.045], [6.892, 46.055], [6.914, 46.048], [6.986, 45.992], [7.022, 45.925], [6.997, 45.911], [6.968, 45.869], [6.95, 45.857], [6.907, 45.845], [6.874, 45.845], [6.871, 45.829], [6.863, 45.827], [6.86, 45.834], [6.842, 45.839], [6.802, 45.827], [6.788, 45.812], [6.781, 45.778], [6.795, 45.719], [6.817, 45.697], [6.842, 45.683], [6.881, 45.675], [6.917, 45.653], [6.964, 45.641], [6.968, 45.621], [6.953, 45.585], [6.971, 45.567], [6.975, 45.526], [6.982, 45.511], [7.072, 45.471], [7.097, 45.435], [7.162, 45.411], [7.151, 45.383], [7.094, 45.324], [7.108, 45.259], [7.079, 45.243], [7.054, 45.214], [7.029, 45.227], [6.957, 45.211], [6.914, 45.17], [6.874, 45.167], [6.867, 45.158], [6.878, 45.148], [6.878, 45.141], [6.845, 45.129], [6.77, 45.153], [6.737, 45.158], [6.701, 45.141], [6.676, 45.141], [6.633, 45.126], [6.604, 45.104], [6.619, 45.084], [6.637, 45.074], [6.64, 45.05], [6.651, 45.035], [6.662, 45.03], [6.698, 45.026], [6.723, 45.013], [6.73, 44.984], [6.727, 44.929], [6.745, 44.908], [6.777, 44.888], [6.845, 44.859], [6.867, 44.856], [6.914, 44.863], [6.982, 44.847], [7.007, 44.822], [6.997, 44.793], [7.011, 44.771], [7.018, 44.739], [7.051, 44.697], [7.054, 44.685], [6.982, 44.692], [6.961, 44.684], [6.943, 44.667], [6.935, 44.647], [6.946, 44.626], [6.932, 44.618], [6.896, 44.576], [6.845, 44.547], [6.835, 44.533], [6.838, 44.503], [6.86, 44.474], [6.917, 44.435], [6.885, 44.424], [6.878, 44.415], [6.867, 44.383], [6.871, 44.363], [6.903, 44.331], [6.921, 44.302], [6.961, 44.277], [6.968, 44.258], [6.982, 44.241], [6.997, 44.238], [7.033, 44.243], [7.047, 44.24], [7.144, 44.208], [7.27, 44.153], [7.31, 44.147], [7.321, 44.132], [7.342, 44.123], [7.382, 44.123], [7.555, 44.159], [7.583, 44.16], [7.623, 44.18], [7.655, 44.175], [7.641, 44.143], [7.655, 44.125], [7.677, 44.11], [7.691, 44.084], [7.691, 44.067], [7.652, 44.04], [7.63, 43.993], [7.558, 43.944], [7.537, 43.92], [7.493, 43.887], [7.479, 43.865], [7.483, 43.839], [7.501, 43.792], [7.49, 43.785], [7.475, 43.784], [7.479, 43.768], [7.461, 43.762], [7.436, 43.743], [7.425, 43.755], [7.407, 43.763], [7.389, 43.758], [7.371, 43.747], [7.367, 43.723], [7.342, 43.708], [7.331, 43.686], [7.281, 43.692], [7.256, 43.691], [7.241, 43.684], [7.227, 43.674], [7.231, 43.664], [7.205, 43.644], [7.198, 43.657], [7.177, 43.66], [7.166, 43.655], [7.151, 43.655], [7.137, 43.642], [7.126, 43.606], [7.141, 43.554], [7.126, 43.547], [7.112, 43.564], [7.087, 43.569], [7.036, 43.535], [7.029, 43.547], [6.975, 43.547], [6.961, 43.541], [6.946, 43.527], [6.943, 43.512], [6.953, 43.505], [6.953, 43.5], [6.925, 43.473], [6.921, 43.449], [6.899, 43.438], [6.892, 43.427], [6.871, 43.426], [6.863, 43.439], [6.856, 43.436], [6.86, 43.416], [6.845, 43.412], [6.82, 43.416], [6.784, 43.409], [6.773, 43.419], [6.755, 43.422], [6.73, 43.407], [6.734, 43.382], [6.719, 43.367], [6.719, 43.351], [6.676, 43.346], [6.662, 43.323], [6.626, 43.296], [6.597, 43.284], [6.59, 43.269], [6.611, 43.264], [6.673, 43.275], [6.694, 43.274], [6.698, 43.265], [6.687, 43.248], [6.669, 43.24], [6.665, 43.221], [6.68, 43.201], [6.662, 43.191], [6.611, 43.174], [6.601, 43.176], [6.593, 43.188], [6.539, 43.183], [6.525, 43.161], [6.507, 43.15], [6.478, 43.156], [6.421, 43.152], [6.403, 43.147], [6.377, 43.135], [6.367, 43.118], [6.374, 43.091], [6.341, 43.091], [6.327, 43.105], [6.28, 43.118], [6.219, 43.117], [6.161, 43.093], [6.154, 43.073], [6.154, 43.047], [6.172, 43.042], [6.187, 43.046], [6.179, 43.036], [6.097, 43.031], [6.089, 43.036], [6.133, 43.053], [6.129, 43.071], [6.111, 43.085], [6.028, 43.078], [6.017, 43.098], [5.992, 43.103], [5.96, 43.101], [5.935, 43.113], [5.942, 43.134], [5.909, 43.132], [5.881, 43.12], [5.895, 43.115], [5.909, 43.093], [5.953, 43.08], [5.942, 43.071], [5.888, 43.073], [5.877, 43.069], [5.855, 43.044], [5.819, 43.054], [5.791, 43.069], [5.783, 43.08], [5.819, 43.1], [5.812, 43.107], [5.783, 43.115], [5.776, 43.13], [5.74, 43.132], [5.697, 43.147], [5.675, 43.179], [5.636, 43.188], [5.621, 43.177], [5.611, 43.161], [5.571, 43.169], [5.539, 43.208], [5.524, 43.213], [5.503, 43.206], [5.395, 43.213], [5.369, 43.208], [5.348, 43.216], [5.369, 43.27], [5.359, 43.28], [5.341, 43.335], [5.294, 43.355], [5.24, 43.328], [5.063, 43.328], [5.035, 43.336], [5.013, 43.358], [5.006, 43.382], [5.027, 43.409], [5.056, 43.422], [5.146, 43.422], [5.175, 43.429], [5.215, 43.458], [5.225, 43.48], [5.222, 43.503], [5.193, 43.49], [5.164, 43.483], [5.139, 43.486], [5.117, 43.503], [5.107, 43.534], [5.085, 43.539], [5.053, 43.539], [5.027, 43.559], [5.009, 43.525], [5.013, 43.498], [5.049, 43.476], [5.063, 43.451], [5.053, 43.429], [5.027, 43.417], [4.999, 43.414], [4.93, 43.441], [4.901, 43.432], [4.894, 43.426], [4.869, 43.421], [4.858, 43.416], [4.851, 43.402], [4.869, 43.365], [4.901, 43.367], [4.855, 43.341], [4.851, 43.358], [4.833, 43.382], [4.793, 43.399], [4.757, 43.422], [4.743, 43.449], [4.743, 43.525], [4.725, 43.557], [4.696, 43.579], [4.696, 43.573], [4.729, 43.529], [4.729, 43.456], [4.743, 43.422], [4.768, 43.402], [4.801, 43.387], [4.822, 43.367], [4.819, 43.346], [4.667, 43.348], [4.592, 43.36], [4.567, 43.372], [4.567, 43.389], [4.585, 43.404], [4.588, 43.417], [4.581, 43.431], [4.513, 43.456], [4.408, 43.448], [4.207, 43.459], [4.181, 43.465], [4.131, 43.486], [4.117, 43.51], [4.131, 43.535], [4.106, 43.552], [4.048, 43.556], [3.991, 43.551], [3.955, 43.541], [3.739, 43.412], [3.623, 43.375], [3.591, 43.355], [3.512, 43.28], [3.494, 43.274], [3.451, 43.289], [3.386, 43.284], [3.317, 43.264], [3.245, 43.22], [3.177, 43.166], [3.155, 43.135], [3.112, 43.107], [3.098, 43.073], [3.069, 43.027], [3.04, 42.943], [3.04, 42.933], [3.055, 42.928], [3.055, 42.907], [3.04, 42.791], [3.04, 42.629], [3.051, 42.554], [3.065, 42.543], [3.087, 42.534], [3.137, 42.526], [3.145, 42.516], [3.145, 42.492], [3.177, 42.456], [3.181, 42.431], [3.112, 42.424], [3.087, 42.428], [3.065, 42.433], [3.044, 42.445], [3.029, 42.465], [2.983, 42.47], [2.965, 42.462], [2.932, 42.47], [2.9, 42.451], [2.849, 42.448], [2.806, 42.419], [2.788, 42.413], [2.767, 42.409], [2.727, 42.414], [2.691, 42.406], [2.648, 42.382], [2.641, 42.372], [2.648, 42.353], [2.662, 42.343], [2.662, 42.338], [2.612, 42.342], [2.569, 42.353], [2.547, 42.352], [2.525, 42.326], [2.504, 42.328], [2.464, 42.34], [2.428, 42.367], [2.421, 42.384], [2.374, 42.389], [2.317, 42.409], [2.277, 42.429], [2.183, 42.413], [2.137, 42.416], [2.115, 42.406], [2.104, 42.386], [2.079, 42.372], [2.065, 42.359], [2.05, 42.352], [2.011, 42.347], [1.996, 42.348], [1.964, 42.367], [1.953, 42.382], [1.942, 42.419], [1.928, 42.436], [1.87, 42.446], [1.791, 42.482], [1.712, 42.494], [1.708, 42.502], [1.712, 42.527], [1.723, 42.549], [1.741, 42.561], [1.766, 42.563], [1.751, 42.576], [1.712, 42.59], [1.723, 42.61], [1.607, 42.619], [1.543, 42.649], [1.528, 42.649], [1.499, 42.641], [1.467, 42.642], [1.453, 42.602], [1.431, 42.595], [1.417, 42.61], [1.399, 42.644], [1.377, 42.662], [1.363, 42.686], [1.337, 42.695], [1.341, 42.708], [1.319, 42.713], [1.197, 42.713], [1.15, 42.706], [1.136, 42.716], [1.107, 42.76], [1.089, 42.771], [1.067, 42.776], [0.985, 42.781], [0.949, 42.796], [0.92, 42.784], [0.887, 42.804], [0.855, 42.813], [0.812, 42.831], [0.758, 42.835], [0.707, 42.847], [0.679, 42.845], [0.657, 42.838], [0.65, 42.825], [0.653, 42.803], [0.639, 42.774], [0.65, 42.764], [0.632, 42.745], [0.646, 42.742], [0.661, 42.73], [0.668, 42.715], [0.664, 42.696], [0.657, 42.688], [0.643, 42.684], [0.607, 42.688], [0.484, 42.686], [0.466, 42.691], [0.43, 42.683], [0.391, 42.684], [0.383, 42.688], [0.383, 42.7], [0.355, 42.718], [0.337, 42.713], [0.29, 42.671], [0.275, 42.669], [0.239, 42.71], [0.167, 42.727], [0.153, 42.725], [0.135, 42.715], [0.074, 42.708], [-0.005, 42.688], [-0.038, 42.684], [-0.077, 42.696], [-0.095, 42.711], [-0.121, 42.716], [-0.128, 42.735], [-0.146, 42.745], [-0.157, 42.76], [-0.164, 42.777], [-0.16, 42.796], [-0.207, 42.784], [-0.236, 42.786], [-0.247, 42.804], [-0.308, 42.831], [-0.322, 42.843], [-0.337, 42.825], [-0.344, 42.823], [-0.351, 42.83], [-0.423, 42.791], [-0.455, 42.789], [-0.509, 42.808], [-0.535, 42.808], [-0.535, 42.784], [-0.571, 42.772], [-0.578, 42.777], [-0.581, 42.796], [-0.61, 42.799], [-0.607, 42.808], [-0.65, 42.85], [-0.7, 42.877], [-0.729, 42.877], [-0.74, 42.885], [-0.747, 42.894], [-0.74, 42.911], [-0.761, 42.946], [-0.787, 42.953], [-0.862, 42.943], [-0.945, 42.948], [-0.981, 42.956], [-1.028, 42.987], [-1.078, 42.993], [-1.111, 43.009], [-1.15, 43.005], [-1.183, 43.026], [-1.219, 43.039], [-1.276, 43.047], [-1.312, 43.069], [-1.316, 43.083], [-1.309, 43.096], [-1.287, 43.11], [-1.309, 43.113], [-1.33, 43.107], [-1.348, 43.093], [-1.366, 43.034], [-1.384, 43.029], [-1.409, 43.031], [-1.435, 43.036], [-1.456, 43.046], [-1.489, 43.081], [-1.438, 43.123], [-1.409, 43.167], [-1.399, 43.206], [-1.402, 43.243], [-1.431, 43.265], [-1.467, 43.26], [-1.507, 43.277], [-1.539, 43.284], [-1.561, 43.284], [-1.575, 43.277], [-1.586, 43.252], [-1.611, 43.245], [-1.64, 43.255], [-1.647, 43.272], [-1.643, 43.292], [-1.672, 43.304], [-1.726, 43.297], [-1.748, 43.291], [-1.755, 43.319], [-1.769, 43.331], [-1.798, 43.341], [-1.795, 43.385], [-1.777, 43.377], [-1.769, 43.383], [-1.751, 43.389], [-1.661, 43.4], [-1.636, 43.424], [-1.597, 43.443], [-1.553, 43.502], [-1.478, 43.579], [-1.471, 43.611], [-1.445, 43.669], [-1.406, 43.833], [-1.381, 43.89], [-1.345, 44.018], [-1.28, 44.302], [-1.247, 44.505], [-1.258, 44.555], [-1.226, 44.589], [-1.226, 44.603], [-1.208, 44.648], [-1.186, 44.665], [-1.161, 44.667], [-1.1, 44.655], [-1.064, 44.658], [-1.046, 44.67], [-1.046, 44.685], [-1.067, 44.704], [-1.057, 44.704], [-1.064, 44.717], [-1.139, 44.768], [-1.172, 44.778], [-1.233, 44.707], [-1.244, 44.663], [-1.262, 44.628], [-1.201, 45.121], [-1.157, 45.28], [-1.139, 45.491], [-1.085, 45.569], [-1.067, 45.574], [-1.057, 45.565], [-1.057, 45.547], [-1.064, 45.533], [-1.049, 45.514], [-0.974, 45.471], [-0.916, 45.45], [-0.794, 45.356], [-0.765, 45.325], [-0.74, 45.239], [-0.722, 45.146], [-0.682, 45.077], [-0.65, 45.045], [-0.61, 45.018], [-0.578, 45.005], [-0.56, 44.986], [-0.563, 44.961], [-0.556, 44.918], [-0.549, 44.902], [-0.535, 44.895], [-0.542, 44.937], [-0.549, 44.949], [-0.538, 44.976], [-0.549, 44.998], [-0.596, 45.025], [-0.538, 45.02], [-0.495, 44.998], [-0.52, 45.03], [-0.603, 45.053], [-0.639, 45.074], [-0.657, 45.099], [-0.718, 45.361], [-0.772, 45.452], [-0.794, 45.477], [-0.841, 45.514], [-0.985, 45.587], [-0.992, 45.611], [-1.031, 45.623], [-1.085, 45.66], [-1.15, 45.678], [-1.193, 45.71], [-1.229, 45.705], [-1.247, 45.71], [-1.229, 45.793], [-1.165, 45.807], [-1.143, 45.807], [-1.082, 45.754], [-1.057, 45.741], [-0.988, 45.717], [-1.01, 45.736], [-1.1, 45.786], [-1.125, 45.808], [-1.132, 45.817], [-1.136, 45.844], [-1.15, 45.867], [-1.132, 45.878], [-1.114, 45.896], [-1.096, 45.903], [-1.075, 45.905], [-1.067, 45.916], [-1.075, 45.937], [-1.089, 45.95], [-1.067, 45.964], [-1.085, 45.972], [-1.111, 46.018], [-1.089, 46.008], [-1.075, 46.008], [-1.06, 46.016], [-1.049, 46.04], [-1.064, 46.051], [-1.085, 46.057], [-1.096, 46.102], [-1.114, 46.105], [-1.129, 46.116], [-1.129, 46.121], [-1.118, 46.127], [-1.139, 46.141], [-1.154, 46.144], [-1.15, 46.156], [-1.201, 46.16], [-1.211, 46.166], [-1.211, 46.175], [-1.186, 46.197], [-1.19, 46.217], [-1.179, 46.229], [-1.111, 46.259], [-1.103, 46.273], [-1.111, 46.303], [-1.132, 46.323], [-1.179, 46.327], [-1.215, 46.311], [-1.211, 46.279], [-1.24, 46.284], [-1.276, 46.32], [-1.305, 46.323], [-1.355, 46.35], [-1.37, 46.354], [-1.424, 46.342], [-1.449, 46.344], [-1.467, 46.389], [-1.481, 46.408], [-1.503, 46.42], [-1.6, 46.425], [-1.625, 46.431], [-1.618, 46.443], [-1.633, 46.455], [-1.687, 46.46], [-1.719, 46.482], [-1.762, 46.492], [-1.787, 46.533], [-1.78, 46.496], [-1.787, 46.49], [-1.795, 46.494], [-1.805, 46.504], [-1.827, 46.577], [-1.823, 46.595], [-1.838, 46.599], [-1.856, 46.636], [-1.899, 46.666], [-1.91, 46.691], [-1.924, 46.7], [-1.957, 46.705], [-1.996, 46.752], [-2.05, 46.793], [-2.119, 46.82], [-2.133, 46.872], [-2.129, 46.894], [-2.122, 46.904], [-2.097, 46.916], [-2.101, 46.931], [-2.05, 46.958], [-2.036, 46.973], [-2.021, 47.009], [-2.007, 47.026], [-1.989, 47.036], [-2.003, 47.07], [-2.029, 47.092], [-2.09, 47.115], [-2.205, 47.129], [-2.241, 47.142], [-2.205, 47.161], [-2.165, 47.168], [-2.158, 47.205], [-2.169, 47.22], [-2.173, 47.247], [-2.162, 47.271], [-2.129, 47.287], [-2.036, 47.293], [-2.014, 47.299], [-2, 47.289], [-1.949, 47.279], [-1.931, 47.279], [-1.939, 47.286], [-1.906, 47.281], [-1.899, 47.274], [-1.921, 47.274], [-1.921, 47.266], [-1.877, 47.245], [-1.838, 47.24], [-1.805, 47.218], [-1.78, 47.211], [-1.726, 47.211], [-1.748, 47.22], [-1.787, 47.225], [-1.834, 47.26], [-1.906, 47.294], [-1.924, 47.299], [-1.949, 47.299], [-1.971, 47.313], [-2.011, 47.32], [-2.147, 47.313], [-2.18, 47.299], [-2.205, 47.274], [-2.237, 47.267], [-2.259, 47.252], [-2.277, 47.247], [-2.299, 47.247], [-2.317, 47.252], [-2.356, 47.281], [-2.371, 47.286], [-2.407, 47.286], [-2.417, 47.276], [-2.417, 47.266], [-2.45, 47.267], [-2.543, 47.299], [-2.543, 47.308], [-2.475, 47.291], [-2.453, 47.293], [-2.435, 47.308], [-2.482, 47.348], [-2.493, 47.343], [-2.489, 47.33], [-2.493, 47.321], [-2.5, 47.321], [-2.504, 47.35], [-2.515, 47.365], [-2.558, 47.384], [-2.475, 47.416], [-2.439, 47.411], [-2.446, 47.402], [-2.439, 47.396], [-2.396, 47.417], [-2.392, 47.424], [-2.432, 47.426], [-2.45, 47.431], [-2.439, 47.445], [-2.457, 47.453], [-2.475, 47.453], [-2.489, 47.46], [-2.482, 47.478], [-2.493, 47.492], [-2.482, 47.499], [-2.363, 47.507], [-2.425, 47.507], [-2.518, 47.529], [-2.561, 47.52], [-2.601, 47.52], [-2.615, 47.514], [-2.633, 47.52], [-2.615, 47.522], [-2.601, 47.529], [-2.583, 47.541], [-2.576, 47.554], [-2.594, 47.544], [-2.637, 47.541], [-2.623, 47.537], [-2.619, 47.527], [-2.644, 47.527], [-2.666, 47.534], [-2.666, 47.51], [-2.68, 47.504], [-2.713, 47.512], [-2.731, 47.512], [-2.781, 47.5], [-2.817, 47.499], [-2.842, 47.512], [-2.867, 47.542], [-2.889, 47.546], [-2.893, 47.554], [-2.911, 47.558], [-2.893, 47.566], [-2.864, 47.566], [-2.849, 47.546], [-2.842, 47.546], [-2.831, 47.554], [-2.817, 47.546], [-2.81, 47.568], [-2.795, 47.556], [-2.77, 47.549], [-2.741, 47.551], [-2.72, 47.561], [-2.727, 47.568], [-2.687, 47.605], [-2.684, 47.624], [-2.705, 47.642], [-2.695, 47.624], [-2.713, 47.617], [-2.698, 47.61], [-2.709, 47.602], [-2.72, 47.602], [-2.774, 47.629], [-2.734, 47.622], [-2.745, 47.634], [-2.788, 47.642], [-2.774, 47.637], [-2.795, 47.63], [-2.849, 47.627], [-2.867, 47.607], [-2.918, 47.595], [-2.914, 47.61], [-2.939, 47.602], [-2.943, 47.632], [-2.932, 47.637], [-2.947, 47.637], [-2.957, 47.642], [-2.968, 47.664], [-2.975, 47.664], [-2.965, 47.603], [-2.932, 47.575], [-2.936, 47.564], [-2.939, 47.561], [-2.954, 47.575], [-2.961, 47.571], [-2.972, 47.576], [-2.993, 47.595], [-2.993, 47.576], [-3.004, 47.578], [-3.011, 47.607], [-3.019, 47.605], [-3.022, 47.595], [-3.015, 47.581], [-3.029, 47.581], [-3.044, 47.588], [-3.073, 47.576], [-3.091, 47.576], [-3.105, 47.581], [-3.091, 47.588], [-3.112, 47.6], [-3.123, 47.598], [-3.13, 47.588], [-3.119, 47.581], [-3.13, 47.548], [-3.123, 47.519], [-3.105, 47.495], [-3.083, 47.478], [-3.119, 47.483], [-3.13, 47.478], [-3.145, 47.507], [-3.145, 47.527], [-3.13, 47.558], [-3.141, 47.598], [-3.166, 47.622], [-3.202, 47.64], [-3.188, 47.681], [-3.112, 47.705], [-3.119, 47.732], [-3.137, 47.725], [-3.137, 47.752], [-3.145, 47.752], [-3.152, 47.742], [-3.177, 47.748], [-3.191, 47.747], [-3.17, 47.735], [-3.159, 47.711], [-3.166, 47.71], [-3.166, 47.705], [-3.177, 47.71], [-3.191, 47.699], [-3.206, 47.698], [-3.191, 47.684], [-3.206, 47.679], [-3.224, 47.656], [-3.263, 47.684], [-3.357, 47.698], [-3.339, 47.703], [-3.281, 47.691], [-3.281, 47.698], [-3.299, 47.705], [-3.357, 47.711], [-3.357, 47.718], [-3.343, 47.727], [-3.339, 47.74], [-3.317, 47.738], [-3.296, 47.774], [-3.281, 47.781], [-3.281, 47.787], [-3.332, 47.752], [-3.361, 47.74], [-3.382, 47.737], [-3.368, 47.73], [-3.364, 47.718], [-3.447, 47.705], [-3.461, 47.708], [-3.53, 47.781], [-3.541, 47.774], [-3.591, 47.781], [-3.616, 47.779], [-3.634, 47.782], [-3.649, 47.794], [-3.688, 47.792], [-3.706, 47.797], [-3.713, 47.811], [-3.724, 47.813], [-3.775, 47.794], [-3.789, 47.802], [-3.85, 47.801], [-3.89, 47.843], [-3.886, 47.855], [-3.901, 47.857], [-3.911, 47.863], [-3.915, 47.873], [-3.962, 47.9], [-3.987, 47.904], [-3.98, 47.884], [-3.987, 47.868], [-4.009, 47.851], [-4.03, 47.855], [-4.005, 47.86], [-4.001, 47.87], [-4.023, 47.867], [-4.037, 47.855], [-4.077, 47.875], [-4.095, 47.875], [-4.106, 47.88], [-4.12, 47.892], [-4.131, 47.924], [-4.142, 47.912], [-4.138, 47.897], [-4.109, 47.875], [-4.109, 47.87], [-4.135, 47.867], [-4.153, 47.855], [-4.171, 47.877], [-4.185, 47.875], [-4.189, 47.862], [-4.174, 47.855], [-4.181, 47.841], [-4.153, 47.841], [-4.153, 47.835], [-4.185, 47.813], [-4.225, 47.802], [-4.372, 47.808], [-4.372, 47.835], [-4.347, 47.838], [-4.347, 47.863], [-4.372, 47.916], [-4.433, 47.976], [-4.534, 48.027], [-4.57, 48.005], [-4.603, 48.025], [-4.653, 48.027], [-4.729, 48.041], [-4.711, 48.056], [-4.7, 48.074], [-4.685, 48.068], [-4.361, 48.115], [-4.304, 48.105], [-4.289, 48.108], [-4.275, 48.144], [-4.279, 48.155], [-4.293, 48.167], [-4.304, 48.196], [-4.315, 48.206], [-4.365, 48.215], [-4.379, 48.233], [-4.405, 48.226], [-4.459, 48.248], [-4.484, 48.243], [-4.531, 48.182], [-4.556, 48.177], [-4.545, 48.204], [-4.563, 48.233], [-4.559, 48.245], [-4.549, 48.253], [-4.556, 48.263], [-4.628, 48.267], [-4.628, 48.287], [-4.574, 48.29], [-4.577, 48.307], [-4.559, 48.339], [-4.545, 48.346], [-4.531, 48.341], [-4.541, 48.304], [-4.516, 48.296], [-4.426, 48.301], [-4.401, 48.289], [-4.376, 48.287], [-4.329, 48.297], [-4.264, 48.301], [-4.268, 48.296], [-4.289, 48.294], [-4.268, 48.289], [-4.189, 48.301], [-4.189, 48.307], [-4.217, 48.306], [-4.232, 48.309], [-4.235, 48.321], [-4.243, 48.314], [-4.257, 48.311], [-4.271, 48.314], [-4.275, 48.324], [-4.325, 48.321], [-4.304, 48.336], [-4.3, 48.345], [-4.268, 48.363], [-4.286, 48.363], [-4.307, 48.351], [-4.325, 48.348], [-4.325, 48.355], [-4.318, 48.355], [-4.318, 48.363], [-4.325, 48.363], [-4.336, 48.348], [-4.354, 48.353], [-4.383, 48.338], [-4.408, 48.336], [-4.397, 48.341], [-4.408, 48.348], [-4.426, 48.339], [-4.455, 48.336], [-4.455, 48.341], [-4.397, 48.388], [-4.289, 48.432], [-4.358, 48.41], [-4.426, 48.404], [-4.459, 48.395], [-4.52, 48.368], [-4.57, 48.36], [-4.599, 48.35], [-4.621, 48.348], [-4.689, 48.363], [-4.696, 48.345], [-4.703, 48.341], [-4.754, 48.341], [-4.768, 48.346], [-4.783, 48.377], [-4.765, 48.378], [-4.765, 48.39], [-4.783, 48.417], [-4.786, 48.436], [-4.768, 48.469], [-4.75, 48.473], [-4.75, 48.48], [-4.775, 48.491], [-4.765, 48.52], [-4.721, 48.567], [-4.7, 48.561], [-4.707, 48.567], [-4.693, 48.576], [-4.642, 48.583], [-4.588, 48.566], [-4.577, 48.567], [-4.606, 48.603], [-4.595, 48.61], [-4.531, 48.601], [-4.556, 48.61], [-4.552, 48.616], [-4.563, 48.623], [-4.563, 48.63], [-4.462, 48.632], [-4.43, 48.643], [-4.408, 48.643], [-4.426, 48.65], [-4.426, 48.657], [-4.397, 48.66], [-4.343, 48.679], [-4.318, 48.679], [-4.3, 48.664], [-4.307, 48.642], [-4.282, 48.643], [-4.243, 48.657], [-4.192, 48.65], [-4.192, 48.657], [-4.214, 48.662], [-4.207, 48.672], [-4.174, 48.691], [-4.131, 48.699], [-4.109, 48.697], [-4.091, 48.691], [-4.081, 48.697], [-4.07, 48.686], [-4.063, 48.686], [-4.052, 48.696], [-4.055, 48.713], [-3.973, 48.733], [-3.973, 48.708], [-3.962, 48.704], [-3.962, 48.699], [-3.969, 48.699], [-3.969, 48.691], [-3.951, 48.679], [-3.955, 48.657], [-3.926, 48.675], [-3.911, 48.681], [-3.893, 48.679], [-3.908, 48.67], [-3.908, 48.664], [-3.85, 48.63], [-3.843, 48.637], [-3.85, 48.643], [-3.843, 48.65], [-3.854, 48.665], [-3.857, 48.686], [-3.85, 48.686], [-3.85, 48.679], [-3.836, 48.67], [-3.836, 48.708], [-3.829, 48.718], [-3.818, 48.713], [-3.814, 48.716], [-3.811, 48.733], [-3.796, 48.721], [-3.778, 48.718], [-3.731, 48.719], [-3.688, 48.699], [-3.674, 48.697], [-3.638, 48.704], [-3.638, 48.687], [-3.584, 48.682], [-3.569, 48.687], [-3.58, 48.711], [-3.58, 48.733], [-3.53, 48.74], [-3.577, 48.773], [-3.58, 48.79], [-3.573, 48.799], [-3.544, 48.807], [-3.515, 48.843], [-3.501, 48.838], [-3.469, 48.836], [-3.418, 48.821], [-3.429, 48.816], [-3.433, 48.807], [-3.397, 48.807], [-3.371, 48.822], [-3.274, 48.849], [-3.26, 48.848], [-3.231, 48.873], [-3.213, 48.87], [-3.206, 48.856], [-3.217, 48.817], [-3.227, 48.807], [-3.22, 48.794], [-3.209, 48.816], [-3.145, 48.863], [-3.134, 48.86], [-3.116, 48.875], [-3.105, 48.876], [-3.091, 48.871], [-3.083, 48.851], [-3.091, 48.836], [-3.076, 48.827], [-3.098, 48.794], [-3.127, 48.767], [-3.127, 48.76], [-3.119, 48.76], [-3.065, 48.824], [-3.047, 48.821], [-3.04, 48.827], [-3.029, 48.829], [-3.008, 48.821], [-3.015, 48.814], [-3.008, 48.814], [-3.008, 48.807], [-3.044, 48.794], [-3.044, 48.789], [-3.004, 48.773], [-2.954, 48.772], [-2.932, 48.767], [-2.932, 48.746], [-2.947, 48.74], [-2.947, 48.733], [-2.914, 48.716], [-2.893, 48.694], [-2.828, 48.657], [-2.81, 48.615], [-2.817, 48.605], [-2.813, 48.598], [-2.713, 48.561], [-2.72, 48.545], [-2.734, 48.534], [-2.713, 48.53], [-2.684, 48.508], [-2.677, 48.54], [-2.637, 48.539], [-2.619, 48.544], [-2.569, 48.589], [-2.54, 48.598], [-2.461, 48.637], [-2.461, 48.643], [-2.486, 48.65], [-2.443, 48.659], [-2.421, 48.657], [-2.414, 48.643], [-2.385, 48.65], [-2.331, 48.681], [-2.317, 48.699], [-2.306, 48.679], [-2.281, 48.679], [-2.281, 48.67], [-2.331, 48.63], [-2.313, 48.62], [-2.273, 48.643], [-2.252, 48.65], [-2.245, 48.645], [-2.241, 48.621], [-2.227, 48.613], [-2.212, 48.583], [-2.194, 48.593], [-2.194, 48.616], [-2.183, 48.589], [-2.173, 48.583], [-2.158, 48.589], [-2.158, 48.596], [-2.173, 48.601], [-2.162, 48.613], [-2.151, 48.618], [-2.137, 48.618], [-2.126, 48.61], [-2.144, 48.637], [-2.101, 48.647], [-2.054, 48.65], [-2.029, 48.62], [-2.029, 48.61], [-2.014, 48.591], [-2, 48.589], [-2.007, 48.576], [-1.975, 48.535], [-1.982, 48.513], [-1.939, 48.534], [-1.967, 48.547], [-1.96, 48.556], [-1.978, 48.572], [-1.982, 48.589], [-1.975, 48.589], [-1.953, 48.576], [-1.971, 48.593], [-2, 48.601], [-2.029, 48.643], [-2.018, 48.66], [-1.989, 48.674], [-1.985, 48.687], [-1.978, 48.691], [-1.939, 48.691], [-1.946, 48.699], [-1.845, 48.713], [-1.849, 48.704], [-1.838, 48.691], [-1.859, 48.664], [-1.859, 48.64], [-1.838, 48.623], [-1.795, 48.616], [-1.723, 48.615], [-1.643, 48.623], [-1.597, 48.642], [-1.579, 48.643], [-1.499, 48.637], [-1.391, 48.652], [-1.355, 48.643], [-1.373, 48.66], [-1.395, 48.669], [-1.435, 48.67], [-1.442, 48.664], [-1.456, 48.684], [-1.503, 48.696], [-1.517, 48.724], [-1.553, 48.746], [-1.568, 48.822], [-1.579, 48.838], [-1.604, 48.843], [-1.604, 48.849], [-1.589, 48.853], [-1.579, 48.863], [-1.571, 48.875], [-1.564, 48.922], [-1.557, 48.932], [-1.55, 48.924], [-1.543, 48.936], [-1.546, 48.949], [-1.561, 48.952], [-1.564, 48.957], [-1.546, 49.03], [-1.532, 49.035], [-1.507, 49.027], [-1.507, 49.033], [-1.528, 49.04], [-1.55, 49.04], [-1.568, 49.033], [-1.579, 49.013], [-1.593, 49.028], [-1.597, 49.06], [-1.589, 49.082], [-1.604, 49.084], [-1.607, 49.103], [-1.597, 49.128], [-1.568, 49.143], [-1.582, 49.15], [-1.589, 49.143], [-1.611, 49.216], [-1.604, 49.226], [-1.55, 49.219], [-1.55, 49.226], [-1.597, 49.238], [-1.618, 49.238], [-1.625, 49.219], [-1.64, 49.231], [-1.658, 49.268], [-1.672, 49.28], [-1.658, 49.287], [-1.687, 49.302], [-1.708, 49.329], [-1.687, 49.329], [-1.697, 49.356], [-1.708, 49.356], [-1.715, 49.339], [-1.733, 49.346], [-1.755, 49.363], [-1.777, 49.369], [-1.769, 49.383], [-1.805, 49.376], [-1.816, 49.383], [-1.816, 49.445], [-1.852, 49.505], [-1.885, 49.532], [-1.877, 49.545], [-1.849, 49.562], [-1.838, 49.619], [-1.859, 49.655], [-1.87, 49.662], [-1.946, 49.679], [-1.935, 49.724], [-1.899, 49.724], [-1.867, 49.712], [-1.838, 49.716], [-1.823, 49.709], [-1.813, 49.69], [-1.795, 49.692], [-1.708, 49.68], [-1.633, 49.663], [-1.618, 49.665], [-1.615, 49.651], [-1.607, 49.65], [-1.571, 49.665], [-1.539, 49.658], [-1.51, 49.663], [-1.471, 49.695], [-1.409, 49.712], [-1.262, 49.695], [-1.229, 49.624], [-1.255, 49.613], [-1.258, 49.594], [-1.265, 49.589], [-1.287, 49.589], [-1.301, 49.582], [-1.305, 49.559], [-1.262, 49.493], [-1.186, 49.43], [-1.175, 49.415], [-1.172, 49.393], [-1.186, 49.366], [-1.183, 49.356], [-1.15, 49.363], [-1.121, 49.346], [-1.103, 49.349], [-1.114, 49.366], [-1.107, 49.38], [-1.089, 49.391], [-1.071, 49.397], [-0.941, 49.391], [-0.823, 49.363], [-0.65, 49.356], [-0.585, 49.346], [-0.545, 49.359], [-0.481, 49.342], [-0.412, 49.342], [-0.362, 49.326], [-0.311, 49.317], [-0.218, 49.28], [-0.193, 49.295], [-0.034, 49.321], [0.013, 49.334], [0.041, 49.351], [0.063, 49.354], [0.095, 49.383], [0.164, 49.415], [0.412, 49.452], [0.459, 49.467], [0.491, 49.493], [0.423, 49.464], [0.34, 49.457], [0.257, 49.464], [0.185, 49.479], [0.146, 49.481], [0.106, 49.493], [0.092, 49.51], [0.077, 49.515], [0.074, 49.525], [0.081, 49.542], [0.131, 49.604], [0.171, 49.692], [0.185, 49.704], [0.236, 49.729], [0.247, 49.729], [0.257, 49.736], [0.387, 49.775], [0.398, 49.785], [0.596, 49.857], [0.675, 49.876], [0.761, 49.874], [1.172, 49.96], [1.197, 49.974], [1.222, 49.979], [1.262, 50.008], [1.391, 50.075], [1.456, 50.124], [1.489, 50.185], [1.521, 50.215], [1.557, 50.217], [1.654, 50.187], [1.665, 50.187], [1.672, 50.192], [1.672, 50.199], [1.654, 50.2], [1.643, 50.212], [1.665, 50.212], [1.665, 50.221], [1.625, 50.224], [1.611, 50.232], [1.593, 50.256], [1.55, 50.27], [1.543, 50.278], [1.55, 50.349], [1.571, 50.376], [1.611, 50.371], [1.611, 50.378], [1.553, 50.405], [1.575, 50.445], [1.579, 50.533], [1.611, 50.548], [1.582, 50.575], [1.564, 50.678], [1.568, 50.717], [1.607, 50.79], [1.582, 50.85], [1.582, 50.869], [1.615, 50.884], [1.654, 50.889], [1.697, 50.926], [1.73, 50.943], [1.921, 50.997], [1.939, 50.994], [1.975, 51.007], [2.133, 51.019], [2.317, 51.06], [2.385, 51.055], [2.468, 51.068]], [[1.982, 42.441], [2, 42.445], [1.967, 42.485], [1.957, 42.482], [1.946, 42.463], [1.946, 42.451], [1.96, 42.443]]],
+    [[[9.455, 42.647], [9.481, 42.62], [9.477, 42.619]]],
+    [[[8.566, 42.208], [8.573, 42.22], [8.545, 42.234], [8.548, 42.242], [8.588, 42.244], [8.609, 42.254], [8.653, 42.261], [8.674, 42.271], [8.689, 42.272], [8.689, 42.281], [8.635, 42.304], [8.624, 42.32], [8.609, 42.31], [8.602, 42.315], [8.599, 42.321], [8.635, 42.338], [8.613, 42.352], [8.591, 42.352], [8.552, 42.338], [8.559, 42.347], [8.552, 42.355], [8.548, 42.377], [8.552, 42.387], [8.559, 42.382], [8.581, 42.386], [8.588, 42.392], [8.599, 42.387], [8.613, 42.416], [8.653, 42.423], [8.66, 42.429], [8.66, 42.451], [8.678, 42.472], [8.656, 42.48], [8.667, 42.51], [8.696, 42.527], [8.717, 42.531], [8.71, 42.541], [8.717, 42.563], [8.71, 42.58], [8.721, 42.576], [8.725, 42.566], [8.739, 42.573], [8.771, 42.558], [8.786, 42.563], [8.8, 42.571], [8.807, 42.585], [8.811, 42.6], [8.804, 42.607], [8.843, 42.608], [8.908, 42.632], [9.02, 42.651], [9.049, 42.662], [9.052, 42.681], [9.117, 42.732], [9.164, 42.735], [9.236, 42.723], [9.272, 42.703], [9.286, 42.674], [9.293, 42.674], [9.329, 42.72], [9.344, 42.749], [9.333, 42.771], [9.34, 42.791], [9.337, 42.808], [9.304, 42.84], [9.333, 42.867], [9.326, 42.885], [9.329, 42.904], [9.362, 42.929], [9.355, 42.936], [9.362, 42.95], [9.351, 42.958], [9.34, 42.99], [9.347, 43.004], [9.362, 43.012], [9.405, 43.012], [9.423, 43.017], [9.434, 43.004], [9.463, 42.99], [9.455, 42.963], [9.47, 42.943], [9.466, 42.924], [9.484, 42.833], [9.484, 42.803], [9.452, 42.708], [9.452, 42.654], [9.441, 42.641], [9.455, 42.634], [9.463, 42.615], [9.455, 42.607], [9.466, 42.602], [9.477, 42.58], [9.513, 42.566], [9.506, 42.586], [9.488, 42.612], [9.52, 42.581], [9.527, 42.563], [9.535, 42.456], [9.545, 42.435], [9.531, 42.392], [9.531, 42.374], [9.56, 42.294], [9.553, 42.169], [9.56, 42.146], [9.556, 42.12], [9.545, 42.104], [9.52, 42.085], [9.491, 42.048], [9.401, 41.953], [9.394, 41.849], [9.401, 41.779], [9.401, 41.707], [9.38, 41.693], [9.365, 41.675], [9.38, 41.675], [9.373, 41.646], [9.362, 41.641], [9.344, 41.641], [9.347, 41.619], [9.319, 41.627], [9.293, 41.626], [9.293, 41.617], [9.283, 41.607], [9.279, 41.599], [9.293, 41.592], [9.344, 41.604], [9.355, 41.595], [9.351, 41.582], [9.326, 41.562], [9.301, 41.553], [9.283, 41.533], [9.265, 41.531], [9.268, 41.509], [9.265, 41.502], [9.275, 41.499], [9.279, 41.492], [9.275, 41.482], [9.265, 41.475], [9.272, 41.469], [9.229, 41.45], [9.211, 41.448], [9.211, 41.442], [9.225, 41.428], [9.211, 41.408], [9.25, 41.428], [9.239, 41.396], [9.221, 41.372], [9.207, 41.366], [9.193, 41.369], [9.153, 41.391], [9.121, 41.394], [9.095, 41.403], [9.106, 41.43], [9.121, 41.435], [9.067, 41.462], [9.081, 41.475], [9.081, 41.482], [9.067, 41.479], [9.038, 41.462], [9.031, 41.469], [9.038, 41.475], [9.02, 41.469], [9.002, 41.484], [8.951, 41.492], [8.937, 41.489], [8.908, 41.507], [8.883, 41.511], [8.879, 41.519], [8.865, 41.526], [8.847, 41.526], [8.84, 41.531], [8.854, 41.538], [8.854, 41.545], [8.797, 41.556], [8.797, 41.58], [8.793, 41.587], [8.779, 41.592], [8.8, 41.639], [8.818, 41.632], [8.872, 41.651], [8.887, 41.671], [8.912, 41.683], [8.923, 41.695], [8.897, 41.695], [8.836, 41.708], [8.789, 41.712], [8.775, 41.722], [8.786, 41.742], [8.761, 41.742], [8.696, 41.729], [8.703, 41.742], [8.678, 41.744], [8.656, 41.751], [8.667, 41.756], [8.696, 41.757], [8.71, 41.764], [8.721, 41.783], [8.721, 41.791], [8.71, 41.796], [8.71, 41.805], [8.753, 41.81], [8.786, 41.825], [8.771, 41.84], [8.75, 41.845], [8.793, 41.859], [8.782, 41.874], [8.779, 41.872], [8.804, 41.901], [8.804, 41.908], [8.782, 41.93], [8.764, 41.935], [8.743, 41.933], [8.689, 41.914], [8.631, 41.909], [8.613, 41.901], [8.606, 41.914], [8.62, 41.931], [8.613, 41.945], [8.588, 41.968], [8.635, 41.972], [8.656, 41.979], [8.667, 41.997], [8.656, 42.002], [8.663, 42.014], [8.685, 42.026], [8.743, 42.044], [8.746, 42.056], [8.725, 42.071], [8.699, 42.109], [8.689, 42.112], [8.66, 42.105], [8.649, 42.122], [8.631, 42.131], [8.588, 42.134], [8.595, 42.146], [8.577, 42.154], [8.559, 42.154], [8.595, 42.168], [8.595, 42.174], [8.566, 42.174], [8.566, 42.181], [8.577, 42.185], [8.581, 42.195], [8.577, 42.205]]],
+    [[[-1.219, 45.943], [-1.226, 45.935], [-1.186, 45.916], [-1.175, 45.899], [-1.183, 45.856], [-1.193, 45.83], [-1.208, 45.813], [-1.226, 45.82], [-1.24, 45.854], [-1.262, 45.883], [-1.363, 45.957], [-1.377, 45.975], [-1.373, 45.996], [-1.406, 46.053], [-1.373, 46.05], [-1.341, 46.038], [-1.273, 45.997], [-1.247, 46.002], [-1.233, 45.992], [-1.229, 45.959], [-1.219, 45.95]]],
+    [[[-1.28, 46.156], [-1.291, 46.161], [-1.337, 46.168], [-1.435, 46.21], [-1.489, 46.203], [-1.503, 46.208], [-1.557, 46.246], [-1.557, 46.252], [-1.499, 46.263], [-1.481, 46.259], [-1.467, 46.251], [-1.474, 46.239], [-1.507, 46.246], [-1.492, 46.224], [-1.463, 46.225], [-1.409, 46.239], [-1.409, 46.23], [-1.424, 46.23], [-1.424, 46.224], [-1.409, 46.219], [-1.309, 46.207], [-1.283, 46.197], [-1.265, 46.181], [-1.255, 46.163]]],
+    [[[-2.338, 46.732], [-2.299, 46.72], [-2.27, 46.698], [-2.291, 46.703], [-2.371, 46.705], [-2.381, 46.722], [-2.374, 46.732]]],
+    [[[-2.201, 46.985], [-2.191, 46.977], [-2.144, 46.958], [-2.137, 46.923], [-2.144, 46.909], [-2.158, 46.916], [-2.194, 46.962], [-2.219, 46.973], [-2.248, 46.965], [-2.263, 46.98], [-2.277, 47.017], [-2.295, 47.032], [-2.237, 47.036], [-2.201, 47.024]]],
+    [[[-3.116, 47.331], [-3.073, 47.328], [-3.062, 47.321], [-3.065, 47.303], [-3.094, 47.296], [-3.173, 47.301], [-3.224, 47.313], [-3.242, 47.321], [-3.238, 47.336], [-3.263, 47.384], [-3.249, 47.396], [-3.242, 47.396], [-3.235, 47.389], [-3.177, 47.372]]],
+    [[[-5.049, 48.48], [-5.042, 48.471], [-5.038, 48.473], [-5.038, 48.464], [-5.089, 48.448], [-5.107, 48.444], [-5.107, 48.451], [-5.092, 48.451], [-5.099, 48.461], [-5.132, 48.458], [-5.132, 48.464], [-5.092, 48.481], [-5.071, 48.485]]],
+    [[[6.233, 43.022], [6.241, 43.026], [6.251, 43.017], [6.251, 43.002], [6.201, 42.987], [6.165, 43], [6.165, 43.005], [6.176, 43.009], [6.205, 43.009], [6.215, 43.015], [6.233, 43.015]]]
+  ] },
+  { code: 'CH', name: 'Switzerland', polygons: [
+    [[[10.453, 46.864], [10.446, 46.823], [10.417, 46.799], [10.428, 46.756], [10.417, 46.744], [10.399, 46.735], [10.395, 46.702], [10.37, 46.673], [10.377, 46.653], [10.395, 46.639], [10.438, 46.636], [10.46, 46.624], [10.467, 46.604], [10.467, 46.578], [10.446, 46.538], [10.428, 46.536], [10.356, 46.548], [10.32, 46.546], [10.294, 46.551], [10.276, 46.565], [10.233, 46.575], [10.233, 46.619], [10.219, 46.627], [10.194, 46.627], [10.096, 46.609], [10.082, 46.597], [10.064, 46.556], [10.032, 46.533], [10.028, 46.484], [10.042, 46.467], [10.028, 46.447], [10.042, 46.433], [10.132, 46.414], [10.14, 46.403], [10.132, 46.381], [10.104, 46.362], [10.093, 46.338], [10.104, 46.31], [10.147, 46.281], [10.158, 46.263], [10.147, 46.244], [10.118, 46.23], [10.075, 46.22], [10.042, 46.22], [10.042, 46.242], [10.032, 46.261], [9.977, 46.298], [9.963, 46.355], [9.92, 46.371], [9.898, 46.372], [9.855, 46.367], [9.769, 46.338], [9.722, 46.35], [9.707, 46.342], [9.707, 46.311], [9.693, 46.296], [9.675, 46.291], [9.56, 46.293], [9.535, 46.298], [9.502, 46.32], [9.484, 46.357], [9.452, 46.371], [9.441, 46.381], [9.445, 46.396], [9.434, 46.499], [9.383, 46.467], [9.351, 46.485], [9.351, 46.497], [9.329, 46.502], [9.283, 46.497], [9.265, 46.485], [9.247, 46.462], [9.239, 46.436], [9.247, 46.423], [9.261, 46.416], [9.261, 46.379], [9.275, 46.332], [9.225, 46.23], [9.182, 46.203], [9.164, 46.173], [9.092, 46.138], [9.07, 46.119], [9.07, 46.084], [9.059, 46.062], [9.027, 46.053], [9.002, 46.04], [8.998, 46.028], [9.016, 45.992], [8.984, 45.972], [8.98, 45.964], [8.995, 45.953], [9.009, 45.926], [9.052, 45.916], [9.063, 45.899], [9.059, 45.883], [9.034, 45.849], [9.002, 45.82], [8.941, 45.835], [8.901, 45.827], [8.915, 45.866], [8.912, 45.883], [8.908, 45.896], [8.872, 45.947], [8.858, 45.957], [8.8, 45.979], [8.768, 45.984], [8.789, 46.019], [8.818, 46.043], [8.833, 46.067], [8.807, 46.09], [8.746, 46.094], [8.728, 46.109], [8.696, 46.095], [8.678, 46.095], [8.602, 46.122], [8.537, 46.188], [8.509, 46.208], [8.437, 46.235], [8.426, 46.251], [8.422, 46.276], [8.444, 46.354], [8.447, 46.413], [8.429, 46.448], [8.401, 46.452], [8.343, 46.443], [8.318, 46.433], [8.285, 46.406], [8.296, 46.398], [8.296, 46.387], [8.282, 46.371], [8.242, 46.354], [8.192, 46.31], [8.17, 46.3], [8.105, 46.286], [8.077, 46.263], [8.077, 46.249], [8.098, 46.235], [8.131, 46.197], [8.131, 46.16], [8.109, 46.127], [8.066, 46.1], [8.026, 46.092], [8.015, 46.07], [8.012, 46.029], [7.987, 45.999], [7.969, 45.992], [7.897, 45.982], [7.882, 45.974], [7.871, 45.959], [7.871, 45.94], [7.85, 45.94], [7.846, 45.923], [7.832, 45.915], [7.781, 45.918], [7.731, 45.93], [7.695, 45.928], [7.673, 45.95], [7.645, 45.967], [7.54, 45.984], [7.526, 45.979], [7.504, 45.957], [7.483, 45.955], [7.454, 45.945], [7.393, 45.916], [7.36, 45.908], [7.288, 45.913], [7.245, 45.898], [7.155, 45.876], [7.09, 45.881], [7.069, 45.891], [7.022, 45.925], [6.986, 45.992], [6.914, 46.048], [6.892, 46.055], [6.871, 46.045], [6.86, 46.045], [6.849, 46.053], [6.849, 46.085], [6.871, 46.112], [6.853, 46.122], [6.773, 46.134], [6.766, 46.151], [6.773, 46.187], [6.791, 46.222], [6.827, 46.269], [6.806, 46.296], [6.77, 46.323], [6.752, 46.345], [6.755, 46.357], [6.781, 46.379], [6.788, 46.396], [6.788, 46.414], [6.777, 46.425], [6.763, 46.43], [6.615, 46.457], [6.547, 46.457], [6.482, 46.448], [6.399, 46.408], [6.302, 46.394], [6.269, 46.376], [6.219, 46.328], [6.215, 46.315], [6.237, 46.268], [6.251, 46.259], [6.269, 46.266], [6.277, 46.263], [6.28, 46.241], [6.255, 46.22], [6.19, 46.192], [6.14, 46.149], [6.107, 46.139], [6.075, 46.149], [6.028, 46.148], [5.981, 46.141], [5.96, 46.131], [5.981, 46.163], [5.981, 46.171], [5.963, 46.187], [5.956, 46.2], [5.96, 46.212], [6.046, 46.244], [6.061, 46.241], [6.089, 46.246], [6.1, 46.301], [6.136, 46.359], [6.136, 46.371], [6.107, 46.396], [6.053, 46.42], [6.068, 46.433], [6.061, 46.455], [6.064, 46.472], [6.147, 46.551], [6.122, 46.57], [6.118, 46.583], [6.266, 46.68], [6.338, 46.707], [6.374, 46.734], [6.417, 46.751], [6.428, 46.761], [6.431, 46.786], [6.417, 46.806], [6.442, 46.848], [6.449, 46.872], [6.428, 46.909], [6.442, 46.945], [6.493, 46.963], [6.597, 46.987], [6.665, 47.021], [6.687, 47.044], [6.676, 47.063], [6.698, 47.085], [6.723, 47.092], [6.745, 47.103], [6.745, 47.12], [6.773, 47.129], [6.842, 47.169], [6.86, 47.191], [6.889, 47.211], [6.957, 47.245], [6.957, 47.291], [6.979, 47.304], [6.993, 47.306], [7.007, 47.32], [7.036, 47.33], [7.043, 47.34], [7.004, 47.369], [6.986, 47.362], [6.867, 47.353], [6.871, 47.367], [6.899, 47.396], [6.925, 47.406], [6.925, 47.424], [6.968, 47.434], [6.989, 47.453], [6.975, 47.488], [7.011, 47.499], [7.054, 47.49], [7.105, 47.497], [7.155, 47.487], [7.18, 47.488], [7.162, 47.46], [7.169, 47.443], [7.22, 47.429], [7.238, 47.417], [7.31, 47.433], [7.389, 47.433], [7.407, 47.438], [7.425, 47.456], [7.429, 47.472], [7.418, 47.478], [7.414, 47.49], [7.425, 47.492], [7.468, 47.482], [7.486, 47.493], [7.475, 47.515], [7.493, 47.515], [7.504, 47.522], [7.504, 47.532], [7.483, 47.542], [7.526, 47.566], [7.587, 47.585], [7.659, 47.596], [7.648, 47.571], [7.637, 47.564], [7.609, 47.564], [7.663, 47.546], [7.684, 47.544], [7.767, 47.556], [7.785, 47.563], [7.821, 47.595], [7.835, 47.59], [7.897, 47.588], [7.904, 47.583], [7.911, 47.561], [8.041, 47.561], [8.098, 47.571], [8.113, 47.588], [8.163, 47.603], [8.177, 47.615], [8.231, 47.622], [8.289, 47.615], [8.307, 47.591], [8.318, 47.588], [8.354, 47.581], [8.422, 47.581], [8.447, 47.585], [8.462, 47.607], [8.491, 47.62], [8.523, 47.622], [8.559, 47.59], [8.577, 47.595], [8.584, 47.622], [8.577, 47.634], [8.581, 47.639], [8.595, 47.642], [8.595, 47.635], [8.602, 47.632], [8.606, 47.656], [8.57, 47.662], [8.519, 47.657], [8.476, 47.64], [8.458, 47.64], [8.408, 47.662], [8.39, 47.666], [8.397, 47.676], [8.39, 47.693], [8.401, 47.708], [8.437, 47.723], [8.444, 47.743], [8.462, 47.764], [8.537, 47.774], [8.552, 47.779], [8.541, 47.796], [8.559, 47.801], [8.584, 47.801], [8.602, 47.794], [8.606, 47.762], [8.617, 47.757], [8.631, 47.762], [8.635, 47.784], [8.645, 47.791], [8.667, 47.779], [8.681, 47.759], [8.714, 47.757], [8.721, 47.747], [8.699, 47.723], [8.714, 47.708], [8.717, 47.694], [8.771, 47.694], [8.761, 47.701], [8.771, 47.721], [8.797, 47.72], [8.829, 47.708], [8.854, 47.691], [8.836, 47.688], [8.836, 47.681], [8.851, 47.671], [8.883, 47.656], [8.905, 47.652], [8.944, 47.654], [8.98, 47.662], [8.998, 47.674], [9.016, 47.679], [9.128, 47.671], [9.182, 47.671], [9.196, 47.656], [9.272, 47.651], [9.549, 47.534], [9.556, 47.51], [9.585, 47.48], [9.621, 47.47], [9.65, 47.451], [9.65, 47.409], [9.639, 47.394], [9.599, 47.362], [9.589, 47.328], [9.553, 47.299], [9.52, 47.262], [9.488, 47.21], [9.484, 47.176], [9.513, 47.129], [9.513, 47.108], [9.477, 47.073], [9.477, 47.065], [9.56, 47.053], [9.581, 47.056], [9.599, 47.053], [9.668, 47.056], [9.859, 47.016], [9.855, 47.004], [9.869, 46.999], [9.862, 46.94], [9.877, 46.928], [9.898, 46.914], [10.006, 46.891], [10.046, 46.865], [10.111, 46.847], [10.158, 46.852], [10.201, 46.867], [10.215, 46.884], [10.219, 46.906], [10.237, 46.923], [10.251, 46.926], [10.269, 46.921], [10.294, 46.923], [10.298, 46.941], [10.312, 46.965], [10.338, 46.984], [10.374, 46.997], [10.395, 46.985], [10.417, 46.962], [10.46, 46.936], [10.464, 46.919], [10.453, 46.886]]]
+  ] },
+  { code: 'AT', name: 'Austria', polygons: [
+    [[[16.944, 48.605], [16.954, 48.557], [16.951, 48.545], [16.915, 48.52], [16.9, 48.496], [16.864, 48.458], [16.854, 48.39], [16.843, 48.365], [16.854, 48.356], [16.882, 48.353], [16.893, 48.346], [16.908, 48.331], [16.897, 48.316], [16.904, 48.314], [16.918, 48.29], [16.954, 48.274], [16.954, 48.253], [16.976, 48.199], [16.983, 48.16], [17.019, 48.137], [17.048, 48.132], [17.066, 48.106], [17.08, 48.098], [17.07, 48.09], [17.059, 48.061], [17.077, 48.052], [17.07, 48.036], [17.124, 48.02], [17.149, 48.005], [17.084, 47.97], [17.095, 47.956], [17.088, 47.939], [17.073, 47.933], [17.088, 47.922], [17.077, 47.892], [17.052, 47.873], [17.005, 47.863], [17.005, 47.853], [17.012, 47.848], [17.041, 47.838], [17.055, 47.813], [17.041, 47.801], [17.052, 47.732], [17.062, 47.713], [17.077, 47.708], [16.904, 47.683], [16.864, 47.686], [16.85, 47.713], [16.818, 47.684], [16.796, 47.676], [16.742, 47.681], [16.731, 47.686], [16.702, 47.723], [16.692, 47.73], [16.609, 47.75], [16.569, 47.754], [16.53, 47.743], [16.522, 47.711], [16.461, 47.684], [16.45, 47.683], [16.44, 47.691], [16.407, 47.661], [16.483, 47.639], [16.508, 47.644], [16.576, 47.625], [16.609, 47.629], [16.63, 47.622], [16.648, 47.607], [16.656, 47.586], [16.652, 47.566], [16.681, 47.551], [16.688, 47.537], [16.688, 47.522], [16.677, 47.51], [16.648, 47.502], [16.638, 47.493], [16.641, 47.453], [16.591, 47.426], [16.483, 47.392], [16.458, 47.412], [16.443, 47.409], [16.432, 47.397], [16.436, 47.355], [16.425, 47.352], [16.425, 47.345], [16.44, 47.336], [16.468, 47.293], [16.472, 47.277], [16.468, 47.264], [16.422, 47.244], [16.425, 47.225], [16.411, 47.203], [16.414, 47.188], [16.443, 47.178], [16.432, 47.146], [16.447, 47.139], [16.479, 47.151], [16.497, 47.149], [16.508, 47.137], [16.504, 47.125], [16.483, 47.105], [16.461, 47.097], [16.454, 47.081], [16.461, 47.068], [16.494, 47.06], [16.494, 47.049], [16.436, 47.032], [16.425, 47.024], [16.468, 47.019], [16.483, 47.009], [16.486, 46.999], [16.425, 46.994], [16.414, 46.989], [16.389, 47.002], [16.274, 47.004], [16.26, 46.978], [16.234, 46.967], [16.231, 46.948], [16.224, 46.941], [16.17, 46.919], [16.123, 46.877], [16.094, 46.862], [16.029, 46.837], [15.986, 46.83], [15.972, 46.821], [15.979, 46.81], [15.968, 46.761], [15.972, 46.744], [15.982, 46.718], [16.004, 46.71], [16.015, 46.693], [16.018, 46.671], [15.986, 46.691], [15.946, 46.696], [15.878, 46.72], [15.849, 46.725], [15.824, 46.723], [15.756, 46.703], [15.651, 46.71], [15.637, 46.717], [15.633, 46.69], [15.622, 46.678], [15.604, 46.673], [15.568, 46.676], [15.547, 46.671], [15.532, 46.664], [15.511, 46.629], [15.493, 46.619], [15.464, 46.615], [15.388, 46.646], [15.205, 46.639], [15.061, 46.649], [15.003, 46.637], [14.967, 46.6], [14.949, 46.619], [14.935, 46.62], [14.899, 46.605], [14.852, 46.602], [14.834, 46.585], [14.809, 46.536], [14.784, 46.504], [14.762, 46.496], [14.737, 46.494], [14.726, 46.497], [14.708, 46.492], [14.679, 46.458], [14.661, 46.46], [14.632, 46.44], [14.589, 46.435], [14.575, 46.42], [14.557, 46.384], [14.539, 46.379], [14.503, 46.418], [14.452, 46.414], [14.42, 46.425], [14.406, 46.44], [14.362, 46.436], [14.146, 46.44], [14.067, 46.48], [14.031, 46.485], [13.999, 46.48], [13.981, 46.482], [13.891, 46.512], [13.862, 46.516], [13.783, 46.507], [13.7, 46.519], [13.671, 46.519], [13.549, 46.546], [13.506, 46.546], [13.477, 46.563], [13.416, 46.56], [13.372, 46.566], [13.272, 46.551], [13.232, 46.553], [13.146, 46.585], [13.063, 46.599], [12.829, 46.61], [12.775, 46.636], [12.75, 46.641], [12.732, 46.642], [12.706, 46.637], [12.67, 46.653], [12.62, 46.656], [12.548, 46.653], [12.501, 46.673], [12.447, 46.678], [12.404, 46.69], [12.372, 46.712], [12.35, 46.744], [12.343, 46.766], [12.274, 46.784], [12.267, 46.808], [12.278, 46.833], [12.267, 46.869], [12.249, 46.875], [12.195, 46.881], [12.174, 46.899], [12.127, 46.909], [12.141, 46.919], [12.141, 46.928], [12.127, 46.948], [12.112, 46.994], [12.123, 47.011], [12.181, 47.034], [12.202, 47.053], [12.206, 47.08], [12.181, 47.085], [12.116, 47.076], [12.015, 47.041], [11.943, 47.038], [11.9, 47.027], [11.857, 47.012], [11.821, 46.994], [11.778, 46.989], [11.734, 46.97], [11.684, 46.992], [11.598, 47], [11.526, 46.989], [11.515, 46.99], [11.497, 47.002], [11.472, 47.007], [11.461, 47.005], [11.41, 46.97], [11.382, 46.972], [11.349, 46.982], [11.313, 46.987], [11.245, 46.978], [11.173, 46.963], [11.094, 46.913], [11.083, 46.901], [11.072, 46.865], [11.054, 46.835], [11.054, 46.815], [11.032, 46.806], [10.996, 46.769], [10.982, 46.767], [10.968, 46.772], [10.932, 46.774], [10.87, 46.764], [10.834, 46.781], [10.806, 46.776], [10.755, 46.791], [10.723, 46.786], [10.716, 46.794], [10.748, 46.82], [10.741, 46.83], [10.647, 46.864], [10.528, 46.843], [10.485, 46.847], [10.453, 46.864], [10.453, 46.886], [10.464, 46.919], [10.46, 46.936], [10.417, 46.962], [10.395, 46.985], [10.374, 46.997], [10.338, 46.984], [10.312, 46.965], [10.298, 46.941], [10.294, 46.923], [10.269, 46.921], [10.251, 46.926], [10.237, 46.923], [10.219, 46.906], [10.215, 46.884], [10.201, 46.867], [10.158, 46.852], [10.111, 46.847], [10.046, 46.865], [10.006, 46.891], [9.898, 46.914], [9.877, 46.928], [9.862, 46.94], [9.869, 46.999], [9.855, 47.004], [9.859, 47.016], [9.668, 47.056], [9.599, 47.053], [9.581, 47.056], [9.61, 47.081], [9.617, 47.107], [9.607, 47.132], [9.581, 47.154], [9.553, 47.168], [9.563, 47.198], [9.542, 47.228], [9.545, 47.244], [9.52, 47.262], [9.553, 47.299], [9.589, 47.328], [9.599, 47.362], [9.639, 47.394], [9.65, 47.409], [9.65, 47.451], [9.621, 47.47], [9.585, 47.48], [9.556, 47.51], [9.549, 47.534], [9.614, 47.522], [9.675, 47.522], [9.704, 47.531], [9.729, 47.564], [9.769, 47.588], [9.797, 47.585], [9.808, 47.576], [9.812, 47.542], [9.833, 47.534], [9.859, 47.541], [9.887, 47.534], [9.92, 47.532], [9.934, 47.534], [9.945, 47.541], [9.949, 47.524], [9.981, 47.493], [9.981, 47.482], [9.992, 47.477], [10.024, 47.488], [10.082, 47.428], [10.075, 47.417], [10.053, 47.406], [10.064, 47.396], [10.068, 47.375], [10.082, 47.358], [10.111, 47.367], [10.132, 47.363], [10.147, 47.374], [10.19, 47.379], [10.208, 47.372], [10.208, 47.355], [10.19, 47.318], [10.194, 47.304], [10.186, 47.294], [10.168, 47.291], [10.154, 47.272], [10.161, 47.271], [10.24, 47.277], [10.305, 47.303], [10.345, 47.331], [10.37, 47.367], [10.413, 47.38], [10.428, 47.396], [10.453, 47.439], [10.449, 47.473], [10.435, 47.488], [10.42, 47.493], [10.431, 47.542], [10.413, 47.573], [10.428, 47.576], [10.456, 47.58], [10.46, 47.566], [10.453, 47.546], [10.482, 47.532], [10.536, 47.531], [10.582, 47.563], [10.608, 47.563], [10.741, 47.529], [10.752, 47.515], [10.762, 47.514], [10.791, 47.515], [10.831, 47.529], [10.86, 47.531], [10.87, 47.527], [10.892, 47.515], [10.852, 47.493], [10.86, 47.485], [10.91, 47.468], [10.96, 47.433], [10.964, 47.421], [10.957, 47.409], [10.964, 47.396], [10.978, 47.39], [11.083, 47.389], [11.104, 47.394], [11.169, 47.424], [11.194, 47.429], [11.216, 47.423], [11.212, 47.396], [11.238, 47.394], [11.259, 47.401], [11.306, 47.436], [11.367, 47.439], [11.385, 47.445], [11.392, 47.455], [11.389, 47.461], [11.367, 47.47], [11.414, 47.505], [11.436, 47.51], [11.482, 47.502], [11.551, 47.514], [11.576, 47.537], [11.59, 47.571], [11.619, 47.59], [11.684, 47.583], [11.763, 47.583], [11.821, 47.575], [11.832, 47.578], [11.842, 47.595], [11.853, 47.6], [11.936, 47.61], [12.174, 47.605], [12.206, 47.637], [12.206, 47.672], [12.181, 47.693], [12.177, 47.706], [12.238, 47.732], [12.238, 47.716], [12.224, 47.696], [12.228, 47.684], [12.238, 47.679], [12.292, 47.689], [12.35, 47.681], [12.408, 47.694], [12.426, 47.691], [12.444, 47.656], [12.498, 47.629], [12.555, 47.635], [12.598, 47.662], [12.652, 47.676], [12.688, 47.676], [12.746, 47.666], [12.76, 47.667], [12.753, 47.649], [12.814, 47.612], [12.786, 47.603], [12.775, 47.58], [12.778, 47.554], [12.804, 47.541], [12.829, 47.537], [12.883, 47.499], [12.933, 47.473], [12.944, 47.47], [12.969, 47.475], [12.984, 47.468], [13.002, 47.466], [13.038, 47.493], [13.027, 47.524], [13.027, 47.542], [13.041, 47.561], [13.038, 47.585], [13.041, 47.583], [13.059, 47.6], [13.074, 47.622], [13.074, 47.659], [13.045, 47.696], [13.02, 47.713], [13.005, 47.715], [12.966, 47.705], [12.908, 47.713], [12.894, 47.723], [12.919, 47.75], [12.926, 47.777], [12.991, 47.846], [12.966, 47.872], [12.93, 47.924], [12.886, 47.953], [12.861, 47.963], [12.832, 48.015], [12.75, 48.074], [12.739, 48.113], [12.746, 48.12], [12.764, 48.123], [12.782, 48.142], [12.822, 48.16], [12.861, 48.196], [12.879, 48.203], [12.933, 48.209], [13.034, 48.263], [13.135, 48.29], [13.275, 48.307], [13.308, 48.319], [13.405, 48.377], [13.419, 48.392], [13.426, 48.419], [13.437, 48.431], [13.437, 48.478], [13.459, 48.517], [13.441, 48.561], [13.455, 48.574], [13.52, 48.584], [13.624, 48.566], [13.657, 48.551], [13.675, 48.535], [13.718, 48.522], [13.732, 48.559], [13.758, 48.561], [13.776, 48.569], [13.797, 48.598], [13.808, 48.643], [13.801, 48.675], [13.804, 48.687], [13.815, 48.696], [13.804, 48.699], [13.79, 48.716], [13.783, 48.716], [13.815, 48.767], [13.876, 48.753], [13.916, 48.731], [13.992, 48.701], [14.013, 48.675], [14.028, 48.67], [14.035, 48.662], [14.006, 48.64], [14.01, 48.627], [14.031, 48.606], [14.074, 48.591], [14.215, 48.581], [14.316, 48.557], [14.406, 48.586], [14.42, 48.598], [14.445, 48.637], [14.46, 48.643], [14.481, 48.625], [14.535, 48.608], [14.593, 48.621], [14.604, 48.611], [14.604, 48.599], [14.636, 48.603], [14.658, 48.578], [14.676, 48.576], [14.697, 48.589], [14.704, 48.674], [14.722, 48.694], [14.776, 48.724], [14.78, 48.743], [14.802, 48.777], [14.816, 48.78], [14.866, 48.775], [14.92, 48.762], [14.938, 48.763], [14.953, 48.78], [14.938, 48.797], [14.938, 48.811], [14.967, 48.885], [14.964, 48.971], [14.978, 48.993], [14.978, 49.006], [15.003, 49.01], [15.061, 48.998], [15.136, 48.993], [15.151, 48.966], [15.144, 48.937], [15.244, 48.952], [15.259, 48.964], [15.262, 48.983], [15.273, 48.986], [15.288, 48.976], [15.36, 48.971], [15.406, 48.954], [15.45, 48.946], [15.522, 48.909], [15.604, 48.887], [15.68, 48.858], [15.727, 48.854], [15.788, 48.873], [15.817, 48.873], [15.838, 48.849], [15.86, 48.849], [15.878, 48.841], [15.885, 48.843], [15.874, 48.833], [15.9, 48.834], [15.907, 48.831], [15.907, 48.819], [15.925, 48.822], [15.932, 48.819], [15.932, 48.807], [16.033, 48.758], [16.087, 48.743], [16.177, 48.746], [16.317, 48.733], [16.339, 48.736], [16.353, 48.728], [16.375, 48.73], [16.436, 48.795], [16.454, 48.802], [16.483, 48.799], [16.512, 48.806], [16.53, 48.804], [16.645, 48.778], [16.663, 48.74], [16.674, 48.735], [16.746, 48.73], [16.8, 48.709], [16.872, 48.719], [16.897, 48.697], [16.911, 48.632]]]
+  ] },
+  { code: 'IT', name: 'Italy', polygons: [
+    [[[7.022, 45.925], [7.069, 45.891], [7.09, 45.881], [7.155, 45.876], [7.245, 45.898], [7.288, 45.913], [7.36, 45.908], [7.393, 45.916], [7.454, 45.945], [7.483, 45.955], [7.504, 45.957], [7.526, 45.979], [7.54, 45.984], [7.645, 45.967], [7.673, 45.95], [7.695, 45.928], [7.731, 45.93], [7.781, 45.918], [7.832, 45.915], [7.846, 45.923], [7.85, 45.94], [7.871, 45.94], [7.871, 45.959], [7.882, 45.974], [7.897, 45.982], [7.969, 45.992], [7.987, 45.999], [8.012, 46.029], [8.015, 46.07], [8.026, 46.092], [8.066, 46.1], [8.109, 46.127], [8.131, 46.16], [8.131, 46.197], [8.098, 46.235], [8.077, 46.249], [8.077, 46.263], [8.105, 46.286], [8.17, 46.3], [8.192, 46.31], [8.242, 46.354], [8.282, 46.371], [8.296, 46.387], [8.296, 46.398], [8.285, 46.406], [8.318, 46.433], [8.343, 46.443], [8.401, 46.452], [8.429, 46.448], [8.447, 46.413], [8.444, 46.354], [8.422, 46.276], [8.426, 46.251], [8.437, 46.235], [8.509, 46.208], [8.537, 46.188], [8.602, 46.122], [8.678, 46.095], [8.696, 46.095], [8.728, 46.109], [8.746, 46.094], [8.807, 46.09], [8.833, 46.067], [8.818, 46.043], [8.789, 46.019], [8.768, 45.984], [8.8, 45.979], [8.858, 45.957], [8.872, 45.947], [8.908, 45.896], [8.912, 45.883], [8.915, 45.866], [8.901, 45.827], [8.941, 45.835], [9.002, 45.82], [9.034, 45.849], [9.059, 45.883], [9.063, 45.899], [9.052, 45.916], [9.009, 45.926], [8.995, 45.953], [8.98, 45.964], [8.984, 45.972], [9.016, 45.992], [8.998, 46.028], [9.002, 46.04], [9.027, 46.053], [9.059, 46.062], [9.07, 46.084], [9.07, 46.119], [9.092, 46.138], [9.164, 46.173], [9.182, 46.203], [9.225, 46.23], [9.275, 46.332], [9.261, 46.379], [9.261, 46.416], [9.247, 46.423], [9.239, 46.436], [9.247, 46.462], [9.265, 46.485], [9.283, 46.497], [9.329, 46.502], [9.351, 46.497], [9.351, 46.485], [9.383, 46.467], [9.434, 46.499], [9.445, 46.396], [9.441, 46.381], [9.452, 46.371], [9.484, 46.357], [9.502, 46.32], [9.535, 46.298], [9.56, 46.293], [9.675, 46.291], [9.693, 46.296], [9.707, 46.311], [9.707, 46.342], [9.722, 46.35], [9.769, 46.338], [9.855, 46.367], [9.898, 46.372], [9.92, 46.371], [9.963, 46.355], [9.977, 46.298], [10.032, 46.261], [10.042, 46.242], [10.042, 46.22], [10.075, 46.22], [10.118, 46.23], [10.147, 46.244], [10.158, 46.263], [10.147, 46.281], [10.104, 46.31], [10.093, 46.338], [10.104, 46.362], [10.132, 46.381], [10.14, 46.403], [10.132, 46.414], [10.042, 46.433], [10.028, 46.447], [10.042, 46.467], [10.028, 46.484], [10.032, 46.533], [10.064, 46.556], [10.082, 46.597], [10.096, 46.609], [10.194, 46.627], [10.219, 46.627], [10.233, 46.619], [10.233, 46.575], [10.276, 46.565], [10.294, 46.551], [10.32, 46.546], [10.356, 46.548], [10.428, 46.536], [10.446, 46.538], [10.467, 46.578], [10.467, 46.604], [10.46, 46.624], [10.438, 46.636], [10.395, 46.639], [10.377, 46.653], [10.37, 46.673], [10.395, 46.702], [10.399, 46.735], [10.417, 46.744], [10.428, 46.756], [10.417, 46.799], [10.446, 46.823], [10.453, 46.864], [10.485, 46.847], [10.528, 46.843], [10.647, 46.864], [10.741, 46.83], [10.748, 46.82], [10.716, 46.794], [10.723, 46.786], [10.755, 46.791], [10.806, 46.776], [10.834, 46.781], [10.87, 46.764], [10.932, 46.774], [10.968, 46.772], [10.982, 46.767], [10.996, 46.769], [11.032, 46.806], [11.054, 46.815], [11.054, 46.835], [11.072, 46.865], [11.083, 46.901], [11.094, 46.913], [11.173, 46.963], [11.245, 46.978], [11.313, 46.987], [11.349, 46.982], [11.382, 46.972], [11.41, 46.97], [11.461, 47.005], [11.472, 47.007], [11.497, 47.002], [11.515, 46.99], [11.526, 46.989], [11.598, 47], [11.684, 46.992], [11.734, 46.97], [11.778, 46.989], [11.821, 46.994], [11.857, 47.012], [11.9, 47.027], [11.943, 47.038], [12.015, 47.041], [12.116, 47.076], [12.181, 47.085], [12.206, 47.08], [12.202, 47.053], [12.181, 47.034], [12.123, 47.011], [12.112, 46.994], [12.127, 46.948], [12.141, 46.928], [12.141, 46.919], [12.127, 46.909], [12.174, 46.899], [12.195, 46.881], [12.249, 46.875], [12.267, 46.869], [12.278, 46.833], [12.267, 46.808], [12.274, 46.784], [12.343, 46.766], [12.35, 46.744], [12.372, 46.712], [12.404, 46.69], [12.447, 46.678], [12.501, 46.673], [12.548, 46.653], [12.62, 46.656], [12.67, 46.653], [12.706, 46.637], [12.732, 46.642], [12.75, 46.641], [12.775, 46.636], [12.829, 46.61], [13.063, 46.599], [13.146, 46.585], [13.232, 46.553], [13.272, 46.551], [13.372, 46.566], [13.416, 46.56], [13.477, 46.563], [13.506, 46.546], [13.549, 46.546], [13.671, 46.519], [13.7, 46.519], [13.7, 46.506], [13.689, 46.494], [13.689, 46.469], [13.678, 46.452], [13.66, 46.445], [13.599, 46.443], [13.531, 46.389], [13.459, 46.359], [13.434, 46.354], [13.39, 46.301], [13.365, 46.29], [13.38, 46.268], [13.383, 46.244], [13.398, 46.23], [13.408, 46.208], [13.437, 46.21], [13.423, 46.229], [13.47, 46.224], [13.531, 46.205], [13.56, 46.185], [13.639, 46.18], [13.646, 46.161], [13.617, 46.126], [13.506, 46.067], [13.484, 46.045], [13.491, 46.04], [13.491, 46.026], [13.462, 46.006], [13.509, 45.967], [13.538, 45.969], [13.57, 45.981], [13.606, 45.986], [13.624, 45.967], [13.61, 45.926], [13.57, 45.864], [13.567, 45.83], [13.574, 45.818], [13.581, 45.81], [13.61, 45.798], [13.66, 45.791], [13.711, 45.766], [13.779, 45.744], [13.858, 45.65], [13.884, 45.634], [13.894, 45.634], [13.887, 45.619], [13.848, 45.585], [13.801, 45.582], [13.761, 45.596], [13.711, 45.594], [13.729, 45.612], [13.786, 45.611], [13.808, 45.614], [13.786, 45.624], [13.776, 45.636], [13.74, 45.65], [13.758, 45.655], [13.754, 45.672], [13.725, 45.704], [13.646, 45.763], [13.628, 45.773], [13.574, 45.79], [13.552, 45.793], [13.534, 45.781], [13.524, 45.759], [13.527, 45.741], [13.556, 45.737], [13.52, 45.726], [13.509, 45.714], [13.47, 45.707], [13.426, 45.682], [13.401, 45.675], [13.376, 45.683], [13.426, 45.699], [13.43, 45.707], [13.423, 45.724], [13.383, 45.731], [13.369, 45.744], [13.351, 45.741], [13.254, 45.756], [13.214, 45.78], [13.171, 45.769], [13.149, 45.751], [13.138, 45.754], [13.131, 45.769], [13.12, 45.771], [13.11, 45.768], [13.11, 45.758], [13.113, 45.749], [13.124, 45.744], [13.124, 45.737], [13.102, 45.736], [13.081, 45.727], [13.07, 45.714], [13.074, 45.697], [13.092, 45.688], [13.149, 45.704], [13.138, 45.69], [13.102, 45.67], [13.084, 45.641], [13.059, 45.636], [12.98, 45.634], [12.944, 45.629], [12.782, 45.553], [12.613, 45.496], [12.512, 45.471], [12.498, 45.46], [12.411, 45.437], [12.436, 45.476], [12.429, 45.484], [12.447, 45.484], [12.451, 45.498], [12.458, 45.498], [12.462, 45.489], [12.472, 45.486], [12.48, 45.491], [12.465, 45.504], [12.501, 45.506], [12.508, 45.498], [12.494, 45.498], [12.494, 45.491], [12.516, 45.493], [12.523, 45.52], [12.53, 45.526], [12.548, 45.526], [12.573, 45.54], [12.58, 45.553], [12.537, 45.536], [12.512, 45.558], [12.508, 45.574], [12.458, 45.548], [12.444, 45.53], [12.451, 45.511], [12.436, 45.513], [12.418, 45.523], [12.404, 45.518], [12.397, 45.54], [12.386, 45.523], [12.39, 45.514], [12.426, 45.504], [12.426, 45.498], [12.393, 45.491], [12.382, 45.494], [12.382, 45.504], [12.35, 45.504], [12.31, 45.489], [12.274, 45.464], [12.253, 45.437], [12.253, 45.43], [12.26, 45.43], [12.246, 45.411], [12.26, 45.395], [12.249, 45.386], [12.246, 45.361], [12.224, 45.354], [12.231, 45.341], [12.217, 45.317], [12.21, 45.308], [12.188, 45.307], [12.163, 45.317], [12.156, 45.314], [12.148, 45.292], [12.159, 45.283], [12.17, 45.263], [12.181, 45.258], [12.192, 45.263], [12.199, 45.275], [12.199, 45.3], [12.217, 45.293], [12.224, 45.251], [12.21, 45.243], [12.224, 45.231], [12.22, 45.216], [12.231, 45.204], [12.249, 45.197], [12.267, 45.197], [12.26, 45.202], [12.307, 45.231], [12.3, 45.216], [12.321, 45.172], [12.328, 45.101], [12.307, 45.108], [12.307, 45.128], [12.296, 45.106], [12.296, 45.089], [12.307, 45.079], [12.328, 45.081], [12.321, 45.094], [12.354, 45.067], [12.375, 45.038], [12.375, 45.032], [12.354, 45.025], [12.368, 45.011], [12.382, 45.026], [12.386, 45.038], [12.382, 45.05], [12.368, 45.065], [12.415, 45.043], [12.411, 45.032], [12.487, 44.976], [12.498, 44.984], [12.487, 44.984], [12.487, 44.991], [12.501, 44.991], [12.526, 44.981], [12.534, 44.971], [12.534, 44.961], [12.523, 44.95], [12.526, 44.944], [12.512, 44.922], [12.498, 44.922], [12.494, 44.878], [12.487, 44.863], [12.476, 44.846], [12.444, 44.82], [12.44, 44.836], [12.426, 44.854], [12.444, 44.89], [12.44, 44.902], [12.426, 44.905], [12.415, 44.9], [12.393, 44.868], [12.393, 44.859], [12.415, 44.851], [12.408, 44.836], [12.397, 44.834], [12.397, 44.827], [12.426, 44.82], [12.415, 44.804], [12.397, 44.793], [12.375, 44.792], [12.321, 44.834], [12.303, 44.842], [12.292, 44.842], [12.267, 44.827], [12.267, 44.82], [12.282, 44.82], [12.253, 44.751], [12.246, 44.712], [12.253, 44.668], [12.274, 44.621], [12.285, 44.614], [12.285, 44.488], [12.318, 44.361], [12.343, 44.329], [12.35, 44.289], [12.368, 44.251], [12.39, 44.223], [12.458, 44.167], [12.48, 44.14], [12.548, 44.093], [12.573, 44.086], [12.66, 44.008], [12.71, 43.983], [12.757, 43.971], [12.804, 43.966], [12.861, 43.936], [12.93, 43.915], [12.948, 43.897], [13.254, 43.703], [13.369, 43.65], [13.39, 43.645], [13.401, 43.635], [13.448, 43.623], [13.473, 43.611], [13.495, 43.628], [13.506, 43.633], [13.516, 43.632], [13.524, 43.62], [13.542, 43.613], [13.56, 43.596], [13.578, 43.573], [13.599, 43.569], [13.617, 43.561], [13.624, 43.547], [13.617, 43.532], [13.779, 43.237], [13.79, 43.193], [13.804, 43.177], [13.833, 43.127], [13.848, 43.091], [13.866, 43.007], [13.945, 42.798], [13.981, 42.73], [14.064, 42.625], [14.074, 42.598], [14.222, 42.47], [14.283, 42.428], [14.388, 42.374], [14.431, 42.321], [14.56, 42.225], [14.596, 42.208], [14.654, 42.191], [14.694, 42.185], [14.708, 42.176], [14.719, 42.159], [14.73, 42.098], [14.74, 42.085], [14.802, 42.066], [14.834, 42.044], [14.87, 42.033], [14.953, 42.021], [14.992, 42.011], [15.046, 41.968], [15.064, 41.965], [15.122, 41.935], [15.165, 41.928], [15.28, 41.928], [15.399, 41.908], [15.446, 41.908], [15.612, 41.928], [15.774, 41.921], [16.026, 41.945], [16.141, 41.919], [16.162, 41.892], [16.18, 41.892], [16.177, 41.877], [16.195, 41.808], [16.191, 41.791], [16.184, 41.779], [16.144, 41.749], [16.108, 41.737], [16.029, 41.68], [15.925, 41.641], [15.9, 41.614], [15.892, 41.577], [15.896, 41.536], [15.91, 41.502], [15.932, 41.479], [16.022, 41.428], [16.087, 41.413], [16.116, 41.393], [16.303, 41.328], [16.461, 41.263], [16.522, 41.251], [16.555, 41.227], [16.594, 41.207], [16.832, 41.146], [16.85, 41.133], [16.857, 41.133], [16.857, 41.141], [16.864, 41.141], [16.886, 41.124], [17.059, 41.082], [17.203, 41.021], [17.275, 40.981], [17.311, 40.955], [17.347, 40.911], [17.379, 40.903], [17.415, 40.881], [17.476, 40.83], [17.512, 40.82], [17.548, 40.802], [17.635, 40.785], [17.75, 40.748], [17.844, 40.694], [17.923, 40.683], [17.955, 40.67], [17.955, 40.646], [17.991, 40.653], [18.006, 40.651], [18.013, 40.645], [18.016, 40.624], [18.042, 40.602], [18.038, 40.557], [18.121, 40.504], [18.211, 40.464], [18.24, 40.457], [18.258, 40.43], [18.304, 40.4], [18.344, 40.351], [18.362, 40.346], [18.438, 40.268], [18.499, 40.153], [18.517, 40.14], [18.51, 40.128], [18.517, 40.104], [18.51, 40.094], [18.492, 40.084], [18.484, 40.055], [18.434, 40.023], [18.412, 39.979], [18.394, 39.925], [18.402, 39.878], [18.387, 39.826], [18.391, 39.817], [18.369, 39.797], [18.337, 39.8], [18.283, 39.832], [18.265, 39.837], [18.211, 39.839], [18.16, 39.861], [18.096, 39.903], [18.07, 39.912], [17.995, 39.995], [17.995, 40.003], [18.013, 40.003], [18.02, 40.01], [18.024, 40.022], [18.016, 40.037], [18.006, 40.045], [17.966, 40.057], [18.002, 40.074], [18.013, 40.096], [17.998, 40.121], [17.926, 40.177], [17.919, 40.19], [17.912, 40.241], [17.901, 40.249], [17.912, 40.249], [17.912, 40.255], [17.862, 40.285], [17.847, 40.29], [17.512, 40.304], [17.494, 40.307], [17.44, 40.331], [17.401, 40.331], [17.376, 40.349], [17.35, 40.354], [17.296, 40.38], [17.239, 40.395], [17.214, 40.407], [17.199, 40.42], [17.224, 40.428], [17.242, 40.442], [17.25, 40.457], [17.228, 40.474], [17.246, 40.481], [17.296, 40.472], [17.318, 40.483], [17.322, 40.498], [17.304, 40.499], [17.26, 40.489], [17.268, 40.496], [17.246, 40.503], [17.188, 40.483], [17.181, 40.486], [17.167, 40.51], [17.156, 40.513], [17.048, 40.52], [16.976, 40.493], [16.911, 40.445], [16.782, 40.302], [16.76, 40.27], [16.731, 40.201], [16.717, 40.194], [16.681, 40.146], [16.623, 40.108], [16.605, 40.084], [16.598, 40.033], [16.63, 39.966], [16.623, 39.954], [16.605, 39.942], [16.591, 39.92], [16.544, 39.885], [16.508, 39.837], [16.49, 39.805], [16.49, 39.775], [16.501, 39.746], [16.53, 39.721], [16.515, 39.689], [16.548, 39.66], [16.591, 39.637], [16.623, 39.625], [16.749, 39.62], [16.782, 39.611], [16.818, 39.591], [16.832, 39.576], [16.836, 39.561], [16.846, 39.552], [16.908, 39.53], [16.954, 39.5], [17.012, 39.486], [17.059, 39.442], [17.088, 39.422], [17.124, 39.409], [17.16, 39.407], [17.124, 39.338], [17.113, 39.27], [17.116, 39.257], [17.145, 39.211], [17.142, 39.179], [17.124, 39.122], [17.124, 39.091], [17.152, 39.046], [17.206, 39.029], [17.178, 39.012], [17.174, 39.005], [17.17, 38.966], [17.174, 38.961], [17.127, 38.929], [17.106, 38.899], [17.095, 38.919], [17.07, 38.922], [17.041, 38.916], [17.023, 38.905], [16.998, 38.929], [16.98, 38.937], [16.958, 38.941], [16.839, 38.919], [16.728, 38.878], [16.688, 38.856], [16.67, 38.841], [16.612, 38.816], [16.573, 38.785], [16.533, 38.699], [16.548, 38.693], [16.558, 38.596], [16.576, 38.529], [16.569, 38.429], [16.562, 38.416], [16.508, 38.372], [16.497, 38.37], [16.468, 38.348], [16.436, 38.34], [16.339, 38.301], [16.306, 38.277], [16.17, 38.144], [16.152, 38.11], [16.126, 38.005], [16.112, 37.973], [16.09, 37.95], [16.062, 37.933], [16, 37.919], [15.943, 37.933], [15.763, 37.926], [15.734, 37.931], [15.684, 37.953], [15.666, 37.967], [15.644, 37.988], [15.637, 38.009], [15.637, 38.027], [15.658, 38.043], [15.622, 38.091], [15.626, 38.107], [15.648, 38.144], [15.648, 38.162], [15.637, 38.186], [15.633, 38.22], [15.651, 38.242], [15.684, 38.254], [15.788, 38.277], [15.813, 38.301], [15.831, 38.352], [15.903, 38.473], [15.918, 38.517], [15.918, 38.551], [15.9, 38.578], [15.871, 38.605], [15.849, 38.613], [15.835, 38.628], [15.846, 38.661], [15.903, 38.679], [15.968, 38.713], [16.004, 38.725], [16.047, 38.728], [16.137, 38.723], [16.18, 38.748], [16.202, 38.777], [16.216, 38.814], [16.22, 38.856], [16.216, 38.919], [16.191, 38.944], [16.155, 38.954], [16.083, 39.076], [16.044, 39.311], [15.997, 39.439], [15.957, 39.478], [15.932, 39.513], [15.867, 39.564], [15.838, 39.653], [15.806, 39.696], [15.784, 39.81], [15.77, 39.824], [15.781, 39.868], [15.774, 39.892], [15.741, 39.93], [15.727, 39.964], [15.712, 39.981], [15.68, 40.008], [15.651, 40.043], [15.63, 40.057], [15.626, 40.077], [15.612, 40.074], [15.536, 40.077], [15.514, 40.067], [15.496, 40.047], [15.46, 40.03], [15.428, 40], [15.41, 39.995], [15.342, 40.005], [15.313, 40.033], [15.302, 40.037], [15.295, 40.032], [15.262, 40.03], [15.262, 40.037], [15.28, 40.047], [15.262, 40.074], [15.234, 40.099], [15.19, 40.119], [15.126, 40.17], [15.111, 40.175], [15.064, 40.167], [15.046, 40.168], [15.003, 40.211], [14.974, 40.219], [14.956, 40.231], [14.938, 40.228], [14.91, 40.241], [14.906, 40.258], [14.931, 40.285], [14.938, 40.307], [14.931, 40.334], [14.996, 40.359], [15, 40.398], [14.863, 40.607], [14.784, 40.67], [14.751, 40.677], [14.719, 40.667], [14.679, 40.646], [14.625, 40.65], [14.571, 40.618], [14.546, 40.614], [14.517, 40.619], [14.488, 40.633], [14.47, 40.624], [14.424, 40.616], [14.402, 40.602], [14.355, 40.584], [14.344, 40.57], [14.33, 40.584], [14.326, 40.606], [14.337, 40.624], [14.359, 40.633], [14.388, 40.636], [14.406, 40.656], [14.445, 40.687], [14.478, 40.695], [14.481, 40.712], [14.474, 40.729], [14.46, 40.744], [14.442, 40.754], [14.42, 40.751], [14.395, 40.761], [14.294, 40.839], [14.276, 40.84], [14.222, 40.832], [14.204, 40.802], [14.182, 40.802], [14.164, 40.815], [14.136, 40.819], [14.11, 40.83], [14.082, 40.832], [14.078, 40.81], [14.082, 40.783], [14.049, 40.79], [14.042, 40.797], [14.053, 40.837], [14.046, 40.874], [14.02, 40.922], [13.966, 40.996], [13.92, 41.023], [13.912, 41.065], [13.851, 41.148], [13.79, 41.205], [13.722, 41.252], [13.707, 41.256], [13.664, 41.251], [13.657, 41.259], [13.596, 41.252], [13.563, 41.237], [13.574, 41.209], [13.545, 41.207], [13.524, 41.215], [13.52, 41.225], [13.513, 41.229], [13.506, 41.222], [13.498, 41.222], [13.48, 41.239], [13.326, 41.295], [13.286, 41.296], [13.203, 41.285], [13.153, 41.261], [13.113, 41.251], [13.092, 41.227], [13.07, 41.222], [13.045, 41.227], [13.034, 41.258], [12.994, 41.315], [12.894, 41.399], [12.843, 41.418], [12.75, 41.423], [12.678, 41.459], [12.652, 41.465], [12.634, 41.447], [12.544, 41.545], [12.447, 41.631], [12.328, 41.712], [12.3, 41.717], [12.285, 41.727], [12.238, 41.735], [12.224, 41.751], [12.217, 41.768], [12.206, 41.827], [12.17, 41.879], [12.148, 41.904], [12.04, 41.965], [12.03, 41.974], [12.019, 41.994], [11.994, 41.995], [11.954, 42.022], [11.918, 42.038], [11.828, 42.034], [11.81, 42.066], [11.749, 42.127], [11.738, 42.169], [11.684, 42.252], [11.659, 42.279], [11.54, 42.348], [11.49, 42.359], [11.421, 42.387], [11.396, 42.392], [11.396, 42.401], [11.378, 42.407], [11.356, 42.407], [11.364, 42.401], [11.335, 42.401], [11.259, 42.421], [11.227, 42.423], [11.212, 42.419], [11.205, 42.411], [11.184, 42.367], [11.155, 42.367], [11.133, 42.384], [11.108, 42.391], [11.094, 42.402], [11.086, 42.429], [11.101, 42.443], [11.112, 42.446], [11.14, 42.44], [11.166, 42.44], [11.18, 42.456], [11.187, 42.48], [11.187, 42.521], [11.166, 42.546], [11.158, 42.565], [11.13, 42.558], [11.115, 42.571], [11.097, 42.607], [11.079, 42.613], [11.079, 42.632], [11.007, 42.668], [10.989, 42.71], [10.942, 42.744], [10.892, 42.764], [10.73, 42.804], [10.755, 42.819], [10.766, 42.835], [10.766, 42.877], [10.777, 42.895], [10.773, 42.907], [10.752, 42.926], [10.683, 42.95], [10.633, 42.958], [10.582, 42.96], [10.539, 42.95], [10.546, 42.934], [10.518, 42.926], [10.5, 42.941], [10.478, 42.99], [10.503, 43.005], [10.518, 43.024], [10.539, 43.08], [10.536, 43.113], [10.546, 43.147], [10.539, 43.164], [10.528, 43.247], [10.438, 43.389], [10.374, 43.453], [10.359, 43.465], [10.327, 43.476], [10.316, 43.493], [10.294, 43.569], [10.266, 43.809], [10.251, 43.846], [10.212, 43.92], [10.179, 43.956], [10.136, 43.978], [10.107, 44.017], [10.035, 44.047], [9.988, 44.061], [9.974, 44.045], [9.952, 44.049], [9.887, 44.093], [9.877, 44.088], [9.844, 44.108], [9.826, 44.108], [9.833, 44.099], [9.819, 44.093], [9.823, 44.084], [9.837, 44.074], [9.848, 44.072], [9.848, 44.066], [9.837, 44.061], [9.833, 44.052], [9.848, 44.047], [9.844, 44.04], [9.833, 44.042], [9.819, 44.064], [9.772, 44.079], [9.682, 44.137], [9.671, 44.142], [9.643, 44.142], [9.621, 44.148], [9.581, 44.179], [9.574, 44.192], [9.499, 44.221], [9.484, 44.245], [9.473, 44.24], [9.437, 44.24], [9.423, 44.256], [9.376, 44.272], [9.369, 44.294], [9.261, 44.336], [9.232, 44.354], [9.214, 44.334], [9.211, 44.305], [9.164, 44.319], [9.146, 44.329], [9.149, 44.339], [9.131, 44.363], [9.103, 44.375], [9.002, 44.386], [8.923, 44.412], [8.915, 44.408], [8.847, 44.414], [8.836, 44.417], [8.825, 44.429], [8.761, 44.432], [8.735, 44.429], [8.678, 44.395], [8.656, 44.395], [8.595, 44.363], [8.566, 44.358], [8.541, 44.339], [8.465, 44.304], [8.444, 44.283], [8.451, 44.265], [8.437, 44.248], [8.437, 44.24], [8.411, 44.228], [8.408, 44.194], [8.393, 44.182], [8.285, 44.148], [8.257, 44.128], [8.231, 44.103], [8.231, 44.072], [8.217, 44.045], [8.17, 44.007], [8.152, 43.983], [8.167, 43.956], [8.145, 43.953], [8.116, 43.927], [8.087, 43.92], [8.069, 43.897], [8.03, 43.887], [7.961, 43.853], [7.785, 43.823], [7.738, 43.799], [7.695, 43.79], [7.573, 43.792], [7.544, 43.784], [7.529, 43.784], [7.511, 43.792], [7.501, 43.792], [7.483, 43.839], [7.479, 43.865], [7.493, 43.887], [7.537, 43.92], [7.558, 43.944], [7.63, 43.993], [7.652, 44.04], [7.691, 44.067], [7.691, 44.084], [7.677, 44.11], [7.655, 44.125], [7.641, 44.143], [7.655, 44.175], [7.623, 44.18], [7.583, 44.16], [7.555, 44.159], [7.382, 44.123], [7.342, 44.123], [7.321, 44.132], [7.31, 44.147], [7.27, 44.153], [7.144, 44.208], [7.047, 44.24], [7.033, 44.243], [6.997, 44.238], [6.982, 44.241], [6.968, 44.258], [6.961, 44.277], [6.921, 44.302], [6.903, 44.331], [6.871, 44.363], [6.867, 44.383], [6.878, 44.415], [6.885, 44.424], [6.917, 44.435], [6.86, 44.474], [6.838, 44.503], [6.835, 44.533], [6.845, 44.547], [6.896, 44.576], [6.932, 44.618], [6.946, 44.626], [6.935, 44.647], [6.943, 44.667], [6.961, 44.684], [6.982, 44.692], [7.054, 44.685], [7.051, 44.697], [7.018, 44.739], [7.011, 44.771], [6.997, 44.793], [7.007, 44.822], [6.982, 44.847], [6.914, 44.863], [6.867, 44.856], [6.845, 44.859], [6.777, 44.888], [6.745, 44.908], [6.727, 44.929], [6.73, 44.984], [6.723, 45.013], [6.698, 45.026], [6.662, 45.03], [6.651, 45.035], [6.64, 45.05], [6.637, 45.074], [6.619, 45.084], [6.604, 45.104], [6.633, 45.126], [6.676, 45.141], [6.701, 45.141], [6.737, 45.158], [6.77, 45.153], [6.845, 45.129], [6.878, 45.141], [6.878, 45.148], [6.867, 45.158], [6.874, 45.167], [6.914, 45.17], [6.957, 45.211], [7.029, 45.227], [7.054, 45.214], [7.079, 45.243], [7.108, 45.259], [7.094, 45.324], [7.151, 45.383], [7.162, 45.411], [7.097, 45.435], [7.072, 45.471], [6.982, 45.511], [6.975, 45.526], [6.971, 45.567], [6.953, 45.585], [6.968, 45.621], [6.964, 45.641], [6.917, 45.653], [6.881, 45.675], [6.842, 45.683], [6.817, 45.697], [6.795, 45.719], [6.781, 45.778], [6.788, 45.812], [6.802, 45.827], [6.842, 45.839], [6.86, 45.834], [6.863, 45.827], [6.871, 45.829], [6.874, 45.845], [6.907, 45.845], [6.95, 45.857], [6.968, 45.869], [6.997, 45.911]], [[12.429, 43.892], [12.462, 43.895], [12.48, 43.917], [12.476, 43.92], [12.49, 43.939], [12.494, 43.956], [12.483, 43.983], [12.454, 43.98], [12.422, 43.968], [12.397, 43.949], [12.386, 43.924], [12.4, 43.904]]],
+    [[[12.001, 36.835], [12.051, 36.79], [12.055, 36.768], [12.03, 36.741], [11.997, 36.746], [11.961, 36.766], [11.936, 36.79], [11.925, 36.812], [11.922, 36.828], [11.947, 36.842], [11.958, 36.84], [11.972, 36.828], [11.986, 36.823], [11.994, 36.825]]],
+    [[[12.274, 37.94], [12.289, 37.938], [12.314, 37.946], [12.336, 37.933], [12.368, 37.926], [12.357, 37.914], [12.343, 37.912], [12.325, 37.918], [12.314, 37.926], [12.3, 37.919], [12.289, 37.921], [12.278, 37.929]]],
+    [[[15.529, 38.303], [15.558, 38.301], [15.615, 38.281], [15.651, 38.276], [15.644, 38.262], [15.626, 38.262], [15.583, 38.24], [15.568, 38.227], [15.561, 38.2], [15.576, 38.2], [15.529, 38.137], [15.5, 38.085], [15.392, 37.977], [15.302, 37.865], [15.266, 37.811], [15.241, 37.796], [15.212, 37.762], [15.208, 37.737], [15.219, 37.718], [15.219, 37.706], [15.198, 37.676], [15.198, 37.656], [15.165, 37.568], [15.115, 37.522], [15.097, 37.494], [15.09, 37.46], [15.097, 37.343], [15.111, 37.321], [15.18, 37.291], [15.219, 37.284], [15.237, 37.274], [15.252, 37.257], [15.262, 37.234], [15.244, 37.246], [15.219, 37.22], [15.223, 37.237], [15.216, 37.246], [15.205, 37.246], [15.194, 37.24], [15.198, 37.227], [15.183, 37.207], [15.194, 37.176], [15.216, 37.156], [15.234, 37.164], [15.248, 37.159], [15.248, 37.153], [15.23, 37.149], [15.234, 37.136], [15.248, 37.119], [15.302, 37.102], [15.309, 37.087], [15.302, 37.063], [15.288, 37.068], [15.28, 37.061], [15.284, 37.048], [15.291, 37.041], [15.313, 37.045], [15.32, 37.039], [15.331, 37.028], [15.331, 37.011], [15.324, 37.009], [15.309, 37.018], [15.27, 37.001], [15.273, 36.994], [15.262, 36.987], [15.27, 36.974], [15.244, 36.972], [15.198, 36.953], [15.176, 36.943], [15.158, 36.925], [15.108, 36.82], [15.108, 36.808], [15.093, 36.8], [15.118, 36.747], [15.136, 36.688], [15.133, 36.675], [15.115, 36.66], [15.093, 36.655], [15.054, 36.671], [15.032, 36.693], [15.007, 36.703], [14.982, 36.688], [14.92, 36.72], [14.881, 36.73], [14.848, 36.725], [14.78, 36.7], [14.776, 36.709], [14.762, 36.707], [14.744, 36.719], [14.686, 36.725], [14.658, 36.754], [14.582, 36.781], [14.568, 36.778], [14.488, 36.793], [14.395, 36.945], [14.37, 36.974], [14.28, 37.045], [14.208, 37.082], [14.125, 37.112], [14.089, 37.117], [13.977, 37.11], [13.938, 37.095], [13.894, 37.1], [13.833, 37.139], [13.714, 37.171], [13.682, 37.19], [13.599, 37.257], [13.57, 37.274], [13.488, 37.288], [13.452, 37.3], [13.311, 37.381], [13.279, 37.394], [13.254, 37.431], [13.225, 37.446], [13.207, 37.463], [13.189, 37.47], [13.174, 37.487], [13.052, 37.5], [13.027, 37.494], [13.016, 37.497], [13.002, 37.536], [12.973, 37.558], [12.944, 37.568], [12.861, 37.576], [12.782, 37.575], [12.699, 37.563], [12.66, 37.565], [12.638, 37.582], [12.595, 37.637], [12.577, 37.652], [12.562, 37.658], [12.523, 37.658], [12.505, 37.666], [12.465, 37.72], [12.458, 37.761], [12.426, 37.798], [12.429, 37.809], [12.444, 37.816], [12.447, 37.811], [12.465, 37.823], [12.462, 37.826], [12.48, 37.88], [12.465, 37.914], [12.49, 37.955], [12.505, 37.997], [12.505, 38.01], [12.494, 38.022], [12.523, 38.031], [12.548, 38.054], [12.577, 38.071], [12.609, 38.063], [12.652, 38.091], [12.663, 38.117], [12.706, 38.11], [12.724, 38.125], [12.721, 38.176], [12.732, 38.193], [12.739, 38.181], [12.76, 38.181], [12.789, 38.117], [12.818, 38.078], [12.829, 38.07], [12.858, 38.059], [12.868, 38.051], [12.868, 38.043], [12.901, 38.027], [12.944, 38.032], [13.027, 38.063], [13.063, 38.083], [13.07, 38.091], [13.07, 38.113], [13.066, 38.124], [13.056, 38.132], [13.056, 38.142], [13.088, 38.166], [13.084, 38.174], [13.088, 38.183], [13.102, 38.189], [13.113, 38.193], [13.156, 38.179], [13.207, 38.176], [13.232, 38.184], [13.239, 38.206], [13.264, 38.205], [13.318, 38.22], [13.329, 38.2], [13.372, 38.173], [13.372, 38.14], [13.39, 38.103], [13.513, 38.11], [13.542, 38.095], [13.538, 38.076], [13.556, 38.049], [13.588, 38.039], [13.65, 38], [13.711, 37.988], [13.704, 37.98], [13.725, 37.982], [13.79, 37.973], [13.858, 37.997], [13.898, 38.004], [13.938, 38.029], [14.006, 38.037], [14.02, 38.049], [14.082, 38.024], [14.121, 38.022], [14.15, 38.029], [14.272, 38.015], [14.33, 38.017], [14.384, 38.029], [14.431, 38.049], [14.463, 38.037], [14.51, 38.044], [14.636, 38.081], [14.697, 38.122], [14.733, 38.157], [14.744, 38.161], [14.798, 38.161], [14.874, 38.176], [14.906, 38.188], [14.935, 38.186], [14.971, 38.159], [15.007, 38.152], [15.05, 38.152], [15.068, 38.132], [15.09, 38.129], [15.176, 38.156], [15.205, 38.183], [15.241, 38.242], [15.237, 38.265], [15.244, 38.265], [15.248, 38.254], [15.241, 38.23], [15.244, 38.216], [15.259, 38.21], [15.291, 38.206], [15.399, 38.233], [15.435, 38.254], [15.471, 38.267], [15.514, 38.297]]],
+    [[[14.967, 38.433], [14.967, 38.419], [14.982, 38.412], [15.003, 38.392], [15.007, 38.377], [14.985, 38.363], [14.949, 38.397], [14.946, 38.412], [14.96, 38.433]]],
+    [[[14.906, 38.473], [14.899, 38.482], [14.91, 38.515], [14.924, 38.522], [14.956, 38.522], [14.967, 38.517], [14.96, 38.502], [14.978, 38.488], [14.978, 38.482], [14.953, 38.482], [14.96, 38.465], [14.967, 38.461], [14.967, 38.453], [14.949, 38.451]]],
+    [[[14.863, 38.549], [14.863, 38.539], [14.823, 38.552], [14.794, 38.571], [14.816, 38.585], [14.866, 38.581], [14.877, 38.569]]],
+    [[[8.455, 39.074], [8.462, 39.066], [8.48, 39.073], [8.483, 39.069], [8.458, 39.051], [8.462, 39.042], [8.437, 38.968], [8.433, 38.963], [8.411, 38.961], [8.365, 39.029], [8.35, 39.062], [8.354, 39.091], [8.347, 39.091], [8.347, 39.098], [8.361, 39.118], [8.386, 39.105], [8.444, 39.103]]],
+    [[[8.307, 39.194], [8.311, 39.12], [8.307, 39.105], [8.271, 39.1], [8.253, 39.106], [8.257, 39.125], [8.231, 39.143], [8.224, 39.157], [8.231, 39.172], [8.246, 39.181]]],
+    [[[13.945, 40.702], [13.92, 40.704], [13.891, 40.694], [13.884, 40.7], [13.858, 40.707], [13.848, 40.716], [13.855, 40.734], [13.869, 40.749], [13.862, 40.763], [13.884, 40.763], [13.945, 40.746], [13.966, 40.736], [13.963, 40.722], [13.966, 40.716]]],
+    [[[8.275, 41.057], [8.249, 41.043], [8.246, 40.994], [8.21, 40.996], [8.217, 41.004], [8.228, 41.041], [8.26, 41.065], [8.275, 41.07], [8.278, 41.106], [8.303, 41.106], [8.307, 41.114], [8.325, 41.126], [8.332, 41.106], [8.343, 41.097], [8.343, 41.074], [8.332, 41.065]]],
+    [[[9.794, 40.557], [9.826, 40.53], [9.801, 40.455], [9.751, 40.378], [9.711, 40.366], [9.671, 40.312], [9.646, 40.297], [9.625, 40.263], [9.628, 40.206], [9.653, 40.145], [9.664, 40.131], [9.689, 40.121], [9.711, 40.096], [9.733, 40.084], [9.693, 39.993], [9.686, 39.961], [9.697, 39.934], [9.711, 39.94], [9.718, 39.934], [9.715, 39.925], [9.697, 39.92], [9.682, 39.883], [9.689, 39.871], [9.682, 39.871], [9.682, 39.866], [9.697, 39.858], [9.697, 39.853], [9.675, 39.819], [9.668, 39.77], [9.675, 39.707], [9.65, 39.652], [9.657, 39.594], [9.653, 39.567], [9.628, 39.501], [9.646, 39.485], [9.639, 39.452], [9.614, 39.4], [9.599, 39.341], [9.603, 39.326], [9.635, 39.304], [9.635, 39.297], [9.607, 39.289], [9.581, 39.267], [9.567, 39.238], [9.574, 39.214], [9.567, 39.199], [9.581, 39.187], [9.567, 39.159], [9.567, 39.149], [9.524, 39.125], [9.52, 39.105], [9.506, 39.111], [9.513, 39.125], [9.495, 39.133], [9.481, 39.135], [9.441, 39.125], [9.437, 39.133], [9.409, 39.147], [9.337, 39.201], [9.311, 39.208], [9.293, 39.221], [9.286, 39.214], [9.272, 39.221], [9.218, 39.228], [9.196, 39.221], [9.167, 39.187], [9.139, 39.194], [9.113, 39.211], [9.074, 39.248], [9.063, 39.243], [9.038, 39.262], [9.013, 39.263], [9.013, 39.26], [9.027, 39.257], [9.02, 39.24], [9.038, 39.228], [9.074, 39.23], [9.081, 39.225], [9.081, 39.216], [9.027, 39.165], [9.02, 39.147], [9.016, 39.123], [9.023, 39.086], [9.031, 39.069], [9.045, 39.059], [9.02, 38.995], [9.027, 38.995], [9.016, 38.99], [9.005, 38.995], [8.894, 38.902], [8.876, 38.899], [8.854, 38.878], [8.84, 38.88], [8.804, 38.905], [8.804, 38.885], [8.789, 38.904], [8.768, 38.921], [8.739, 38.931], [8.717, 38.932], [8.667, 38.91], [8.653, 38.892], [8.656, 38.872], [8.642, 38.865], [8.635, 38.872], [8.642, 38.89], [8.635, 38.895], [8.599, 38.899], [8.599, 38.905], [8.617, 38.922], [8.617, 38.948], [8.602, 38.964], [8.581, 38.961], [8.573, 39.013], [8.559, 39.057], [8.552, 39.057], [8.545, 39.051], [8.505, 39.062], [8.519, 39.083], [8.505, 39.091], [8.483, 39.081], [8.465, 39.12], [8.455, 39.125], [8.444, 39.118], [8.437, 39.128], [8.44, 39.154], [8.437, 39.165], [8.429, 39.174], [8.419, 39.177], [8.411, 39.176], [8.415, 39.165], [8.408, 39.169], [8.397, 39.201], [8.379, 39.208], [8.372, 39.223], [8.375, 39.238], [8.426, 39.284], [8.433, 39.302], [8.415, 39.324], [8.419, 39.339], [8.383, 39.36], [8.375, 39.378], [8.379, 39.388], [8.397, 39.404], [8.404, 39.427], [8.386, 39.469], [8.437, 39.525], [8.462, 39.577], [8.455, 39.584], [8.465, 39.598], [8.451, 39.658], [8.444, 39.756], [8.447, 39.763], [8.469, 39.755], [8.516, 39.702], [8.537, 39.696], [8.566, 39.701], [8.516, 39.714], [8.505, 39.721], [8.505, 39.738], [8.545, 39.783], [8.537, 39.783], [8.53, 39.77], [8.519, 39.763], [8.541, 39.789], [8.552, 39.821], [8.555, 39.853], [8.545, 39.878], [8.523, 39.898], [8.494, 39.912], [8.462, 39.913], [8.437, 39.898], [8.444, 39.893], [8.444, 39.898], [8.462, 39.898], [8.451, 39.893], [8.444, 39.883], [8.437, 39.858], [8.429, 39.866], [8.437, 39.876], [8.397, 39.905], [8.393, 39.913], [8.401, 39.934], [8.393, 39.988], [8.408, 40.01], [8.408, 40.022], [8.393, 40.037], [8.379, 40.03], [8.375, 40.033], [8.401, 40.05], [8.433, 40.05], [8.469, 40.062], [8.48, 40.074], [8.491, 40.104], [8.462, 40.163], [8.458, 40.216], [8.476, 40.263], [8.476, 40.292], [8.462, 40.315], [8.44, 40.332], [8.415, 40.346], [8.408, 40.337], [8.386, 40.352], [8.383, 40.371], [8.393, 40.423], [8.379, 40.469], [8.365, 40.493], [8.332, 40.511], [8.311, 40.579], [8.293, 40.596], [8.267, 40.594], [8.217, 40.57], [8.195, 40.579], [8.217, 40.613], [8.192, 40.618], [8.177, 40.606], [8.167, 40.587], [8.163, 40.564], [8.152, 40.577], [8.141, 40.624], [8.174, 40.641], [8.185, 40.656], [8.188, 40.68], [8.199, 40.692], [8.174, 40.697], [8.145, 40.726], [8.134, 40.729], [8.217, 40.881], [8.217, 40.9], [8.21, 40.915], [8.177, 40.928], [8.192, 40.964], [8.203, 40.976], [8.21, 40.976], [8.213, 40.964], [8.228, 40.962], [8.235, 40.955], [8.228, 40.922], [8.231, 40.91], [8.278, 40.866], [8.311, 40.851], [8.422, 40.839], [8.476, 40.827], [8.519, 40.827], [8.599, 40.852], [8.635, 40.881], [8.642, 40.896], [8.71, 40.92], [8.75, 40.92], [8.764, 40.913], [8.822, 40.947], [8.887, 41.016], [8.887, 41.021], [8.879, 41.023], [8.923, 41.036], [8.941, 41.062], [8.977, 41.082], [9.005, 41.122], [9.023, 41.129], [9.106, 41.139], [9.135, 41.16], [9.142, 41.153], [9.157, 41.168], [9.164, 41.185], [9.164, 41.225], [9.171, 41.242], [9.232, 41.263], [9.232, 41.254], [9.239, 41.249], [9.257, 41.249], [9.268, 41.237], [9.268, 41.202], [9.279, 41.195], [9.272, 41.205], [9.279, 41.222], [9.286, 41.222], [9.29, 41.205], [9.286, 41.195], [9.311, 41.202], [9.333, 41.188], [9.337, 41.212], [9.351, 41.207], [9.387, 41.18], [9.387, 41.188], [9.423, 41.18], [9.409, 41.16], [9.419, 41.156], [9.441, 41.133], [9.437, 41.116], [9.441, 41.092], [9.459, 41.121], [9.47, 41.126], [9.455, 41.141], [9.47, 41.146], [9.509, 41.141], [9.517, 41.149], [9.524, 41.149], [9.531, 41.141], [9.524, 41.133], [9.545, 41.121], [9.56, 41.126], [9.567, 41.119], [9.563, 41.097], [9.545, 41.077], [9.538, 41.092], [9.513, 41.016], [9.531, 41.016], [9.524, 41.031], [9.542, 41.036], [9.553, 41.035], [9.556, 41.025], [9.553, 41.009], [9.56, 41.011], [9.56, 41.016], [9.567, 41.009], [9.574, 41.009], [9.589, 41.021], [9.617, 41.019], [9.664, 41.003], [9.65, 40.991], [9.603, 41.003], [9.589, 40.996], [9.578, 40.962], [9.567, 40.949], [9.571, 40.935], [9.556, 40.932], [9.513, 40.935], [9.509, 40.93], [9.513, 40.928], [9.506, 40.927], [9.513, 40.915], [9.538, 40.92], [9.574, 40.906], [9.592, 40.91], [9.621, 40.923], [9.643, 40.92], [9.632, 40.905], [9.614, 40.9], [9.614, 40.893], [9.657, 40.876], [9.657, 40.864], [9.664, 40.859], [9.682, 40.866], [9.689, 40.856], [9.7, 40.851], [9.725, 40.846], [9.689, 40.835], [9.682, 40.83], [9.689, 40.81], [9.675, 40.813], [9.661, 40.808], [9.657, 40.8], [9.668, 40.79], [9.671, 40.802], [9.675, 40.788], [9.704, 40.759], [9.715, 40.727], [9.743, 40.68], [9.754, 40.606], [9.761, 40.587], [9.783, 40.582]]],
+    [[[10.896, 42.387], [10.914, 42.375], [10.928, 42.353], [10.928, 42.34], [10.939, 42.332], [10.924, 42.318], [10.87, 42.353], [10.863, 42.367], [10.878, 42.374], [10.878, 42.387], [10.885, 42.392]]],
+    [[[10.442, 42.845], [10.431, 42.828], [10.438, 42.804], [10.431, 42.787], [10.42, 42.776], [10.388, 42.764], [10.41, 42.757], [10.424, 42.74], [10.431, 42.722], [10.417, 42.708], [10.41, 42.718], [10.392, 42.718], [10.381, 42.723], [10.363, 42.75], [10.338, 42.765], [10.327, 42.765], [10.312, 42.744], [10.305, 42.76], [10.266, 42.745], [10.244, 42.757], [10.237, 42.735], [10.147, 42.737], [10.125, 42.744], [10.107, 42.757], [10.1, 42.784], [10.111, 42.801], [10.132, 42.813], [10.179, 42.819], [10.212, 42.808], [10.244, 42.803], [10.266, 42.804], [10.266, 42.811], [10.258, 42.813], [10.273, 42.819], [10.273, 42.828], [10.327, 42.826], [10.323, 42.811], [10.334, 42.806], [10.348, 42.806], [10.356, 42.808], [10.359, 42.818], [10.381, 42.833], [10.399, 42.868], [10.413, 42.874], [10.431, 42.865]]],
+    [[[9.841, 43.064], [9.855, 43.044], [9.823, 43.009], [9.801, 43.009], [9.783, 43.029], [9.808, 43.066], [9.826, 43.074]]],
+    [[[12.354, 45.405], [12.372, 45.425], [12.39, 45.433], [12.408, 45.43], [12.429, 45.415], [12.418, 45.42], [12.375, 45.423], [12.321, 45.347], [12.328, 45.373]]],
+    [[[12.861, 35.873], [12.868, 35.873], [12.876, 35.866], [12.872, 35.852], [12.85, 35.856], [12.847, 35.868]]],
+    [[[14.348, 38.536], [14.344, 38.547], [14.359, 38.551], [14.362, 38.539]]],
+    [[[14.575, 38.576], [14.586, 38.558], [14.575, 38.556], [14.553, 38.561], [14.542, 38.574], [14.542, 38.586], [14.564, 38.585]]],
+    [[[13.171, 38.718], [13.185, 38.718], [13.196, 38.708], [13.178, 38.693], [13.164, 38.691], [13.153, 38.694], [13.153, 38.703]]],
+    [[[15.226, 38.811], [15.241, 38.804], [15.226, 38.777], [15.219, 38.774], [15.205, 38.775], [15.187, 38.792], [15.212, 38.811]]],
+    [[[13.419, 40.795], [13.423, 40.8], [13.434, 40.802], [13.426, 40.792], [13.416, 40.786]]],
+    [[[12.624, 35.51], [12.62, 35.493], [12.613, 35.489], [12.526, 35.516], [12.534, 35.521], [12.555, 35.521], [12.613, 35.515]]],
+    [[[12.073, 37.968], [12.08, 37.95], [12.066, 37.951], [12.048, 37.961], [12.03, 37.985], [12.037, 37.992], [12.055, 37.992], [12.066, 37.987]]],
+    [[[9.473, 41.236], [9.481, 41.217], [9.47, 41.19], [9.473, 41.18], [9.47, 41.171], [9.448, 41.185], [9.441, 41.183], [9.437, 41.187], [9.448, 41.205], [9.445, 41.22], [9.459, 41.242]]],
+    [[[9.43, 41.225], [9.434, 41.217], [9.394, 41.21], [9.376, 41.214], [9.373, 41.231], [9.398, 41.247], [9.398, 41.256], [9.416, 41.263], [9.423, 41.261], [9.43, 41.246]]],
+    [[[10.298, 42.345], [10.305, 42.352], [10.316, 42.34], [10.312, 42.325], [10.294, 42.328]]],
+    [[[10.093, 42.597], [10.096, 42.576], [10.071, 42.573], [10.05, 42.581], [10.053, 42.59], [10.064, 42.592], [10.078, 42.613], [10.086, 42.615]]],
+    [[[12.328, 45.459], [12.346, 45.459], [12.364, 45.45], [12.361, 45.438], [12.336, 45.427], [12.321, 45.43], [12.318, 45.444]]]
+  ] },
+  { code: 'ES', name: 'Spain', polygons: [
+    [[[-5.341, 35.847], [-5.377, 35.881], [-5.391, 35.901], [-5.398, 35.925], [-5.366, 35.925], [-5.326, 35.905], [-5.308, 35.901], [-5.283, 35.912], [-5.29, 35.891], [-5.337, 35.863]]],
+    [[[-2.947, 35.329], [-2.914, 35.277], [-2.943, 35.268], [-2.965, 35.287], [-2.968, 35.314]]],
+    [[[-1.795, 43.385], [-1.798, 43.341], [-1.769, 43.331], [-1.755, 43.319], [-1.748, 43.291], [-1.726, 43.297], [-1.672, 43.304], [-1.643, 43.292], [-1.647, 43.272], [-1.64, 43.255], [-1.611, 43.245], [-1.586, 43.252], [-1.575, 43.277], [-1.561, 43.284], [-1.539, 43.284], [-1.507, 43.277], [-1.467, 43.26], [-1.431, 43.265], [-1.402, 43.243], [-1.399, 43.206], [-1.409, 43.167], [-1.438, 43.123], [-1.489, 43.081], [-1.456, 43.046], [-1.435, 43.036], [-1.409, 43.031], [-1.384, 43.029], [-1.366, 43.034], [-1.348, 43.093], [-1.33, 43.107], [-1.309, 43.113], [-1.287, 43.11], [-1.309, 43.096], [-1.316, 43.083], [-1.312, 43.069], [-1.276, 43.047], [-1.219, 43.039], [-1.183, 43.026], [-1.15, 43.005], [-1.111, 43.009], [-1.078, 42.993], [-1.028, 42.987], [-0.981, 42.956], [-0.945, 42.948], [-0.862, 42.943], [-0.787, 42.953], [-0.761, 42.946], [-0.74, 42.911], [-0.747, 42.894], [-0.74, 42.885], [-0.729, 42.877], [-0.7, 42.877], [-0.65, 42.85], [-0.607, 42.808], [-0.61, 42.799], [-0.581, 42.796], [-0.578, 42.777], [-0.571, 42.772], [-0.535, 42.784], [-0.535, 42.808], [-0.509, 42.808], [-0.455, 42.789], [-0.423, 42.791], [-0.351, 42.83], [-0.344, 42.823], [-0.337, 42.825], [-0.322, 42.843], [-0.308, 42.831], [-0.247, 42.804], [-0.236, 42.786], [-0.207, 42.784], [-0.16, 42.796], [-0.164, 42.777], [-0.157, 42.76], [-0.146, 42.745], [-0.128, 42.735], [-0.121, 42.716], [-0.095, 42.711], [-0.077, 42.696], [-0.038, 42.684], [-0.005, 42.688], [0.074, 42.708], [0.135, 42.715], [0.153, 42.725], [0.167, 42.727], [0.239, 42.71], [0.275, 42.669], [0.29, 42.671], [0.337, 42.713], [0.355, 42.718], [0.383, 42.7], [0.383, 42.688], [0.391, 42.684], [0.43, 42.683], [0.466, 42.691], [0.484, 42.686], [0.607, 42.688], [0.643, 42.684], [0.657, 42.688], [0.664, 42.696], [0.668, 42.715], [0.661, 42.73], [0.646, 42.742], [0.632, 42.745], [0.65, 42.764], [0.639, 42.774], [0.653, 42.803], [0.65, 42.825], [0.657, 42.838], [0.679, 42.845], [0.707, 42.847], [0.758, 42.835], [0.812, 42.831], [0.855, 42.813], [0.887, 42.804], [0.92, 42.784], [0.949, 42.796], [0.985, 42.781], [1.067, 42.776], [1.089, 42.771], [1.107, 42.76], [1.136, 42.716], [1.15, 42.706], [1.197, 42.713], [1.319, 42.713], [1.341, 42.708], [1.337, 42.695], [1.363, 42.686], [1.377, 42.662], [1.399, 42.644], [1.417, 42.61], [1.431, 42.595], [1.424, 42.59], [1.417, 42.57], [1.427, 42.566], [1.427, 42.561], [1.409, 42.541], [1.406, 42.529], [1.427, 42.531], [1.445, 42.521], [1.449, 42.504], [1.431, 42.494], [1.406, 42.487], [1.438, 42.453], [1.438, 42.441], [1.449, 42.435], [1.517, 42.429], [1.546, 42.45], [1.607, 42.456], [1.64, 42.467], [1.654, 42.497], [1.687, 42.49], [1.708, 42.502], [1.712, 42.494], [1.791, 42.482], [1.87, 42.446], [1.928, 42.436], [1.942, 42.419], [1.953, 42.382], [1.964, 42.367], [1.996, 42.348], [2.011, 42.347], [2.05, 42.352], [2.065, 42.359], [2.079, 42.372], [2.104, 42.386], [2.115, 42.406], [2.137, 42.416], [2.183, 42.413], [2.277, 42.429], [2.317, 42.409], [2.374, 42.389], [2.421, 42.384], [2.428, 42.367], [2.464, 42.34], [2.504, 42.328], [2.525, 42.326], [2.547, 42.352], [2.569, 42.353], [2.612, 42.342], [2.662, 42.338], [2.662, 42.343], [2.648, 42.353], [2.641, 42.372], [2.648, 42.382], [2.691, 42.406], [2.727, 42.414], [2.767, 42.409], [2.788, 42.413], [2.806, 42.419], [2.849, 42.448], [2.9, 42.451], [2.932, 42.47], [2.965, 42.462], [2.983, 42.47], [3.029, 42.465], [3.044, 42.445], [3.065, 42.433], [3.087, 42.428], [3.112, 42.424], [3.181, 42.431], [3.17, 42.397], [3.173, 42.364], [3.188, 42.35], [3.206, 42.34], [3.249, 42.343], [3.263, 42.33], [3.281, 42.337], [3.292, 42.335], [3.317, 42.323], [3.289, 42.277], [3.289, 42.262], [3.263, 42.24], [3.245, 42.245], [3.209, 42.24], [3.177, 42.25], [3.17, 42.259], [3.152, 42.257], [3.13, 42.24], [3.119, 42.218], [3.116, 42.159], [3.123, 42.141], [3.137, 42.127], [3.173, 42.112], [3.213, 42.068], [3.213, 42.056], [3.199, 42.046], [3.195, 42.033], [3.209, 41.99], [3.231, 41.974], [3.235, 41.965], [3.231, 41.947], [3.206, 41.914], [3.195, 41.889], [3.177, 41.876], [3.152, 41.845], [3.116, 41.847], [3.08, 41.827], [3.069, 41.8], [2.95, 41.734], [2.932, 41.712], [2.839, 41.695], [2.817, 41.678], [2.813, 41.67], [2.792, 41.67], [2.777, 41.646], [2.45, 41.534], [2.371, 41.489], [2.295, 41.465], [2.266, 41.448], [2.162, 41.327], [2.129, 41.303], [2.061, 41.274], [2.021, 41.266], [1.953, 41.261], [1.885, 41.247], [1.852, 41.236], [1.82, 41.237], [1.625, 41.192], [1.539, 41.187], [1.287, 41.116], [1.219, 41.104], [1.211, 41.101], [1.19, 41.068], [1.172, 41.058], [1.143, 41.072], [1.096, 41.07], [1.057, 41.065], [0.992, 41.04], [0.877, 40.955], [0.823, 40.9], [0.715, 40.815], [0.697, 40.786], [0.751, 40.766], [0.761, 40.766], [0.769, 40.771], [0.751, 40.786], [0.769, 40.785], [0.841, 40.732], [0.873, 40.727], [0.873, 40.707], [0.859, 40.687], [0.848, 40.675], [0.783, 40.661], [0.758, 40.643], [0.707, 40.584], [0.679, 40.565], [0.617, 40.553], [0.592, 40.582], [0.639, 40.587], [0.664, 40.575], [0.697, 40.591], [0.733, 40.634], [0.682, 40.634], [0.599, 40.614], [0.563, 40.591], [0.502, 40.484], [0.452, 40.434], [0.445, 40.408], [0.419, 40.388], [0.351, 40.285], [0.311, 40.258], [0.265, 40.209], [0.207, 40.172], [0.146, 40.079], [0.117, 40.057], [0.067, 40.032], [0.041, 40.003], [-0.002, 39.932], [-0.027, 39.902], [-0.092, 39.848], [-0.196, 39.716], [-0.211, 39.664], [-0.257, 39.616], [-0.283, 39.569], [-0.322, 39.517], [-0.329, 39.481], [-0.322, 39.388], [-0.301, 39.322], [-0.239, 39.216], [-0.214, 39.182], [-0.243, 39.167], [-0.211, 39.079], [-0.121, 38.951], [-0.106, 38.936], [-0.009, 38.87], [0.063, 38.861], [0.11, 38.85], [0.153, 38.831], [0.185, 38.804], [0.171, 38.796], [0.218, 38.769], [0.229, 38.77], [0.236, 38.758], [0.236, 38.742], [0.229, 38.735], [0.178, 38.725], [0.164, 38.713], [0.146, 38.686], [0.124, 38.686], [0.085, 38.661], [0.074, 38.645], [0.081, 38.632], [0.059, 38.635], [0.034, 38.627], [-0.016, 38.625], [-0.041, 38.612], [-0.056, 38.595], [-0.052, 38.568], [-0.059, 38.552], [-0.074, 38.541], [-0.092, 38.536], [-0.131, 38.536], [-0.203, 38.52], [-0.232, 38.502], [-0.329, 38.47], [-0.394, 38.414], [-0.405, 38.399], [-0.412, 38.365], [-0.459, 38.36], [-0.47, 38.352], [-0.473, 38.336], [-0.509, 38.338], [-0.52, 38.299], [-0.506, 38.208], [-0.517, 38.196], [-0.535, 38.193], [-0.571, 38.194], [-0.592, 38.189], [-0.625, 38.162], [-0.646, 38.117], [-0.653, 37.99], [-0.664, 37.98], [-0.689, 37.972], [-0.718, 37.943], [-0.758, 37.864], [-0.761, 37.796], [-0.787, 37.823], [-0.812, 37.771], [-0.848, 37.755], [-0.855, 37.742], [-0.851, 37.723], [-0.819, 37.676], [-0.779, 37.651], [-0.754, 37.641], [-0.736, 37.639], [-0.725, 37.651], [-0.707, 37.642], [-0.7, 37.631], [-0.704, 37.62], [-0.736, 37.6], [-0.754, 37.603], [-0.837, 37.576], [-0.887, 37.575], [-0.923, 37.556], [-0.974, 37.576], [-1.006, 37.582], [-1.089, 37.582], [-1.103, 37.576], [-1.121, 37.56], [-1.107, 37.533], [-1.168, 37.544], [-1.179, 37.565], [-1.201, 37.566], [-1.244, 37.58], [-1.262, 37.558], [-1.323, 37.561], [-1.37, 37.541], [-1.413, 37.507], [-1.463, 37.489], [-1.478, 37.473], [-1.489, 37.433], [-1.496, 37.428], [-1.514, 37.433], [-1.543, 37.414], [-1.618, 37.392], [-1.643, 37.381], [-1.654, 37.362], [-1.672, 37.364], [-1.697, 37.316], [-1.73, 37.283], [-1.787, 37.235], [-1.813, 37.207], [-1.831, 37.166], [-1.856, 37.077], [-1.885, 37.016], [-1.906, 36.987], [-1.899, 36.942], [-1.913, 36.933], [-1.942, 36.93], [-1.953, 36.92], [-1.989, 36.901], [-2.003, 36.888], [-2.014, 36.845], [-2.057, 36.81], [-2.065, 36.783], [-2.079, 36.771], [-2.101, 36.766], [-2.111, 36.746], [-2.126, 36.736], [-2.165, 36.727], [-2.205, 36.737], [-2.255, 36.788], [-2.284, 36.81], [-2.317, 36.828], [-2.363, 36.837], [-2.432, 36.817], [-2.482, 36.83], [-2.561, 36.818], [-2.576, 36.812], [-2.615, 36.729], [-2.659, 36.695], [-2.684, 36.687], [-2.72, 36.682], [-2.738, 36.687], [-2.756, 36.68], [-2.821, 36.714], [-2.831, 36.712], [-2.839, 36.702], [-2.849, 36.7], [-2.86, 36.705], [-2.885, 36.734], [-2.914, 36.751], [-2.932, 36.752], [-2.986, 36.737], [-3.076, 36.749], [-3.155, 36.744], [-3.227, 36.754], [-3.328, 36.746], [-3.357, 36.725], [-3.415, 36.695], [-3.476, 36.697], [-3.515, 36.72], [-3.537, 36.719], [-3.551, 36.712], [-3.587, 36.727], [-3.602, 36.742], [-3.667, 36.739], [-3.681, 36.729], [-3.731, 36.724], [-3.839, 36.752], [-3.962, 36.727], [-4.055, 36.747], [-4.081, 36.744], [-4.109, 36.725], [-4.225, 36.712], [-4.405, 36.724], [-4.419, 36.72], [-4.433, 36.71], [-4.466, 36.663], [-4.491, 36.636], [-4.495, 36.621], [-4.523, 36.58], [-4.588, 36.573], [-4.613, 36.531], [-4.66, 36.508], [-4.721, 36.492], [-4.88, 36.506], [-4.912, 36.504], [-4.995, 36.457], [-5.063, 36.452], [-5.121, 36.425], [-5.175, 36.418], [-5.2, 36.398], [-5.254, 36.297], [-5.265, 36.286], [-5.29, 36.278], [-5.287, 36.261], [-5.333, 36.188], [-5.337, 36.141], [-5.359, 36.141], [-5.366, 36.163], [-5.405, 36.18], [-5.427, 36.18], [-5.427, 36.17], [-5.438, 36.161], [-5.441, 36.15], [-5.441, 36.134], [-5.434, 36.121], [-5.441, 36.114], [-5.427, 36.08], [-5.431, 36.07], [-5.445, 36.057], [-5.611, 36.006], [-5.629, 36.036], [-5.69, 36.067], [-5.711, 36.06], [-5.794, 36.085], [-5.812, 36.097], [-5.834, 36.123], [-5.917, 36.183], [-5.985, 36.177], [-6.035, 36.19], [-6.064, 36.217], [-6.104, 36.281], [-6.158, 36.305], [-6.183, 36.371], [-6.219, 36.403], [-6.28, 36.511], [-6.309, 36.535], [-6.291, 36.538], [-6.259, 36.514], [-6.248, 36.504], [-6.255, 36.496], [-6.23, 36.472], [-6.212, 36.481], [-6.179, 36.514], [-6.208, 36.509], [-6.223, 36.511], [-6.233, 36.526], [-6.226, 36.557], [-6.233, 36.575], [-6.284, 36.612], [-6.295, 36.617], [-6.381, 36.624], [-6.395, 36.638], [-6.406, 36.676], [-6.439, 36.734], [-6.435, 36.751], [-6.413, 36.768], [-6.345, 36.795], [-6.334, 36.818], [-6.345, 36.861], [-6.338, 36.884], [-6.305, 36.908], [-6.223, 36.903], [-6.194, 36.931], [-6.241, 36.913], [-6.266, 36.913], [-6.284, 36.926], [-6.327, 36.913], [-6.345, 36.901], [-6.352, 36.881], [-6.345, 36.82], [-6.352, 36.808], [-6.388, 36.808], [-6.417, 36.839], [-6.449, 36.904], [-6.471, 36.935], [-6.5, 36.96], [-6.745, 37.102], [-6.813, 37.124], [-6.853, 37.151], [-6.892, 37.166], [-6.91, 37.19], [-6.917, 37.215], [-6.853, 37.294], [-6.903, 37.249], [-6.932, 37.234], [-6.964, 37.234], [-6.964, 37.227], [-6.939, 37.2], [-6.928, 37.173], [-6.943, 37.171], [-7.029, 37.205], [-7.101, 37.224], [-7.126, 37.215], [-7.087, 37.207], [-7.328, 37.202], [-7.364, 37.181], [-7.382, 37.18], [-7.414, 37.193], [-7.436, 37.259], [-7.429, 37.274], [-7.447, 37.387], [-7.461, 37.418], [-7.468, 37.475], [-7.475, 37.494], [-7.508, 37.517], [-7.519, 37.536], [-7.522, 37.556], [-7.529, 37.556], [-7.529, 37.566], [-7.511, 37.59], [-7.515, 37.602], [-7.472, 37.637], [-7.465, 37.652], [-7.457, 37.7], [-7.443, 37.73], [-7.425, 37.75], [-7.335, 37.811], [-7.306, 37.85], [-7.274, 37.931], [-7.27, 37.95], [-7.274, 37.977], [-7.267, 37.983], [-7.223, 37.994], [-7.184, 37.988], [-7.159, 37.997], [-7.141, 38.012], [-7.133, 38.032], [-7.123, 38.041], [-7.105, 38.039], [-7.051, 38.021], [-7.025, 38.022], [-6.946, 38.196], [-6.964, 38.206], [-6.993, 38.205], [-7.018, 38.198], [-7.025, 38.2], [-7.04, 38.186], [-7.061, 38.178], [-7.105, 38.174], [-7.126, 38.191], [-7.166, 38.272], [-7.191, 38.287], [-7.205, 38.311], [-7.317, 38.424], [-7.36, 38.446], [-7.335, 38.47], [-7.335, 38.482], [-7.346, 38.493], [-7.335, 38.505], [-7.317, 38.556], [-7.277, 38.603], [-7.27, 38.618], [-7.292, 38.639], [-7.292, 38.679], [-7.285, 38.713], [-7.274, 38.733], [-7.227, 38.767], [-7.195, 38.78], [-7.151, 38.819], [-7.09, 38.833], [-7.058, 38.855], [-7.058, 38.87], [-7.051, 38.885], [-7.065, 38.905], [-7.043, 38.919], [-7.022, 38.943], [-6.979, 39.003], [-6.975, 39.024], [-6.986, 39.03], [-6.979, 39.047], [-6.986, 39.067], [-7.015, 39.096], [-7.04, 39.11], [-7.065, 39.115], [-7.09, 39.113], [-7.126, 39.098], [-7.159, 39.105], [-7.169, 39.122], [-7.155, 39.152], [-7.169, 39.17], [-7.245, 39.196], [-7.259, 39.211], [-7.267, 39.231], [-7.263, 39.252], [-7.252, 39.27], [-7.299, 39.317], [-7.321, 39.329], [-7.328, 39.341], [-7.331, 39.385], [-7.317, 39.414], [-7.313, 39.458], [-7.321, 39.468], [-7.364, 39.476], [-7.4, 39.493], [-7.418, 39.523], [-7.468, 39.55], [-7.515, 39.594], [-7.558, 39.68], [-7.342, 39.672], [-7.292, 39.684], [-7.252, 39.682], [-7.234, 39.687], [-7.213, 39.675], [-7.184, 39.675], [-7.036, 39.689], [-7.022, 39.694], [-7.011, 39.716], [-7.015, 39.74], [-6.993, 39.775], [-7, 39.802], [-6.986, 39.821], [-6.953, 39.832], [-6.928, 39.861], [-6.921, 39.897], [-6.925, 39.919], [-6.91, 39.932], [-6.899, 39.966], [-6.903, 39.976], [-6.881, 40.01], [-6.921, 40.065], [-6.957, 40.103], [-6.968, 40.111], [-7.015, 40.119], [-7.029, 40.133], [-7.043, 40.182], [-7.025, 40.216], [-7.015, 40.226], [-6.953, 40.253], [-6.896, 40.256], [-6.878, 40.265], [-6.871, 40.295], [-6.82, 40.325], [-6.795, 40.356], [-6.827, 40.381], [-6.853, 40.41], [-6.856, 40.442], [-6.813, 40.515], [-6.817, 40.531], [-6.849, 40.565], [-6.845, 40.597], [-6.82, 40.629], [-6.813, 40.648], [-6.824, 40.71], [-6.838, 40.743], [-6.835, 40.792], [-6.838, 40.84], [-6.82, 40.844], [-6.817, 40.857], [-6.82, 40.871], [-6.845, 40.879], [-6.856, 40.888], [-6.885, 40.949], [-6.899, 40.967], [-6.932, 40.992], [-6.943, 41.016], [-6.932, 41.03], [-6.928, 41.048], [-6.907, 41.057], [-6.845, 41.052], [-6.817, 41.055], [-6.766, 41.109], [-6.755, 41.128], [-6.759, 41.151], [-6.755, 41.16], [-6.701, 41.202], [-6.694, 41.217], [-6.647, 41.268], [-6.565, 41.271], [-6.496, 41.295], [-6.431, 41.339], [-6.399, 41.377], [-6.377, 41.377], [-6.374, 41.391], [-6.377, 41.398], [-6.352, 41.41], [-6.32, 41.411], [-6.32, 41.42], [-6.284, 41.465], [-6.287, 41.487], [-6.28, 41.497], [-6.205, 41.57], [-6.273, 41.629], [-6.316, 41.649], [-6.367, 41.663], [-6.46, 41.676], [-6.503, 41.653], [-6.514, 41.651], [-6.543, 41.659], [-6.554, 41.675], [-6.565, 41.713], [-6.579, 41.74], [-6.565, 41.757], [-6.536, 41.849], [-6.525, 41.867], [-6.568, 41.876], [-6.575, 41.882], [-6.568, 41.926], [-6.572, 41.943], [-6.586, 41.955], [-6.608, 41.962], [-6.622, 41.941], [-6.658, 41.933], [-6.727, 41.931], [-6.759, 41.938], [-6.795, 41.98], [-6.824, 41.984], [-6.831, 41.953], [-6.856, 41.943], [-6.917, 41.94], [-6.946, 41.943], [-6.968, 41.958], [-6.993, 41.967], [-7.015, 41.953], [-7.051, 41.941], [-7.083, 41.953], [-7.144, 41.987], [-7.159, 41.985], [-7.198, 41.963], [-7.198, 41.901], [-7.22, 41.879], [-7.252, 41.864], [-7.321, 41.845], [-7.393, 41.842], [-7.443, 41.806], [-7.457, 41.838], [-7.468, 41.852], [-7.483, 41.857], [-7.515, 41.865], [-7.522, 41.86], [-7.526, 41.847], [-7.547, 41.832], [-7.565, 41.827], [-7.605, 41.825], [-7.623, 41.832], [-7.609, 41.874], [-7.663, 41.876], [-7.72, 41.899], [-7.749, 41.889], [-7.814, 41.877], [-7.839, 41.879], [-7.85, 41.876], [-7.864, 41.859], [-7.897, 41.859], [-7.907, 41.914], [-7.925, 41.908], [-7.943, 41.867], [-7.979, 41.869], [-7.994, 41.864], [-8.048, 41.816], [-8.095, 41.806], [-8.181, 41.811], [-8.174, 41.837], [-8.177, 41.85], [-8.185, 41.857], [-8.221, 41.869], [-8.231, 41.886], [-8.231, 41.904], [-8.221, 41.923], [-8.181, 41.965], [-8.152, 41.987], [-8.109, 42.011], [-8.098, 42.024], [-8.095, 42.041], [-8.102, 42.056], [-8.138, 42.073], [-8.159, 42.071], [-8.192, 42.061], [-8.203, 42.07], [-8.203, 42.129], [-8.221, 42.154], [-8.253, 42.137], [-8.296, 42.131], [-8.329, 42.109], [-8.347, 42.102], [-8.501, 42.083], [-8.573, 42.055], [-8.627, 42.051], [-8.645, 42.041], [-8.671, 42.001], [-8.75, 41.968], [-8.779, 41.936], [-8.833, 41.914], [-8.847, 41.899], [-8.865, 41.889], [-8.879, 41.892], [-8.897, 42.102], [-8.894, 42.119], [-8.883, 42.125], [-8.825, 42.131], [-8.818, 42.139], [-8.825, 42.147], [-8.843, 42.154], [-8.847, 42.161], [-8.815, 42.174], [-8.807, 42.198], [-8.789, 42.205], [-8.771, 42.222], [-8.671, 42.281], [-8.624, 42.301], [-8.62, 42.342], [-8.627, 42.348], [-8.635, 42.347], [-8.649, 42.335], [-8.674, 42.299], [-8.775, 42.269], [-8.786, 42.261], [-8.869, 42.257], [-8.854, 42.291], [-8.854, 42.304], [-8.847, 42.304], [-8.833, 42.289], [-8.825, 42.296], [-8.829, 42.342], [-8.811, 42.347], [-8.779, 42.34], [-8.771, 42.343], [-8.728, 42.389], [-8.678, 42.416], [-8.656, 42.441], [-8.663, 42.438], [-8.692, 42.441], [-8.757, 42.407], [-8.811, 42.401], [-8.843, 42.404], [-8.869, 42.414], [-8.887, 42.456], [-8.937, 42.465], [-8.944, 42.47], [-8.915, 42.487], [-8.879, 42.497], [-8.869, 42.494], [-8.861, 42.485], [-8.861, 42.475], [-8.876, 42.47], [-8.836, 42.458], [-8.825, 42.462], [-8.825, 42.495], [-8.811, 42.502], [-8.825, 42.538], [-8.822, 42.57], [-8.815, 42.581], [-8.789, 42.592], [-8.775, 42.605], [-8.739, 42.666], [-8.732, 42.688], [-8.753, 42.657], [-8.768, 42.646], [-8.786, 42.641], [-8.804, 42.646], [-8.825, 42.674], [-8.84, 42.683], [-8.858, 42.649], [-8.847, 42.641], [-8.869, 42.617], [-8.879, 42.612], [-8.894, 42.62], [-8.89, 42.63], [-8.937, 42.607], [-8.923, 42.593], [-8.933, 42.586], [-8.969, 42.58], [-8.98, 42.551], [-9.013, 42.531], [-9.027, 42.543], [-9.027, 42.561], [-9.034, 42.578], [-9.056, 42.585], [-9.07, 42.597], [-9.067, 42.62], [-9.038, 42.661], [-9.038, 42.688], [-9.031, 42.708], [-9.005, 42.733], [-8.962, 42.752], [-8.923, 42.787], [-8.897, 42.792], [-8.89, 42.799], [-8.887, 42.831], [-8.908, 42.84], [-8.912, 42.816], [-8.93, 42.803], [-8.951, 42.796], [-8.977, 42.792], [-9.027, 42.798], [-9.049, 42.794], [-9.045, 42.777], [-9.081, 42.755], [-9.099, 42.757], [-9.113, 42.765], [-9.135, 42.813], [-9.113, 42.816], [-9.099, 42.833], [-9.121, 42.852], [-9.142, 42.857], [-9.149, 42.884], [-9.135, 42.902], [-9.135, 42.917], [-9.16, 42.923], [-9.182, 42.944], [-9.196, 42.95], [-9.189, 42.933], [-9.196, 42.926], [-9.211, 42.926], [-9.214, 42.939], [-9.236, 42.934], [-9.268, 42.892], [-9.283, 42.917], [-9.293, 42.923], [-9.25, 43.017], [-9.272, 43.031], [-9.279, 43.054], [-9.272, 43.061], [-9.257, 43.061], [-9.247, 43.088], [-9.221, 43.103], [-9.218, 43.115], [-9.203, 43.105], [-9.189, 43.101], [-9.157, 43.12], [-9.142, 43.135], [-9.106, 43.14], [-9.106, 43.149], [-9.146, 43.139], [-9.164, 43.14], [-9.164, 43.149], [-9.193, 43.137], [-9.207, 43.139], [-9.218, 43.156], [-9.171, 43.189], [-9.139, 43.201], [-9.099, 43.189], [-9.052, 43.196], [-9.027, 43.21], [-9.016, 43.223], [-9.013, 43.238], [-9.005, 43.238], [-8.987, 43.226], [-8.959, 43.228], [-8.933, 43.235], [-8.915, 43.245], [-8.937, 43.243], [-8.948, 43.25], [-8.962, 43.272], [-8.98, 43.277], [-8.987, 43.284], [-8.93, 43.299], [-8.887, 43.321], [-8.858, 43.326], [-8.84, 43.34], [-8.829, 43.341], [-8.818, 43.336], [-8.786, 43.313], [-8.692, 43.294], [-8.631, 43.316], [-8.591, 43.324], [-8.559, 43.313], [-8.505, 43.331], [-8.487, 43.355], [-8.455, 43.363], [-8.444, 43.375], [-8.39, 43.385], [-8.386, 43.373], [-8.354, 43.348], [-8.336, 43.368], [-8.339, 43.392], [-8.332, 43.405], [-8.311, 43.404], [-8.267, 43.385], [-8.249, 43.355], [-8.217, 43.328], [-8.21, 43.313], [-8.203, 43.329], [-8.21, 43.39], [-8.206, 43.4], [-8.174, 43.416], [-8.195, 43.424], [-8.246, 43.422], [-8.264, 43.427], [-8.289, 43.446], [-8.303, 43.451], [-8.285, 43.461], [-8.177, 43.473], [-8.167, 43.485], [-8.174, 43.493], [-8.195, 43.485], [-8.257, 43.478], [-8.242, 43.485], [-8.257, 43.492], [-8.267, 43.48], [-8.289, 43.473], [-8.332, 43.471], [-8.318, 43.524], [-8.303, 43.519], [-8.293, 43.534], [-8.314, 43.556], [-8.314, 43.568], [-8.26, 43.564], [-8.231, 43.576], [-8.087, 43.657], [-8.084, 43.645], [-8.073, 43.64], [-8.062, 43.638], [-8.051, 43.644], [-8.066, 43.644], [-8.066, 43.649], [-8.051, 43.657], [-8.069, 43.667], [-8.073, 43.679], [-8.059, 43.709], [-8.044, 43.713], [-8.012, 43.711], [-7.979, 43.718], [-7.929, 43.747], [-7.907, 43.767], [-7.882, 43.763], [-7.846, 43.718], [-7.846, 43.711], [-7.868, 43.718], [-7.879, 43.701], [-7.875, 43.684], [-7.886, 43.679], [-7.897, 43.684], [-7.907, 43.677], [-7.907, 43.671], [-7.857, 43.669], [-7.85, 43.676], [-7.868, 43.698], [-7.843, 43.704], [-7.817, 43.698], [-7.825, 43.711], [-7.81, 43.723], [-7.774, 43.743], [-7.735, 43.75], [-7.713, 43.76], [-7.695, 43.775], [-7.684, 43.794], [-7.67, 43.784], [-7.67, 43.772], [-7.695, 43.747], [-7.691, 43.728], [-7.673, 43.731], [-7.673, 43.743], [-7.641, 43.753], [-7.637, 43.74], [-7.612, 43.704], [-7.616, 43.689], [-7.594, 43.704], [-7.587, 43.718], [-7.573, 43.714], [-7.555, 43.728], [-7.54, 43.731], [-7.501, 43.728], [-7.407, 43.691], [-7.367, 43.681], [-7.303, 43.598], [-7.256, 43.581], [-7.27, 43.569], [-7.27, 43.561], [-7.249, 43.559], [-7.231, 43.569], [-7.159, 43.559], [-7.097, 43.561], [-7.079, 43.569], [-7.061, 43.561], [-7.043, 43.559], [-7.033, 43.552], [-7.033, 43.534], [-7.054, 43.497], [-7.043, 43.48], [-7.033, 43.495], [-7.025, 43.525], [-7.011, 43.534], [-7, 43.557], [-6.943, 43.566], [-6.845, 43.569], [-6.831, 43.566], [-6.77, 43.569], [-6.73, 43.559], [-6.705, 43.557], [-6.647, 43.579], [-6.597, 43.576], [-6.547, 43.562], [-6.511, 43.547], [-6.489, 43.556], [-6.464, 43.556], [-6.467, 43.576], [-6.417, 43.561], [-6.367, 43.569], [-6.298, 43.571], [-6.251, 43.584], [-6.237, 43.595], [-6.223, 43.596], [-6.179, 43.576], [-6.1, 43.569], [-6.086, 43.576], [-6.068, 43.569], [-6.025, 43.588], [-5.906, 43.588], [-5.902, 43.598], [-5.913, 43.613], [-5.902, 43.623], [-5.906, 43.637], [-5.873, 43.637], [-5.863, 43.642], [-5.852, 43.664], [-5.805, 43.65], [-5.726, 43.589], [-5.708, 43.569], [-5.701, 43.569], [-5.697, 43.583], [-5.69, 43.579], [-5.679, 43.561], [-5.625, 43.556], [-5.423, 43.561], [-5.395, 43.556], [-5.391, 43.541], [-5.402, 43.525], [-5.42, 43.514], [-5.413, 43.507], [-5.373, 43.52], [-5.355, 43.539], [-5.301, 43.537], [-5.283, 43.534], [-5.211, 43.498], [-5.179, 43.49], [-5.092, 43.486], [-5.067, 43.481], [-5.056, 43.468], [-5.045, 43.475], [-4.973, 43.459], [-4.941, 43.471], [-4.909, 43.461], [-4.837, 43.449], [-4.736, 43.417], [-4.509, 43.402], [-4.48, 43.383], [-4.462, 43.399], [-4.433, 43.402], [-4.405, 43.397], [-4.387, 43.383], [-4.379, 43.383], [-4.369, 43.397], [-4.358, 43.4], [-4.311, 43.395], [-4.189, 43.405], [-4.16, 43.421], [-4.099, 43.436], [-4.03, 43.438], [-4.023, 43.441], [-4.019, 43.451], [-4.012, 43.453], [-3.98, 43.438], [-3.973, 43.444], [-3.962, 43.444], [-3.976, 43.453], [-3.976, 43.459], [-3.94, 43.476], [-3.922, 43.483], [-3.908, 43.48], [-3.893, 43.485], [-3.886, 43.48], [-3.857, 43.492], [-3.825, 43.497], [-3.796, 43.493], [-3.767, 43.48], [-3.832, 43.456], [-3.843, 43.444], [-3.825, 43.431], [-3.832, 43.429], [-3.832, 43.424], [-3.821, 43.424], [-3.796, 43.431], [-3.771, 43.453], [-3.746, 43.438], [-3.742, 43.451], [-3.757, 43.471], [-3.728, 43.466], [-3.728, 43.471], [-3.721, 43.471], [-3.728, 43.48], [-3.688, 43.485], [-3.667, 43.497], [-3.58, 43.519], [-3.555, 43.517], [-3.555, 43.5], [-3.541, 43.498], [-3.515, 43.483], [-3.436, 43.471], [-3.425, 43.456], [-3.429, 43.448], [-3.447, 43.444], [-3.469, 43.454], [-3.479, 43.443], [-3.501, 43.431], [-3.483, 43.427], [-3.461, 43.412], [-3.447, 43.431], [-3.436, 43.419], [-3.422, 43.417], [-3.393, 43.424], [-3.332, 43.411], [-3.271, 43.404], [-3.209, 43.39], [-3.177, 43.367], [-3.152, 43.36], [-3.112, 43.355], [-3.091, 43.367], [-3.058, 43.353], [-3.008, 43.321], [-3.029, 43.377], [-2.957, 43.414], [-2.939, 43.417], [-2.947, 43.431], [-2.929, 43.438], [-2.907, 43.439], [-2.806, 43.441], [-2.77, 43.453], [-2.756, 43.451], [-2.734, 43.439], [-2.705, 43.414], [-2.691, 43.368], [-2.68, 43.4], [-2.673, 43.411], [-2.662, 43.412], [-2.482, 43.37], [-2.464, 43.35], [-2.367, 43.316], [-2.327, 43.307], [-2.284, 43.304], [-2.198, 43.314], [-2.176, 43.297], [-2.162, 43.294], [-2.144, 43.301], [-2.137, 43.289], [-2.129, 43.287], [-2.101, 43.304], [-2.065, 43.309], [-1.996, 43.328], [-1.96, 43.343], [-1.946, 43.343], [-1.917, 43.321], [-1.906, 43.328], [-1.924, 43.343], [-1.885, 43.356], [-1.849, 43.38], [-1.813, 43.395]]],
+    [[[1.982, 42.441], [1.96, 42.443], [1.946, 42.451], [1.946, 42.463], [1.957, 42.482], [1.967, 42.485], [2, 42.445]]],
+    [[[-17.934, 27.852], [-17.916, 27.85], [-17.898, 27.84], [-17.883, 27.828], [-17.88, 27.815], [-17.887, 27.798], [-17.926, 27.742], [-17.926, 27.724], [-17.966, 27.686], [-17.97, 27.654], [-17.98, 27.643], [-17.995, 27.643], [-18.016, 27.653], [-18.052, 27.692], [-18.128, 27.7], [-18.146, 27.708], [-18.16, 27.722], [-18.168, 27.757], [-18.139, 27.769], [-18.099, 27.766], [-18.056, 27.756], [-18.002, 27.8], [-17.995, 27.808], [-17.991, 27.823]]],
+    [[[-15.392, 28.031], [-15.367, 28.016], [-15.363, 28.009], [-15.378, 27.958], [-15.363, 27.941], [-15.363, 27.935], [-15.381, 27.921], [-15.392, 27.899], [-15.381, 27.886], [-15.378, 27.852], [-15.406, 27.838], [-15.453, 27.791], [-15.54, 27.766], [-15.565, 27.739], [-15.579, 27.734], [-15.608, 27.751], [-15.651, 27.752], [-15.687, 27.764], [-15.741, 27.805], [-15.752, 27.822], [-15.781, 27.838], [-15.817, 27.901], [-15.82, 27.921], [-15.817, 27.995], [-15.806, 28.006], [-15.748, 28.036], [-15.727, 28.056], [-15.709, 28.082], [-15.712, 28.105], [-15.702, 28.115], [-15.698, 28.132], [-15.705, 28.168], [-15.673, 28.166], [-15.666, 28.161], [-15.651, 28.164], [-15.597, 28.147], [-15.522, 28.147], [-15.46, 28.134], [-15.435, 28.141], [-15.439, 28.174], [-15.41, 28.18], [-15.399, 28.158], [-15.41, 28.154], [-15.417, 28.141], [-15.41, 28.075]]],
+    [[[-17.311, 28.207], [-17.26, 28.218], [-17.214, 28.205], [-17.116, 28.146], [-17.098, 28.1], [-17.113, 28.082], [-17.185, 28.031], [-17.232, 28.019], [-17.257, 28.024], [-17.311, 28.053], [-17.343, 28.098], [-17.34, 28.171]]],
+    [[[-16.429, 28.149], [-16.44, 28.132], [-16.522, 28.058], [-16.548, 28.024], [-16.58, 28.031], [-16.677, 27.997], [-16.692, 28.001], [-16.706, 28.022], [-16.702, 28.034], [-16.72, 28.044], [-16.728, 28.078], [-16.782, 28.127], [-16.796, 28.166], [-16.828, 28.196], [-16.836, 28.208], [-16.846, 28.262], [-16.875, 28.304], [-16.908, 28.335], [-16.915, 28.355], [-16.893, 28.369], [-16.839, 28.391], [-16.782, 28.365], [-16.742, 28.374], [-16.663, 28.401], [-16.645, 28.396], [-16.584, 28.401], [-16.566, 28.416], [-16.508, 28.424], [-16.486, 28.438], [-16.422, 28.49], [-16.407, 28.521], [-16.364, 28.543], [-16.324, 28.553], [-16.317, 28.571], [-16.299, 28.566], [-16.202, 28.565], [-16.141, 28.583], [-16.119, 28.571], [-16.126, 28.544], [-16.231, 28.489], [-16.249, 28.462], [-16.296, 28.418], [-16.357, 28.38], [-16.368, 28.362], [-16.368, 28.342], [-16.357, 28.315], [-16.36, 28.304], [-16.378, 28.288], [-16.386, 28.266], [-16.418, 28.212], [-16.429, 28.168]]],
+    [[[-13.974, 28.735], [-13.934, 28.75], [-13.898, 28.754], [-13.866, 28.744], [-13.837, 28.715], [-13.826, 28.681], [-13.822, 28.637], [-13.83, 28.551], [-13.858, 28.478], [-13.858, 28.435], [-13.844, 28.414], [-13.844, 28.407], [-13.848, 28.397], [-13.869, 28.377], [-13.876, 28.348], [-13.902, 28.311], [-13.912, 28.277], [-13.934, 28.244], [-13.966, 28.229], [-14.074, 28.213], [-14.118, 28.2], [-14.154, 28.18], [-14.193, 28.171], [-14.211, 28.161], [-14.301, 28.068], [-14.344, 28.051], [-14.37, 28.051], [-14.427, 28.071], [-14.496, 28.068], [-14.506, 28.071], [-14.496, 28.102], [-14.434, 28.1], [-14.341, 28.134], [-14.269, 28.176], [-14.226, 28.218], [-14.208, 28.254], [-14.2, 28.304], [-14.172, 28.352], [-14.146, 28.423], [-14.128, 28.443], [-14.074, 28.536], [-14.035, 28.588], [-14.024, 28.637], [-14.01, 28.668], [-14.006, 28.703], [-13.999, 28.717]]],
+    [[[-17.757, 28.818], [-17.757, 28.799], [-17.75, 28.776], [-17.743, 28.759], [-17.721, 28.749], [-17.721, 28.73], [-17.764, 28.678], [-17.746, 28.622], [-17.761, 28.576], [-17.782, 28.549], [-17.829, 28.455], [-17.836, 28.455], [-17.844, 28.465], [-17.865, 28.475], [-17.872, 28.494], [-17.88, 28.544], [-17.919, 28.597], [-17.926, 28.619], [-17.962, 28.671], [-17.977, 28.728], [-18.002, 28.75], [-17.998, 28.781], [-17.97, 28.813], [-17.912, 28.855], [-17.89, 28.843], [-17.84, 28.835], [-17.8, 28.85], [-17.764, 28.83]]],
+    [[[-13.484, 29.24], [-13.466, 29.243], [-13.419, 29.21], [-13.437, 29.159], [-13.459, 29.147], [-13.462, 29.132], [-13.452, 29.086], [-13.466, 29.058], [-13.466, 29.024], [-13.48, 29], [-13.509, 28.978], [-13.542, 28.961], [-13.588, 28.951], [-13.606, 28.933], [-13.711, 28.914], [-13.736, 28.897], [-13.776, 28.84], [-13.79, 28.853], [-13.812, 28.858], [-13.858, 28.86], [-13.866, 28.865], [-13.876, 28.889], [-13.862, 28.897], [-13.844, 28.921], [-13.833, 29], [-13.797, 29.047], [-13.768, 29.074], [-13.75, 29.081], [-13.689, 29.091], [-13.657, 29.117], [-13.635, 29.127], [-13.603, 29.134], [-13.552, 29.134], [-13.538, 29.139], [-13.513, 29.174], [-13.495, 29.225]]],
+    [[[-13.488, 29.284], [-13.477, 29.267], [-13.491, 29.243], [-13.516, 29.226], [-13.542, 29.23], [-13.542, 29.237], [-13.527, 29.252], [-13.509, 29.289]]],
+    [[[-0.733, 37.747], [-0.743, 37.725], [-0.725, 37.666], [-0.747, 37.685], [-0.754, 37.774], [-0.751, 37.776]]],
+    [[[1.525, 38.677], [1.564, 38.691], [1.582, 38.676], [1.582, 38.654], [1.557, 38.649], [1.525, 38.649], [1.46, 38.681], [1.427, 38.666], [1.413, 38.647], [1.399, 38.639], [1.384, 38.642], [1.388, 38.662], [1.384, 38.681], [1.395, 38.696], [1.395, 38.704], [1.384, 38.711], [1.388, 38.72], [1.402, 38.73], [1.409, 38.725], [1.417, 38.728], [1.427, 38.74], [1.431, 38.755], [1.438, 38.753], [1.485, 38.694]]],
+    [[[1.607, 39.091], [1.6, 39.083], [1.622, 39.029], [1.607, 39.029], [1.593, 39.02], [1.582, 38.991], [1.543, 38.968], [1.51, 38.931], [1.471, 38.91], [1.46, 38.9], [1.445, 38.914], [1.427, 38.897], [1.413, 38.89], [1.402, 38.833], [1.37, 38.831], [1.363, 38.851], [1.345, 38.863], [1.33, 38.858], [1.309, 38.858], [1.301, 38.87], [1.283, 38.875], [1.265, 38.87], [1.258, 38.858], [1.215, 38.885], [1.211, 38.904], [1.226, 38.927], [1.226, 38.943], [1.219, 38.954], [1.237, 38.964], [1.247, 38.966], [1.258, 38.961], [1.276, 38.968], [1.301, 38.968], [1.291, 39.01], [1.294, 39.034], [1.305, 39.044], [1.334, 39.057], [1.355, 39.078], [1.373, 39.071], [1.391, 39.083], [1.402, 39.078], [1.449, 39.101], [1.478, 39.108], [1.499, 39.105], [1.521, 39.118], [1.535, 39.118], [1.553, 39.108], [1.589, 39.103]]],
+    [[[3.353, 39.785], [3.382, 39.778], [3.44, 39.751], [3.476, 39.75], [3.469, 39.731], [3.476, 39.716], [3.461, 39.701], [3.469, 39.687], [3.454, 39.66], [3.443, 39.645], [3.415, 39.635], [3.4, 39.623], [3.4, 39.608], [3.407, 39.593], [3.364, 39.562], [3.325, 39.523], [3.292, 39.476], [3.281, 39.42], [3.267, 39.427], [3.253, 39.387], [3.22, 39.36], [3.13, 39.316], [3.091, 39.29], [3.08, 39.277], [3.062, 39.268], [3.029, 39.304], [3.001, 39.317], [2.99, 39.348], [2.957, 39.363], [2.939, 39.365], [2.914, 39.358], [2.824, 39.363], [2.788, 39.376], [2.763, 39.4], [2.752, 39.454], [2.738, 39.463], [2.738, 39.478], [2.756, 39.503], [2.745, 39.523], [2.716, 39.544], [2.68, 39.559], [2.655, 39.564], [2.633, 39.559], [2.569, 39.532], [2.554, 39.52], [2.543, 39.493], [2.522, 39.473], [2.493, 39.471], [2.468, 39.507], [2.482, 39.517], [2.453, 39.537], [2.439, 39.525], [2.425, 39.537], [2.392, 39.523], [2.381, 39.528], [2.374, 39.547], [2.356, 39.559], [2.349, 39.576], [2.356, 39.611], [2.428, 39.647], [2.45, 39.65], [2.518, 39.701], [2.569, 39.713], [2.619, 39.75], [2.63, 39.77], [2.651, 39.77], [2.709, 39.819], [2.749, 39.832], [2.785, 39.856], [2.803, 39.861], [2.81, 39.871], [2.835, 39.871], [2.875, 39.883], [2.932, 39.915], [3.076, 39.935], [3.181, 39.969], [3.191, 39.956], [3.202, 39.961], [3.213, 39.956], [3.141, 39.929], [3.116, 39.908], [3.098, 39.913], [3.094, 39.881], [3.13, 39.876], [3.206, 39.893], [3.206, 39.886], [3.195, 39.881], [3.195, 39.868], [3.188, 39.854], [3.134, 39.839], [3.127, 39.832], [3.127, 39.81], [3.137, 39.789], [3.163, 39.77], [3.195, 39.755], [3.224, 39.75], [3.292, 39.75], [3.31, 39.755]]],
+    [[[4.304, 39.925], [4.307, 39.91], [4.336, 39.868], [4.329, 39.868], [4.304, 39.888], [4.3, 39.822], [4.25, 39.817], [4.178, 39.843], [4.016, 39.925], [3.98, 39.935], [3.94, 39.937], [3.868, 39.925], [3.832, 39.935], [3.839, 39.976], [3.85, 39.984], [3.821, 39.995], [3.803, 40.018], [3.821, 40.047], [3.89, 40.06], [3.915, 40.052], [4.012, 40.06], [4.052, 40.059], [4.077, 40.064], [4.106, 40.079], [4.109, 40.067], [4.138, 40.045], [4.135, 40.028], [4.142, 40.025], [4.167, 40.045], [4.163, 40.06], [4.171, 40.065], [4.178, 40.059], [4.174, 40.045], [4.178, 40.038], [4.207, 40.025], [4.228, 40.005], [4.253, 39.998], [4.264, 39.986], [4.275, 39.969], [4.271, 39.956], [4.253, 39.949], [4.297, 39.942]]],
+    [[[2.986, 39.165], [2.983, 39.138], [2.961, 39.116], [2.932, 39.118], [2.914, 39.152], [2.939, 39.172], [2.979, 39.186]]],
+    [[[-4.3, 35.172], [-4.297, 35.172], [-4.3, 35.174]]],
+    [[[-3.904, 35.214], [-3.904, 35.216], [-3.901, 35.216]]],
+    [[[-2.435, 35.185], [-2.428, 35.185], [-2.432, 35.179]]],
+    [[[-5.42, 35.915], [-5.416, 35.913], [-5.416, 35.912]]]
+  ] },
+  { code: 'PT', name: 'Portugal', polygons: [
+    [[[-7.414, 37.193], [-7.411, 37.183], [-7.4, 37.178], [-7.407, 37.164], [-7.425, 37.175], [-7.447, 37.18], [-7.49, 37.178], [-7.511, 37.171], [-7.627, 37.114], [-7.634, 37.105], [-7.821, 36.999], [-7.871, 37.007], [-7.933, 37.009], [-7.951, 37.014], [-7.958, 37.002], [-7.99, 37.014], [-7.976, 36.987], [-7.997, 37.012], [-8.033, 37.038], [-8.105, 37.07], [-8.149, 37.077], [-8.177, 37.088], [-8.293, 37.078], [-8.365, 37.099], [-8.393, 37.087], [-8.44, 37.083], [-8.483, 37.094], [-8.537, 37.117], [-8.581, 37.124], [-8.642, 37.117], [-8.656, 37.11], [-8.685, 37.083], [-8.746, 37.083], [-8.786, 37.067], [-8.836, 37.056], [-8.858, 37.041], [-8.879, 37.048], [-8.905, 37.028], [-8.944, 37.007], [-8.962, 37.012], [-8.984, 37.026], [-8.998, 37.021], [-8.98, 37.07], [-8.941, 37.119], [-8.912, 37.17], [-8.923, 37.2], [-8.883, 37.232], [-8.869, 37.276], [-8.883, 37.31], [-8.84, 37.36], [-8.815, 37.418], [-8.797, 37.49], [-8.797, 37.536], [-8.8, 37.56], [-8.825, 37.588], [-8.825, 37.6], [-8.8, 37.698], [-8.757, 37.706], [-8.753, 37.73], [-8.753, 37.735], [-8.761, 37.728], [-8.782, 37.723], [-8.807, 37.723], [-8.818, 37.74], [-8.797, 37.845], [-8.804, 37.902], [-8.822, 37.928], [-8.854, 37.933], [-8.894, 37.953], [-8.89, 37.961], [-8.869, 37.973], [-8.815, 38.063], [-8.797, 38.134], [-8.775, 38.188], [-8.786, 38.304], [-8.797, 38.36], [-8.822, 38.399], [-8.879, 38.449], [-8.915, 38.473], [-8.944, 38.482], [-8.926, 38.493], [-8.905, 38.487], [-8.869, 38.461], [-8.8, 38.439], [-8.8, 38.426], [-8.757, 38.428], [-8.656, 38.406], [-8.606, 38.419], [-8.663, 38.424], [-8.735, 38.451], [-8.746, 38.46], [-8.753, 38.488], [-8.746, 38.51], [-8.735, 38.515], [-8.735, 38.522], [-8.75, 38.527], [-8.761, 38.537], [-8.764, 38.552], [-8.757, 38.563], [-8.775, 38.566], [-8.793, 38.534], [-8.811, 38.529], [-8.811, 38.522], [-8.789, 38.52], [-8.779, 38.505], [-8.779, 38.488], [-8.789, 38.482], [-8.833, 38.487], [-8.905, 38.512], [-8.955, 38.505], [-8.998, 38.465], [-8.991, 38.46], [-9.049, 38.441], [-9.146, 38.431], [-9.2, 38.412], [-9.232, 38.419], [-9.232, 38.438], [-9.189, 38.473], [-9.185, 38.551], [-9.207, 38.598], [-9.239, 38.635], [-9.254, 38.666], [-9.236, 38.674], [-9.146, 38.681], [-9.124, 38.671], [-9.113, 38.659], [-9.106, 38.659], [-9.113, 38.679], [-9.099, 38.686], [-9.052, 38.694], [-9.038, 38.715], [-8.944, 38.775], [-8.951, 38.796], [-8.966, 38.814], [-8.969, 38.836], [-8.962, 38.851], [-8.987, 38.85], [-8.998, 38.865], [-9.002, 38.89], [-9.013, 38.914], [-8.969, 38.985], [-8.944, 39.015], [-8.908, 39.037], [-8.847, 39.042], [-8.825, 39.049], [-8.789, 39.071], [-8.764, 39.098], [-8.836, 39.057], [-8.923, 39.049], [-8.937, 39.04], [-8.955, 39.012], [-9.002, 38.958], [-9.059, 38.872], [-9.099, 38.829], [-9.106, 38.814], [-9.099, 38.738], [-9.113, 38.715], [-9.164, 38.701], [-9.221, 38.694], [-9.286, 38.699], [-9.322, 38.671], [-9.405, 38.704], [-9.43, 38.708], [-9.47, 38.703], [-9.491, 38.708], [-9.491, 38.728], [-9.484, 38.745], [-9.499, 38.789], [-9.499, 38.809], [-9.481, 38.831], [-9.455, 38.85], [-9.423, 38.931], [-9.427, 38.991], [-9.437, 39.029], [-9.427, 39.052], [-9.423, 39.079], [-9.383, 39.133], [-9.351, 39.198], [-9.34, 39.267], [-9.355, 39.316], [-9.365, 39.336], [-9.409, 39.375], [-9.398, 39.378], [-9.355, 39.368], [-9.279, 39.405], [-9.261, 39.419], [-9.239, 39.42], [-9.229, 39.409], [-9.218, 39.407], [-9.207, 39.415], [-9.214, 39.429], [-9.229, 39.441], [-9.214, 39.461], [-9.182, 39.493], [-9.135, 39.517], [-9.092, 39.579], [-9.088, 39.596], [-9.092, 39.616], [-9.077, 39.643], [-9.07, 39.68], [-8.869, 40.125], [-8.854, 40.14], [-8.825, 40.119], [-8.786, 40.119], [-8.786, 40.126], [-8.815, 40.146], [-8.879, 40.157], [-8.897, 40.165], [-8.908, 40.179], [-8.908, 40.201], [-8.897, 40.229], [-8.865, 40.275], [-8.8, 40.474], [-8.786, 40.537], [-8.764, 40.582], [-8.753, 40.641], [-8.746, 40.646], [-8.743, 40.626], [-8.746, 40.619], [-8.725, 40.645], [-8.71, 40.653], [-8.689, 40.646], [-8.699, 40.668], [-8.696, 40.673], [-8.685, 40.678], [-8.671, 40.667], [-8.653, 40.677], [-8.642, 40.694], [-8.667, 40.714], [-8.663, 40.724], [-8.602, 40.736], [-8.573, 40.756], [-8.645, 40.739], [-8.667, 40.748], [-8.685, 40.783], [-8.645, 40.824], [-8.656, 40.846], [-8.656, 40.829], [-8.663, 40.815], [-8.671, 40.812], [-8.674, 40.825], [-8.689, 40.803], [-8.707, 40.751], [-8.714, 40.709], [-8.725, 40.685], [-8.75, 40.653], [-8.656, 40.994], [-8.667, 41.133], [-8.649, 41.146], [-8.649, 41.153], [-8.685, 41.16], [-8.707, 41.187], [-8.717, 41.222], [-8.735, 41.249], [-8.732, 41.263], [-8.746, 41.298], [-8.743, 41.328], [-8.75, 41.339], [-8.757, 41.34], [-8.782, 41.394], [-8.786, 41.435], [-8.775, 41.469], [-8.786, 41.491], [-8.829, 41.648], [-8.829, 41.671], [-8.825, 41.683], [-8.804, 41.69], [-8.743, 41.697], [-8.696, 41.722], [-8.829, 41.695], [-8.861, 41.705], [-8.879, 41.737], [-8.872, 41.81], [-8.879, 41.838], [-8.876, 41.85], [-8.869, 41.859], [-8.797, 41.903], [-8.764, 41.931], [-8.75, 41.968], [-8.671, 42.001], [-8.645, 42.041], [-8.627, 42.051], [-8.573, 42.055], [-8.501, 42.083], [-8.347, 42.102], [-8.329, 42.109], [-8.296, 42.131], [-8.253, 42.137], [-8.221, 42.154], [-8.203, 42.129], [-8.203, 42.07], [-8.192, 42.061], [-8.159, 42.071], [-8.138, 42.073], [-8.102, 42.056], [-8.095, 42.041], [-8.098, 42.024], [-8.109, 42.011], [-8.152, 41.987], [-8.181, 41.965], [-8.221, 41.923], [-8.231, 41.904], [-8.231, 41.886], [-8.221, 41.869], [-8.185, 41.857], [-8.177, 41.85], [-8.174, 41.837], [-8.181, 41.811], [-8.095, 41.806], [-8.048, 41.816], [-7.994, 41.864], [-7.979, 41.869], [-7.943, 41.867], [-7.925, 41.908], [-7.907, 41.914], [-7.897, 41.859], [-7.864, 41.859], [-7.85, 41.876], [-7.839, 41.879], [-7.814, 41.877], [-7.749, 41.889], [-7.72, 41.899], [-7.663, 41.876], [-7.609, 41.874], [-7.623, 41.832], [-7.605, 41.825], [-7.565, 41.827], [-7.547, 41.832], [-7.526, 41.847], [-7.522, 41.86], [-7.515, 41.865], [-7.483, 41.857], [-7.468, 41.852], [-7.457, 41.838], [-7.443, 41.806], [-7.393, 41.842], [-7.321, 41.845], [-7.252, 41.864], [-7.22, 41.879], [-7.198, 41.901], [-7.198, 41.963], [-7.159, 41.985], [-7.144, 41.987], [-7.083, 41.953], [-7.051, 41.941], [-7.015, 41.953], [-6.993, 41.967], [-6.968, 41.958], [-6.946, 41.943], [-6.917, 41.94], [-6.856, 41.943], [-6.831, 41.953], [-6.824, 41.984], [-6.795, 41.98], [-6.759, 41.938], [-6.727, 41.931], [-6.658, 41.933], [-6.622, 41.941], [-6.608, 41.962], [-6.586, 41.955], [-6.572, 41.943], [-6.568, 41.926], [-6.575, 41.882], [-6.568, 41.876], [-6.525, 41.867], [-6.536, 41.849], [-6.565, 41.757], [-6.579, 41.74], [-6.565, 41.713], [-6.554, 41.675], [-6.543, 41.659], [-6.514, 41.651], [-6.503, 41.653], [-6.46, 41.676], [-6.367, 41.663], [-6.316, 41.649], [-6.273, 41.629], [-6.205, 41.57], [-6.28, 41.497], [-6.287, 41.487], [-6.284, 41.465], [-6.32, 41.42], [-6.32, 41.411], [-6.352, 41.41], [-6.377, 41.398], [-6.374, 41.391], [-6.377, 41.377], [-6.399, 41.377], [-6.431, 41.339], [-6.496, 41.295], [-6.565, 41.271], [-6.647, 41.268], [-6.694, 41.217], [-6.701, 41.202], [-6.755, 41.16], [-6.759, 41.151], [-6.755, 41.128], [-6.766, 41.109], [-6.817, 41.055], [-6.845, 41.052], [-6.907, 41.057], [-6.928, 41.048], [-6.932, 41.03], [-6.943, 41.016], [-6.932, 40.992], [-6.899, 40.967], [-6.885, 40.949], [-6.856, 40.888], [-6.845, 40.879], [-6.82, 40.871], [-6.817, 40.857], [-6.82, 40.844], [-6.838, 40.84], [-6.835, 40.792], [-6.838, 40.743], [-6.824, 40.71], [-6.813, 40.648], [-6.82, 40.629], [-6.845, 40.597], [-6.849, 40.565], [-6.817, 40.531], [-6.813, 40.515], [-6.856, 40.442], [-6.853, 40.41], [-6.827, 40.381], [-6.795, 40.356], [-6.82, 40.325], [-6.871, 40.295], [-6.878, 40.265], [-6.896, 40.256], [-6.953, 40.253], [-7.015, 40.226], [-7.025, 40.216], [-7.043, 40.182], [-7.029, 40.133], [-7.015, 40.119], [-6.968, 40.111], [-6.957, 40.103], [-6.921, 40.065], [-6.881, 40.01], [-6.903, 39.976], [-6.899, 39.966], [-6.91, 39.932], [-6.925, 39.919], [-6.921, 39.897], [-6.928, 39.861], [-6.953, 39.832], [-6.986, 39.821], [-7, 39.802], [-6.993, 39.775], [-7.015, 39.74], [-7.011, 39.716], [-7.022, 39.694], [-7.036, 39.689], [-7.184, 39.675], [-7.213, 39.675], [-7.234, 39.687], [-7.252, 39.682], [-7.292, 39.684], [-7.342, 39.672], [-7.558, 39.68], [-7.515, 39.594], [-7.468, 39.55], [-7.418, 39.523], [-7.4, 39.493], [-7.364, 39.476], [-7.321, 39.468], [-7.313, 39.458], [-7.317, 39.414], [-7.331, 39.385], [-7.328, 39.341], [-7.321, 39.329], [-7.299, 39.317], [-7.252, 39.27], [-7.263, 39.252], [-7.267, 39.231], [-7.259, 39.211], [-7.245, 39.196], [-7.169, 39.17], [-7.155, 39.152], [-7.169, 39.122], [-7.159, 39.105], [-7.126, 39.098], [-7.09, 39.113], [-7.065, 39.115], [-7.04, 39.11], [-7.015, 39.096], [-6.986, 39.067], [-6.979, 39.047], [-6.986, 39.03], [-6.975, 39.024], [-6.979, 39.003], [-7.022, 38.943], [-7.043, 38.919], [-7.065, 38.905], [-7.051, 38.885], [-7.058, 38.87], [-7.058, 38.855], [-7.09, 38.833], [-7.151, 38.819], [-7.195, 38.78], [-7.227, 38.767], [-7.274, 38.733], [-7.285, 38.713], [-7.292, 38.679], [-7.292, 38.639], [-7.27, 38.618], [-7.277, 38.603], [-7.317, 38.556], [-7.335, 38.505], [-7.346, 38.493], [-7.335, 38.482], [-7.335, 38.47], [-7.36, 38.446], [-7.317, 38.424], [-7.205, 38.311], [-7.191, 38.287], [-7.166, 38.272], [-7.126, 38.191], [-7.105, 38.174], [-7.061, 38.178], [-7.04, 38.186], [-7.025, 38.2], [-7.018, 38.198], [-6.993, 38.205], [-6.964, 38.206], [-6.946, 38.196], [-7.025, 38.022], [-7.051, 38.021], [-7.105, 38.039], [-7.123, 38.041], [-7.133, 38.032], [-7.141, 38.012], [-7.159, 37.997], [-7.184, 37.988], [-7.223, 37.994], [-7.267, 37.983], [-7.274, 37.977], [-7.27, 37.95], [-7.274, 37.931], [-7.306, 37.85], [-7.335, 37.811], [-7.425, 37.75], [-7.443, 37.73], [-7.457, 37.7], [-7.465, 37.652], [-7.472, 37.637], [-7.515, 37.602], [-7.511, 37.59], [-7.529, 37.566], [-7.529, 37.556], [-7.522, 37.556], [-7.519, 37.536], [-7.508, 37.517], [-7.475, 37.494], [-7.468, 37.475], [-7.461, 37.418], [-7.447, 37.387], [-7.429, 37.274], [-7.436, 37.259]]],
+    [[[-16.486, 32.492], [-16.537, 32.558], [-16.544, 32.58], [-16.526, 32.566], [-16.508, 32.545]]],
+    [[[-16.789, 32.686], [-16.807, 32.658], [-16.846, 32.644], [-16.897, 32.641], [-16.976, 32.648], [-17.142, 32.705], [-17.181, 32.725], [-17.242, 32.779], [-17.253, 32.815], [-17.246, 32.828], [-17.224, 32.84], [-17.199, 32.869], [-17.185, 32.874], [-17.156, 32.862], [-17.131, 32.838], [-17.095, 32.828], [-17.07, 32.815], [-17.016, 32.816], [-16.98, 32.833], [-16.918, 32.842], [-16.796, 32.774], [-16.749, 32.771], [-16.713, 32.759], [-16.692, 32.767], [-16.674, 32.759], [-16.738, 32.739]]],
+    [[[-16.339, 33.058], [-16.364, 33.034], [-16.378, 33.033], [-16.4, 33.039], [-16.4, 33.046], [-16.378, 33.051], [-16.36, 33.09], [-16.342, 33.105], [-16.317, 33.11], [-16.296, 33.102], [-16.288, 33.108], [-16.288, 33.08], [-16.285, 33.068], [-16.274, 33.06], [-16.324, 33.066]]],
+    [[[-7.954, 36.98], [-7.904, 36.975], [-7.882, 36.98], [-7.861, 37.001], [-7.853, 36.987], [-7.879, 36.97], [-7.904, 36.965], [-7.933, 36.967], [-7.954, 36.974]]],
+    [[[-25.065, 37.021], [-25.047, 37.011], [-25.029, 36.992], [-25.018, 36.97], [-25.011, 36.95], [-25.026, 36.935], [-25.062, 36.936], [-25.119, 36.953], [-25.17, 36.947], [-25.202, 36.991], [-25.17, 37.016], [-25.134, 37.023]]],
+    [[[-25.198, 37.865], [-25.159, 37.852], [-25.134, 37.823], [-25.134, 37.786], [-25.155, 37.754], [-25.195, 37.74], [-25.328, 37.727], [-25.371, 37.717], [-25.49, 37.713], [-25.504, 37.706], [-25.558, 37.728], [-25.616, 37.74], [-25.702, 37.744], [-25.825, 37.816], [-25.861, 37.853], [-25.843, 37.906], [-25.764, 37.911], [-25.738, 37.906], [-25.702, 37.882], [-25.695, 37.853], [-25.681, 37.843], [-25.555, 37.83], [-25.497, 37.85], [-25.458, 37.83], [-25.443, 37.837], [-25.339, 37.862]]],
+    [[[-28.111, 38.446], [-28.064, 38.443], [-28.046, 38.433], [-28.039, 38.409], [-28.053, 38.399], [-28.161, 38.407], [-28.186, 38.406], [-28.204, 38.4], [-28.24, 38.377], [-28.255, 38.382], [-28.273, 38.406], [-28.298, 38.411], [-28.438, 38.414], [-28.46, 38.406], [-28.525, 38.455], [-28.55, 38.485], [-28.55, 38.529], [-28.518, 38.551], [-28.485, 38.558], [-28.374, 38.551], [-28.273, 38.502], [-28.226, 38.485], [-28.208, 38.471]]],
+    [[[-28.611, 38.598], [-28.597, 38.552], [-28.644, 38.536], [-28.636, 38.525], [-28.622, 38.522], [-28.636, 38.515], [-28.672, 38.522], [-28.726, 38.515], [-28.748, 38.524], [-28.795, 38.569], [-28.842, 38.591], [-28.842, 38.6], [-28.766, 38.606], [-28.744, 38.62], [-28.719, 38.645], [-28.633, 38.613]]],
+    [[[-27.891, 38.605], [-27.816, 38.583], [-27.78, 38.568], [-27.762, 38.549], [-27.776, 38.544], [-27.837, 38.542], [-27.884, 38.561], [-27.931, 38.571], [-27.978, 38.593], [-28.003, 38.59], [-28.021, 38.598], [-28.035, 38.59], [-28.075, 38.618], [-28.179, 38.645], [-28.197, 38.655], [-28.215, 38.682], [-28.248, 38.686], [-28.251, 38.689], [-28.248, 38.698], [-28.266, 38.703], [-28.312, 38.735], [-28.316, 38.755], [-28.298, 38.75], [-28.266, 38.731], [-28.233, 38.726], [-28.035, 38.666]]],
+    [[[-27.02, 38.694], [-27.056, 38.679], [-27.052, 38.654], [-27.056, 38.645], [-27.088, 38.632], [-27.114, 38.639], [-27.182, 38.639], [-27.204, 38.652], [-27.218, 38.642], [-27.229, 38.64], [-27.254, 38.652], [-27.326, 38.666], [-27.351, 38.684], [-27.373, 38.708], [-27.384, 38.728], [-27.391, 38.758], [-27.369, 38.782], [-27.333, 38.797], [-27.297, 38.804], [-27.146, 38.796], [-27.074, 38.767], [-27.042, 38.745], [-27.038, 38.725], [-27.042, 38.715], [-27.024, 38.703]]],
+    [[[-27.985, 39.015], [-28.024, 39.019], [-28.046, 39.025], [-28.071, 39.052], [-28.071, 39.067], [-28.046, 39.103], [-28.024, 39.103], [-28.014, 39.098], [-28.006, 39.105], [-27.992, 39.088], [-27.942, 39.052], [-27.934, 39.035], [-27.949, 39.024]]],
+    [[[-31.207, 39.508], [-31.2, 39.501], [-31.175, 39.495], [-31.16, 39.501], [-31.131, 39.466], [-31.131, 39.424], [-31.139, 39.4], [-31.157, 39.373], [-31.178, 39.356], [-31.193, 39.365], [-31.214, 39.358], [-31.254, 39.358], [-31.268, 39.365], [-31.286, 39.398], [-31.286, 39.415], [-31.275, 39.425], [-31.283, 39.442], [-31.257, 39.508], [-31.239, 39.518], [-31.2, 39.522]]],
+    [[[-31.117, 39.728], [-31.081, 39.723], [-31.081, 39.694], [-31.099, 39.664], [-31.131, 39.658], [-31.153, 39.701], [-31.142, 39.721], [-31.128, 39.728]]],
+    [[[-16.029, 30.034], [-16.022, 30.032], [-16.022, 30.029]]],
+    [[[-15.864, 30.152], [-15.856, 30.147], [-15.86, 30.133], [-15.874, 30.138], [-15.874, 30.143]]],
+    [[[-9.041, 38.868], [-9.034, 38.87], [-9.041, 38.85], [-9.074, 38.818], [-9.081, 38.821], [-9.063, 38.853]]]
+  ] },
+  { code: 'IE', name: 'Ireland', polygons: [
+    [[[-7.249, 55.07], [-7.267, 55.065], [-7.292, 55.046], [-7.357, 55.041], [-7.378, 55.03], [-7.403, 55.004], [-7.4, 54.994], [-7.411, 54.992], [-7.414, 54.986], [-7.407, 54.952], [-7.447, 54.932], [-7.443, 54.884], [-7.454, 54.862], [-7.544, 54.793], [-7.551, 54.78], [-7.544, 54.741], [-7.565, 54.739], [-7.587, 54.744], [-7.616, 54.739], [-7.648, 54.744], [-7.738, 54.707], [-7.771, 54.705], [-7.832, 54.731], [-7.846, 54.731], [-7.879, 54.71], [-7.929, 54.697], [-7.907, 54.687], [-7.915, 54.672], [-7.907, 54.661], [-7.864, 54.65], [-7.846, 54.631], [-7.814, 54.64], [-7.771, 54.618], [-7.753, 54.614], [-7.72, 54.626], [-7.709, 54.624], [-7.709, 54.604], [-7.749, 54.596], [-7.85, 54.542], [-7.886, 54.531], [-8.001, 54.543], [-8.073, 54.488], [-8.174, 54.462], [-8.159, 54.455], [-8.156, 54.439], [-8.08, 54.379], [-8.055, 54.366], [-8.03, 54.358], [-8.001, 54.358], [-7.969, 54.312], [-7.951, 54.3], [-7.897, 54.293], [-7.879, 54.287], [-7.868, 54.228], [-7.857, 54.211], [-7.835, 54.204], [-7.706, 54.201], [-7.634, 54.168], [-7.619, 54.145], [-7.609, 54.14], [-7.501, 54.125], [-7.479, 54.128], [-7.439, 54.146], [-7.414, 54.146], [-7.425, 54.136], [-7.403, 54.135], [-7.396, 54.121], [-7.375, 54.123], [-7.31, 54.114], [-7.331, 54.15], [-7.295, 54.165], [-7.299, 54.126], [-7.295, 54.123], [-7.281, 54.126], [-7.263, 54.141], [-7.259, 54.152], [-7.267, 54.162], [-7.245, 54.167], [-7.259, 54.18], [-7.249, 54.197], [-7.231, 54.207], [-7.173, 54.216], [-7.155, 54.224], [-7.159, 54.241], [-7.144, 54.253], [-7.18, 54.27], [-7.177, 54.283], [-7.209, 54.293], [-7.213, 54.304], [-7.198, 54.304], [-7.184, 54.317], [-7.195, 54.331], [-7.191, 54.336], [-7.159, 54.336], [-7.126, 54.349], [-7.079, 54.395], [-7.051, 54.412], [-7.018, 54.413], [-6.986, 54.403], [-6.921, 54.373], [-6.907, 54.349], [-6.885, 54.346], [-6.856, 54.293], [-6.863, 54.283], [-6.881, 54.276], [-6.838, 54.261], [-6.824, 54.233], [-6.788, 54.202], [-6.745, 54.184], [-6.734, 54.184], [-6.716, 54.195], [-6.694, 54.199], [-6.64, 54.168], [-6.633, 54.15], [-6.644, 54.131], [-6.665, 54.114], [-6.655, 54.103], [-6.673, 54.069], [-6.629, 54.042], [-6.615, 54.037], [-6.586, 54.054], [-6.565, 54.049], [-6.478, 54.067], [-6.449, 54.069], [-6.435, 54.055], [-6.377, 54.064], [-6.37, 54.067], [-6.37, 54.091], [-6.356, 54.111], [-6.327, 54.098], [-6.284, 54.106], [-6.269, 54.098], [-6.208, 54.062], [-6.183, 54.054], [-6.165, 54.037], [-6.125, 54.03], [-6.107, 54.013], [-6.111, 54.001], [-6.143, 53.978], [-6.161, 53.974], [-6.187, 53.979], [-6.223, 53.996], [-6.237, 53.995], [-6.305, 54.011], [-6.359, 54.016], [-6.359, 54.008], [-6.349, 54.003], [-6.374, 53.964], [-6.374, 53.9], [-6.352, 53.881], [-6.316, 53.871], [-6.244, 53.864], [-6.255, 53.822], [-6.244, 53.807], [-6.223, 53.797], [-6.244, 53.782], [-6.248, 53.756], [-6.241, 53.685], [-6.23, 53.657], [-6.212, 53.64], [-6.187, 53.63], [-6.169, 53.606], [-6.093, 53.577], [-6.079, 53.555], [-6.075, 53.54], [-6.082, 53.527], [-6.1, 53.51], [-6.104, 53.495], [-6.133, 53.461], [-6.14, 53.471], [-6.158, 53.473], [-6.179, 53.469], [-6.194, 53.461], [-6.129, 53.442], [-6.115, 53.412], [-6.125, 53.398], [-6.111, 53.393], [-6.068, 53.392], [-6.05, 53.385], [-6.061, 53.368], [-6.075, 53.366], [-6.104, 53.378], [-6.122, 53.393], [-6.158, 53.385], [-6.215, 53.358], [-6.219, 53.348], [-6.169, 53.306], [-6.097, 53.285], [-6.107, 53.243], [-6.1, 53.214], [-6.071, 53.184], [-6.079, 53.165], [-6.032, 53.111], [-6.039, 53.04], [-6.05, 53.01], [-6.039, 52.993], [-5.992, 52.958], [-6.007, 52.954], [-6.021, 52.931], [-6.039, 52.919], [-6.071, 52.872], [-6.064, 52.865], [-6.107, 52.84], [-6.129, 52.816], [-6.154, 52.769], [-6.147, 52.747], [-6.215, 52.666], [-6.219, 52.632], [-6.205, 52.588], [-6.208, 52.546], [-6.284, 52.466], [-6.334, 52.434], [-6.356, 52.409], [-6.367, 52.394], [-6.367, 52.345], [-6.388, 52.358], [-6.449, 52.357], [-6.467, 52.36], [-6.464, 52.379], [-6.496, 52.365], [-6.496, 52.358], [-6.482, 52.355], [-6.457, 52.336], [-6.449, 52.323], [-6.457, 52.313], [-6.424, 52.308], [-6.41, 52.289], [-6.395, 52.297], [-6.374, 52.323], [-6.388, 52.296], [-6.37, 52.272], [-6.32, 52.24], [-6.359, 52.186], [-6.377, 52.178], [-6.399, 52.186], [-6.381, 52.208], [-6.381, 52.211], [-6.395, 52.213], [-6.424, 52.194], [-6.467, 52.193], [-6.467, 52.2], [-6.449, 52.2], [-6.464, 52.208], [-6.489, 52.2], [-6.536, 52.193], [-6.579, 52.178], [-6.597, 52.179], [-6.64, 52.203], [-6.716, 52.216], [-6.788, 52.21], [-6.806, 52.213], [-6.806, 52.22], [-6.777, 52.233], [-6.766, 52.245], [-6.763, 52.262], [-6.791, 52.24], [-6.813, 52.235], [-6.831, 52.24], [-6.838, 52.235], [-6.838, 52.213], [-6.82, 52.22], [-6.82, 52.206], [-6.831, 52.193], [-6.82, 52.193], [-6.82, 52.186], [-6.831, 52.186], [-6.824, 52.179], [-6.896, 52.152], [-6.932, 52.125], [-6.95, 52.13], [-6.939, 52.144], [-6.903, 52.162], [-6.903, 52.173], [-6.921, 52.213], [-6.935, 52.228], [-6.971, 52.247], [-6.986, 52.279], [-6.997, 52.289], [-6.989, 52.252], [-6.968, 52.22], [-6.982, 52.196], [-6.979, 52.186], [-6.953, 52.186], [-6.953, 52.179], [-7.018, 52.139], [-7.105, 52.13], [-7.101, 52.142], [-7.072, 52.166], [-7.094, 52.173], [-7.119, 52.173], [-7.119, 52.166], [-7.105, 52.152], [-7.137, 52.159], [-7.155, 52.151], [-7.166, 52.139], [-7.187, 52.132], [-7.245, 52.139], [-7.436, 52.125], [-7.504, 52.103], [-7.54, 52.098], [-7.555, 52.085], [-7.565, 52.083], [-7.583, 52.105], [-7.601, 52.102], [-7.63, 52.08], [-7.627, 52.063], [-7.616, 52.07], [-7.601, 52.071], [-7.547, 52.059], [-7.544, 52.054], [-7.551, 52.043], [-7.583, 52.029], [-7.591, 51.992], [-7.634, 51.977], [-7.688, 51.98], [-7.709, 51.973], [-7.717, 51.95], [-7.724, 51.945], [-7.828, 51.953], [-7.839, 51.977], [-7.85, 51.98], [-7.857, 51.943], [-7.871, 51.929], [-7.9, 51.912], [-7.922, 51.912], [-7.882, 51.892], [-7.893, 51.882], [-8.008, 51.855], [-8.023, 51.843], [-8.005, 51.83], [-8.019, 51.825], [-8.095, 51.815], [-8.134, 51.804], [-8.246, 51.803], [-8.249, 51.813], [-8.224, 51.823], [-8.231, 51.837], [-8.203, 51.842], [-8.174, 51.857], [-8.203, 51.864], [-8.195, 51.877], [-8.181, 51.884], [-8.188, 51.894], [-8.203, 51.892], [-8.21, 51.884], [-8.224, 51.891], [-8.285, 51.892], [-8.293, 51.904], [-8.347, 51.892], [-8.408, 51.892], [-8.429, 51.884], [-8.354, 51.874], [-8.329, 51.862], [-8.347, 51.83], [-8.3, 51.83], [-8.303, 51.816], [-8.293, 51.809], [-8.318, 51.803], [-8.285, 51.803], [-8.303, 51.786], [-8.296, 51.766], [-8.347, 51.725], [-8.372, 51.715], [-8.411, 51.71], [-8.437, 51.693], [-8.44, 51.703], [-8.455, 51.712], [-8.473, 51.717], [-8.483, 51.713], [-8.469, 51.706], [-8.465, 51.695], [-8.469, 51.685], [-8.483, 51.678], [-8.491, 51.698], [-8.512, 51.706], [-8.559, 51.706], [-8.559, 51.7], [-8.548, 51.696], [-8.516, 51.693], [-8.501, 51.7], [-8.498, 51.693], [-8.498, 51.686], [-8.519, 51.678], [-8.537, 51.654], [-8.53, 51.61], [-8.573, 51.646], [-8.638, 51.637], [-8.757, 51.646], [-8.728, 51.63], [-8.689, 51.63], [-8.689, 51.624], [-8.703, 51.617], [-8.681, 51.61], [-8.699, 51.597], [-8.696, 51.576], [-8.735, 51.58], [-8.743, 51.576], [-8.764, 51.59], [-8.8, 51.59], [-8.822, 51.595], [-8.833, 51.59], [-8.854, 51.597], [-8.869, 51.585], [-8.887, 51.556], [-8.93, 51.546], [-8.933, 51.536], [-8.951, 51.544], [-8.951, 51.549], [-8.991, 51.563], [-9.074, 51.549], [-9.121, 51.563], [-9.121, 51.556], [-9.106, 51.549], [-9.128, 51.529], [-9.16, 51.522], [-9.193, 51.524], [-9.189, 51.509], [-9.203, 51.507], [-9.225, 51.487], [-9.254, 51.49], [-9.265, 51.487], [-9.272, 51.509], [-9.301, 51.497], [-9.301, 51.489], [-9.337, 51.477], [-9.38, 51.473], [-9.362, 51.484], [-9.347, 51.5], [-9.373, 51.492], [-9.369, 51.509], [-9.319, 51.534], [-9.326, 51.543], [-9.369, 51.526], [-9.38, 51.512], [-9.401, 51.5], [-9.412, 51.511], [-9.401, 51.546], [-9.409, 51.553], [-9.445, 51.56], [-9.455, 51.556], [-9.448, 51.544], [-9.477, 51.534], [-9.549, 51.526], [-9.556, 51.509], [-9.581, 51.509], [-9.61, 51.494], [-9.628, 51.494], [-9.628, 51.504], [-9.657, 51.521], [-9.718, 51.48], [-9.704, 51.473], [-9.772, 51.453], [-9.769, 51.465], [-9.808, 51.446], [-9.812, 51.453], [-9.819, 51.446], [-9.812, 51.473], [-9.823, 51.475], [-9.833, 51.487], [-9.812, 51.492], [-9.74, 51.529], [-9.682, 51.543], [-9.621, 51.583], [-9.545, 51.61], [-9.592, 51.614], [-9.787, 51.553], [-9.848, 51.549], [-9.787, 51.573], [-9.769, 51.592], [-9.607, 51.642], [-9.596, 51.656], [-9.563, 51.658], [-9.524, 51.671], [-9.459, 51.685], [-9.445, 51.72], [-9.455, 51.725], [-9.491, 51.715], [-9.52, 51.725], [-9.527, 51.73], [-9.524, 51.747], [-9.56, 51.762], [-9.556, 51.73], [-9.545, 51.72], [-9.567, 51.717], [-9.628, 51.685], [-9.715, 51.676], [-9.747, 51.668], [-9.873, 51.656], [-9.931, 51.637], [-9.931, 51.63], [-9.941, 51.622], [-10.006, 51.609], [-10.028, 51.597], [-10.06, 51.603], [-10.118, 51.6], [-10.158, 51.583], [-10.161, 51.59], [-10.154, 51.593], [-10.15, 51.61], [-10.06, 51.63], [-10.06, 51.637], [-10.068, 51.637], [-10.064, 51.649], [-10.071, 51.658], [-10.1, 51.659], [-10.089, 51.671], [-10.068, 51.674], [-10.024, 51.673], [-10.003, 51.678], [-9.956, 51.706], [-9.956, 51.713], [-9.999, 51.713], [-9.981, 51.732], [-9.949, 51.747], [-9.887, 51.762], [-9.902, 51.742], [-9.884, 51.744], [-9.855, 51.759], [-9.855, 51.776], [-9.841, 51.769], [-9.787, 51.769], [-9.787, 51.776], [-9.812, 51.782], [-9.812, 51.788], [-9.776, 51.813], [-9.754, 51.82], [-9.743, 51.833], [-9.729, 51.838], [-9.704, 51.837], [-9.671, 51.843], [-9.581, 51.87], [-9.581, 51.877], [-9.653, 51.872], [-9.758, 51.847], [-9.787, 51.833], [-9.79, 51.826], [-9.841, 51.823], [-9.833, 51.816], [-9.862, 51.804], [-9.873, 51.803], [-9.869, 51.823], [-9.884, 51.823], [-9.902, 51.809], [-9.949, 51.803], [-9.992, 51.781], [-10.017, 51.774], [-10.039, 51.782], [-10.086, 51.755], [-10.111, 51.745], [-10.136, 51.742], [-10.129, 51.754], [-10.226, 51.782], [-10.186, 51.789], [-10.176, 51.813], [-10.194, 51.84], [-10.233, 51.852], [-10.273, 51.821], [-10.341, 51.788], [-10.348, 51.801], [-10.334, 51.83], [-10.341, 51.843], [-10.388, 51.847], [-10.381, 51.857], [-10.388, 51.869], [-10.381, 51.877], [-10.395, 51.877], [-10.395, 51.884], [-10.255, 51.909], [-10.255, 51.926], [-10.269, 51.931], [-10.287, 51.951], [-10.305, 51.953], [-10.305, 51.96], [-10.294, 51.965], [-10.258, 51.973], [-10.266, 51.988], [-10.219, 51.999], [-10.194, 52.01], [-10.129, 52.029], [-10.032, 52.041], [-9.992, 52.056], [-9.97, 52.09], [-9.963, 52.09], [-9.963, 52.071], [-9.956, 52.064], [-9.927, 52.063], [-9.931, 52.071], [-9.909, 52.13], [-9.877, 52.12], [-9.848, 52.118], [-9.772, 52.125], [-9.794, 52.139], [-9.758, 52.152], [-9.956, 52.146], [-9.945, 52.125], [-9.956, 52.108], [-9.959, 52.125], [-9.999, 52.139], [-10.028, 52.14], [-10.161, 52.118], [-10.186, 52.11], [-10.219, 52.13], [-10.24, 52.12], [-10.28, 52.137], [-10.305, 52.13], [-10.305, 52.125], [-10.273, 52.118], [-10.273, 52.112], [-10.345, 52.125], [-10.37, 52.125], [-10.356, 52.112], [-10.377, 52.112], [-10.417, 52.1], [-10.438, 52.098], [-10.46, 52.103], [-10.478, 52.152], [-10.453, 52.166], [-10.46, 52.179], [-10.449, 52.189], [-10.41, 52.2], [-10.417, 52.186], [-10.395, 52.174], [-10.381, 52.173], [-10.37, 52.184], [-10.374, 52.198], [-10.363, 52.206], [-10.377, 52.213], [-10.366, 52.228], [-10.32, 52.235], [-10.276, 52.269], [-10.172, 52.287], [-10.158, 52.279], [-10.168, 52.24], [-10.165, 52.235], [-10.1, 52.24], [-10.046, 52.269], [-10.035, 52.291], [-10.06, 52.309], [-10.014, 52.306], [-10.01, 52.254], [-9.949, 52.238], [-9.873, 52.233], [-9.826, 52.259], [-9.812, 52.255], [-9.826, 52.249], [-9.808, 52.242], [-9.736, 52.249], [-9.754, 52.259], [-9.797, 52.262], [-9.848, 52.276], [-9.862, 52.269], [-9.877, 52.279], [-9.88, 52.296], [-9.859, 52.284], [-9.833, 52.289], [-9.862, 52.296], [-9.862, 52.304], [-9.826, 52.309], [-9.837, 52.326], [-9.833, 52.375], [-9.851, 52.385], [-9.905, 52.392], [-9.949, 52.412], [-9.916, 52.426], [-9.848, 52.429], [-9.751, 52.456], [-9.704, 52.483], [-9.679, 52.483], [-9.635, 52.473], [-9.639, 52.487], [-9.65, 52.493], [-9.682, 52.495], [-9.675, 52.505], [-9.682, 52.515], [-9.671, 52.534], [-9.675, 52.546], [-9.65, 52.571], [-9.643, 52.568], [-9.617, 52.578], [-9.578, 52.571], [-9.499, 52.571], [-9.47, 52.563], [-9.437, 52.578], [-9.351, 52.574], [-9.236, 52.581], [-9.193, 52.6], [-9.07, 52.623], [-9.052, 52.632], [-9.045, 52.62], [-9.005, 52.62], [-8.991, 52.625], [-8.98, 52.64], [-8.959, 52.652], [-8.786, 52.666], [-8.75, 52.672], [-8.768, 52.672], [-8.833, 52.689], [-8.869, 52.693], [-8.933, 52.688], [-8.962, 52.694], [-8.962, 52.699], [-8.948, 52.706], [-8.948, 52.715], [-8.955, 52.723], [-8.955, 52.745], [-8.969, 52.748], [-8.944, 52.775], [-9.002, 52.76], [-9.023, 52.747], [-9.059, 52.696], [-9.146, 52.623], [-9.254, 52.612], [-9.286, 52.591], [-9.311, 52.591], [-9.333, 52.598], [-9.279, 52.625], [-9.279, 52.639], [-9.311, 52.627], [-9.383, 52.613], [-9.434, 52.612], [-9.477, 52.62], [-9.491, 52.634], [-9.524, 52.637], [-9.538, 52.645], [-9.535, 52.661], [-9.545, 52.667], [-9.581, 52.666], [-9.581, 52.659], [-9.563, 52.654], [-9.553, 52.639], [-9.693, 52.605], [-9.704, 52.595], [-9.707, 52.579], [-9.715, 52.578], [-9.729, 52.585], [-9.758, 52.573], [-9.938, 52.558], [-9.938, 52.563], [-9.877, 52.586], [-9.823, 52.595], [-9.621, 52.715], [-9.628, 52.728], [-9.592, 52.742], [-9.538, 52.742], [-9.499, 52.752], [-9.484, 52.782], [-9.484, 52.796], [-9.491, 52.802], [-9.459, 52.821], [-9.43, 52.858], [-9.427, 52.878], [-9.365, 52.914], [-9.355, 52.934], [-9.373, 52.937], [-9.452, 52.934], [-9.477, 52.941], [-9.448, 52.958], [-9.409, 52.997], [-9.387, 53.008], [-9.394, 53.015], [-9.272, 53.147], [-9.25, 53.152], [-9.182, 53.116], [-9.16, 53.111], [-9.095, 53.127], [-9.074, 53.118], [-9.07, 53.135], [-9.085, 53.143], [-9.128, 53.152], [-9.128, 53.159], [-9.07, 53.165], [-9.052, 53.162], [-9.023, 53.147], [-9.005, 53.145], [-9.005, 53.152], [-9.045, 53.165], [-9.045, 53.174], [-9.009, 53.165], [-8.987, 53.177], [-8.98, 53.176], [-8.984, 53.165], [-8.962, 53.152], [-8.937, 53.145], [-8.955, 53.181], [-8.93, 53.206], [-8.894, 53.221], [-8.933, 53.214], [-9.031, 53.216], [-9.045, 53.221], [-9.027, 53.228], [-8.962, 53.235], [-8.962, 53.241], [-8.991, 53.241], [-8.991, 53.248], [-8.944, 53.262], [-8.944, 53.268], [-9.023, 53.275], [-9.077, 53.263], [-9.401, 53.248], [-9.448, 53.231], [-9.513, 53.228], [-9.535, 53.235], [-9.567, 53.262], [-9.545, 53.279], [-9.556, 53.29], [-9.571, 53.29], [-9.585, 53.25], [-9.596, 53.238], [-9.614, 53.236], [-9.628, 53.248], [-9.61, 53.277], [-9.617, 53.321], [-9.596, 53.331], [-9.578, 53.324], [-9.56, 53.341], [-9.599, 53.365], [-9.589, 53.373], [-9.553, 53.385], [-9.607, 53.385], [-9.621, 53.378], [-9.61, 53.366], [-9.607, 53.349], [-9.614, 53.334], [-9.635, 53.331], [-9.653, 53.341], [-9.639, 53.378], [-9.639, 53.385], [-9.653, 53.393], [-9.671, 53.378], [-9.686, 53.375], [-9.743, 53.314], [-9.79, 53.302], [-9.808, 53.302], [-9.844, 53.324], [-9.887, 53.317], [-9.902, 53.324], [-9.887, 53.36], [-9.841, 53.368], [-9.787, 53.393], [-9.787, 53.398], [-9.819, 53.398], [-9.819, 53.407], [-9.797, 53.412], [-9.797, 53.419], [-9.826, 53.417], [-9.848, 53.407], [-9.848, 53.4], [-9.859, 53.395], [-9.877, 53.395], [-9.877, 53.415], [-9.855, 53.424], [-9.848, 53.434], [-9.884, 53.419], [-9.913, 53.425], [-9.927, 53.41], [-9.923, 53.39], [-9.963, 53.38], [-10.003, 53.38], [-10.024, 53.385], [-10.05, 53.41], [-10.129, 53.41], [-10.143, 53.419], [-10.176, 53.412], [-10.168, 53.429], [-10.143, 53.446], [-10.122, 53.447], [-10.082, 53.442], [-10.068, 53.444], [-10.053, 53.454], [-10.053, 53.461], [-10.075, 53.466], [-10.086, 53.481], [-10.021, 53.471], [-10.014, 53.481], [-10.032, 53.479], [-10.071, 53.485], [-10.107, 53.495], [-10.129, 53.508], [-10.143, 53.539], [-10.154, 53.544], [-10.194, 53.539], [-10.204, 53.544], [-10.179, 53.555], [-10.107, 53.55], [-10.114, 53.571], [-10.071, 53.571], [-10.024, 53.562], [-10.006, 53.544], [-9.97, 53.562], [-10.032, 53.588], [-10.046, 53.599], [-10.01, 53.604], [-9.931, 53.599], [-9.902, 53.604], [-9.869, 53.618], [-9.844, 53.616], [-9.823, 53.606], [-9.697, 53.598], [-9.697, 53.604], [-9.715, 53.61], [-9.783, 53.606], [-9.826, 53.616], [-9.909, 53.647], [-9.923, 53.691], [-9.898, 53.745], [-9.909, 53.761], [-9.898, 53.767], [-9.801, 53.78], [-9.79, 53.787], [-9.751, 53.777], [-9.567, 53.797], [-9.567, 53.804], [-9.621, 53.817], [-9.599, 53.824], [-9.607, 53.839], [-9.596, 53.848], [-9.56, 53.864], [-9.589, 53.871], [-9.567, 53.89], [-9.567, 53.9], [-9.589, 53.893], [-9.614, 53.898], [-9.758, 53.9], [-9.855, 53.866], [-9.909, 53.859], [-9.945, 53.88], [-9.931, 53.885], [-9.923, 53.913], [-9.909, 53.92], [-9.909, 53.947], [-9.916, 53.947], [-9.916, 53.954], [-9.859, 53.959], [-9.812, 53.942], [-9.808, 53.919], [-9.797, 53.913], [-9.787, 53.917], [-9.787, 53.947], [-9.812, 53.966], [-9.826, 53.967], [-9.819, 53.954], [-9.83, 53.956], [-9.851, 53.988], [-9.848, 53.998], [-9.855, 54.003], [-9.877, 54.001], [-9.898, 54.025], [-9.898, 54.055], [-9.873, 54.062], [-9.862, 54.07], [-9.877, 54.076], [-9.877, 54.081], [-9.855, 54.091], [-9.862, 54.098], [-9.833, 54.113], [-9.844, 54.118], [-9.88, 54.113], [-9.88, 54.101], [-9.895, 54.098], [-9.895, 54.091], [-9.887, 54.091], [-9.916, 54.07], [-9.945, 54.065], [-9.97, 54.079], [-9.992, 54.104], [-9.97, 54.104], [-9.909, 54.118], [-9.952, 54.141], [-9.956, 54.153], [-9.931, 54.146], [-9.977, 54.18], [-9.952, 54.175], [-9.941, 54.179], [-9.938, 54.187], [-10.01, 54.219], [-10.024, 54.207], [-10.01, 54.197], [-10.017, 54.189], [-10.053, 54.187], [-10.039, 54.167], [-10.068, 54.167], [-10.086, 54.16], [-10.086, 54.153], [-10.068, 54.145], [-10.068, 54.125], [-10.096, 54.118], [-10.068, 54.104], [-10.068, 54.094], [-10.086, 54.091], [-10.118, 54.096], [-10.129, 54.125], [-10.1, 54.165], [-10.093, 54.195], [-10.06, 54.222], [-10.093, 54.222], [-10.114, 54.234], [-10.096, 54.236], [-10.086, 54.244], [-10.075, 54.27], [-10.017, 54.29], [-10.014, 54.3], [-9.999, 54.304], [-9.985, 54.283], [-9.956, 54.271], [-9.938, 54.271], [-9.923, 54.276], [-9.905, 54.265], [-9.887, 54.27], [-9.887, 54.263], [-9.88, 54.263], [-9.902, 54.238], [-9.927, 54.228], [-9.952, 54.229], [-9.977, 54.243], [-9.985, 54.222], [-9.945, 54.216], [-9.909, 54.204], [-9.869, 54.228], [-9.88, 54.241], [-9.877, 54.256], [-9.844, 54.276], [-9.823, 54.273], [-9.787, 54.258], [-9.765, 54.256], [-9.779, 54.27], [-9.797, 54.276], [-9.797, 54.283], [-9.79, 54.287], [-9.758, 54.283], [-9.776, 54.29], [-9.83, 54.297], [-9.841, 54.307], [-9.844, 54.329], [-9.787, 54.337], [-9.765, 54.336], [-9.707, 54.317], [-9.535, 54.31], [-9.495, 54.317], [-9.463, 54.304], [-9.383, 54.297], [-9.333, 54.319], [-9.268, 54.304], [-9.247, 54.276], [-9.218, 54.28], [-9.218, 54.283], [-9.211, 54.275], [-9.218, 54.249], [-9.196, 54.243], [-9.196, 54.234], [-9.214, 54.228], [-9.211, 54.217], [-9.16, 54.192], [-9.142, 54.165], [-9.142, 54.146], [-9.135, 54.146], [-9.128, 54.194], [-9.135, 54.207], [-9.092, 54.226], [-9.074, 54.246], [-9.067, 54.273], [-9.052, 54.29], [-9.016, 54.292], [-8.955, 54.283], [-8.941, 54.29], [-8.858, 54.263], [-8.807, 54.263], [-8.786, 54.266], [-8.764, 54.276], [-8.739, 54.265], [-8.678, 54.271], [-8.649, 54.263], [-8.635, 54.233], [-8.606, 54.226], [-8.573, 54.201], [-8.545, 54.209], [-8.512, 54.207], [-8.512, 54.214], [-8.559, 54.228], [-8.573, 54.246], [-8.588, 54.253], [-8.62, 54.256], [-8.62, 54.263], [-8.595, 54.283], [-8.559, 54.275], [-8.541, 54.285], [-8.469, 54.276], [-8.505, 54.297], [-8.57, 54.305], [-8.573, 54.314], [-8.566, 54.324], [-8.53, 54.31], [-8.512, 54.317], [-8.519, 54.327], [-8.563, 54.337], [-8.66, 54.337], [-8.667, 54.341], [-8.663, 54.359], [-8.642, 54.371], [-8.613, 54.376], [-8.473, 54.43], [-8.465, 54.476], [-8.444, 54.454], [-8.444, 54.447], [-8.383, 54.469], [-8.289, 54.479], [-8.242, 54.498], [-8.21, 54.503], [-8.21, 54.51], [-8.242, 54.51], [-8.271, 54.523], [-8.217, 54.55], [-8.217, 54.57], [-8.174, 54.594], [-8.174, 54.619], [-8.138, 54.606], [-8.12, 54.646], [-8.127, 54.653], [-8.167, 54.636], [-8.235, 54.629], [-8.293, 54.606], [-8.282, 54.621], [-8.285, 54.636], [-8.303, 54.64], [-8.318, 54.636], [-8.343, 54.616], [-8.368, 54.609], [-8.415, 54.579], [-8.44, 54.567], [-8.458, 54.565], [-8.458, 54.57], [-8.419, 54.596], [-8.397, 54.597], [-8.386, 54.606], [-8.386, 54.619], [-8.401, 54.629], [-8.422, 54.619], [-8.419, 54.641], [-8.433, 54.641], [-8.462, 54.602], [-8.483, 54.616], [-8.483, 54.628], [-8.494, 54.633], [-8.516, 54.626], [-8.552, 54.623], [-8.563, 54.609], [-8.599, 54.619], [-8.674, 54.619], [-8.689, 54.626], [-8.681, 54.636], [-8.692, 54.641], [-8.775, 54.66], [-8.793, 54.66], [-8.779, 54.68], [-8.797, 54.692], [-8.797, 54.699], [-8.753, 54.705], [-8.746, 54.726], [-8.663, 54.763], [-8.638, 54.768], [-8.537, 54.766], [-8.483, 54.756], [-8.458, 54.756], [-8.458, 54.763], [-8.527, 54.773], [-8.545, 54.783], [-8.53, 54.788], [-8.483, 54.79], [-8.444, 54.763], [-8.426, 54.758], [-8.408, 54.763], [-8.462, 54.793], [-8.498, 54.802], [-8.534, 54.817], [-8.559, 54.819], [-8.555, 54.827], [-8.516, 54.835], [-8.491, 54.852], [-8.473, 54.84], [-8.447, 54.839], [-8.401, 54.844], [-8.347, 54.832], [-8.325, 54.832], [-8.325, 54.839], [-8.365, 54.846], [-8.383, 54.856], [-8.379, 54.873], [-8.368, 54.881], [-8.314, 54.879], [-8.336, 54.903], [-8.35, 54.908], [-8.375, 54.908], [-8.379, 54.886], [-8.408, 54.888], [-8.433, 54.901], [-8.451, 54.922], [-8.462, 54.94], [-8.451, 54.947], [-8.433, 54.938], [-8.404, 54.935], [-8.368, 54.949], [-8.397, 54.955], [-8.458, 54.996], [-8.458, 55.003], [-8.437, 55.009], [-8.426, 55.009], [-8.415, 55.003], [-8.401, 55.016], [-8.408, 55.016], [-8.404, 55.031], [-8.375, 55.036], [-8.347, 55.065], [-8.336, 55.035], [-8.325, 55.03], [-8.314, 55.053], [-8.303, 55.058], [-8.321, 55.106], [-8.303, 55.119], [-8.278, 55.161], [-8.264, 55.161], [-8.206, 55.146], [-8.141, 55.161], [-8.159, 55.139], [-8.163, 55.129], [-8.156, 55.124], [-8.116, 55.155], [-8.033, 55.182], [-8.001, 55.22], [-7.976, 55.222], [-7.951, 55.21], [-7.958, 55.198], [-8.005, 55.182], [-8.005, 55.175], [-7.961, 55.187], [-7.951, 55.18], [-7.933, 55.18], [-7.907, 55.188], [-7.897, 55.175], [-7.9, 55.156], [-7.861, 55.168], [-7.871, 55.151], [-7.897, 55.146], [-7.897, 55.139], [-7.875, 55.141], [-7.864, 55.138], [-7.846, 55.146], [-7.835, 55.165], [-7.839, 55.177], [-7.861, 55.195], [-7.868, 55.215], [-7.799, 55.256], [-7.792, 55.249], [-7.817, 55.195], [-7.799, 55.182], [-7.771, 55.188], [-7.717, 55.166], [-7.695, 55.133], [-7.702, 55.099], [-7.67, 55.148], [-7.702, 55.219], [-7.717, 55.222], [-7.724, 55.215], [-7.709, 55.175], [-7.724, 55.177], [-7.749, 55.195], [-7.792, 55.205], [-7.789, 55.219], [-7.76, 55.256], [-7.724, 55.252], [-7.673, 55.274], [-7.645, 55.273], [-7.612, 55.241], [-7.616, 55.197], [-7.573, 55.182], [-7.565, 55.156], [-7.529, 55.133], [-7.526, 55.116], [-7.54, 55.092], [-7.555, 55.09], [-7.641, 55.05], [-7.641, 55.043], [-7.58, 55.05], [-7.562, 55.045], [-7.573, 55.023], [-7.634, 54.996], [-7.681, 54.962], [-7.681, 54.954], [-7.645, 54.965], [-7.547, 55.018], [-7.537, 55.019], [-7.529, 55.031], [-7.468, 55.043], [-7.45, 55.072], [-7.454, 55.087], [-7.479, 55.097], [-7.465, 55.119], [-7.465, 55.143], [-7.511, 55.182], [-7.533, 55.192], [-7.551, 55.215], [-7.551, 55.225], [-7.526, 55.237], [-7.515, 55.254], [-7.515, 55.274], [-7.526, 55.29], [-7.479, 55.285], [-7.465, 55.29], [-7.468, 55.303], [-7.429, 55.286], [-7.407, 55.286], [-7.367, 55.31], [-7.346, 55.315], [-7.328, 55.308], [-7.313, 55.29], [-7.339, 55.29], [-7.321, 55.283], [-7.299, 55.276], [-7.277, 55.276], [-7.256, 55.285], [-7.321, 55.313], [-7.349, 55.335], [-7.353, 55.359], [-7.4, 55.381], [-7.385, 55.386], [-7.209, 55.345], [-7.13, 55.286], [-7.079, 55.273], [-7.043, 55.269], [-6.975, 55.249], [-6.953, 55.254], [-6.939, 55.239], [-6.943, 55.219], [-6.971, 55.209], [-7.033, 55.197], [-7.101, 55.165], [-7.159, 55.151], [-7.216, 55.109]]],
+    [[[-9.664, 53.275], [-9.639, 53.252], [-9.657, 53.233], [-9.693, 53.226], [-9.711, 53.238], [-9.718, 53.267], [-9.7, 53.28], [-9.671, 53.28]]],
+    [[[-9.963, 53.954], [-9.941, 53.961], [-9.923, 53.954], [-9.938, 53.924], [-9.938, 53.893], [-9.959, 53.881], [-9.977, 53.886], [-10.017, 53.913], [-10.057, 53.913], [-10.06, 53.924], [-10.053, 53.949], [-10.068, 53.967], [-10.086, 53.971], [-10.161, 53.961], [-10.24, 53.974], [-10.266, 53.974], [-10.266, 53.981], [-10.219, 53.986], [-10.201, 53.996], [-10.19, 54.016], [-10.172, 54.008], [-10.158, 54.016], [-10.136, 54], [-10.107, 54.005], [-10.064, 54.023], [-9.977, 54.022], [-9.956, 54.016], [-9.938, 53.989], [-9.956, 53.989]]],
+    [[[-8.527, 55.009], [-8.509, 55.006], [-8.487, 54.992], [-8.483, 54.976], [-8.527, 54.967], [-8.548, 54.969], [-8.566, 54.976], [-8.566, 54.996], [-8.545, 55.003], [-8.552, 55.008], [-8.545, 55.016], [-8.53, 55.014]]],
+    [[[-9.815, 51.639], [-9.801, 51.637], [-9.812, 51.627], [-9.891, 51.612], [-9.916, 51.619], [-9.916, 51.629], [-9.902, 51.637], [-9.859, 51.642]]],
+    [[[-10.312, 51.926], [-10.298, 51.919], [-10.305, 51.911], [-10.363, 51.892], [-10.395, 51.891], [-10.406, 51.884], [-10.428, 51.882], [-10.428, 51.891], [-10.413, 51.904], [-10.352, 51.931]]],
+    [[[-9.65, 53.101], [-9.643, 53.101], [-9.643, 53.094], [-9.661, 53.091], [-9.779, 53.123], [-9.812, 53.138], [-9.801, 53.147], [-9.776, 53.147], [-9.751, 53.135], [-9.697, 53.137], [-9.671, 53.13], [-9.664, 53.123], [-9.671, 53.11]]]
+  ] },
+  { code: 'GB', name: 'United Kingdom', polygons: [
+    [[[-7.249, 55.07], [-7.256, 55.05], [-7.195, 55.058], [-7.133, 55.043], [-7.065, 55.043], [-7.018, 55.072], [-7.011, 55.102], [-6.975, 55.136], [-6.964, 55.195], [-6.946, 55.195], [-6.885, 55.175], [-6.755, 55.178], [-6.64, 55.209], [-6.572, 55.212], [-6.521, 55.241], [-6.5, 55.247], [-6.475, 55.249], [-6.417, 55.232], [-6.377, 55.246], [-6.352, 55.242], [-6.241, 55.209], [-6.161, 55.222], [-6.122, 55.217], [-6.1, 55.212], [-6.035, 55.168], [-6.039, 55.112], [-6.061, 55.074], [-6.053, 55.065], [-6.003, 55.063], [-5.974, 55.053], [-5.967, 55.043], [-5.989, 54.989], [-5.985, 54.982], [-5.956, 54.979], [-5.906, 54.959], [-5.881, 54.933], [-5.87, 54.91], [-5.837, 54.893], [-5.819, 54.874], [-5.801, 54.82], [-5.744, 54.805], [-5.722, 54.783], [-5.715, 54.783], [-5.733, 54.805], [-5.798, 54.844], [-5.783, 54.862], [-5.751, 54.857], [-5.701, 54.825], [-5.69, 54.793], [-5.693, 54.764], [-5.708, 54.743], [-5.729, 54.729], [-5.845, 54.702], [-5.891, 54.672], [-5.927, 54.633], [-5.909, 54.619], [-5.906, 54.606], [-5.895, 54.604], [-5.837, 54.65], [-5.747, 54.68], [-5.715, 54.67], [-5.693, 54.668], [-5.575, 54.68], [-5.557, 54.663], [-5.535, 54.658], [-5.531, 54.633], [-5.513, 54.597], [-5.503, 54.584], [-5.477, 54.57], [-5.47, 54.516], [-5.431, 54.486], [-5.438, 54.476], [-5.434, 54.461], [-5.459, 54.437], [-5.459, 54.391], [-5.485, 54.378], [-5.488, 54.369], [-5.474, 54.359], [-5.488, 54.354], [-5.503, 54.339], [-5.517, 54.337], [-5.539, 54.359], [-5.546, 54.379], [-5.56, 54.383], [-5.578, 54.403], [-5.571, 54.425], [-5.549, 54.442], [-5.542, 54.457], [-5.546, 54.489], [-5.557, 54.511], [-5.575, 54.53], [-5.647, 54.567], [-5.672, 54.577], [-5.701, 54.577], [-5.693, 54.562], [-5.697, 54.552], [-5.715, 54.537], [-5.701, 54.537], [-5.675, 54.523], [-5.636, 54.521], [-5.625, 54.516], [-5.672, 54.506], [-5.639, 54.496], [-5.643, 54.472], [-5.639, 54.464], [-5.625, 54.461], [-5.632, 54.447], [-5.625, 54.44], [-5.661, 54.379], [-5.697, 54.363], [-5.708, 54.352], [-5.621, 54.376], [-5.578, 54.383], [-5.549, 54.366], [-5.542, 54.327], [-5.553, 54.298], [-5.578, 54.276], [-5.618, 54.255], [-5.632, 54.256], [-5.639, 54.234], [-5.657, 54.229], [-5.679, 54.246], [-5.737, 54.249], [-5.78, 54.246], [-5.863, 54.231], [-5.873, 54.14], [-5.895, 54.104], [-5.913, 54.091], [-5.953, 54.079], [-5.985, 54.059], [-6.039, 54.037], [-6.097, 54.037], [-6.115, 54.043], [-6.115, 54.05], [-6.086, 54.057], [-6.176, 54.074], [-6.187, 54.092], [-6.212, 54.099], [-6.244, 54.099], [-6.262, 54.104], [-6.269, 54.098], [-6.284, 54.106], [-6.327, 54.098], [-6.356, 54.111], [-6.37, 54.091], [-6.37, 54.067], [-6.377, 54.064], [-6.435, 54.055], [-6.449, 54.069], [-6.478, 54.067], [-6.565, 54.049], [-6.586, 54.054], [-6.615, 54.037], [-6.629, 54.042], [-6.673, 54.069], [-6.655, 54.103], [-6.665, 54.114], [-6.644, 54.131], [-6.633, 54.15], [-6.64, 54.168], [-6.694, 54.199], [-6.716, 54.195], [-6.734, 54.184], [-6.745, 54.184], [-6.788, 54.202], [-6.824, 54.233], [-6.838, 54.261], [-6.881, 54.276], [-6.863, 54.283], [-6.856, 54.293], [-6.885, 54.346], [-6.907, 54.349], [-6.921, 54.373], [-6.986, 54.403], [-7.018, 54.413], [-7.051, 54.412], [-7.079, 54.395], [-7.126, 54.349], [-7.159, 54.336], [-7.191, 54.336], [-7.195, 54.331], [-7.184, 54.317], [-7.198, 54.304], [-7.213, 54.304], [-7.209, 54.293], [-7.177, 54.283], [-7.18, 54.27], [-7.144, 54.253], [-7.159, 54.241], [-7.155, 54.224], [-7.173, 54.216], [-7.231, 54.207], [-7.249, 54.197], [-7.259, 54.18], [-7.245, 54.167], [-7.267, 54.162], [-7.259, 54.152], [-7.263, 54.141], [-7.281, 54.126], [-7.295, 54.123], [-7.299, 54.126], [-7.295, 54.165], [-7.331, 54.15], [-7.31, 54.114], [-7.375, 54.123], [-7.396, 54.121], [-7.403, 54.135], [-7.425, 54.136], [-7.414, 54.146], [-7.439, 54.146], [-7.479, 54.128], [-7.501, 54.125], [-7.609, 54.14], [-7.619, 54.145], [-7.634, 54.168], [-7.706, 54.201], [-7.835, 54.204], [-7.857, 54.211], [-7.868, 54.228], [-7.879, 54.287], [-7.897, 54.293], [-7.951, 54.3], [-7.969, 54.312], [-8.001, 54.358], [-8.03, 54.358], [-8.055, 54.366], [-8.08, 54.379], [-8.156, 54.439], [-8.159, 54.455], [-8.174, 54.462], [-8.073, 54.488], [-8.001, 54.543], [-7.886, 54.531], [-7.85, 54.542], [-7.749, 54.596], [-7.709, 54.604], [-7.709, 54.624], [-7.72, 54.626], [-7.753, 54.614], [-7.771, 54.618], [-7.814, 54.64], [-7.846, 54.631], [-7.864, 54.65], [-7.907, 54.661], [-7.915, 54.672], [-7.907, 54.687], [-7.929, 54.697], [-7.879, 54.71], [-7.846, 54.731], [-7.832, 54.731], [-7.771, 54.705], [-7.738, 54.707], [-7.648, 54.744], [-7.616, 54.739], [-7.587, 54.744], [-7.565, 54.739], [-7.544, 54.741], [-7.551, 54.78], [-7.544, 54.793], [-7.454, 54.862], [-7.443, 54.884], [-7.447, 54.932], [-7.407, 54.952], [-7.414, 54.986], [-7.411, 54.992], [-7.4, 54.994], [-7.403, 55.004], [-7.378, 55.03], [-7.357, 55.041], [-7.292, 55.046], [-7.267, 55.065]]],
+    [[[-2.666, 51.617], [-2.713, 51.587], [-2.759, 51.58], [-2.817, 51.556], [-2.86, 51.546], [-2.943, 51.543], [-2.957, 51.546], [-2.975, 51.563], [-3.015, 51.531], [-3.076, 51.507], [-3.091, 51.506], [-3.13, 51.48], [-3.145, 51.46], [-3.173, 51.453], [-3.159, 51.431], [-3.166, 51.411], [-3.184, 51.397], [-3.22, 51.403], [-3.289, 51.384], [-3.541, 51.399], [-3.559, 51.406], [-3.605, 51.446], [-3.663, 51.477], [-3.695, 51.472], [-3.739, 51.49], [-3.749, 51.5], [-3.749, 51.507], [-3.742, 51.509], [-3.771, 51.563], [-3.782, 51.576], [-3.818, 51.597], [-3.843, 51.622], [-3.962, 51.615], [-3.991, 51.607], [-4.001, 51.592], [-3.976, 51.563], [-4.016, 51.563], [-4.027, 51.555], [-4.03, 51.563], [-4.052, 51.57], [-4.07, 51.556], [-4.12, 51.566], [-4.167, 51.543], [-4.196, 51.549], [-4.199, 51.539], [-4.214, 51.539], [-4.289, 51.556], [-4.297, 51.57], [-4.279, 51.578], [-4.289, 51.617], [-4.257, 51.624], [-4.235, 51.646], [-4.228, 51.637], [-4.235, 51.637], [-4.235, 51.63], [-4.221, 51.624], [-4.091, 51.641], [-4.07, 51.663], [-4.07, 51.676], [-4.077, 51.678], [-4.095, 51.664], [-4.106, 51.664], [-4.145, 51.668], [-4.199, 51.686], [-4.214, 51.679], [-4.293, 51.673], [-4.315, 51.678], [-4.343, 51.691], [-4.379, 51.727], [-4.318, 51.725], [-4.311, 51.733], [-4.347, 51.735], [-4.361, 51.744], [-4.372, 51.755], [-4.358, 51.772], [-4.365, 51.789], [-4.397, 51.762], [-4.419, 51.767], [-4.426, 51.776], [-4.444, 51.774], [-4.448, 51.766], [-4.426, 51.747], [-4.462, 51.735], [-4.574, 51.742], [-4.646, 51.732], [-4.678, 51.717], [-4.682, 51.693], [-4.693, 51.69], [-4.693, 51.678], [-4.711, 51.651], [-4.736, 51.659], [-4.757, 51.646], [-4.862, 51.644], [-4.88, 51.637], [-4.905, 51.614], [-4.923, 51.609], [-4.93, 51.598], [-4.941, 51.597], [-4.955, 51.603], [-5.02, 51.615], [-5.045, 51.627], [-5.038, 51.637], [-5.053, 51.658], [-5.099, 51.664], [-5.121, 51.678], [-5.114, 51.685], [-5.038, 51.678], [-5.042, 51.693], [-4.988, 51.686], [-4.941, 51.7], [-4.894, 51.706], [-4.869, 51.717], [-4.858, 51.718], [-4.844, 51.713], [-4.844, 51.72], [-4.873, 51.739], [-4.88, 51.762], [-4.862, 51.782], [-4.826, 51.788], [-4.826, 51.796], [-4.865, 51.782], [-4.923, 51.781], [-4.934, 51.776], [-4.916, 51.776], [-4.905, 51.771], [-4.905, 51.747], [-4.891, 51.739], [-4.894, 51.728], [-4.912, 51.718], [-4.988, 51.706], [-5.15, 51.718], [-5.168, 51.713], [-5.157, 51.698], [-5.168, 51.69], [-5.182, 51.69], [-5.182, 51.706], [-5.229, 51.73], [-5.251, 51.733], [-5.215, 51.735], [-5.175, 51.759], [-5.125, 51.769], [-5.11, 51.779], [-5.114, 51.828], [-5.125, 51.857], [-5.139, 51.864], [-5.146, 51.857], [-5.164, 51.867], [-5.204, 51.87], [-5.222, 51.877], [-5.236, 51.87], [-5.312, 51.864], [-5.297, 51.87], [-5.301, 51.889], [-5.29, 51.892], [-5.297, 51.911], [-5.29, 51.918], [-5.233, 51.923], [-5.204, 51.943], [-5.121, 51.96], [-5.089, 51.977], [-5.085, 52.002], [-5.071, 52.002], [-5.081, 52.021], [-5.071, 52.026], [-5.053, 52.029], [-5.017, 52.026], [-4.963, 52.007], [-4.941, 52.007], [-4.912, 52.015], [-4.919, 52.029], [-4.84, 52.015], [-4.833, 52.019], [-4.837, 52.049], [-4.797, 52.056], [-4.779, 52.064], [-4.721, 52.113], [-4.707, 52.113], [-4.675, 52.098], [-4.675, 52.127], [-4.639, 52.139], [-4.513, 52.135], [-4.502, 52.139], [-4.484, 52.156], [-4.433, 52.171], [-4.372, 52.21], [-4.315, 52.216], [-4.196, 52.279], [-4.138, 52.33], [-4.095, 52.389], [-4.081, 52.453], [-4.055, 52.488], [-4.063, 52.497], [-4.063, 52.52], [-4.055, 52.529], [-4.048, 52.531], [-4.016, 52.522], [-3.998, 52.525], [-3.947, 52.549], [-3.947, 52.558], [-3.976, 52.556], [-4.052, 52.542], [-4.07, 52.551], [-4.124, 52.603], [-4.124, 52.628], [-4.106, 52.654], [-4.084, 52.672], [-4.063, 52.682], [-4.055, 52.701], [-4.041, 52.704], [-3.987, 52.735], [-4.016, 52.733], [-4.03, 52.725], [-4.048, 52.721], [-4.124, 52.779], [-4.145, 52.802], [-4.145, 52.821], [-4.117, 52.831], [-4.131, 52.868], [-4.131, 52.888], [-4.063, 52.919], [-4.077, 52.927], [-4.102, 52.914], [-4.12, 52.927], [-4.145, 52.916], [-4.228, 52.919], [-4.3, 52.905], [-4.336, 52.892], [-4.408, 52.892], [-4.426, 52.887], [-4.448, 52.877], [-4.48, 52.851], [-4.477, 52.845], [-4.502, 52.826], [-4.502, 52.814], [-4.487, 52.802], [-4.516, 52.789], [-4.595, 52.818], [-4.628, 52.802], [-4.649, 52.799], [-4.703, 52.802], [-4.747, 52.784], [-4.761, 52.789], [-4.75, 52.802], [-4.754, 52.809], [-4.736, 52.831], [-4.595, 52.929], [-4.523, 52.944], [-4.444, 52.981], [-4.423, 53.003], [-4.358, 53.029], [-4.34, 53.113], [-4.329, 53.115], [-4.322, 53.101], [-4.304, 53.125], [-4.264, 53.155], [-4.235, 53.164], [-4.178, 53.218], [-4.153, 53.228], [-4.124, 53.233], [-4.091, 53.235], [-4.066, 53.23], [-4.034, 53.241], [-4.009, 53.245], [-3.976, 53.262], [-3.865, 53.289], [-3.832, 53.289], [-3.843, 53.307], [-3.872, 53.326], [-3.879, 53.338], [-3.839, 53.333], [-3.811, 53.317], [-3.789, 53.324], [-3.767, 53.319], [-3.731, 53.292], [-3.717, 53.287], [-3.602, 53.289], [-3.562, 53.294], [-3.371, 53.351], [-3.332, 53.351], [-3.292, 53.341], [-3.271, 53.331], [-3.249, 53.312], [-3.123, 53.262], [-3.087, 53.235], [-3.083, 53.275], [-3.112, 53.302], [-3.134, 53.334], [-3.184, 53.376], [-3.188, 53.393], [-3.177, 53.404], [-3.159, 53.409], [-3.094, 53.417], [-3.058, 53.436], [-3.037, 53.434], [-3.011, 53.417], [-2.954, 53.324], [-2.936, 53.309], [-2.882, 53.289], [-2.849, 53.289], [-2.846, 53.3], [-2.839, 53.302], [-2.788, 53.297], [-2.749, 53.309], [-2.752, 53.331], [-2.734, 53.344], [-2.716, 53.343], [-2.698, 53.351], [-2.713, 53.353], [-2.763, 53.344], [-2.774, 53.341], [-2.781, 53.326], [-2.799, 53.321], [-2.842, 53.324], [-2.885, 53.334], [-2.925, 53.349], [-2.957, 53.37], [-2.979, 53.393], [-3.098, 53.544], [-3.101, 53.559], [-3.087, 53.588], [-3.022, 53.653], [-2.95, 53.707], [-2.911, 53.724], [-2.9, 53.736], [-2.986, 53.736], [-3.022, 53.746], [-3.047, 53.77], [-3.055, 53.804], [-3.044, 53.878], [-3.058, 53.907], [-3.04, 53.924], [-3.019, 53.932], [-2.911, 53.954], [-2.889, 53.946], [-2.875, 53.962], [-2.857, 53.967], [-2.871, 53.979], [-2.835, 54], [-2.831, 54.016], [-2.846, 54.008], [-2.896, 54.003], [-2.918, 54.027], [-2.918, 54.035], [-2.893, 54.05], [-2.86, 54.081], [-2.828, 54.089], [-2.813, 54.099], [-2.795, 54.125], [-2.813, 54.14], [-2.853, 54.194], [-2.831, 54.199], [-2.81, 54.212], [-2.795, 54.229], [-2.795, 54.249], [-2.803, 54.249], [-2.806, 54.234], [-2.821, 54.222], [-2.903, 54.187], [-2.921, 54.162], [-2.939, 54.155], [-2.983, 54.153], [-2.997, 54.16], [-3.019, 54.19], [-3.008, 54.201], [-3.015, 54.212], [-3.037, 54.226], [-3.047, 54.222], [-3.047, 54.194], [-3.062, 54.162], [-3.119, 54.109], [-3.145, 54.101], [-3.145, 54.064], [-3.181, 54.092], [-3.22, 54.101], [-3.242, 54.113], [-3.231, 54.145], [-3.235, 54.16], [-3.249, 54.167], [-3.249, 54.173], [-3.217, 54.18], [-3.206, 54.209], [-3.206, 54.263], [-3.224, 54.258], [-3.242, 54.222], [-3.231, 54.202], [-3.245, 54.197], [-3.271, 54.199], [-3.307, 54.192], [-3.328, 54.206], [-3.407, 54.278], [-3.415, 54.293], [-3.404, 54.319], [-3.415, 54.346], [-3.44, 54.352], [-3.476, 54.393], [-3.591, 54.483], [-3.609, 54.488], [-3.634, 54.513], [-3.613, 54.53], [-3.591, 54.565], [-3.562, 54.643], [-3.508, 54.722], [-3.469, 54.736], [-3.44, 54.761], [-3.433, 54.78], [-3.44, 54.798], [-3.389, 54.883], [-3.364, 54.9], [-3.346, 54.903], [-3.307, 54.886], [-3.256, 54.9], [-3.267, 54.906], [-3.317, 54.92], [-3.278, 54.943], [-3.213, 54.954], [-3.181, 54.94], [-3.123, 54.933], [-3.04, 54.947], [-3.022, 54.954], [-3.091, 54.954], [-3.091, 54.962], [-3.04, 54.972], [-3.022, 54.969], [-3.022, 54.976], [-3.051, 54.982], [-3.134, 54.969], [-3.454, 54.982], [-3.501, 54.992], [-3.515, 54.989], [-3.508, 54.982], [-3.526, 54.977], [-3.569, 54.996], [-3.584, 54.969], [-3.569, 54.937], [-3.569, 54.9], [-3.58, 54.884], [-3.598, 54.878], [-3.717, 54.881], [-3.739, 54.859], [-3.811, 54.866], [-3.803, 54.859], [-3.821, 54.856], [-3.832, 54.866], [-3.821, 54.879], [-3.811, 54.873], [-3.818, 54.886], [-3.843, 54.866], [-3.836, 54.852], [-3.857, 54.844], [-3.825, 54.825], [-3.832, 54.82], [-3.886, 54.807], [-3.965, 54.771], [-4.012, 54.768], [-4.045, 54.77], [-4.045, 54.776], [-4.052, 54.778], [-4.048, 54.824], [-4.063, 54.827], [-4.063, 54.832], [-4.091, 54.81], [-4.095, 54.793], [-4.084, 54.776], [-4.124, 54.773], [-4.174, 54.792], [-4.21, 54.827], [-4.199, 54.866], [-4.239, 54.842], [-4.271, 54.839], [-4.358, 54.866], [-4.387, 54.905], [-4.405, 54.908], [-4.426, 54.869], [-4.405, 54.825], [-4.358, 54.817], [-4.343, 54.795], [-4.358, 54.771], [-4.343, 54.756], [-4.358, 54.743], [-4.347, 54.702], [-4.372, 54.682], [-4.383, 54.68], [-4.426, 54.687], [-4.462, 54.702], [-4.498, 54.7], [-4.563, 54.756], [-4.595, 54.775], [-4.714, 54.819], [-4.761, 54.825], [-4.783, 54.834], [-4.801, 54.861], [-4.822, 54.866], [-4.858, 54.866], [-4.883, 54.861], [-4.927, 54.837], [-4.955, 54.81], [-4.955, 54.798], [-4.948, 54.778], [-4.93, 54.763], [-4.894, 54.704], [-4.869, 54.69], [-4.873, 54.65], [-4.858, 54.633], [-4.945, 54.653], [-4.955, 54.66], [-4.959, 54.692], [-4.948, 54.702], [-4.959, 54.714], [-4.955, 54.729], [-4.973, 54.729], [-4.988, 54.736], [-5.002, 54.771], [-5.035, 54.783], [-5.128, 54.849], [-5.157, 54.879], [-5.175, 54.915], [-5.182, 54.954], [-5.171, 55.009], [-5.157, 55.016], [-5.125, 55.016], [-5.114, 55.031], [-5.063, 54.976], [-5.067, 54.94], [-5.049, 54.92], [-5.031, 54.911], [-5.013, 54.91], [-4.995, 54.92], [-4.988, 54.935], [-5.031, 54.986], [-5.049, 55.026], [-5.049, 55.055], [-5.02, 55.102], [-5.009, 55.141], [-4.948, 55.168], [-4.883, 55.219], [-4.869, 55.222], [-4.865, 55.241], [-4.837, 55.285], [-4.84, 55.315], [-4.833, 55.332], [-4.801, 55.355], [-4.772, 55.369], [-4.75, 55.415], [-4.718, 55.43], [-4.649, 55.448], [-4.628, 55.469], [-4.617, 55.496], [-4.628, 55.519], [-4.649, 55.538], [-4.685, 55.545], [-4.667, 55.563], [-4.671, 55.585], [-4.693, 55.605], [-4.721, 55.619], [-4.775, 55.632], [-4.819, 55.637], [-4.811, 55.654], [-4.901, 55.692], [-4.919, 55.708], [-4.876, 55.735], [-4.862, 55.757], [-4.865, 55.791], [-4.883, 55.822], [-4.894, 55.892], [-4.887, 55.919], [-4.873, 55.936], [-4.851, 55.948], [-4.801, 55.958], [-4.721, 55.94], [-4.693, 55.941], [-4.671, 55.933], [-4.505, 55.919], [-4.48, 55.928], [-4.631, 55.946], [-4.675, 55.962], [-4.725, 55.999], [-4.765, 56.007], [-4.783, 56.017], [-4.811, 56.044], [-4.826, 56.078], [-4.84, 56.08], [-4.844, 56.063], [-4.837, 56.051], [-4.79, 56.011], [-4.779, 55.992], [-4.786, 55.984], [-4.804, 55.982], [-4.829, 55.982], [-4.851, 55.989], [-4.865, 56.021], [-4.865, 56.066], [-4.826, 56.124], [-4.754, 56.188], [-4.754, 56.207], [-4.779, 56.191], [-4.851, 56.112], [-4.873, 56.112], [-4.88, 56.12], [-4.88, 56.151], [-4.894, 56.174], [-4.909, 56.178], [-4.919, 56.168], [-4.894, 56.115], [-4.887, 56.08], [-4.891, 56.065], [-4.905, 56.055], [-4.894, 55.99], [-4.905, 55.985], [-4.955, 55.997], [-4.955, 55.99], [-4.93, 55.982], [-4.912, 55.962], [-4.916, 55.948], [-4.948, 55.921], [-4.959, 55.891], [-4.984, 55.871], [-5.027, 55.874], [-5.042, 55.884], [-5.071, 55.958], [-5.11, 55.989], [-5.125, 56.011], [-5.139, 56.002], [-5.085, 55.931], [-5.078, 55.911], [-5.085, 55.901], [-5.107, 55.904], [-5.171, 55.936], [-5.182, 55.948], [-5.182, 55.97], [-5.2, 55.948], [-5.211, 55.918], [-5.243, 55.892], [-5.218, 55.865], [-5.2, 55.832], [-5.218, 55.832], [-5.297, 55.852], [-5.308, 55.86], [-5.312, 55.886], [-5.333, 55.896], [-5.341, 55.913], [-5.337, 55.94], [-5.323, 55.958], [-5.337, 55.997], [-5.312, 56.012], [-5.204, 56.119], [-5.146, 56.134], [-5.103, 56.151], [-5.042, 56.217], [-4.973, 56.237], [-4.941, 56.252], [-4.919, 56.277], [-4.973, 56.249], [-4.991, 56.244], [-5.031, 56.242], [-5.063, 56.228], [-5.099, 56.181], [-5.229, 56.129], [-5.312, 56.058], [-5.344, 56.051], [-5.355, 56.019], [-5.369, 56.009], [-5.391, 56.006], [-5.434, 56.011], [-5.434, 56.024], [-5.438, 56.029], [-5.445, 56.028], [-5.456, 55.955], [-5.431, 55.948], [-5.413, 55.899], [-5.402, 55.892], [-5.405, 55.881], [-5.395, 55.874], [-5.405, 55.865], [-5.351, 55.832], [-5.326, 55.808], [-5.319, 55.783], [-5.337, 55.762], [-5.387, 55.751], [-5.445, 55.712], [-5.47, 55.654], [-5.492, 55.644], [-5.481, 55.632], [-5.485, 55.61], [-5.463, 55.602], [-5.456, 55.592], [-5.459, 55.578], [-5.488, 55.568], [-5.481, 55.55], [-5.51, 55.518], [-5.51, 55.484], [-5.524, 55.482], [-5.56, 55.435], [-5.585, 55.428], [-5.585, 55.421], [-5.571, 55.423], [-5.553, 55.415], [-5.528, 55.381], [-5.513, 55.374], [-5.557, 55.332], [-5.593, 55.313], [-5.618, 55.307], [-5.639, 55.303], [-5.683, 55.312], [-5.726, 55.296], [-5.773, 55.301], [-5.783, 55.313], [-5.798, 55.379], [-5.791, 55.399], [-5.762, 55.411], [-5.715, 55.448], [-5.722, 55.514], [-5.708, 55.543], [-5.722, 55.565], [-5.672, 55.641], [-5.668, 55.661], [-5.683, 55.675], [-5.625, 55.7], [-5.6, 55.742], [-5.582, 55.757], [-5.539, 55.771], [-5.506, 55.789], [-5.474, 55.816], [-5.456, 55.845], [-5.553, 55.784], [-5.6, 55.764], [-5.614, 55.764], [-5.607, 55.778], [-5.647, 55.788], [-5.661, 55.798], [-5.668, 55.838], [-5.675, 55.845], [-5.625, 55.889], [-5.618, 55.903], [-5.571, 55.935], [-5.672, 55.887], [-5.683, 55.887], [-5.697, 55.916], [-5.585, 56.012], [-5.582, 56.029], [-5.571, 56.038], [-5.585, 56.041], [-5.625, 56.024], [-5.632, 56.006], [-5.675, 55.977], [-5.675, 55.955], [-5.693, 55.935], [-5.704, 55.936], [-5.708, 55.943], [-5.697, 55.982], [-5.661, 56.022], [-5.585, 56.085], [-5.578, 56.097], [-5.564, 56.098], [-5.531, 56.087], [-5.56, 56.131], [-5.51, 56.188], [-5.539, 56.183], [-5.582, 56.151], [-5.607, 56.141], [-5.585, 56.181], [-5.549, 56.217], [-5.56, 56.23], [-5.546, 56.24], [-5.495, 56.254], [-5.492, 56.261], [-5.513, 56.271], [-5.564, 56.261], [-5.582, 56.249], [-5.593, 56.25], [-5.596, 56.271], [-5.564, 56.342], [-5.542, 56.353], [-5.524, 56.347], [-5.499, 56.348], [-5.449, 56.36], [-5.449, 56.365], [-5.474, 56.365], [-5.517, 56.357], [-5.539, 56.36], [-5.51, 56.401], [-5.477, 56.413], [-5.481, 56.421], [-5.456, 56.441], [-5.423, 56.45], [-5.323, 56.455], [-5.243, 56.443], [-5.207, 56.446], [-5.117, 56.507], [-5.085, 56.549], [-5.063, 56.565], [-5.085, 56.558], [-5.125, 56.51], [-5.168, 56.49], [-5.2, 56.462], [-5.243, 56.46], [-5.351, 56.473], [-5.377, 56.458], [-5.395, 56.465], [-5.409, 56.504], [-5.423, 56.5], [-5.456, 56.47], [-5.47, 56.475], [-5.427, 56.538], [-5.405, 56.524], [-5.355, 56.519], [-5.265, 56.551], [-5.243, 56.565], [-5.276, 56.554], [-5.312, 56.553], [-5.359, 56.532], [-5.373, 56.531], [-5.402, 56.544], [-5.413, 56.544], [-5.413, 56.553], [-5.391, 56.566], [-5.391, 56.575], [-5.362, 56.607], [-5.312, 56.634], [-5.297, 56.647], [-5.319, 56.654], [-5.319, 56.661], [-5.287, 56.674], [-5.247, 56.674], [-5.218, 56.689], [-5.197, 56.689], [-5.153, 56.681], [-5.132, 56.684], [-5.092, 56.7], [-5.013, 56.71], [-4.995, 56.716], [-5.161, 56.696], [-5.24, 56.716], [-5.229, 56.737], [-5.153, 56.782], [-5.121, 56.818], [-5.179, 56.789], [-5.193, 56.774], [-5.233, 56.76], [-5.254, 56.722], [-5.269, 56.713], [-5.308, 56.706], [-5.319, 56.698], [-5.341, 56.693], [-5.387, 56.656], [-5.434, 56.642], [-5.449, 56.625], [-5.492, 56.607], [-5.6, 56.529], [-5.675, 56.497], [-5.693, 56.514], [-5.74, 56.524], [-5.769, 56.538], [-5.747, 56.571], [-5.758, 56.571], [-5.794, 56.543], [-5.855, 56.551], [-6.003, 56.619], [-6.01, 56.627], [-6.007, 56.642], [-5.999, 56.651], [-5.935, 56.654], [-5.899, 56.651], [-5.866, 56.642], [-5.837, 56.627], [-5.83, 56.634], [-5.866, 56.651], [-5.866, 56.661], [-5.758, 56.701], [-5.737, 56.703], [-5.647, 56.681], [-5.593, 56.683], [-5.542, 56.696], [-5.657, 56.691], [-5.708, 56.708], [-5.751, 56.715], [-5.859, 56.681], [-5.895, 56.674], [-5.956, 56.689], [-6.025, 56.686], [-6.1, 56.696], [-6.125, 56.696], [-6.161, 56.678], [-6.208, 56.688], [-6.23, 56.701], [-6.237, 56.72], [-6.233, 56.728], [-6.215, 56.73], [-6.179, 56.755], [-6.028, 56.764], [-5.981, 56.782], [-5.949, 56.782], [-5.913, 56.764], [-5.852, 56.747], [-5.859, 56.769], [-5.87, 56.776], [-5.888, 56.777], [-5.888, 56.784], [-5.863, 56.786], [-5.837, 56.777], [-5.823, 56.787], [-5.801, 56.792], [-5.758, 56.784], [-5.83, 56.806], [-5.852, 56.818], [-5.852, 56.83], [-5.837, 56.836], [-5.733, 56.845], [-5.693, 56.855], [-5.661, 56.874], [-5.672, 56.877], [-5.693, 56.875], [-5.708, 56.87], [-5.726, 56.853], [-5.783, 56.86], [-5.776, 56.87], [-5.737, 56.894], [-5.78, 56.899], [-5.873, 56.887], [-5.92, 56.894], [-5.852, 56.901], [-5.852, 56.907], [-5.881, 56.922], [-5.863, 56.934], [-5.83, 56.997], [-5.816, 57.01], [-5.755, 57.027], [-5.729, 57.024], [-5.675, 56.983], [-5.625, 56.977], [-5.571, 56.983], [-5.524, 56.997], [-5.524, 57.004], [-5.571, 56.993], [-5.585, 56.997], [-5.607, 56.988], [-5.629, 56.992], [-5.686, 57.01], [-5.679, 57.036], [-5.701, 57.044], [-5.744, 57.037], [-5.791, 57.059], [-5.776, 57.076], [-5.715, 57.12], [-5.675, 57.118], [-5.647, 57.13], [-5.557, 57.1], [-5.459, 57.1], [-5.449, 57.11], [-5.402, 57.107], [-5.402, 57.113], [-5.42, 57.12], [-5.542, 57.107], [-5.585, 57.134], [-5.668, 57.147], [-5.683, 57.157], [-5.675, 57.176], [-5.625, 57.216], [-5.643, 57.233], [-5.621, 57.252], [-5.578, 57.267], [-5.542, 57.27], [-5.51, 57.257], [-5.481, 57.237], [-5.445, 57.223], [-5.405, 57.23], [-5.405, 57.237], [-5.449, 57.242], [-5.459, 57.247], [-5.474, 57.262], [-5.503, 57.277], [-5.488, 57.292], [-5.441, 57.313], [-5.441, 57.319], [-5.467, 57.324], [-5.506, 57.297], [-5.524, 57.296], [-5.578, 57.277], [-5.657, 57.291], [-5.722, 57.284], [-5.729, 57.297], [-5.701, 57.333], [-5.654, 57.355], [-5.636, 57.34], [-5.614, 57.341], [-5.503, 57.372], [-5.456, 57.394], [-5.449, 57.422], [-5.467, 57.424], [-5.539, 57.373], [-5.564, 57.363], [-5.639, 57.373], [-5.607, 57.389], [-5.618, 57.417], [-5.625, 57.417], [-5.708, 57.36], [-5.783, 57.348], [-5.809, 57.355], [-5.827, 57.394], [-5.812, 57.399], [-5.827, 57.416], [-5.827, 57.429], [-5.812, 57.443], [-5.859, 57.453], [-5.873, 57.493], [-5.852, 57.524], [-5.848, 57.559], [-5.83, 57.559], [-5.837, 57.579], [-5.823, 57.583], [-5.787, 57.576], [-5.733, 57.546], [-5.715, 57.539], [-5.708, 57.542], [-5.683, 57.524], [-5.65, 57.512], [-5.639, 57.512], [-5.654, 57.532], [-5.582, 57.539], [-5.539, 57.534], [-5.517, 57.535], [-5.513, 57.542], [-5.542, 57.556], [-5.589, 57.561], [-5.632, 57.557], [-5.661, 57.544], [-5.693, 57.566], [-5.683, 57.579], [-5.715, 57.583], [-5.762, 57.633], [-5.805, 57.642], [-5.812, 57.655], [-5.805, 57.667], [-5.783, 57.679], [-5.791, 57.696], [-5.755, 57.708], [-5.733, 57.708], [-5.704, 57.691], [-5.693, 57.691], [-5.675, 57.709], [-5.686, 57.711], [-5.708, 57.73], [-5.805, 57.743], [-5.801, 57.801], [-5.812, 57.833], [-5.801, 57.853], [-5.776, 57.868], [-5.751, 57.873], [-5.697, 57.87], [-5.675, 57.86], [-5.675, 57.828], [-5.661, 57.792], [-5.636, 57.774], [-5.607, 57.77], [-5.625, 57.792], [-5.585, 57.785], [-5.593, 57.804], [-5.585, 57.831], [-5.6, 57.846], [-5.65, 57.878], [-5.639, 57.888], [-5.654, 57.895], [-5.614, 57.929], [-5.589, 57.915], [-5.549, 57.915], [-5.557, 57.888], [-5.528, 57.868], [-5.488, 57.856], [-5.456, 57.853], [-5.459, 57.86], [-5.438, 57.898], [-5.427, 57.909], [-5.416, 57.909], [-5.355, 57.892], [-5.326, 57.873], [-5.294, 57.861], [-5.222, 57.846], [-5.236, 57.861], [-5.276, 57.875], [-5.319, 57.898], [-5.395, 57.919], [-5.395, 57.936], [-5.373, 57.931], [-5.366, 57.942], [-5.348, 57.937], [-5.319, 57.915], [-5.297, 57.909], [-5.258, 57.915], [-5.2, 57.898], [-5.161, 57.878], [-5.121, 57.868], [-5.092, 57.841], [-5.071, 57.833], [-5.096, 57.871], [-5.197, 57.917], [-5.222, 57.922], [-5.222, 57.929], [-5.2, 57.929], [-5.193, 57.936], [-5.204, 57.961], [-5.294, 57.981], [-5.333, 58.008], [-5.359, 58.012], [-5.351, 58.017], [-5.366, 58.029], [-5.427, 58.032], [-5.413, 58.052], [-5.449, 58.084], [-5.427, 58.098], [-5.391, 58.093], [-5.366, 58.066], [-5.344, 58.076], [-5.301, 58.071], [-5.276, 58.086], [-5.283, 58.086], [-5.279, 58.106], [-5.29, 58.121], [-5.276, 58.121], [-5.276, 58.128], [-5.297, 58.135], [-5.243, 58.148], [-5.243, 58.155], [-5.276, 58.155], [-5.305, 58.162], [-5.297, 58.169], [-5.33, 58.182], [-5.323, 58.202], [-5.348, 58.208], [-5.395, 58.245], [-5.391, 58.262], [-5.377, 58.265], [-5.312, 58.243], [-5.294, 58.241], [-5.215, 58.262], [-5.193, 58.26], [-5.171, 58.251], [-5.153, 58.265], [-5.128, 58.272], [-5.067, 58.251], [-5.002, 58.251], [-4.934, 58.223], [-4.981, 58.251], [-4.927, 58.265], [-5.009, 58.272], [-5.031, 58.26], [-5.049, 58.26], [-5.096, 58.277], [-5.157, 58.324], [-5.171, 58.346], [-5.171, 58.354], [-5.153, 58.354], [-5.164, 58.365], [-5.164, 58.375], [-5.146, 58.395], [-5.143, 58.415], [-5.056, 58.386], [-5.017, 58.388], [-5.045, 58.4], [-5.056, 58.422], [-5.085, 58.414], [-5.099, 58.415], [-5.099, 58.422], [-5.085, 58.422], [-5.085, 58.429], [-5.107, 58.437], [-5.049, 58.454], [-4.995, 58.437], [-5.107, 58.488], [-5.107, 58.506], [-5.103, 58.515], [-5.027, 58.544], [-5.017, 58.559], [-5.024, 58.559], [-5.006, 58.618], [-4.988, 58.628], [-4.858, 58.613], [-4.837, 58.604], [-4.819, 58.592], [-4.804, 58.559], [-4.819, 58.525], [-4.801, 58.532], [-4.793, 58.542], [-4.786, 58.577], [-4.772, 58.591], [-4.775, 58.608], [-4.729, 58.577], [-4.66, 58.555], [-4.667, 58.532], [-4.714, 58.506], [-4.761, 58.447], [-4.743, 58.449], [-4.675, 58.488], [-4.667, 58.503], [-4.613, 58.525], [-4.585, 58.574], [-4.559, 58.581], [-4.516, 58.576], [-4.426, 58.547], [-4.426, 58.525], [-4.451, 58.51], [-4.495, 58.449], [-4.477, 58.454], [-4.433, 58.484], [-4.433, 58.496], [-4.383, 58.525], [-4.343, 58.538], [-4.307, 58.547], [-4.286, 58.544], [-4.257, 58.528], [-4.235, 58.525], [-4.25, 58.532], [-4.221, 58.552], [-4.167, 58.549], [-4.16, 58.562], [-4.149, 58.565], [-4.081, 58.562], [-4.07, 58.565], [-4.048, 58.589], [-4.03, 58.596], [-4.005, 58.571], [-3.98, 58.572], [-3.897, 58.565], [-3.811, 58.572], [-3.699, 58.611], [-3.659, 58.621], [-3.598, 58.628], [-3.544, 58.621], [-3.555, 58.614], [-3.533, 58.603], [-3.505, 58.603], [-3.447, 58.614], [-3.393, 58.601], [-3.364, 58.601], [-3.35, 58.621], [-3.386, 58.631], [-3.415, 58.655], [-3.375, 58.677], [-3.357, 58.675], [-3.353, 58.66], [-3.339, 58.648], [-3.31, 58.648], [-3.206, 58.662], [-3.152, 58.641], [-3.055, 58.648], [-3.019, 58.64], [-3.047, 58.587], [-3.083, 58.552], [-3.112, 58.538], [-3.13, 58.513], [-3.13, 58.496], [-3.119, 58.484], [-3.098, 58.478], [-3.065, 58.483], [-3.055, 58.466], [-3.065, 58.451], [-3.076, 58.449], [-3.087, 58.414], [-3.13, 58.37], [-3.22, 58.305], [-3.263, 58.292], [-3.35, 58.277], [-3.386, 58.265], [-3.44, 58.236], [-3.472, 58.194], [-3.515, 58.169], [-3.735, 58.072], [-3.811, 58.052], [-3.829, 58.042], [-3.85, 58.003], [-3.886, 57.991], [-3.919, 57.988], [-3.991, 57.961], [-4.001, 57.936], [-4.023, 57.942], [-4.016, 57.949], [-4.055, 57.954], [-4.084, 57.964], [-4.088, 57.953], [-4.077, 57.942], [-4.016, 57.932], [-3.987, 57.909], [-4.009, 57.89], [-4.009, 57.868], [-4.07, 57.875], [-4.106, 57.853], [-4.135, 57.855], [-4.217, 57.875], [-4.3, 57.863], [-4.322, 57.871], [-4.372, 57.905], [-4.394, 57.909], [-4.34, 57.866], [-4.307, 57.851], [-4.268, 57.846], [-4.228, 57.858], [-4.207, 57.86], [-4.149, 57.829], [-4.135, 57.831], [-4.138, 57.846], [-4.073, 57.823], [-4.041, 57.817], [-3.983, 57.843], [-3.951, 57.838], [-3.933, 57.826], [-3.947, 57.812], [-3.915, 57.807], [-3.879, 57.817], [-3.843, 57.834], [-3.8, 57.866], [-3.785, 57.865], [-3.778, 57.856], [-3.789, 57.831], [-3.987, 57.696], [-4.023, 57.698], [-4.03, 57.708], [-4.016, 57.723], [-4.045, 57.738], [-4.077, 57.73], [-4.167, 57.689], [-4.261, 57.679], [-4.293, 57.681], [-4.307, 57.655], [-4.34, 57.645], [-4.405, 57.61], [-4.43, 57.578], [-4.423, 57.576], [-4.379, 57.589], [-4.329, 57.627], [-4.282, 57.642], [-4.246, 57.664], [-4.203, 57.676], [-4.181, 57.672], [-4.171, 57.664], [-4.12, 57.657], [-4.095, 57.659], [-4.07, 57.672], [-4.009, 57.689], [-4.005, 57.676], [-4.027, 57.655], [-4.055, 57.635], [-4.084, 57.623], [-4.12, 57.593], [-4.106, 57.579], [-4.153, 57.578], [-4.171, 57.571], [-4.189, 57.559], [-4.178, 57.549], [-4.264, 57.552], [-4.264, 57.544], [-4.235, 57.546], [-4.207, 57.539], [-4.225, 57.515], [-4.25, 57.498], [-4.196, 57.492], [-4.156, 57.508], [-4.149, 57.519], [-4.117, 57.522], [-4.084, 57.544], [-4.034, 57.557], [-4.084, 57.586], [-4.055, 57.584], [-3.965, 57.593], [-3.868, 57.588], [-3.836, 57.593], [-3.685, 57.654], [-3.623, 57.662], [-3.645, 57.642], [-3.634, 57.635], [-3.591, 57.642], [-3.613, 57.669], [-3.573, 57.66], [-3.537, 57.662], [-3.505, 57.679], [-3.497, 57.691], [-3.501, 57.703], [-3.49, 57.713], [-3.461, 57.709], [-3.407, 57.723], [-3.285, 57.721], [-3.209, 57.694], [-3.08, 57.669], [-3.037, 57.669], [-2.993, 57.676], [-2.918, 57.703], [-2.759, 57.703], [-2.731, 57.689], [-2.713, 57.694], [-2.695, 57.689], [-2.659, 57.698], [-2.572, 57.681], [-2.543, 57.682], [-2.525, 57.669], [-2.497, 57.682], [-2.432, 57.669], [-2.425, 57.676], [-2.399, 57.669], [-2.36, 57.682], [-2.327, 57.674], [-2.306, 57.694], [-2.295, 57.696], [-2.273, 57.694], [-2.209, 57.676], [-2.183, 57.679], [-2.126, 57.703], [-1.996, 57.703], [-1.993, 57.691], [-1.975, 57.676], [-1.96, 57.674], [-1.946, 57.682], [-1.931, 57.682], [-1.913, 57.665], [-1.831, 57.613], [-1.813, 57.561], [-1.795, 57.544], [-1.802, 57.525], [-1.762, 57.498], [-1.777, 57.497], [-1.784, 57.488], [-1.78, 57.48], [-1.759, 57.473], [-1.831, 57.426], [-1.849, 57.409], [-1.849, 57.394], [-1.953, 57.341], [-1.982, 57.319], [-2.043, 57.226], [-2.075, 57.154], [-2.072, 57.135], [-2.054, 57.127], [-2.05, 57.118], [-2.187, 56.985], [-2.201, 56.95], [-2.187, 56.928], [-2.191, 56.909], [-2.209, 56.895], [-2.219, 56.872], [-2.27, 56.847], [-2.335, 56.791], [-2.392, 56.771], [-2.425, 56.752], [-2.439, 56.735], [-2.453, 56.691], [-2.479, 56.669], [-2.486, 56.654], [-2.486, 56.62], [-2.504, 56.608], [-2.515, 56.592], [-2.529, 56.581], [-2.623, 56.543], [-2.641, 56.522], [-2.698, 56.504], [-2.727, 56.47], [-2.738, 56.467], [-2.763, 56.475], [-3.062, 56.451], [-3.134, 56.428], [-3.238, 56.367], [-3.281, 56.359], [-3.325, 56.365], [-3.292, 56.353], [-3.231, 56.357], [-3.188, 56.37], [-3.148, 56.375], [-2.95, 56.431], [-2.932, 56.448], [-2.911, 56.456], [-2.885, 56.458], [-2.849, 56.441], [-2.813, 56.441], [-2.803, 56.428], [-2.81, 56.391], [-2.821, 56.375], [-2.839, 56.365], [-2.81, 56.364], [-2.803, 56.345], [-2.774, 56.34], [-2.77, 56.333], [-2.677, 56.328], [-2.655, 56.321], [-2.576, 56.284], [-2.576, 56.277], [-2.63, 56.249], [-2.648, 56.228], [-2.72, 56.217], [-2.785, 56.191], [-2.806, 56.188], [-2.831, 56.191], [-2.893, 56.208], [-2.939, 56.21], [-2.965, 56.205], [-2.983, 56.19], [-3.037, 56.168], [-3.091, 56.132], [-3.127, 56.122], [-3.152, 56.078], [-3.163, 56.065], [-3.177, 56.058], [-3.249, 56.056], [-3.343, 56.028], [-3.422, 56.024], [-3.584, 56.051], [-3.67, 56.051], [-3.71, 56.058], [-3.746, 56.071], [-3.818, 56.112], [-3.836, 56.112], [-3.836, 56.107], [-3.76, 56.073], [-3.721, 56.031], [-3.688, 56.031], [-3.667, 56.012], [-3.577, 56.017], [-3.404, 55.99], [-3.332, 55.994], [-3.303, 55.977], [-3.123, 55.97], [-3.098, 55.952], [-3.08, 55.946], [-3.015, 55.95], [-2.939, 55.97], [-2.918, 55.98], [-2.882, 56.009], [-2.857, 56.011], [-2.871, 56.031], [-2.824, 56.06], [-2.803, 56.065], [-2.633, 56.058], [-2.615, 56.053], [-2.587, 56.031], [-2.569, 56.024], [-2.583, 56.002], [-2.543, 56.002], [-2.529, 55.997], [-2.507, 56.011], [-2.453, 55.985], [-2.414, 55.979], [-2.353, 55.948], [-2.309, 55.935], [-2.137, 55.914], [-2.129, 55.889], [-2.101, 55.882], [-2.079, 55.869], [-2.011, 55.791], [-1.877, 55.695], [-1.852, 55.659], [-1.831, 55.651], [-1.823, 55.636], [-1.805, 55.634], [-1.795, 55.644], [-1.78, 55.646], [-1.755, 55.634], [-1.748, 55.619], [-1.769, 55.619], [-1.769, 55.612], [-1.755, 55.609], [-1.723, 55.614], [-1.697, 55.612], [-1.633, 55.585], [-1.636, 55.565], [-1.618, 55.55], [-1.633, 55.545], [-1.633, 55.538], [-1.604, 55.524], [-1.611, 55.507], [-1.589, 55.496], [-1.586, 55.484], [-1.582, 55.406], [-1.589, 55.376], [-1.582, 55.355], [-1.557, 55.328], [-1.557, 55.307], [-1.571, 55.286], [-1.557, 55.256], [-1.521, 55.229], [-1.528, 55.217], [-1.507, 55.195], [-1.521, 55.168], [-1.517, 55.158], [-1.496, 55.134], [-1.481, 55.085], [-1.46, 55.079], [-1.413, 55.001], [-1.37, 54.976], [-1.363, 54.965], [-1.355, 54.905], [-1.298, 54.78], [-1.276, 54.748], [-1.226, 54.716], [-1.172, 54.702], [-1.172, 54.694], [-1.193, 54.694], [-1.193, 54.689], [-1.165, 54.653], [-1.183, 54.64], [-1.208, 54.633], [-1.201, 54.621], [-1.183, 54.619], [-1.172, 54.626], [-1.165, 54.613], [-1.154, 54.613], [-1.139, 54.646], [-1.103, 54.624], [-1.042, 54.618], [-0.992, 54.597], [-0.787, 54.56], [-0.563, 54.477], [-0.535, 54.461], [-0.524, 54.447], [-0.52, 54.42], [-0.463, 54.39], [-0.448, 54.373], [-0.419, 54.324], [-0.416, 54.297], [-0.401, 54.285], [-0.391, 54.283], [-0.398, 54.27], [-0.369, 54.248], [-0.362, 54.243], [-0.322, 54.236], [-0.275, 54.217], [-0.261, 54.177], [-0.232, 54.16], [-0.11, 54.131], [-0.074, 54.113], [-0.164, 54.084], [-0.196, 54.062], [-0.218, 54.023], [-0.196, 53.995], [-0.149, 53.9], [0.135, 53.643], [0.149, 53.61], [0.139, 53.577], [0.11, 53.562], [0.131, 53.594], [0.135, 53.611], [0.056, 53.642], [0.034, 53.647], [-0.023, 53.628], [-0.045, 53.626], [-0.07, 53.626], [-0.113, 53.638], [-0.131, 53.647], [-0.225, 53.719], [-0.261, 53.736], [-0.304, 53.74], [-0.43, 53.714], [-0.509, 53.714], [-0.545, 53.709], [-0.578, 53.728], [-0.635, 53.733], [-0.725, 53.701], [-0.693, 53.687], [-0.679, 53.702], [-0.65, 53.711], [-0.621, 53.713], [-0.596, 53.707], [-0.531, 53.677], [-0.488, 53.694], [-0.308, 53.714], [-0.279, 53.707], [-0.189, 53.62], [-0.146, 53.606], [-0.095, 53.577], [-0.045, 53.571], [0.002, 53.535], [0.095, 53.488], [0.153, 53.476], [0.167, 53.464], [0.175, 53.437], [0.218, 53.419], [0.211, 53.412], [0.247, 53.392], [0.344, 53.226], [0.358, 53.145], [0.337, 53.093], [0.329, 53.086], [0.283, 53.074], [0.193, 53.02], [0.16, 53.008], [0.081, 52.939], [0.023, 52.912], [0.009, 52.899], [0.009, 52.887], [0.041, 52.885], [0.092, 52.892], [0.106, 52.89], [0.171, 52.861], [0.247, 52.796], [0.265, 52.804], [0.326, 52.802], [0.383, 52.769], [0.38, 52.791], [0.437, 52.841], [0.455, 52.892], [0.484, 52.934], [0.52, 52.956], [0.571, 52.97], [0.625, 52.976], [0.671, 52.975], [0.664, 52.981], [0.686, 52.986], [0.751, 52.975], [0.837, 52.975], [0.877, 52.968], [0.92, 52.954], [0.97, 52.948], [1.013, 52.959], [0.992, 52.968], [0.967, 52.968], [0.967, 52.975], [1.276, 52.929], [1.395, 52.892], [1.643, 52.775], [1.697, 52.731], [1.748, 52.625], [1.741, 52.603], [1.748, 52.588], [1.748, 52.532], [1.769, 52.487], [1.683, 52.325], [1.629, 52.27], [1.633, 52.2], [1.582, 52.081], [1.503, 52.061], [1.489, 52.049], [1.471, 52.056], [1.456, 52.029], [1.345, 51.943], [1.334, 51.94], [1.265, 51.994], [1.237, 52], [1.186, 52.026], [1.157, 52.029], [1.157, 52.022], [1.193, 52], [1.215, 51.992], [1.269, 51.982], [1.276, 51.977], [1.273, 51.956], [1.251, 51.96], [1.204, 51.953], [1.165, 51.967], [1.143, 51.967], [1.067, 51.953], [1.096, 51.946], [1.262, 51.94], [1.283, 51.946], [1.28, 51.928], [1.201, 51.877], [1.229, 51.867], [1.265, 51.864], [1.287, 51.882], [1.287, 51.86], [1.276, 51.845], [1.219, 51.811], [1.168, 51.791], [1.136, 51.782], [1.064, 51.776], [1.046, 51.777], [1.039, 51.782], [0.988, 51.83], [0.981, 51.843], [0.977, 51.825], [0.963, 51.815], [0.923, 51.803], [0.887, 51.782], [0.88, 51.752], [0.873, 51.747], [0.837, 51.733], [0.79, 51.742], [0.769, 51.74], [0.7, 51.72], [0.751, 51.708], [0.761, 51.693], [0.79, 51.71], [0.851, 51.718], [0.884, 51.727], [0.913, 51.742], [0.931, 51.744], [0.949, 51.725], [0.938, 51.706], [0.952, 51.678], [0.941, 51.673], [0.938, 51.664], [0.934, 51.636], [0.913, 51.624], [0.938, 51.625], [0.952, 51.617], [0.923, 51.588], [0.873, 51.56], [0.815, 51.538], [0.772, 51.527], [0.693, 51.536], [0.646, 51.536], [0.625, 51.522], [0.581, 51.517], [0.571, 51.509], [0.553, 51.517], [0.524, 51.517], [0.455, 51.506], [0.43, 51.467], [0.383, 51.453], [0.448, 51.46], [0.47, 51.48], [0.535, 51.492], [0.697, 51.477], [0.711, 51.47], [0.722, 51.457], [0.722, 51.446], [0.715, 51.441], [0.643, 51.445], [0.61, 51.424], [0.556, 51.413], [0.578, 51.394], [0.585, 51.391], [0.671, 51.391], [0.715, 51.384], [0.7, 51.409], [0.704, 51.419], [0.725, 51.419], [0.74, 51.387], [0.765, 51.364], [0.977, 51.349], [1.1, 51.374], [1.424, 51.392], [1.449, 51.382], [1.435, 51.343], [1.42, 51.33], [1.384, 51.33], [1.377, 51.327], [1.388, 51.288], [1.406, 51.261], [1.413, 51.222], [1.406, 51.183], [1.384, 51.151], [1.355, 51.131], [1.291, 51.117], [1.262, 51.104], [1.229, 51.104], [1.172, 51.077], [1.107, 51.077], [1.085, 51.073], [1.067, 51.065], [1.028, 51.041], [0.967, 50.982], [0.981, 50.918], [0.945, 50.909], [0.801, 50.94], [0.761, 50.931], [0.664, 50.871], [0.625, 50.859], [0.409, 50.83], [0.365, 50.818], [0.344, 50.795], [0.308, 50.781], [0.272, 50.747], [0.232, 50.747], [0.157, 50.761], [0.121, 50.761], [0.077, 50.779], [0.016, 50.785], [-0.175, 50.828], [-0.207, 50.832], [-0.232, 50.822], [-0.268, 50.832], [-0.398, 50.801], [-0.571, 50.801], [-0.733, 50.768], [-0.758, 50.778], [-0.769, 50.774], [-0.772, 50.766], [-0.765, 50.747], [-0.772, 50.737], [-0.79, 50.73], [-0.812, 50.736], [-0.913, 50.778], [-0.905, 50.788], [-0.862, 50.801], [-0.862, 50.808], [-0.905, 50.83], [-0.923, 50.822], [-0.931, 50.823], [-0.92, 50.837], [-0.938, 50.844], [-0.97, 50.847], [-1.021, 50.844], [-1.057, 50.783], [-1.082, 50.781], [-1.103, 50.795], [-1.067, 50.844], [-1.089, 50.85], [-1.165, 50.844], [-1.129, 50.825], [-1.125, 50.818], [-1.125, 50.788], [-1.15, 50.781], [-1.186, 50.793], [-1.201, 50.808], [-1.233, 50.818], [-1.255, 50.832], [-1.301, 50.844], [-1.337, 50.872], [-1.467, 50.918], [-1.467, 50.911], [-1.424, 50.899], [-1.323, 50.825], [-1.316, 50.8], [-1.42, 50.788], [-1.406, 50.781], [-1.406, 50.774], [-1.478, 50.764], [-1.489, 50.758], [-1.525, 50.761], [-1.561, 50.719], [-1.582, 50.722], [-1.604, 50.732], [-1.694, 50.741], [-1.773, 50.72], [-1.856, 50.727], [-1.895, 50.717], [-1.939, 50.692], [-1.949, 50.714], [-1.989, 50.72], [-2.021, 50.72], [-2.039, 50.741], [-2.083, 50.698], [-2.047, 50.707], [-2.036, 50.714], [-2.003, 50.682], [-1.953, 50.676], [-1.946, 50.668], [-1.953, 50.651], [-1.931, 50.644], [-1.967, 50.617], [-1.964, 50.602], [-1.985, 50.597], [-2.083, 50.597], [-2.158, 50.621], [-2.342, 50.634], [-2.378, 50.648], [-2.399, 50.646], [-2.435, 50.638], [-2.461, 50.607], [-2.464, 50.585], [-2.457, 50.575], [-2.432, 50.57], [-2.428, 50.558], [-2.453, 50.528], [-2.461, 50.528], [-2.461, 50.565], [-2.482, 50.59], [-2.695, 50.693], [-2.864, 50.734], [-2.961, 50.724], [-2.997, 50.709], [-3.022, 50.707], [-3.058, 50.714], [-3.127, 50.685], [-3.166, 50.693], [-3.26, 50.675], [-3.296, 50.638], [-3.368, 50.617], [-3.407, 50.621], [-3.422, 50.629], [-3.451, 50.673], [-3.465, 50.678], [-3.469, 50.666], [-3.454, 50.658], [-3.443, 50.624], [-3.433, 50.611], [-3.469, 50.585], [-3.483, 50.568], [-3.505, 50.521], [-3.505, 50.501], [-3.487, 50.459], [-3.533, 50.455], [-3.548, 50.447], [-3.555, 50.432], [-3.548, 50.416], [-3.533, 50.41], [-3.487, 50.411], [-3.487, 50.405], [-3.497, 50.384], [-3.515, 50.379], [-3.526, 50.351], [-3.541, 50.344], [-3.569, 50.356], [-3.577, 50.334], [-3.62, 50.322], [-3.631, 50.312], [-3.649, 50.275], [-3.652, 50.251], [-3.645, 50.226], [-3.659, 50.221], [-3.717, 50.212], [-3.775, 50.222], [-3.789, 50.212], [-3.883, 50.28], [-3.962, 50.322], [-4.005, 50.31], [-4.023, 50.297], [-4.034, 50.295], [-4.055, 50.3], [-4.07, 50.31], [-4.063, 50.322], [-4.109, 50.337], [-4.12, 50.352], [-4.106, 50.371], [-4.142, 50.369], [-4.167, 50.376], [-4.192, 50.418], [-4.16, 50.459], [-4.178, 50.454], [-4.199, 50.459], [-4.203, 50.448], [-4.214, 50.442], [-4.235, 50.438], [-4.235, 50.432], [-4.221, 50.427], [-4.217, 50.416], [-4.228, 50.398], [-4.243, 50.394], [-4.289, 50.398], [-4.271, 50.383], [-4.217, 50.388], [-4.192, 50.378], [-4.228, 50.371], [-4.228, 50.364], [-4.199, 50.364], [-4.207, 50.356], [-4.181, 50.356], [-4.181, 50.351], [-4.199, 50.342], [-4.192, 50.322], [-4.214, 50.324], [-4.235, 50.349], [-4.253, 50.356], [-4.336, 50.371], [-4.383, 50.367], [-4.455, 50.339], [-4.495, 50.329], [-4.66, 50.322], [-4.667, 50.315], [-4.675, 50.315], [-4.685, 50.342], [-4.693, 50.344], [-4.711, 50.335], [-4.754, 50.33], [-4.765, 50.322], [-4.754, 50.31], [-4.754, 50.302], [-4.779, 50.285], [-4.783, 50.271], [-4.775, 50.261], [-4.79, 50.236], [-4.801, 50.229], [-4.851, 50.234], [-4.869, 50.229], [-4.905, 50.209], [-4.948, 50.199], [-5.002, 50.145], [-5.013, 50.156], [-5.02, 50.192], [-5.035, 50.199], [-5.053, 50.195], [-5.053, 50.175], [-5.063, 50.158], [-5.042, 50.145], [-5.06, 50.143], [-5.081, 50.133], [-5.085, 50.109], [-5.125, 50.096], [-5.114, 50.097], [-5.092, 50.089], [-5.071, 50.089], [-5.056, 50.06], [-5.099, 50.015], [-5.128, 50.016], [-5.146, 50.011], [-5.175, 49.988], [-5.189, 49.959], [-5.211, 49.967], [-5.24, 49.988], [-5.251, 49.999], [-5.254, 50.028], [-5.287, 50.067], [-5.305, 50.08], [-5.384, 50.107], [-5.423, 50.112], [-5.474, 50.131], [-5.521, 50.124], [-5.542, 50.114], [-5.535, 50.082], [-5.546, 50.069], [-5.578, 50.055], [-5.618, 50.047], [-5.668, 50.043], [-5.704, 50.052], [-5.715, 50.082], [-5.697, 50.085], [-5.693, 50.096], [-5.701, 50.102], [-5.708, 50.133], [-5.686, 50.161], [-5.51, 50.219], [-5.488, 50.221], [-5.459, 50.2], [-5.438, 50.194], [-5.416, 50.202], [-5.387, 50.241], [-5.351, 50.241], [-5.315, 50.254], [-5.2, 50.33], [-5.15, 50.351], [-5.146, 50.379], [-5.153, 50.4], [-5.143, 50.405], [-5.121, 50.405], [-5.049, 50.428], [-5.038, 50.448], [-5.017, 50.538], [-4.995, 50.548], [-4.973, 50.548], [-4.955, 50.562], [-4.948, 50.562], [-4.941, 50.557], [-4.934, 50.519], [-4.919, 50.528], [-4.901, 50.521], [-4.862, 50.519], [-4.844, 50.514], [-4.855, 50.528], [-4.905, 50.541], [-4.923, 50.555], [-4.916, 50.572], [-4.919, 50.589], [-4.894, 50.585], [-4.822, 50.589], [-4.793, 50.595], [-4.75, 50.644], [-4.75, 50.67], [-4.743, 50.675], [-4.729, 50.673], [-4.657, 50.712], [-4.639, 50.741], [-4.577, 50.774], [-4.549, 50.81], [-4.556, 50.898], [-4.545, 50.94], [-4.523, 50.972], [-4.531, 50.994], [-4.527, 51.014], [-4.437, 51.014], [-4.397, 51.001], [-4.336, 50.997], [-4.318, 51.001], [-4.207, 51.077], [-4.232, 51.127], [-4.257, 51.151], [-4.214, 51.151], [-4.207, 51.163], [-4.217, 51.181], [-4.228, 51.186], [-4.228, 51.193], [-4.153, 51.212], [-3.969, 51.222], [-3.911, 51.234], [-3.818, 51.235], [-3.785, 51.247], [-3.641, 51.227], [-3.559, 51.229], [-3.433, 51.21], [-3.404, 51.191], [-3.386, 51.186], [-3.271, 51.19], [-3.163, 51.207], [-3.098, 51.205], [-3.058, 51.208], [-3.029, 51.22], [-3.022, 51.213], [-3.037, 51.2], [-3.022, 51.193], [-3.001, 51.22], [-3.011, 51.311], [-3.022, 51.323], [-2.993, 51.321], [-2.986, 51.347], [-2.961, 51.374], [-2.975, 51.384], [-2.954, 51.399], [-2.921, 51.394], [-2.817, 51.473], [-2.799, 51.482], [-2.781, 51.489], [-2.716, 51.499], [-2.695, 51.512], [-2.608, 51.607], [-2.579, 51.619], [-2.576, 51.636], [-2.558, 51.659], [-2.464, 51.725], [-2.389, 51.75], [-2.381, 51.762], [-2.385, 51.774], [-2.399, 51.782], [-2.403, 51.764], [-2.421, 51.754], [-2.482, 51.744], [-2.522, 51.706], [-2.583, 51.681]]],
+    [[[-1.082, 50.714], [-1.064, 50.693], [-1.064, 50.685], [-1.075, 50.678], [-1.129, 50.666], [-1.157, 50.651], [-1.165, 50.641], [-1.168, 50.604], [-1.28, 50.582], [-1.316, 50.589], [-1.496, 50.673], [-1.535, 50.67], [-1.568, 50.658], [-1.546, 50.687], [-1.507, 50.709], [-1.42, 50.734], [-1.424, 50.72], [-1.402, 50.722], [-1.319, 50.773], [-1.294, 50.773], [-1.143, 50.734], [-1.111, 50.732], [-1.096, 50.727], [-1.096, 50.714]]],
+    [[[-0.959, 50.808], [-0.956, 50.798], [-0.938, 50.788], [-0.938, 50.781], [-1.021, 50.788], [-1.021, 50.795], [-0.999, 50.801], [-0.974, 50.83], [-0.959, 50.83], [-0.949, 50.823]]],
+    [[[0.913, 51.413], [0.934, 51.397], [0.941, 51.382], [0.938, 51.37], [0.913, 51.364], [0.794, 51.37], [0.758, 51.386], [0.733, 51.413], [0.747, 51.44], [0.754, 51.446], [0.769, 51.448], [0.891, 51.421]]],
+    [[[-4.577, 53.272], [-4.559, 53.253], [-4.563, 53.241], [-4.57, 53.24], [-4.603, 53.253], [-4.631, 53.284], [-4.678, 53.285], [-4.693, 53.309], [-4.667, 53.324], [-4.657, 53.319], [-4.628, 53.321], [-4.603, 53.309], [-4.581, 53.285]]],
+    [[[-4.099, 53.309], [-4.055, 53.309], [-4.045, 53.302], [-4.099, 53.25], [-4.12, 53.241], [-4.145, 53.24], [-4.196, 53.219], [-4.221, 53.201], [-4.221, 53.182], [-4.264, 53.167], [-4.279, 53.155], [-4.343, 53.132], [-4.354, 53.13], [-4.394, 53.138], [-4.408, 53.13], [-4.415, 53.147], [-4.387, 53.182], [-4.397, 53.187], [-4.412, 53.182], [-4.433, 53.164], [-4.448, 53.159], [-4.48, 53.181], [-4.495, 53.181], [-4.498, 53.211], [-4.52, 53.223], [-4.57, 53.275], [-4.559, 53.363], [-4.559, 53.378], [-4.57, 53.393], [-4.426, 53.427], [-4.325, 53.419], [-4.275, 53.402], [-4.268, 53.37], [-4.235, 53.358], [-4.235, 53.339], [-4.214, 53.324], [-4.203, 53.299], [-4.178, 53.297], [-4.142, 53.302], [-4.12, 53.317]]],
+    [[[-6.237, 55.312], [-6.176, 55.303], [-6.172, 55.293], [-6.194, 55.263], [-6.187, 55.285], [-6.212, 55.295], [-6.284, 55.296], [-6.262, 55.308]]],
+    [[[-5.071, 55.509], [-5.092, 55.501], [-5.078, 55.455], [-5.117, 55.44], [-5.164, 55.435], [-5.218, 55.438], [-5.261, 55.447], [-5.344, 55.482], [-5.359, 55.531], [-5.359, 55.538], [-5.344, 55.55], [-5.387, 55.59], [-5.398, 55.614], [-5.395, 55.646], [-5.38, 55.668], [-5.355, 55.69], [-5.323, 55.705], [-5.29, 55.708], [-5.297, 55.724], [-5.261, 55.724], [-5.197, 55.705], [-5.161, 55.676], [-5.125, 55.605], [-5.139, 55.592], [-5.096, 55.567], [-5.092, 55.545], [-5.117, 55.541], [-5.125, 55.536], [-5.121, 55.524]]],
+    [[[-5.031, 55.749], [-5.013, 55.737], [-5.009, 55.729], [-5.017, 55.724], [-5.027, 55.724], [-5.049, 55.749], [-5.114, 55.784], [-5.139, 55.828], [-5.139, 55.842], [-5.182, 55.862], [-5.2, 55.896], [-5.2, 55.911], [-5.168, 55.921], [-5.107, 55.887], [-5.081, 55.879], [-5.074, 55.857], [-5.049, 55.845], [-5.027, 55.82], [-5.013, 55.769]]],
+    [[[-6.032, 55.729], [-6.025, 55.681], [-6.046, 55.675], [-6.057, 55.659], [-6.064, 55.668], [-6.104, 55.641], [-6.133, 55.632], [-6.161, 55.627], [-6.201, 55.631], [-6.215, 55.627], [-6.226, 55.602], [-6.262, 55.583], [-6.287, 55.578], [-6.313, 55.583], [-6.323, 55.605], [-6.32, 55.629], [-6.298, 55.643], [-6.244, 55.659], [-6.277, 55.703], [-6.323, 55.715], [-6.32, 55.734], [-6.251, 55.778], [-6.302, 55.786], [-6.327, 55.783], [-6.349, 55.774], [-6.388, 55.722], [-6.417, 55.71], [-6.464, 55.675], [-6.493, 55.671], [-6.503, 55.681], [-6.503, 55.698], [-6.489, 55.715], [-6.503, 55.724], [-6.449, 55.778], [-6.482, 55.791], [-6.46, 55.803], [-6.446, 55.849], [-6.41, 55.864], [-6.356, 55.877], [-6.331, 55.891], [-6.32, 55.887], [-6.338, 55.845], [-6.323, 55.82], [-6.313, 55.818], [-6.32, 55.845], [-6.298, 55.867], [-6.266, 55.886], [-6.23, 55.898], [-6.205, 55.916], [-6.161, 55.928], [-6.14, 55.941], [-6.129, 55.94], [-6.122, 55.93], [-6.1, 55.801], [-6.079, 55.781], [-6.05, 55.766], [-6.057, 55.742]]],
+    [[[-6.205, 56.104], [-6.197, 56.107], [-6.183, 56.102], [-6.176, 56.107], [-6.183, 56.119], [-6.136, 56.125], [-6.133, 56.112], [-6.165, 56.082], [-6.176, 56.061], [-6.176, 56.044], [-6.194, 56.036], [-6.248, 56.031], [-6.269, 56.038], [-6.255, 56.044], [-6.233, 56.082]]],
+    [[[-5.798, 56.112], [-5.747, 56.142], [-5.715, 56.153], [-5.693, 56.147], [-5.69, 56.112], [-5.74, 56.077], [-5.78, 56.021], [-5.866, 55.926], [-5.888, 55.887], [-5.895, 55.889], [-5.945, 55.859], [-5.963, 55.805], [-5.989, 55.795], [-6.028, 55.796], [-6.061, 55.81], [-6.079, 55.835], [-6.086, 55.901], [-6.075, 55.916], [-5.996, 55.952], [-5.92, 55.96], [-5.888, 55.977], [-5.981, 55.97], [-5.996, 55.985], [-5.985, 56.009], [-5.924, 56.056], [-5.873, 56.07]]],
+    [[[-5.69, 56.201], [-5.672, 56.18], [-5.693, 56.169], [-5.747, 56.161], [-5.737, 56.178]]],
+    [[[-5.632, 56.264], [-5.621, 56.257], [-5.614, 56.264], [-5.611, 56.249], [-5.629, 56.22], [-5.636, 56.19], [-5.647, 56.195], [-5.668, 56.222], [-5.647, 56.256]]],
+    [[[-5.632, 56.318], [-5.621, 56.325], [-5.596, 56.321], [-5.585, 56.326], [-5.589, 56.313], [-5.607, 56.298], [-5.6, 56.284], [-5.621, 56.276], [-5.639, 56.283], [-5.647, 56.299]]],
+    [[[-5.557, 56.414], [-5.513, 56.416], [-5.503, 56.421], [-5.535, 56.392], [-5.557, 56.387], [-5.585, 56.387]]],
+    [[[-6.161, 56.47], [-6.237, 56.47], [-6.262, 56.483], [-6.241, 56.5], [-6.215, 56.504], [-6.172, 56.482]]],
+    [[[-6.82, 56.538], [-6.766, 56.549], [-6.741, 56.548], [-6.73, 56.531], [-6.745, 56.517], [-6.802, 56.514], [-6.806, 56.497], [-6.824, 56.487], [-6.871, 56.48], [-6.889, 56.462], [-6.881, 56.445], [-6.903, 56.443], [-6.964, 56.46], [-6.989, 56.504], [-6.968, 56.51], [-6.878, 56.521]]],
+    [[[-5.69, 56.434], [-5.665, 56.414], [-5.657, 56.401], [-5.672, 56.394], [-5.704, 56.394], [-5.719, 56.397], [-5.715, 56.407], [-5.722, 56.413], [-5.744, 56.414], [-5.74, 56.401], [-5.751, 56.389], [-5.783, 56.374], [-5.783, 56.365], [-5.751, 56.377], [-5.711, 56.38], [-5.697, 56.375], [-5.719, 56.353], [-5.809, 56.32], [-5.848, 56.313], [-5.881, 56.326], [-5.852, 56.343], [-5.852, 56.353], [-5.859, 56.359], [-5.873, 56.359], [-5.899, 56.353], [-5.913, 56.335], [-5.956, 56.328], [-6.039, 56.304], [-6.064, 56.289], [-6.104, 56.298], [-6.147, 56.284], [-6.241, 56.284], [-6.255, 56.267], [-6.266, 56.264], [-6.298, 56.267], [-6.327, 56.277], [-6.359, 56.303], [-6.367, 56.321], [-6.356, 56.337], [-6.334, 56.345], [-6.291, 56.345], [-6.248, 56.311], [-6.23, 56.318], [-6.23, 56.326], [-6.251, 56.333], [-6.233, 56.337], [-6.187, 56.331], [-6.154, 56.345], [-6.086, 56.353], [-6.039, 56.37], [-6.021, 56.382], [-6.028, 56.387], [-6.104, 56.365], [-6.154, 56.359], [-6.179, 56.36], [-6.205, 56.38], [-6.19, 56.397], [-6.158, 56.407], [-6.136, 56.443], [-6.125, 56.448], [-6.082, 56.448], [-6.01, 56.47], [-6.003, 56.49], [-6.017, 56.504], [-6.129, 56.475], [-6.161, 56.509], [-6.194, 56.524], [-6.287, 56.532], [-6.309, 56.538], [-6.338, 56.553], [-6.291, 56.571], [-6.298, 56.581], [-6.32, 56.593], [-6.323, 56.607], [-6.287, 56.608], [-6.255, 56.62], [-6.248, 56.612], [-6.23, 56.608], [-6.219, 56.632], [-6.19, 56.646], [-6.118, 56.654], [-6.057, 56.641], [-6.064, 56.62], [-6.032, 56.619], [-6.01, 56.598], [-5.967, 56.544], [-5.963, 56.526], [-5.852, 56.524], [-5.83, 56.51], [-5.812, 56.517], [-5.794, 56.517], [-5.758, 56.49], [-5.722, 56.49], [-5.711, 56.485], [-5.686, 56.465], [-5.683, 56.451], [-5.647, 56.448], [-5.654, 56.428]]],
+    [[[-6.46, 56.678], [-6.496, 56.634], [-6.514, 56.627], [-6.529, 56.627], [-6.565, 56.598], [-6.615, 56.575], [-6.633, 56.571], [-6.669, 56.578], [-6.676, 56.558], [-6.701, 56.586], [-6.676, 56.588], [-6.647, 56.603], [-6.59, 56.652], [-6.536, 56.671], [-6.507, 56.686], [-6.464, 56.691], [-6.453, 56.688]]],
+    [[[-7.393, 57.01], [-7.375, 56.983], [-7.411, 56.98], [-7.443, 56.963], [-7.436, 56.953], [-7.461, 56.943], [-7.475, 56.941], [-7.558, 56.953], [-7.544, 56.973], [-7.515, 56.982], [-7.515, 57.004], [-7.526, 57.01], [-7.457, 57.032], [-7.45, 57.059], [-7.421, 57.051], [-7.414, 57.044], [-7.436, 57.024]]],
+    [[[-6.323, 57.059], [-6.273, 57.041], [-6.251, 57.027], [-6.269, 57.017], [-6.269, 57.01], [-6.244, 57.01], [-6.255, 56.973], [-6.277, 56.953], [-6.302, 56.944], [-6.341, 56.941], [-6.359, 56.948], [-6.377, 56.971], [-6.406, 56.98], [-6.435, 56.998], [-6.457, 57.004], [-6.395, 57.042], [-6.363, 57.056]]],
+    [[[-6.608, 57.053], [-6.536, 57.073], [-6.489, 57.059], [-6.514, 57.051], [-6.547, 57.047]]],
+    [[[-5.96, 57.284], [-5.985, 57.291], [-6.007, 57.304], [-6.014, 57.318], [-5.989, 57.326], [-5.956, 57.321], [-5.931, 57.307], [-5.924, 57.292]]],
+    [[[-7.245, 57.326], [-7.213, 57.304], [-7.195, 57.306], [-7.202, 57.291], [-7.234, 57.274], [-7.256, 57.237], [-7.277, 57.232], [-7.353, 57.243], [-7.353, 57.237], [-7.288, 57.226], [-7.27, 57.216], [-7.259, 57.161], [-7.27, 57.149], [-7.306, 57.156], [-7.346, 57.156], [-7.346, 57.149], [-7.328, 57.145], [-7.277, 57.149], [-7.234, 57.122], [-7.216, 57.12], [-7.216, 57.113], [-7.238, 57.1], [-7.321, 57.11], [-7.353, 57.1], [-7.382, 57.118], [-7.418, 57.181], [-7.421, 57.198], [-7.414, 57.216], [-7.432, 57.23], [-7.454, 57.237], [-7.421, 57.27], [-7.411, 57.296], [-7.396, 57.297], [-7.389, 57.313], [-7.4, 57.343], [-7.429, 57.387], [-7.353, 57.409], [-7.263, 57.373], [-7.274, 57.37], [-7.299, 57.373], [-7.299, 57.367], [-7.277, 57.365], [-7.245, 57.348], [-7.223, 57.346], [-7.223, 57.34], [-7.249, 57.331], [-7.27, 57.338], [-7.331, 57.362], [-7.371, 57.387], [-7.393, 57.38], [-7.375, 57.368], [-7.371, 57.355], [-7.321, 57.346], [-7.306, 57.333], [-7.292, 57.328]]],
+    [[[-7.263, 57.483], [-7.27, 57.476], [-7.263, 57.471], [-7.238, 57.476], [-7.202, 57.463], [-7.209, 57.456], [-7.223, 57.461], [-7.245, 57.449], [-7.263, 57.449], [-7.259, 57.439], [-7.213, 57.432], [-7.205, 57.419], [-7.292, 57.405], [-7.317, 57.409], [-7.396, 57.434], [-7.407, 57.446], [-7.403, 57.465], [-7.371, 57.49], [-7.346, 57.49], [-7.321, 57.483], [-7.299, 57.49], [-7.285, 57.483]]],
+    [[[-6.064, 57.346], [-6.075, 57.355], [-6.079, 57.372], [-6.068, 57.436], [-6.061, 57.453], [-6.046, 57.461], [-6.017, 57.463], [-6.035, 57.49], [-6.025, 57.497], [-5.996, 57.49], [-5.996, 57.498], [-6.01, 57.512], [-5.981, 57.498], [-6.017, 57.419], [-6.017, 57.387], [-5.989, 57.348], [-6.053, 57.326], [-6.071, 57.333]]],
+    [[[-5.967, 57.519], [-5.985, 57.522], [-5.989, 57.546], [-5.974, 57.559], [-5.981, 57.566], [-5.963, 57.578], [-5.956, 57.573]]],
+    [[[-7.13, 57.654], [-7.094, 57.652], [-7.076, 57.647], [-7.065, 57.633], [-7.097, 57.608], [-7.112, 57.608], [-7.13, 57.623], [-7.169, 57.642], [-7.216, 57.642], [-7.216, 57.633], [-7.198, 57.632], [-7.195, 57.627], [-7.202, 57.613], [-7.173, 57.615], [-7.166, 57.61], [-7.155, 57.588], [-7.105, 57.593], [-7.126, 57.571], [-7.151, 57.562], [-7.209, 57.559], [-7.238, 57.552], [-7.256, 57.573], [-7.27, 57.571], [-7.313, 57.552], [-7.313, 57.544], [-7.241, 57.544], [-7.18, 57.554], [-7.144, 57.549], [-7.133, 57.539], [-7.159, 57.512], [-7.198, 57.513], [-7.238, 57.503], [-7.252, 57.51], [-7.288, 57.508], [-7.306, 57.512], [-7.346, 57.544], [-7.317, 57.552], [-7.349, 57.554], [-7.411, 57.576], [-7.443, 57.579], [-7.465, 57.566], [-7.501, 57.574], [-7.544, 57.593], [-7.544, 57.6], [-7.522, 57.608], [-7.475, 57.662], [-7.454, 57.655], [-7.385, 57.662], [-7.385, 57.655], [-7.414, 57.649], [-7.396, 57.635], [-7.313, 57.689], [-7.331, 57.662], [-7.277, 57.65], [-7.256, 57.649], [-7.256, 57.655], [-7.277, 57.662], [-7.209, 57.686], [-7.18, 57.689], [-7.166, 57.671], [-7.187, 57.655], [-7.173, 57.65], [-7.144, 57.659]]],
+    [[[-6.565, 57.346], [-6.579, 57.34], [-6.673, 57.356], [-6.694, 57.365], [-6.716, 57.377], [-6.73, 57.417], [-6.773, 57.434], [-6.784, 57.456], [-6.723, 57.456], [-6.737, 57.465], [-6.748, 57.488], [-6.727, 57.512], [-6.716, 57.513], [-6.705, 57.51], [-6.647, 57.459], [-6.608, 57.444], [-6.611, 57.463], [-6.601, 57.47], [-6.633, 57.498], [-6.611, 57.512], [-6.593, 57.512], [-6.565, 57.503], [-6.575, 57.522], [-6.601, 57.537], [-6.629, 57.549], [-6.655, 57.552], [-6.629, 57.576], [-6.629, 57.591], [-6.64, 57.6], [-6.64, 57.608], [-6.619, 57.606], [-6.572, 57.583], [-6.565, 57.559], [-6.489, 57.53], [-6.464, 57.512], [-6.421, 57.519], [-6.442, 57.488], [-6.435, 57.486], [-6.413, 57.502], [-6.399, 57.52], [-6.313, 57.463], [-6.323, 57.497], [-6.374, 57.532], [-6.388, 57.552], [-6.359, 57.593], [-6.385, 57.593], [-6.399, 57.6], [-6.395, 57.613], [-6.417, 57.645], [-6.367, 57.664], [-6.338, 57.699], [-6.323, 57.696], [-6.313, 57.703], [-6.295, 57.686], [-6.269, 57.676], [-6.233, 57.642], [-6.187, 57.622], [-6.154, 57.589], [-6.133, 57.476], [-6.147, 57.426], [-6.187, 57.394], [-6.158, 57.407], [-6.125, 57.409], [-6.118, 57.397], [-6.14, 57.373], [-6.136, 57.358], [-6.1, 57.333], [-6.107, 57.323], [-6.154, 57.306], [-6.068, 57.313], [-6.046, 57.307], [-6.043, 57.301], [-6.053, 57.291], [-6.079, 57.284], [-6.079, 57.277], [-6.007, 57.287], [-5.978, 57.27], [-5.924, 57.267], [-5.902, 57.243], [-5.888, 57.242], [-5.866, 57.257], [-5.823, 57.257], [-5.794, 57.272], [-5.769, 57.277], [-5.74, 57.277], [-5.722, 57.265], [-5.647, 57.265], [-5.665, 57.24], [-5.657, 57.223], [-5.69, 57.189], [-5.726, 57.172], [-5.783, 57.166], [-5.801, 57.123], [-5.852, 57.103], [-5.935, 57.041], [-5.953, 57.034], [-6.007, 57.029], [-6.021, 57.032], [-6.032, 57.044], [-6.028, 57.063], [-5.999, 57.085], [-6.003, 57.1], [-5.996, 57.101], [-5.989, 57.118], [-5.942, 57.156], [-5.845, 57.181], [-5.845, 57.188], [-5.902, 57.176], [-5.985, 57.174], [-5.992, 57.177], [-5.996, 57.196], [-6.043, 57.23], [-6.025, 57.196], [-6.039, 57.174], [-6.05, 57.169], [-6.043, 57.161], [-6.075, 57.132], [-6.089, 57.127], [-6.1, 57.135], [-6.115, 57.188], [-6.125, 57.196], [-6.14, 57.188], [-6.154, 57.199], [-6.176, 57.203], [-6.176, 57.196], [-6.161, 57.188], [-6.176, 57.181], [-6.32, 57.161], [-6.32, 57.169], [-6.277, 57.196], [-6.277, 57.203], [-6.313, 57.199], [-6.345, 57.188], [-6.381, 57.223], [-6.359, 57.23], [-6.345, 57.243], [-6.392, 57.24], [-6.41, 57.243], [-6.457, 57.277], [-6.482, 57.313], [-6.417, 57.335], [-6.395, 57.333], [-6.338, 57.301], [-6.313, 57.297], [-6.323, 57.311], [-6.406, 57.351], [-6.464, 57.346], [-6.449, 57.353], [-6.449, 57.36], [-6.475, 57.367], [-6.464, 57.373], [-6.482, 57.39], [-6.475, 57.4], [-6.489, 57.399], [-6.525, 57.38], [-6.518, 57.399], [-6.532, 57.416], [-6.539, 57.402], [-6.572, 57.387], [-6.561, 57.358]]],
+    [[[-7.223, 57.709], [-7.18, 57.735], [-7.162, 57.736], [-7.151, 57.726], [-7.169, 57.714], [-7.198, 57.708]]],
+    [[[-8.62, 57.833], [-8.606, 57.826], [-8.57, 57.824], [-8.552, 57.819], [-8.57, 57.807], [-8.591, 57.804], [-8.609, 57.812]]],
+    [[[-7.043, 57.902], [-7.054, 57.885], [-7.079, 57.88], [-7.079, 57.895], [-7.036, 57.917], [-7.015, 57.922], [-6.997, 57.915], [-6.997, 57.893], [-7.007, 57.89]]],
+    [[[-6.874, 58.216], [-6.86, 58.216], [-6.86, 58.223], [-6.881, 58.236], [-6.881, 58.258], [-6.86, 58.253], [-6.827, 58.235], [-6.82, 58.238], [-6.809, 58.233], [-6.791, 58.209], [-6.874, 58.209]]],
+    [[[-6.953, 57.743], [-6.975, 57.733], [-6.982, 57.735], [-7.112, 57.816], [-7.126, 57.838], [-7.097, 57.838], [-7.083, 57.826], [-7.079, 57.812], [-6.997, 57.853], [-6.986, 57.865], [-6.914, 57.868], [-6.964, 57.888], [-6.964, 57.895], [-6.91, 57.91], [-6.881, 57.914], [-6.853, 57.91], [-6.831, 57.902], [-6.867, 57.922], [-6.838, 57.929], [-6.838, 57.936], [-6.896, 57.936], [-6.935, 57.954], [-7.011, 57.956], [-7.036, 57.961], [-7.043, 57.976], [-7.065, 57.971], [-7.112, 57.99], [-7.072, 58.012], [-7.051, 58.012], [-7.058, 58.025], [-6.997, 58.034], [-6.935, 58.052], [-7.029, 58.039], [-7.058, 58.039], [-7.047, 58.052], [-7.025, 58.052], [-7.025, 58.059], [-7.051, 58.059], [-7.025, 58.079], [-7.076, 58.062], [-7.112, 58.099], [-7.108, 58.111], [-7.126, 58.125], [-7.112, 58.155], [-7.094, 58.169], [-7.112, 58.175], [-7.112, 58.182], [-7.036, 58.184], [-7.018, 58.189], [-7.054, 58.201], [-7.058, 58.213], [-7.051, 58.233], [-7.033, 58.245], [-6.979, 58.228], [-6.961, 58.229], [-6.907, 58.216], [-6.907, 58.209], [-6.935, 58.211], [-6.932, 58.197], [-6.896, 58.172], [-6.899, 58.157], [-6.889, 58.137], [-6.86, 58.106], [-6.86, 58.135], [-6.889, 58.169], [-6.878, 58.172], [-6.871, 58.189], [-6.799, 58.202], [-6.748, 58.182], [-6.737, 58.169], [-6.709, 58.189], [-6.745, 58.202], [-6.755, 58.231], [-6.784, 58.231], [-6.813, 58.265], [-6.791, 58.272], [-6.795, 58.278], [-6.802, 58.283], [-6.82, 58.285], [-6.737, 58.324], [-6.716, 58.339], [-6.705, 58.336], [-6.68, 58.346], [-6.647, 58.346], [-6.557, 58.368], [-6.525, 58.392], [-6.345, 58.462], [-6.295, 58.498], [-6.266, 58.511], [-6.244, 58.511], [-6.205, 58.481], [-6.187, 58.446], [-6.169, 58.43], [-6.165, 58.42], [-6.187, 58.415], [-6.194, 58.408], [-6.215, 58.368], [-6.194, 58.356], [-6.169, 58.354], [-6.169, 58.346], [-6.19, 58.341], [-6.251, 58.312], [-6.244, 58.304], [-6.248, 58.297], [-6.28, 58.289], [-6.287, 58.275], [-6.316, 58.268], [-6.316, 58.251], [-6.327, 58.24], [-6.367, 58.238], [-6.349, 58.221], [-6.309, 58.214], [-6.269, 58.216], [-6.244, 58.223], [-6.194, 58.251], [-6.151, 58.258], [-6.161, 58.251], [-6.161, 58.245], [-6.154, 58.245], [-6.169, 58.231], [-6.161, 58.216], [-6.187, 58.209], [-6.215, 58.189], [-6.233, 58.184], [-6.295, 58.199], [-6.338, 58.196], [-6.385, 58.209], [-6.399, 58.209], [-6.367, 58.162], [-6.377, 58.153], [-6.374, 58.142], [-6.392, 58.133], [-6.442, 58.128], [-6.489, 58.099], [-6.525, 58.106], [-6.55, 58.093], [-6.619, 58.086], [-6.619, 58.079], [-6.583, 58.079], [-6.453, 58.096], [-6.421, 58.106], [-6.406, 58.106], [-6.385, 58.091], [-6.377, 58.079], [-6.381, 58.066], [-6.367, 58.059], [-6.381, 58.049], [-6.399, 58.045], [-6.377, 58.039], [-6.352, 58.039], [-6.403, 58.007], [-6.424, 58.003], [-6.547, 58.017], [-6.55, 58.01], [-6.543, 58.005], [-6.471, 57.986], [-6.457, 57.976], [-6.457, 57.969], [-6.489, 57.942], [-6.507, 57.936], [-6.55, 57.942], [-6.536, 57.922], [-6.561, 57.915], [-6.579, 57.917], [-6.629, 57.956], [-6.637, 57.951], [-6.611, 57.922], [-6.619, 57.915], [-6.662, 57.929], [-6.701, 57.976], [-6.709, 58.003], [-6.694, 58.03], [-6.665, 58.045], [-6.593, 58.052], [-6.593, 58.059], [-6.687, 58.059], [-6.694, 58.04], [-6.763, 58.003], [-6.73, 57.963], [-6.705, 57.953], [-6.673, 57.929], [-6.694, 57.922], [-6.691, 57.915], [-6.669, 57.909], [-6.662, 57.88], [-6.745, 57.892], [-6.777, 57.902], [-6.788, 57.898], [-6.806, 57.88], [-6.763, 57.868], [-6.737, 57.839], [-6.741, 57.831], [-6.755, 57.826], [-6.791, 57.826], [-6.784, 57.812], [-6.806, 57.814], [-6.853, 57.833], [-6.86, 57.826], [-6.838, 57.812], [-6.86, 57.795], [-6.889, 57.785], [-6.874, 57.779], [-6.892, 57.767]]],
+    [[[-2.954, 58.841], [-2.885, 58.832], [-2.885, 58.82], [-2.914, 58.81], [-2.921, 58.797], [-2.914, 58.785], [-2.925, 58.78], [-2.911, 58.748], [-2.918, 58.738], [-2.939, 58.731], [-2.986, 58.758], [-2.975, 58.771], [-3.015, 58.812], [-2.979, 58.809], [-2.968, 58.812], [-2.968, 58.82], [-3.037, 58.82], [-3.037, 58.826], [-2.997, 58.836]]],
+    [[[-3.249, 58.792], [-3.22, 58.793], [-3.159, 58.809], [-3.13, 58.807], [-3.155, 58.787], [-3.206, 58.778], [-3.299, 58.78], [-3.328, 58.819], [-3.35, 58.829], [-3.379, 58.854], [-3.379, 58.874], [-3.386, 58.876], [-3.397, 58.869], [-3.429, 58.874], [-3.433, 58.885], [-3.418, 58.905], [-3.393, 58.92], [-3.335, 58.929], [-3.289, 58.907], [-3.245, 58.896], [-3.191, 58.854], [-3.206, 58.847], [-3.206, 58.841], [-3.188, 58.836], [-3.173, 58.82], [-3.217, 58.814], [-3.238, 58.805]]],
+    [[[-2.727, 58.971], [-2.713, 58.967], [-2.705, 58.932], [-2.734, 58.92], [-2.785, 58.91], [-2.806, 58.888], [-2.824, 58.881], [-2.925, 58.905], [-2.983, 58.961], [-2.993, 58.959], [-3.022, 58.94], [-3.044, 58.944], [-3.062, 58.939], [-3.083, 58.944], [-3.069, 58.929], [-3.101, 58.93], [-3.112, 58.927], [-3.119, 58.915], [-3.141, 58.922], [-3.202, 58.917], [-3.227, 58.929], [-3.238, 58.95], [-3.224, 58.991], [-3.206, 59.005], [-3.227, 59.038], [-3.245, 59.03], [-3.242, 59.011], [-3.26, 59.016], [-3.274, 59.011], [-3.256, 58.977], [-3.289, 58.957], [-3.289, 58.95], [-3.325, 58.957], [-3.353, 58.983], [-3.368, 59.016], [-3.343, 59.053], [-3.35, 59.097], [-3.325, 59.128], [-3.278, 59.143], [-3.231, 59.148], [-3.155, 59.143], [-3.123, 59.124], [-3.094, 59.128], [-3.073, 59.124], [-3.047, 59.108], [-3.069, 59.101], [-3.051, 59.091], [-2.993, 59.074], [-3.008, 59.067], [-2.993, 59.06], [-3.055, 59.047], [-3.062, 59.05], [-3.091, 59.018], [-3.13, 59.005], [-3.116, 58.998], [-3.058, 58.991], [-3.011, 59.018], [-2.975, 58.999], [-2.932, 59.011], [-2.896, 58.991], [-2.878, 58.998], [-2.885, 58.977], [-2.864, 58.974], [-2.831, 58.988], [-2.781, 58.991], [-2.774, 58.984], [-2.781, 58.974], [-2.839, 58.95], [-2.813, 58.929], [-2.795, 58.927], [-2.774, 58.929], [-2.795, 58.957], [-2.777, 58.957], [-2.745, 58.969]]],
+    [[[-2.543, 59.121], [-2.543, 59.102], [-2.515, 59.094], [-2.533, 59.084], [-2.576, 59.08], [-2.597, 59.074], [-2.601, 59.096], [-2.615, 59.108], [-2.633, 59.109], [-2.651, 59.101], [-2.648, 59.086], [-2.669, 59.082], [-2.687, 59.089], [-2.666, 59.108], [-2.623, 59.116], [-2.623, 59.135], [-2.666, 59.155], [-2.626, 59.163], [-2.612, 59.162], [-2.619, 59.148], [-2.579, 59.148], [-2.569, 59.143], [-2.583, 59.145], [-2.594, 59.138], [-2.583, 59.121], [-2.558, 59.121], [-2.536, 59.128], [-2.536, 59.121]]],
+    [[[-3.004, 59.128], [-3.065, 59.133], [-3.116, 59.158], [-3.119, 59.177], [-3.101, 59.19], [-3.073, 59.197], [-3.047, 59.197], [-3.044, 59.187], [-3.029, 59.182], [-2.979, 59.187], [-2.954, 59.184], [-2.954, 59.177], [-2.975, 59.163], [-2.975, 59.135]]],
+    [[[-2.831, 59.197], [-2.817, 59.192], [-2.785, 59.197], [-2.792, 59.217], [-2.788, 59.248], [-2.777, 59.253], [-2.759, 59.253], [-2.759, 59.244], [-2.77, 59.244], [-2.77, 59.238], [-2.756, 59.239], [-2.734, 59.234], [-2.727, 59.224], [-2.759, 59.194], [-2.759, 59.165], [-2.752, 59.156], [-2.734, 59.155], [-2.734, 59.148], [-2.781, 59.141], [-2.788, 59.145], [-2.803, 59.168], [-2.831, 59.175]]],
+    [[[-2.446, 59.293], [-2.41, 59.319], [-2.392, 59.285], [-2.439, 59.285], [-2.461, 59.28], [-2.504, 59.234], [-2.515, 59.231], [-2.515, 59.253], [-2.533, 59.251], [-2.576, 59.224], [-2.569, 59.244], [-2.59, 59.239], [-2.605, 59.244], [-2.662, 59.207], [-2.68, 59.211], [-2.68, 59.197], [-2.691, 59.192], [-2.695, 59.204], [-2.687, 59.217], [-2.659, 59.231], [-2.626, 59.258], [-2.594, 59.265], [-2.59, 59.278], [-2.612, 59.293], [-2.587, 59.293], [-2.547, 59.305], [-2.522, 59.307], [-2.522, 59.3], [-2.576, 59.271], [-2.561, 59.265], [-2.551, 59.271], [-2.518, 59.275], [-2.493, 59.29]]],
+    [[[-3.047, 59.32], [-3.065, 59.322], [-3.076, 59.334], [-3.026, 59.33], [-3.008, 59.334], [-2.965, 59.361], [-2.947, 59.354], [-2.947, 59.349], [-2.965, 59.341], [-2.961, 59.327], [-2.986, 59.327], [-2.986, 59.32], [-2.896, 59.303], [-2.878, 59.276], [-2.839, 59.265], [-2.831, 59.253], [-2.864, 59.248], [-2.885, 59.231], [-2.871, 59.258], [-2.947, 59.292], [-2.975, 59.293], [-2.961, 59.271], [-2.975, 59.278], [-2.99, 59.266], [-3.008, 59.271]]],
+    [[[-1.651, 59.53], [-1.643, 59.545], [-1.625, 59.555], [-1.582, 59.56], [-1.582, 59.553], [-1.604, 59.552], [-1.611, 59.54], [-1.597, 59.54], [-1.597, 59.531], [-1.647, 59.514]]],
+    [[[-0.783, 60.615], [-0.769, 60.614], [-0.754, 60.599], [-0.761, 60.588], [-0.787, 60.577], [-0.841, 60.588], [-0.869, 60.588], [-0.869, 60.58], [-0.855, 60.568], [-0.884, 60.57], [-0.938, 60.62], [-0.938, 60.629], [-0.823, 60.629], [-0.812, 60.626], [-0.808, 60.609]]],
+    [[[-1.096, 60.416], [-1.089, 60.433], [-1.071, 60.445], [-1.035, 60.45], [-1.049, 60.433], [-1.125, 60.384], [-1.125, 60.376], [-1.118, 60.374], [-1.096, 60.391], [-1.067, 60.396], [-1.064, 60.369], [-1.071, 60.359], [-1.172, 60.347], [-1.15, 60.337], [-1.1, 60.332], [-1.075, 60.322], [-1.139, 60.291], [-1.136, 60.276], [-1.129, 60.274], [-1.118, 60.279], [-1.089, 60.273], [-1.129, 60.252], [-1.147, 60.249], [-1.165, 60.251], [-1.183, 60.273], [-1.193, 60.273], [-1.201, 60.268], [-1.186, 60.246], [-1.219, 60.239], [-1.219, 60.232], [-1.179, 60.232], [-1.201, 60.205], [-1.183, 60.219], [-1.157, 60.225], [-1.193, 60.176], [-1.175, 60.188], [-1.154, 60.193], [-1.143, 60.188], [-1.157, 60.17], [-1.125, 60.156], [-1.125, 60.149], [-1.15, 60.149], [-1.143, 60.136], [-1.161, 60.141], [-1.183, 60.129], [-1.201, 60.129], [-1.186, 60.122], [-1.193, 60.109], [-1.211, 60.107], [-1.211, 60.1], [-1.186, 60.094], [-1.201, 60.084], [-1.193, 60.07], [-1.175, 60.06], [-1.165, 60.06], [-1.172, 60.046], [-1.186, 60.038], [-1.219, 60.04], [-1.193, 59.997], [-1.201, 59.986], [-1.247, 59.997], [-1.244, 59.955], [-1.269, 59.923], [-1.276, 59.93], [-1.262, 59.908], [-1.276, 59.883], [-1.262, 59.866], [-1.276, 59.854], [-1.294, 59.874], [-1.301, 59.864], [-1.312, 59.866], [-1.301, 59.889], [-1.316, 59.896], [-1.348, 59.893], [-1.363, 59.896], [-1.377, 59.908], [-1.359, 59.921], [-1.363, 59.937], [-1.355, 59.945], [-1.323, 59.952], [-1.323, 59.957], [-1.348, 59.97], [-1.348, 59.977], [-1.323, 59.977], [-1.33, 59.996], [-1.301, 60.028], [-1.287, 60.075], [-1.262, 60.116], [-1.269, 60.143], [-1.283, 60.146], [-1.291, 60.156], [-1.269, 60.185], [-1.28, 60.185], [-1.298, 60.176], [-1.309, 60.176], [-1.312, 60.181], [-1.269, 60.246], [-1.287, 60.246], [-1.33, 60.205], [-1.359, 60.244], [-1.377, 60.254], [-1.409, 60.259], [-1.409, 60.251], [-1.391, 60.247], [-1.348, 60.212], [-1.355, 60.197], [-1.384, 60.21], [-1.399, 60.212], [-1.406, 60.18], [-1.413, 60.176], [-1.42, 60.19], [-1.431, 60.185], [-1.445, 60.156], [-1.456, 60.156], [-1.496, 60.17], [-1.521, 60.183], [-1.528, 60.193], [-1.51, 60.21], [-1.467, 60.217], [-1.503, 60.244], [-1.525, 60.212], [-1.535, 60.21], [-1.55, 60.23], [-1.593, 60.217], [-1.625, 60.217], [-1.633, 60.23], [-1.661, 60.234], [-1.669, 60.239], [-1.69, 60.284], [-1.658, 60.306], [-1.618, 60.315], [-1.604, 60.313], [-1.564, 60.293], [-1.55, 60.293], [-1.557, 60.306], [-1.521, 60.3], [-1.528, 60.313], [-1.481, 60.317], [-1.467, 60.308], [-1.467, 60.279], [-1.46, 60.279], [-1.445, 60.286], [-1.46, 60.306], [-1.438, 60.306], [-1.445, 60.322], [-1.424, 60.327], [-1.395, 60.322], [-1.373, 60.308], [-1.363, 60.286], [-1.337, 60.306], [-1.363, 60.322], [-1.345, 60.347], [-1.316, 60.342], [-1.327, 60.352], [-1.262, 60.355], [-1.283, 60.364], [-1.337, 60.374], [-1.345, 60.396], [-1.373, 60.381], [-1.395, 60.389], [-1.399, 60.399], [-1.384, 60.423], [-1.417, 60.423], [-1.438, 60.431], [-1.445, 60.492], [-1.481, 60.457], [-1.496, 60.46], [-1.499, 60.469], [-1.481, 60.485], [-1.517, 60.482], [-1.55, 60.492], [-1.557, 60.48], [-1.571, 60.477], [-1.607, 60.479], [-1.611, 60.484], [-1.597, 60.507], [-1.586, 60.512], [-1.557, 60.512], [-1.55, 60.539], [-1.528, 60.556], [-1.514, 60.558], [-1.489, 60.526], [-1.456, 60.509], [-1.417, 60.502], [-1.384, 60.512], [-1.395, 60.517], [-1.435, 60.519], [-1.463, 60.538], [-1.481, 60.539], [-1.453, 60.568], [-1.409, 60.58], [-1.424, 60.588], [-1.413, 60.6], [-1.42, 60.609], [-1.395, 60.614], [-1.366, 60.612], [-1.316, 60.593], [-1.309, 60.602], [-1.327, 60.61], [-1.301, 60.642], [-1.291, 60.624], [-1.291, 60.6], [-1.298, 60.59], [-1.309, 60.588], [-1.301, 60.565], [-1.337, 60.533], [-1.316, 60.533], [-1.319, 60.528], [-1.337, 60.526], [-1.316, 60.519], [-1.337, 60.485], [-1.316, 60.489], [-1.301, 60.499], [-1.294, 60.492], [-1.312, 60.47], [-1.309, 60.457], [-1.327, 60.453], [-1.37, 60.403], [-1.345, 60.403], [-1.323, 60.409], [-1.323, 60.428], [-1.298, 60.438], [-1.233, 60.443], [-1.294, 60.472], [-1.273, 60.484], [-1.262, 60.482], [-1.262, 60.465], [-1.219, 60.497], [-1.186, 60.482], [-1.193, 60.472], [-1.168, 60.463], [-1.157, 60.443], [-1.165, 60.436], [-1.15, 60.431], [-1.165, 60.426], [-1.186, 60.431], [-1.226, 60.411], [-1.186, 60.416], [-1.201, 60.409], [-1.201, 60.403], [-1.165, 60.413], [-1.154, 60.408], [-1.15, 60.389], [-1.143, 60.389], [-1.103, 60.431]]],
+    [[[-0.988, 60.698], [-0.999, 60.686], [-0.981, 60.656], [-0.992, 60.636], [-1.024, 60.654], [-1.064, 60.663], [-1.035, 60.642], [-1.013, 60.615], [-1.042, 60.609], [-1.057, 60.609], [-1.067, 60.615], [-1.064, 60.604], [-1.053, 60.597], [-1.021, 60.593], [-1.028, 60.588], [-1.01, 60.578], [-1.01, 60.565], [-1.042, 60.553], [-1.024, 60.528], [-1.024, 60.502], [-1.093, 60.507], [-1.1, 60.516], [-1.107, 60.506], [-1.096, 60.492], [-1.132, 60.496], [-1.154, 60.509], [-1.168, 60.531], [-1.179, 60.624], [-1.172, 60.646], [-1.139, 60.649], [-1.139, 60.631], [-1.129, 60.619], [-1.114, 60.612], [-1.103, 60.615], [-1.125, 60.659], [-1.111, 60.681], [-1.121, 60.696], [-1.118, 60.707], [-1.093, 60.735], [-1.078, 60.735], [-1.067, 60.718], [-1.057, 60.73], [-1.039, 60.734], [-0.992, 60.732], [-1.003, 60.703]]],
+    [[[-0.905, 60.685], [-0.934, 60.683], [-0.967, 60.69], [-0.959, 60.71], [-0.967, 60.725], [-0.949, 60.718], [-0.945, 60.74], [-0.952, 60.752], [-0.934, 60.756], [-0.927, 60.769], [-0.938, 60.799], [-0.891, 60.825], [-0.88, 60.845], [-0.869, 60.845], [-0.859, 60.838], [-0.859, 60.813], [-0.891, 60.793], [-0.887, 60.789], [-0.862, 60.798], [-0.851, 60.803], [-0.823, 60.848], [-0.772, 60.833], [-0.761, 60.813], [-0.787, 60.806], [-0.761, 60.799], [-0.808, 60.779], [-0.801, 60.759], [-0.823, 60.759], [-0.801, 60.752], [-0.801, 60.745], [-0.851, 60.718], [-0.823, 60.685], [-0.837, 60.676], [-0.869, 60.685]]],
+    [[[-6.298, 49.935], [-6.284, 49.923], [-6.287, 49.913], [-6.298, 49.91], [-6.309, 49.913], [-6.309, 49.927]]],
+    [[[-6.334, 49.96], [-6.327, 49.957], [-6.327, 49.949], [-6.334, 49.942], [-6.349, 49.955], [-6.349, 49.964]]],
+    [[[-4.664, 51.183], [-4.664, 51.164], [-4.671, 51.159], [-4.678, 51.168], [-4.671, 51.195]]],
+    [[[-13.689, 57.596], [-13.693, 57.596], [-13.693, 57.598]]],
+    [[[-1.316, 60.094], [-1.309, 60.094], [-1.305, 60.087], [-1.309, 60.077], [-1.334, 60.043], [-1.334, 60.077], [-1.337, 60.063], [-1.366, 60.045], [-1.37, 60.05], [-1.355, 60.058], [-1.348, 60.084], [-1.337, 60.094], [-1.348, 60.104], [-1.345, 60.109], [-1.319, 60.116], [-1.323, 60.089]]],
+    [[[-2.054, 60.156], [-2.047, 60.129], [-2.065, 60.117], [-2.104, 60.132], [-2.111, 60.146], [-2.086, 60.156]]],
+    [[[-1.064, 60.165], [-1.049, 60.17], [-1.075, 60.107], [-1.085, 60.105], [-1.121, 60.122], [-1.118, 60.156], [-1.136, 60.168], [-1.136, 60.178], [-1.096, 60.176], [-1.078, 60.188], [-1.071, 60.165]]],
+    [[[-0.92, 60.386], [-0.913, 60.387], [-0.916, 60.377], [-0.977, 60.34], [-1.013, 60.333], [-1.035, 60.34], [-1.006, 60.369], [-0.967, 60.381]]]
+  ] },
+  { code: 'IS', name: 'Iceland', polygons: [
+    [[[-14.564, 66.385], [-14.611, 66.363], [-14.787, 66.33], [-14.866, 66.306], [-14.96, 66.296], [-14.992, 66.286], [-15.014, 66.269], [-14.978, 66.26], [-14.935, 66.221], [-14.96, 66.186], [-15.057, 66.149], [-15.136, 66.144], [-15.162, 66.134], [-15.18, 66.112], [-15.133, 66.098], [-15.075, 66.097], [-15.061, 66.09], [-15.057, 66.071], [-15.097, 66.056], [-15.075, 66.049], [-14.964, 66.048], [-14.899, 66.036], [-14.852, 66.037], [-14.769, 66.068], [-14.719, 66.071], [-14.676, 66.056], [-14.65, 66.007], [-14.618, 65.997], [-14.604, 65.953], [-14.625, 65.939], [-14.622, 65.924], [-14.65, 65.889], [-14.726, 65.85], [-14.802, 65.828], [-14.823, 65.816], [-14.82, 65.798], [-14.892, 65.761], [-14.863, 65.762], [-14.834, 65.771], [-14.787, 65.796], [-14.845, 65.735], [-14.809, 65.728], [-14.773, 65.732], [-14.694, 65.75], [-14.481, 65.776], [-14.402, 65.793], [-14.362, 65.796], [-14.33, 65.782], [-14.373, 65.74], [-14.398, 65.73], [-14.395, 65.722], [-14.38, 65.706], [-14.294, 65.683], [-14.276, 65.673], [-14.33, 65.666], [-14.359, 65.656], [-14.384, 65.63], [-14.434, 65.605], [-14.456, 65.583], [-14.532, 65.546], [-14.564, 65.5], [-14.528, 65.531], [-14.474, 65.553], [-14.319, 65.652], [-14.298, 65.659], [-14.272, 65.656], [-14.193, 65.632], [-14.247, 65.664], [-14.028, 65.61], [-13.999, 65.609], [-13.891, 65.62], [-13.873, 65.619], [-13.858, 65.614], [-13.851, 65.602], [-13.855, 65.585], [-13.869, 65.583], [-13.869, 65.576], [-13.837, 65.578], [-13.815, 65.57], [-13.822, 65.541], [-13.786, 65.522], [-13.74, 65.551], [-13.714, 65.558], [-13.678, 65.551], [-13.678, 65.536], [-13.65, 65.536], [-13.61, 65.514], [-13.606, 65.492], [-13.65, 65.46], [-13.635, 65.426], [-13.678, 65.411], [-13.668, 65.406], [-13.671, 65.377], [-13.704, 65.367], [-13.797, 65.374], [-13.837, 65.364], [-13.812, 65.355], [-13.732, 65.343], [-13.729, 65.327], [-13.783, 65.31], [-13.833, 65.31], [-13.898, 65.296], [-13.981, 65.289], [-14.006, 65.283], [-13.992, 65.273], [-13.833, 65.298], [-13.783, 65.296], [-13.689, 65.306], [-13.657, 65.303], [-13.606, 65.289], [-13.581, 65.278], [-13.567, 65.261], [-13.592, 65.252], [-13.632, 65.225], [-13.653, 65.22], [-13.779, 65.207], [-13.916, 65.207], [-13.974, 65.2], [-14.035, 65.2], [-14.002, 65.19], [-13.887, 65.2], [-13.732, 65.193], [-13.628, 65.2], [-13.617, 65.197], [-13.642, 65.159], [-13.747, 65.144], [-13.747, 65.137], [-13.668, 65.144], [-13.65, 65.137], [-13.65, 65.131], [-13.671, 65.127], [-13.686, 65.117], [-13.646, 65.115], [-13.628, 65.104], [-13.52, 65.173], [-13.516, 65.136], [-13.527, 65.097], [-13.502, 65.082], [-13.527, 65.055], [-13.588, 65.043], [-13.61, 65.034], [-13.581, 65.012], [-13.585, 65.007], [-13.646, 64.987], [-13.718, 64.994], [-13.783, 64.989], [-13.801, 64.994], [-13.83, 65.029], [-13.894, 65.046], [-13.948, 65.055], [-14.002, 65.078], [-14.035, 65.083], [-14.017, 65.063], [-13.995, 65.055], [-14.031, 65.038], [-14.233, 65.034], [-14.233, 65.028], [-13.92, 65.014], [-13.88, 64.994], [-13.869, 64.979], [-13.822, 64.96], [-13.718, 64.94], [-13.7, 64.925], [-13.74, 64.911], [-13.79, 64.915], [-13.876, 64.933], [-13.977, 64.925], [-14.038, 64.936], [-14.056, 64.933], [-13.995, 64.915], [-13.851, 64.901], [-13.786, 64.877], [-13.768, 64.854], [-13.833, 64.83], [-13.938, 64.847], [-13.966, 64.835], [-13.858, 64.817], [-13.84, 64.81], [-13.84, 64.798], [-13.869, 64.795], [-13.981, 64.796], [-14.013, 64.803], [-14.049, 64.788], [-14.049, 64.781], [-13.988, 64.741], [-14.049, 64.72], [-14.272, 64.7], [-14.305, 64.703], [-14.341, 64.717], [-14.37, 64.756], [-14.395, 64.766], [-14.42, 64.79], [-14.434, 64.795], [-14.514, 64.803], [-14.503, 64.796], [-14.47, 64.795], [-14.456, 64.79], [-14.467, 64.761], [-14.452, 64.752], [-14.384, 64.741], [-14.373, 64.705], [-14.341, 64.685], [-14.29, 64.678], [-14.269, 64.67], [-14.276, 64.651], [-14.442, 64.676], [-14.492, 64.658], [-14.416, 64.631], [-14.409, 64.611], [-14.438, 64.597], [-14.571, 64.597], [-14.586, 64.59], [-14.532, 64.555], [-14.492, 64.548], [-14.488, 64.557], [-14.445, 64.56], [-14.384, 64.6], [-14.352, 64.611], [-14.348, 64.606], [-14.467, 64.535], [-14.478, 64.497], [-14.51, 64.472], [-14.51, 64.442], [-14.524, 64.435], [-14.546, 64.405], [-14.65, 64.4], [-14.748, 64.384], [-14.704, 64.4], [-14.568, 64.418], [-14.593, 64.425], [-14.712, 64.432], [-14.715, 64.411], [-14.758, 64.398], [-14.794, 64.372], [-14.848, 64.357], [-14.906, 64.322], [-14.892, 64.351], [-14.92, 64.33], [-14.949, 64.322], [-14.949, 64.312], [-14.931, 64.302], [-14.892, 64.308], [-14.877, 64.281], [-14.899, 64.281], [-14.931, 64.264], [-14.949, 64.261], [-15.018, 64.266], [-15.068, 64.291], [-15.108, 64.302], [-15.144, 64.281], [-15.18, 64.288], [-15.194, 64.281], [-15.18, 64.275], [-15.19, 64.269], [-15.226, 64.268], [-15.208, 64.302], [-15.255, 64.298], [-15.266, 64.32], [-15.277, 64.33], [-15.291, 64.334], [-15.302, 64.322], [-15.288, 64.313], [-15.28, 64.295], [-15.338, 64.308], [-15.327, 64.329], [-15.342, 64.351], [-15.367, 64.369], [-15.41, 64.388], [-15.475, 64.398], [-15.403, 64.381], [-15.363, 64.337], [-15.381, 64.33], [-15.399, 64.337], [-15.399, 64.329], [-15.378, 64.322], [-15.374, 64.307], [-15.381, 64.288], [-15.399, 64.275], [-15.421, 64.268], [-15.478, 64.275], [-15.5, 64.268], [-15.471, 64.261], [-15.439, 64.261], [-15.464, 64.251], [-15.529, 64.241], [-15.586, 64.239], [-15.648, 64.229], [-15.673, 64.219], [-15.687, 64.234], [-15.712, 64.217], [-15.802, 64.185], [-15.72, 64.197], [-15.698, 64.192], [-15.734, 64.18], [-15.993, 64.145], [-16.029, 64.129], [-15.982, 64.129], [-15.982, 64.124], [-16.044, 64.101], [-16.076, 64.094], [-16.144, 64.063], [-16.152, 64.055], [-16.173, 64.067], [-16.191, 64.055], [-16.18, 64.042], [-16.238, 64.023], [-16.26, 64.021], [-16.256, 64.035], [-16.31, 64.018], [-16.35, 63.988], [-16.335, 63.986], [-16.31, 63.998], [-16.335, 63.974], [-16.422, 63.939], [-16.472, 63.905], [-16.501, 63.898], [-16.476, 63.905], [-16.461, 63.925], [-16.612, 63.869], [-16.746, 63.852], [-16.767, 63.854], [-16.782, 63.863], [-16.767, 63.852], [-16.749, 63.849], [-16.782, 63.842], [-16.785, 63.807], [-16.796, 63.802], [-16.807, 63.829], [-16.861, 63.859], [-16.886, 63.866], [-16.897, 63.863], [-16.9, 63.802], [-16.915, 63.805], [-16.911, 63.839], [-16.929, 63.866], [-16.94, 63.809], [-16.926, 63.8], [-16.929, 63.793], [-16.965, 63.788], [-16.954, 63.81], [-16.958, 63.837], [-16.94, 63.846], [-16.947, 63.856], [-16.94, 63.898], [-16.969, 63.92], [-16.976, 63.915], [-16.976, 63.878], [-16.965, 63.869], [-16.983, 63.863], [-17.019, 63.863], [-17.03, 63.849], [-17.005, 63.817], [-16.987, 63.809], [-17.005, 63.798], [-17.044, 63.793], [-17.116, 63.795], [-17.167, 63.809], [-17.203, 63.798], [-17.206, 63.815], [-17.329, 63.781], [-17.559, 63.751], [-17.545, 63.766], [-17.548, 63.788], [-17.57, 63.763], [-17.584, 63.761], [-17.599, 63.768], [-17.592, 63.746], [-17.721, 63.706], [-17.71, 63.727], [-17.685, 63.739], [-17.653, 63.746], [-17.624, 63.746], [-17.624, 63.754], [-17.692, 63.77], [-17.714, 63.781], [-17.721, 63.768], [-17.714, 63.754], [-17.739, 63.746], [-17.818, 63.754], [-17.797, 63.746], [-17.797, 63.741], [-17.833, 63.739], [-17.844, 63.733], [-17.862, 63.738], [-17.88, 63.731], [-17.894, 63.721], [-17.905, 63.692], [-17.919, 63.678], [-17.937, 63.675], [-17.955, 63.685], [-17.966, 63.677], [-17.973, 63.668], [-17.966, 63.66], [-17.952, 63.658], [-17.901, 63.672], [-17.826, 63.667], [-17.797, 63.672], [-17.84, 63.635], [-17.865, 63.624], [-17.894, 63.631], [-17.887, 63.636], [-17.926, 63.636], [-17.926, 63.628], [-17.952, 63.628], [-17.97, 63.623], [-17.955, 63.624], [-17.948, 63.621], [-17.948, 63.603], [-17.872, 63.604], [-17.858, 63.609], [-17.883, 63.575], [-17.919, 63.545], [-17.966, 63.523], [-18.067, 63.501], [-18.132, 63.479], [-18.196, 63.472], [-18.229, 63.493], [-18.214, 63.501], [-18.186, 63.505], [-18.15, 63.527], [-18.117, 63.528], [-18.117, 63.535], [-18.146, 63.535], [-18.2, 63.527], [-18.229, 63.528], [-18.315, 63.548], [-18.312, 63.542], [-18.326, 63.535], [-18.276, 63.501], [-18.265, 63.466], [-18.182, 63.464], [-18.398, 63.449], [-18.52, 63.422], [-18.733, 63.397], [-18.783, 63.398], [-18.974, 63.425], [-19.057, 63.415], [-19.086, 63.418], [-19.068, 63.42], [-19.064, 63.425], [-19.118, 63.432], [-19.132, 63.439], [-19.154, 63.425], [-19.302, 63.44], [-19.352, 63.459], [-19.435, 63.466], [-19.55, 63.501], [-19.712, 63.521], [-19.744, 63.535], [-19.73, 63.535], [-19.723, 63.54], [-19.737, 63.548], [-19.777, 63.542], [-19.874, 63.548], [-19.87, 63.543], [-19.77, 63.535], [-20.032, 63.542], [-20.05, 63.555], [-20.065, 63.548], [-20.079, 63.555], [-20.072, 63.542], [-20.148, 63.54], [-20.187, 63.545], [-20.353, 63.609], [-20.324, 63.603], [-20.292, 63.609], [-20.338, 63.616], [-20.331, 63.636], [-20.367, 63.619], [-20.385, 63.621], [-20.407, 63.631], [-20.407, 63.636], [-20.374, 63.631], [-20.385, 63.646], [-20.443, 63.672], [-20.479, 63.707], [-20.504, 63.706], [-20.504, 63.699], [-20.468, 63.677], [-20.436, 63.645], [-20.533, 63.689], [-20.551, 63.712], [-20.536, 63.719], [-20.558, 63.741], [-20.497, 63.763], [-20.432, 63.768], [-20.4, 63.761], [-20.346, 63.734], [-20.31, 63.733], [-20.367, 63.768], [-20.443, 63.788], [-20.41, 63.812], [-20.41, 63.836], [-20.421, 63.841], [-20.432, 63.836], [-20.428, 63.822], [-20.439, 63.812], [-20.529, 63.765], [-20.554, 63.761], [-20.562, 63.756], [-20.562, 63.736], [-20.576, 63.714], [-20.666, 63.743], [-20.702, 63.749], [-20.77, 63.775], [-20.706, 63.775], [-20.67, 63.761], [-20.655, 63.761], [-20.641, 63.768], [-20.605, 63.768], [-20.605, 63.775], [-20.634, 63.775], [-20.634, 63.781], [-20.619, 63.781], [-20.619, 63.788], [-20.691, 63.78], [-20.716, 63.781], [-20.716, 63.788], [-20.68, 63.807], [-20.673, 63.837], [-20.684, 63.864], [-20.724, 63.869], [-20.724, 63.863], [-20.695, 63.857], [-20.698, 63.844], [-20.778, 63.797], [-20.806, 63.795], [-20.832, 63.802], [-20.817, 63.781], [-20.86, 63.8], [-20.95, 63.827], [-21.076, 63.849], [-21.17, 63.876], [-21.188, 63.891], [-21.184, 63.908], [-21.195, 63.932], [-21.116, 63.93], [-21.073, 63.933], [-21.044, 63.945], [-21.12, 63.945], [-21.184, 63.959], [-21.235, 63.954], [-21.3, 63.925], [-21.3, 63.918], [-21.22, 63.9], [-21.21, 63.885], [-21.231, 63.89], [-21.274, 63.891], [-21.35, 63.885], [-21.364, 63.874], [-21.354, 63.856], [-21.368, 63.849], [-21.66, 63.832], [-21.696, 63.842], [-21.728, 63.859], [-21.793, 63.871], [-21.958, 63.844], [-22.016, 63.844], [-22.066, 63.836], [-22.336, 63.863], [-22.394, 63.836], [-22.416, 63.842], [-22.401, 63.849], [-22.426, 63.849], [-22.495, 63.834], [-22.524, 63.822], [-22.632, 63.825], [-22.653, 63.822], [-22.678, 63.809], [-22.693, 63.812], [-22.718, 63.829], [-22.696, 63.852], [-22.7, 63.874], [-22.729, 63.891], [-22.686, 63.945], [-22.642, 63.945], [-22.635, 63.949], [-22.639, 63.959], [-22.671, 63.952], [-22.693, 63.955], [-22.714, 63.962], [-22.729, 63.974], [-22.736, 63.994], [-22.718, 64.021], [-22.718, 64.07], [-22.704, 64.085], [-22.689, 64.091], [-22.675, 64.087], [-22.646, 64.072], [-22.61, 64.062], [-22.56, 64.02], [-22.545, 63.994], [-22.56, 63.994], [-22.542, 63.982], [-22.52, 63.979], [-22.398, 63.979], [-22.38, 63.988], [-22.394, 63.994], [-22.387, 64.003], [-22.347, 64.018], [-22.297, 64.021], [-22.25, 64.035], [-22.2, 64.021], [-22.174, 64.025], [-22.124, 64.043], [-22.041, 64.052], [-22.012, 64.06], [-21.991, 64.075], [-21.976, 64.069], [-21.962, 64.075], [-21.962, 64.082], [-22.005, 64.097], [-22.03, 64.101], [-22.045, 64.097], [-22.034, 64.112], [-22.009, 64.121], [-21.984, 64.121], [-21.962, 64.118], [-21.991, 64.109], [-21.951, 64.104], [-21.933, 64.106], [-21.915, 64.109], [-21.915, 64.118], [-21.937, 64.118], [-21.915, 64.124], [-21.976, 64.15], [-22.045, 64.158], [-22.016, 64.168], [-21.865, 64.156], [-21.847, 64.145], [-21.814, 64.136], [-21.786, 64.145], [-21.818, 64.146], [-21.825, 64.151], [-21.8, 64.165], [-21.818, 64.172], [-21.793, 64.177], [-21.724, 64.172], [-21.703, 64.192], [-21.757, 64.182], [-21.764, 64.188], [-21.757, 64.2], [-21.71, 64.214], [-21.76, 64.221], [-21.814, 64.214], [-21.807, 64.231], [-21.836, 64.241], [-21.876, 64.237], [-21.89, 64.231], [-21.93, 64.234], [-21.89, 64.253], [-21.894, 64.268], [-21.832, 64.286], [-21.804, 64.302], [-21.753, 64.345], [-21.717, 64.352], [-21.652, 64.349], [-21.688, 64.357], [-21.627, 64.376], [-21.602, 64.378], [-21.465, 64.362], [-21.444, 64.364], [-21.426, 64.376], [-21.415, 64.384], [-21.458, 64.372], [-21.483, 64.378], [-21.483, 64.384], [-21.451, 64.391], [-21.451, 64.398], [-21.631, 64.403], [-21.717, 64.394], [-21.793, 64.364], [-21.804, 64.349], [-21.822, 64.34], [-21.85, 64.337], [-21.912, 64.32], [-21.962, 64.297], [-22.009, 64.3], [-22.099, 64.315], [-22.099, 64.322], [-22.059, 64.334], [-21.984, 64.371], [-21.962, 64.376], [-21.94, 64.371], [-21.922, 64.379], [-21.879, 64.384], [-21.861, 64.391], [-21.948, 64.394], [-22.012, 64.383], [-22.045, 64.405], [-22.03, 64.415], [-22.023, 64.455], [-22.002, 64.454], [-21.976, 64.504], [-21.951, 64.514], [-21.836, 64.54], [-21.778, 64.541], [-21.782, 64.55], [-21.793, 64.555], [-21.818, 64.557], [-21.818, 64.562], [-21.764, 64.592], [-21.728, 64.599], [-21.703, 64.611], [-21.649, 64.611], [-21.652, 64.592], [-21.606, 64.589], [-21.58, 64.572], [-21.498, 64.57], [-21.512, 64.575], [-21.566, 64.575], [-21.602, 64.599], [-21.62, 64.604], [-21.58, 64.611], [-21.58, 64.617], [-21.681, 64.617], [-21.681, 64.624], [-21.606, 64.648], [-21.512, 64.644], [-21.512, 64.651], [-21.613, 64.658], [-21.678, 64.633], [-21.703, 64.631], [-21.703, 64.638], [-21.667, 64.656], [-21.66, 64.666], [-21.721, 64.639], [-21.728, 64.616], [-21.739, 64.611], [-21.793, 64.59], [-21.861, 64.575], [-21.854, 64.562], [-21.883, 64.567], [-21.912, 64.563], [-22.009, 64.524], [-22.023, 64.528], [-22.034, 64.538], [-22.02, 64.57], [-22.038, 64.567], [-22.048, 64.555], [-22.052, 64.524], [-22.081, 64.501], [-22.092, 64.472], [-22.128, 64.472], [-22.146, 64.462], [-22.164, 64.46], [-22.2, 64.472], [-22.225, 64.501], [-22.239, 64.491], [-22.257, 64.487], [-22.232, 64.516], [-22.236, 64.541], [-22.225, 64.548], [-22.257, 64.557], [-22.243, 64.575], [-22.318, 64.555], [-22.34, 64.557], [-22.358, 64.568], [-22.365, 64.585], [-22.347, 64.617], [-22.365, 64.617], [-22.39, 64.638], [-22.434, 64.656], [-22.441, 64.666], [-22.365, 64.643], [-22.34, 64.651], [-22.362, 64.651], [-22.354, 64.663], [-22.318, 64.678], [-22.333, 64.685], [-22.333, 64.692], [-22.218, 64.717], [-22.189, 64.734], [-22.189, 64.741], [-22.25, 64.717], [-22.315, 64.707], [-22.401, 64.676], [-22.423, 64.685], [-22.362, 64.715], [-22.34, 64.734], [-22.347, 64.741], [-22.318, 64.754], [-22.344, 64.766], [-22.372, 64.769], [-22.437, 64.768], [-22.423, 64.781], [-22.441, 64.781], [-22.437, 64.791], [-22.408, 64.823], [-22.437, 64.812], [-22.441, 64.803], [-22.455, 64.815], [-22.477, 64.81], [-22.477, 64.803], [-22.531, 64.81], [-22.549, 64.806], [-22.592, 64.788], [-22.592, 64.781], [-22.567, 64.774], [-22.657, 64.766], [-22.682, 64.774], [-22.657, 64.773], [-22.639, 64.778], [-22.671, 64.803], [-22.779, 64.803], [-22.711, 64.781], [-22.711, 64.774], [-22.736, 64.774], [-22.783, 64.793], [-22.812, 64.795], [-22.804, 64.795], [-23.19, 64.805], [-23.247, 64.83], [-23.301, 64.832], [-23.398, 64.823], [-23.416, 64.806], [-23.456, 64.793], [-23.575, 64.81], [-23.539, 64.817], [-23.557, 64.82], [-23.593, 64.812], [-23.625, 64.795], [-23.647, 64.751], [-23.676, 64.741], [-23.748, 64.741], [-23.834, 64.725], [-23.906, 64.744], [-23.92, 64.754], [-23.946, 64.761], [-23.956, 64.786], [-24.018, 64.832], [-24.061, 64.891], [-24.054, 64.899], [-24.032, 64.889], [-24.014, 64.893], [-23.96, 64.918], [-23.848, 64.93], [-23.827, 64.93], [-23.748, 64.906], [-23.64, 64.899], [-23.6, 64.918], [-23.55, 64.921], [-23.514, 64.947], [-23.47, 64.952], [-23.38, 64.945], [-23.395, 64.967], [-23.352, 64.969], [-23.341, 64.962], [-23.348, 64.945], [-23.334, 64.942], [-23.316, 64.953], [-23.305, 64.953], [-23.298, 64.923], [-23.28, 64.933], [-23.262, 64.926], [-23.244, 64.93], [-23.226, 64.95], [-23.24, 64.987], [-23.236, 65.001], [-23.211, 65.018], [-23.168, 65.021], [-23.085, 65.014], [-23.107, 64.996], [-23.136, 64.987], [-23.128, 64.974], [-23.146, 64.969], [-23.161, 64.953], [-23.107, 64.918], [-23.11, 64.957], [-23.1, 64.967], [-23.067, 64.974], [-23.049, 64.997], [-23.02, 65.012], [-22.992, 65.014], [-22.941, 64.987], [-22.905, 65.004], [-22.844, 65.009], [-22.786, 65.028], [-22.801, 65.033], [-22.873, 65.028], [-22.873, 65.034], [-22.833, 65.039], [-22.758, 65.072], [-22.718, 65.077], [-22.729, 65.07], [-22.696, 65.063], [-22.696, 65.05], [-22.75, 65.028], [-22.722, 65.026], [-22.689, 65.034], [-22.675, 65.007], [-22.581, 64.98], [-22.581, 64.987], [-22.628, 65.014], [-22.603, 65.029], [-22.567, 65.034], [-22.563, 65.048], [-22.545, 65.053], [-22.462, 65.051], [-22.38, 65.058], [-22.246, 65.048], [-22.156, 65.028], [-22.12, 65.041], [-22.045, 65.041], [-21.984, 65.028], [-21.962, 65.034], [-21.937, 65.028], [-21.825, 65.034], [-21.8, 65.045], [-21.8, 65.056], [-21.818, 65.067], [-21.847, 65.07], [-21.836, 65.082], [-21.811, 65.088], [-21.778, 65.109], [-21.739, 65.159], [-21.735, 65.193], [-21.768, 65.208], [-21.811, 65.207], [-21.84, 65.193], [-21.832, 65.178], [-21.984, 65.124], [-22.034, 65.115], [-22.318, 65.139], [-22.401, 65.166], [-22.419, 65.161], [-22.513, 65.154], [-22.538, 65.159], [-22.556, 65.17], [-22.513, 65.176], [-22.491, 65.186], [-22.477, 65.178], [-22.455, 65.178], [-22.455, 65.186], [-22.48, 65.193], [-22.552, 65.186], [-22.524, 65.215], [-22.491, 65.234], [-22.444, 65.244], [-22.426, 65.252], [-22.43, 65.267], [-22.416, 65.271], [-22.38, 65.267], [-22.34, 65.296], [-22.311, 65.305], [-22.2, 65.318], [-22.106, 65.348], [-22.07, 65.367], [-22.005, 65.381], [-21.984, 65.392], [-21.991, 65.397], [-21.976, 65.397], [-21.951, 65.386], [-21.937, 65.386], [-21.948, 65.406], [-21.886, 65.421], [-21.757, 65.438], [-21.696, 65.453], [-21.793, 65.44], [-21.897, 65.446], [-21.976, 65.44], [-21.937, 65.467], [-21.973, 65.482], [-21.991, 65.507], [-22.045, 65.5], [-22.041, 65.487], [-22.048, 65.482], [-22.063, 65.484], [-22.113, 65.529], [-22.11, 65.497], [-22.135, 65.473], [-22.171, 65.46], [-22.189, 65.436], [-22.2, 65.433], [-22.254, 65.433], [-22.282, 65.452], [-22.34, 65.473], [-22.383, 65.484], [-22.387, 65.492], [-22.369, 65.507], [-22.347, 65.514], [-22.236, 65.524], [-22.164, 65.541], [-22.153, 65.546], [-22.149, 65.576], [-22.106, 65.597], [-22.135, 65.593], [-22.21, 65.549], [-22.275, 65.531], [-22.347, 65.529], [-22.347, 65.536], [-22.304, 65.548], [-22.293, 65.563], [-22.311, 65.561], [-22.372, 65.538], [-22.416, 65.549], [-22.408, 65.524], [-22.423, 65.517], [-22.48, 65.507], [-22.495, 65.511], [-22.506, 65.529], [-22.502, 65.57], [-22.545, 65.634], [-22.56, 65.625], [-22.56, 65.609], [-22.542, 65.576], [-22.545, 65.561], [-22.578, 65.536], [-22.588, 65.536], [-22.632, 65.566], [-22.639, 65.539], [-22.657, 65.527], [-22.678, 65.533], [-22.707, 65.571], [-22.704, 65.605], [-22.682, 65.624], [-22.693, 65.629], [-22.711, 65.624], [-22.736, 65.632], [-22.758, 65.63], [-22.765, 65.619], [-22.743, 65.585], [-22.718, 65.507], [-22.732, 65.502], [-22.786, 65.507], [-22.779, 65.522], [-22.797, 65.534], [-22.844, 65.531], [-22.855, 65.533], [-22.855, 65.541], [-22.887, 65.541], [-22.887, 65.549], [-22.819, 65.585], [-22.794, 65.59], [-22.801, 65.602], [-22.855, 65.619], [-22.858, 65.595], [-22.88, 65.576], [-22.905, 65.566], [-22.927, 65.573], [-22.941, 65.607], [-22.952, 65.61], [-22.963, 65.563], [-22.984, 65.551], [-23.074, 65.538], [-23.128, 65.549], [-23.157, 65.563], [-23.154, 65.583], [-23.182, 65.576], [-23.2, 65.556], [-23.2, 65.534], [-23.182, 65.522], [-23.182, 65.514], [-23.233, 65.487], [-23.316, 65.489], [-23.373, 65.499], [-23.395, 65.514], [-23.409, 65.514], [-23.424, 65.507], [-23.409, 65.5], [-23.492, 65.479], [-23.625, 65.467], [-23.658, 65.473], [-23.661, 65.458], [-23.715, 65.426], [-23.899, 65.404], [-23.942, 65.408], [-23.985, 65.419], [-23.978, 65.435], [-24.003, 65.453], [-23.985, 65.453], [-23.971, 65.446], [-23.967, 65.465], [-23.985, 65.473], [-24.01, 65.473], [-24.018, 65.46], [-24.043, 65.475], [-24.198, 65.5], [-24.482, 65.489], [-24.518, 65.492], [-24.54, 65.507], [-24.475, 65.527], [-24.453, 65.546], [-24.374, 65.57], [-24.367, 65.619], [-24.302, 65.639], [-24.277, 65.637], [-24.18, 65.612], [-24.136, 65.607], [-24.079, 65.576], [-24.043, 65.566], [-23.971, 65.558], [-23.924, 65.529], [-23.892, 65.522], [-23.863, 65.522], [-23.805, 65.536], [-23.852, 65.534], [-23.895, 65.541], [-23.942, 65.573], [-24.01, 65.6], [-24.086, 65.651], [-23.935, 65.639], [-23.838, 65.614], [-23.805, 65.61], [-23.852, 65.639], [-24.046, 65.685], [-24.122, 65.74], [-24.122, 65.766], [-24.136, 65.789], [-24.093, 65.804], [-24.05, 65.803], [-23.629, 65.706], [-23.568, 65.673], [-23.557, 65.654], [-23.578, 65.619], [-23.56, 65.614], [-23.499, 65.646], [-23.478, 65.632], [-23.467, 65.641], [-23.413, 65.636], [-23.388, 65.639], [-23.388, 65.646], [-23.402, 65.649], [-23.409, 65.659], [-23.391, 65.659], [-23.348, 65.673], [-23.298, 65.673], [-23.287, 65.679], [-23.406, 65.674], [-23.46, 65.683], [-23.499, 65.693], [-23.539, 65.723], [-23.467, 65.74], [-23.438, 65.732], [-23.355, 65.737], [-23.308, 65.749], [-23.244, 65.74], [-23.226, 65.749], [-23.251, 65.755], [-23.251, 65.761], [-23.19, 65.782], [-23.244, 65.779], [-23.319, 65.757], [-23.589, 65.761], [-23.643, 65.769], [-23.676, 65.782], [-23.73, 65.774], [-23.812, 65.816], [-23.845, 65.843], [-23.866, 65.875], [-23.863, 65.906], [-23.82, 65.926], [-23.802, 65.926], [-23.744, 65.912], [-23.668, 65.906], [-23.6, 65.879], [-23.582, 65.877], [-23.517, 65.885], [-23.395, 65.864], [-23.355, 65.864], [-23.244, 65.836], [-23.211, 65.843], [-23.294, 65.855], [-23.319, 65.869], [-23.402, 65.87], [-23.474, 65.896], [-23.578, 65.906], [-23.654, 65.943], [-23.719, 65.961], [-23.762, 65.98], [-23.812, 66.012], [-23.809, 66.058], [-23.791, 66.071], [-23.751, 66.076], [-23.701, 66.071], [-23.517, 66.027], [-23.467, 66.021], [-23.431, 66.029], [-23.413, 66], [-23.373, 65.988], [-23.424, 66.036], [-23.442, 66.043], [-23.546, 66.059], [-23.668, 66.117], [-23.636, 66.129], [-23.55, 66.132], [-23.485, 66.127], [-23.395, 66.098], [-23.42, 66.107], [-23.46, 66.134], [-23.481, 66.139], [-23.578, 66.137], [-23.6, 66.146], [-23.6, 66.152], [-23.56, 66.176], [-23.485, 66.186], [-23.485, 66.2], [-23.46, 66.205], [-23.305, 66.186], [-23.204, 66.156], [-23.172, 66.152], [-23.128, 66.13], [-23.11, 66.112], [-23.107, 66.076], [-23.056, 66.108], [-23.038, 66.112], [-23.028, 66.108], [-22.984, 66.08], [-22.977, 66.034], [-23.06, 65.967], [-22.956, 66.022], [-22.941, 66.046], [-22.93, 66.049], [-22.909, 66.039], [-22.894, 66.015], [-22.902, 66.007], [-22.855, 66.029], [-22.84, 66.022], [-22.88, 65.975], [-22.909, 65.956], [-22.941, 65.946], [-22.884, 65.951], [-22.822, 66.005], [-22.808, 65.978], [-22.826, 65.926], [-22.819, 65.912], [-22.786, 65.96], [-22.783, 66.009], [-22.765, 66.049], [-22.75, 66.058], [-22.682, 66.056], [-22.668, 66.031], [-22.621, 66.009], [-22.578, 65.978], [-22.585, 65.941], [-22.599, 65.926], [-22.592, 65.919], [-22.646, 65.86], [-22.657, 65.842], [-22.65, 65.833], [-22.635, 65.835], [-22.545, 65.946], [-22.538, 65.975], [-22.516, 65.975], [-22.477, 65.939], [-22.459, 65.941], [-22.448, 65.933], [-22.455, 65.911], [-22.441, 65.906], [-22.437, 65.921], [-22.43, 65.928], [-22.423, 65.926], [-22.43, 65.885], [-22.47, 65.836], [-22.43, 65.847], [-22.394, 65.902], [-22.362, 65.912], [-22.362, 65.919], [-22.394, 65.948], [-22.408, 65.988], [-22.423, 66.002], [-22.462, 66.026], [-22.484, 66.029], [-22.448, 66.076], [-22.394, 66.085], [-22.38, 66.098], [-22.488, 66.076], [-22.57, 66.093], [-22.628, 66.117], [-22.866, 66.159], [-22.938, 66.189], [-22.977, 66.235], [-22.93, 66.247], [-22.75, 66.262], [-22.606, 66.247], [-22.567, 66.223], [-22.552, 66.221], [-22.538, 66.227], [-22.56, 66.249], [-22.484, 66.252], [-22.441, 66.265], [-22.39, 66.267], [-22.369, 66.276], [-22.502, 66.267], [-22.545, 66.276], [-22.56, 66.286], [-22.545, 66.286], [-22.502, 66.306], [-22.47, 66.309], [-22.47, 66.316], [-22.491, 66.323], [-22.545, 66.303], [-22.596, 66.292], [-22.653, 66.289], [-22.711, 66.296], [-22.704, 66.314], [-22.682, 66.323], [-22.675, 66.352], [-22.657, 66.363], [-22.606, 66.372], [-22.65, 66.368], [-22.765, 66.324], [-22.822, 66.316], [-22.837, 66.323], [-22.801, 66.357], [-22.801, 66.365], [-22.833, 66.358], [-22.869, 66.345], [-22.909, 66.314], [-22.941, 66.301], [-23.1, 66.318], [-23.139, 66.328], [-23.19, 66.355], [-23.175, 66.365], [-23.139, 66.365], [-23.089, 66.358], [-23.046, 66.36], [-23.024, 66.392], [-23.053, 66.394], [-23.085, 66.404], [-23.136, 66.433], [-23.103, 66.443], [-23.013, 66.419], [-23.031, 66.441], [-22.923, 66.448], [-22.909, 66.443], [-22.894, 66.426], [-22.873, 66.424], [-22.869, 66.441], [-22.952, 66.466], [-22.851, 66.466], [-22.833, 66.465], [-22.797, 66.449], [-22.75, 66.443], [-22.696, 66.419], [-22.671, 66.421], [-22.606, 66.446], [-22.614, 66.46], [-22.574, 66.466], [-22.509, 66.441], [-22.426, 66.427], [-22.43, 66.449], [-22.455, 66.458], [-22.462, 66.466], [-22.43, 66.465], [-22.401, 66.453], [-22.376, 66.433], [-22.369, 66.409], [-22.351, 66.394], [-22.268, 66.375], [-22.243, 66.357], [-22.257, 66.346], [-22.246, 66.341], [-22.203, 66.338], [-22.203, 66.33], [-22.221, 66.333], [-22.228, 66.328], [-22.228, 66.309], [-22.214, 66.289], [-22.228, 66.276], [-22.218, 66.269], [-22.171, 66.282], [-22.146, 66.279], [-22.128, 66.269], [-22.106, 66.287], [-22.088, 66.289], [-22.081, 66.282], [-22.088, 66.269], [-22.016, 66.272], [-21.998, 66.269], [-21.98, 66.276], [-21.922, 66.242], [-21.93, 66.233], [-21.991, 66.213], [-21.976, 66.21], [-21.937, 66.221], [-21.876, 66.205], [-21.854, 66.193], [-21.814, 66.2], [-21.75, 66.186], [-21.757, 66.173], [-21.739, 66.167], [-21.732, 66.156], [-21.732, 66.144], [-21.742, 66.139], [-21.728, 66.118], [-21.724, 66.083], [-21.703, 66.071], [-21.652, 66.078], [-21.642, 66.071], [-21.638, 66.056], [-21.667, 66.022], [-21.638, 66.027], [-21.62, 66.039], [-21.62, 66.063], [-21.642, 66.083], [-21.595, 66.097], [-21.548, 66.098], [-21.526, 66.076], [-21.508, 66.073], [-21.552, 66.056], [-21.559, 66.046], [-21.534, 66.026], [-21.508, 66.017], [-21.4, 66.029], [-21.35, 66.021], [-21.318, 65.988], [-21.458, 65.982], [-21.487, 65.973], [-21.606, 65.96], [-21.588, 65.946], [-21.559, 65.948], [-21.505, 65.96], [-21.411, 65.968], [-21.379, 65.96], [-21.436, 65.939], [-21.436, 65.933], [-21.328, 65.945], [-21.303, 65.936], [-21.285, 65.899], [-21.296, 65.885], [-21.325, 65.879], [-21.278, 65.864], [-21.278, 65.857], [-21.346, 65.796], [-21.375, 65.784], [-21.476, 65.769], [-21.476, 65.761], [-21.418, 65.764], [-21.332, 65.74], [-21.415, 65.7], [-21.444, 65.691], [-21.58, 65.693], [-21.649, 65.732], [-21.66, 65.755], [-21.685, 65.769], [-21.717, 65.776], [-21.75, 65.776], [-21.778, 65.769], [-21.71, 65.755], [-21.667, 65.728], [-21.667, 65.708], [-21.688, 65.693], [-21.663, 65.681], [-21.656, 65.663], [-21.634, 65.651], [-21.609, 65.642], [-21.444, 65.644], [-21.415, 65.637], [-21.4, 65.624], [-21.411, 65.612], [-21.483, 65.57], [-21.483, 65.563], [-21.433, 65.573], [-21.372, 65.597], [-21.321, 65.602], [-21.3, 65.56], [-21.321, 65.522], [-21.372, 65.487], [-21.429, 65.462], [-21.476, 65.453], [-21.476, 65.446], [-21.375, 65.463], [-21.314, 65.48], [-21.278, 65.473], [-21.249, 65.453], [-21.213, 65.438], [-21.202, 65.428], [-21.21, 65.411], [-21.195, 65.408], [-21.192, 65.401], [-21.192, 65.31], [-21.141, 65.247], [-21.148, 65.24], [-21.127, 65.232], [-21.109, 65.215], [-21.098, 65.197], [-21.105, 65.173], [-21.091, 65.166], [-21.073, 65.173], [-21.066, 65.186], [-21.087, 65.234], [-21.12, 65.267], [-21.098, 65.283], [-21.098, 65.298], [-21.08, 65.308], [-21.073, 65.325], [-21.098, 65.445], [-21.087, 65.46], [-21.055, 65.452], [-20.961, 65.354], [-20.914, 65.343], [-20.907, 65.35], [-20.958, 65.404], [-20.976, 65.438], [-20.986, 65.49], [-20.983, 65.522], [-20.961, 65.541], [-20.947, 65.576], [-20.918, 65.602], [-20.806, 65.639], [-20.745, 65.673], [-20.691, 65.683], [-20.688, 65.693], [-20.677, 65.695], [-20.648, 65.679], [-20.626, 65.679], [-20.623, 65.671], [-20.634, 65.664], [-20.641, 65.625], [-20.634, 65.59], [-20.648, 65.556], [-20.637, 65.544], [-20.612, 65.549], [-20.623, 65.583], [-20.608, 65.592], [-20.576, 65.576], [-20.58, 65.536], [-20.551, 65.529], [-20.526, 65.5], [-20.49, 65.494], [-20.472, 65.495], [-20.454, 65.502], [-20.428, 65.549], [-20.464, 65.57], [-20.518, 65.57], [-20.529, 65.576], [-20.454, 65.585], [-20.41, 65.597], [-20.4, 65.587], [-20.403, 65.543], [-20.389, 65.529], [-20.392, 65.544], [-20.374, 65.568], [-20.389, 65.583], [-20.328, 65.627], [-20.317, 65.659], [-20.27, 65.664], [-20.292, 65.668], [-20.31, 65.693], [-20.281, 65.703], [-20.27, 65.713], [-20.263, 65.745], [-20.27, 65.771], [-20.292, 65.794], [-20.338, 65.823], [-20.338, 65.83], [-20.313, 65.84], [-20.324, 65.87], [-20.392, 65.946], [-20.407, 65.997], [-20.45, 66.029], [-20.432, 66.039], [-20.414, 66.071], [-20.428, 66.083], [-20.407, 66.091], [-20.342, 66.09], [-20.306, 66.103], [-20.256, 66.103], [-20.184, 66.132], [-20.137, 66.124], [-20.115, 66.124], [-20.094, 66.132], [-20.086, 66.11], [-20.072, 66.097], [-20.029, 66.083], [-20.036, 66.076], [-20.011, 66.049], [-19.928, 65.975], [-19.942, 65.96], [-19.878, 65.924], [-19.881, 65.906], [-19.863, 65.899], [-19.744, 65.882], [-19.726, 65.872], [-19.708, 65.87], [-19.694, 65.843], [-19.665, 65.816], [-19.658, 65.776], [-19.629, 65.752], [-19.579, 65.747], [-19.557, 65.733], [-19.543, 65.762], [-19.514, 65.761], [-19.489, 65.749], [-19.449, 65.747], [-19.467, 65.737], [-19.456, 65.728], [-19.428, 65.74], [-19.417, 65.754], [-19.399, 65.836], [-19.42, 65.885], [-19.453, 65.926], [-19.51, 65.953], [-19.51, 65.96], [-19.5, 65.978], [-19.449, 65.988], [-19.413, 66.007], [-19.442, 66.031], [-19.449, 66.059], [-19.42, 66.076], [-19.363, 66.088], [-19.23, 66.098], [-19.183, 66.083], [-19.158, 66.081], [-19.161, 66.098], [-19.136, 66.105], [-19.125, 66.103], [-19.132, 66.09], [-19.078, 66.073], [-19.057, 66.071], [-19.071, 66.075], [-19.093, 66.098], [-19.086, 66.103], [-19.104, 66.112], [-19.078, 66.159], [-19.035, 66.178], [-18.945, 66.191], [-18.913, 66.184], [-18.92, 66.152], [-18.888, 66.164], [-18.866, 66.186], [-18.873, 66.2], [-18.855, 66.205], [-18.826, 66.203], [-18.776, 66.193], [-18.805, 66.142], [-18.794, 66.142], [-18.722, 66.173], [-18.693, 66.169], [-18.621, 66.132], [-18.661, 66.09], [-18.632, 66.091], [-18.596, 66.105], [-18.546, 66.083], [-18.517, 66.029], [-18.538, 65.975], [-18.47, 65.967], [-18.423, 65.955], [-18.337, 65.946], [-18.312, 65.923], [-18.286, 65.916], [-18.261, 65.872], [-18.225, 65.872], [-18.218, 65.869], [-18.207, 65.855], [-18.204, 65.808], [-18.178, 65.782], [-18.178, 65.733], [-18.092, 65.693], [-18.092, 65.663], [-18.081, 65.647], [-18.063, 65.646], [-18.052, 65.658], [-18.06, 65.695], [-18.07, 65.706], [-18.106, 65.72], [-18.11, 65.732], [-18.099, 65.749], [-18.099, 65.782], [-18.074, 65.793], [-18.063, 65.815], [-18.099, 65.879], [-18.099, 65.899], [-18.114, 65.897], [-18.157, 65.926], [-18.175, 65.912], [-18.229, 65.939], [-18.218, 65.953], [-18.222, 65.967], [-18.236, 65.977], [-18.265, 65.985], [-18.297, 66.015], [-18.29, 66.029], [-18.315, 66.058], [-18.33, 66.103], [-18.322, 66.151], [-18.297, 66.179], [-18.283, 66.183], [-18.193, 66.179], [-18.142, 66.166], [-18.085, 66.166], [-18.092, 66.159], [-18.052, 66.149], [-17.955, 66.161], [-17.912, 66.152], [-17.887, 66.117], [-17.815, 66.113], [-17.714, 66.061], [-17.674, 66.007], [-17.624, 65.987], [-17.548, 65.912], [-17.545, 65.931], [-17.577, 65.975], [-17.534, 65.977], [-17.494, 65.988], [-17.588, 65.985], [-17.61, 65.994], [-17.451, 65.995], [-17.412, 65.96], [-17.408, 65.975], [-17.419, 65.994], [-17.394, 66.005], [-17.394, 66.029], [-17.368, 66.043], [-17.365, 66.083], [-17.325, 66.11], [-17.26, 66.13], [-17.253, 66.154], [-17.271, 66.161], [-17.246, 66.183], [-17.217, 66.194], [-17.156, 66.203], [-17.145, 66.221], [-17.12, 66.211], [-17.019, 66.206], [-16.99, 66.2], [-16.933, 66.139], [-16.933, 66.124], [-16.947, 66.124], [-16.947, 66.117], [-16.922, 66.112], [-16.897, 66.117], [-16.918, 66.124], [-16.882, 66.135], [-16.756, 66.149], [-16.72, 66.146], [-16.738, 66.146], [-16.782, 66.132], [-16.753, 66.113], [-16.713, 66.142], [-16.699, 66.146], [-16.63, 66.102], [-16.598, 66.098], [-16.598, 66.103], [-16.656, 66.127], [-16.666, 66.159], [-16.688, 66.166], [-16.641, 66.179], [-16.573, 66.188], [-16.53, 66.2], [-16.508, 66.2], [-16.598, 66.178], [-16.623, 66.166], [-16.515, 66.179], [-16.49, 66.171], [-16.454, 66.147], [-16.425, 66.146], [-16.425, 66.152], [-16.479, 66.178], [-16.486, 66.189], [-16.472, 66.218], [-16.44, 66.235], [-16.422, 66.262], [-16.422, 66.287], [-16.458, 66.321], [-16.472, 66.323], [-16.479, 66.35], [-16.515, 66.367], [-16.508, 66.385], [-16.522, 66.385], [-16.508, 66.399], [-16.53, 66.419], [-16.508, 66.419], [-16.508, 66.426], [-16.526, 66.436], [-16.544, 66.468], [-16.573, 66.482], [-16.566, 66.495], [-16.544, 66.507], [-16.522, 66.509], [-16.512, 66.488], [-16.501, 66.488], [-16.476, 66.515], [-16.429, 66.52], [-16.432, 66.492], [-16.411, 66.482], [-16.418, 66.502], [-16.364, 66.515], [-16.328, 66.497], [-16.31, 66.495], [-16.332, 66.488], [-16.314, 66.482], [-16.274, 66.487], [-16.234, 66.519], [-16.227, 66.503], [-16.216, 66.502], [-16.188, 66.532], [-16.137, 66.536], [-16.08, 66.525], [-16.022, 66.537], [-15.939, 66.503], [-15.892, 66.495], [-15.932, 66.475], [-15.939, 66.46], [-15.928, 66.461], [-15.925, 66.455], [-15.946, 66.446], [-15.925, 66.433], [-15.939, 66.424], [-15.849, 66.422], [-15.831, 66.426], [-15.835, 66.406], [-15.741, 66.406], [-15.705, 66.395], [-15.68, 66.345], [-15.72, 66.313], [-15.774, 66.289], [-15.763, 66.276], [-15.748, 66.281], [-15.691, 66.265], [-15.698, 66.235], [-15.684, 66.228], [-15.612, 66.227], [-15.565, 66.233], [-15.55, 66.221], [-15.529, 66.227], [-15.511, 66.201], [-15.482, 66.196], [-15.421, 66.173], [-15.381, 66.151], [-15.356, 66.159], [-15.37, 66.166], [-15.352, 66.171], [-15.331, 66.198], [-15.338, 66.252], [-15.331, 66.262], [-15.302, 66.269], [-15.18, 66.269], [-15.108, 66.279], [-15.097, 66.303], [-15.025, 66.321], [-14.992, 66.362], [-14.924, 66.385], [-14.841, 66.392], [-14.755, 66.372]]],
+    [[[-17.75, 63.717], [-17.743, 63.704], [-17.764, 63.682], [-17.772, 63.68], [-17.761, 63.69], [-17.768, 63.699], [-17.822, 63.692], [-17.822, 63.7], [-17.79, 63.714], [-17.764, 63.719]]],
+    [[[-18.009, 66.564], [-17.977, 66.549], [-17.98, 66.539], [-17.998, 66.534], [-18.016, 66.546], [-18.02, 66.561]]],
+    [[[-20.263, 63.445], [-20.252, 63.43], [-20.281, 63.403], [-20.306, 63.435], [-20.302, 63.445], [-20.284, 63.451], [-20.259, 63.451]]],
+    [[[-18.38, 66.012], [-18.358, 65.994], [-18.358, 65.982], [-18.369, 65.978], [-18.384, 65.98], [-18.398, 65.99], [-18.416, 66.024], [-18.409, 66.027]]]
+  ] },
+  { code: 'DK', name: 'Denmark', polygons: [
+    [[[8.66, 54.896], [8.667, 54.913], [8.66, 54.92], [8.674, 54.949], [8.642, 55.023], [8.645, 55.055], [8.681, 55.133], [8.577, 55.144], [8.563, 55.143], [8.559, 55.097], [8.541, 55.09], [8.516, 55.07], [8.498, 55.065], [8.469, 55.079], [8.458, 55.104], [8.469, 55.178], [8.491, 55.197], [8.53, 55.2], [8.573, 55.193], [8.595, 55.182], [8.552, 55.161], [8.555, 55.149], [8.671, 55.138], [8.689, 55.141], [8.689, 55.161], [8.667, 55.195], [8.649, 55.28], [8.66, 55.327], [8.631, 55.418], [8.617, 55.438], [8.591, 55.45], [8.555, 55.455], [8.491, 55.455], [8.44, 55.464], [8.401, 55.486], [8.311, 55.563], [8.311, 55.57], [8.332, 55.572], [8.332, 55.578], [8.314, 55.583], [8.267, 55.58], [8.249, 55.572], [8.239, 55.558], [8.242, 55.548], [8.271, 55.531], [8.242, 55.518], [8.267, 55.514], [8.318, 55.489], [8.325, 55.472], [8.314, 55.469], [8.17, 55.534], [8.109, 55.54], [8.095, 55.55], [8.095, 55.563], [8.17, 55.688], [8.185, 55.769], [8.127, 55.987], [8.138, 55.989], [8.152, 55.977], [8.174, 55.901], [8.192, 55.874], [8.195, 55.862], [8.181, 55.828], [8.192, 55.811], [8.347, 55.869], [8.386, 55.892], [8.393, 55.909], [8.386, 55.926], [8.357, 55.958], [8.318, 55.985], [8.318, 56.017], [8.307, 56.053], [8.282, 56.077], [8.249, 56.09], [8.17, 56.11], [8.149, 56.112], [8.141, 56.104], [8.134, 55.994], [8.12, 55.997], [8.109, 56.024], [8.102, 56.097], [8.134, 56.205], [8.123, 56.551], [8.177, 56.673], [8.199, 56.7], [8.213, 56.711], [8.221, 56.71], [8.231, 56.688], [8.203, 56.641], [8.231, 56.634], [8.253, 56.607], [8.307, 56.598], [8.293, 56.593], [8.293, 56.568], [8.307, 56.554], [8.318, 56.563], [8.311, 56.578], [8.343, 56.585], [8.393, 56.585], [8.437, 56.58], [8.455, 56.568], [8.516, 56.544], [8.53, 56.548], [8.559, 56.578], [8.566, 56.578], [8.595, 56.532], [8.591, 56.521], [8.602, 56.5], [8.649, 56.475], [8.728, 56.483], [8.743, 56.497], [8.75, 56.553], [8.764, 56.563], [8.728, 56.586], [8.71, 56.588], [8.703, 56.593], [8.699, 56.612], [8.681, 56.617], [8.681, 56.627], [8.696, 56.634], [8.743, 56.635], [8.804, 56.696], [8.861, 56.708], [8.915, 56.708], [8.919, 56.711], [8.894, 56.716], [8.851, 56.716], [8.84, 56.722], [8.876, 56.764], [8.955, 56.803], [8.973, 56.806], [9.016, 56.798], [9.027, 56.799], [9.045, 56.813], [9.063, 56.813], [9.106, 56.801], [9.121, 56.764], [9.164, 56.73], [9.175, 56.708], [9.149, 56.705], [9.117, 56.679], [9.092, 56.674], [9.099, 56.659], [9.059, 56.634], [9.049, 56.62], [9.052, 56.575], [9.059, 56.566], [9.077, 56.568], [9.092, 56.578], [9.106, 56.61], [9.157, 56.613], [9.142, 56.625], [9.121, 56.62], [9.149, 56.661], [9.157, 56.661], [9.149, 56.639], [9.175, 56.635], [9.211, 56.639], [9.247, 56.632], [9.275, 56.634], [9.286, 56.62], [9.283, 56.61], [9.25, 56.578], [9.261, 56.576], [9.279, 56.553], [9.311, 56.541], [9.315, 56.531], [9.326, 56.531], [9.347, 56.553], [9.362, 56.544], [9.373, 56.553], [9.373, 56.566], [9.351, 56.571], [9.311, 56.558], [9.293, 56.561], [9.301, 56.608], [9.326, 56.669], [9.304, 56.696], [9.29, 56.705], [9.272, 56.703], [9.232, 56.693], [9.2, 56.676], [9.178, 56.676], [9.167, 56.689], [9.182, 56.701], [9.225, 56.716], [9.243, 56.747], [9.239, 56.754], [9.203, 56.764], [9.175, 56.806], [9.175, 56.818], [9.211, 56.852], [9.207, 56.875], [9.164, 56.894], [9.2, 56.939], [9.25, 56.973], [9.275, 56.977], [9.29, 56.997], [9.437, 57.024], [9.47, 57.024], [9.585, 56.997], [9.574, 56.978], [9.581, 56.973], [9.607, 56.97], [9.689, 57.039], [9.761, 57.059], [9.808, 57.053], [9.916, 57.059], [9.855, 57.088], [9.794, 57.107], [9.733, 57.066], [9.711, 57.061], [9.675, 57.08], [9.581, 57.049], [9.495, 57.049], [9.247, 57.002], [9.225, 57.007], [9.113, 57.059], [9.121, 57.046], [9.113, 57.039], [9.056, 57.02], [9.027, 57.017], [9.031, 57.024], [9.013, 57.031], [8.998, 57.029], [8.962, 57.01], [8.948, 57.012], [8.901, 56.987], [8.894, 57], [8.872, 57.005], [8.851, 57.004], [8.833, 56.997], [8.847, 56.988], [8.811, 56.97], [8.761, 56.956], [8.725, 56.961], [8.678, 56.953], [8.667, 56.946], [8.663, 56.926], [8.62, 56.894], [8.609, 56.85], [8.57, 56.818], [8.548, 56.818], [8.491, 56.794], [8.483, 56.781], [8.491, 56.732], [8.476, 56.716], [8.527, 56.716], [8.534, 56.703], [8.527, 56.695], [8.501, 56.689], [8.455, 56.703], [8.408, 56.689], [8.408, 56.681], [8.455, 56.689], [8.501, 56.674], [8.57, 56.691], [8.588, 56.689], [8.588, 56.654], [8.609, 56.63], [8.584, 56.61], [8.548, 56.602], [8.559, 56.593], [8.541, 56.593], [8.512, 56.607], [8.487, 56.625], [8.469, 56.652], [8.444, 56.664], [8.372, 56.681], [8.318, 56.722], [8.303, 56.764], [8.26, 56.777], [8.242, 56.777], [8.264, 56.718], [8.26, 56.705], [8.246, 56.705], [8.235, 56.771], [8.249, 56.813], [8.271, 56.843], [8.451, 57.004], [8.505, 57.034], [8.588, 57.107], [8.617, 57.123], [8.653, 57.122], [8.735, 57.107], [8.782, 57.105], [8.876, 57.117], [8.915, 57.127], [8.962, 57.157], [8.98, 57.161], [9.232, 57.14], [9.322, 57.147], [9.412, 57.166], [9.499, 57.198], [9.574, 57.243], [9.787, 57.459], [9.895, 57.532], [9.931, 57.568], [9.967, 57.591], [10.017, 57.596], [10.107, 57.593], [10.197, 57.601], [10.28, 57.622], [10.352, 57.649], [10.471, 57.718], [10.539, 57.743], [10.564, 57.75], [10.597, 57.752], [10.626, 57.748], [10.651, 57.736], [10.593, 57.726], [10.543, 57.699], [10.46, 57.63], [10.431, 57.571], [10.46, 57.525], [10.51, 57.485], [10.546, 57.436], [10.518, 57.392], [10.518, 57.34], [10.539, 57.237], [10.521, 57.221], [10.471, 57.201], [10.446, 57.184], [10.395, 57.117], [10.384, 57.074], [10.348, 57.01], [10.32, 56.997], [10.273, 56.998], [10.24, 56.993], [10.158, 57.024], [10.093, 57.061], [10.053, 57.069], [10.021, 57.088], [9.995, 57.093], [9.974, 57.086], [9.945, 57.061], [9.927, 57.059], [9.945, 57.058], [9.967, 57.073], [10.003, 57.085], [10.024, 57.08], [10.122, 57.022], [10.154, 57.014], [10.194, 56.993], [10.294, 56.988], [10.312, 56.983], [10.28, 56.956], [10.266, 56.907], [10.294, 56.779], [10.32, 56.737], [10.341, 56.718], [10.327, 56.708], [10.284, 56.716], [10.237, 56.716], [10.204, 56.703], [10.168, 56.72], [10.147, 56.722], [10.057, 56.698], [10.028, 56.684], [9.992, 56.678], [9.945, 56.657], [9.805, 56.647], [9.805, 56.641], [9.851, 56.635], [10.003, 56.661], [10.05, 56.674], [10.064, 56.689], [10.089, 56.681], [10.114, 56.686], [10.125, 56.693], [10.136, 56.713], [10.15, 56.715], [10.183, 56.708], [10.176, 56.696], [10.24, 56.688], [10.284, 56.689], [10.334, 56.705], [10.352, 56.681], [10.359, 56.649], [10.341, 56.62], [10.273, 56.592], [10.215, 56.558], [10.204, 56.517], [10.212, 56.505], [10.208, 56.49], [10.183, 56.47], [10.215, 56.47], [10.226, 56.475], [10.226, 56.541], [10.237, 56.554], [10.28, 56.571], [10.312, 56.597], [10.33, 56.603], [10.352, 56.597], [10.359, 56.561], [10.395, 56.544], [10.471, 56.521], [10.55, 56.516], [10.788, 56.536], [10.824, 56.534], [10.87, 56.516], [10.903, 56.483], [10.964, 56.448], [10.964, 56.443], [10.942, 56.429], [10.928, 56.406], [10.924, 56.357], [10.91, 56.335], [10.82, 56.261], [10.773, 56.244], [10.755, 56.228], [10.752, 56.185], [10.737, 56.154], [10.708, 56.151], [10.672, 56.166], [10.651, 56.188], [10.687, 56.196], [10.687, 56.222], [10.654, 56.234], [10.629, 56.237], [10.55, 56.178], [10.575, 56.112], [10.546, 56.102], [10.518, 56.104], [10.507, 56.11], [10.492, 56.141], [10.525, 56.154], [10.51, 56.169], [10.467, 56.178], [10.438, 56.168], [10.41, 56.164], [10.356, 56.201], [10.377, 56.203], [10.41, 56.218], [10.428, 56.222], [10.46, 56.207], [10.478, 56.203], [10.492, 56.217], [10.474, 56.232], [10.474, 56.245], [10.503, 56.277], [10.478, 56.281], [10.442, 56.299], [10.417, 56.293], [10.402, 56.298], [10.395, 56.276], [10.37, 56.271], [10.338, 56.234], [10.312, 56.215], [10.258, 56.19], [10.233, 56.171], [10.219, 56.147], [10.258, 56.098], [10.266, 56.073], [10.262, 56.055], [10.23, 56.017], [10.255, 56.024], [10.273, 56.024], [10.276, 56.017], [10.251, 55.987], [10.251, 55.931], [10.244, 55.914], [10.219, 55.889], [10.201, 55.886], [10.183, 55.874], [10.197, 55.862], [10.201, 55.85], [10.183, 55.833], [10.172, 55.832], [10.15, 55.838], [10.125, 55.874], [10.104, 55.882], [10.006, 55.881], [9.992, 55.877], [9.97, 55.859], [9.945, 55.854], [9.891, 55.855], [9.866, 55.852], [9.891, 55.837], [10.046, 55.815], [10.017, 55.766], [10.021, 55.757], [10.06, 55.756], [10.06, 55.749], [10.017, 55.737], [10.006, 55.725], [10.017, 55.708], [10.006, 55.702], [9.981, 55.71], [9.873, 55.692], [9.823, 55.676], [9.794, 55.675], [9.733, 55.688], [9.686, 55.708], [9.581, 55.708], [9.56, 55.715], [9.556, 55.712], [9.553, 55.702], [9.574, 55.695], [9.646, 55.695], [9.711, 55.659], [9.74, 55.629], [9.855, 55.627], [9.758, 55.572], [9.711, 55.56], [9.707, 55.538], [9.643, 55.528], [9.607, 55.518], [9.56, 55.524], [9.567, 55.518], [9.553, 55.506], [9.517, 55.499], [9.499, 55.489], [9.535, 55.484], [9.603, 55.496], [9.661, 55.479], [9.661, 55.453], [9.65, 55.442], [9.585, 55.428], [9.607, 55.393], [9.599, 55.366], [9.621, 55.359], [9.646, 55.342], [9.65, 55.334], [9.635, 55.325], [9.635, 55.318], [9.682, 55.274], [9.707, 55.264], [9.711, 55.249], [9.686, 55.197], [9.643, 55.188], [9.585, 55.195], [9.52, 55.165], [9.495, 55.161], [9.488, 55.156], [9.495, 55.139], [9.513, 55.139], [9.513, 55.133], [9.481, 55.134], [9.455, 55.126], [9.466, 55.121], [9.52, 55.116], [9.56, 55.085], [9.535, 55.065], [9.499, 55.05], [9.452, 55.045], [9.434, 55.038], [9.441, 55.023], [9.455, 55.023], [9.513, 55.036], [9.538, 55.035], [9.567, 55.048], [9.581, 55.05], [9.603, 55.045], [9.664, 55.009], [9.733, 54.996], [9.761, 54.898], [9.751, 54.893], [9.711, 54.898], [9.704, 54.886], [9.729, 54.879], [9.743, 54.866], [9.751, 54.846], [9.747, 54.835], [9.733, 54.832], [9.718, 54.835], [9.697, 54.859], [9.653, 54.857], [9.625, 54.866], [9.635, 54.879], [9.61, 54.903], [9.643, 54.913], [9.639, 54.925], [9.614, 54.933], [9.585, 54.928], [9.545, 54.879], [9.524, 54.879], [9.455, 54.844], [9.441, 54.832], [9.437, 54.81], [9.405, 54.808], [9.383, 54.82], [9.333, 54.803], [9.243, 54.802], [9.225, 54.807], [9.211, 54.842], [9.196, 54.851], [8.984, 54.879], [8.905, 54.898], [8.825, 54.906], [8.8, 54.905], [8.732, 54.889], [8.696, 54.889]]],
+    [[[11.846, 54.732], [11.835, 54.724], [11.814, 54.719], [11.806, 54.709], [11.846, 54.699], [11.842, 54.677], [11.81, 54.655], [11.767, 54.646], [11.612, 54.667], [11.562, 54.66], [11.511, 54.646], [11.475, 54.626], [11.454, 54.628], [11.36, 54.66], [11.299, 54.692], [11.187, 54.732], [11.032, 54.761], [11.011, 54.771], [11, 54.786], [11.007, 54.803], [11.032, 54.812], [11.09, 54.81], [11.108, 54.832], [11.079, 54.84], [11.025, 54.879], [11.018, 54.886], [11.018, 54.903], [11.032, 54.92], [11.076, 54.949], [11.09, 54.943], [11.23, 54.962], [11.338, 54.92], [11.367, 54.881], [11.418, 54.869], [11.594, 54.812], [11.587, 54.829], [11.572, 54.839], [11.572, 54.847], [11.594, 54.859], [11.623, 54.859], [11.655, 54.866], [11.644, 54.889], [11.648, 54.913], [11.727, 54.873], [11.731, 54.859], [11.756, 54.84], [11.77, 54.834], [11.788, 54.832], [11.774, 54.825], [11.788, 54.807], [11.839, 54.783], [11.85, 54.773], [11.857, 54.744]]],
+    [[[10.449, 54.9], [10.485, 54.884], [10.5, 54.874], [10.5, 54.859], [10.518, 54.852], [10.442, 54.842], [10.406, 54.825], [10.384, 54.83], [10.212, 54.94], [10.194, 54.962], [10.19, 54.977], [10.312, 54.928], [10.348, 54.896], [10.363, 54.893], [10.392, 54.896], [10.388, 54.92], [10.402, 54.908], [10.417, 54.879], [10.428, 54.873], [10.446, 54.873], [10.46, 54.874], [10.464, 54.883]]],
+    [[[12.418, 55.03], [12.505, 55.019], [12.537, 55.003], [12.555, 54.969], [12.544, 54.952], [12.501, 54.949], [12.386, 54.964], [12.35, 54.96], [12.282, 54.935], [12.228, 54.893], [12.21, 54.886], [12.177, 54.889], [12.116, 54.908], [12.116, 54.913], [12.13, 54.913], [12.123, 54.923], [12.13, 54.932], [12.148, 54.94], [12.13, 54.954], [12.152, 54.969], [12.163, 54.972], [12.177, 54.969], [12.184, 54.976], [12.177, 54.989], [12.192, 54.989], [12.231, 54.976], [12.285, 54.989], [12.282, 55.008], [12.296, 55.016], [12.296, 55.023], [12.253, 55.043], [12.249, 55.053], [12.264, 55.065], [12.282, 55.065], [12.303, 55.041], [12.336, 55.033]]],
+    [[[10.01, 54.976], [10.064, 54.891], [10.064, 54.881], [10.021, 54.879], [9.967, 54.859], [9.938, 54.871], [9.873, 54.886], [9.873, 54.893], [9.902, 54.901], [9.992, 54.873], [9.992, 54.879], [9.945, 54.903], [9.887, 54.913], [9.855, 54.9], [9.815, 54.901], [9.779, 54.916], [9.761, 54.943], [9.765, 54.976], [9.758, 54.976], [9.758, 54.982], [9.826, 54.945], [9.848, 54.949], [9.833, 54.965], [9.841, 54.971], [9.794, 54.992], [9.787, 55.001], [9.797, 55.016], [9.707, 55.013], [9.686, 55.018], [9.668, 55.03], [9.697, 55.05], [9.646, 55.045], [9.628, 55.05], [9.628, 55.058], [9.718, 55.082], [9.751, 55.085], [9.794, 55.08], [9.851, 55.04], [9.884, 55.03], [9.931, 55.026], [9.959, 55.014], [9.988, 54.998]]],
+    [[[10.856, 55.043], [10.863, 55.072], [10.896, 55.121], [10.935, 55.16], [10.957, 55.155], [10.91, 55.03], [10.838, 54.937], [10.741, 54.753], [10.719, 54.736], [10.694, 54.736], [10.683, 54.744], [10.658, 54.803], [10.647, 54.815], [10.6, 54.839], [10.626, 54.839], [10.654, 54.852], [10.683, 54.888], [10.698, 54.881], [10.723, 54.886], [10.719, 54.908], [10.701, 54.901], [10.683, 54.908], [10.698, 54.932], [10.773, 54.987], [10.798, 54.996]]],
+    [[[15.151, 55.133], [15.136, 55.119], [15.147, 55.095], [15.144, 55.087], [15.108, 55.045], [15.115, 55.018], [15.072, 54.992], [14.982, 55.001], [14.859, 55.038], [14.78, 55.052], [14.683, 55.101], [14.697, 55.122], [14.708, 55.236], [14.737, 55.266], [14.762, 55.31], [14.852, 55.247], [14.928, 55.215], [14.953, 55.219], [14.974, 55.215], [15, 55.188], [15.086, 55.155], [15.133, 55.146]]],
+    [[[8.476, 55.345], [8.451, 55.34], [8.426, 55.355], [8.401, 55.381], [8.365, 55.448], [8.375, 55.464], [8.408, 55.469], [8.411, 55.438], [8.429, 55.433], [8.447, 55.435], [8.462, 55.428], [8.451, 55.393]]],
+    [[[10.665, 55.065], [10.622, 55.065], [10.586, 55.058], [10.539, 55.03], [10.518, 55.031], [10.478, 55.043], [10.388, 55.05], [10.352, 55.065], [10.312, 55.063], [10.233, 55.092], [10.204, 55.094], [10.197, 55.085], [10.197, 55.065], [10.143, 55.092], [10.082, 55.087], [10.068, 55.092], [10.143, 55.126], [10.158, 55.139], [10.114, 55.183], [10.093, 55.188], [10.057, 55.18], [10.039, 55.182], [10.017, 55.195], [10.003, 55.197], [9.992, 55.188], [9.995, 55.173], [10.028, 55.143], [10.024, 55.126], [9.985, 55.128], [9.988, 55.151], [9.97, 55.185], [9.981, 55.214], [9.923, 55.224], [9.895, 55.239], [9.88, 55.259], [9.895, 55.274], [9.895, 55.291], [9.88, 55.315], [9.884, 55.349], [9.873, 55.354], [9.83, 55.352], [9.801, 55.362], [9.779, 55.381], [9.83, 55.389], [9.841, 55.399], [9.787, 55.415], [9.819, 55.415], [9.79, 55.431], [9.736, 55.438], [9.704, 55.462], [9.704, 55.469], [9.787, 55.437], [9.812, 55.442], [9.715, 55.491], [9.675, 55.496], [9.682, 55.506], [9.718, 55.518], [9.754, 55.545], [9.808, 55.55], [9.826, 55.548], [9.841, 55.524], [9.887, 55.509], [9.941, 55.519], [10.039, 55.558], [10.168, 55.582], [10.212, 55.6], [10.237, 55.605], [10.273, 55.605], [10.28, 55.585], [10.294, 55.589], [10.294, 55.616], [10.309, 55.619], [10.406, 55.583], [10.453, 55.55], [10.489, 55.546], [10.518, 55.533], [10.503, 55.538], [10.485, 55.538], [10.474, 55.533], [10.471, 55.521], [10.492, 55.502], [10.485, 55.494], [10.456, 55.489], [10.42, 55.459], [10.435, 55.442], [10.471, 55.443], [10.492, 55.465], [10.503, 55.464], [10.608, 55.492], [10.604, 55.506], [10.579, 55.514], [10.568, 55.524], [10.572, 55.533], [10.6, 55.518], [10.615, 55.528], [10.593, 55.578], [10.615, 55.565], [10.608, 55.612], [10.629, 55.614], [10.658, 55.595], [10.705, 55.55], [10.708, 55.528], [10.737, 55.509], [10.744, 55.496], [10.741, 55.487], [10.705, 55.47], [10.658, 55.46], [10.572, 55.462], [10.554, 55.443], [10.564, 55.437], [10.593, 55.442], [10.59, 55.45], [10.597, 55.46], [10.683, 55.448], [10.798, 55.359], [10.834, 55.29], [10.827, 55.29], [10.816, 55.301], [10.798, 55.308], [10.78, 55.305], [10.773, 55.286], [10.806, 55.251], [10.816, 55.214], [10.806, 55.178], [10.788, 55.149], [10.784, 55.124], [10.759, 55.106], [10.734, 55.072], [10.705, 55.063]]],
+    [[[12.616, 55.688], [12.674, 55.602], [12.638, 55.578], [12.555, 55.55], [12.534, 55.57], [12.519, 55.597], [12.519, 55.619], [12.53, 55.632], [12.566, 55.654], [12.609, 55.702]]],
+    [[[10.561, 55.865], [10.582, 55.894], [10.579, 55.911], [10.568, 55.928], [10.528, 55.941], [10.514, 55.952], [10.518, 55.977], [10.543, 55.997], [10.557, 55.995], [10.564, 55.953], [10.579, 55.936], [10.604, 55.925], [10.629, 55.921], [10.615, 55.901], [10.622, 55.881], [10.64, 55.865], [10.665, 55.887], [10.669, 55.881], [10.629, 55.845], [10.622, 55.828], [10.626, 55.795], [10.615, 55.778], [10.582, 55.759], [10.546, 55.766], [10.521, 55.788], [10.51, 55.825], [10.518, 55.845]]],
+    [[[12.04, 54.893], [12.098, 54.898], [12.17, 54.844], [12.17, 54.839], [12.08, 54.797], [12.022, 54.736], [11.976, 54.709], [11.961, 54.694], [11.972, 54.606], [11.968, 54.57], [11.95, 54.569], [11.929, 54.584], [11.925, 54.597], [11.868, 54.66], [11.882, 54.697], [11.911, 54.722], [11.875, 54.729], [11.871, 54.739], [11.882, 54.756], [11.81, 54.805], [11.799, 54.837], [11.749, 54.873], [11.742, 54.925], [11.731, 54.935], [11.713, 54.94], [11.713, 54.949], [11.76, 54.969], [11.803, 54.949], [11.839, 54.965], [11.85, 54.959], [11.864, 54.964], [11.882, 54.976], [11.882, 54.982], [11.842, 55.03], [11.756, 55.05], [11.727, 55.065], [11.666, 55.067], [11.648, 55.072], [11.616, 55.092], [11.67, 55.085], [11.774, 55.057], [11.828, 55.05], [11.806, 55.074], [11.745, 55.101], [11.716, 55.126], [11.803, 55.134], [11.81, 55.139], [11.806, 55.146], [11.785, 55.158], [11.727, 55.155], [11.713, 55.168], [11.727, 55.177], [11.734, 55.2], [11.716, 55.209], [11.695, 55.209], [11.648, 55.182], [11.526, 55.202], [11.508, 55.209], [11.493, 55.204], [11.425, 55.222], [11.367, 55.209], [11.299, 55.209], [11.299, 55.202], [11.32, 55.195], [11.284, 55.195], [11.263, 55.2], [11.245, 55.215], [11.238, 55.242], [11.252, 55.236], [11.266, 55.236], [11.281, 55.242], [11.288, 55.256], [11.266, 55.249], [11.241, 55.249], [11.241, 55.278], [11.234, 55.285], [11.162, 55.318], [11.151, 55.328], [11.187, 55.335], [11.191, 55.345], [11.184, 55.35], [11.151, 55.354], [11.122, 55.332], [11.108, 55.332], [11.086, 55.359], [11.086, 55.366], [11.115, 55.364], [11.14, 55.369], [11.158, 55.381], [11.205, 55.393], [11.216, 55.404], [11.212, 55.416], [11.202, 55.421], [11.198, 55.453], [11.166, 55.502], [11.137, 55.516], [11.115, 55.518], [11.086, 55.507], [11.079, 55.513], [11.09, 55.534], [11.137, 55.543], [11.148, 55.558], [11.133, 55.595], [11.086, 55.627], [11.04, 55.644], [10.932, 55.659], [10.932, 55.668], [11.086, 55.659], [11.072, 55.676], [11.007, 55.692], [10.986, 55.702], [10.96, 55.724], [10.942, 55.729], [10.892, 55.732], [10.874, 55.737], [10.874, 55.742], [11.032, 55.729], [11.162, 55.749], [11.162, 55.742], [11.14, 55.744], [11.122, 55.737], [11.137, 55.719], [11.162, 55.705], [11.194, 55.7], [11.22, 55.708], [11.176, 55.729], [11.191, 55.737], [11.198, 55.73], [11.252, 55.729], [11.27, 55.732], [11.302, 55.747], [11.353, 55.756], [11.364, 55.766], [11.374, 55.808], [11.349, 55.838], [11.374, 55.828], [11.4, 55.827], [11.421, 55.832], [11.443, 55.845], [11.479, 55.842], [11.504, 55.869], [11.511, 55.908], [11.479, 55.941], [11.45, 55.948], [11.385, 55.952], [11.306, 55.968], [11.281, 55.979], [11.274, 55.997], [11.4, 55.962], [11.428, 55.965], [11.58, 55.952], [11.601, 55.941], [11.641, 55.943], [11.713, 55.955], [11.749, 55.968], [11.767, 55.97], [11.781, 55.962], [11.738, 55.921], [11.749, 55.911], [11.745, 55.904], [11.727, 55.903], [11.713, 55.908], [11.716, 55.921], [11.673, 55.916], [11.662, 55.908], [11.713, 55.859], [11.731, 55.83], [11.716, 55.811], [11.67, 55.815], [11.655, 55.811], [11.626, 55.791], [11.608, 55.791], [11.608, 55.783], [11.623, 55.779], [11.673, 55.783], [11.72, 55.798], [11.738, 55.798], [11.763, 55.749], [11.684, 55.74], [11.666, 55.737], [11.659, 55.73], [11.684, 55.722], [11.731, 55.724], [11.745, 55.73], [11.763, 55.722], [11.788, 55.702], [11.796, 55.688], [11.781, 55.659], [11.81, 55.68], [11.857, 55.732], [11.842, 55.756], [11.868, 55.805], [11.886, 55.813], [11.936, 55.825], [11.954, 55.854], [11.911, 55.916], [11.918, 55.935], [11.936, 55.933], [11.968, 55.913], [11.997, 55.903], [11.997, 55.86], [12.03, 55.816], [12.048, 55.776], [12.051, 55.737], [12.026, 55.715], [11.99, 55.724], [11.972, 55.722], [11.958, 55.693], [11.922, 55.675], [11.911, 55.659], [11.929, 55.658], [11.958, 55.665], [11.983, 55.68], [11.986, 55.695], [12.001, 55.698], [12.033, 55.686], [12.04, 55.675], [12.008, 55.68], [12.012, 55.67], [12.062, 55.654], [12.091, 55.707], [12.094, 55.729], [12.055, 55.838], [12.051, 55.887], [12.026, 55.941], [12.012, 55.955], [11.994, 55.96], [11.972, 55.96], [11.864, 55.94], [11.85, 55.948], [11.864, 55.974], [12.012, 56.031], [12.166, 56.104], [12.246, 56.129], [12.328, 56.127], [12.415, 56.098], [12.487, 56.098], [12.624, 56.044], [12.609, 56.028], [12.566, 55.997], [12.512, 55.928], [12.512, 55.921], [12.555, 55.882], [12.577, 55.83], [12.602, 55.798], [12.588, 55.724], [12.602, 55.708], [12.58, 55.693], [12.541, 55.649], [12.505, 55.634], [12.487, 55.61], [12.465, 55.605], [12.422, 55.619], [12.404, 55.619], [12.332, 55.595], [12.31, 55.583], [12.249, 55.546], [12.199, 55.487], [12.224, 55.435], [12.274, 55.41], [12.354, 55.404], [12.436, 55.364], [12.465, 55.29], [12.393, 55.256], [12.184, 55.227], [12.141, 55.209], [12.12, 55.192], [12.109, 55.171], [12.116, 55.155], [12.109, 55.144], [12.098, 55.141], [12.08, 55.146], [12.087, 55.168], [12.076, 55.182], [12.055, 55.185], [12.015, 55.168], [12.012, 55.158], [12.048, 55.139], [12.13, 55.136], [12.17, 55.129], [12.177, 55.106], [12.166, 55.092], [12.12, 55.074], [12.127, 55.072], [12.163, 55.023], [12.163, 55.004], [12.148, 54.994], [12.105, 54.989], [12.055, 54.971], [12.033, 54.969], [11.997, 54.977], [11.943, 55.006], [11.911, 55.009], [11.918, 55.003], [11.896, 54.996], [11.9, 54.976], [11.882, 54.94], [11.889, 54.93], [11.918, 54.922], [11.932, 54.928], [11.925, 54.94], [11.958, 54.949], [11.983, 54.92]]],
+    [[[11.511, 56.696], [11.511, 56.71], [11.522, 56.715], [11.605, 56.72], [11.648, 56.73], [11.648, 56.722], [11.619, 56.711], [11.58, 56.681], [11.544, 56.679], [11.526, 56.684]]],
+    [[[8.825, 56.744], [8.771, 56.716], [8.768, 56.698], [8.685, 56.686], [8.66, 56.678], [8.649, 56.681], [8.62, 56.713], [8.588, 56.737], [8.563, 56.744], [8.527, 56.737], [8.516, 56.738], [8.523, 56.755], [8.552, 56.769], [8.545, 56.791], [8.573, 56.803], [8.645, 56.808], [8.667, 56.826], [8.656, 56.825], [8.62, 56.831], [8.656, 56.867], [8.649, 56.874], [8.653, 56.894], [8.761, 56.906], [8.793, 56.914], [8.815, 56.911], [8.869, 56.963], [8.89, 56.955], [8.915, 56.98], [8.93, 56.977], [8.908, 56.95], [8.923, 56.922], [8.901, 56.875], [8.887, 56.867], [8.883, 56.887], [8.869, 56.894], [8.84, 56.88], [8.836, 56.868], [8.847, 56.853], [8.854, 56.819], [8.865, 56.809], [8.879, 56.806], [8.869, 56.798], [8.854, 56.798], [8.869, 56.791]]],
+    [[[11.144, 57.333], [11.169, 57.333], [11.191, 57.326], [11.198, 57.302], [11.191, 57.294], [11.144, 57.301], [11.068, 57.291], [11.083, 57.284], [11.094, 57.269], [11.09, 57.253], [11.029, 57.201], [10.996, 57.198], [10.978, 57.206], [10.953, 57.233], [10.917, 57.237], [10.888, 57.245], [10.856, 57.265], [10.856, 57.27], [10.888, 57.275], [10.946, 57.304], [11.011, 57.309], [11.029, 57.321], [11.101, 57.321]]]
+  ] },
+  { code: 'NO', name: 'Norway', polygons: [
+    [[[20.623, 69.036], [20.101, 69.023], [20.342, 68.91], [20.356, 68.805], [20.338, 68.766], [20.238, 68.66], [20.151, 68.607], [19.964, 68.542], [20.245, 68.477], [20.011, 68.364], [19.971, 68.351], [19.932, 68.351], [19.482, 68.423], [19.039, 68.506], [18.7, 68.496], [18.643, 68.501], [18.438, 68.574], [18.171, 68.537], [18.157, 68.518], [18.135, 68.396], [18.189, 68.199], [18.168, 68.158], [17.923, 67.973], [17.894, 67.969], [17.322, 68.106], [17.3, 68.098], [17.221, 68.04], [16.807, 67.91], [16.782, 67.897], [16.609, 67.647], [16.483, 67.557], [16.429, 67.534], [16.368, 67.522], [16.198, 67.508], [16.18, 67.496], [16.126, 67.422], [16.44, 67.201], [16.414, 67.052], [16.4, 67.035], [16.371, 67.024], [16.31, 67.01], [16.126, 66.934], [16.04, 66.887], [15.669, 66.6], [15.428, 66.492], [15.482, 66.341], [15.493, 66.287], [15.482, 66.276], [15.054, 66.154], [14.539, 66.125], [14.643, 65.843], [14.65, 65.803], [14.56, 65.701], [14.51, 65.465], [14.514, 65.318], [14.481, 65.289], [14.402, 65.256], [14.38, 65.24], [14.334, 65.114], [14.312, 65.083], [14.172, 64.992], [13.642, 64.584], [13.941, 64.491], [14.06, 64.477], [14.096, 64.465], [14.114, 64.442], [14.161, 64.205], [14.161, 64.187], [14.146, 64.168], [13.963, 64.009], [13.236, 64.091], [12.984, 64.058], [12.757, 63.991], [12.681, 63.957], [12.483, 63.81], [12.292, 63.657], [12.17, 63.597], [12.22, 63.496], [12.22, 63.474], [12.206, 63.454], [11.994, 63.288], [12.224, 63.001], [12.105, 62.924], [12.094, 62.907], [12.156, 62.733], [12.156, 62.711], [12.102, 62.633], [12.091, 62.586], [12.285, 62.336], [12.314, 62.285], [12.318, 62.235], [12.163, 61.725], [12.177, 61.711], [12.292, 61.651], [12.339, 61.634], [12.415, 61.583], [12.444, 61.573], [12.584, 61.561], [12.613, 61.548], [12.876, 61.37], [12.89, 61.35], [12.84, 61.227], [12.739, 61.142], [12.703, 61.046], [12.681, 61.041], [12.57, 61.051], [12.512, 61.049], [12.282, 61.016], [12.253, 61.002], [12.256, 60.982], [12.314, 60.902], [12.35, 60.793], [12.379, 60.754], [12.483, 60.658], [12.609, 60.487], [12.613, 60.455], [12.595, 60.394], [12.559, 60.36], [12.49, 60.311], [12.494, 60.263], [12.523, 60.198], [12.526, 60.161], [12.512, 60.117], [12.483, 60.082], [12.447, 60.051], [12.292, 59.959], [12.145, 59.898], [12.102, 59.894], [11.943, 59.903], [11.889, 59.893], [11.85, 59.872], [11.842, 59.839], [11.853, 59.823], [11.886, 59.805], [11.904, 59.785], [11.893, 59.705], [11.828, 59.66], [11.695, 59.623], [11.677, 59.607], [11.67, 59.58], [11.785, 59.361], [11.806, 59.293], [11.81, 59.249], [11.774, 59.202], [11.749, 59.14], [11.745, 59.092], [11.666, 58.92], [11.612, 58.893], [11.547, 58.885], [11.482, 58.886], [11.454, 58.896], [11.454, 58.961], [11.439, 58.991], [11.403, 59.038], [11.389, 59.08], [11.371, 59.101], [11.346, 59.111], [11.313, 59.116], [11.216, 59.111], [11.184, 59.116], [11.169, 59.135], [11.176, 59.141], [11.205, 59.146], [11.18, 59.165], [11.176, 59.197], [11.137, 59.184], [11.151, 59.175], [11.155, 59.163], [11.137, 59.143], [11.119, 59.143], [11.086, 59.175], [11.101, 59.135], [11.09, 59.128], [11.032, 59.128], [11.04, 59.143], [11.007, 59.16], [11, 59.172], [10.95, 59.184], [10.935, 59.184], [10.946, 59.165], [10.935, 59.14], [10.917, 59.143], [10.899, 59.163], [10.903, 59.197], [10.881, 59.187], [10.849, 59.18], [10.842, 59.162], [10.824, 59.163], [10.802, 59.189], [10.78, 59.189], [10.784, 59.205], [10.766, 59.232], [10.773, 59.253], [10.737, 59.217], [10.734, 59.241], [10.744, 59.268], [10.78, 59.314], [10.762, 59.315], [10.734, 59.334], [10.723, 59.33], [10.701, 59.307], [10.672, 59.315], [10.662, 59.359], [10.644, 59.374], [10.658, 59.4], [10.654, 59.408], [10.636, 59.417], [10.597, 59.423], [10.6, 59.45], [10.644, 59.493], [10.658, 59.498], [10.662, 59.474], [10.651, 59.444], [10.662, 59.438], [10.676, 59.44], [10.687, 59.45], [10.69, 59.481], [10.662, 59.504], [10.651, 59.526], [10.647, 59.572], [10.658, 59.596], [10.626, 59.638], [10.615, 59.697], [10.597, 59.685], [10.575, 59.7], [10.561, 59.726], [10.564, 59.749], [10.6, 59.813], [10.615, 59.834], [10.654, 59.857], [10.68, 59.827], [10.719, 59.737], [10.759, 59.85], [10.744, 59.883], [10.752, 59.889], [10.69, 59.911], [10.665, 59.889], [10.622, 59.896], [10.593, 59.883], [10.528, 59.883], [10.474, 59.85], [10.474, 59.842], [10.5, 59.834], [10.485, 59.803], [10.492, 59.731], [10.518, 59.688], [10.539, 59.675], [10.582, 59.661], [10.6, 59.644], [10.615, 59.607], [10.593, 59.57], [10.543, 59.535], [10.485, 59.514], [10.438, 59.518], [10.424, 59.533], [10.428, 59.607], [10.399, 59.688], [10.37, 59.707], [10.334, 59.712], [10.298, 59.732], [10.266, 59.739], [10.24, 59.739], [10.226, 59.724], [10.269, 59.697], [10.359, 59.673], [10.381, 59.658], [10.392, 59.638], [10.395, 59.587], [10.381, 59.535], [10.363, 59.526], [10.269, 59.558], [10.237, 59.56], [10.269, 59.525], [10.33, 59.496], [10.37, 59.455], [10.46, 59.44], [10.478, 59.43], [10.482, 59.411], [10.446, 59.364], [10.446, 59.349], [10.46, 59.335], [10.5, 59.32], [10.514, 59.303], [10.489, 59.285], [10.471, 59.248], [10.453, 59.249], [10.417, 59.265], [10.37, 59.273], [10.359, 59.271], [10.359, 59.238], [10.366, 59.226], [10.363, 59.219], [10.334, 59.216], [10.316, 59.18], [10.312, 59.128], [10.291, 59.135], [10.287, 59.114], [10.305, 59.06], [10.273, 59.114], [10.269, 59.048], [10.262, 59.038], [10.226, 59.114], [10.212, 59.067], [10.233, 59.04], [10.23, 59.028], [10.208, 59.016], [10.176, 59.005], [10.14, 58.999], [10.114, 59.005], [10.125, 59.015], [10.161, 59.028], [10.168, 59.035], [10.165, 59.052], [10.15, 59.052], [10.078, 59.021], [10.06, 59.018], [10.035, 59.032], [10.017, 59.033], [10.035, 58.993], [10.014, 58.972], [9.985, 58.961], [9.956, 58.957], [9.848, 58.956], [9.812, 58.964], [9.837, 58.972], [9.844, 58.989], [9.837, 59.01], [9.783, 59.052], [9.765, 59.052], [9.758, 59.033], [9.725, 59.06], [9.707, 59.064], [9.704, 59.087], [9.689, 59.091], [9.682, 59.047], [9.668, 59.052], [9.65, 59.074], [9.643, 59.102], [9.628, 59.108], [9.639, 59.118], [9.632, 59.131], [9.599, 59.116], [9.538, 59.121], [9.56, 59.102], [9.621, 59.075], [9.635, 59.05], [9.653, 59.037], [9.693, 59.03], [9.725, 59.015], [9.725, 58.984], [9.718, 58.984], [9.704, 58.998], [9.686, 58.984], [9.657, 58.984], [9.657, 58.977], [9.679, 58.972], [9.689, 58.957], [9.664, 58.959], [9.596, 58.944], [9.607, 58.929], [9.574, 58.922], [9.47, 58.929], [9.509, 58.912], [9.524, 58.9], [9.513, 58.895], [9.47, 58.902], [9.455, 58.898], [9.452, 58.881], [9.427, 58.893], [9.398, 58.898], [9.373, 58.895], [9.362, 58.881], [9.394, 58.89], [9.405, 58.881], [9.383, 58.868], [9.34, 58.863], [9.319, 58.866], [9.297, 58.881], [9.272, 58.834], [9.311, 58.826], [9.355, 58.841], [9.38, 58.844], [9.427, 58.841], [9.452, 58.834], [9.437, 58.82], [9.365, 58.792], [9.409, 58.8], [9.409, 58.792], [9.373, 58.778], [9.34, 58.751], [9.308, 58.739], [9.25, 58.734], [9.081, 58.744], [9.07, 58.741], [9.063, 58.724], [9.142, 58.709], [9.167, 58.716], [9.099, 58.738], [9.214, 58.721], [9.218, 58.702], [9.185, 58.692], [9.095, 58.69], [9.059, 58.684], [9.182, 58.687], [9.2, 58.672], [9.153, 58.643], [9.034, 58.594], [8.991, 58.601], [8.969, 58.587], [8.948, 58.601], [8.912, 58.608], [8.919, 58.596], [8.941, 58.587], [8.948, 58.579], [8.951, 58.547], [8.944, 58.527], [8.926, 58.513], [8.822, 58.452], [8.753, 58.427], [8.707, 58.38], [8.642, 58.365], [8.62, 58.339], [8.606, 58.332], [8.588, 58.334], [8.581, 58.348], [8.545, 58.312], [8.512, 58.294], [8.505, 58.283], [8.519, 58.272], [8.501, 58.256], [8.455, 58.263], [8.437, 58.258], [8.422, 58.27], [8.408, 58.272], [8.401, 58.267], [8.408, 58.245], [8.39, 58.241], [8.354, 58.245], [8.296, 58.213], [8.242, 58.202], [8.271, 58.196], [8.249, 58.172], [8.228, 58.164], [8.224, 58.135], [8.203, 58.123], [8.174, 58.147], [8.159, 58.145], [8.123, 58.103], [8.051, 58.113], [8.026, 58.142], [8.055, 58.148], [8.08, 58.162], [8.059, 58.177], [8.03, 58.224], [8.005, 58.223], [8.023, 58.202], [8.023, 58.164], [8.008, 58.145], [7.954, 58.125], [7.933, 58.11], [7.958, 58.093], [7.915, 58.083], [7.756, 58.071], [7.695, 58.059], [7.663, 58.067], [7.652, 58.064], [7.663, 58.045], [7.641, 58.045], [7.627, 58.052], [7.63, 58.032], [7.616, 58.022], [7.594, 58.027], [7.58, 58.045], [7.58, 58.017], [7.389, 58.017], [7.267, 58.035], [7.252, 58.044], [7.249, 58.059], [7.191, 58.042], [7.177, 58.032], [7.155, 58.05], [7.083, 58.037], [7.076, 58.007], [7.007, 57.993], [6.997, 57.996], [7.004, 58.012], [7, 58.03], [7.087, 58.071], [7.115, 58.059], [7.126, 58.064], [7.148, 58.099], [7.126, 58.098], [7.065, 58.077], [7.036, 58.062], [6.957, 58.045], [6.935, 58.045], [6.979, 58.089], [6.997, 58.099], [6.979, 58.106], [6.899, 58.052], [6.914, 58.076], [6.907, 58.099], [6.867, 58.079], [6.831, 58.084], [6.813, 58.091], [6.806, 58.099], [6.871, 58.12], [6.95, 58.121], [6.975, 58.126], [6.989, 58.142], [6.903, 58.132], [6.874, 58.135], [6.802, 58.179], [6.777, 58.182], [6.813, 58.128], [6.809, 58.121], [6.759, 58.116], [6.73, 58.12], [6.716, 58.135], [6.727, 58.145], [6.723, 58.189], [6.687, 58.121], [6.705, 58.12], [6.723, 58.099], [6.784, 58.066], [6.755, 58.059], [6.723, 58.066], [6.619, 58.069], [6.597, 58.076], [6.543, 58.108], [6.532, 58.121], [6.55, 58.123], [6.568, 58.132], [6.597, 58.177], [6.655, 58.177], [6.676, 58.182], [6.655, 58.189], [6.676, 58.208], [6.727, 58.221], [6.766, 58.246], [6.845, 58.272], [6.827, 58.275], [6.802, 58.27], [6.755, 58.255], [6.698, 58.224], [6.68, 58.223], [6.633, 58.275], [6.64, 58.294], [6.655, 58.302], [6.676, 58.302], [6.694, 58.292], [6.709, 58.312], [6.687, 58.327], [6.64, 58.316], [6.619, 58.319], [6.619, 58.265], [6.626, 58.245], [6.561, 58.243], [6.5, 58.263], [6.399, 58.272], [6.349, 58.285], [6.28, 58.312], [6.23, 58.322], [6.205, 58.336], [6.14, 58.339], [6.086, 58.359], [6.05, 58.38], [6.01, 58.385], [5.978, 58.415], [5.956, 58.478], [5.927, 58.484], [5.837, 58.481], [5.798, 58.489], [5.78, 58.522], [5.74, 58.527], [5.704, 58.522], [5.647, 58.549], [5.654, 58.562], [5.571, 58.628], [5.506, 58.729], [5.477, 58.755], [5.528, 58.783], [5.539, 58.815], [5.531, 58.869], [5.564, 58.881], [5.571, 58.895], [5.549, 58.915], [5.535, 58.945], [5.539, 58.956], [5.567, 58.944], [5.596, 58.915], [5.618, 58.907], [5.625, 58.925], [5.618, 58.935], [5.549, 58.971], [5.571, 58.983], [5.593, 58.977], [5.578, 58.989], [5.542, 58.984], [5.524, 58.991], [5.542, 59.01], [5.549, 59.038], [5.715, 58.977], [5.701, 58.918], [5.715, 58.868], [5.737, 58.929], [5.755, 58.934], [5.801, 58.932], [5.819, 58.937], [5.816, 58.961], [5.852, 58.966], [5.92, 58.945], [5.971, 58.903], [6.093, 58.847], [6.136, 58.839], [6.23, 58.841], [6.205, 58.849], [6.118, 58.854], [6.064, 58.885], [6.057, 58.902], [6.064, 58.913], [6.104, 58.95], [6.125, 58.962], [6.194, 58.984], [6.626, 59.053], [6.626, 59.06], [6.352, 59.033], [6.298, 59.015], [6.161, 58.998], [6.125, 58.984], [6.035, 58.905], [5.974, 58.964], [5.985, 58.984], [6.05, 58.998], [6.01, 59.025], [5.953, 59.016], [5.935, 59.018], [5.891, 59.045], [5.877, 59.067], [5.873, 59.087], [5.891, 59.104], [5.924, 59.114], [6.021, 59.126], [6.125, 59.148], [6.089, 59.153], [6.039, 59.148], [6.01, 59.15], [6.079, 59.217], [6.125, 59.234], [6.172, 59.261], [6.251, 59.278], [6.323, 59.315], [6.37, 59.322], [6.46, 59.32], [6.46, 59.327], [6.338, 59.327], [6.313, 59.324], [6.201, 59.276], [6.154, 59.268], [6.111, 59.275], [6.086, 59.307], [6.237, 59.314], [6.237, 59.32], [6.197, 59.352], [6.197, 59.335], [6.19, 59.327], [6.172, 59.322], [6.147, 59.341], [6.122, 59.32], [6.093, 59.32], [6.068, 59.332], [6.057, 59.354], [6.053, 59.334], [6.039, 59.327], [5.996, 59.334], [5.996, 59.341], [6.043, 59.384], [6.079, 59.403], [6.154, 59.427], [6.176, 59.444], [6.19, 59.43], [6.212, 59.46], [6.223, 59.498], [6.244, 59.511], [6.428, 59.552], [6.543, 59.56], [6.503, 59.572], [6.338, 59.553], [6.273, 59.528], [6.237, 59.526], [6.28, 59.572], [6.287, 59.629], [6.313, 59.656], [6.287, 59.65], [6.266, 59.626], [6.237, 59.55], [6.154, 59.459], [6.043, 59.405], [6.028, 59.403], [6.01, 59.408], [5.999, 59.428], [5.981, 59.43], [5.989, 59.417], [5.971, 59.408], [5.971, 59.403], [5.985, 59.396], [5.996, 59.381], [5.949, 59.361], [5.924, 59.356], [5.909, 59.383], [5.888, 59.403], [5.888, 59.447], [5.924, 59.447], [6.154, 59.477], [6.133, 59.491], [6.104, 59.493], [6.075, 59.489], [6.025, 59.474], [5.902, 59.479], [5.863, 59.494], [5.834, 59.516], [5.819, 59.54], [5.809, 59.54], [5.791, 59.528], [5.776, 59.526], [5.805, 59.494], [5.809, 59.481], [5.798, 59.464], [5.776, 59.45], [5.747, 59.445], [5.722, 59.452], [5.708, 59.471], [5.715, 59.447], [5.697, 59.43], [5.647, 59.408], [5.665, 59.406], [5.737, 59.43], [5.783, 59.43], [5.852, 59.384], [5.859, 59.351], [5.783, 59.344], [5.762, 59.347], [5.751, 59.335], [5.704, 59.341], [5.697, 59.339], [5.693, 59.32], [5.679, 59.31], [5.625, 59.292], [5.611, 59.293], [5.618, 59.317], [5.632, 59.325], [5.647, 59.327], [5.647, 59.334], [5.625, 59.354], [5.585, 59.417], [5.56, 59.41], [5.571, 59.408], [5.585, 59.396], [5.567, 59.317], [5.549, 59.3], [5.506, 59.278], [5.474, 59.278], [5.434, 59.308], [5.423, 59.33], [5.441, 59.369], [5.434, 59.405], [5.413, 59.396], [5.405, 59.379], [5.405, 59.305], [5.398, 59.297], [5.391, 59.295], [5.373, 59.307], [5.351, 59.366], [5.359, 59.4], [5.348, 59.417], [5.333, 59.411], [5.33, 59.354], [5.297, 59.344], [5.233, 59.425], [5.2, 59.43], [5.182, 59.511], [5.2, 59.525], [5.243, 59.526], [5.243, 59.531], [5.2, 59.54], [5.2, 59.547], [5.236, 59.56], [5.29, 59.601], [5.305, 59.628], [5.344, 59.648], [5.366, 59.653], [5.387, 59.65], [5.402, 59.606], [5.413, 59.596], [5.427, 59.636], [5.398, 59.67], [5.438, 59.709], [5.488, 59.737], [5.481, 59.724], [5.503, 59.71], [5.506, 59.672], [5.481, 59.621], [5.488, 59.575], [5.452, 59.547], [5.416, 59.543], [5.409, 59.509], [5.416, 59.504], [5.441, 59.518], [5.506, 59.533], [5.517, 59.54], [5.539, 59.577], [5.539, 59.599], [5.524, 59.617], [5.549, 59.665], [5.564, 59.677], [5.582, 59.678], [5.625, 59.67], [5.693, 59.67], [5.722, 59.663], [5.729, 59.648], [5.715, 59.607], [5.755, 59.609], [5.765, 59.621], [5.765, 59.646], [5.791, 59.656], [5.819, 59.66], [5.881, 59.656], [5.881, 59.677], [5.787, 59.66], [5.762, 59.663], [5.747, 59.675], [5.755, 59.688], [5.798, 59.71], [5.816, 59.729], [5.888, 59.737], [5.902, 59.764], [5.913, 59.763], [5.935, 59.744], [5.985, 59.736], [6.039, 59.746], [6.176, 59.805], [6.19, 59.807], [6.215, 59.827], [6.291, 59.84], [6.313, 59.854], [6.244, 59.844], [6.122, 59.805], [6.035, 59.764], [6.003, 59.759], [5.963, 59.759], [5.945, 59.766], [5.935, 59.78], [5.935, 59.795], [5.956, 59.807], [5.956, 59.842], [5.971, 59.861], [5.945, 59.856], [5.927, 59.822], [5.927, 59.803], [5.913, 59.791], [5.884, 59.781], [5.83, 59.773], [5.809, 59.778], [5.737, 59.829], [5.715, 59.832], [5.708, 59.839], [5.722, 59.861], [5.683, 59.842], [5.661, 59.84], [5.647, 59.854], [5.697, 59.862], [5.744, 59.883], [5.74, 59.91], [5.773, 59.932], [5.859, 59.952], [5.963, 59.957], [5.971, 59.96], [5.981, 59.981], [5.949, 59.997], [6.01, 60.058], [6.097, 60.092], [6.291, 60.122], [6.291, 60.129], [6.266, 60.127], [6.255, 60.163], [6.219, 60.146], [6.201, 60.126], [6.165, 60.116], [6.104, 60.107], [6.107, 60.134], [6.075, 60.198], [6.143, 60.215], [6.179, 60.259], [6.208, 60.276], [6.212, 60.286], [6.201, 60.3], [6.277, 60.313], [6.309, 60.338], [6.334, 60.342], [6.352, 60.369], [6.442, 60.389], [6.478, 60.42], [6.503, 60.431], [6.539, 60.435], [6.575, 60.431], [6.64, 60.416], [6.572, 60.33], [6.579, 60.306], [6.536, 60.273], [6.532, 60.263], [6.511, 60.136], [6.518, 60.08], [6.525, 60.08], [6.529, 60.165], [6.579, 60.225], [6.583, 60.239], [6.572, 60.273], [6.597, 60.295], [6.629, 60.357], [6.655, 60.382], [6.701, 60.399], [6.748, 60.447], [6.802, 60.474], [6.943, 60.492], [7.033, 60.479], [7.079, 60.479], [7.105, 60.506], [6.899, 60.506], [6.899, 60.512], [6.925, 60.517], [6.932, 60.533], [6.964, 60.539], [7.018, 60.588], [6.989, 60.59], [6.95, 60.575], [6.914, 60.553], [6.856, 60.504], [6.838, 60.496], [6.773, 60.485], [6.737, 60.472], [6.676, 60.436], [6.655, 60.433], [6.604, 60.433], [6.593, 60.443], [6.601, 60.465], [6.673, 60.501], [6.694, 60.519], [6.647, 60.512], [6.561, 60.463], [6.514, 60.45], [6.482, 60.448], [6.37, 60.425], [6.32, 60.396], [6.298, 60.389], [6.269, 60.389], [6.248, 60.398], [6.208, 60.431], [6.19, 60.472], [6.176, 60.47], [6.183, 60.44], [6.212, 60.406], [6.233, 60.396], [6.241, 60.379], [6.226, 60.374], [6.194, 60.384], [6.165, 60.374], [6.133, 60.374], [6.118, 60.369], [6.133, 60.362], [6.19, 60.355], [6.14, 60.306], [6.161, 60.286], [6.14, 60.254], [6.125, 60.247], [6.104, 60.246], [6.017, 60.273], [5.996, 60.264], [5.971, 60.217], [5.906, 60.163], [5.891, 60.159], [5.859, 60.163], [5.852, 60.138], [5.873, 60.087], [5.873, 60.051], [5.855, 60.024], [5.823, 60.008], [5.783, 60.004], [5.791, 60.019], [5.773, 60.023], [5.755, 59.991], [5.708, 60.009], [5.683, 60.04], [5.69, 60.062], [5.701, 60.067], [5.758, 60.06], [5.776, 60.065], [5.791, 60.077], [5.798, 60.094], [5.758, 60.094], [5.733, 60.08], [5.701, 60.104], [5.726, 60.119], [5.729, 60.132], [5.704, 60.159], [5.708, 60.176], [5.726, 60.187], [5.791, 60.205], [5.791, 60.212], [5.758, 60.21], [5.683, 60.19], [5.654, 60.176], [5.647, 60.149], [5.618, 60.149], [5.593, 60.139], [5.571, 60.141], [5.542, 60.163], [5.56, 60.166], [5.575, 60.176], [5.578, 60.188], [5.564, 60.197], [5.564, 60.205], [5.6, 60.207], [5.672, 60.227], [5.708, 60.232], [5.708, 60.239], [5.625, 60.237], [5.6, 60.232], [5.639, 60.264], [5.632, 60.273], [5.614, 60.273], [5.589, 60.247], [5.571, 60.239], [5.575, 60.256], [5.607, 60.276], [5.668, 60.355], [5.719, 60.371], [5.733, 60.379], [5.737, 60.393], [5.661, 60.367], [5.639, 60.347], [5.632, 60.369], [5.6, 60.333], [5.528, 60.217], [5.438, 60.171], [5.409, 60.131], [5.387, 60.144], [5.351, 60.156], [5.373, 60.163], [5.373, 60.17], [5.319, 60.181], [5.305, 60.19], [5.312, 60.2], [5.351, 60.212], [5.351, 60.217], [5.319, 60.222], [5.251, 60.207], [5.222, 60.212], [5.297, 60.249], [5.312, 60.266], [5.276, 60.264], [5.171, 60.279], [5.161, 60.284], [5.171, 60.317], [5.197, 60.323], [5.229, 60.322], [5.2, 60.338], [5.146, 60.344], [5.143, 60.352], [5.146, 60.369], [5.179, 60.389], [5.265, 60.387], [5.297, 60.396], [5.283, 60.401], [5.251, 60.431], [5.261, 60.45], [5.236, 60.474], [5.24, 60.489], [5.279, 60.523], [5.305, 60.528], [5.398, 60.482], [5.449, 60.447], [5.477, 60.435], [5.528, 60.421], [5.575, 60.414], [5.618, 60.418], [5.654, 60.431], [5.65, 60.448], [5.69, 60.462], [5.708, 60.472], [5.715, 60.484], [5.708, 60.533], [5.711, 60.604], [5.722, 60.639], [5.744, 60.656], [5.722, 60.668], [5.726, 60.686], [5.751, 60.718], [5.729, 60.707], [5.665, 60.703], [5.661, 60.712], [5.693, 60.752], [5.675, 60.757], [5.647, 60.727], [5.593, 60.698], [5.535, 60.698], [5.524, 60.686], [5.535, 60.639], [5.528, 60.629], [5.441, 60.615], [5.373, 60.58], [5.301, 60.561], [5.276, 60.56], [5.251, 60.563], [5.222, 60.575], [5.085, 60.663], [5.125, 60.661], [5.222, 60.615], [5.229, 60.62], [5.161, 60.669], [5.085, 60.712], [5.146, 60.703], [5.125, 60.725], [5.06, 60.73], [4.959, 60.794], [4.927, 60.799], [4.952, 60.808], [4.981, 60.81], [5.056, 60.779], [5.11, 60.774], [5.15, 60.751], [5.175, 60.742], [5.279, 60.722], [5.305, 60.712], [5.312, 60.676], [5.326, 60.656], [5.348, 60.641], [5.373, 60.636], [5.362, 60.639], [5.351, 60.663], [5.413, 60.632], [5.434, 60.629], [5.369, 60.675], [5.38, 60.685], [5.434, 60.663], [5.431, 60.675], [5.409, 60.688], [5.413, 60.703], [5.373, 60.718], [5.362, 60.742], [5.355, 60.745], [5.283, 60.747], [5.258, 60.761], [5.24, 60.764], [5.236, 60.776], [5.261, 60.793], [5.351, 60.813], [5.337, 60.84], [5.355, 60.854], [5.431, 60.869], [5.481, 60.862], [5.495, 60.864], [5.539, 60.875], [5.506, 60.877], [5.481, 60.884], [5.47, 60.896], [5.495, 60.909], [5.47, 60.908], [5.398, 60.882], [5.348, 60.877], [5.326, 60.869], [5.319, 60.845], [5.294, 60.823], [5.24, 60.816], [5.189, 60.828], [5.168, 60.855], [5.164, 60.832], [5.15, 60.815], [5.132, 60.811], [5.117, 60.828], [5.132, 60.835], [5.114, 60.838], [5.067, 60.835], [5.045, 60.845], [5.009, 60.909], [5.009, 60.926], [4.981, 60.951], [4.991, 60.963], [5.013, 60.965], [5.056, 60.958], [5.078, 60.95], [5.081, 60.889], [5.092, 60.877], [5.099, 60.877], [5.099, 60.951], [5.143, 60.972], [5.139, 60.992], [5.132, 60.985], [5.078, 60.972], [5.024, 60.978], [5.013, 60.982], [5.002, 61.016], [5.017, 61.046], [5.067, 61.073], [5.135, 61.076], [5.204, 61.065], [5.312, 61.032], [5.434, 61.027], [5.449, 60.995], [5.463, 60.999], [5.467, 61.007], [5.456, 61.026], [5.459, 61.049], [5.528, 61.075], [5.639, 61.06], [5.639, 61.068], [5.596, 61.085], [5.603, 61.088], [5.657, 61.095], [5.675, 61.088], [5.737, 61.11], [5.773, 61.115], [5.791, 61.105], [5.78, 61.065], [5.816, 61.087], [5.845, 61.095], [5.83, 61.108], [5.863, 61.119], [5.891, 61.122], [5.978, 61.12], [6.032, 61.115], [6.1, 61.122], [6.23, 61.102], [6.259, 61.093], [6.269, 61.076], [6.266, 61.06], [6.244, 61.046], [6.273, 61.048], [6.313, 61.068], [6.359, 61.068], [6.37, 61.056], [6.338, 61.012], [6.356, 61.011], [6.374, 61.012], [6.374, 61.038], [6.439, 61.081], [6.464, 61.09], [6.547, 61.103], [6.586, 61.142], [6.601, 61.176], [6.647, 61.157], [6.788, 61.151], [6.838, 61.139], [6.856, 61.129], [6.867, 61.09], [6.939, 61.092], [6.957, 61.088], [7.011, 61.009], [6.989, 60.99], [6.939, 60.973], [6.874, 60.938], [6.964, 60.965], [7.011, 60.972], [7.051, 60.965], [7.115, 60.94], [7.13, 60.926], [7.105, 60.862], [7.159, 60.897], [7.173, 60.924], [7.162, 60.951], [7.094, 60.963], [7.043, 61.027], [7.015, 61.051], [7, 61.093], [7.018, 61.102], [7.061, 61.107], [7.166, 61.11], [7.209, 61.139], [7.223, 61.141], [7.303, 61.13], [7.339, 61.112], [7.367, 61.105], [7.436, 61.102], [7.436, 61.108], [7.403, 61.112], [7.346, 61.142], [7.36, 61.152], [7.407, 61.168], [7.429, 61.186], [7.454, 61.193], [7.605, 61.198], [7.655, 61.206], [7.695, 61.232], [7.659, 61.23], [7.601, 61.213], [7.45, 61.198], [7.389, 61.198], [7.36, 61.206], [7.346, 61.222], [7.335, 61.274], [7.313, 61.287], [7.313, 61.308], [7.357, 61.326], [7.382, 61.379], [7.421, 61.396], [7.468, 61.438], [7.537, 61.456], [7.573, 61.485], [7.49, 61.46], [7.346, 61.389], [7.324, 61.385], [7.263, 61.396], [7.31, 61.363], [7.306, 61.348], [7.245, 61.308], [7.241, 61.298], [7.299, 61.26], [7.31, 61.218], [7.324, 61.205], [7.36, 61.191], [7.306, 61.163], [7.256, 61.169], [7.231, 61.184], [7.213, 61.184], [7.162, 61.169], [7.155, 61.154], [7.137, 61.146], [7.011, 61.129], [6.953, 61.112], [6.935, 61.115], [6.917, 61.135], [7.004, 61.184], [6.95, 61.168], [6.896, 61.163], [6.809, 61.181], [6.665, 61.195], [6.557, 61.225], [6.568, 61.24], [6.608, 61.257], [6.622, 61.269], [6.662, 61.321], [6.691, 61.34], [6.716, 61.39], [6.716, 61.401], [6.701, 61.402], [6.637, 61.309], [6.604, 61.279], [6.565, 61.266], [6.529, 61.287], [6.5, 61.269], [6.525, 61.232], [6.525, 61.213], [6.536, 61.205], [6.471, 61.211], [6.464, 61.208], [6.5, 61.193], [6.507, 61.147], [6.485, 61.13], [6.435, 61.115], [6.374, 61.114], [6.284, 61.125], [6.205, 61.149], [6.176, 61.184], [6.129, 61.159], [6.075, 61.147], [6.014, 61.149], [5.96, 61.163], [6.028, 61.188], [6.035, 61.205], [5.942, 61.169], [5.873, 61.159], [5.805, 61.156], [5.783, 61.164], [5.783, 61.196], [5.769, 61.191], [5.751, 61.156], [5.701, 61.156], [5.693, 61.146], [5.675, 61.142], [5.557, 61.137], [5.539, 61.132], [5.474, 61.095], [5.423, 61.08], [5.377, 61.08], [5.333, 61.097], [5.297, 61.129], [5.261, 61.11], [5.193, 61.105], [5.161, 61.129], [5.171, 61.141], [5.211, 61.139], [5.229, 61.142], [5.182, 61.154], [5.161, 61.156], [5.143, 61.146], [5.125, 61.146], [5.06, 61.157], [5.045, 61.163], [5.06, 61.188], [5.117, 61.186], [5.222, 61.163], [5.215, 61.184], [5.251, 61.184], [5.168, 61.222], [5.139, 61.225], [5.02, 61.217], [4.988, 61.225], [5.053, 61.233], [5.063, 61.245], [5.013, 61.237], [4.999, 61.242], [4.984, 61.257], [4.955, 61.252], [4.963, 61.266], [5.017, 61.287], [5.074, 61.296], [5.096, 61.308], [5.139, 61.306], [5.161, 61.311], [5.179, 61.34], [5.2, 61.343], [5.251, 61.335], [5.279, 61.321], [5.297, 61.301], [5.319, 61.252], [5.333, 61.255], [5.337, 61.269], [5.319, 61.318], [5.258, 61.348], [5.441, 61.367], [5.632, 61.362], [5.6, 61.375], [5.553, 61.379], [5.164, 61.357], [5.092, 61.328], [5.06, 61.323], [5.038, 61.328], [5.027, 61.34], [5.006, 61.348], [4.995, 61.362], [4.999, 61.377], [5.027, 61.402], [5.045, 61.402], [5.063, 61.375], [5.078, 61.384], [5.078, 61.411], [5.117, 61.416], [5.11, 61.431], [5.092, 61.421], [5.071, 61.417], [4.988, 61.411], [4.948, 61.411], [4.948, 61.416], [5.056, 61.445], [5.164, 61.451], [5.189, 61.465], [5.182, 61.472], [5.312, 61.45], [5.337, 61.465], [5.485, 61.431], [5.521, 61.429], [5.542, 61.438], [5.539, 61.445], [5.618, 61.458], [5.65, 61.482], [5.668, 61.485], [5.737, 61.485], [5.769, 61.455], [5.805, 61.451], [5.805, 61.458], [5.783, 61.466], [5.747, 61.493], [5.722, 61.499], [5.665, 61.499], [5.611, 61.485], [5.575, 61.465], [5.524, 61.465], [5.492, 61.455], [5.459, 61.453], [5.438, 61.46], [5.441, 61.48], [5.398, 61.487], [5.29, 61.48], [5.254, 61.495], [5.179, 61.51], [5.139, 61.524], [5.146, 61.541], [5.139, 61.554], [5.2, 61.548], [5.247, 61.554], [5.359, 61.554], [5.359, 61.561], [5.33, 61.561], [5.171, 61.586], [5.146, 61.595], [5.337, 61.595], [5.312, 61.59], [5.312, 61.583], [5.402, 61.58], [5.427, 61.59], [5.351, 61.607], [5.269, 61.615], [5.319, 61.629], [5.341, 61.644], [5.283, 61.642], [5.229, 61.629], [4.991, 61.63], [4.97, 61.635], [4.941, 61.678], [4.945, 61.688], [4.97, 61.698], [4.959, 61.706], [4.963, 61.716], [4.973, 61.725], [4.988, 61.725], [4.973, 61.738], [4.988, 61.747], [5.002, 61.752], [5.071, 61.747], [5.078, 61.732], [5.099, 61.733], [5.125, 61.718], [5.139, 61.716], [5.168, 61.725], [5.125, 61.752], [5.189, 61.769], [5.063, 61.76], [5.078, 61.774], [5.132, 61.794], [5.243, 61.818], [5.269, 61.828], [5.258, 61.835], [5.297, 61.841], [5.337, 61.841], [5.29, 61.851], [5.29, 61.862], [5.362, 61.905], [5.395, 61.911], [5.488, 61.907], [5.539, 61.897], [5.582, 61.9], [5.636, 61.889], [5.675, 61.887], [5.744, 61.848], [5.639, 61.835], [5.618, 61.814], [5.647, 61.816], [5.737, 61.835], [5.924, 61.85], [5.942, 61.845], [5.927, 61.782], [5.899, 61.75], [5.899, 61.738], [5.942, 61.769], [5.974, 61.831], [5.992, 61.835], [6.01, 61.831], [6.061, 61.808], [6.1, 61.779], [6.122, 61.77], [6.179, 61.767], [6.172, 61.781], [6.136, 61.789], [6.093, 61.818], [6.057, 61.828], [6.057, 61.835], [6.291, 61.835], [6.385, 61.808], [6.475, 61.804], [6.521, 61.814], [6.55, 61.848], [6.59, 61.87], [6.64, 61.877], [6.669, 61.873], [6.745, 61.857], [6.777, 61.841], [6.82, 61.87], [6.82, 61.877], [6.77, 61.87], [6.694, 61.884], [6.676, 61.897], [6.658, 61.889], [6.554, 61.878], [6.511, 61.835], [6.475, 61.826], [6.259, 61.857], [6.097, 61.848], [6.035, 61.87], [5.96, 61.87], [5.888, 61.884], [5.83, 61.87], [5.805, 61.857], [5.729, 61.889], [5.729, 61.897], [5.935, 61.904], [5.96, 61.911], [5.96, 61.917], [5.647, 61.924], [5.517, 61.938], [5.449, 61.926], [5.427, 61.938], [5.348, 61.927], [5.276, 61.911], [5.193, 61.912], [5.157, 61.895], [5.099, 61.917], [5.139, 61.971], [5.157, 61.976], [5.175, 61.958], [5.2, 61.971], [5.229, 61.958], [5.24, 61.961], [5.24, 61.971], [5.251, 61.978], [5.29, 61.993], [5.312, 62.027], [5.341, 62.019], [5.377, 62.015], [5.402, 62.02], [5.387, 62.034], [5.341, 62.037], [5.297, 62.068], [5.207, 62.103], [5.11, 62.11], [5.092, 62.123], [5.125, 62.13], [5.081, 62.152], [5.071, 62.164], [5.092, 62.171], [5.078, 62.184], [5.085, 62.184], [5.085, 62.191], [5.096, 62.194], [5.146, 62.191], [5.146, 62.204], [5.171, 62.214], [5.261, 62.171], [5.276, 62.169], [5.269, 62.135], [5.319, 62.106], [5.391, 62.088], [5.452, 62.063], [5.463, 62.007], [5.481, 62.014], [5.495, 62.027], [5.535, 62.079], [5.56, 62.079], [5.593, 62.068], [5.564, 62.09], [5.42, 62.11], [5.391, 62.123], [5.42, 62.176], [5.431, 62.186], [5.456, 62.191], [5.477, 62.189], [5.524, 62.174], [5.621, 62.166], [5.639, 62.157], [5.661, 62.122], [5.693, 62.113], [5.751, 62.088], [5.668, 62.144], [5.668, 62.171], [5.686, 62.179], [5.769, 62.177], [5.859, 62.204], [5.906, 62.191], [5.924, 62.164], [5.92, 62.12], [5.906, 62.093], [5.852, 62.051], [5.845, 62.02], [5.909, 62.061], [5.938, 62.088], [5.956, 62.14], [5.971, 62.139], [6.043, 62.1], [6.053, 62.086], [6.05, 62.068], [6.125, 62.083], [6.208, 62.081], [6.367, 62.061], [6.367, 62.068], [6.075, 62.115], [5.981, 62.184], [5.927, 62.199], [5.92, 62.208], [5.927, 62.226], [5.938, 62.23], [5.996, 62.211], [6.064, 62.204], [6.05, 62.211], [5.992, 62.218], [5.963, 62.245], [5.949, 62.245], [5.978, 62.28], [6.028, 62.306], [6.082, 62.323], [6.133, 62.328], [6.248, 62.361], [6.309, 62.372], [6.338, 62.353], [6.374, 62.314], [6.392, 62.28], [6.46, 62.248], [6.55, 62.171], [6.561, 62.152], [6.557, 62.139], [6.532, 62.11], [6.593, 62.135], [6.583, 62.16], [6.496, 62.253], [6.417, 62.311], [6.388, 62.365], [6.399, 62.387], [6.435, 62.397], [6.5, 62.399], [6.525, 62.39], [6.565, 62.356], [6.557, 62.399], [6.543, 62.404], [6.543, 62.41], [6.709, 62.451], [6.748, 62.434], [6.878, 62.417], [6.874, 62.356], [6.885, 62.341], [6.989, 62.274], [7.007, 62.209], [6.997, 62.182], [6.943, 62.137], [6.939, 62.122], [6.957, 62.103], [6.989, 62.09], [7.101, 62.105], [7.141, 62.117], [7.187, 62.103], [7.148, 62.13], [7.029, 62.1], [6.979, 62.113], [6.975, 62.13], [7.025, 62.167], [7.036, 62.184], [7.025, 62.26], [7.036, 62.274], [7.112, 62.28], [7.209, 62.252], [7.234, 62.257], [7.252, 62.27], [7.281, 62.28], [7.31, 62.282], [7.375, 62.245], [7.414, 62.231], [7.414, 62.24], [7.375, 62.274], [7.292, 62.297], [7.162, 62.287], [7.022, 62.304], [6.957, 62.326], [6.914, 62.37], [6.946, 62.37], [6.975, 62.377], [6.853, 62.454], [6.838, 62.459], [6.777, 62.459], [6.755, 62.464], [6.791, 62.478], [6.691, 62.478], [6.482, 62.431], [6.399, 62.426], [6.359, 62.431], [6.305, 62.459], [6.244, 62.451], [6.223, 62.459], [6.251, 62.468], [6.338, 62.473], [6.453, 62.502], [6.532, 62.502], [6.572, 62.493], [6.676, 62.493], [6.676, 62.5], [6.651, 62.503], [6.615, 62.52], [6.568, 62.51], [6.475, 62.513], [6.475, 62.52], [6.543, 62.529], [6.565, 62.527], [6.532, 62.537], [6.262, 62.527], [6.269, 62.556], [6.248, 62.574], [6.266, 62.593], [6.32, 62.608], [6.536, 62.616], [6.561, 62.611], [6.583, 62.599], [6.601, 62.583], [6.604, 62.561], [6.611, 62.561], [6.622, 62.589], [6.622, 62.601], [6.611, 62.61], [6.622, 62.62], [6.633, 62.623], [6.647, 62.61], [6.687, 62.633], [6.755, 62.655], [6.777, 62.65], [6.881, 62.601], [6.903, 62.583], [6.899, 62.576], [6.917, 62.574], [6.925, 62.579], [6.907, 62.603], [6.928, 62.623], [6.907, 62.628], [6.889, 62.643], [6.932, 62.655], [7.094, 62.65], [7.069, 62.63], [7.036, 62.623], [7.051, 62.61], [7.097, 62.613], [7.126, 62.554], [7.126, 62.534], [7.133, 62.534], [7.155, 62.574], [7.133, 62.599], [7.159, 62.63], [7.209, 62.616], [7.317, 62.605], [7.364, 62.593], [7.429, 62.549], [7.49, 62.549], [7.519, 62.54], [7.544, 62.503], [7.562, 62.517], [7.573, 62.551], [7.778, 62.574], [7.745, 62.586], [7.504, 62.566], [7.461, 62.574], [7.421, 62.598], [7.418, 62.633], [7.443, 62.645], [7.479, 62.64], [7.501, 62.62], [7.497, 62.588], [7.519, 62.584], [7.533, 62.594], [7.533, 62.613], [7.511, 62.65], [7.511, 62.664], [7.522, 62.674], [7.573, 62.682], [7.616, 62.701], [7.835, 62.733], [7.947, 62.731], [7.994, 62.736], [8.041, 62.728], [8.127, 62.694], [8.149, 62.692], [8.131, 62.718], [8.066, 62.74], [8.044, 62.76], [8.055, 62.762], [8.073, 62.78], [8.001, 62.77], [7.907, 62.763], [7.864, 62.75], [7.645, 62.728], [7.526, 62.692], [7.49, 62.687], [7.385, 62.687], [7.36, 62.697], [7.393, 62.704], [7.403, 62.713], [7.367, 62.733], [7.403, 62.738], [7.472, 62.767], [7.681, 62.794], [7.609, 62.795], [7.45, 62.772], [7.414, 62.76], [7.353, 62.755], [7.313, 62.745], [6.971, 62.726], [6.95, 62.733], [6.971, 62.736], [6.982, 62.753], [6.979, 62.76], [6.961, 62.765], [6.961, 62.784], [7.011, 62.816], [7.058, 62.826], [7.216, 62.816], [7.133, 62.849], [7.018, 62.841], [6.957, 62.887], [6.946, 62.905], [6.928, 62.912], [6.881, 62.912], [6.91, 62.929], [7, 62.951], [7.076, 62.983], [7.108, 62.991], [7.173, 62.998], [7.238, 63.015], [7.27, 63.015], [7.299, 63.005], [7.342, 62.978], [7.371, 62.973], [7.421, 62.951], [7.443, 62.919], [7.501, 62.91], [7.67, 62.979], [7.774, 62.978], [7.781, 62.973], [7.749, 62.942], [7.67, 62.919], [7.695, 62.912], [7.832, 62.949], [7.9, 62.956], [7.94, 62.978], [7.972, 62.978], [8.087, 62.946], [8.095, 62.929], [8.113, 62.919], [8.123, 62.868], [8.156, 62.816], [8.188, 62.799], [8.278, 62.787], [8.318, 62.777], [8.415, 62.726], [8.512, 62.708], [8.537, 62.689], [8.545, 62.657], [8.566, 62.682], [8.566, 62.704], [8.545, 62.721], [8.455, 62.757], [8.375, 62.777], [8.332, 62.8], [8.246, 62.816], [8.17, 62.858], [8.167, 62.876], [8.177, 62.902], [8.21, 62.912], [8.174, 62.92], [8.149, 62.951], [8.131, 62.959], [8.087, 62.968], [8.001, 63.006], [7.983, 63.027], [7.961, 63.028], [7.943, 63.02], [7.961, 63.018], [7.969, 63.006], [7.915, 63.001], [7.886, 63.005], [7.879, 63.01], [7.893, 63.023], [7.951, 63.047], [7.997, 63.093], [8.041, 63.108], [8.087, 63.109], [8.12, 63.094], [8.134, 63.081], [8.127, 63.05], [8.141, 63.037], [8.174, 63.02], [8.246, 63.008], [8.285, 62.983], [8.321, 62.978], [8.336, 62.968], [8.339, 62.959], [8.311, 62.944], [8.336, 62.912], [8.329, 62.881], [8.39, 62.89], [8.487, 62.853], [8.523, 62.844], [8.537, 62.853], [8.523, 62.871], [8.455, 62.883], [8.429, 62.897], [8.451, 62.895], [8.595, 62.87], [8.635, 62.841], [8.703, 62.822], [8.62, 62.878], [8.595, 62.885], [8.519, 62.892], [8.48, 62.907], [8.422, 62.947], [8.415, 62.959], [8.645, 62.968], [8.667, 62.979], [8.638, 62.99], [8.577, 62.979], [8.545, 62.979], [8.523, 62.99], [8.534, 63], [8.588, 63.02], [8.555, 63.023], [8.487, 62.995], [8.393, 62.973], [8.375, 62.973], [8.354, 62.99], [8.318, 63], [8.354, 63.008], [8.437, 63.01], [8.469, 63.02], [8.437, 63.032], [8.303, 63.02], [8.239, 63.025], [8.221, 63.039], [8.228, 63.064], [8.203, 63.093], [8.167, 63.115], [8.188, 63.13], [8.221, 63.135], [8.293, 63.096], [8.285, 63.076], [8.318, 63.082], [8.325, 63.089], [8.318, 63.109], [8.303, 63.125], [8.235, 63.143], [8.235, 63.15], [8.545, 63.133], [8.642, 63.109], [8.624, 63.128], [8.577, 63.145], [8.566, 63.162], [8.577, 63.175], [8.944, 63.212], [8.613, 63.204], [8.573, 63.253], [8.527, 63.278], [8.476, 63.293], [8.516, 63.305], [8.703, 63.324], [8.739, 63.334], [8.764, 63.349], [8.71, 63.351], [8.696, 63.356], [8.674, 63.38], [8.638, 63.391], [8.645, 63.408], [8.671, 63.422], [8.717, 63.408], [8.793, 63.432], [8.822, 63.429], [8.843, 63.42], [8.879, 63.398], [8.89, 63.422], [8.926, 63.424], [8.998, 63.418], [8.998, 63.425], [8.973, 63.425], [8.966, 63.434], [8.973, 63.447], [9.002, 63.466], [9.02, 63.466], [9.113, 63.418], [9.135, 63.385], [9.149, 63.376], [9.103, 63.342], [9.088, 63.321], [9.092, 63.293], [9.142, 63.331], [9.193, 63.339], [9.265, 63.363], [9.434, 63.38], [9.477, 63.403], [9.448, 63.402], [9.394, 63.386], [9.261, 63.381], [9.218, 63.371], [9.167, 63.402], [9.167, 63.422], [9.182, 63.435], [9.481, 63.472], [9.484, 63.483], [9.481, 63.488], [9.455, 63.479], [9.365, 63.466], [9.333, 63.466], [9.286, 63.479], [9.257, 63.5], [9.268, 63.474], [9.293, 63.459], [9.211, 63.459], [9.167, 63.467], [9.149, 63.486], [9.16, 63.508], [9.193, 63.513], [9.243, 63.513], [9.236, 63.535], [9.301, 63.532], [9.369, 63.564], [9.387, 63.562], [9.376, 63.554], [9.38, 63.53], [9.387, 63.521], [9.405, 63.518], [9.459, 63.562], [9.495, 63.577], [9.52, 63.575], [9.56, 63.545], [9.574, 63.542], [9.545, 63.581], [9.524, 63.587], [9.491, 63.589], [9.517, 63.604], [9.545, 63.611], [9.607, 63.616], [9.7, 63.645], [9.725, 63.636], [9.722, 63.621], [9.74, 63.603], [9.801, 63.564], [9.815, 63.532], [9.805, 63.513], [9.898, 63.478], [9.949, 63.449], [9.959, 63.427], [9.927, 63.378], [9.833, 63.329], [9.855, 63.326], [9.895, 63.331], [9.977, 63.363], [10.014, 63.361], [10.046, 63.353], [10.1, 63.326], [10.14, 63.322], [10.212, 63.329], [10.244, 63.326], [10.255, 63.314], [10.258, 63.266], [10.273, 63.282], [10.28, 63.319], [10.244, 63.344], [10.086, 63.361], [10.057, 63.373], [10.042, 63.407], [10.093, 63.439], [10.158, 63.452], [10.302, 63.466], [10.374, 63.442], [10.446, 63.457], [10.518, 63.447], [10.546, 63.435], [10.579, 63.43], [10.69, 63.452], [10.698, 63.447], [10.759, 63.439], [10.798, 63.417], [10.831, 63.44], [10.878, 63.445], [10.906, 63.456], [10.917, 63.466], [10.824, 63.476], [10.777, 63.488], [10.759, 63.518], [10.78, 63.538], [10.831, 63.55], [10.924, 63.555], [10.924, 63.562], [10.878, 63.564], [10.856, 63.569], [10.863, 63.579], [10.914, 63.589], [10.924, 63.603], [10.852, 63.597], [10.816, 63.591], [10.77, 63.574], [10.73, 63.572], [10.687, 63.552], [10.658, 63.548], [10.658, 63.555], [10.672, 63.559], [10.687, 63.577], [10.705, 63.584], [10.719, 63.604], [10.755, 63.624], [10.863, 63.651], [10.906, 63.685], [11.032, 63.719], [11.058, 63.716], [11.083, 63.704], [11.119, 63.704], [11.184, 63.719], [11.241, 63.765], [11.266, 63.775], [11.338, 63.785], [11.443, 63.787], [11.457, 63.79], [11.461, 63.812], [11.45, 63.819], [11.425, 63.822], [11.439, 63.836], [11.414, 63.851], [11.356, 63.847], [11.277, 63.868], [11.252, 63.868], [11.112, 63.849], [11.101, 63.852], [11.094, 63.868], [11.101, 63.893], [11.176, 63.91], [11.202, 63.92], [11.223, 63.945], [11.299, 63.966], [11.436, 63.982], [11.486, 64.006], [11.497, 64.021], [11.454, 64.018], [11.443, 64.026], [11.367, 64.028], [11.256, 64.038], [11.241, 64.062], [11.281, 64.075], [11.364, 64.118], [11.299, 64.107], [11.227, 64.072], [11.205, 64.028], [11.176, 64.008], [10.964, 63.949], [10.892, 63.908], [10.838, 63.888], [10.719, 63.869], [10.69, 63.861], [10.647, 63.834], [10.597, 63.82], [10.575, 63.809], [10.615, 63.812], [10.69, 63.841], [10.77, 63.851], [10.899, 63.895], [10.935, 63.898], [11.058, 63.861], [11.076, 63.836], [11.054, 63.832], [11.007, 63.814], [10.986, 63.795], [10.978, 63.768], [10.91, 63.731], [10.813, 63.721], [10.741, 63.69], [10.672, 63.687], [10.633, 63.67], [10.611, 63.64], [10.568, 63.624], [10.528, 63.619], [10.417, 63.579], [10.366, 63.574], [10.32, 63.562], [10.24, 63.562], [10.204, 63.545], [10.165, 63.537], [10.082, 63.508], [9.999, 63.5], [9.981, 63.493], [9.963, 63.505], [9.92, 63.515], [9.905, 63.555], [9.887, 63.575], [9.902, 63.589], [9.884, 63.596], [9.833, 63.603], [9.812, 63.628], [9.815, 63.638], [9.833, 63.645], [9.794, 63.668], [9.805, 63.677], [9.797, 63.692], [9.844, 63.697], [9.923, 63.716], [9.999, 63.724], [10.071, 63.749], [10.1, 63.768], [10.075, 63.766], [10.032, 63.748], [10.006, 63.746], [10.017, 63.766], [10.039, 63.775], [10.028, 63.783], [9.992, 63.771], [9.905, 63.758], [9.859, 63.731], [9.779, 63.722], [9.729, 63.702], [9.65, 63.699], [9.643, 63.685], [9.621, 63.685], [9.585, 63.672], [9.545, 63.665], [9.567, 63.707], [9.553, 63.726], [9.718, 63.763], [9.779, 63.768], [9.779, 63.775], [9.581, 63.76], [9.545, 63.775], [9.664, 63.819], [9.83, 63.861], [9.873, 63.863], [9.873, 63.869], [9.812, 63.874], [9.794, 63.885], [9.891, 63.903], [9.913, 63.901], [9.916, 63.891], [9.905, 63.885], [9.927, 63.885], [9.97, 63.905], [10.068, 63.918], [10.114, 63.942], [10.172, 63.933], [10.197, 63.939], [10.172, 63.957], [10.143, 63.966], [10.096, 63.949], [10.032, 63.933], [9.995, 63.93], [9.963, 63.918], [9.941, 63.918], [9.974, 63.942], [10.086, 63.967], [10.129, 63.988], [10.114, 63.988], [10.082, 63.972], [10.06, 63.988], [9.992, 63.964], [9.938, 63.959], [9.945, 63.972], [9.985, 63.994], [9.999, 64.036], [10.017, 64.035], [10.014, 64.05], [10.024, 64.062], [10.003, 64.082], [9.999, 64.109], [10.014, 64.119], [10.035, 64.116], [10.107, 64.091], [10.194, 64.101], [10.219, 64.124], [10.19, 64.118], [10.107, 64.118], [10.132, 64.138], [10.154, 64.141], [10.168, 64.136], [10.158, 64.158], [10.197, 64.158], [10.179, 64.166], [10.183, 64.185], [10.168, 64.199], [10.222, 64.192], [10.237, 64.199], [10.23, 64.205], [10.298, 64.21], [10.374, 64.185], [10.366, 64.207], [10.323, 64.222], [10.244, 64.234], [10.258, 64.246], [10.334, 64.261], [10.327, 64.275], [10.352, 64.275], [10.399, 64.264], [10.392, 64.288], [10.406, 64.29], [10.435, 64.285], [10.464, 64.295], [10.492, 64.295], [10.492, 64.302], [10.456, 64.302], [10.449, 64.313], [10.449, 64.351], [10.478, 64.351], [10.471, 64.357], [10.518, 64.351], [10.561, 64.329], [10.554, 64.344], [10.539, 64.354], [10.503, 64.364], [10.503, 64.371], [10.546, 64.369], [10.568, 64.364], [10.597, 64.345], [10.651, 64.357], [10.651, 64.364], [10.622, 64.362], [10.608, 64.366], [10.593, 64.388], [10.572, 64.391], [10.561, 64.403], [10.464, 64.405], [10.471, 64.416], [10.496, 64.43], [10.543, 64.427], [10.6, 64.403], [10.629, 64.398], [10.615, 64.421], [10.604, 64.427], [10.593, 64.425], [10.586, 64.433], [10.604, 64.452], [10.615, 64.45], [10.647, 64.435], [10.665, 64.418], [10.734, 64.416], [10.755, 64.393], [10.816, 64.371], [10.834, 64.369], [10.856, 64.378], [10.798, 64.401], [10.788, 64.411], [10.806, 64.421], [10.798, 64.432], [10.752, 64.447], [10.68, 64.438], [10.658, 64.447], [10.658, 64.452], [10.705, 64.472], [10.752, 64.465], [10.762, 64.481], [10.791, 64.481], [10.842, 64.465], [10.838, 64.482], [10.802, 64.508], [10.824, 64.511], [10.849, 64.504], [10.892, 64.476], [10.917, 64.492], [10.946, 64.484], [10.957, 64.487], [10.924, 64.508], [10.928, 64.513], [10.964, 64.508], [10.964, 64.514], [10.95, 64.521], [10.957, 64.551], [10.917, 64.575], [10.917, 64.582], [10.935, 64.584], [10.953, 64.592], [10.957, 64.604], [10.971, 64.602], [11.061, 64.575], [11.061, 64.548], [11.076, 64.523], [11.101, 64.521], [11.176, 64.479], [11.162, 64.447], [11.184, 64.442], [11.245, 64.452], [11.27, 64.452], [11.295, 64.448], [11.342, 64.432], [11.32, 64.398], [11.27, 64.367], [11.223, 64.322], [11.248, 64.325], [11.299, 64.371], [11.389, 64.405], [11.364, 64.411], [11.41, 64.452], [11.443, 64.438], [11.522, 64.462], [11.612, 64.469], [11.655, 64.481], [11.439, 64.465], [11.461, 64.511], [11.475, 64.518], [11.54, 64.521], [11.54, 64.528], [11.518, 64.533], [11.508, 64.548], [11.572, 64.557], [11.547, 64.541], [11.569, 64.538], [11.655, 64.57], [11.749, 64.585], [11.781, 64.597], [11.659, 64.594], [11.637, 64.582], [11.626, 64.592], [11.63, 64.624], [11.612, 64.629], [11.554, 64.604], [11.562, 64.599], [11.594, 64.597], [11.576, 64.575], [11.547, 64.568], [11.518, 64.573], [11.454, 64.621], [11.421, 64.636], [11.425, 64.651], [11.403, 64.663], [11.396, 64.685], [11.403, 64.688], [11.421, 64.687], [11.425, 64.697], [11.396, 64.707], [11.479, 64.72], [11.533, 64.744], [11.59, 64.737], [11.616, 64.741], [11.594, 64.747], [11.594, 64.759], [11.554, 64.768], [11.792, 64.783], [11.842, 64.795], [11.842, 64.803], [11.738, 64.803], [11.745, 64.81], [11.644, 64.823], [11.677, 64.832], [11.788, 64.835], [11.781, 64.85], [11.788, 64.857], [11.684, 64.837], [11.648, 64.844], [11.709, 64.859], [11.727, 64.877], [11.745, 64.884], [11.814, 64.894], [11.918, 64.925], [11.994, 64.93], [12.066, 64.96], [12.224, 64.94], [12.188, 64.96], [12.145, 64.97], [12.055, 64.974], [11.983, 64.953], [11.911, 64.95], [11.738, 64.891], [11.616, 64.869], [11.608, 64.862], [11.623, 64.844], [11.547, 64.82], [11.479, 64.81], [11.428, 64.771], [11.403, 64.759], [11.263, 64.734], [11.238, 64.741], [11.353, 64.768], [11.428, 64.817], [11.346, 64.805], [11.302, 64.822], [11.256, 64.817], [11.23, 64.823], [11.252, 64.839], [11.281, 64.845], [11.526, 64.862], [11.666, 64.893], [11.698, 64.913], [11.673, 64.913], [11.601, 64.891], [11.245, 64.857], [11.266, 64.871], [11.403, 64.923], [11.45, 64.923], [11.511, 64.899], [11.533, 64.896], [11.554, 64.899], [11.576, 64.906], [11.594, 64.925], [11.533, 64.904], [11.479, 64.933], [11.497, 64.942], [11.562, 64.953], [11.637, 64.945], [11.616, 64.96], [11.63, 64.965], [11.662, 64.953], [11.709, 64.957], [11.767, 64.97], [11.778, 64.977], [11.821, 64.98], [11.835, 64.987], [11.806, 64.999], [11.803, 65.007], [11.814, 65.018], [11.871, 65.041], [11.943, 65.063], [11.979, 65.068], [12.012, 65.055], [12.015, 65.029], [12.033, 65.036], [12.044, 65.06], [12.055, 65.065], [12.076, 65.039], [12.116, 65.05], [12.138, 65.046], [12.177, 65.014], [12.174, 64.997], [12.195, 64.996], [12.21, 65.014], [12.192, 65.026], [12.184, 65.046], [12.192, 65.051], [12.282, 65.06], [12.368, 65.09], [12.436, 65.085], [12.472, 65.09], [12.487, 65.114], [12.508, 65.121], [12.638, 65.131], [12.62, 65.137], [12.602, 65.137], [12.616, 65.149], [12.678, 65.159], [12.717, 65.185], [12.775, 65.212], [12.789, 65.213], [12.807, 65.242], [12.84, 65.254], [12.93, 65.313], [12.94, 65.328], [12.933, 65.333], [12.667, 65.197], [12.57, 65.166], [12.541, 65.163], [12.501, 65.144], [12.429, 65.139], [12.39, 65.142], [12.368, 65.151], [12.382, 65.178], [12.472, 65.183], [12.498, 65.2], [12.451, 65.207], [12.436, 65.217], [12.44, 65.227], [12.418, 65.23], [12.354, 65.22], [12.354, 65.227], [12.408, 65.247], [12.508, 65.24], [12.519, 65.251], [12.678, 65.249], [12.714, 65.254], [12.681, 65.262], [12.588, 65.261], [12.516, 65.267], [12.458, 65.254], [12.465, 65.267], [12.436, 65.273], [12.346, 65.267], [12.321, 65.261], [12.278, 65.232], [12.246, 65.234], [12.343, 65.303], [12.379, 65.31], [12.415, 65.308], [12.451, 65.313], [12.48, 65.337], [12.462, 65.337], [12.411, 65.323], [12.418, 65.335], [12.498, 65.37], [12.516, 65.357], [12.602, 65.355], [12.627, 65.347], [12.656, 65.327], [12.674, 65.323], [12.692, 65.33], [12.663, 65.355], [12.548, 65.364], [12.526, 65.406], [12.48, 65.446], [12.548, 65.446], [12.566, 65.44], [12.57, 65.423], [12.584, 65.418], [12.602, 65.433], [12.631, 65.421], [12.681, 65.381], [12.714, 65.37], [12.642, 65.416], [12.631, 65.433], [12.649, 65.45], [12.782, 65.46], [12.742, 65.468], [12.609, 65.46], [12.609, 65.467], [12.656, 65.48], [12.634, 65.489], [12.598, 65.489], [12.577, 65.499], [12.566, 65.514], [12.616, 65.529], [12.595, 65.534], [12.58, 65.549], [12.573, 65.59], [12.552, 65.568], [12.537, 65.534], [12.512, 65.512], [12.465, 65.522], [12.526, 65.561], [12.534, 65.583], [12.508, 65.573], [12.465, 65.538], [12.44, 65.529], [12.404, 65.534], [12.397, 65.551], [12.418, 65.597], [12.397, 65.597], [12.382, 65.592], [12.368, 65.593], [12.354, 65.603], [12.361, 65.617], [12.35, 65.639], [12.364, 65.652], [12.415, 65.683], [12.429, 65.7], [12.494, 65.733], [12.526, 65.735], [12.555, 65.73], [12.58, 65.713], [12.588, 65.69], [12.595, 65.686], [12.638, 65.686], [12.616, 65.673], [12.609, 65.651], [12.616, 65.652], [12.656, 65.639], [12.714, 65.644], [12.742, 65.63], [12.786, 65.639], [12.778, 65.649], [12.757, 65.656], [12.685, 65.661], [12.663, 65.679], [12.649, 65.71], [12.573, 65.733], [12.559, 65.754], [12.566, 65.767], [12.645, 65.808], [12.674, 65.806], [12.699, 65.791], [12.717, 65.789], [12.706, 65.803], [12.71, 65.826], [12.692, 65.835], [12.627, 65.828], [12.616, 65.828], [12.613, 65.835], [12.62, 65.855], [12.638, 65.864], [12.642, 65.892], [12.66, 65.912], [12.681, 65.926], [12.789, 65.965], [12.847, 65.967], [12.919, 65.953], [12.966, 65.926], [13.023, 65.929], [13.041, 65.926], [13.077, 65.896], [13.12, 65.892], [13.124, 65.879], [13.156, 65.85], [13.174, 65.855], [13.149, 65.912], [13.124, 65.943], [13.113, 65.946], [13.048, 65.946], [12.98, 65.96], [12.944, 65.973], [12.926, 65.994], [12.962, 66.01], [12.969, 66.022], [12.951, 66.036], [12.969, 66.053], [13.023, 66.068], [13.041, 66.083], [13.002, 66.083], [12.926, 66.061], [12.714, 66.043], [12.724, 66.056], [12.714, 66.061], [12.67, 66.063], [12.753, 66.105], [12.807, 66.115], [12.868, 66.134], [13.048, 66.152], [13.088, 66.146], [13.102, 66.162], [13.156, 66.169], [13.225, 66.186], [13.308, 66.218], [13.527, 66.24], [13.563, 66.235], [13.578, 66.218], [13.556, 66.205], [13.491, 66.193], [13.491, 66.186], [13.581, 66.186], [13.534, 66.139], [13.534, 66.11], [13.563, 66.112], [13.599, 66.144], [13.639, 66.157], [13.711, 66.159], [13.761, 66.166], [13.822, 66.147], [13.833, 66.159], [13.833, 66.169], [13.822, 66.173], [13.776, 66.176], [13.704, 66.173], [13.61, 66.186], [13.642, 66.22], [13.696, 66.238], [13.758, 66.242], [13.808, 66.235], [13.801, 66.223], [13.761, 66.2], [13.79, 66.201], [13.837, 66.221], [13.988, 66.242], [14.01, 66.27], [14.053, 66.287], [14.114, 66.303], [14.136, 66.316], [14.143, 66.335], [14.132, 66.343], [14.1, 66.336], [14.049, 66.316], [13.963, 66.304], [13.938, 66.296], [13.909, 66.269], [13.804, 66.277], [13.779, 66.282], [13.754, 66.296], [13.74, 66.289], [13.725, 66.264], [13.7, 66.254], [13.621, 66.242], [13.592, 66.243], [13.574, 66.262], [13.624, 66.276], [13.588, 66.289], [13.574, 66.289], [13.502, 66.259], [13.416, 66.243], [13.326, 66.245], [13.286, 66.242], [13.203, 66.205], [13.07, 66.174], [13.041, 66.179], [13.03, 66.198], [13.113, 66.232], [13.135, 66.247], [13.164, 66.259], [13.322, 66.301], [13.495, 66.299], [13.534, 66.309], [13.506, 66.319], [13.405, 66.316], [13.412, 66.328], [13.452, 66.338], [13.434, 66.343], [13.365, 66.338], [13.311, 66.375], [13.315, 66.35], [13.336, 66.328], [13.333, 66.323], [13.228, 66.297], [13.138, 66.303], [13.16, 66.326], [13.149, 66.33], [13.135, 66.33], [13.095, 66.316], [13.063, 66.314], [13.038, 66.319], [13.002, 66.357], [13.142, 66.387], [13.171, 66.412], [13.149, 66.444], [13.102, 66.455], [13.131, 66.461], [13.164, 66.46], [13.164, 66.466], [13.102, 66.475], [13.081, 66.498], [13.016, 66.505], [12.973, 66.522], [13.102, 66.542], [13.113, 66.541], [13.135, 66.531], [13.21, 66.514], [13.232, 66.468], [13.225, 66.455], [13.362, 66.456], [13.398, 66.466], [13.29, 66.46], [13.268, 66.466], [13.29, 66.51], [13.261, 66.515], [13.261, 66.522], [13.286, 66.524], [13.329, 66.539], [13.354, 66.542], [13.441, 66.541], [13.491, 66.551], [13.621, 66.519], [13.671, 66.515], [13.624, 66.539], [13.48, 66.556], [13.459, 66.564], [13.506, 66.585], [13.603, 66.606], [13.725, 66.605], [13.689, 66.617], [13.502, 66.606], [13.473, 66.598], [13.423, 66.563], [13.398, 66.558], [13.336, 66.556], [13.272, 66.547], [13.203, 66.556], [13.218, 66.583], [13.246, 66.598], [13.232, 66.605], [13.25, 66.613], [13.29, 66.617], [13.333, 66.627], [13.383, 66.618], [13.405, 66.625], [13.372, 66.634], [13.25, 66.634], [13.171, 66.652], [13.192, 66.667], [13.236, 66.654], [13.282, 66.661], [13.347, 66.645], [13.426, 66.659], [13.452, 66.659], [13.52, 66.64], [13.549, 66.639], [13.524, 66.661], [13.48, 66.676], [13.268, 66.701], [13.225, 66.715], [13.257, 66.725], [13.495, 66.715], [13.516, 66.696], [13.527, 66.694], [13.693, 66.691], [13.718, 66.701], [13.7, 66.708], [13.7, 66.715], [13.801, 66.711], [13.851, 66.718], [13.891, 66.735], [13.711, 66.735], [13.678, 66.731], [13.61, 66.715], [13.574, 66.715], [13.549, 66.725], [13.542, 66.74], [13.56, 66.753], [13.588, 66.762], [13.718, 66.75], [13.754, 66.762], [13.722, 66.77], [13.563, 66.777], [13.542, 66.772], [13.506, 66.782], [13.542, 66.804], [13.614, 66.809], [13.686, 66.807], [13.768, 66.792], [13.992, 66.791], [13.948, 66.801], [13.801, 66.809], [13.74, 66.838], [13.689, 66.834], [13.678, 66.851], [13.7, 66.858], [13.642, 66.868], [13.632, 66.9], [13.606, 66.907], [13.549, 66.9], [13.52, 66.905], [13.545, 66.922], [13.588, 66.937], [13.743, 66.937], [13.779, 66.946], [13.761, 66.968], [13.84, 66.964], [13.862, 66.968], [13.902, 66.991], [13.974, 66.995], [13.959, 66.975], [13.891, 66.954], [13.916, 66.929], [13.934, 66.922], [13.959, 66.927], [13.93, 66.932], [13.981, 66.954], [13.984, 66.966], [14.028, 66.968], [14.046, 66.981], [14.031, 67.01], [14.013, 67.022], [14.031, 67.049], [14.06, 67.061], [14.085, 67.037], [14.11, 66.991], [14.15, 66.971], [14.164, 66.98], [14.19, 66.976], [14.226, 66.983], [14.226, 66.993], [14.251, 67.003], [14.269, 67.024], [14.272, 67.044], [14.247, 67.051], [14.272, 67.061], [14.42, 67.064], [14.492, 67.042], [14.528, 67.049], [14.546, 67.046], [14.553, 67.019], [14.568, 67.019], [14.589, 67.027], [14.596, 67.042], [14.582, 67.059], [14.377, 67.078], [14.29, 67.076], [14.269, 67.084], [14.287, 67.089], [14.337, 67.125], [14.323, 67.137], [14.326, 67.147], [14.362, 67.16], [14.452, 67.165], [14.416, 67.13], [14.413, 67.118], [14.424, 67.11], [14.442, 67.115], [14.474, 67.138], [14.46, 67.154], [14.676, 67.16], [14.708, 67.15], [14.744, 67.118], [14.748, 67.145], [14.722, 67.162], [14.65, 67.177], [14.514, 67.181], [14.535, 67.191], [14.604, 67.204], [14.65, 67.186], [14.679, 67.187], [14.78, 67.214], [14.884, 67.206], [14.978, 67.214], [14.978, 67.208], [14.924, 67.201], [14.931, 67.181], [14.892, 67.154], [14.899, 67.142], [14.992, 67.1], [15.007, 67.103], [15.003, 67.115], [14.931, 67.154], [15.021, 67.204], [15.093, 67.213], [15.129, 67.196], [15.219, 67.192], [15.302, 67.169], [15.356, 67.165], [15.385, 67.157], [15.396, 67.142], [15.378, 67.098], [15.403, 67.084], [15.468, 67.071], [15.5, 67.071], [15.493, 67.081], [15.453, 67.089], [15.439, 67.098], [15.439, 67.118], [15.482, 67.154], [15.471, 67.154], [15.457, 67.172], [15.399, 67.187], [15.378, 67.201], [15.41, 67.213], [15.457, 67.214], [15.716, 67.174], [15.741, 67.174], [15.734, 67.187], [15.705, 67.197], [15.694, 67.208], [15.705, 67.214], [15.608, 67.203], [15.55, 67.219], [15.406, 67.236], [15.356, 67.228], [15.313, 67.209], [15.288, 67.206], [15.262, 67.214], [15.284, 67.221], [15.331, 67.226], [15.342, 67.241], [15.284, 67.246], [15.241, 67.236], [15.212, 67.235], [15.061, 67.248], [15.079, 67.26], [15.136, 67.27], [15.165, 67.311], [15.136, 67.311], [15.014, 67.292], [14.989, 67.27], [14.91, 67.275], [14.776, 67.27], [14.834, 67.255], [14.812, 67.245], [14.676, 67.216], [14.618, 67.214], [14.672, 67.233], [14.694, 67.248], [14.701, 67.275], [14.683, 67.279], [14.575, 67.252], [14.409, 67.248], [14.348, 67.235], [14.33, 67.241], [14.413, 67.27], [14.406, 67.279], [14.416, 67.285], [14.452, 67.295], [14.492, 67.322], [14.6, 67.378], [14.611, 67.388], [14.604, 67.393], [14.575, 67.392], [14.575, 67.398], [14.618, 67.407], [14.622, 67.42], [14.654, 67.427], [14.744, 67.42], [14.802, 67.422], [14.823, 67.407], [14.794, 67.385], [14.823, 67.378], [14.856, 67.388], [14.884, 67.405], [14.982, 67.424], [15.05, 67.447], [14.938, 67.441], [14.823, 67.447], [14.841, 67.461], [14.823, 67.466], [14.784, 67.463], [14.769, 67.468], [14.78, 67.474], [14.769, 67.481], [14.726, 67.488], [14.74, 67.501], [14.794, 67.525], [14.989, 67.571], [15.057, 67.577], [15.115, 67.564], [15.144, 67.55], [15.158, 67.535], [15.133, 67.53], [15.097, 67.532], [15.028, 67.561], [15.007, 67.564], [14.985, 67.549], [15.036, 67.518], [15.054, 67.517], [15.01, 67.486], [14.884, 67.486], [14.83, 67.474], [14.856, 67.469], [14.989, 67.466], [15.018, 67.469], [15.079, 67.496], [15.126, 67.501], [15.176, 67.522], [15.194, 67.517], [15.19, 67.501], [15.212, 67.495], [15.212, 67.488], [15.183, 67.481], [15.151, 67.481], [15.151, 67.474], [15.172, 67.468], [15.136, 67.42], [15.216, 67.449], [15.23, 67.476], [15.241, 67.479], [15.37, 67.488], [15.428, 67.483], [15.471, 67.461], [15.543, 67.38], [15.55, 67.349], [15.576, 67.331], [15.644, 67.304], [15.644, 67.295], [15.604, 67.29], [15.604, 67.28], [15.626, 67.272], [15.658, 67.275], [15.702, 67.304], [15.691, 67.312], [15.637, 67.324], [15.586, 67.395], [15.514, 67.427], [15.529, 67.439], [15.583, 67.461], [15.54, 67.463], [15.529, 67.468], [15.558, 67.493], [15.597, 67.51], [15.788, 67.55], [15.9, 67.557], [15.867, 67.574], [15.669, 67.552], [15.558, 67.517], [15.5, 67.51], [15.266, 67.525], [15.241, 67.528], [15.226, 67.54], [15.234, 67.567], [15.262, 67.577], [15.241, 67.584], [15.277, 67.594], [15.41, 67.584], [15.424, 67.579], [15.435, 67.561], [15.468, 67.577], [15.417, 67.604], [15.439, 67.613], [15.406, 67.631], [15.388, 67.633], [15.37, 67.625], [15.385, 67.613], [15.36, 67.604], [15.302, 67.621], [15.273, 67.625], [15.223, 67.611], [15.194, 67.61], [15.18, 67.618], [15.198, 67.645], [15.338, 67.687], [15.306, 67.687], [15.273, 67.694], [15.302, 67.721], [15.331, 67.721], [15.37, 67.711], [15.414, 67.689], [15.543, 67.674], [15.514, 67.694], [15.658, 67.68], [15.586, 67.704], [15.547, 67.711], [15.486, 67.699], [15.403, 67.734], [15.403, 67.741], [15.597, 67.75], [15.658, 67.734], [15.799, 67.679], [15.82, 67.677], [15.838, 67.694], [15.806, 67.696], [15.781, 67.707], [15.788, 67.728], [15.669, 67.761], [15.63, 67.763], [15.64, 67.775], [15.694, 67.797], [15.658, 67.794], [15.594, 67.773], [15.41, 67.797], [15.446, 67.832], [15.446, 67.844], [15.432, 67.861], [15.403, 67.824], [15.385, 67.856], [15.37, 67.864], [15.356, 67.851], [15.385, 67.804], [15.309, 67.777], [15.262, 67.753], [15.223, 67.743], [15.183, 67.714], [15.162, 67.713], [15.039, 67.677], [14.953, 67.664], [14.917, 67.652], [14.838, 67.643], [14.809, 67.648], [14.751, 67.648], [14.726, 67.66], [14.877, 67.701], [14.877, 67.707], [14.78, 67.714], [14.794, 67.729], [14.856, 67.724], [14.877, 67.731], [15.118, 67.741], [15.086, 67.748], [15.014, 67.746], [14.992, 67.77], [15.036, 67.783], [14.877, 67.773], [14.83, 67.763], [14.845, 67.77], [14.83, 67.777], [14.83, 67.792], [14.82, 67.797], [14.802, 67.794], [14.787, 67.783], [14.78, 67.785], [14.755, 67.804], [14.773, 67.816], [14.809, 67.826], [14.874, 67.822], [14.96, 67.837], [15.064, 67.839], [15.104, 67.851], [15.075, 67.861], [14.848, 67.844], [14.848, 67.851], [14.884, 67.858], [14.899, 67.873], [14.946, 67.886], [15, 67.895], [15.036, 67.895], [15.086, 67.888], [15.19, 67.886], [15.234, 67.873], [15.201, 67.859], [15.198, 67.831], [15.302, 67.89], [15.338, 67.9], [15.338, 67.891], [15.36, 67.891], [15.482, 67.919], [15.536, 67.92], [15.543, 67.917], [15.504, 67.88], [15.525, 67.851], [15.543, 67.858], [15.525, 67.866], [15.536, 67.89], [15.565, 67.907], [15.597, 67.917], [15.604, 67.93], [15.752, 67.952], [15.788, 67.951], [15.82, 67.937], [15.842, 67.902], [15.86, 67.9], [15.885, 67.939], [15.946, 67.966], [15.968, 67.994], [15.954, 67.994], [15.968, 68.008], [16, 68.013], [16.062, 68.01], [16.062, 68.016], [15.9, 68.023], [15.849, 68.037], [15.849, 68.043], [15.9, 68.067], [15.878, 68.07], [15.864, 68.067], [15.788, 68.035], [15.601, 68.038], [15.576, 68.064], [15.558, 68.074], [15.547, 68.074], [15.385, 68.023], [15.392, 68.011], [15.439, 68.01], [15.399, 67.994], [15.356, 67.996], [15.316, 68.01], [15.28, 68.037], [15.309, 68.052], [15.342, 68.057], [15.356, 68.081], [15.403, 68.104], [15.464, 68.125], [15.507, 68.133], [15.504, 68.106], [15.529, 68.091], [15.54, 68.111], [15.583, 68.111], [15.63, 68.135], [15.644, 68.168], [15.666, 68.167], [15.658, 68.153], [15.734, 68.14], [15.702, 68.126], [15.738, 68.103], [15.734, 68.091], [15.709, 68.084], [15.644, 68.096], [15.619, 68.091], [15.63, 68.077], [15.619, 68.057], [15.64, 68.05], [15.666, 68.05], [15.658, 68.067], [15.669, 68.072], [15.734, 68.072], [15.763, 68.077], [15.766, 68.089], [15.846, 68.096], [15.892, 68.126], [15.907, 68.133], [15.925, 68.133], [15.871, 68.17], [15.871, 68.187], [15.889, 68.192], [15.943, 68.185], [15.954, 68.204], [15.95, 68.239], [15.964, 68.248], [16.015, 68.249], [16.036, 68.243], [16.062, 68.201], [16.047, 68.185], [16.029, 68.18], [16.044, 68.162], [16.098, 68.173], [16.105, 68.16], [16.09, 68.126], [16.069, 68.113], [16.09, 68.074], [16.083, 68.057], [16.044, 68.03], [16.159, 68], [16.191, 67.981], [16.209, 67.959], [16.22, 67.893], [16.238, 67.883], [16.281, 67.878], [16.436, 67.807], [16.486, 67.799], [16.515, 67.804], [16.461, 67.817], [16.443, 67.831], [16.454, 67.851], [16.31, 67.875], [16.27, 67.89], [16.256, 67.908], [16.274, 67.927], [16.274, 67.976], [16.242, 67.994], [16.206, 68.003], [16.245, 68.01], [16.274, 68.006], [16.407, 67.92], [16.414, 67.907], [16.454, 67.898], [16.465, 67.9], [16.447, 67.927], [16.465, 67.94], [16.396, 67.959], [16.335, 67.994], [16.335, 68.003], [16.357, 68.01], [16.382, 68.01], [16.45, 67.962], [16.483, 67.957], [16.544, 67.961], [16.522, 67.967], [16.483, 67.969], [16.465, 67.978], [16.465, 67.988], [16.501, 68.016], [16.364, 68.03], [16.389, 68.059], [16.443, 68.076], [16.465, 68.094], [16.486, 68.091], [16.551, 68.065], [16.663, 68.05], [16.688, 68.057], [16.666, 68.064], [16.688, 68.07], [16.576, 68.086], [16.522, 68.113], [16.501, 68.118], [16.447, 68.116], [16.346, 68.082], [16.288, 68.091], [16.303, 68.111], [16.252, 68.121], [16.242, 68.133], [16.321, 68.126], [16.36, 68.145], [16.404, 68.136], [16.414, 68.146], [16.4, 68.153], [16.418, 68.158], [16.472, 68.153], [16.465, 68.165], [16.414, 68.18], [16.414, 68.187], [16.544, 68.165], [16.591, 68.167], [16.533, 68.179], [16.468, 68.201], [16.454, 68.229], [16.407, 68.207], [16.173, 68.204], [16.162, 68.211], [16.184, 68.221], [16.213, 68.226], [16.346, 68.229], [16.357, 68.239], [16.339, 68.249], [16.191, 68.258], [16.119, 68.273], [16.105, 68.283], [16.123, 68.29], [16.148, 68.314], [16.191, 68.315], [16.249, 68.304], [16.281, 68.307], [16.303, 68.3], [16.317, 68.283], [16.339, 68.28], [16.389, 68.285], [16.4, 68.276], [16.508, 68.256], [16.558, 68.233], [16.562, 68.194], [16.738, 68.14], [16.771, 68.133], [16.803, 68.133], [16.749, 68.158], [16.731, 68.177], [16.645, 68.202], [16.612, 68.219], [16.594, 68.239], [16.605, 68.256], [16.569, 68.276], [16.522, 68.288], [16.411, 68.298], [16.357, 68.312], [16.317, 68.329], [16.263, 68.324], [16.242, 68.332], [16.281, 68.344], [16.267, 68.347], [16.234, 68.346], [16.22, 68.351], [16.263, 68.363], [16.357, 68.371], [16.422, 68.39], [16.695, 68.405], [16.803, 68.379], [16.85, 68.378], [16.872, 68.373], [16.879, 68.356], [16.825, 68.324], [16.994, 68.344], [17.048, 68.363], [17.127, 68.373], [17.145, 68.369], [17.185, 68.337], [17.196, 68.3], [17.224, 68.285], [17.332, 68.256], [17.311, 68.233], [17.332, 68.207], [17.318, 68.17], [17.332, 68.167], [17.354, 68.172], [17.365, 68.184], [17.35, 68.226], [17.376, 68.233], [17.419, 68.236], [17.39, 68.266], [17.354, 68.285], [17.268, 68.31], [17.224, 68.339], [17.206, 68.373], [17.235, 68.379], [17.257, 68.393], [17.25, 68.407], [17.329, 68.408], [17.494, 68.364], [17.577, 68.359], [17.545, 68.376], [17.365, 68.413], [17.394, 68.423], [17.541, 68.428], [17.71, 68.412], [17.818, 68.385], [17.872, 68.393], [17.815, 68.398], [17.613, 68.45], [17.469, 68.447], [17.545, 68.518], [17.545, 68.53], [17.523, 68.53], [17.437, 68.506], [17.365, 68.503], [17.329, 68.491], [17.26, 68.455], [17.048, 68.434], [17.001, 68.447], [17.08, 68.459], [17.098, 68.469], [17.091, 68.481], [17.073, 68.489], [17.019, 68.498], [16.987, 68.51], [16.85, 68.449], [16.738, 68.452], [16.67, 68.439], [16.533, 68.439], [16.512, 68.442], [16.497, 68.474], [16.465, 68.51], [16.486, 68.53], [16.54, 68.543], [16.605, 68.528], [16.62, 68.533], [16.63, 68.547], [16.573, 68.569], [16.562, 68.592], [16.573, 68.613], [16.598, 68.629], [16.63, 68.641], [16.695, 68.651], [16.81, 68.682], [16.926, 68.694], [16.994, 68.709], [17.044, 68.675], [17.08, 68.663], [17.084, 68.646], [17.149, 68.633], [17.185, 68.64], [17.181, 68.648], [17.134, 68.655], [17.102, 68.67], [17.109, 68.697], [17.206, 68.712], [17.25, 68.724], [17.311, 68.707], [17.35, 68.712], [17.372, 68.71], [17.422, 68.675], [17.462, 68.667], [17.577, 68.673], [17.656, 68.658], [17.678, 68.66], [17.62, 68.682], [17.494, 68.69], [17.404, 68.744], [17.376, 68.751], [17.325, 68.732], [17.289, 68.736], [17.235, 68.756], [17.332, 68.786], [17.397, 68.797], [17.426, 68.808], [17.462, 68.815], [17.566, 68.788], [17.721, 68.778], [17.782, 68.749], [17.782, 68.778], [17.739, 68.792], [17.646, 68.797], [17.469, 68.832], [17.545, 68.847], [17.631, 68.878], [17.664, 68.881], [17.707, 68.893], [17.768, 68.873], [17.822, 68.867], [17.851, 68.873], [17.826, 68.895], [17.707, 68.913], [17.721, 68.935], [17.523, 68.916], [17.458, 68.9], [17.426, 68.9], [17.48, 68.949], [17.494, 68.955], [17.523, 68.955], [17.534, 68.96], [17.53, 68.987], [17.52, 68.991], [17.487, 68.989], [17.487, 68.996], [17.602, 69.06], [17.656, 69.079], [17.678, 69.092], [17.631, 69.106], [17.66, 69.117], [17.869, 69.121], [17.959, 69.148], [18.024, 69.156], [18.153, 69.155], [18.081, 69.17], [18.07, 69.178], [18.074, 69.197], [18.106, 69.229], [18.078, 69.237], [18.016, 69.229], [17.988, 69.236], [18.006, 69.251], [18.002, 69.286], [18.016, 69.305], [18.114, 69.334], [18.139, 69.352], [18.132, 69.369], [18.142, 69.383], [18.182, 69.408], [18.153, 69.448], [18.157, 69.46], [18.243, 69.475], [18.265, 69.489], [18.301, 69.487], [18.34, 69.467], [18.384, 69.431], [18.387, 69.421], [18.366, 69.391], [18.448, 69.394], [18.488, 69.383], [18.51, 69.355], [18.495, 69.29], [18.517, 69.276], [18.499, 69.252], [18.502, 69.236], [18.535, 69.278], [18.538, 69.349], [18.546, 69.359], [18.564, 69.364], [18.603, 69.3], [18.672, 69.28], [18.693, 69.264], [18.704, 69.263], [18.704, 69.288], [18.675, 69.305], [18.69, 69.318], [18.736, 69.323], [18.823, 69.325], [18.862, 69.32], [18.931, 69.296], [19.014, 69.286], [19.014, 69.3], [18.988, 69.307], [18.956, 69.328], [18.664, 69.369], [18.607, 69.391], [18.578, 69.431], [18.531, 69.442], [18.466, 69.445], [18.456, 69.455], [18.456, 69.465], [18.488, 69.482], [18.47, 69.504], [18.474, 69.516], [18.499, 69.523], [18.564, 69.526], [18.632, 69.541], [18.852, 69.553], [18.866, 69.523], [18.844, 69.502], [18.877, 69.502], [18.895, 69.497], [18.913, 69.482], [18.916, 69.458], [18.934, 69.447], [19.01, 69.428], [19.003, 69.408], [19.014, 69.398], [19.147, 69.352], [19.348, 69.344], [19.381, 69.322], [19.37, 69.3], [19.352, 69.29], [19.284, 69.276], [19.215, 69.281], [19.168, 69.268], [19.186, 69.249], [19.251, 69.274], [19.269, 69.266], [19.273, 69.252], [19.248, 69.242], [19.302, 69.224], [19.338, 69.225], [19.381, 69.242], [19.413, 69.241], [19.478, 69.22], [19.51, 69.229], [19.449, 69.261], [19.442, 69.293], [19.456, 69.318], [19.431, 69.342], [19.348, 69.379], [19.323, 69.384], [19.158, 69.377], [19.118, 69.386], [19.082, 69.418], [19.078, 69.435], [19.042, 69.442], [19.003, 69.464], [18.992, 69.484], [19.006, 69.506], [19.068, 69.533], [19.176, 69.551], [19.194, 69.55], [19.237, 69.528], [19.262, 69.523], [19.23, 69.568], [19.147, 69.565], [19.053, 69.551], [19.017, 69.534], [18.996, 69.54], [18.96, 69.561], [18.945, 69.616], [19.086, 69.693], [19.1, 69.735], [19.118, 69.744], [19.201, 69.754], [19.248, 69.778], [19.294, 69.783], [19.446, 69.778], [19.482, 69.781], [19.557, 69.8], [19.737, 69.813], [19.784, 69.805], [19.77, 69.784], [19.73, 69.757], [19.73, 69.724], [19.676, 69.681], [19.726, 69.643], [19.701, 69.594], [19.629, 69.521], [19.626, 69.496], [19.651, 69.46], [19.582, 69.438], [19.532, 69.401], [19.687, 69.445], [19.726, 69.516], [19.708, 69.531], [19.755, 69.6], [19.744, 69.612], [19.802, 69.614], [19.928, 69.605], [19.993, 69.589], [20.061, 69.578], [20.112, 69.585], [20.032, 69.589], [19.924, 69.616], [19.856, 69.627], [19.824, 69.681], [19.824, 69.712], [19.878, 69.744], [19.874, 69.764], [19.946, 69.795], [19.978, 69.83], [20.007, 69.843], [19.968, 69.764], [20.007, 69.769], [20.169, 69.941], [20.169, 69.881], [20.209, 69.859], [20.202, 69.925], [20.27, 69.968], [20.292, 69.972], [20.418, 69.891], [20.425, 69.877], [20.32, 69.686], [20.331, 69.663], [20.382, 69.634], [20.378, 69.589], [20.292, 69.573], [20.274, 69.56], [20.306, 69.545], [20.288, 69.538], [20.27, 69.518], [20.263, 69.502], [20.277, 69.486], [20.266, 69.469], [20.241, 69.46], [20.216, 69.469], [20.191, 69.413], [20.169, 69.394], [20.115, 69.383], [20.058, 69.359], [20, 69.349], [19.982, 69.339], [20.004, 69.325], [19.917, 69.269], [19.95, 69.263], [20, 69.286], [20.072, 69.335], [20.227, 69.384], [20.266, 69.388], [20.277, 69.393], [20.353, 69.469], [20.443, 69.523], [20.454, 69.556], [20.482, 69.578], [20.497, 69.578], [20.572, 69.545], [20.648, 69.521], [20.792, 69.509], [20.839, 69.491], [20.853, 69.496], [20.814, 69.511], [20.72, 69.528], [20.626, 69.595], [20.54, 69.61], [20.493, 69.627], [20.482, 69.637], [20.526, 69.678], [20.54, 69.705], [20.536, 69.73], [20.515, 69.749], [20.482, 69.756], [20.482, 69.764], [20.511, 69.769], [20.644, 69.773], [20.785, 69.801], [20.821, 69.828], [20.824, 69.842], [20.792, 69.879], [20.828, 69.882], [21.051, 69.945], [21.091, 69.948], [21.091, 69.941], [20.983, 69.904], [20.918, 69.867], [20.893, 69.86], [20.893, 69.854], [20.954, 69.847], [20.968, 69.832], [20.95, 69.83], [20.94, 69.818], [20.994, 69.793], [21.019, 69.788], [21.051, 69.798], [21.004, 69.815], [20.997, 69.825], [21.048, 69.832], [21.069, 69.843], [21.058, 69.86], [21.17, 69.876], [21.188, 69.869], [21.181, 69.855], [21.127, 69.811], [21.181, 69.82], [21.224, 69.845], [21.21, 69.908], [21.325, 69.908], [21.303, 69.921], [21.271, 69.93], [21.21, 69.935], [21.224, 69.975], [21.253, 70.002], [21.289, 70.021], [21.332, 70.031], [21.393, 70.029], [21.559, 69.989], [21.555, 69.975], [21.57, 69.965], [21.606, 69.955], [21.58, 69.928], [21.609, 69.913], [21.685, 69.891], [21.757, 69.882], [21.904, 69.825], [21.958, 69.778], [22.052, 69.751], [22.034, 69.744], [21.976, 69.751], [22.002, 69.74], [22.03, 69.734], [22.063, 69.734], [22.088, 69.739], [22.099, 69.751], [22.059, 69.771], [22.056, 69.793], [22.009, 69.813], [21.915, 69.838], [21.937, 69.842], [22.002, 69.835], [22.02, 69.845], [22.012, 69.859], [21.991, 69.869], [21.93, 69.879], [21.915, 69.945], [21.93, 69.984], [22.023, 69.985], [22.034, 69.974], [22.023, 69.955], [22.052, 69.938], [22.063, 69.957], [22.052, 70.017], [22.113, 70.024], [22.113, 70.031], [21.951, 70.012], [21.865, 70.012], [21.8, 70.038], [21.84, 70.055], [22.005, 70.061], [22.084, 70.097], [22.099, 70.12], [22.009, 70.102], [21.987, 70.088], [21.958, 70.085], [21.84, 70.092], [21.818, 70.075], [21.721, 70.061], [21.688, 70.065], [21.631, 70.095], [21.613, 70.098], [21.512, 70.092], [21.483, 70.098], [21.436, 70.149], [21.498, 70.174], [21.357, 70.164], [21.314, 70.168], [21.282, 70.176], [21.246, 70.2], [21.21, 70.208], [21.271, 70.239], [21.408, 70.267], [21.44, 70.269], [21.444, 70.239], [21.49, 70.208], [21.49, 70.234], [21.512, 70.257], [21.512, 70.293], [21.534, 70.316], [21.552, 70.321], [21.573, 70.32], [21.588, 70.313], [21.588, 70.288], [21.613, 70.271], [21.634, 70.262], [21.71, 70.25], [21.796, 70.207], [21.818, 70.174], [21.876, 70.147], [21.879, 70.161], [21.858, 70.195], [21.865, 70.208], [21.894, 70.208], [21.829, 70.227], [21.807, 70.24], [21.807, 70.257], [21.822, 70.269], [21.987, 70.323], [22.009, 70.325], [22.03, 70.318], [21.991, 70.296], [21.984, 70.284], [22.009, 70.286], [22.074, 70.304], [22.095, 70.308], [22.106, 70.304], [22.106, 70.245], [22.117, 70.234], [22.142, 70.237], [22.153, 70.247], [22.142, 70.284], [22.268, 70.294], [22.308, 70.288], [22.315, 70.272], [22.3, 70.256], [22.257, 70.23], [22.293, 70.168], [22.236, 70.141], [22.275, 70.136], [22.405, 70.147], [22.524, 70.124], [22.56, 70.127], [22.506, 70.147], [22.326, 70.168], [22.362, 70.217], [22.372, 70.25], [22.401, 70.259], [22.47, 70.261], [22.513, 70.254], [22.552, 70.239], [22.567, 70.237], [22.588, 70.242], [22.603, 70.218], [22.675, 70.223], [22.966, 70.208], [22.977, 70.198], [22.97, 70.19], [22.858, 70.125], [22.736, 70.102], [22.552, 70.085], [22.477, 70.092], [22.434, 70.088], [22.394, 70.068], [22.286, 70.044], [22.304, 70.039], [22.333, 70.041], [22.394, 70.061], [22.646, 70.077], [22.714, 70.095], [22.866, 70.105], [22.977, 70.146], [23.017, 70.147], [22.999, 70.082], [23.02, 70.038], [23.031, 70.031], [23.114, 70.043], [23.128, 70.034], [23.125, 69.989], [23.15, 69.975], [23.125, 69.962], [23.096, 69.955], [23.125, 69.945], [23.161, 69.952], [23.283, 69.994], [23.316, 69.997], [23.341, 69.977], [23.308, 69.95], [23.33, 69.948], [23.42, 69.979], [23.467, 69.985], [23.485, 70.006], [23.539, 70.024], [23.488, 70.034], [23.298, 70.039], [23.175, 70.092], [23.229, 70.098], [23.276, 70.112], [23.359, 70.115], [23.402, 70.141], [23.298, 70.168], [23.326, 70.176], [23.402, 70.181], [23.424, 70.195], [23.33, 70.193], [23.28, 70.198], [23.244, 70.217], [23.276, 70.225], [23.488, 70.235], [23.503, 70.237], [23.506, 70.244], [23.532, 70.244], [23.503, 70.254], [23.47, 70.256], [23.294, 70.244], [23.312, 70.257], [23.398, 70.279], [23.571, 70.291], [23.614, 70.304], [23.514, 70.298], [23.546, 70.325], [23.481, 70.316], [23.463, 70.318], [23.514, 70.365], [23.56, 70.377], [23.751, 70.448], [23.841, 70.497], [23.917, 70.509], [24.187, 70.494], [24.298, 70.475], [24.349, 70.456], [24.356, 70.472], [24.316, 70.483], [24.23, 70.524], [24.104, 70.541], [24.111, 70.549], [24.266, 70.607], [24.28, 70.657], [24.352, 70.691], [24.41, 70.681], [24.478, 70.683], [24.5, 70.678], [24.615, 70.627], [24.648, 70.619], [24.687, 70.613], [24.723, 70.62], [24.738, 70.644], [24.723, 70.666], [24.662, 70.688], [24.644, 70.703], [24.655, 70.71], [24.586, 70.722], [24.532, 70.75], [24.464, 70.75], [24.349, 70.764], [24.291, 70.764], [24.244, 70.784], [24.27, 70.801], [24.27, 70.838], [24.363, 70.863], [24.396, 70.867], [24.417, 70.853], [24.41, 70.847], [24.45, 70.841], [24.464, 70.835], [24.464, 70.818], [24.576, 70.799], [24.615, 70.779], [24.637, 70.779], [24.651, 70.799], [24.63, 70.816], [24.601, 70.826], [24.612, 70.86], [24.63, 70.867], [24.709, 70.858], [24.723, 70.874], [24.637, 70.894], [24.608, 70.894], [24.63, 70.907], [24.594, 70.917], [24.576, 70.936], [24.612, 70.948], [24.655, 70.95], [24.64, 70.955], [24.604, 70.956], [24.586, 70.963], [24.666, 70.978], [24.784, 70.966], [24.806, 70.948], [24.846, 70.939], [24.86, 70.928], [24.82, 70.907], [24.986, 70.914], [24.968, 70.929], [24.99, 70.958], [24.972, 70.963], [24.993, 70.971], [25.033, 70.971], [25.062, 70.958], [25.054, 70.928], [24.99, 70.892], [24.918, 70.874], [24.932, 70.868], [24.972, 70.877], [25.004, 70.862], [25.069, 70.853], [25.076, 70.884], [25.141, 70.922], [25.155, 70.919], [25.231, 70.874], [25.267, 70.826], [25.245, 70.791], [25.267, 70.794], [25.296, 70.813], [25.342, 70.813], [25.393, 70.884], [25.396, 70.901], [25.346, 70.941], [25.342, 70.953], [25.364, 70.977], [25.418, 70.965], [25.537, 70.922], [25.512, 70.887], [25.422, 70.86], [25.443, 70.841], [25.465, 70.845], [25.512, 70.87], [25.555, 70.853], [25.587, 70.88], [25.663, 70.895], [25.706, 70.895], [25.756, 70.86], [25.789, 70.88], [25.882, 70.895], [25.926, 70.863], [25.926, 70.857], [25.897, 70.85], [25.868, 70.835], [25.825, 70.828], [25.753, 70.784], [25.728, 70.776], [25.63, 70.764], [25.656, 70.737], [25.62, 70.713], [25.598, 70.705], [25.558, 70.7], [25.512, 70.671], [25.447, 70.662], [25.429, 70.642], [25.353, 70.607], [25.306, 70.6], [25.238, 70.565], [25.101, 70.522], [25.072, 70.504], [25.245, 70.527], [25.288, 70.51], [25.242, 70.487], [25.062, 70.49], [25.098, 70.472], [25.242, 70.478], [25.288, 70.456], [25.267, 70.456], [25.245, 70.434], [25.263, 70.406], [25.256, 70.387], [25.198, 70.401], [25.155, 70.394], [25.08, 70.359], [25.137, 70.353], [25.105, 70.337], [25.105, 70.325], [25.123, 70.318], [25.188, 70.34], [25.206, 70.331], [25.209, 70.316], [25.202, 70.308], [25.058, 70.254], [25.026, 70.249], [24.99, 70.23], [24.979, 70.23], [24.964, 70.198], [24.972, 70.176], [24.946, 70.158], [24.943, 70.102], [24.964, 70.08], [25.004, 70.065], [25.036, 70.065], [25.033, 70.092], [25.011, 70.109], [25.011, 70.134], [25.029, 70.142], [25.094, 70.154], [25.072, 70.127], [25.123, 70.132], [25.137, 70.127], [25.09, 70.117], [25.08, 70.105], [25.112, 70.083], [25.137, 70.078], [25.227, 70.092], [25.252, 70.102], [25.324, 70.183], [25.36, 70.195], [25.382, 70.195], [25.396, 70.2], [25.45, 70.249], [25.519, 70.277], [25.54, 70.298], [25.519, 70.311], [25.422, 70.325], [25.44, 70.342], [25.656, 70.441], [25.868, 70.565], [25.962, 70.588], [26.012, 70.627], [26.07, 70.713], [26.138, 70.723], [26.163, 70.757], [26.257, 70.798], [26.376, 70.868], [26.613, 70.95], [26.692, 70.956], [26.678, 70.943], [26.725, 70.928], [26.725, 70.88], [26.696, 70.865], [26.671, 70.86], [26.664, 70.85], [26.682, 70.826], [26.736, 70.838], [26.746, 70.833], [26.692, 70.772], [26.692, 70.737], [26.642, 70.706], [26.343, 70.647], [26.376, 70.639], [26.498, 70.661], [26.538, 70.662], [26.624, 70.652], [26.656, 70.64], [26.602, 70.558], [26.606, 70.544], [26.559, 70.517], [26.581, 70.477], [26.52, 70.448], [26.512, 70.431], [26.527, 70.407], [26.505, 70.364], [26.556, 70.353], [26.595, 70.38], [26.635, 70.377], [26.649, 70.38], [26.628, 70.407], [26.635, 70.413], [26.664, 70.426], [26.725, 70.421], [26.754, 70.428], [26.8, 70.455], [26.811, 70.48], [26.944, 70.483], [26.93, 70.467], [26.948, 70.463], [27.052, 70.477], [27.103, 70.47], [27.045, 70.489], [26.966, 70.537], [27.002, 70.549], [27.006, 70.558], [26.973, 70.566], [26.991, 70.583], [27.052, 70.61], [27.081, 70.613], [27.128, 70.598], [27.171, 70.6], [27.243, 70.585], [27.265, 70.585], [27.236, 70.602], [27.132, 70.627], [27.099, 70.64], [27.106, 70.656], [27.157, 70.681], [27.081, 70.703], [27.11, 70.728], [27.139, 70.74], [27.286, 70.744], [27.315, 70.738], [27.33, 70.744], [27.344, 70.757], [27.294, 70.764], [27.279, 70.774], [27.29, 70.796], [27.322, 70.823], [27.348, 70.826], [27.628, 70.804], [27.481, 70.826], [27.481, 70.833], [27.495, 70.831], [27.535, 70.847], [27.499, 70.867], [27.47, 70.867], [27.456, 70.879], [27.391, 70.877], [27.387, 70.892], [27.409, 70.914], [27.337, 70.884], [27.189, 70.895], [27.121, 70.922], [27.135, 70.95], [27.15, 70.963], [27.171, 70.966], [27.348, 70.943], [27.308, 70.973], [27.247, 70.988], [27.232, 70.997], [27.222, 71.019], [27.254, 71.025], [27.477, 71.007], [27.499, 70.993], [27.51, 70.968], [27.528, 70.956], [27.553, 70.955], [27.574, 70.968], [27.564, 70.995], [27.582, 71.017], [27.546, 71.022], [27.531, 71.029], [27.524, 71.074], [27.535, 71.086], [27.567, 71.096], [27.643, 71.095], [27.65, 71.127], [27.715, 71.105], [27.726, 71.09], [27.697, 71.066], [27.722, 71.059], [27.812, 71.056], [27.877, 71.037], [27.963, 71.047], [27.999, 71.066], [28.042, 71.071], [28.06, 71.066], [28.064, 71.049], [28.082, 71.041], [28.168, 71.083], [28.208, 71.085], [28.233, 71.078], [28.262, 71.056], [28.251, 71.039], [28.197, 71.017], [28.219, 71.017], [28.201, 71.012], [28.186, 70.997], [28.24, 71.01], [28.204, 70.983], [28.233, 70.977], [28.345, 71.004], [28.492, 71], [28.546, 70.98], [28.55, 70.973], [28.482, 70.889], [28.442, 70.884], [28.37, 70.887], [28.384, 70.875], [28.446, 70.867], [28.399, 70.847], [28.345, 70.847], [28.363, 70.826], [28.226, 70.833], [28.262, 70.819], [28.302, 70.813], [28.266, 70.794], [28.179, 70.782], [28.136, 70.784], [28.06, 70.799], [28.024, 70.792], [28.01, 70.796], [28.014, 70.813], [27.999, 70.816], [27.952, 70.798], [27.823, 70.791], [27.798, 70.796], [27.762, 70.791], [27.776, 70.781], [27.812, 70.777], [27.83, 70.771], [27.783, 70.755], [27.772, 70.744], [27.898, 70.769], [27.988, 70.757], [28.006, 70.744], [28.082, 70.745], [28.129, 70.737], [28.071, 70.703], [27.934, 70.688], [27.87, 70.668], [27.877, 70.661], [27.794, 70.637], [27.754, 70.632], [27.65, 70.607], [27.794, 70.613], [28.154, 70.678], [28.255, 70.716], [28.284, 70.718], [28.302, 70.703], [28.287, 70.654], [28.233, 70.615], [28.165, 70.588], [28.057, 70.556], [27.996, 70.526], [27.913, 70.512], [27.848, 70.483], [27.884, 70.428], [27.913, 70.473], [27.945, 70.489], [27.981, 70.497], [27.938, 70.47], [28.057, 70.494], [28.186, 70.504], [28.078, 70.477], [28.053, 70.46], [28.05, 70.443], [28.089, 70.451], [28.129, 70.47], [28.104, 70.455], [28.107, 70.446], [28.129, 70.441], [28.179, 70.477], [28.251, 70.51], [28.294, 70.517], [28.334, 70.517], [28.323, 70.497], [28.266, 70.467], [28.161, 70.382], [28.172, 70.333], [28.158, 70.247], [28.179, 70.183], [28.168, 70.136], [28.1, 70.088], [28.039, 70.071], [28.014, 70.071], [28.068, 70.063], [28.129, 70.082], [28.183, 70.115], [28.219, 70.154], [28.226, 70.174], [28.197, 70.217], [28.204, 70.245], [28.19, 70.284], [28.226, 70.345], [28.233, 70.399], [28.248, 70.414], [28.32, 70.44], [28.33, 70.47], [28.352, 70.483], [28.392, 70.494], [28.428, 70.495], [28.46, 70.49], [28.456, 70.472], [28.471, 70.455], [28.489, 70.445], [28.507, 70.448], [28.5, 70.483], [28.525, 70.499], [28.554, 70.504], [28.554, 70.51], [28.482, 70.512], [28.46, 70.517], [28.399, 70.548], [28.485, 70.635], [28.5, 70.668], [28.532, 70.679], [28.575, 70.674], [28.615, 70.674], [28.622, 70.678], [28.611, 70.689], [28.539, 70.71], [28.525, 70.722], [28.554, 70.75], [28.644, 70.789], [28.726, 70.848], [28.795, 70.874], [29.058, 70.884], [29.104, 70.874], [29.101, 70.868], [29.061, 70.867], [29.061, 70.86], [29.22, 70.855], [29.263, 70.84], [29.263, 70.821], [29.281, 70.804], [29.382, 70.792], [29.403, 70.784], [29.382, 70.769], [29.295, 70.744], [29.32, 70.735], [29.418, 70.737], [29.371, 70.723], [29.32, 70.723], [29.338, 70.708], [29.364, 70.71], [29.353, 70.695], [29.281, 70.681], [29.295, 70.674], [29.281, 70.661], [29.306, 70.652], [29.392, 70.698], [29.518, 70.706], [29.698, 70.744], [29.745, 70.744], [29.778, 70.727], [29.781, 70.689], [29.763, 70.664], [29.702, 70.639], [29.68, 70.62], [29.824, 70.634], [29.871, 70.664], [29.958, 70.705], [29.994, 70.713], [30.069, 70.715], [30.105, 70.711], [30.206, 70.681], [30.185, 70.664], [30.098, 70.647], [30.131, 70.639], [30.242, 70.634], [30.336, 70.607], [30.347, 70.597], [30.329, 70.585], [30.264, 70.57], [30.152, 70.558], [30.123, 70.551], [30.123, 70.544], [30.149, 70.546], [30.159, 70.541], [30.167, 70.531], [30.123, 70.532], [30.041, 70.544], [30.001, 70.544], [30.001, 70.537], [30.163, 70.524], [30.458, 70.561], [30.501, 70.558], [30.581, 70.543], [30.599, 70.529], [30.563, 70.517], [30.732, 70.468], [30.743, 70.441], [30.811, 70.414], [30.836, 70.431], [30.926, 70.456], [30.948, 70.45], [30.973, 70.421], [31.005, 70.409], [31.063, 70.367], [31.02, 70.34], [31.023, 70.325], [31.067, 70.301], [31.077, 70.284], [31.041, 70.284], [30.933, 70.264], [30.548, 70.249], [30.516, 70.239], [30.516, 70.217], [30.491, 70.203], [30.397, 70.195], [30.375, 70.186], [30.357, 70.173], [30.357, 70.161], [30.383, 70.154], [30.354, 70.131], [30.318, 70.117], [30.12, 70.085], [30.134, 70.073], [30.159, 70.071], [29.22, 70.12], [28.654, 70.183], [28.615, 70.176], [28.597, 70.161], [28.755, 70.168], [28.734, 70.149], [28.69, 70.134], [28.611, 70.12], [28.629, 70.107], [28.665, 70.1], [28.734, 70.098], [28.773, 70.112], [28.788, 70.112], [28.849, 70.098], [28.849, 70.092], [28.759, 70.093], [28.734, 70.085], [28.924, 70.073], [28.993, 70.056], [29.137, 70.058], [29.122, 70.044], [29.184, 70.043], [29.191, 70.038], [29.13, 70.017], [29.158, 70.009], [29.342, 70.017], [29.389, 70.006], [29.684, 69.97], [29.439, 69.901], [29.4, 69.869], [29.364, 69.86], [29.414, 69.857], [29.436, 69.862], [29.472, 69.887], [29.536, 69.914], [29.565, 69.913], [29.605, 69.901], [29.63, 69.908], [29.666, 69.901], [29.713, 69.914], [29.742, 69.908], [29.731, 69.894], [29.745, 69.877], [29.742, 69.865], [29.774, 69.838], [29.738, 69.803], [29.648, 69.773], [29.644, 69.756], [29.626, 69.754], [29.612, 69.746], [29.59, 69.722], [29.508, 69.708], [29.544, 69.708], [29.486, 69.661], [29.522, 69.668], [29.569, 69.695], [29.68, 69.735], [29.716, 69.74], [29.821, 69.744], [29.907, 69.737], [30.03, 69.776], [30.062, 69.771], [30.001, 69.725], [29.954, 69.715], [29.936, 69.705], [29.94, 69.688], [29.954, 69.705], [30.03, 69.722], [30.073, 69.74], [30.116, 69.707], [30.174, 69.686], [30.185, 69.688], [30.181, 69.702], [30.109, 69.756], [30.131, 69.761], [30.188, 69.762], [30.206, 69.771], [30.21, 69.784], [30.159, 69.811], [30.167, 69.879], [30.242, 69.879], [30.289, 69.886], [30.303, 69.884], [30.325, 69.867], [30.318, 69.859], [30.267, 69.845], [30.3, 69.838], [30.372, 69.847], [30.404, 69.832], [30.411, 69.702], [30.39, 69.68], [30.336, 69.675], [30.361, 69.668], [30.444, 69.678], [30.447, 69.734], [30.465, 69.742], [30.451, 69.81], [30.483, 69.818], [30.699, 69.808], [30.721, 69.798], [30.699, 69.783], [30.703, 69.774], [30.717, 69.771], [30.84, 69.806], [30.843, 69.766], [30.869, 69.749], [30.883, 69.702], [30.926, 69.673], [30.926, 69.578], [30.897, 69.545], [30.854, 69.528], [30.757, 69.521], [30.512, 69.536], [30.48, 69.545], [30.296, 69.621], [30.231, 69.637], [30.185, 69.641], [30.12, 69.634], [30.149, 69.619], [30.21, 69.609], [30.231, 69.558], [30.21, 69.528], [30.156, 69.506], [30.138, 69.453], [30.123, 69.442], [30.001, 69.394], [29.947, 69.366], [29.9, 69.359], [29.752, 69.357], [29.727, 69.352], [29.662, 69.325], [29.605, 69.315], [29.436, 69.312], [29.378, 69.301], [29.335, 69.278], [29.302, 69.2], [29.22, 69.099], [29.119, 69.046], [29.065, 69.035], [28.975, 69.035], [28.953, 69.028], [28.838, 69.08], [28.827, 69.09], [28.845, 69.182], [28.863, 69.217], [29.23, 69.377], [29.346, 69.464], [29.202, 69.587], [29.148, 69.665], [29.13, 69.675], [28.442, 69.791], [28.406, 69.803], [28.381, 69.822], [28.381, 69.857], [28.19, 69.886], [28.168, 69.894], [27.981, 70.009], [27.898, 70.071], [27.866, 70.075], [27.79, 70.06], [27.664, 70.068], [27.614, 70.061], [27.571, 70.041], [27.564, 70.024], [27.445, 70.004], [27.38, 69.974], [27.333, 69.968], [27.322, 69.96], [27.351, 69.948], [27.312, 69.93], [27.099, 69.903], [27.081, 69.903], [27.009, 69.923], [26.952, 69.919], [26.865, 69.938], [26.772, 69.928], [26.707, 69.935], [26.534, 69.925], [26.502, 69.918], [26.448, 69.882], [26.437, 69.874], [26.448, 69.855], [26.419, 69.835], [26.318, 69.795], [26.199, 69.715], [26.034, 69.697], [26.005, 69.69], [25.962, 69.653], [26.005, 69.61], [26.005, 69.587], [25.962, 69.548], [25.9, 69.533], [25.886, 69.521], [25.908, 69.502], [25.886, 69.479], [25.886, 69.455], [25.843, 69.418], [25.879, 69.371], [25.785, 69.313], [25.738, 69.219], [25.735, 69.192], [25.771, 69.134], [25.749, 69.06], [25.767, 69.031], [25.8, 69.013], [25.796, 68.994], [25.753, 68.979], [25.728, 68.942], [25.677, 68.913], [25.652, 68.883], [25.627, 68.874], [25.602, 68.873], [25.483, 68.888], [25.432, 68.884], [25.386, 68.874], [25.202, 68.813], [25.148, 68.764], [25.144, 68.695], [25.134, 68.683], [25.144, 68.668], [25.134, 68.648], [25.119, 68.638], [25.072, 68.631], [25.008, 68.614], [24.982, 68.616], [24.95, 68.606], [24.928, 68.57], [24.907, 68.557], [24.878, 68.555], [24.831, 68.594], [24.756, 68.638], [24.662, 68.667], [24.331, 68.709], [24.187, 68.744], [24.133, 68.776], [23.928, 68.817], [23.852, 68.817], [23.787, 68.8], [23.769, 68.756], [23.733, 68.716], [23.643, 68.695], [23.481, 68.685], [23.197, 68.618], [23.175, 68.621], [23.1, 68.67], [23.071, 68.68], [23.02, 68.687], [22.851, 68.675], [22.57, 68.727], [22.43, 68.71], [22.408, 68.712], [22.372, 68.822], [22.358, 68.832], [22.279, 68.857], [22.2, 68.908], [22.16, 68.955], [22.023, 69.013], [21.663, 69.263], [21.638, 69.271], [21.314, 69.291], [21.098, 69.239], [21.062, 69.215], [21.033, 69.182], [21.156, 69.087], [21.098, 69.043], [21.073, 69.036], [20.745, 69.104], [20.716, 69.099]]],
+    [[[14.874, 68.222], [14.812, 68.233], [14.794, 68.246], [14.816, 68.268], [14.888, 68.3], [14.938, 68.302], [14.953, 68.278]]],
+    [[[14.2, 68.315], [14.24, 68.314], [14.269, 68.283], [14.244, 68.256], [14.2, 68.249], [14.143, 68.273], [14.146, 68.295], [14.06, 68.297], [14.042, 68.312], [14.078, 68.315], [14.067, 68.332], [14.118, 68.337], [14.146, 68.334], [14.168, 68.322]]],
+    [[[14.028, 68.263], [14.089, 68.283], [14.125, 68.275], [14.157, 68.255], [14.11, 68.207], [14.064, 68.201], [14.035, 68.18], [13.948, 68.177], [13.909, 68.168], [13.876, 68.18], [13.84, 68.16], [13.776, 68.16], [13.786, 68.146], [13.826, 68.143], [13.844, 68.133], [13.848, 68.121], [13.826, 68.106], [13.776, 68.103], [13.754, 68.109], [13.743, 68.126], [13.722, 68.123], [13.7, 68.098], [13.718, 68.077], [13.7, 68.07], [13.642, 68.07], [13.65, 68.077], [13.624, 68.086], [13.624, 68.108], [13.596, 68.121], [13.56, 68.119], [13.542, 68.096], [13.563, 68.082], [13.56, 68.076], [13.527, 68.043], [13.513, 68.04], [13.455, 68.07], [13.484, 68.108], [13.588, 68.16], [13.563, 68.165], [13.509, 68.136], [13.48, 68.133], [13.48, 68.14], [13.509, 68.15], [13.513, 68.16], [13.495, 68.16], [13.48, 68.167], [13.527, 68.173], [13.48, 68.187], [13.516, 68.209], [13.617, 68.226], [13.581, 68.236], [13.498, 68.243], [13.635, 68.295], [13.686, 68.288], [13.714, 68.275], [13.75, 68.283], [13.772, 68.28], [13.79, 68.268], [13.801, 68.27], [13.873, 68.325], [13.92, 68.341], [13.984, 68.337], [14.01, 68.295], [13.966, 68.27], [13.995, 68.258]]],
+    [[[14.762, 68.494], [14.719, 68.491], [14.704, 68.513], [14.625, 68.543], [14.604, 68.558], [14.668, 68.587], [14.715, 68.577], [14.866, 68.569], [15, 68.555], [14.992, 68.53], [14.892, 68.494]]],
+    [[[5.276, 59.3], [5.294, 59.283], [5.315, 59.273], [5.319, 59.256], [5.319, 59.229], [5.301, 59.205], [5.297, 59.168], [5.236, 59.141], [5.207, 59.143], [5.179, 59.17], [5.164, 59.217], [5.171, 59.241], [5.171, 59.268], [5.164, 59.273], [5.179, 59.292], [5.229, 59.285], [5.182, 59.32], [5.175, 59.334], [5.175, 59.349], [5.2, 59.362], [5.207, 59.374], [5.189, 59.384], [5.179, 59.401], [5.186, 59.415], [5.207, 59.417], [5.254, 59.347], [5.279, 59.33], [5.287, 59.32]]],
+    [[[5.308, 59.759], [5.319, 59.753], [5.344, 59.71], [5.29, 59.683], [5.269, 59.683], [5.269, 59.69], [5.312, 59.704], [5.29, 59.749], [5.269, 59.753], [5.272, 59.736], [5.261, 59.734], [5.24, 59.742], [5.225, 59.756], [5.193, 59.744], [5.189, 59.702], [5.153, 59.67], [5.161, 59.655], [5.207, 59.683], [5.189, 59.656], [5.2, 59.633], [5.193, 59.621], [5.2, 59.614], [5.179, 59.597], [5.153, 59.592], [5.125, 59.621], [5.11, 59.653], [5.132, 59.712], [5.189, 59.759], [5.146, 59.758], [5.125, 59.763], [5.117, 59.78], [5.107, 59.768], [5.089, 59.763], [5.078, 59.766], [5.071, 59.783], [5.096, 59.81], [5.099, 59.827], [5.117, 59.82], [5.128, 59.832], [5.146, 59.827], [5.139, 59.84], [5.103, 59.869], [5.128, 59.876], [5.153, 59.874], [5.168, 59.85], [5.193, 59.834], [5.222, 59.827], [5.225, 59.807], [5.261, 59.803], [5.294, 59.764]]],
+    [[[5.488, 59.861], [5.499, 59.803], [5.481, 59.788], [5.423, 59.759], [5.362, 59.764], [5.359, 59.773], [5.398, 59.771], [5.405, 59.78], [5.402, 59.788], [5.377, 59.793], [5.366, 59.781], [5.351, 59.778], [5.326, 59.783], [5.312, 59.795], [5.283, 59.849], [5.258, 59.874], [5.261, 59.894], [5.251, 59.91], [5.297, 59.952], [5.276, 59.96], [5.294, 59.974], [5.315, 59.979], [5.326, 59.977], [5.344, 59.964], [5.387, 59.959], [5.42, 59.938]]],
+    [[[5.618, 60.073], [5.647, 60.08], [5.657, 60.078], [5.661, 60.067], [5.654, 60.001], [5.603, 59.962], [5.639, 59.916], [5.621, 59.911], [5.593, 59.923], [5.571, 59.923], [5.528, 59.901], [5.51, 59.899], [5.488, 59.916], [5.477, 59.964], [5.456, 59.952], [5.409, 59.957], [5.373, 59.977], [5.362, 59.996], [5.377, 60.002], [5.449, 60.006], [5.441, 60.033], [5.463, 60.053], [5.485, 60.046], [5.513, 60.06], [5.578, 60.067], [5.596, 60.06], [5.607, 60.072]]],
+    [[[5.11, 60.2], [5.103, 60.192], [5.085, 60.188], [5.056, 60.193], [5.045, 60.225], [5.024, 60.246], [5.017, 60.22], [4.991, 60.225], [4.937, 60.274], [4.941, 60.291], [5.006, 60.296], [5.024, 60.286], [5.038, 60.313], [5.02, 60.308], [4.97, 60.333], [4.959, 60.369], [4.973, 60.384], [4.959, 60.398], [4.945, 60.43], [4.948, 60.44], [4.97, 60.443], [4.977, 60.441], [5.002, 60.399], [5.071, 60.347], [5.092, 60.32], [5.099, 60.298], [5.081, 60.286], [5.049, 60.286], [5.099, 60.251]]],
+    [[[4.977, 60.524], [4.959, 60.56], [4.981, 60.553], [5.027, 60.523], [5.15, 60.501], [5.193, 60.472], [5.204, 60.431], [5.193, 60.42], [5.139, 60.403], [5.125, 60.403], [5.117, 60.428], [5.132, 60.443], [5.078, 60.455], [5.063, 60.465], [5.078, 60.472], [5.078, 60.479], [5.063, 60.477], [5.053, 60.502], [5.045, 60.506], [5.006, 60.499], [4.991, 60.506]]],
+    [[[5.686, 60.676], [5.686, 60.595], [5.675, 60.546], [5.683, 60.482], [5.665, 60.47], [5.636, 60.472], [5.625, 60.467], [5.611, 60.443], [5.528, 60.435], [5.503, 60.436], [5.459, 60.467], [5.434, 60.477], [5.391, 60.512], [5.323, 60.546], [5.337, 60.551], [5.387, 60.553], [5.409, 60.558], [5.434, 60.578], [5.571, 60.626], [5.589, 60.642], [5.593, 60.676], [5.607, 60.688], [5.636, 60.693], [5.665, 60.688]]],
+    [[[4.959, 61.178], [4.988, 61.12], [4.984, 61.105], [4.894, 61.056], [4.876, 61.09], [4.858, 61.102], [4.822, 61.078], [4.804, 61.046], [4.793, 61.154], [4.819, 61.156], [4.829, 61.163], [4.862, 61.122], [4.873, 61.137], [4.844, 61.198], [4.862, 61.203], [4.873, 61.195], [4.894, 61.137], [4.905, 61.146], [4.901, 61.169], [4.927, 61.173], [4.934, 61.178], [4.919, 61.191], [4.945, 61.19]]],
+    [[[4.865, 61.889], [4.909, 61.899], [4.952, 61.897], [5.222, 61.848], [5.204, 61.835], [5.175, 61.826], [5.117, 61.821], [5.139, 61.838], [5.139, 61.848], [5.125, 61.857], [5.092, 61.828], [5.053, 61.809], [5.013, 61.796], [4.916, 61.781], [4.891, 61.786], [4.869, 61.813], [4.88, 61.814], [4.901, 61.808], [4.927, 61.828], [4.829, 61.835], [4.804, 61.841], [4.865, 61.873]]],
+    [[[5.737, 62.28], [5.801, 62.277], [5.805, 62.267], [5.794, 62.263], [5.783, 62.243], [5.798, 62.231], [5.78, 62.208], [5.701, 62.191], [5.546, 62.193], [5.531, 62.198], [5.503, 62.226], [5.582, 62.218], [5.607, 62.226], [5.517, 62.243], [5.539, 62.258], [5.557, 62.26], [5.542, 62.274], [5.564, 62.292], [5.6, 62.297], [5.672, 62.294], [5.697, 62.302], [5.719, 62.285]]],
+    [[[5.989, 62.397], [5.999, 62.366], [6.068, 62.348], [6.079, 62.341], [6.057, 62.341], [6.035, 62.334], [5.873, 62.255], [5.812, 62.245], [5.852, 62.28], [5.83, 62.287], [5.841, 62.312], [5.812, 62.343], [5.805, 62.363], [5.816, 62.385], [5.863, 62.415], [5.917, 62.431], [5.945, 62.427], [5.967, 62.417]]],
+    [[[6.262, 62.424], [6.302, 62.426], [6.32, 62.422], [6.334, 62.41], [6.32, 62.404], [6.165, 62.397], [6.089, 62.402], [6.025, 62.437], [6.201, 62.444]]],
+    [[[6.853, 62.746], [6.878, 62.743], [6.903, 62.733], [6.921, 62.718], [6.914, 62.697], [6.748, 62.677], [6.673, 62.655], [6.662, 62.675], [6.647, 62.679], [6.647, 62.684], [6.68, 62.697], [6.683, 62.73], [6.701, 62.736], [6.723, 62.733], [6.716, 62.726], [6.745, 62.723]]],
+    [[[6.831, 62.841], [6.892, 62.854], [6.925, 62.856], [6.943, 62.841], [6.943, 62.826], [6.896, 62.819], [6.881, 62.807], [6.899, 62.799], [6.903, 62.79], [6.899, 62.78], [6.885, 62.775], [6.838, 62.794], [6.784, 62.807], [6.77, 62.817], [6.784, 62.824], [6.806, 62.822], [6.777, 62.839], [6.777, 62.849], [6.791, 62.858]]],
+    [[[7.778, 63.082], [7.85, 63.098], [7.886, 63.099], [7.915, 63.082], [7.9, 63.062], [7.875, 63.045], [7.843, 63.032], [7.789, 63.02], [7.778, 63.02], [7.753, 63.033], [7.681, 63.055], [7.681, 63.06], [7.699, 63.062], [7.713, 63.089], [7.727, 63.094], [7.735, 63.096]]],
+    [[[7.641, 63.055], [7.652, 63.052], [7.681, 63.02], [7.706, 63.006], [7.681, 62.996], [7.623, 62.99], [7.598, 62.974], [7.526, 62.946], [7.508, 62.942], [7.49, 62.946], [7.465, 62.966], [7.393, 62.979], [7.375, 62.988], [7.367, 62.996], [7.375, 63.006], [7.436, 63.02], [7.418, 63.037], [7.421, 63.044], [7.436, 63.047], [7.4, 63.055], [7.4, 63.06], [7.49, 63.067], [7.475, 63.055], [7.504, 63.054], [7.526, 63.047], [7.565, 63.02], [7.576, 63.044], [7.562, 63.05], [7.594, 63.064], [7.605, 63.079], [7.583, 63.116], [7.637, 63.116], [7.648, 63.109], [7.652, 63.081]]],
+    [[[8.113, 63.239], [8.156, 63.211], [8.17, 63.192], [8.167, 63.179], [8.188, 63.165], [8.188, 63.157], [8.019, 63.138], [7.976, 63.143], [7.929, 63.179], [7.936, 63.185], [7.99, 63.199], [8.077, 63.241]]],
+    [[[8.483, 63.246], [8.548, 63.219], [8.573, 63.199], [8.566, 63.179], [8.422, 63.162], [8.375, 63.165], [8.347, 63.177], [8.264, 63.233], [8.278, 63.275], [8.289, 63.277], [8.325, 63.26], [8.354, 63.266], [8.397, 63.228], [8.408, 63.239], [8.401, 63.272], [8.411, 63.283], [8.429, 63.288], [8.447, 63.283]]],
+    [[[7.915, 63.342], [7.933, 63.346], [7.997, 63.342], [7.965, 63.353], [7.807, 63.371], [7.785, 63.383], [7.792, 63.403], [7.778, 63.412], [7.839, 63.429], [7.925, 63.437], [7.976, 63.466], [8.005, 63.472], [8.069, 63.472], [8.102, 63.464], [8.123, 63.425], [8.17, 63.407], [8.181, 63.39], [8.152, 63.359], [8.127, 63.348], [8.098, 63.342], [8.087, 63.329], [8.037, 63.329], [7.994, 63.315], [7.976, 63.315], [7.972, 63.326]]],
+    [[[9.139, 63.567], [9.175, 63.567], [9.175, 63.562], [9.142, 63.555], [9.106, 63.533], [8.858, 63.488], [8.717, 63.484], [8.663, 63.469], [8.573, 63.459], [8.505, 63.434], [8.39, 63.434], [8.339, 63.459], [8.325, 63.457], [8.314, 63.445], [8.3, 63.445], [8.282, 63.456], [8.285, 63.466], [8.278, 63.466], [8.3, 63.501], [8.415, 63.559], [8.617, 63.57], [8.692, 63.564], [8.725, 63.567], [8.681, 63.579], [8.584, 63.587], [8.545, 63.603], [8.566, 63.613], [8.584, 63.614], [8.62, 63.609], [8.789, 63.64], [8.829, 63.64], [8.833, 63.616], [8.847, 63.616], [8.869, 63.646], [8.951, 63.658], [8.966, 63.657], [8.977, 63.645], [8.955, 63.631], [8.973, 63.621], [8.987, 63.592], [9.049, 63.608], [9.081, 63.606], [9.121, 63.582], [9.128, 63.569]]],
+    [[[8.361, 63.672], [8.314, 63.668], [8.271, 63.685], [8.332, 63.702], [8.519, 63.719], [8.743, 63.775], [8.71, 63.78], [8.674, 63.768], [8.681, 63.78], [8.735, 63.809], [8.753, 63.802], [8.804, 63.815], [8.793, 63.795], [8.811, 63.781], [8.825, 63.719], [8.793, 63.699], [8.743, 63.689], [8.545, 63.677], [8.476, 63.665], [8.455, 63.672], [8.527, 63.692], [8.469, 63.685], [8.455, 63.677], [8.44, 63.685]]],
+    [[[11.288, 64.558], [11.313, 64.54], [11.425, 64.54], [11.45, 64.514], [11.418, 64.472], [11.392, 64.482], [11.317, 64.487], [11.284, 64.513], [11.248, 64.516], [11.18, 64.508], [11.13, 64.557], [11.14, 64.572], [11.223, 64.57], [11.191, 64.595], [11.083, 64.589], [11.043, 64.6], [11.036, 64.614], [11.054, 64.644], [11.086, 64.653], [11.144, 64.631], [11.23, 64.611], [11.27, 64.592]]],
+    [[[11.09, 64.901], [11.083, 64.898], [11.007, 64.899], [10.906, 64.857], [10.849, 64.849], [10.827, 64.85], [10.827, 64.857], [11.101, 64.953], [11.18, 64.931], [11.205, 64.909], [11.266, 64.899], [11.266, 64.893], [11.176, 64.849], [11.133, 64.839], [11.079, 64.835], [11.086, 64.85], [11.068, 64.855], [11.047, 64.85], [11.047, 64.857], [11.094, 64.889]]],
+    [[[10.842, 64.877], [10.737, 64.85], [10.744, 64.864], [10.712, 64.864], [10.73, 64.872], [10.766, 64.918], [10.784, 64.925], [10.852, 64.925], [10.924, 64.942], [10.964, 64.957], [11.032, 64.974], [11.032, 64.989], [11.061, 64.991], [11.094, 64.984], [11.115, 64.974], [10.964, 64.918], [10.899, 64.908]]],
+    [[[12.224, 65.124], [12.31, 65.11], [12.3, 65.097], [12.271, 65.08], [12.231, 65.068], [12.156, 65.055], [12.069, 65.07], [12.001, 65.075], [11.979, 65.083], [11.994, 65.087], [12.048, 65.085], [12.044, 65.107], [12.062, 65.117], [12.123, 65.131], [12.098, 65.131], [12.087, 65.144], [12.094, 65.178], [12.112, 65.193], [12.166, 65.212], [12.192, 65.213], [12.21, 65.207], [12.242, 65.178], [12.271, 65.164], [12.26, 65.148]]],
+    [[[12.451, 65.426], [12.476, 65.403], [12.508, 65.397], [12.49, 65.387], [12.458, 65.382], [12.444, 65.37], [12.393, 65.36], [12.368, 65.343], [12.336, 65.332], [12.238, 65.323], [12.21, 65.325], [12.21, 65.303], [12.249, 65.281], [12.22, 65.271], [12.184, 65.247], [12.08, 65.215], [12.055, 65.22], [12.076, 65.234], [12.123, 65.303], [12.112, 65.301], [12.08, 65.308], [12.109, 65.343], [12.141, 65.364], [12.181, 65.35], [12.21, 65.377], [12.21, 65.386], [12.174, 65.386], [12.159, 65.396], [12.21, 65.426], [12.267, 65.45], [12.328, 65.467], [12.314, 65.495], [12.26, 65.473], [12.228, 65.468], [12.199, 65.473], [12.231, 65.487], [12.206, 65.487], [12.242, 65.526], [12.246, 65.541], [12.224, 65.549], [12.274, 65.582], [12.325, 65.533], [12.386, 65.514], [12.444, 65.467]]],
+    [[[12.004, 65.69], [12.001, 65.678], [11.958, 65.664], [11.976, 65.642], [11.972, 65.632], [11.918, 65.59], [11.907, 65.59], [11.9, 65.602], [11.889, 65.603], [11.86, 65.598], [11.85, 65.603], [11.868, 65.61], [11.846, 65.614], [11.781, 65.607], [11.76, 65.619], [11.767, 65.636], [11.785, 65.661], [11.824, 65.693], [11.893, 65.706], [11.925, 65.708], [11.954, 65.696], [11.997, 65.7]]],
+    [[[12.699, 65.997], [12.742, 66.014], [12.8, 66.026], [12.861, 66.027], [12.904, 66.015], [12.89, 66.002], [12.858, 66], [12.735, 65.975], [12.674, 65.953], [12.624, 65.943], [12.494, 65.88], [12.465, 65.874], [12.429, 65.87], [12.472, 65.887], [12.48, 65.899], [12.368, 65.892], [12.429, 65.933], [12.472, 65.982], [12.49, 65.99], [12.602, 66.022], [12.627, 66.022], [12.649, 66.015], [12.609, 65.98], [12.616, 65.975], [12.66, 65.982]]],
+    [[[12.573, 66.076], [12.534, 66.061], [12.296, 66.015], [12.336, 66.043], [12.379, 66.056], [12.429, 66.086], [12.418, 66.09], [12.397, 66.088], [12.361, 66.076], [12.343, 66.076], [12.343, 66.083], [12.386, 66.102], [12.458, 66.107], [12.472, 66.112], [12.487, 66.135], [12.523, 66.14], [12.573, 66.159], [12.541, 66.171], [12.505, 66.176], [12.465, 66.174], [12.429, 66.166], [12.429, 66.173], [12.544, 66.201], [12.552, 66.22], [12.562, 66.221], [12.595, 66.205], [12.613, 66.157], [12.591, 66.147], [12.548, 66.139], [12.548, 66.132], [12.624, 66.132], [12.588, 66.117], [12.588, 66.112], [12.645, 66.113], [12.656, 66.103], [12.642, 66.09], [12.602, 66.088]]],
+    [[[14.272, 67.165], [14.24, 67.115], [14.193, 67.084], [14.215, 67.032], [14.197, 67.022], [14.208, 67.008], [14.175, 67], [14.157, 67.002], [14.146, 67.032], [14.1, 67.062], [13.992, 67.078], [13.992, 67.084], [14.013, 67.089], [14.064, 67.118], [14.056, 67.133], [14.067, 67.135], [14.154, 67.106], [14.172, 67.111], [14.247, 67.174]]],
+    [[[13.056, 68.098], [13.056, 68.104], [13.081, 68.104], [13.156, 68.086], [13.156, 68.077], [13.142, 68.077], [13.12, 68.062], [13.095, 68.057], [13.095, 68.05], [13.138, 68.05], [13.12, 68.038], [13.063, 68.033], [13.052, 68.025], [13.059, 68.011], [13.074, 68.01], [13.11, 68.028], [13.128, 67.988], [13.124, 67.944], [13.041, 67.94], [12.976, 67.969], [12.987, 67.947], [12.962, 67.947], [12.962, 67.94], [12.973, 67.934], [13.041, 67.924], [13.048, 67.915], [13.016, 67.881], [12.994, 67.873], [12.897, 67.856], [12.872, 67.826], [12.843, 67.816], [12.786, 67.81], [12.847, 67.853], [12.843, 67.88], [12.89, 67.929], [12.901, 67.957], [12.93, 67.964], [12.93, 67.989], [12.991, 68.045], [13.012, 68.057], [13.063, 68.07], [13.074, 68.086]]],
+    [[[13.279, 68.13], [13.297, 68.152], [13.329, 68.155], [13.401, 68.146], [13.437, 68.126], [13.416, 68.082], [13.38, 68.05], [13.365, 68.013], [13.358, 68.011], [13.322, 68.03], [13.239, 67.986], [13.225, 68], [13.214, 68.037], [13.196, 68.033], [13.185, 68.01], [13.167, 68.015], [13.167, 68.05], [13.239, 68.092], [13.257, 68.096], [13.311, 68.059], [13.329, 68.064], [13.34, 68.086]]],
+    [[[15, 68.364], [14.946, 68.351], [14.978, 68.337], [14.935, 68.327], [14.762, 68.26], [14.737, 68.255], [14.719, 68.263], [14.722, 68.28], [14.776, 68.317], [14.758, 68.317], [14.733, 68.337], [14.719, 68.337], [14.694, 68.31], [14.704, 68.297], [14.694, 68.287], [14.64, 68.273], [14.625, 68.263], [14.629, 68.258], [14.672, 68.249], [14.614, 68.224], [14.557, 68.216], [14.521, 68.201], [14.499, 68.197], [14.406, 68.192], [14.384, 68.18], [14.323, 68.187], [14.33, 68.173], [14.312, 68.168], [14.276, 68.168], [14.247, 68.158], [14.197, 68.153], [14.218, 68.175], [14.197, 68.201], [14.236, 68.221], [14.319, 68.233], [14.355, 68.243], [14.301, 68.236], [14.276, 68.238], [14.254, 68.249], [14.269, 68.258], [14.33, 68.263], [14.305, 68.275], [14.305, 68.312], [14.33, 68.324], [14.359, 68.32], [14.395, 68.287], [14.424, 68.283], [14.413, 68.297], [14.442, 68.319], [14.474, 68.304], [14.496, 68.307], [14.496, 68.317], [14.467, 68.344], [14.445, 68.337], [14.434, 68.344], [14.438, 68.359], [14.384, 68.373], [14.492, 68.386], [14.589, 68.364], [14.582, 68.381], [14.542, 68.407], [14.654, 68.428], [14.672, 68.417], [14.679, 68.396], [14.708, 68.378], [14.704, 68.413], [14.726, 68.43], [14.762, 68.434], [14.816, 68.42], [14.827, 68.395], [14.755, 68.359], [14.755, 68.351], [14.784, 68.354], [14.87, 68.379], [14.899, 68.434], [14.931, 68.437], [15.01, 68.428], [15.064, 68.449], [15.1, 68.454], [15.172, 68.454], [15.036, 68.364], [15.014, 68.359], [15.014, 68.379], [15.003, 68.378]]],
+    [[[16.422, 68.493], [16.465, 68.469], [16.393, 68.455], [16.371, 68.447], [16.414, 68.418], [16.4, 68.413], [16.231, 68.41], [16.18, 68.4], [16.123, 68.379], [16.094, 68.398], [16.173, 68.428], [16.159, 68.427], [16.119, 68.434], [16.137, 68.469], [16.191, 68.515], [16.22, 68.523], [16.342, 68.537], [16.36, 68.535], [16.411, 68.52]]],
+    [[[17.052, 68.817], [17.131, 68.783], [17.145, 68.77], [17.106, 68.758], [16.843, 68.726], [16.818, 68.736], [16.843, 68.773], [16.911, 68.797], [17.001, 68.859], [17.016, 68.861]]],
+    [[[17.206, 68.893], [17.206, 68.913], [17.224, 68.922], [17.318, 68.918], [17.365, 68.91], [17.404, 68.893], [17.44, 68.866], [17.35, 68.835], [17.3, 68.803], [17.264, 68.793], [17.224, 68.793], [17.192, 68.803], [17.178, 68.815], [17.174, 68.847], [17.16, 68.866], [17.088, 68.898], [17.084, 68.913], [17.106, 68.925], [17.224, 68.861], [17.257, 68.856], [17.282, 68.859]]],
+    [[[16.53, 68.722], [16.576, 68.707], [16.533, 68.682], [16.562, 68.672], [16.544, 68.638], [16.49, 68.606], [16.486, 68.594], [16.504, 68.569], [16.497, 68.553], [16.483, 68.548], [16.458, 68.548], [16.418, 68.557], [16.346, 68.56], [16.224, 68.547], [16.141, 68.523], [16.105, 68.538], [16.054, 68.466], [16.011, 68.447], [15.968, 68.393], [15.939, 68.379], [15.903, 68.369], [15.878, 68.369], [15.871, 68.4], [15.885, 68.444], [15.871, 68.496], [15.86, 68.486], [15.864, 68.454], [15.849, 68.435], [15.824, 68.423], [15.781, 68.439], [15.774, 68.43], [15.817, 68.393], [15.792, 68.393], [15.763, 68.423], [15.748, 68.425], [15.72, 68.393], [15.727, 68.373], [15.673, 68.371], [15.658, 68.364], [15.694, 68.358], [15.705, 68.359], [15.691, 68.342], [15.64, 68.317], [15.637, 68.304], [15.626, 68.3], [15.597, 68.305], [15.583, 68.304], [15.597, 68.317], [15.576, 68.319], [15.529, 68.337], [15.378, 68.327], [15.338, 68.332], [15.324, 68.351], [15.342, 68.347], [15.36, 68.354], [15.388, 68.383], [15.471, 68.407], [15.568, 68.462], [15.612, 68.476], [15.579, 68.488], [15.572, 68.503], [15.554, 68.511], [15.543, 68.51], [15.554, 68.476], [15.543, 68.466], [15.439, 68.418], [15.414, 68.413], [15.385, 68.42], [15.363, 68.407], [15.316, 68.395], [15.28, 68.373], [15.212, 68.366], [15.187, 68.351], [15.216, 68.352], [15.234, 68.337], [15.144, 68.314], [15.086, 68.271], [15.039, 68.256], [15, 68.253], [14.985, 68.27], [15.007, 68.283], [14.996, 68.298], [15.01, 68.314], [15.068, 68.339], [15.122, 68.393], [15.194, 68.435], [15.27, 68.461], [15.356, 68.461], [15.259, 68.467], [15.241, 68.476], [15.248, 68.486], [15.338, 68.489], [15.273, 68.498], [15.273, 68.516], [15.18, 68.523], [15.216, 68.557], [15.237, 68.564], [15.313, 68.558], [15.324, 68.564], [15.309, 68.579], [15.396, 68.586], [15.453, 68.557], [15.392, 68.606], [15.453, 68.597], [15.439, 68.619], [15.55, 68.626], [15.59, 68.606], [15.63, 68.613], [15.615, 68.613], [15.583, 68.633], [15.514, 68.636], [15.496, 68.643], [15.442, 68.682], [15.439, 68.707], [15.45, 68.729], [15.568, 68.729], [15.604, 68.736], [15.712, 68.702], [15.68, 68.716], [15.666, 68.736], [15.64, 68.743], [15.5, 68.743], [15.46, 68.756], [15.453, 68.812], [15.496, 68.803], [15.529, 68.825], [15.558, 68.827], [15.615, 68.819], [15.637, 68.825], [15.565, 68.839], [15.55, 68.852], [15.554, 68.873], [15.576, 68.883], [15.626, 68.886], [15.615, 68.901], [15.597, 68.906], [15.644, 68.955], [15.676, 68.962], [15.777, 68.955], [15.856, 68.97], [15.885, 68.969], [15.907, 68.959], [15.9, 68.918], [15.925, 68.886], [15.878, 68.817], [15.871, 68.79], [15.824, 68.756], [15.763, 68.736], [15.853, 68.748], [15.9, 68.763], [15.936, 68.786], [15.957, 68.792], [15.99, 68.763], [15.932, 68.683], [15.903, 68.678], [15.871, 68.653], [15.792, 68.643], [15.774, 68.633], [15.766, 68.616], [15.777, 68.562], [15.741, 68.53], [15.781, 68.542], [15.817, 68.564], [15.817, 68.611], [15.86, 68.634], [16.004, 68.678], [16.029, 68.673], [16.062, 68.631], [16.083, 68.64], [16.09, 68.656], [16.08, 68.673], [16.033, 68.712], [16.076, 68.736], [16.108, 68.741], [16.213, 68.736], [16.202, 68.761], [16.18, 68.771], [16.123, 68.785], [16.094, 68.802], [16.098, 68.832], [16.206, 68.859], [16.267, 68.839], [16.285, 68.84], [16.296, 68.856], [16.263, 68.867], [16.249, 68.884], [16.245, 68.9], [16.256, 68.903], [16.314, 68.871], [16.389, 68.854], [16.44, 68.849], [16.44, 68.829], [16.454, 68.815], [16.555, 68.825], [16.504, 68.803], [16.494, 68.79], [16.53, 68.79], [16.548, 68.783], [16.555, 68.77], [16.526, 68.761]]],
+    [[[16.566, 68.969], [16.598, 68.947], [16.602, 68.932], [16.584, 68.922], [16.587, 68.898], [16.566, 68.888], [16.476, 68.886], [16.396, 68.901], [16.342, 68.933], [16.285, 68.952], [16.263, 68.969], [16.306, 68.996], [16.36, 68.991], [16.414, 68.972], [16.468, 68.962], [16.519, 68.962]]],
+    [[[14.398, 68.66], [14.37, 68.687], [14.38, 68.697], [14.395, 68.702], [14.424, 68.702], [14.427, 68.714], [14.463, 68.724], [14.542, 68.736], [14.542, 68.743], [14.517, 68.743], [14.438, 68.756], [14.456, 68.776], [14.524, 68.807], [14.55, 68.803], [14.571, 68.746], [14.604, 68.736], [14.625, 68.736], [14.589, 68.749], [14.607, 68.778], [14.643, 68.79], [14.607, 68.807], [14.629, 68.83], [14.65, 68.834], [14.686, 68.825], [14.686, 68.758], [14.719, 68.763], [14.802, 68.79], [14.845, 68.797], [14.884, 68.79], [14.874, 68.78], [14.881, 68.759], [14.895, 68.756], [14.906, 68.759], [14.928, 68.78], [14.946, 68.785], [14.953, 68.817], [14.906, 68.846], [14.953, 68.866], [14.974, 68.847], [14.992, 68.842], [15.007, 68.793], [15.028, 68.815], [15.021, 68.825], [15.05, 68.852], [15.086, 68.846], [15.122, 68.825], [15.158, 68.817], [15.147, 68.842], [15.068, 68.879], [15.075, 68.9], [15.028, 68.935], [15.007, 68.981], [15.086, 69.011], [15.126, 69.016], [15.169, 68.989], [15.172, 68.974], [15.151, 68.962], [15.208, 68.94], [15.194, 68.935], [15.194, 68.927], [15.219, 68.925], [15.241, 68.913], [15.194, 68.896], [15.187, 68.886], [15.216, 68.881], [15.273, 68.92], [15.295, 68.906], [15.273, 68.854], [15.241, 68.825], [15.302, 68.842], [15.327, 68.859], [15.349, 68.847], [15.385, 68.852], [15.352, 68.803], [15.331, 68.797], [15.284, 68.803], [15.273, 68.797], [15.302, 68.776], [15.273, 68.763], [15.36, 68.746], [15.396, 68.731], [15.399, 68.694], [15.374, 68.67], [15.338, 68.653], [15.064, 68.579], [14.874, 68.584], [14.841, 68.592], [14.863, 68.606], [14.805, 68.616], [14.816, 68.638], [14.834, 68.645], [14.877, 68.646], [14.949, 68.665], [15.036, 68.667], [15.061, 68.687], [15.09, 68.695], [15.14, 68.695], [15.165, 68.702], [15.147, 68.726], [15.151, 68.756], [15.025, 68.771], [14.992, 68.763], [15.014, 68.763], [15.068, 68.749], [15.05, 68.729], [15.021, 68.712], [14.985, 68.702], [14.96, 68.707], [14.96, 68.729], [14.902, 68.682], [14.863, 68.69], [14.827, 68.673], [14.809, 68.682], [14.823, 68.707], [14.816, 68.716], [14.776, 68.673], [14.751, 68.668], [14.722, 68.673], [14.697, 68.687], [14.679, 68.707], [14.676, 68.687], [14.632, 68.653], [14.618, 68.626], [14.557, 68.628], [14.521, 68.609], [14.492, 68.607], [14.434, 68.613], [14.416, 68.619], [14.413, 68.636], [14.431, 68.667], [14.42, 68.673]]],
+    [[[15.529, 68.913], [15.464, 68.883], [15.432, 68.884], [15.417, 68.913], [15.428, 68.925], [15.432, 68.977], [15.46, 69.013], [15.518, 69.053], [15.568, 69.106], [15.612, 69.126], [15.658, 69.138], [15.759, 69.148], [15.792, 69.161], [15.842, 69.22], [15.871, 69.229], [15.864, 69.249], [15.932, 69.263], [15.975, 69.288], [16.101, 69.315], [16.13, 69.312], [16.152, 69.291], [16.148, 69.269], [16.098, 69.21], [16.09, 69.171], [16.062, 69.144], [16.015, 69.133], [15.972, 69.109], [15.946, 69.102], [15.914, 69.075], [15.878, 69.062], [15.871, 69.045], [15.849, 69.03], [15.759, 69.006], [15.633, 68.987], [15.597, 68.996], [15.568, 69.013], [15.55, 69.016], [15.529, 69.009], [15.561, 68.991], [15.568, 68.962]]],
+    [[[18.07, 69.438], [18.081, 69.388], [18.099, 69.376], [18.092, 69.359], [18.07, 69.349], [18.016, 69.352], [17.923, 69.332], [17.905, 69.318], [17.919, 69.312], [17.926, 69.283], [17.966, 69.263], [17.952, 69.251], [17.926, 69.247], [17.88, 69.249], [17.88, 69.242], [17.934, 69.227], [17.948, 69.205], [18.009, 69.202], [17.988, 69.187], [17.959, 69.18], [17.822, 69.17], [17.707, 69.173], [17.61, 69.155], [17.52, 69.158], [17.487, 69.155], [17.53, 69.202], [17.473, 69.2], [17.419, 69.18], [17.379, 69.155], [17.235, 69.106], [17.188, 69.084], [17.16, 69.05], [17.174, 69.045], [17.199, 69.048], [17.214, 69.045], [17.185, 69.025], [17.131, 69.011], [17.073, 69.008], [17.041, 69.016], [17.044, 69.031], [17.059, 69.04], [17.098, 69.045], [17.084, 69.05], [17.091, 69.062], [17.138, 69.072], [17.109, 69.085], [16.825, 69.055], [16.81, 69.065], [16.778, 69.07], [16.785, 69.109], [16.818, 69.119], [16.872, 69.104], [16.897, 69.104], [16.893, 69.126], [16.987, 69.139], [17.055, 69.133], [17.07, 69.148], [17.055, 69.16], [17.145, 69.183], [17.174, 69.202], [17.084, 69.182], [17.048, 69.18], [16.976, 69.195], [16.9, 69.195], [16.918, 69.215], [16.879, 69.222], [16.944, 69.237], [17.088, 69.229], [17.145, 69.256], [17.116, 69.249], [17.109, 69.252], [17.109, 69.268], [17.088, 69.29], [17.07, 69.268], [17.041, 69.268], [16.98, 69.276], [16.98, 69.283], [17.008, 69.298], [16.926, 69.293], [16.908, 69.298], [16.897, 69.312], [16.915, 69.318], [17.131, 69.312], [17.106, 69.325], [17.116, 69.332], [17.077, 69.33], [17.059, 69.334], [17.041, 69.345], [17.059, 69.35], [17.109, 69.352], [17.084, 69.362], [17.055, 69.364], [16.972, 69.357], [16.879, 69.359], [16.879, 69.366], [16.908, 69.369], [16.933, 69.379], [16.926, 69.394], [16.951, 69.398], [16.998, 69.386], [17.023, 69.401], [17.077, 69.386], [17.142, 69.401], [17.275, 69.394], [17.368, 69.367], [17.401, 69.366], [17.39, 69.381], [17.332, 69.394], [17.282, 69.415], [17.448, 69.415], [17.494, 69.428], [17.325, 69.44], [17.242, 69.455], [17.185, 69.502], [17.246, 69.496], [17.282, 69.47], [17.318, 69.462], [17.304, 69.482], [17.372, 69.477], [17.394, 69.482], [17.325, 69.518], [17.304, 69.523], [17.318, 69.534], [17.343, 69.538], [17.372, 69.534], [17.422, 69.519], [17.451, 69.518], [17.476, 69.499], [17.53, 69.491], [17.602, 69.464], [17.646, 69.462], [17.646, 69.469], [17.617, 69.475], [17.592, 69.489], [17.566, 69.523], [17.494, 69.541], [17.476, 69.553], [17.462, 69.572], [17.469, 69.6], [17.516, 69.597], [17.556, 69.575], [17.617, 69.518], [17.656, 69.509], [17.682, 69.509], [17.692, 69.521], [17.667, 69.541], [17.653, 69.59], [17.66, 69.6], [17.674, 69.604], [17.689, 69.6], [17.754, 69.541], [17.818, 69.587], [17.836, 69.592], [17.858, 69.587], [17.894, 69.536], [17.844, 69.502], [17.822, 69.457], [17.829, 69.448], [17.844, 69.445], [17.858, 69.452], [17.89, 69.499], [17.919, 69.506], [17.944, 69.523], [17.973, 69.519], [18.049, 69.496], [18.02, 69.48], [17.984, 69.482], [17.995, 69.464], [17.984, 69.45], [17.941, 69.428], [18.002, 69.41], [18.016, 69.421], [18.009, 69.433], [18.024, 69.442], [18.049, 69.443]]],
+    [[[18.999, 69.828], [19.06, 69.788], [19.057, 69.764], [19.035, 69.744], [18.97, 69.734], [18.913, 69.698], [18.837, 69.69], [18.794, 69.676], [18.769, 69.646], [18.776, 69.636], [18.826, 69.622], [18.837, 69.604], [18.823, 69.59], [18.769, 69.572], [18.733, 69.565], [18.625, 69.578], [18.56, 69.558], [18.484, 69.558], [18.261, 69.531], [18.193, 69.531], [18.106, 69.572], [18.049, 69.572], [18.02, 69.577], [17.995, 69.592], [18.038, 69.619], [18.031, 69.632], [18.081, 69.622], [18.135, 69.637], [18.236, 69.629], [18.261, 69.622], [18.29, 69.592], [18.326, 69.612], [18.322, 69.619], [18.344, 69.619], [18.402, 69.641], [18.326, 69.632], [18.304, 69.634], [18.186, 69.708], [18.214, 69.713], [18.355, 69.705], [18.477, 69.708], [18.61, 69.693], [18.632, 69.702], [18.592, 69.71], [18.391, 69.72], [18.351, 69.73], [18.326, 69.766], [18.333, 69.781], [18.384, 69.798], [18.438, 69.776], [18.481, 69.778], [18.484, 69.751], [18.502, 69.751], [18.556, 69.796], [18.585, 69.803], [18.654, 69.805], [18.643, 69.756], [18.664, 69.713], [18.708, 69.686], [18.762, 69.688], [18.744, 69.695], [18.74, 69.72], [18.79, 69.784], [18.675, 69.847], [18.668, 69.86], [18.679, 69.886], [18.718, 69.882], [18.765, 69.871], [18.798, 69.874], [18.783, 69.879], [18.801, 69.887], [18.823, 69.886], [18.859, 69.865], [18.837, 69.845], [18.898, 69.849]]],
+    [[[21.667, 69.948], [21.703, 69.955], [21.735, 69.948], [21.728, 69.938], [21.696, 69.928]]],
+    [[[19.899, 70.017], [19.95, 70.028], [19.996, 70.017], [19.95, 70.009], [19.917, 70.011]]],
+    [[[20.958, 70.004], [21.098, 70.011], [20.979, 69.982], [20.976, 69.963], [20.94, 69.946], [20.893, 69.938], [20.842, 69.938], [20.806, 69.948], [20.763, 69.987], [20.76, 69.999], [20.803, 70.038], [20.86, 70.044]]],
+    [[[21.04, 70.061], [21.048, 70.039], [21.019, 70.028], [20.954, 70.024], [21.019, 70.063]]],
+    [[[19.618, 70.017], [19.636, 70.021], [19.669, 70.017], [19.683, 70.007], [19.683, 69.985], [19.647, 69.97], [19.539, 69.952], [19.51, 69.908], [19.435, 69.869], [19.406, 69.838], [19.374, 69.823], [19.334, 69.813], [19.122, 69.788], [19.089, 69.801], [19.042, 69.838], [18.844, 69.903], [18.765, 69.914], [18.733, 69.931], [18.729, 69.948], [18.769, 69.955], [18.866, 69.941], [18.934, 69.97], [18.877, 69.974], [18.844, 69.982], [18.83, 69.999], [18.844, 70.016], [18.934, 70.031], [18.985, 70.024], [19.032, 70.038], [19.057, 70.017], [19.075, 70.016], [19.118, 70.031], [19.068, 70.061], [19.064, 70.078], [19.104, 70.07], [19.208, 70.098], [19.226, 70.093], [19.222, 70.073], [19.233, 70.065], [19.255, 70.068], [19.298, 70.087], [19.323, 70.078], [19.291, 70.031], [19.341, 70.017], [19.392, 69.992], [19.42, 69.989], [19.42, 70.014], [19.438, 70.033], [19.467, 70.046], [19.536, 70.058], [19.557, 70.056], [19.575, 70.048], [19.582, 70.034], [19.572, 70.004], [19.582, 69.994]]],
+    [[[20.792, 70.092], [20.796, 70.068], [20.77, 70.058], [20.749, 70.056], [20.688, 70.071], [20.659, 70.055], [20.616, 70.044], [20.587, 70.046], [20.601, 70.097], [20.576, 70.11], [20.558, 70.093], [20.565, 70.078], [20.518, 70.078], [20.522, 70.063], [20.508, 70.058], [20.45, 70.065], [20.414, 70.075], [20.389, 70.104], [20.414, 70.171], [20.461, 70.195], [20.544, 70.208], [20.547, 70.225], [20.562, 70.234], [20.587, 70.237], [20.734, 70.237], [20.81, 70.22], [20.824, 70.21], [20.824, 70.195], [20.77, 70.115]]],
+    [[[19.982, 70.147], [20.112, 70.12], [20.155, 70.12], [20.155, 70.114], [20.054, 70.102], [20.025, 70.092], [20.032, 70.075], [19.978, 70.06], [19.82, 70.06], [19.777, 70.068], [19.748, 70.085], [19.748, 70.136], [19.701, 70.181], [19.633, 70.22], [19.561, 70.232], [19.536, 70.25], [19.55, 70.257], [19.593, 70.25], [19.59, 70.269], [19.615, 70.279], [19.676, 70.291], [19.69, 70.286], [19.716, 70.239], [19.791, 70.21], [19.816, 70.169], [19.845, 70.174], [19.874, 70.217], [19.942, 70.195], [19.932, 70.176], [19.939, 70.164]]],
+    [[[22.923, 70.304], [22.988, 70.293], [23.01, 70.281], [23.02, 70.266], [23.017, 70.254], [23.002, 70.249], [22.732, 70.257], [22.444, 70.291], [22.372, 70.331], [22.38, 70.347], [22.398, 70.359], [22.423, 70.362], [22.506, 70.325], [22.47, 70.353], [22.473, 70.38], [22.484, 70.384], [22.531, 70.364], [22.574, 70.382], [22.599, 70.367], [22.617, 70.387], [22.632, 70.386], [22.65, 70.374], [22.65, 70.386], [22.675, 70.399], [22.689, 70.394], [22.696, 70.353], [22.714, 70.337], [22.736, 70.365], [22.729, 70.387], [22.758, 70.396], [22.797, 70.367], [22.804, 70.342], [22.83, 70.333], [22.956, 70.325]]],
+    [[[23.658, 70.504], [23.629, 70.49], [23.661, 70.47], [23.632, 70.438], [23.593, 70.416], [23.409, 70.353], [23.319, 70.342], [23.294, 70.331], [23.341, 70.331], [23.38, 70.318], [23.215, 70.283], [23.154, 70.277], [23.103, 70.283], [23.082, 70.301], [23.089, 70.328], [23.128, 70.37], [23.136, 70.414], [23.074, 70.36], [23.038, 70.342], [22.995, 70.357], [22.948, 70.359], [22.855, 70.407], [22.88, 70.414], [22.941, 70.407], [22.963, 70.421], [22.909, 70.434], [22.898, 70.451], [22.959, 70.465], [22.963, 70.477], [22.999, 70.477], [23.017, 70.497], [23.125, 70.521], [23.143, 70.514], [23.15, 70.499], [23.222, 70.517], [23.222, 70.524], [23.2, 70.529], [23.175, 70.548], [23.197, 70.551], [23.24, 70.546], [23.262, 70.536], [23.272, 70.521], [23.262, 70.48], [23.28, 70.477], [23.326, 70.531], [23.298, 70.543], [23.308, 70.551], [23.352, 70.548], [23.388, 70.532], [23.409, 70.531], [23.388, 70.544], [23.413, 70.561], [23.503, 70.544], [23.539, 70.544], [23.488, 70.571], [23.438, 70.585], [23.456, 70.607], [23.398, 70.613], [23.391, 70.619], [23.463, 70.625], [23.485, 70.625], [23.517, 70.61], [23.557, 70.619], [23.575, 70.613], [23.56, 70.607], [23.6, 70.58], [23.582, 70.531], [23.593, 70.517]]],
+    [[[24.068, 70.661], [24.064, 70.646], [24.129, 70.62], [24.1, 70.588], [24.01, 70.568], [23.928, 70.524], [23.866, 70.512], [23.805, 70.514], [23.751, 70.524], [23.697, 70.571], [23.694, 70.597], [23.686, 70.6], [23.643, 70.6], [23.679, 70.625], [23.679, 70.637], [23.658, 70.647], [23.69, 70.668], [23.643, 70.684], [23.64, 70.703], [23.708, 70.749], [23.816, 70.752], [23.841, 70.744], [23.827, 70.73], [23.848, 70.723], [23.82, 70.71], [23.83, 70.703], [23.866, 70.71], [23.964, 70.71], [24.032, 70.689]]],
+    [[[22.423, 70.51], [22.398, 70.514], [22.344, 70.499], [22.308, 70.504], [22.293, 70.514], [22.311, 70.531], [22.286, 70.541], [22.243, 70.49], [22.221, 70.48], [22.153, 70.472], [22.142, 70.483], [22.16, 70.512], [22.185, 70.534], [22.246, 70.556], [22.264, 70.571], [22.236, 70.58], [22.311, 70.602], [22.333, 70.613], [22.099, 70.607], [22.07, 70.593], [22.041, 70.593], [22.012, 70.6], [22.074, 70.634], [21.976, 70.637], [21.951, 70.647], [21.987, 70.662], [22.045, 70.659], [22.196, 70.632], [22.221, 70.632], [22.25, 70.649], [22.243, 70.669], [22.228, 70.674], [22.264, 70.674], [22.322, 70.661], [22.416, 70.627], [22.372, 70.698], [22.383, 70.71], [22.416, 70.708], [22.448, 70.683], [22.47, 70.676], [22.491, 70.676], [22.513, 70.681], [22.498, 70.689], [22.502, 70.708], [22.542, 70.718], [22.653, 70.688], [22.642, 70.671], [22.596, 70.652], [22.606, 70.64], [22.632, 70.635], [22.671, 70.657], [22.689, 70.661], [22.704, 70.652], [22.707, 70.622], [22.725, 70.603], [22.747, 70.647], [22.772, 70.651], [22.826, 70.647], [22.786, 70.674], [22.794, 70.693], [22.729, 70.73], [22.722, 70.749], [22.804, 70.764], [22.794, 70.75], [22.812, 70.744], [22.851, 70.742], [22.866, 70.73], [22.855, 70.73], [22.855, 70.723], [22.905, 70.728], [22.923, 70.725], [22.923, 70.708], [22.894, 70.695], [22.97, 70.661], [22.992, 70.668], [22.977, 70.681], [23.02, 70.693], [23.031, 70.701], [23.024, 70.723], [23.049, 70.723], [23.096, 70.71], [23.121, 70.71], [23.092, 70.732], [23.1, 70.737], [23.164, 70.73], [23.182, 70.737], [23.164, 70.744], [23.136, 70.745], [23.128, 70.757], [23.053, 70.774], [23.031, 70.791], [23.049, 70.798], [23.1, 70.799], [23.067, 70.813], [23.092, 70.814], [23.161, 70.791], [23.182, 70.794], [23.186, 70.803], [23.161, 70.818], [23.161, 70.826], [23.272, 70.777], [23.33, 70.779], [23.341, 70.799], [23.319, 70.818], [23.312, 70.862], [23.326, 70.867], [23.359, 70.863], [23.395, 70.843], [23.442, 70.83], [23.456, 70.804], [23.485, 70.799], [23.46, 70.791], [23.413, 70.792], [23.388, 70.784], [23.402, 70.777], [23.456, 70.771], [23.416, 70.764], [23.402, 70.744], [23.384, 70.744], [23.348, 70.754], [23.334, 70.75], [23.319, 70.71], [23.298, 70.71], [23.251, 70.695], [23.272, 70.681], [23.157, 70.695], [23.154, 70.678], [23.136, 70.668], [23.154, 70.656], [23.182, 70.654], [23.154, 70.632], [23.121, 70.624], [23.078, 70.63], [23.06, 70.627], [23.114, 70.613], [23.089, 70.586], [23.017, 70.603], [22.984, 70.6], [23.006, 70.597], [23.01, 70.585], [22.999, 70.573], [22.977, 70.566], [22.952, 70.566], [22.88, 70.58], [22.88, 70.571], [22.938, 70.558], [22.927, 70.549], [22.887, 70.537], [22.833, 70.551], [22.79, 70.524], [22.765, 70.531], [22.779, 70.551], [22.689, 70.563], [22.642, 70.565], [22.628, 70.544], [22.632, 70.526], [22.61, 70.524], [22.588, 70.529], [22.567, 70.504], [22.516, 70.527], [22.488, 70.532], [22.47, 70.495], [22.448, 70.497]]],
+    [[[24.072, 70.963], [24.208, 70.966], [24.244, 70.956], [24.212, 70.956], [24.201, 70.941], [24.169, 70.943], [24.176, 70.936], [24.162, 70.928], [24.108, 70.936], [24.079, 70.914], [24.021, 70.917], [23.985, 70.943], [23.91, 70.956], [23.938, 70.965], [24.007, 70.966], [24.039, 70.977], [24.007, 70.983], [23.942, 70.978], [23.91, 70.983], [23.884, 70.997], [23.895, 71.002], [23.949, 71.004], [23.924, 71.017], [23.96, 71.029], [24.086, 71.024], [24.072, 71.01], [24.108, 71.002], [24.187, 71.005], [24.223, 70.997], [24.187, 70.99], [24.108, 70.993], [24.072, 70.983], [24.086, 70.968]]],
+    [[[26.134, 71.037], [26.185, 71.049], [26.21, 71.049], [26.217, 71.032], [26.206, 71.014], [26.181, 71.002], [26.113, 70.995], [26.073, 70.975], [25.969, 70.978], [25.9, 70.961], [25.8, 70.963], [25.753, 70.977], [25.731, 70.975], [25.717, 70.956], [25.753, 70.95], [25.753, 70.943], [25.666, 70.946], [25.555, 70.928], [25.533, 70.933], [25.494, 70.96], [25.418, 70.983], [25.537, 71.004], [25.562, 71.017], [25.49, 71.022], [25.454, 71.031], [25.324, 71.007], [25.306, 71.01], [25.292, 71.029], [25.292, 71.046], [25.35, 71.066], [25.314, 71.073], [25.332, 71.08], [25.4, 71.086], [25.458, 71.073], [25.479, 71.078], [25.458, 71.093], [25.472, 71.103], [25.526, 71.093], [25.555, 71.093], [25.591, 71.078], [25.634, 71.081], [25.71, 71.063], [25.717, 71.053], [25.702, 71.085], [25.555, 71.14], [25.566, 71.152], [25.609, 71.145], [25.666, 71.166], [25.684, 71.145], [25.807, 71.154], [25.785, 71.103], [25.807, 71.096], [25.861, 71.113], [25.882, 71.113], [25.879, 71.096], [25.936, 71.11], [25.962, 71.108], [26.005, 71.125], [26.03, 71.117], [26.034, 71.088], [25.99, 71.068], [25.933, 71.056], [25.89, 71.053], [25.926, 71.039], [25.965, 71.037], [25.965, 71.017], [25.929, 71.01], [25.958, 71.002], [25.99, 70.998], [26.055, 71.004]]],
+    [[[12.876, 66.286], [12.886, 66.257], [12.879, 66.243], [12.825, 66.216], [12.811, 66.223], [12.786, 66.218], [12.76, 66.221], [12.742, 66.242], [12.699, 66.243], [12.714, 66.259], [12.793, 66.296], [12.793, 66.311], [12.8, 66.313], [12.811, 66.297], [12.825, 66.299], [12.84, 66.292], [12.868, 66.292]]],
+    [[[12.94, 66.46], [12.962, 66.46], [12.966, 66.453], [12.93, 66.389], [12.908, 66.399], [12.901, 66.416], [12.886, 66.402], [12.883, 66.377], [12.901, 66.355], [12.876, 66.358], [12.8, 66.385], [12.843, 66.399], [12.85, 66.409], [12.818, 66.443], [12.829, 66.448], [12.897, 66.456], [12.912, 66.431], [12.919, 66.431], [12.93, 66.458]]],
+    [[[15.295, 67.946], [15.306, 67.946], [15.306, 67.937], [15.288, 67.925], [15.255, 67.917], [15.241, 67.92], [15.162, 67.91], [15.118, 67.915], [14.971, 67.917], [14.96, 67.942], [14.978, 67.959], [14.971, 67.971], [15.054, 67.967], [15.104, 68.001], [15.115, 67.994], [15.108, 67.976], [15.14, 67.959], [15.259, 67.94], [15.262, 67.932]]],
+    [[[15.932, 68.008], [15.932, 67.996], [15.885, 67.984], [15.842, 67.984], [15.784, 67.993], [15.73, 68.011], [15.705, 68.013], [15.68, 67.993], [15.619, 67.986], [15.525, 67.989], [15.482, 68.003], [15.536, 68.022], [15.576, 68.025], [15.86, 68.028]]],
+    [[[15.165, 67.986], [15.162, 68.001], [15.23, 68.037], [15.288, 67.978], [15.27, 67.967], [15.183, 67.967]]],
+    [[[14.996, 68.901], [14.989, 68.884], [14.96, 68.876], [14.892, 68.873], [14.841, 68.891], [14.856, 68.923], [14.874, 68.93], [14.899, 68.932], [14.96, 68.927], [14.982, 68.918]]],
+    [[[20.702, 69.889], [20.72, 69.837], [20.706, 69.816], [20.662, 69.803], [20.605, 69.795], [20.554, 69.801], [20.526, 69.822], [20.522, 69.84], [20.562, 69.896], [20.598, 69.904], [20.713, 69.909], [20.724, 69.898]]],
+    [[[30.023, 69.832], [30.098, 69.835], [30.109, 69.828], [30.087, 69.816], [29.976, 69.8], [29.904, 69.778], [29.846, 69.796], [29.832, 69.791], [29.846, 69.779], [29.796, 69.756], [29.713, 69.764], [29.734, 69.789], [29.832, 69.838], [29.81, 69.865], [29.817, 69.891], [29.842, 69.909], [29.878, 69.914], [29.972, 69.903], [29.994, 69.894], [30.001, 69.865], [30.03, 69.854]]],
+    [[[19.813, 70.002], [19.834, 69.995], [19.856, 69.974], [19.719, 69.865], [19.676, 69.855], [19.485, 69.838], [19.435, 69.84], [19.442, 69.859], [19.51, 69.894], [19.546, 69.926], [19.597, 69.935], [19.694, 69.963], [19.773, 70.006]]],
+    [[[18.668, 70.028], [18.657, 70.048], [18.711, 70.083], [18.704, 70.112], [18.722, 70.115], [18.754, 70.112], [18.78, 70.102], [18.805, 70.06], [18.891, 70.107], [18.97, 70.085], [18.974, 70.073], [18.938, 70.053], [18.837, 70.038], [18.765, 70.019], [18.7, 69.985], [18.672, 69.999], [18.672, 70.012], [18.69, 70.026]]],
+    [[[20.893, 70.08], [20.86, 70.07], [20.824, 70.073], [20.806, 70.08], [20.792, 70.119], [20.806, 70.141], [20.832, 70.151], [20.857, 70.146], [20.914, 70.109], [20.914, 70.095]]],
+    [[[19.539, 70.093], [19.489, 70.093], [19.359, 70.114], [19.334, 70.127], [19.341, 70.141], [19.366, 70.154], [19.41, 70.163], [19.446, 70.156], [19.554, 70.12], [19.572, 70.112], [19.568, 70.102]]],
+    [[[19.244, 70.201], [19.251, 70.174], [19.226, 70.154], [19.226, 70.136], [19.176, 70.115], [19.14, 70.11], [19.104, 70.117], [18.996, 70.152], [19.064, 70.171], [19.089, 70.158], [19.1, 70.158], [19.096, 70.186], [19.14, 70.201], [19.118, 70.208], [19.111, 70.225], [19.089, 70.234], [19.104, 70.242], [19.15, 70.237], [19.168, 70.256], [19.19, 70.254], [19.197, 70.257], [19.212, 70.25], [19.23, 70.234], [19.226, 70.212]]],
+    [[[21.739, 70.379], [21.793, 70.359], [21.8, 70.347], [21.764, 70.288], [21.75, 70.274], [21.714, 70.261], [21.688, 70.271], [21.678, 70.284], [21.685, 70.364], [21.699, 70.37], [21.703, 70.387], [21.714, 70.389]]],
+    [[[-7.961, 71.174], [-7.94, 71.157], [-7.94, 71.137], [-7.958, 71.12], [-8.008, 71.105], [-7.983, 71.046], [-8.005, 71.032], [-8.401, 70.963], [-8.498, 70.977], [-8.62, 70.958], [-8.696, 70.938], [-8.861, 70.863], [-8.93, 70.847], [-8.962, 70.818], [-9.02, 70.806], [-9.081, 70.813], [-9.067, 70.833], [-9.11, 70.862], [-9.117, 70.875], [-9.045, 70.882], [-8.915, 70.933], [-8.833, 70.938], [-8.789, 70.946], [-8.739, 70.966], [-8.732, 70.977], [-8.692, 70.987], [-8.573, 70.997], [-8.559, 71.009], [-8.516, 71.014], [-8.397, 71.113], [-8.325, 71.147], [-8.188, 71.154], [-8.149, 71.174], [-8.123, 71.177], [-8.044, 71.174], [-7.983, 71.181]]],
+    [[[11.072, 59.079], [11.083, 59.077], [11.083, 59.069], [11.076, 59.059], [11.05, 59.047], [11.054, 59.037], [11.047, 59.026], [11.018, 59.02], [11.011, 59.03], [10.993, 59.033], [10.993, 59.077], [11.004, 59.087], [11.022, 59.091], [11.036, 59.089], [11.04, 59.074], [11.072, 59.075]]],
+    [[[10.91, 59.116], [10.914, 59.101], [10.885, 59.072], [10.87, 59.077], [10.845, 59.075], [10.831, 59.099], [10.842, 59.109], [10.867, 59.116], [10.856, 59.099], [10.899, 59.116]]],
+    [[[5.29, 60.075], [5.301, 60.051], [5.297, 60.028], [5.269, 59.994], [5.254, 59.992], [5.247, 60.004], [5.204, 60.016], [5.197, 60.035], [5.171, 60.05], [5.179, 60.068], [5.204, 60.089], [5.225, 60.043], [5.233, 60.041], [5.247, 60.051], [5.229, 60.067], [5.204, 60.117], [5.218, 60.119], [5.247, 60.099], [5.258, 60.075], [5.272, 60.084]]],
+    [[[4.923, 60.867], [4.93, 60.862], [4.927, 60.855], [4.88, 60.865], [4.869, 60.887], [4.862, 60.884], [4.833, 60.896], [4.826, 60.921], [4.819, 60.911], [4.801, 60.918], [4.783, 60.918], [4.775, 60.929], [4.793, 60.94], [4.837, 60.943], [4.844, 60.94], [4.826, 60.929], [4.855, 60.933], [4.883, 60.929], [4.873, 60.924], [4.873, 60.918], [4.898, 60.908], [4.923, 60.879]]],
+    [[[4.721, 61.041], [4.739, 61.027], [4.739, 61.014], [4.732, 61], [4.707, 60.989], [4.7, 61.002], [4.707, 61.019], [4.682, 60.997], [4.646, 61.036], [4.649, 61.054], [4.642, 61.058], [4.689, 61.083], [4.707, 61.076], [4.711, 61.048]]],
+    [[[5.121, 62.025], [5.153, 61.998], [5.15, 61.988], [5.114, 61.938], [5.096, 61.927], [5.074, 61.927], [5.017, 61.943], [5.024, 61.96], [5.038, 61.961], [5.049, 61.953], [5.056, 61.96], [5.053, 61.973], [4.988, 62.005], [4.984, 62.034], [4.991, 62.036], [5.081, 62.007], [5.089, 62.015]]],
+    [[[5.636, 62.319], [5.603, 62.329], [5.611, 62.334], [5.629, 62.341], [5.679, 62.346], [5.679, 62.355], [5.697, 62.365], [5.715, 62.365], [5.722, 62.36], [5.74, 62.361], [5.744, 62.35], [5.733, 62.333], [5.74, 62.333], [5.729, 62.326], [5.701, 62.321], [5.675, 62.323], [5.668, 62.329], [5.65, 62.319]]],
+    [[[5.593, 62.339], [5.542, 62.331], [5.521, 62.334], [5.51, 62.365], [5.524, 62.37], [5.546, 62.368], [5.596, 62.355]]],
+    [[[8.314, 63.182], [8.325, 63.172], [8.307, 63.167], [8.231, 63.16], [8.21, 63.162], [8.195, 63.167], [8.167, 63.214], [8.17, 63.221], [8.21, 63.228], [8.235, 63.223]]],
+    [[[9.16, 63.648], [9.171, 63.641], [9.164, 63.635], [9.077, 63.613], [9.031, 63.618], [9.013, 63.626], [9.027, 63.63], [9.041, 63.655], [9.059, 63.662], [9.106, 63.66], [9.124, 63.65], [9.146, 63.653]]],
+    [[[9.931, 64.028], [9.945, 64.011], [9.909, 63.998], [9.891, 63.998], [9.855, 64.009], [9.88, 64.02], [9.877, 64.023], [9.855, 64.023], [9.844, 64.033], [9.851, 64.038], [9.877, 64.038], [9.887, 64.048], [9.916, 64.036], [9.92, 64.028]]],
+    [[[11.464, 64.589], [11.482, 64.563], [11.479, 64.557], [11.439, 64.55], [11.439, 64.543], [11.385, 64.553], [11.353, 64.565], [11.349, 64.582], [11.367, 64.59], [11.36, 64.627], [11.367, 64.634], [11.392, 64.611], [11.392, 64.626], [11.443, 64.595]]],
+    [[[11.349, 64.651], [11.342, 64.622], [11.313, 64.6], [11.281, 64.612], [11.245, 64.639], [11.23, 64.634], [11.173, 64.638], [11.169, 64.644], [11.184, 64.653], [11.169, 64.66], [11.173, 64.67], [11.302, 64.692], [11.317, 64.69], [11.317, 64.682], [11.342, 64.678], [11.356, 64.668]]],
+    [[[11.763, 65.119], [11.778, 65.119], [11.767, 65.102], [11.673, 65.072], [11.673, 65.068], [11.702, 65.065], [11.67, 65.045], [11.652, 65.046], [11.659, 65.065], [11.58, 65.043], [11.558, 65.043], [11.518, 65.055], [11.54, 65.092], [11.58, 65.11], [11.662, 65.119], [11.727, 65.107], [11.742, 65.115]]],
+    [[[17.548, 69.092], [17.574, 69.09], [17.545, 69.075], [17.538, 69.055], [17.458, 69.028], [17.419, 68.996], [17.401, 68.989], [17.376, 68.989], [17.343, 69.003], [17.354, 69.035], [17.386, 69.063], [17.419, 69.079], [17.451, 69.085]]],
+    [[[24.838, 71.095], [24.817, 71.086], [24.813, 71.08], [24.828, 71.076], [24.788, 71.068], [24.777, 71.059], [24.788, 71.047], [24.77, 71.025], [24.723, 71.027], [24.615, 71.056], [24.619, 71.069], [24.673, 71.088], [24.694, 71.085], [24.705, 71.069], [24.734, 71.069], [24.709, 71.098], [24.712, 71.108], [24.763, 71.105], [24.781, 71.093], [24.835, 71.1]]],
+    [[[5.765, 59.118], [5.776, 59.113], [5.78, 59.101], [5.776, 59.08], [5.751, 59.072], [5.668, 59.101], [5.575, 59.124], [5.607, 59.135], [5.647, 59.131], [5.679, 59.123], [5.697, 59.121], [5.722, 59.126]]],
+    [[[5.463, 59.211], [5.463, 59.184], [5.452, 59.163], [5.441, 59.158], [5.423, 59.178], [5.384, 59.195], [5.377, 59.227], [5.395, 59.241], [5.405, 59.243], [5.452, 59.222]]],
+    [[[6.017, 59.292], [6.071, 59.285], [6.1, 59.276], [6.093, 59.261], [6.057, 59.241], [5.96, 59.227], [5.931, 59.244], [5.931, 59.27], [5.953, 59.283], [5.989, 59.292]]],
+    [[[4.847, 60.629], [4.844, 60.59], [4.822, 60.585], [4.801, 60.587], [4.779, 60.599], [4.79, 60.597], [4.786, 60.615], [4.793, 60.614], [4.79, 60.666], [4.801, 60.668], [4.822, 60.656], [4.826, 60.631]]],
+    [[[4.837, 61.674], [4.833, 61.696], [4.858, 61.703], [4.869, 61.715], [4.88, 61.711], [4.876, 61.701], [4.905, 61.676], [4.901, 61.652], [4.891, 61.662], [4.865, 61.659]]],
+    [[[14.409, 67.425], [14.42, 67.424], [14.413, 67.414], [14.391, 67.398], [14.366, 67.392], [14.254, 67.373], [14.226, 67.378], [14.229, 67.385], [14.247, 67.388], [14.244, 67.393], [14.258, 67.395], [14.308, 67.424], [14.373, 67.441], [14.402, 67.437], [14.398, 67.422]]]
+  ] },
+  { code: 'SE', name: 'Sweden', polygons: [
+    [[[20.623, 69.036], [20.677, 69.018], [20.796, 69.011], [20.864, 68.986], [20.911, 68.981], [20.936, 68.967], [20.936, 68.949], [20.918, 68.933], [20.889, 68.927], [20.886, 68.906], [20.907, 68.895], [21.073, 68.869], [21.217, 68.817], [21.307, 68.756], [21.386, 68.754], [21.408, 68.749], [21.465, 68.687], [21.494, 68.675], [21.573, 68.667], [21.663, 68.633], [21.717, 68.619], [21.739, 68.587], [21.919, 68.569], [22.038, 68.506], [22.038, 68.488], [22.074, 68.477], [22.304, 68.476], [22.372, 68.469], [22.38, 68.454], [22.455, 68.452], [22.52, 68.439], [22.567, 68.437], [22.606, 68.425], [22.66, 68.427], [22.747, 68.386], [22.808, 68.395], [22.905, 68.337], [23.053, 68.298], [23.082, 68.265], [23.139, 68.234], [23.154, 68.217], [23.15, 68.194], [23.161, 68.179], [23.15, 68.13], [23.164, 68.123], [23.186, 68.123], [23.272, 68.145], [23.305, 68.145], [23.33, 68.128], [23.384, 68.052], [23.485, 68.016], [23.575, 67.973], [23.643, 67.962], [23.661, 67.951], [23.661, 67.932], [23.636, 67.913], [23.604, 67.903], [23.532, 67.893], [23.499, 67.881], [23.481, 67.864], [23.485, 67.738], [23.553, 67.588], [23.474, 67.555], [23.485, 67.544], [23.431, 67.486], [23.445, 67.461], [23.478, 67.444], [23.514, 67.444], [23.553, 67.452], [23.593, 67.454], [23.661, 67.436], [23.73, 67.432], [23.766, 67.42], [23.751, 67.346], [23.787, 67.338], [23.737, 67.29], [23.622, 67.268], [23.604, 67.26], [23.593, 67.225], [23.596, 67.218], [23.614, 67.214], [23.575, 67.174], [23.582, 67.154], [23.665, 67.098], [23.676, 67.059], [23.719, 67.017], [23.744, 67.002], [23.816, 66.976], [23.874, 66.924], [23.935, 66.888], [24.003, 66.806], [24, 66.796], [23.985, 66.792], [23.938, 66.791], [23.892, 66.752], [23.902, 66.686], [23.881, 66.632], [23.892, 66.579], [23.881, 66.564], [23.863, 66.554], [23.809, 66.539], [23.787, 66.519], [23.73, 66.503], [23.73, 66.487], [23.676, 66.475], [23.654, 66.46], [23.643, 66.436], [23.665, 66.406], [23.676, 66.363], [23.661, 66.316], [23.722, 66.206], [23.787, 66.176], [23.888, 66.161], [23.913, 66.149], [23.974, 66.073], [24.021, 66.049], [24.054, 65.985], [24.054, 65.948], [24.104, 65.909], [24.126, 65.869], [24.162, 65.842], [24.162, 65.823], [24.14, 65.804], [24.104, 65.801], [24.032, 65.809], [24.054, 65.796], [24.028, 65.791], [23.982, 65.794], [23.956, 65.789], [23.946, 65.767], [23.928, 65.761], [23.884, 65.774], [23.87, 65.794], [23.856, 65.789], [23.78, 65.793], [23.762, 65.823], [23.74, 65.83], [23.69, 65.83], [23.65, 65.803], [23.636, 65.796], [23.622, 65.796], [23.607, 65.809], [23.528, 65.809], [23.485, 65.816], [23.492, 65.83], [23.485, 65.835], [23.47, 65.833], [23.456, 65.83], [23.449, 65.816], [23.427, 65.809], [23.438, 65.776], [23.427, 65.766], [23.384, 65.776], [23.373, 65.791], [23.373, 65.823], [23.352, 65.821], [23.312, 65.796], [23.29, 65.796], [23.229, 65.823], [23.197, 65.826], [23.182, 65.82], [23.19, 65.789], [23.236, 65.769], [23.146, 65.745], [23.128, 65.733], [23.128, 65.715], [23.103, 65.705], [23.078, 65.706], [23.085, 65.728], [23.046, 65.761], [22.988, 65.764], [22.945, 65.776], [22.902, 65.799], [22.876, 65.794], [22.858, 65.796], [22.837, 65.808], [22.786, 65.864], [22.653, 65.909], [22.635, 65.906], [22.682, 65.87], [22.7, 65.804], [22.689, 65.776], [22.664, 65.757], [22.65, 65.755], [22.653, 65.777], [22.628, 65.791], [22.57, 65.796], [22.524, 65.776], [22.513, 65.776], [22.506, 65.784], [22.531, 65.809], [22.52, 65.823], [22.47, 65.843], [22.477, 65.857], [22.405, 65.864], [22.369, 65.862], [22.369, 65.843], [22.326, 65.836], [22.369, 65.809], [22.365, 65.798], [22.351, 65.796], [22.318, 65.803], [22.362, 65.761], [22.326, 65.735], [22.286, 65.744], [22.246, 65.761], [22.21, 65.761], [22.25, 65.735], [22.34, 65.723], [22.362, 65.717], [22.387, 65.673], [22.351, 65.671], [22.34, 65.664], [22.329, 65.69], [22.308, 65.701], [22.282, 65.701], [22.257, 65.693], [22.268, 65.681], [22.257, 65.664], [22.286, 65.632], [22.261, 65.625], [22.189, 65.624], [22.264, 65.612], [22.3, 65.612], [22.318, 65.632], [22.286, 65.664], [22.293, 65.674], [22.308, 65.669], [22.333, 65.651], [22.326, 65.646], [22.38, 65.634], [22.383, 65.627], [22.34, 65.614], [22.333, 65.603], [22.365, 65.588], [22.412, 65.58], [22.43, 65.549], [22.405, 65.543], [22.351, 65.57], [22.297, 65.576], [22.275, 65.588], [22.264, 65.59], [22.25, 65.583], [22.257, 65.57], [22.228, 65.571], [22.128, 65.603], [22.052, 65.617], [22.005, 65.642], [21.966, 65.647], [21.93, 65.663], [21.854, 65.678], [21.811, 65.71], [21.764, 65.728], [21.789, 65.686], [21.847, 65.661], [21.969, 65.632], [22.052, 65.598], [22.12, 65.583], [22.182, 65.548], [22.203, 65.549], [22.178, 65.539], [22.092, 65.536], [22.066, 65.514], [22.048, 65.526], [22.012, 65.517], [21.876, 65.538], [21.854, 65.536], [21.901, 65.5], [21.93, 65.489], [21.951, 65.495], [21.922, 65.507], [21.948, 65.509], [22.03, 65.467], [22.012, 65.431], [21.998, 65.426], [21.98, 65.426], [21.966, 65.433], [21.944, 65.453], [21.933, 65.441], [21.944, 65.411], [21.926, 65.404], [21.908, 65.403], [21.89, 65.408], [21.879, 65.419], [21.822, 65.401], [21.789, 65.401], [21.706, 65.414], [21.688, 65.413], [21.703, 65.397], [21.656, 65.397], [21.631, 65.401], [21.609, 65.419], [21.544, 65.411], [21.544, 65.406], [21.598, 65.397], [21.598, 65.392], [21.526, 65.397], [21.49, 65.394], [21.469, 65.377], [21.49, 65.37], [21.447, 65.357], [21.49, 65.348], [21.544, 65.318], [21.566, 65.316], [21.584, 65.321], [21.588, 65.337], [21.606, 65.333], [21.703, 65.286], [21.699, 65.271], [21.667, 65.252], [21.624, 65.24], [21.577, 65.239], [21.544, 65.247], [21.49, 65.306], [21.476, 65.315], [21.408, 65.333], [21.346, 65.372], [21.314, 65.37], [21.332, 65.364], [21.321, 65.352], [21.278, 65.35], [21.264, 65.337], [21.39, 65.321], [21.422, 65.308], [21.483, 65.261], [21.537, 65.23], [21.609, 65.17], [21.62, 65.148], [21.598, 65.139], [21.544, 65.137], [21.559, 65.131], [21.562, 65.112], [21.544, 65.083], [21.548, 65.078], [21.588, 65.07], [21.562, 65.061], [21.48, 65.063], [21.469, 65.055], [21.476, 65.041], [21.505, 65.021], [21.462, 65.007], [21.422, 65.014], [21.415, 65.001], [21.382, 64.987], [21.379, 64.977], [21.393, 64.967], [21.379, 64.96], [21.242, 64.953], [21.253, 64.933], [21.228, 64.906], [21.202, 64.899], [21.213, 64.872], [21.174, 64.854], [21.181, 64.835], [21.13, 64.823], [21.112, 64.823], [21.098, 64.827], [21.091, 64.85], [21.069, 64.86], [21.04, 64.847], [21.037, 64.833], [21.044, 64.82], [21.084, 64.81], [21.08, 64.795], [21.098, 64.785], [21.156, 64.781], [21.217, 64.79], [21.307, 64.768], [21.314, 64.754], [21.3, 64.749], [21.249, 64.751], [21.228, 64.747], [21.267, 64.717], [21.314, 64.7], [21.314, 64.692], [21.296, 64.692], [21.289, 64.687], [21.303, 64.666], [21.278, 64.671], [21.231, 64.693], [21.184, 64.707], [21.145, 64.732], [21.12, 64.73], [21.109, 64.717], [21.123, 64.683], [21.141, 64.671], [21.231, 64.661], [21.249, 64.644], [21.231, 64.643], [21.231, 64.633], [21.246, 64.622], [21.303, 64.611], [21.318, 64.592], [21.354, 64.57], [21.364, 64.572], [21.361, 64.582], [21.375, 64.607], [21.393, 64.604], [21.454, 64.563], [21.469, 64.587], [21.487, 64.584], [21.49, 64.557], [21.501, 64.545], [21.516, 64.536], [21.552, 64.535], [21.541, 64.528], [21.512, 64.521], [21.498, 64.524], [21.462, 64.548], [21.386, 64.521], [21.364, 64.541], [21.35, 64.538], [21.346, 64.531], [21.368, 64.528], [21.4, 64.506], [21.422, 64.514], [21.462, 64.518], [21.476, 64.514], [21.49, 64.487], [21.476, 64.472], [21.49, 64.454], [21.512, 64.452], [21.537, 64.472], [21.58, 64.465], [21.573, 64.481], [21.588, 64.481], [21.606, 64.465], [21.606, 64.452], [21.598, 64.442], [21.577, 64.442], [21.526, 64.421], [21.458, 64.371], [21.372, 64.33], [21.318, 64.364], [21.325, 64.347], [21.318, 64.329], [21.332, 64.315], [21.289, 64.302], [21.271, 64.302], [21.249, 64.308], [21.116, 64.221], [21.08, 64.227], [21.069, 64.222], [21.044, 64.192], [20.965, 64.15], [20.947, 64.129], [20.961, 64.112], [20.954, 64.096], [20.911, 64.053], [20.914, 64.025], [20.9, 64.015], [20.896, 63.984], [20.824, 63.945], [20.778, 63.869], [20.731, 63.849], [20.684, 63.849], [20.673, 63.842], [20.677, 63.822], [20.709, 63.822], [20.688, 63.798], [20.673, 63.79], [20.666, 63.792], [20.644, 63.815], [20.612, 63.822], [20.565, 63.798], [20.554, 63.776], [20.544, 63.775], [20.529, 63.781], [20.54, 63.8], [20.504, 63.822], [20.457, 63.771], [20.436, 63.761], [20.414, 63.768], [20.421, 63.712], [20.396, 63.682], [20.382, 63.677], [20.364, 63.68], [20.353, 63.702], [20.364, 63.716], [20.36, 63.726], [20.353, 63.739], [20.324, 63.754], [20.31, 63.655], [20.295, 63.651], [20.266, 63.67], [20.288, 63.721], [20.284, 63.733], [20.245, 63.699], [20.241, 63.651], [20.155, 63.651], [20.119, 63.643], [20.094, 63.665], [20.072, 63.667], [20.036, 63.657], [20.011, 63.635], [20.029, 63.603], [19.953, 63.619], [19.939, 63.619], [19.888, 63.603], [19.863, 63.574], [19.752, 63.525], [19.773, 63.464], [19.744, 63.457], [19.701, 63.434], [19.687, 63.432], [19.64, 63.445], [19.636, 63.478], [19.611, 63.486], [19.618, 63.5], [19.579, 63.521], [19.525, 63.53], [19.471, 63.562], [19.446, 63.56], [19.42, 63.548], [19.442, 63.538], [19.467, 63.535], [19.456, 63.51], [19.467, 63.501], [19.492, 63.498], [19.525, 63.486], [19.46, 63.469], [19.51, 63.434], [19.518, 63.415], [19.507, 63.412], [19.489, 63.417], [19.374, 63.479], [19.345, 63.486], [19.374, 63.445], [19.352, 63.44], [19.294, 63.466], [19.28, 63.459], [19.269, 63.342], [19.258, 63.329], [19.244, 63.322], [19.233, 63.326], [19.23, 63.342], [19.208, 63.326], [19.158, 63.319], [19.132, 63.309], [19.154, 63.293], [19.111, 63.253], [19.132, 63.253], [19.118, 63.236], [19.096, 63.238], [19.057, 63.26], [19.039, 63.239], [19.057, 63.226], [19.111, 63.219], [19.104, 63.207], [19.078, 63.207], [19.068, 63.202], [19.053, 63.179], [19.035, 63.179], [18.992, 63.209], [18.97, 63.218], [18.967, 63.239], [18.956, 63.246], [18.888, 63.273], [18.873, 63.27], [18.88, 63.253], [18.866, 63.25], [18.812, 63.26], [18.751, 63.26], [18.736, 63.253], [18.754, 63.243], [18.913, 63.212], [18.895, 63.197], [18.862, 63.192], [18.798, 63.192], [18.805, 63.179], [18.787, 63.169], [18.772, 63.169], [18.754, 63.192], [18.754, 63.207], [18.776, 63.212], [18.823, 63.212], [18.823, 63.219], [18.729, 63.233], [18.7, 63.226], [18.715, 63.219], [18.754, 63.157], [18.61, 63.179], [18.564, 63.179], [18.564, 63.172], [18.61, 63.165], [18.643, 63.147], [18.657, 63.123], [18.654, 63.115], [18.639, 63.109], [18.578, 63.125], [18.556, 63.116], [18.538, 63.084], [18.524, 63.076], [18.556, 63.076], [18.492, 63.05], [18.488, 63.025], [18.477, 63.02], [18.466, 63.023], [18.42, 63.054], [18.387, 63.054], [18.373, 63.047], [18.423, 63.027], [18.434, 63.015], [18.369, 63.02], [18.344, 63.04], [18.34, 63.025], [18.326, 63.015], [18.301, 63.006], [18.243, 63], [18.265, 62.99], [18.524, 62.991], [18.553, 62.986], [18.578, 62.959], [18.567, 62.954], [18.553, 62.959], [18.546, 62.973], [18.538, 62.973], [18.528, 62.954], [18.506, 62.949], [18.477, 62.952], [18.42, 62.969], [18.402, 62.964], [18.394, 62.946], [18.441, 62.929], [18.456, 62.925], [18.51, 62.932], [18.524, 62.925], [18.513, 62.903], [18.474, 62.902], [18.402, 62.912], [18.416, 62.897], [18.463, 62.888], [18.474, 62.876], [18.463, 62.861], [18.427, 62.854], [18.402, 62.841], [18.376, 62.836], [18.33, 62.839], [18.315, 62.856], [18.268, 62.883], [18.247, 62.883], [18.254, 62.87], [18.207, 62.87], [18.222, 62.853], [18.207, 62.836], [18.229, 62.829], [18.261, 62.848], [18.283, 62.841], [18.243, 62.799], [18.214, 62.79], [18.196, 62.777], [18.182, 62.784], [18.182, 62.79], [18.2, 62.807], [18.186, 62.812], [18.16, 62.78], [18.139, 62.772], [18.078, 62.773], [18.085, 62.787], [18.067, 62.794], [18.009, 62.794], [18.034, 62.812], [18.121, 62.806], [18.146, 62.822], [18.085, 62.838], [18.07, 62.849], [18.078, 62.856], [18.02, 62.841], [17.988, 62.826], [17.97, 62.807], [17.934, 62.817], [17.923, 62.831], [17.926, 62.866], [17.912, 62.883], [17.926, 62.9], [17.923, 62.915], [17.894, 62.91], [17.88, 62.912], [17.847, 62.964], [17.811, 62.979], [17.829, 63], [17.808, 62.998], [17.779, 62.983], [17.761, 62.979], [17.71, 62.998], [17.692, 62.993], [17.818, 62.942], [17.847, 62.922], [17.89, 62.87], [17.901, 62.839], [17.887, 62.816], [17.93, 62.8], [17.952, 62.785], [17.962, 62.751], [17.995, 62.728], [18.002, 62.709], [17.991, 62.681], [17.995, 62.66], [17.973, 62.657], [17.934, 62.67], [17.872, 62.67], [17.89, 62.659], [18.042, 62.627], [18.049, 62.606], [18.063, 62.596], [18.042, 62.593], [17.97, 62.561], [17.962, 62.564], [17.955, 62.611], [17.937, 62.616], [17.908, 62.549], [17.88, 62.54], [17.894, 62.527], [17.844, 62.49], [17.822, 62.486], [17.786, 62.505], [17.736, 62.505], [17.692, 62.498], [17.671, 62.49], [17.66, 62.478], [17.66, 62.461], [17.696, 62.451], [17.707, 62.437], [17.577, 62.441], [17.548, 62.448], [17.48, 62.505], [17.426, 62.54], [17.404, 62.535], [17.397, 62.512], [17.343, 62.498], [17.332, 62.488], [17.332, 62.473], [17.379, 62.434], [17.379, 62.41], [17.361, 62.404], [17.336, 62.404], [17.361, 62.39], [17.361, 62.356], [17.379, 62.333], [17.394, 62.328], [17.437, 62.331], [17.455, 62.321], [17.487, 62.287], [17.487, 62.28], [17.462, 62.274], [17.545, 62.248], [17.566, 62.253], [17.599, 62.25], [17.653, 62.231], [17.57, 62.204], [17.545, 62.201], [17.541, 62.206], [17.57, 62.231], [17.552, 62.236], [17.534, 62.235], [17.509, 62.218], [17.509, 62.164], [17.473, 62.117], [17.469, 62.076], [17.448, 62.068], [17.469, 62.063], [17.426, 62.027], [17.462, 62.003], [17.394, 61.992], [17.386, 61.961], [17.354, 61.956], [17.343, 61.936], [17.347, 61.912], [17.365, 61.887], [17.343, 61.872], [17.343, 61.855], [17.354, 61.848], [17.336, 61.824], [17.34, 61.818], [17.354, 61.814], [17.404, 61.821], [17.394, 61.806], [17.372, 61.801], [17.372, 61.792], [17.39, 61.789], [17.39, 61.728], [17.401, 61.723], [17.484, 61.735], [17.512, 61.713], [17.52, 61.691], [17.498, 61.635], [17.48, 61.629], [17.433, 61.639], [17.383, 61.693], [17.361, 61.71], [17.332, 61.718], [17.336, 61.694], [17.35, 61.678], [17.314, 61.683], [17.3, 61.689], [17.304, 61.705], [17.268, 61.721], [17.224, 61.726], [17.138, 61.725], [17.149, 61.715], [17.167, 61.71], [17.199, 61.711], [17.268, 61.691], [17.26, 61.674], [17.228, 61.662], [17.167, 61.657], [17.167, 61.651], [17.192, 61.642], [17.163, 61.637], [17.12, 61.645], [17.098, 61.635], [17.224, 61.622], [17.25, 61.608], [17.224, 61.603], [17.152, 61.618], [17.084, 61.615], [17.084, 61.608], [17.12, 61.61], [17.134, 61.607], [17.145, 61.595], [17.102, 61.585], [17.055, 61.583], [17.084, 61.571], [17.185, 61.561], [17.185, 61.554], [17.091, 61.556], [17.08, 61.551], [17.131, 61.532], [17.167, 61.527], [17.167, 61.519], [17.124, 61.519], [17.124, 61.514], [17.174, 61.499], [17.178, 61.487], [17.152, 61.465], [17.17, 61.441], [17.192, 61.438], [17.203, 61.448], [17.214, 61.451], [17.221, 61.448], [17.217, 61.434], [17.185, 61.428], [17.167, 61.416], [17.138, 61.438], [17.127, 61.417], [17.109, 61.409], [17.106, 61.399], [17.138, 61.369], [17.167, 61.355], [17.199, 61.348], [17.203, 61.336], [17.275, 61.314], [17.214, 61.313], [17.152, 61.328], [17.167, 61.308], [17.25, 61.287], [17.188, 61.291], [17.134, 61.316], [17.098, 61.321], [17.098, 61.314], [17.152, 61.294], [17.181, 61.276], [17.214, 61.235], [17.17, 61.22], [17.152, 61.205], [17.185, 61.191], [17.181, 61.166], [17.16, 61.149], [17.178, 61.135], [17.181, 61.124], [17.17, 61.115], [17.145, 61.115], [17.185, 61.112], [17.199, 61.103], [17.199, 61.09], [17.188, 61.088], [17.174, 61.073], [17.167, 61.046], [17.185, 61.032], [17.16, 61.021], [17.235, 61.022], [17.25, 61.012], [17.188, 61.004], [17.167, 60.992], [17.156, 60.953], [17.181, 60.938], [17.206, 60.935], [17.203, 60.921], [17.217, 60.899], [17.232, 60.904], [17.242, 60.902], [17.282, 60.842], [17.257, 60.833], [17.257, 60.828], [17.26, 60.816], [17.275, 60.818], [17.282, 60.813], [17.282, 60.781], [17.296, 60.772], [17.332, 60.771], [17.336, 60.767], [17.325, 60.752], [17.311, 60.745], [17.278, 60.737], [17.253, 60.72], [17.185, 60.696], [17.192, 60.69], [17.239, 60.698], [17.257, 60.695], [17.278, 60.68], [17.311, 60.673], [17.365, 60.649], [17.325, 60.636], [17.325, 60.629], [17.34, 60.622], [17.379, 60.624], [17.415, 60.637], [17.548, 60.649], [17.574, 60.647], [17.595, 60.639], [17.66, 60.609], [17.602, 60.583], [17.638, 60.516], [17.671, 60.504], [17.743, 60.499], [17.728, 60.534], [17.761, 60.563], [17.815, 60.585], [17.919, 60.6], [17.948, 60.599], [17.973, 60.588], [17.995, 60.541], [17.98, 60.523], [17.966, 60.519], [17.966, 60.512], [17.995, 60.511], [18.02, 60.502], [18.099, 60.465], [18.114, 60.436], [18.142, 60.413], [18.178, 60.399], [18.261, 60.382], [18.207, 60.355], [18.207, 60.347], [18.236, 60.327], [18.297, 60.355], [18.315, 60.357], [18.358, 60.347], [18.427, 60.349], [18.448, 60.342], [18.445, 60.32], [18.452, 60.31], [18.474, 60.3], [18.474, 60.293], [18.438, 60.293], [18.427, 60.286], [18.567, 60.259], [18.603, 60.239], [18.564, 60.227], [18.402, 60.259], [18.315, 60.322], [18.33, 60.286], [18.448, 60.212], [18.43, 60.21], [18.416, 60.215], [18.394, 60.232], [18.398, 60.208], [18.42, 60.193], [18.47, 60.176], [18.506, 60.156], [18.535, 60.159], [18.546, 60.165], [18.549, 60.175], [18.549, 60.129], [18.578, 60.073], [18.585, 60.073], [18.592, 60.109], [18.578, 60.143], [18.625, 60.151], [18.65, 60.148], [18.686, 60.131], [18.722, 60.126], [18.736, 60.116], [18.744, 60.05], [18.79, 60.018], [18.798, 60.004], [18.762, 60.056], [18.754, 60.082], [18.765, 60.111], [18.805, 60.122], [18.819, 60.114], [18.823, 60.068], [18.902, 59.947], [18.924, 59.935], [18.967, 59.926], [19.01, 59.91], [19.01, 59.896], [19.032, 59.881], [19.042, 59.883], [19.035, 59.903], [19.071, 59.896], [19.068, 59.834], [19.035, 59.835], [19.021, 59.84], [18.916, 59.921], [18.888, 59.93], [18.895, 59.916], [18.931, 59.886], [18.934, 59.869], [18.924, 59.852], [18.844, 59.795], [18.754, 59.791], [18.74, 59.783], [18.733, 59.769], [18.751, 59.769], [18.79, 59.78], [19.042, 59.785], [19.086, 59.773], [19.075, 59.749], [19.057, 59.736], [19.035, 59.729], [18.956, 59.719], [18.931, 59.731], [18.913, 59.753], [18.902, 59.734], [18.88, 59.722], [18.855, 59.714], [18.78, 59.702], [18.758, 59.692], [18.754, 59.677], [18.718, 59.677], [18.708, 59.658], [18.693, 59.65], [18.744, 59.65], [18.726, 59.633], [18.7, 59.621], [18.672, 59.636], [18.661, 59.636], [18.686, 59.606], [18.679, 59.601], [18.639, 59.584], [18.596, 59.574], [18.542, 59.547], [18.484, 59.535], [18.38, 59.476], [18.344, 59.472], [18.268, 59.477], [18.268, 59.471], [18.304, 59.457], [18.29, 59.45], [18.247, 59.45], [18.283, 59.437], [18.276, 59.423], [18.294, 59.415], [18.337, 59.408], [18.308, 59.396], [18.247, 59.398], [18.189, 59.408], [18.16, 59.422], [18.182, 59.428], [18.207, 59.422], [18.2, 59.45], [18.182, 59.459], [18.146, 59.444], [18.128, 59.455], [18.114, 59.455], [18.085, 59.438], [18.099, 59.408], [18.067, 59.398], [18.042, 59.398], [18.009, 59.408], [18.146, 59.341], [18.11, 59.335], [18.096, 59.339], [18.096, 59.327], [18.171, 59.327], [18.196, 59.334], [18.207, 59.332], [18.214, 59.32], [18.222, 59.32], [18.254, 59.362], [18.319, 59.376], [18.391, 59.369], [18.448, 59.354], [18.427, 59.341], [18.456, 59.335], [18.47, 59.337], [18.481, 59.347], [18.448, 59.396], [18.495, 59.396], [18.438, 59.42], [18.427, 59.437], [18.484, 59.433], [18.538, 59.417], [18.546, 59.396], [18.614, 59.374], [18.6, 59.362], [18.546, 59.368], [18.632, 59.347], [18.646, 59.33], [18.639, 59.315], [18.621, 59.308], [18.567, 59.307], [18.52, 59.298], [18.492, 59.308], [18.448, 59.314], [18.366, 59.307], [18.337, 59.314], [18.344, 59.334], [18.308, 59.33], [18.276, 59.314], [18.301, 59.302], [18.315, 59.285], [18.315, 59.278], [18.283, 59.28], [18.272, 59.275], [18.279, 59.261], [18.387, 59.231], [18.412, 59.216], [18.427, 59.197], [18.337, 59.236], [18.315, 59.234], [18.315, 59.222], [18.33, 59.214], [18.366, 59.211], [18.387, 59.184], [18.405, 59.189], [18.394, 59.168], [18.43, 59.175], [18.43, 59.153], [18.416, 59.14], [18.38, 59.148], [18.308, 59.131], [18.29, 59.121], [18.312, 59.121], [18.326, 59.108], [18.2, 59.08], [18.254, 59.101], [18.243, 59.108], [18.254, 59.121], [18.225, 59.119], [18.186, 59.099], [18.139, 59.094], [18.11, 59.064], [18.096, 59.059], [18.042, 59.06], [18.049, 59.038], [18.013, 59.045], [18.002, 59.038], [18.02, 59.023], [17.977, 58.986], [17.962, 58.964], [17.97, 58.935], [17.962, 58.922], [17.93, 58.91], [17.912, 58.91], [17.901, 58.915], [17.894, 58.903], [17.894, 58.861], [17.869, 58.876], [17.865, 58.888], [17.872, 58.902], [17.862, 58.918], [17.851, 58.925], [17.829, 58.922], [17.804, 58.934], [17.775, 58.961], [17.786, 58.925], [17.804, 58.908], [17.779, 58.881], [17.782, 58.915], [17.75, 58.923], [17.754, 58.966], [17.743, 58.984], [17.757, 59.006], [17.757, 59.086], [17.768, 59.121], [17.757, 59.126], [17.732, 59.114], [17.721, 59.059], [17.71, 59.053], [17.667, 59.08], [17.667, 59.096], [17.689, 59.118], [17.692, 59.131], [17.682, 59.153], [17.66, 59.168], [17.674, 59.135], [17.649, 59.108], [17.61, 59.094], [17.62, 59.072], [17.613, 59.032], [17.631, 59.018], [17.606, 58.966], [17.599, 58.971], [17.577, 58.957], [17.592, 58.947], [17.61, 58.944], [17.602, 58.929], [17.628, 58.918], [17.617, 58.902], [17.599, 58.895], [17.538, 58.902], [17.559, 58.88], [17.592, 58.868], [17.592, 58.861], [17.57, 58.861], [17.584, 58.854], [17.556, 58.854], [17.48, 58.886], [17.448, 58.895], [17.448, 58.888], [17.466, 58.881], [17.469, 58.871], [17.451, 58.815], [17.487, 58.8], [17.458, 58.792], [17.336, 58.807], [17.372, 58.778], [17.376, 58.765], [17.358, 58.751], [17.304, 58.753], [17.275, 58.75], [17.275, 58.731], [17.163, 58.733], [17.131, 58.738], [17.102, 58.761], [17.088, 58.765], [17.026, 58.751], [17.073, 58.744], [17.084, 58.738], [17.084, 58.729], [17.062, 58.711], [17.084, 58.702], [17.124, 58.706], [17.145, 58.702], [17.145, 58.697], [17.095, 58.66], [17.07, 58.662], [17.012, 58.682], [16.976, 58.685], [16.954, 58.668], [17.001, 58.668], [17.019, 58.66], [17.037, 58.641], [17.012, 58.641], [16.926, 58.626], [16.234, 58.668], [16.234, 58.662], [16.263, 58.643], [16.256, 58.635], [16.198, 58.638], [16.18, 58.635], [16.18, 58.628], [16.206, 58.635], [16.22, 58.621], [16.242, 58.628], [16.285, 58.616], [16.335, 58.64], [16.371, 58.621], [16.375, 58.596], [16.389, 58.591], [16.411, 58.596], [16.429, 58.64], [16.44, 58.648], [16.519, 58.625], [16.638, 58.626], [16.659, 58.623], [16.688, 58.606], [16.731, 58.603], [16.749, 58.592], [16.742, 58.614], [16.789, 58.608], [16.778, 58.589], [16.785, 58.572], [16.803, 58.562], [16.832, 58.559], [16.818, 58.552], [16.818, 58.547], [16.843, 58.547], [16.836, 58.53], [16.886, 58.518], [16.94, 58.491], [16.915, 58.483], [16.864, 58.483], [16.843, 58.478], [16.854, 58.462], [16.832, 58.452], [16.771, 58.442], [16.749, 58.429], [16.72, 58.437], [16.598, 58.449], [16.54, 58.468], [16.443, 58.486], [16.414, 58.478], [16.447, 58.474], [16.659, 58.415], [16.692, 58.414], [16.706, 58.408], [16.717, 58.386], [16.713, 58.359], [16.756, 58.373], [16.767, 58.368], [16.774, 58.339], [16.63, 58.354], [16.699, 58.319], [16.699, 58.302], [16.71, 58.299], [16.728, 58.304], [16.72, 58.319], [16.778, 58.326], [16.8, 58.324], [16.785, 58.304], [16.76, 58.305], [16.756, 58.285], [16.706, 58.278], [16.706, 58.272], [16.731, 58.268], [16.803, 58.245], [16.789, 58.238], [16.814, 58.221], [16.825, 58.192], [16.818, 58.177], [16.796, 58.182], [16.789, 58.179], [16.8, 58.165], [16.81, 58.162], [16.778, 58.13], [16.72, 58.15], [16.663, 58.186], [16.616, 58.202], [16.63, 58.186], [16.674, 58.165], [16.688, 58.148], [16.659, 58.148], [16.735, 58.084], [16.713, 58.079], [16.713, 58.059], [16.688, 58.059], [16.742, 58.04], [16.756, 58.025], [16.746, 58.017], [16.728, 58.017], [16.72, 58.025], [16.692, 58.015], [16.688, 58.008], [16.699, 57.998], [16.681, 58.005], [16.659, 58.035], [16.645, 58.039], [16.63, 58.029], [16.659, 57.99], [16.688, 57.99], [16.706, 57.963], [16.728, 57.974], [16.735, 57.971], [16.746, 57.941], [16.782, 57.915], [16.767, 57.915], [16.728, 57.929], [16.735, 57.914], [16.767, 57.898], [16.756, 57.877], [16.742, 57.877], [16.724, 57.883], [16.684, 57.919], [16.681, 57.898], [16.67, 57.892], [16.652, 57.89], [16.612, 57.895], [16.605, 57.929], [16.627, 57.929], [16.645, 57.922], [16.515, 57.998], [16.504, 57.998], [16.494, 57.985], [16.504, 57.969], [16.533, 57.951], [16.591, 57.936], [16.569, 57.922], [16.576, 57.912], [16.573, 57.893], [16.562, 57.888], [16.526, 57.907], [16.479, 57.915], [16.494, 57.902], [16.486, 57.895], [16.461, 57.902], [16.461, 57.895], [16.706, 57.75], [16.699, 57.743], [16.634, 57.765], [16.54, 57.839], [16.418, 57.895], [16.44, 57.865], [16.472, 57.846], [16.53, 57.826], [16.594, 57.774], [16.62, 57.767], [16.666, 57.736], [16.652, 57.73], [16.692, 57.726], [16.713, 57.703], [16.692, 57.703], [16.692, 57.696], [16.706, 57.696], [16.706, 57.689], [16.638, 57.692], [16.576, 57.709], [16.612, 57.682], [16.62, 57.667], [16.616, 57.659], [16.605, 57.657], [16.584, 57.662], [16.591, 57.652], [16.616, 57.649], [16.63, 57.628], [16.562, 57.593], [16.555, 57.627], [16.54, 57.62], [16.519, 57.627], [16.544, 57.608], [16.519, 57.593], [16.519, 57.586], [16.544, 57.579], [16.544, 57.573], [16.515, 57.573], [16.515, 57.566], [16.591, 57.564], [16.63, 57.557], [16.688, 57.471], [16.659, 57.476], [16.674, 57.459], [16.638, 57.449], [16.634, 57.438], [16.638, 57.427], [16.652, 57.419], [16.674, 57.416], [16.627, 57.399], [16.63, 57.38], [16.573, 57.387], [16.548, 57.382], [16.533, 57.36], [16.569, 57.346], [16.548, 57.329], [16.562, 57.319], [16.486, 57.294], [16.468, 57.275], [16.494, 57.243], [16.465, 57.228], [16.458, 57.204], [16.465, 57.177], [16.508, 57.127], [16.53, 57.117], [16.544, 57.118], [16.569, 57.086], [16.555, 57.081], [16.584, 57.044], [16.533, 57.053], [16.537, 57.059], [16.526, 57.066], [16.501, 57.039], [16.494, 57.044], [16.44, 57.053], [16.472, 57.031], [16.472, 57.024], [16.454, 57.024], [16.44, 57.014], [16.436, 56.998], [16.44, 56.977], [16.468, 56.95], [16.465, 56.938], [16.436, 56.911], [16.44, 56.867], [16.407, 56.799], [16.414, 56.787], [16.429, 56.782], [16.465, 56.798], [16.476, 56.786], [16.472, 56.777], [16.454, 56.769], [16.429, 56.776], [16.396, 56.776], [16.36, 56.764], [16.357, 56.759], [16.378, 56.727], [16.382, 56.695], [16.371, 56.661], [16.36, 56.654], [16.324, 56.652], [16.303, 56.662], [16.263, 56.654], [16.245, 56.642], [16.22, 56.608], [16.213, 56.548], [16.206, 56.539], [16.18, 56.538], [16.166, 56.509], [16.094, 56.419], [16.04, 56.256], [16.022, 56.247], [15.99, 56.208], [15.932, 56.174], [15.874, 56.104], [15.853, 56.087], [15.835, 56.088], [15.788, 56.107], [15.82, 56.141], [15.828, 56.159], [15.806, 56.168], [15.756, 56.156], [15.73, 56.158], [15.712, 56.174], [15.702, 56.169], [15.648, 56.195], [15.594, 56.161], [15.576, 56.174], [15.597, 56.203], [15.586, 56.208], [15.572, 56.207], [15.536, 56.188], [15.493, 56.176], [15.486, 56.171], [15.486, 56.156], [15.478, 56.153], [15.432, 56.18], [15.403, 56.18], [15.378, 56.161], [15.367, 56.141], [15.32, 56.139], [15.295, 56.147], [15.324, 56.154], [15.295, 56.188], [15.273, 56.171], [15.234, 56.158], [15.194, 56.153], [15.154, 56.169], [15.129, 56.161], [15.093, 56.161], [15.075, 56.188], [15.036, 56.181], [15.05, 56.154], [14.989, 56.169], [14.953, 56.173], [14.906, 56.161], [14.848, 56.164], [14.848, 56.147], [14.83, 56.142], [14.776, 56.168], [14.726, 56.168], [14.701, 56.161], [14.686, 56.147], [14.683, 56.117], [14.712, 56.102], [14.719, 56.085], [14.748, 56.061], [14.769, 56.031], [14.755, 56.028], [14.715, 56.002], [14.704, 56.017], [14.686, 56.017], [14.672, 56.006], [14.65, 56.011], [14.611, 56.011], [14.625, 56.024], [14.607, 56.038], [14.604, 56.058], [14.582, 56.044], [14.568, 56.058], [14.535, 56.046], [14.499, 56.041], [14.478, 56.031], [14.409, 55.977], [14.348, 55.953], [14.323, 55.916], [14.312, 55.908], [14.272, 55.894], [14.236, 55.862], [14.208, 55.822], [14.193, 55.742], [14.208, 55.708], [14.222, 55.697], [14.262, 55.68], [14.272, 55.668], [14.283, 55.622], [14.316, 55.602], [14.359, 55.563], [14.366, 55.545], [14.362, 55.524], [14.294, 55.475], [14.265, 55.462], [14.218, 55.415], [14.182, 55.391], [14.157, 55.388], [14.064, 55.391], [13.93, 55.433], [13.898, 55.435], [13.844, 55.421], [13.779, 55.428], [13.646, 55.421], [13.628, 55.418], [13.596, 55.393], [13.581, 55.389], [13.538, 55.393], [13.502, 55.388], [13.412, 55.352], [13.383, 55.345], [13.311, 55.342], [13.279, 55.345], [13.117, 55.381], [13.063, 55.381], [13.03, 55.386], [13.009, 55.398], [12.98, 55.403], [12.922, 55.386], [12.886, 55.393], [12.832, 55.383], [12.829, 55.399], [12.861, 55.435], [12.872, 55.435], [12.904, 55.418], [12.93, 55.418], [12.966, 55.435], [12.962, 55.453], [12.987, 55.448], [12.976, 55.475], [12.93, 55.519], [12.919, 55.548], [12.93, 55.578], [12.958, 55.599], [13.038, 55.636], [13.059, 55.661], [13.063, 55.675], [13.056, 55.693], [13.027, 55.712], [13.012, 55.729], [12.973, 55.727], [12.966, 55.746], [12.922, 55.749], [12.912, 55.764], [12.933, 55.769], [12.94, 55.791], [12.926, 55.833], [12.89, 55.854], [12.85, 55.865], [12.822, 55.887], [12.8, 55.935], [12.771, 55.948], [12.753, 55.997], [12.71, 56.021], [12.699, 56.051], [12.602, 56.124], [12.555, 56.181], [12.541, 56.222], [12.505, 56.276], [12.465, 56.291], [12.451, 56.304], [12.645, 56.257], [12.667, 56.239], [12.706, 56.222], [12.728, 56.228], [12.796, 56.228], [12.814, 56.237], [12.829, 56.25], [12.829, 56.279], [12.782, 56.293], [12.732, 56.36], [12.645, 56.396], [12.62, 56.419], [12.656, 56.455], [12.714, 56.467], [12.832, 56.443], [12.89, 56.455], [12.933, 56.507], [12.94, 56.527], [12.933, 56.548], [12.886, 56.637], [12.872, 56.649], [12.843, 56.654], [12.778, 56.644], [12.732, 56.647], [12.681, 56.679], [12.663, 56.715], [12.631, 56.733], [12.616, 56.75], [12.595, 56.787], [12.598, 56.821], [12.534, 56.847], [12.526, 56.86], [12.498, 56.867], [12.469, 56.892], [12.436, 56.895], [12.411, 56.906], [12.375, 56.912], [12.357, 56.924], [12.343, 56.963], [12.354, 56.977], [12.343, 57.014], [12.271, 57.042], [12.249, 57.061], [12.246, 57.08], [12.22, 57.093], [12.238, 57.108], [12.235, 57.122], [12.202, 57.156], [12.199, 57.184], [12.148, 57.188], [12.192, 57.213], [12.138, 57.22], [12.102, 57.237], [12.13, 57.237], [12.156, 57.243], [12.127, 57.25], [12.094, 57.25], [12.094, 57.257], [12.12, 57.275], [12.148, 57.286], [12.141, 57.297], [12.145, 57.311], [12.105, 57.345], [12.066, 57.34], [12.051, 57.351], [12.109, 57.394], [12.062, 57.394], [12.084, 57.402], [12.091, 57.422], [12.055, 57.463], [12.022, 57.449], [12.008, 57.434], [11.994, 57.367], [11.979, 57.346], [11.972, 57.365], [11.932, 57.362], [11.943, 57.387], [11.922, 57.387], [11.904, 57.394], [11.914, 57.404], [11.904, 57.449], [11.907, 57.465], [11.943, 57.49], [11.911, 57.503], [11.932, 57.512], [11.904, 57.524], [11.918, 57.539], [11.911, 57.595], [11.918, 57.622], [11.896, 57.627], [11.893, 57.613], [11.878, 57.606], [11.868, 57.608], [11.835, 57.662], [11.846, 57.682], [11.911, 57.687], [11.925, 57.703], [11.904, 57.696], [11.846, 57.692], [11.821, 57.696], [11.77, 57.713], [11.749, 57.714], [11.752, 57.696], [11.738, 57.692], [11.706, 57.699], [11.706, 57.721], [11.803, 57.774], [11.81, 57.782], [11.806, 57.789], [11.788, 57.79], [11.752, 57.785], [11.688, 57.838], [11.655, 57.839], [11.677, 57.853], [11.706, 57.86], [11.695, 57.882], [11.706, 57.892], [11.76, 57.902], [11.76, 57.909], [11.745, 57.909], [11.745, 57.915], [11.76, 57.919], [11.767, 57.929], [11.738, 57.939], [11.745, 57.956], [11.788, 57.998], [11.799, 58.022], [11.803, 58.037], [11.785, 58.069], [11.785, 58.079], [11.803, 58.086], [11.792, 58.099], [11.817, 58.103], [11.828, 58.121], [11.842, 58.194], [11.875, 58.199], [11.889, 58.216], [11.86, 58.218], [11.846, 58.253], [11.814, 58.278], [11.81, 58.302], [11.824, 58.317], [11.882, 58.332], [11.871, 58.346], [11.806, 58.327], [11.727, 58.327], [11.727, 58.312], [11.713, 58.307], [11.68, 58.307], [11.612, 58.275], [11.58, 58.251], [11.551, 58.25], [11.526, 58.258], [11.54, 58.238], [11.508, 58.243], [11.497, 58.258], [11.504, 58.28], [11.544, 58.334], [11.623, 58.388], [11.608, 58.395], [11.623, 58.407], [11.67, 58.422], [11.652, 58.437], [11.63, 58.432], [11.59, 58.402], [11.554, 58.462], [11.547, 58.462], [11.554, 58.434], [11.551, 58.4], [11.522, 58.336], [11.497, 58.312], [11.464, 58.294], [11.396, 58.265], [11.418, 58.29], [11.443, 58.305], [11.443, 58.312], [11.4, 58.304], [11.389, 58.305], [11.385, 58.319], [11.4, 58.338], [11.45, 58.341], [11.421, 58.365], [11.425, 58.388], [11.407, 58.388], [11.371, 58.348], [11.346, 58.346], [11.425, 58.442], [11.349, 58.388], [11.335, 58.368], [11.306, 58.359], [11.281, 58.366], [11.252, 58.366], [11.23, 58.339], [11.22, 58.346], [11.223, 58.38], [11.205, 58.402], [11.209, 58.419], [11.223, 58.425], [11.259, 58.422], [11.252, 58.442], [11.295, 58.469], [11.259, 58.483], [11.238, 58.508], [11.252, 58.518], [11.256, 58.555], [11.288, 58.581], [11.266, 58.581], [11.27, 58.592], [11.256, 58.599], [11.252, 58.608], [11.259, 58.635], [11.212, 58.679], [11.22, 58.707], [11.187, 58.711], [11.176, 58.719], [11.191, 58.753], [11.212, 58.758], [11.205, 58.771], [11.234, 58.809], [11.23, 58.844], [11.227, 58.849], [11.202, 58.854], [11.191, 58.908], [11.198, 58.922], [11.119, 58.94], [11.108, 58.954], [11.119, 58.969], [11.184, 58.991], [11.14, 58.989], [11.122, 58.994], [11.115, 59.008], [11.119, 59.021], [11.194, 59.08], [11.22, 59.091], [11.32, 59.099], [11.356, 59.092], [11.392, 59.02], [11.428, 58.991], [11.439, 58.991], [11.454, 58.961], [11.454, 58.896], [11.482, 58.886], [11.547, 58.885], [11.612, 58.893], [11.666, 58.92], [11.745, 59.092], [11.749, 59.14], [11.774, 59.202], [11.81, 59.249], [11.806, 59.293], [11.785, 59.361], [11.67, 59.58], [11.677, 59.607], [11.695, 59.623], [11.828, 59.66], [11.893, 59.705], [11.904, 59.785], [11.886, 59.805], [11.853, 59.823], [11.842, 59.839], [11.85, 59.872], [11.889, 59.893], [11.943, 59.903], [12.102, 59.894], [12.145, 59.898], [12.292, 59.959], [12.447, 60.051], [12.483, 60.082], [12.512, 60.117], [12.526, 60.161], [12.523, 60.198], [12.494, 60.263], [12.49, 60.311], [12.559, 60.36], [12.595, 60.394], [12.613, 60.455], [12.609, 60.487], [12.483, 60.658], [12.379, 60.754], [12.35, 60.793], [12.314, 60.902], [12.256, 60.982], [12.253, 61.002], [12.282, 61.016], [12.512, 61.049], [12.57, 61.051], [12.681, 61.041], [12.703, 61.046], [12.739, 61.142], [12.84, 61.227], [12.89, 61.35], [12.876, 61.37], [12.613, 61.548], [12.584, 61.561], [12.444, 61.573], [12.415, 61.583], [12.339, 61.634], [12.292, 61.651], [12.177, 61.711], [12.163, 61.725], [12.318, 62.235], [12.314, 62.285], [12.285, 62.336], [12.091, 62.586], [12.102, 62.633], [12.156, 62.711], [12.156, 62.733], [12.094, 62.907], [12.105, 62.924], [12.224, 63.001], [11.994, 63.288], [12.206, 63.454], [12.22, 63.474], [12.22, 63.496], [12.17, 63.597], [12.292, 63.657], [12.483, 63.81], [12.681, 63.957], [12.757, 63.991], [12.984, 64.058], [13.236, 64.091], [13.963, 64.009], [14.146, 64.168], [14.161, 64.187], [14.161, 64.205], [14.114, 64.442], [14.096, 64.465], [14.06, 64.477], [13.941, 64.491], [13.642, 64.584], [14.172, 64.992], [14.312, 65.083], [14.334, 65.114], [14.38, 65.24], [14.402, 65.256], [14.481, 65.289], [14.514, 65.318], [14.51, 65.465], [14.56, 65.701], [14.65, 65.803], [14.643, 65.843], [14.539, 66.125], [15.054, 66.154], [15.482, 66.276], [15.493, 66.287], [15.482, 66.341], [15.428, 66.492], [15.669, 66.6], [16.04, 66.887], [16.126, 66.934], [16.31, 67.01], [16.371, 67.024], [16.4, 67.035], [16.414, 67.052], [16.44, 67.201], [16.126, 67.422], [16.18, 67.496], [16.198, 67.508], [16.368, 67.522], [16.429, 67.534], [16.483, 67.557], [16.609, 67.647], [16.782, 67.897], [16.807, 67.91], [17.221, 68.04], [17.3, 68.098], [17.322, 68.106], [17.894, 67.969], [17.923, 67.973], [18.168, 68.158], [18.189, 68.199], [18.135, 68.396], [18.157, 68.518], [18.171, 68.537], [18.438, 68.574], [18.643, 68.501], [18.7, 68.496], [19.039, 68.506], [19.482, 68.423], [19.932, 68.351], [19.971, 68.351], [20.011, 68.364], [20.245, 68.477], [19.964, 68.542], [20.151, 68.607], [20.238, 68.66], [20.338, 68.766], [20.356, 68.805], [20.342, 68.91], [20.101, 69.023]]],
+    [[[17.124, 57.319], [17.098, 57.318], [17.077, 57.306], [17.041, 57.27], [17.066, 57.242], [17.052, 57.193], [17.026, 57.181], [17.016, 57.149], [16.972, 57.105], [16.962, 57.063], [16.9, 57.037], [16.911, 57.024], [16.933, 57.017], [16.9, 56.997], [16.872, 56.97], [16.886, 56.936], [16.882, 56.916], [16.857, 56.897], [16.832, 56.826], [16.782, 56.811], [16.767, 56.798], [16.756, 56.747], [16.688, 56.625], [16.684, 56.593], [16.638, 56.559], [16.63, 56.532], [16.638, 56.524], [16.623, 56.504], [16.62, 56.475], [16.576, 56.406], [16.566, 56.347], [16.54, 56.306], [16.49, 56.24], [16.45, 56.218], [16.429, 56.218], [16.414, 56.228], [16.414, 56.271], [16.4, 56.298], [16.407, 56.32], [16.407, 56.387], [16.414, 56.402], [16.393, 56.458], [16.4, 56.544], [16.418, 56.586], [16.443, 56.608], [16.454, 56.637], [16.62, 56.872], [16.659, 56.887], [16.717, 56.892], [16.731, 56.904], [16.792, 57.004], [16.846, 57.059], [16.89, 57.118], [16.911, 57.203], [16.954, 57.221], [16.965, 57.304], [17.019, 57.345], [17.055, 57.358], [17.066, 57.358], [17.073, 57.343], [17.08, 57.341], [17.106, 57.353]]],
+    [[[19.039, 57.868], [19.086, 57.826], [19.014, 57.823], [18.985, 57.807], [18.981, 57.77], [18.956, 57.785], [18.931, 57.752], [18.942, 57.73], [18.866, 57.723], [18.834, 57.735], [18.808, 57.735], [18.812, 57.709], [18.762, 57.617], [18.812, 57.608], [18.794, 57.578], [18.79, 57.549], [18.762, 57.508], [18.776, 57.498], [18.772, 57.473], [18.787, 57.468], [18.805, 57.47], [18.79, 57.449], [18.83, 57.439], [18.87, 57.436], [18.88, 57.449], [18.909, 57.439], [18.927, 57.419], [18.927, 57.392], [18.909, 57.387], [18.88, 57.387], [18.859, 57.394], [18.834, 57.38], [18.801, 57.377], [18.769, 57.365], [18.718, 57.329], [18.679, 57.311], [18.668, 57.297], [18.675, 57.277], [18.711, 57.274], [18.715, 57.243], [18.679, 57.233], [18.679, 57.23], [18.592, 57.218], [18.564, 57.21], [18.564, 57.203], [18.578, 57.203], [18.578, 57.196], [18.556, 57.193], [18.405, 57.144], [18.387, 57.127], [18.456, 57.127], [18.358, 57.096], [18.344, 57.083], [18.337, 57.031], [18.348, 57.019], [18.402, 57.004], [18.344, 57.004], [18.344, 56.997], [18.358, 56.99], [18.322, 56.97], [18.312, 56.948], [18.204, 56.916], [18.171, 56.912], [18.139, 56.922], [18.204, 56.987], [18.2, 57.017], [18.265, 57.041], [18.29, 57.093], [18.222, 57.061], [18.2, 57.066], [18.2, 57.073], [18.225, 57.095], [18.229, 57.108], [18.214, 57.113], [18.229, 57.134], [18.186, 57.145], [18.16, 57.23], [18.099, 57.259], [18.103, 57.279], [18.117, 57.297], [18.153, 57.314], [18.168, 57.331], [18.168, 57.367], [18.178, 57.38], [18.146, 57.409], [18.146, 57.426], [18.114, 57.488], [18.114, 57.512], [18.128, 57.549], [18.16, 57.578], [18.326, 57.672], [18.463, 57.804], [18.499, 57.826], [18.549, 57.839], [18.596, 57.831], [18.61, 57.836], [18.639, 57.887], [18.657, 57.902], [18.7, 57.922], [18.726, 57.924], [18.744, 57.919], [18.758, 57.907], [18.769, 57.888], [18.765, 57.865], [18.783, 57.839], [18.805, 57.826], [18.812, 57.851], [18.844, 57.873], [18.852, 57.892], [18.837, 57.912], [18.852, 57.915], [18.913, 57.922], [18.898, 57.898], [18.916, 57.888], [18.942, 57.888], [18.942, 57.902], [18.956, 57.909], [18.978, 57.912], [19.01, 57.909], [19.003, 57.902], [19.014, 57.882], [19.024, 57.871]]],
+    [[[19.273, 57.976], [19.32, 57.973], [19.338, 57.964], [19.334, 57.959], [19.309, 57.956], [19.294, 57.944], [19.248, 57.953], [19.204, 57.936], [19.161, 57.926], [19.14, 57.909], [19.161, 57.897], [19.161, 57.88], [19.129, 57.846], [19.1, 57.853], [19.071, 57.868], [19.035, 57.905], [19.039, 57.917], [19.068, 57.939], [19.086, 57.968], [19.1, 57.976], [19.15, 57.98], [19.172, 57.988], [19.204, 57.983], [19.222, 57.99], [19.226, 57.974], [19.24, 57.971]]],
+    [[[11.738, 58.059], [11.745, 58.032], [11.734, 58.003], [11.72, 57.991], [11.709, 57.993], [11.706, 58], [11.713, 58.012], [11.695, 58.015], [11.666, 57.99], [11.659, 57.963], [11.641, 57.951], [11.619, 57.954], [11.594, 57.936], [11.58, 57.936], [11.562, 57.949], [11.533, 57.951], [11.511, 57.993], [11.515, 58.001], [11.526, 58.005], [11.569, 58.003], [11.547, 58.01], [11.504, 58.013], [11.497, 58.029], [11.508, 58.045], [11.526, 58.05], [11.569, 58.045], [11.659, 58.045], [11.716, 58.064]]],
+    [[[11.806, 58.231], [11.814, 58.211], [11.814, 58.145], [11.806, 58.126], [11.756, 58.118], [11.709, 58.098], [11.655, 58.108], [11.63, 58.099], [11.612, 58.118], [11.587, 58.123], [11.558, 58.118], [11.533, 58.106], [11.515, 58.086], [11.497, 58.089], [11.464, 58.106], [11.464, 58.072], [11.457, 58.072], [11.446, 58.103], [11.407, 58.132], [11.41, 58.145], [11.428, 58.16], [11.529, 58.213], [11.562, 58.219], [11.601, 58.238], [11.648, 58.235], [11.662, 58.238], [11.659, 58.258], [11.677, 58.272], [11.67, 58.285], [11.688, 58.292], [11.738, 58.285], [11.749, 58.263], [11.788, 58.246]]],
+    [[[19.33, 58.368], [19.291, 58.351], [19.251, 58.343], [19.215, 58.354], [19.186, 58.395], [19.222, 58.395], [19.248, 58.386], [19.305, 58.38]]],
+    [[[18.43, 59.258], [18.42, 59.273], [18.398, 59.287], [18.344, 59.3], [18.463, 59.298], [18.524, 59.288], [18.614, 59.258], [18.538, 59.259], [18.517, 59.271], [18.517, 59.249], [18.531, 59.243], [18.578, 59.244], [18.553, 59.226], [18.52, 59.229], [18.47, 59.253]]],
+    [[[18.549, 60.327], [18.567, 60.322], [18.567, 60.308], [18.556, 60.306], [18.513, 60.322], [18.459, 60.354], [18.402, 60.371], [18.384, 60.418], [18.387, 60.479], [18.376, 60.501], [18.391, 60.511], [18.423, 60.49], [18.427, 60.465], [18.438, 60.455], [18.466, 60.443], [18.474, 60.431], [18.459, 60.431], [18.42, 60.443], [18.43, 60.43], [18.495, 60.357], [18.51, 60.355], [18.531, 60.369], [18.531, 60.354]]],
+    [[[20.839, 63.768], [20.864, 63.797], [20.904, 63.793], [20.922, 63.773], [20.875, 63.754], [20.882, 63.761], [20.875, 63.771]]],
+    [[[18.484, 59.097], [18.492, 59.089], [18.456, 59.057], [18.438, 59.05], [18.42, 59.016], [18.405, 59.008], [18.391, 59.011], [18.376, 59.006], [18.366, 59.01], [18.34, 59.033], [18.362, 59.04], [18.351, 59.057], [18.358, 59.055], [18.376, 59.064], [18.376, 59.079], [18.416, 59.092], [18.466, 59.118], [18.481, 59.116]]],
+    [[[18.715, 59.209], [18.751, 59.205], [18.668, 59.175], [18.661, 59.177], [18.664, 59.189], [18.69, 59.209], [18.704, 59.212]]],
+    [[[18.798, 59.295], [18.812, 59.29], [18.776, 59.253], [18.765, 59.251], [18.722, 59.263], [18.726, 59.273], [18.758, 59.295], [18.776, 59.298]]],
+    [[[18.675, 59.341], [18.639, 59.368], [18.646, 59.373], [18.69, 59.371], [18.697, 59.374], [18.74, 59.351], [18.747, 59.332], [18.726, 59.312], [18.682, 59.3], [18.672, 59.303], [18.686, 59.317]]],
+    [[[18.106, 59.384], [18.124, 59.39], [18.236, 59.373], [18.25, 59.366], [18.204, 59.366], [18.222, 59.352], [18.211, 59.342], [18.164, 59.341], [18.124, 59.357]]],
+    [[[18.855, 59.403], [18.87, 59.393], [18.855, 59.386], [18.848, 59.39]]],
+    [[[18.942, 59.393], [18.949, 59.379], [18.938, 59.373], [18.898, 59.395], [18.898, 59.401], [18.92, 59.406]]],
+    [[[18.927, 59.433], [18.895, 59.406], [18.873, 59.408], [18.862, 59.425], [18.873, 59.44], [18.916, 59.447]]],
+    [[[18.657, 59.506], [18.646, 59.504], [18.632, 59.489], [18.625, 59.487], [18.607, 59.494], [18.603, 59.487], [18.596, 59.487], [18.607, 59.467], [18.603, 59.455], [18.592, 59.452], [18.582, 59.455], [18.578, 59.464], [18.582, 59.43], [18.564, 59.428], [18.556, 59.422], [18.549, 59.423], [18.51, 59.482], [18.513, 59.491], [18.538, 59.496], [18.556, 59.482], [18.56, 59.491], [18.578, 59.496], [18.564, 59.496], [18.546, 59.503], [18.56, 59.518], [18.592, 59.538], [18.632, 59.55], [18.675, 59.545], [18.69, 59.533], [18.74, 59.54], [18.736, 59.535], [18.682, 59.521]]],
+    [[[18.978, 59.634], [18.985, 59.624], [18.967, 59.619], [18.927, 59.623], [18.906, 59.584], [18.884, 59.579], [18.862, 59.584], [18.859, 59.596], [18.87, 59.606], [18.938, 59.65], [18.952, 59.653]]],
+    [[[18.855, 59.601], [18.83, 59.592], [18.823, 59.584], [18.783, 59.574], [18.758, 59.572], [18.798, 59.589], [18.866, 59.633], [18.924, 59.656], [18.924, 59.648]]],
+    [[[18.996, 59.81], [19.003, 59.805], [18.999, 59.795], [18.97, 59.786], [18.934, 59.793], [18.927, 59.786], [18.891, 59.786], [18.884, 59.795], [18.96, 59.864], [18.988, 59.85]]],
+    [[[18.726, 60.197], [18.729, 60.2], [18.711, 60.212], [18.718, 60.217], [18.74, 60.215], [18.754, 60.208], [18.772, 60.192], [18.783, 60.19], [18.783, 60.175], [18.801, 60.176], [18.808, 60.161], [18.762, 60.149], [18.726, 60.156], [18.715, 60.173], [18.715, 60.188]]],
+    [[[15.705, 56.117], [15.727, 56.119], [15.727, 56.114], [15.698, 56.1], [15.702, 56.077], [15.684, 56.075], [15.651, 56.09], [15.644, 56.105], [15.655, 56.119], [15.669, 56.124], [15.684, 56.117]]],
+    [[[16.868, 58.304], [16.882, 58.294], [16.879, 58.28], [16.857, 58.272], [16.846, 58.275], [16.832, 58.304], [16.846, 58.311]]],
+    [[[16.893, 58.334], [16.918, 58.336], [16.897, 58.321], [16.882, 58.317], [16.864, 58.317], [16.828, 58.327], [16.785, 58.38], [16.789, 58.39], [16.828, 58.4], [16.854, 58.402], [16.864, 58.398], [16.85, 58.383], [16.828, 58.381], [16.846, 58.37], [16.836, 58.37], [16.828, 58.363], [16.872, 58.332]]],
+    [[[18.322, 58.969], [18.351, 58.979], [18.358, 58.977], [18.34, 58.957], [18.301, 58.945], [18.294, 58.947], [18.29, 58.942], [18.315, 58.927], [18.24, 58.913], [18.218, 58.905], [18.193, 58.912], [18.225, 58.945], [18.261, 58.959], [18.301, 58.962]]],
+    [[[18.2, 59.01], [18.189, 58.994], [18.175, 59.001], [18.16, 58.998], [18.146, 59.005], [18.15, 58.977], [18.146, 58.969], [18.132, 58.964], [18.099, 58.979], [18.052, 58.961], [18.049, 58.967], [18.06, 58.984], [18.078, 58.993], [18.081, 59.01], [18.103, 59.023], [18.124, 59.021], [18.171, 59.028], [18.218, 59.025], [18.214, 59.02], [18.178, 59.011]]],
+    [[[17.707, 58.993], [17.696, 58.929], [17.682, 58.922], [17.692, 58.902], [17.685, 58.902], [17.656, 58.923], [17.656, 58.918], [17.649, 58.918], [17.638, 58.93], [17.642, 58.947], [17.624, 58.964], [17.649, 59.018], [17.646, 59.062], [17.653, 59.072], [17.664, 59.072], [17.667, 59.059], [17.685, 59.05], [17.707, 59.008]]],
+    [[[18.124, 62.687], [18.078, 62.681], [18.027, 62.684], [18.006, 62.706], [18.027, 62.745], [18.042, 62.755], [18.063, 62.758], [18.103, 62.745], [18.128, 62.751], [18.16, 62.746], [18.146, 62.709], [18.117, 62.702], [18.132, 62.694]]],
+    [[[20.871, 63.67], [20.857, 63.651], [20.824, 63.643], [20.828, 63.653], [20.864, 63.677]]],
+    [[[20.896, 63.754], [20.947, 63.775], [20.932, 63.746], [20.932, 63.716], [20.907, 63.695], [20.864, 63.684], [20.86, 63.694], [20.882, 63.743]]],
+    [[[22.408, 65.455], [22.419, 65.45], [22.412, 65.441], [22.387, 65.433], [22.293, 65.428], [22.286, 65.431], [22.293, 65.453], [22.308, 65.455], [22.333, 65.443], [22.372, 65.46]]],
+    [[[22.153, 65.43], [22.142, 65.446], [22.146, 65.468], [22.156, 65.475], [22.174, 65.475], [22.21, 65.465], [22.207, 65.45], [22.228, 65.436], [22.232, 65.418], [22.203, 65.426]]],
+    [[[22.596, 65.527], [22.617, 65.517], [22.606, 65.511], [22.567, 65.517], [22.552, 65.531], [22.56, 65.538]]],
+    [[[22.218, 65.507], [22.185, 65.538], [22.21, 65.544], [22.225, 65.544], [22.304, 65.522], [22.318, 65.524], [22.358, 65.504], [22.358, 65.495], [22.344, 65.49], [22.333, 65.492], [22.308, 65.507], [22.279, 65.514], [22.272, 65.49], [22.286, 65.479], [22.279, 65.479]]],
+    [[[22.578, 65.583], [22.624, 65.593], [22.642, 65.588], [22.639, 65.58], [22.621, 65.576], [22.614, 65.563], [22.596, 65.555], [22.574, 65.558], [22.578, 65.555], [22.57, 65.555], [22.538, 65.563], [22.534, 65.568], [22.534, 65.582]]],
+    [[[22.57, 65.595], [22.556, 65.605], [22.567, 65.612], [22.596, 65.614], [22.603, 65.6], [22.588, 65.593]]],
+    [[[22.963, 65.717], [22.984, 65.7], [22.981, 65.693], [22.963, 65.696], [22.959, 65.69], [22.974, 65.668], [22.956, 65.671], [22.898, 65.701], [22.884, 65.72], [22.887, 65.737], [22.905, 65.742], [22.93, 65.742], [22.956, 65.733], [22.959, 65.725], [22.945, 65.725], [22.945, 65.722]]],
+    [[[23.798, 65.754], [23.802, 65.744], [23.784, 65.718], [23.737, 65.696], [23.701, 65.708], [23.683, 65.722], [23.683, 65.744], [23.69, 65.749], [23.704, 65.735], [23.715, 65.752], [23.74, 65.742], [23.755, 65.742], [23.776, 65.75], [23.787, 65.744]]],
+    [[[22.74, 65.713], [22.725, 65.73], [22.736, 65.766], [22.747, 65.771], [22.79, 65.75], [22.812, 65.715], [22.804, 65.705]]]
+  ] },
+  { code: 'FI', name: 'Finland', polygons: [
+    [[[28.953, 69.028], [28.834, 68.984], [28.712, 68.969], [28.456, 68.9], [28.41, 68.898], [28.413, 68.879], [28.446, 68.866], [28.647, 68.871], [28.726, 68.866], [28.802, 68.835], [28.716, 68.727], [28.46, 68.542], [28.446, 68.515], [28.665, 68.204], [28.69, 68.184], [28.726, 68.173], [29.299, 68.082], [29.331, 68.072], [29.36, 68.057], [29.652, 67.824], [29.713, 67.792], [30.008, 67.685], [29.986, 67.672], [29.972, 67.65], [29.961, 67.572], [29.914, 67.508], [29.518, 67.299], [29.482, 67.257], [29.428, 67.233], [29.101, 66.991], [29.05, 66.907], [29.09, 66.838], [29.32, 66.681], [29.364, 66.625], [29.392, 66.605], [29.4, 66.576], [29.526, 66.492], [29.569, 66.379], [29.652, 66.287], [29.792, 66.181], [29.875, 66.134], [29.9, 66.108], [29.958, 65.973], [30.077, 65.823], [30.113, 65.712], [30.113, 65.666], [30.098, 65.656], [30.005, 65.678], [29.763, 65.647], [29.702, 65.629], [29.731, 65.609], [29.806, 65.585], [29.839, 65.565], [29.824, 65.551], [29.745, 65.511], [29.727, 65.492], [29.716, 65.455], [29.731, 65.365], [29.72, 65.33], [29.616, 65.269], [29.58, 65.235], [29.626, 65.215], [29.767, 65.217], [29.832, 65.205], [29.839, 65.166], [29.81, 65.146], [29.806, 65.136], [29.821, 65.127], [29.85, 65.122], [29.846, 65.109], [29.821, 65.094], [29.666, 65.078], [29.626, 65.061], [29.598, 65.034], [29.587, 64.992], [29.634, 64.908], [29.698, 64.839], [29.781, 64.796], [29.878, 64.785], [30.062, 64.785], [30.12, 64.768], [30.105, 64.725], [30.12, 64.709], [30.17, 64.682], [30.188, 64.663], [30.181, 64.643], [30.138, 64.616], [29.965, 64.579], [29.954, 64.568], [29.968, 64.563], [29.968, 64.545], [29.979, 64.516], [29.994, 64.511], [29.99, 64.504], [30.037, 64.491], [30.069, 64.472], [30.033, 64.396], [30.051, 64.378], [30.163, 64.342], [30.321, 64.318], [30.372, 64.302], [30.447, 64.251], [30.505, 64.244], [30.537, 64.234], [30.559, 64.221], [30.552, 64.199], [30.534, 64.18], [30.534, 64.163], [30.588, 64.085], [30.581, 64.052], [30.552, 64.021], [30.509, 63.991], [30.329, 63.896], [30.267, 63.83], [30.203, 63.793], [30.051, 63.763], [29.979, 63.741], [30.001, 63.716], [30.242, 63.582], [30.379, 63.533], [30.462, 63.472], [30.487, 63.462], [30.822, 63.376], [30.977, 63.288], [31.178, 63.226], [31.225, 63.196], [31.239, 63.136], [31.265, 63.101], [31.29, 63.084], [31.38, 63.049], [31.445, 63.001], [31.481, 62.986], [31.506, 62.968], [31.535, 62.92], [31.571, 62.905], [31.441, 62.789], [31.347, 62.63], [31.283, 62.572], [31.243, 62.503], [31.153, 62.468], [31.124, 62.434], [30.966, 62.348], [30.926, 62.302], [30.908, 62.292], [30.793, 62.253], [30.635, 62.184], [30.606, 62.152], [30.48, 62.068], [30.339, 61.992], [29.979, 61.728], [29.842, 61.661], [29.778, 61.593], [29.634, 61.51], [29.605, 61.499], [29.54, 61.485], [29.518, 61.475], [29.464, 61.414], [29.317, 61.338], [29.202, 61.245], [29.13, 61.213], [28.928, 61.147], [28.856, 61.112], [28.798, 61.097], [28.752, 61.061], [28.669, 61.012], [28.654, 60.992], [28.615, 60.962], [28.525, 60.95], [28.482, 60.933], [28.338, 60.859], [28.244, 60.791], [28.147, 60.757], [27.981, 60.649], [27.891, 60.604], [27.808, 60.553], [27.762, 60.58], [27.74, 60.575], [27.754, 60.56], [27.736, 60.556], [27.733, 60.544], [27.754, 60.519], [27.733, 60.512], [27.754, 60.506], [27.704, 60.485], [27.636, 60.492], [27.646, 60.504], [27.693, 60.519], [27.632, 60.521], [27.607, 60.501], [27.628, 60.472], [27.592, 60.477], [27.51, 60.514], [27.474, 60.506], [27.488, 60.502], [27.492, 60.492], [27.474, 60.479], [27.502, 60.465], [27.506, 60.457], [27.456, 60.463], [27.369, 60.497], [27.326, 60.506], [27.25, 60.507], [27.232, 60.512], [27.232, 60.526], [27.258, 60.529], [27.308, 60.526], [27.211, 60.56], [27.229, 60.58], [27.214, 60.585], [27.193, 60.58], [27.178, 60.568], [27.2, 60.523], [27.178, 60.512], [27.171, 60.529], [27.15, 60.526], [27.114, 60.546], [27.088, 60.526], [27.063, 60.543], [27.045, 60.546], [27.024, 60.536], [27.027, 60.519], [26.998, 60.489], [26.977, 60.484], [26.93, 60.485], [26.966, 60.458], [26.962, 60.447], [26.916, 60.475], [26.793, 60.457], [26.815, 60.485], [26.797, 60.485], [26.757, 60.477], [26.743, 60.469], [26.739, 60.436], [26.689, 60.418], [26.635, 60.45], [26.617, 60.453], [26.577, 60.447], [26.574, 60.436], [26.552, 60.433], [26.527, 60.44], [26.484, 60.469], [26.476, 60.487], [26.491, 60.499], [26.538, 60.516], [26.566, 60.55], [26.566, 60.582], [26.624, 60.61], [26.667, 60.607], [26.754, 60.575], [26.732, 60.612], [26.7, 60.641], [26.66, 60.653], [26.617, 60.642], [26.592, 60.629], [26.466, 60.507], [26.455, 60.475], [26.487, 60.443], [26.451, 60.416], [26.422, 60.416], [26.415, 60.411], [26.422, 60.396], [26.401, 60.403], [26.383, 60.416], [26.383, 60.399], [26.35, 60.393], [26.343, 60.376], [26.325, 60.382], [26.3, 60.416], [26.246, 60.452], [26.232, 60.45], [26.228, 60.438], [26.275, 60.403], [26.178, 60.411], [26.142, 60.396], [26.095, 60.423], [26.048, 60.438], [26.012, 60.462], [25.98, 60.475], [25.947, 60.484], [25.918, 60.485], [25.918, 60.479], [25.972, 60.465], [26.005, 60.44], [26.03, 60.433], [26.041, 60.406], [26.034, 60.401], [26.008, 60.401], [26.012, 60.389], [26.023, 60.381], [26.059, 60.369], [26.088, 60.344], [26.102, 60.342], [26.109, 60.335], [26.091, 60.306], [26.041, 60.3], [26.037, 60.323], [25.998, 60.355], [26.005, 60.369], [25.983, 60.364], [25.976, 60.357], [25.958, 60.355], [25.89, 60.389], [25.843, 60.403], [25.879, 60.377], [25.918, 60.36], [25.882, 60.306], [25.922, 60.266], [25.929, 60.246], [25.893, 60.249], [25.868, 60.266], [25.875, 60.273], [25.861, 60.284], [25.8, 60.293], [25.771, 60.315], [25.753, 60.32], [25.738, 60.313], [25.746, 60.296], [25.85, 60.266], [25.782, 60.251], [25.782, 60.246], [25.764, 60.241], [25.735, 60.247], [25.648, 60.3], [25.659, 60.323], [25.67, 60.327], [25.648, 60.333], [25.648, 60.342], [25.706, 60.342], [25.692, 60.362], [25.67, 60.364], [25.602, 60.338], [25.526, 60.327], [25.548, 60.306], [25.54, 60.279], [25.522, 60.271], [25.504, 60.246], [25.36, 60.246], [25.364, 60.261], [25.35, 60.268], [25.314, 60.273], [25.321, 60.251], [25.292, 60.246], [25.198, 60.246], [25.191, 60.244], [25.191, 60.227], [25.184, 60.224], [25.155, 60.232], [25.155, 60.224], [25.206, 60.205], [25.18, 60.2], [25.198, 60.19], [25.177, 60.183], [25.094, 60.176], [25.101, 60.19], [25.058, 60.178], [25.047, 60.17], [25.069, 60.163], [25.062, 60.156], [25.044, 60.156], [25.029, 60.148], [25.011, 60.151], [24.997, 60.163], [25.011, 60.17], [25.026, 60.2], [25.018, 60.212], [25, 60.214], [24.986, 60.2], [24.961, 60.151], [24.95, 60.144], [24.867, 60.141], [24.846, 60.144], [24.835, 60.156], [24.871, 60.161], [24.867, 60.18], [24.842, 60.195], [24.806, 60.19], [24.828, 60.163], [24.774, 60.143], [24.72, 60.139], [24.68, 60.131], [24.669, 60.1], [24.655, 60.1], [24.644, 60.129], [24.554, 60.156], [24.561, 60.143], [24.597, 60.127], [24.576, 60.107], [24.547, 60.1], [24.54, 60.087], [24.608, 60.1], [24.604, 60.092], [24.576, 60.073], [24.594, 60.067], [24.594, 60.06], [24.525, 60.035], [24.468, 59.996], [24.446, 59.992], [24.417, 59.991], [24.464, 60.046], [24.446, 60.048], [24.374, 60.004], [24.367, 60.023], [24.313, 59.997], [24.32, 60.014], [24.356, 60.036], [24.367, 60.073], [24.32, 60.075], [24.295, 60.072], [24.277, 60.06], [24.291, 60.053], [24.262, 60.041], [24.237, 60.04], [24.176, 60.048], [24.158, 60.043], [24.158, 60.035], [24.183, 60.026], [24.165, 60.019], [24.115, 60.033], [24.068, 60.021], [24.046, 60.026], [24.028, 60.009], [24.01, 60.011], [24.003, 60.021], [24.018, 60.04], [24, 60.038], [23.956, 60.004], [23.942, 59.999], [23.874, 59.992], [23.798, 59.957], [23.773, 59.969], [23.607, 59.957], [23.575, 59.977], [23.496, 59.969], [23.452, 59.957], [23.431, 59.957], [23.485, 60.011], [23.499, 60.019], [23.542, 60.029], [23.535, 60.053], [23.546, 60.073], [23.499, 60.063], [23.478, 60.036], [23.452, 60.028], [23.438, 59.994], [23.398, 59.974], [23.366, 59.945], [23.326, 59.923], [23.236, 59.898], [23.222, 59.886], [23.222, 59.867], [23.233, 59.852], [23.251, 59.849], [23.251, 59.84], [23.082, 59.827], [23.067, 59.82], [23.006, 59.827], [22.905, 59.812], [22.887, 59.813], [22.905, 59.82], [22.945, 59.849], [22.988, 59.852], [23.128, 59.886], [23.168, 59.889], [23.164, 59.918], [23.222, 59.916], [23.247, 59.923], [23.294, 59.959], [23.334, 60.029], [23.316, 60.023], [23.251, 59.948], [23.222, 59.93], [23.204, 59.93], [23.211, 59.943], [23.19, 59.95], [23.168, 59.943], [23.172, 59.937], [23.132, 59.943], [23.118, 59.923], [23.11, 59.923], [23.1, 59.94], [23.11, 59.974], [23.128, 59.984], [23.204, 59.997], [23.24, 60.033], [23.258, 60.04], [23.204, 60.05], [23.107, 60.04], [23.06, 60.04], [23.035, 60.045], [22.995, 60.062], [22.992, 60.077], [22.999, 60.09], [23.046, 60.122], [23.024, 60.136], [23.006, 60.107], [22.97, 60.094], [22.97, 60.111], [22.959, 60.122], [22.909, 60.132], [22.876, 60.149], [22.887, 60.17], [22.866, 60.183], [22.941, 60.246], [23.006, 60.278], [23.046, 60.327], [23.082, 60.345], [23.082, 60.355], [23.06, 60.357], [23.035, 60.344], [22.999, 60.306], [22.941, 60.317], [22.876, 60.301], [22.736, 60.239], [22.61, 60.22], [22.552, 60.205], [22.524, 60.205], [22.592, 60.232], [22.574, 60.235], [22.57, 60.242], [22.592, 60.263], [22.65, 60.279], [22.574, 60.271], [22.502, 60.247], [22.448, 60.246], [22.459, 60.252], [22.462, 60.273], [22.542, 60.318], [22.545, 60.333], [22.596, 60.364], [22.628, 60.376], [22.632, 60.389], [22.624, 60.399], [22.581, 60.376], [22.545, 60.372], [22.462, 60.376], [22.484, 60.403], [22.326, 60.382], [22.293, 60.382], [22.279, 60.386], [22.25, 60.404], [22.182, 60.43], [22.16, 60.435], [22.117, 60.436], [22.102, 60.462], [22.063, 60.436], [22.048, 60.438], [22.016, 60.46], [22.02, 60.472], [22.002, 60.47], [21.984, 60.477], [21.984, 60.492], [21.937, 60.492], [21.951, 60.519], [21.904, 60.529], [21.854, 60.526], [21.843, 60.516], [21.847, 60.504], [21.876, 60.479], [21.829, 60.485], [21.807, 60.485], [21.786, 60.479], [21.804, 60.526], [21.807, 60.575], [21.818, 60.585], [21.847, 60.588], [21.832, 60.597], [21.829, 60.607], [21.84, 60.629], [21.732, 60.582], [21.678, 60.577], [21.663, 60.568], [21.66, 60.56], [21.67, 60.544], [21.656, 60.526], [21.656, 60.509], [21.642, 60.496], [21.613, 60.489], [21.58, 60.487], [21.559, 60.492], [21.584, 60.506], [21.57, 60.526], [21.519, 60.568], [21.58, 60.56], [21.58, 60.568], [21.487, 60.575], [21.444, 60.568], [21.408, 60.58], [21.408, 60.588], [21.429, 60.593], [21.415, 60.609], [21.444, 60.602], [21.462, 60.602], [21.469, 60.609], [21.4, 60.634], [21.379, 60.647], [21.354, 60.676], [21.354, 60.69], [21.44, 60.68], [21.447, 60.693], [21.422, 60.725], [21.469, 60.725], [21.469, 60.732], [21.426, 60.737], [21.386, 60.752], [21.404, 60.759], [21.422, 60.759], [21.4, 60.774], [21.375, 60.779], [21.382, 60.793], [21.375, 60.808], [21.361, 60.816], [21.346, 60.813], [21.339, 60.816], [21.325, 60.835], [21.336, 60.845], [21.318, 60.865], [21.332, 60.869], [21.382, 60.864], [21.408, 60.865], [21.429, 60.875], [21.418, 60.881], [21.375, 60.884], [21.354, 60.902], [21.39, 60.916], [21.4, 60.914], [21.415, 60.902], [21.429, 60.902], [21.411, 60.933], [21.393, 60.94], [21.336, 61.004], [21.318, 61.012], [21.339, 61.027], [21.31, 61.038], [21.3, 61.06], [21.321, 61.06], [21.386, 61.041], [21.408, 61.043], [21.408, 61.051], [21.368, 61.06], [21.397, 61.07], [21.454, 61.054], [21.483, 61.06], [21.454, 61.078], [21.451, 61.092], [21.462, 61.102], [21.447, 61.135], [21.436, 61.142], [21.469, 61.149], [21.444, 61.156], [21.458, 61.169], [21.444, 61.169], [21.454, 61.176], [21.505, 61.178], [21.498, 61.191], [21.559, 61.205], [21.544, 61.225], [21.523, 61.235], [21.476, 61.245], [21.508, 61.267], [21.505, 61.279], [21.544, 61.279], [21.544, 61.321], [21.53, 61.335], [21.519, 61.382], [21.49, 61.394], [21.447, 61.402], [21.48, 61.411], [21.541, 61.409], [21.573, 61.416], [21.559, 61.431], [21.512, 61.458], [21.444, 61.475], [21.422, 61.485], [21.555, 61.475], [21.591, 61.485], [21.566, 61.519], [21.552, 61.522], [21.512, 61.519], [21.469, 61.548], [21.462, 61.563], [21.483, 61.568], [21.508, 61.569], [21.624, 61.546], [21.688, 61.524], [21.717, 61.519], [21.717, 61.527], [21.613, 61.585], [21.591, 61.629], [21.552, 61.64], [21.537, 61.651], [21.544, 61.672], [21.519, 61.711], [21.57, 61.694], [21.588, 61.698], [21.559, 61.713], [21.49, 61.737], [21.469, 61.76], [21.49, 61.799], [21.487, 61.811], [21.444, 61.826], [21.447, 61.841], [21.393, 61.889], [21.415, 61.907], [21.393, 61.914], [21.379, 61.938], [21.325, 61.938], [21.278, 61.951], [21.296, 61.971], [21.282, 61.98], [21.235, 61.985], [21.278, 62.051], [21.289, 62.122], [21.296, 62.13], [21.314, 62.11], [21.332, 62.152], [21.325, 62.164], [21.339, 62.176], [21.372, 62.186], [21.39, 62.208], [21.382, 62.218], [21.354, 62.231], [21.375, 62.267], [21.354, 62.267], [21.314, 62.231], [21.339, 62.356], [21.285, 62.345], [21.271, 62.35], [21.26, 62.372], [21.278, 62.397], [21.271, 62.41], [21.206, 62.36], [21.202, 62.35], [21.217, 62.334], [21.195, 62.338], [21.188, 62.353], [21.202, 62.39], [21.181, 62.397], [21.202, 62.417], [21.184, 62.424], [21.166, 62.421], [21.134, 62.404], [21.13, 62.417], [21.156, 62.464], [21.123, 62.454], [21.112, 62.478], [21.123, 62.51], [21.156, 62.527], [21.127, 62.554], [21.188, 62.584], [21.21, 62.583], [21.195, 62.601], [21.123, 62.61], [21.105, 62.623], [21.066, 62.596], [21.084, 62.659], [21.08, 62.679], [21.127, 62.691], [21.159, 62.719], [21.159, 62.73], [21.141, 62.733], [21.116, 62.75], [21.112, 62.782], [21.152, 62.794], [21.184, 62.782], [21.217, 62.816], [21.228, 62.858], [21.242, 62.87], [21.267, 62.87], [21.336, 62.856], [21.357, 62.86], [21.39, 62.88], [21.422, 62.942], [21.462, 62.951], [21.44, 63.039], [21.469, 63.049], [21.48, 63.044], [21.494, 63.072], [21.523, 63.064], [21.566, 63.04], [21.627, 63.023], [21.656, 63.018], [21.688, 63.027], [21.645, 63.055], [21.559, 63.096], [21.552, 63.108], [21.573, 63.123], [21.544, 63.118], [21.519, 63.126], [21.519, 63.148], [21.516, 63.155], [21.505, 63.157], [21.512, 63.169], [21.552, 63.172], [21.552, 63.179], [21.512, 63.185], [21.501, 63.192], [21.498, 63.209], [21.505, 63.218], [21.523, 63.226], [21.559, 63.233], [21.616, 63.204], [21.649, 63.197], [21.667, 63.219], [21.714, 63.202], [21.742, 63.199], [21.764, 63.206], [21.703, 63.219], [21.703, 63.226], [21.742, 63.239], [21.8, 63.239], [21.868, 63.26], [21.894, 63.26], [21.883, 63.246], [21.89, 63.189], [21.879, 63.179], [21.904, 63.175], [21.984, 63.143], [21.955, 63.185], [21.984, 63.19], [22.005, 63.206], [22.023, 63.239], [22.045, 63.246], [22.074, 63.226], [22.088, 63.226], [22.128, 63.239], [22.16, 63.231], [22.174, 63.233], [22.182, 63.246], [22.203, 63.239], [22.246, 63.266], [22.279, 63.302], [22.286, 63.302], [22.308, 63.277], [22.329, 63.283], [22.372, 63.321], [22.347, 63.349], [22.25, 63.412], [22.232, 63.412], [22.207, 63.42], [22.196, 63.432], [22.192, 63.459], [22.214, 63.471], [22.246, 63.469], [22.304, 63.435], [22.365, 63.429], [22.401, 63.418], [22.318, 63.461], [22.279, 63.488], [22.272, 63.513], [22.293, 63.53], [22.336, 63.523], [22.333, 63.493], [22.38, 63.486], [22.398, 63.478], [22.394, 63.452], [22.437, 63.472], [22.43, 63.498], [22.462, 63.555], [22.495, 63.574], [22.502, 63.587], [22.545, 63.575], [22.498, 63.623], [22.531, 63.645], [22.524, 63.658], [22.567, 63.653], [22.585, 63.657], [22.588, 63.704], [22.614, 63.699], [22.639, 63.684], [22.653, 63.704], [22.675, 63.702], [22.704, 63.684], [22.704, 63.658], [22.74, 63.623], [22.79, 63.633], [22.83, 63.646], [22.84, 63.677], [22.902, 63.706], [22.833, 63.726], [22.902, 63.726], [22.876, 63.746], [22.902, 63.739], [22.927, 63.743], [22.93, 63.765], [22.898, 63.783], [22.902, 63.795], [22.923, 63.802], [22.941, 63.8], [22.974, 63.771], [22.992, 63.761], [23.002, 63.763], [22.992, 63.815], [23.074, 63.857], [23.121, 63.849], [23.154, 63.864], [23.143, 63.869], [23.154, 63.885], [23.197, 63.891], [23.276, 63.89], [23.305, 63.895], [23.326, 63.912], [23.352, 63.898], [23.373, 63.901], [23.416, 63.925], [23.37, 63.947], [23.38, 63.969], [23.366, 63.998], [23.38, 64.048], [23.395, 64.057], [23.416, 64.057], [23.449, 64.048], [23.478, 64.035], [23.506, 64.042], [23.539, 64.031], [23.604, 64.028], [23.618, 64.038], [23.607, 64.062], [23.568, 64.097], [23.575, 64.107], [23.614, 64.104], [23.622, 64.107], [23.658, 64.129], [23.661, 64.143], [23.722, 64.178], [23.715, 64.178], [23.726, 64.209], [23.737, 64.215], [23.773, 64.209], [23.82, 64.221], [23.834, 64.227], [23.863, 64.268], [23.942, 64.248], [23.928, 64.271], [23.928, 64.302], [23.985, 64.351], [24.003, 64.389], [24.086, 64.415], [24.079, 64.432], [24.104, 64.432], [24.126, 64.442], [24.169, 64.452], [24.205, 64.452], [24.219, 64.487], [24.259, 64.486], [24.277, 64.497], [24.28, 64.511], [24.306, 64.523], [24.345, 64.531], [24.36, 64.548], [24.356, 64.572], [24.374, 64.58], [24.367, 64.597], [24.374, 64.617], [24.41, 64.651], [24.424, 64.676], [24.471, 64.7], [24.529, 64.719], [24.547, 64.734], [24.532, 64.754], [24.543, 64.764], [24.586, 64.781], [24.54, 64.805], [24.558, 64.81], [24.579, 64.808], [24.658, 64.788], [24.669, 64.79], [24.676, 64.795], [24.662, 64.813], [24.669, 64.83], [24.691, 64.835], [24.73, 64.835], [24.738, 64.855], [24.774, 64.866], [24.896, 64.872], [25.072, 64.916], [25.094, 64.918], [25.112, 64.915], [25.144, 64.884], [25.166, 64.889], [25.177, 64.884], [25.202, 64.849], [25.234, 64.837], [25.26, 64.835], [25.26, 64.83], [25.224, 64.823], [25.26, 64.817], [25.353, 64.83], [25.36, 64.833], [25.35, 64.852], [25.368, 64.893], [25.36, 64.911], [25.321, 64.904], [25.281, 64.923], [25.242, 64.93], [25.191, 64.967], [25.213, 64.98], [25.206, 64.987], [25.22, 64.991], [25.321, 64.984], [25.4, 64.952], [25.422, 64.948], [25.44, 64.953], [25.443, 64.967], [25.418, 64.999], [25.418, 65.034], [25.382, 65.056], [25.371, 65.085], [25.357, 65.097], [25.324, 65.11], [25.213, 65.124], [25.227, 65.156], [25.274, 65.18], [25.281, 65.22], [25.317, 65.222], [25.328, 65.227], [25.299, 65.234], [25.314, 65.254], [25.281, 65.261], [25.296, 65.271], [25.306, 65.303], [25.321, 65.316], [25.306, 65.33], [25.335, 65.343], [25.267, 65.377], [25.321, 65.386], [25.357, 65.411], [25.346, 65.428], [25.353, 65.484], [25.324, 65.507], [25.22, 65.558], [25.198, 65.563], [25.126, 65.561], [25.101, 65.576], [25.087, 65.605], [25.072, 65.614], [25.062, 65.617], [25.036, 65.614], [25.004, 65.627], [24.957, 65.622], [24.936, 65.624], [24.907, 65.646], [24.86, 65.659], [24.82, 65.663], [24.781, 65.659], [24.745, 65.651], [24.705, 65.634], [24.687, 65.632], [24.676, 65.636], [24.669, 65.691], [24.583, 65.717], [24.554, 65.745], [24.55, 65.764], [24.576, 65.808], [24.633, 65.86], [24.644, 65.879], [24.669, 65.892], [24.698, 65.894], [24.709, 65.899], [24.709, 65.912], [24.694, 65.904], [24.619, 65.889], [24.612, 65.864], [24.586, 65.855], [24.543, 65.809], [24.518, 65.796], [24.453, 65.798], [24.406, 65.769], [24.356, 65.779], [24.316, 65.803], [24.277, 65.809], [24.237, 65.823], [24.252, 65.794], [24.244, 65.781], [24.223, 65.776], [24.205, 65.779], [24.172, 65.804], [24.162, 65.823], [24.162, 65.842], [24.126, 65.869], [24.104, 65.909], [24.054, 65.948], [24.054, 65.985], [24.021, 66.049], [23.974, 66.073], [23.913, 66.149], [23.888, 66.161], [23.787, 66.176], [23.722, 66.206], [23.661, 66.316], [23.676, 66.363], [23.665, 66.406], [23.643, 66.436], [23.654, 66.46], [23.676, 66.475], [23.73, 66.487], [23.73, 66.503], [23.787, 66.519], [23.809, 66.539], [23.863, 66.554], [23.881, 66.564], [23.892, 66.579], [23.881, 66.632], [23.902, 66.686], [23.892, 66.752], [23.938, 66.791], [23.985, 66.792], [24, 66.796], [24.003, 66.806], [23.935, 66.888], [23.874, 66.924], [23.816, 66.976], [23.744, 67.002], [23.719, 67.017], [23.676, 67.059], [23.665, 67.098], [23.582, 67.154], [23.575, 67.174], [23.614, 67.214], [23.596, 67.218], [23.593, 67.225], [23.604, 67.26], [23.622, 67.268], [23.737, 67.29], [23.787, 67.338], [23.751, 67.346], [23.766, 67.42], [23.73, 67.432], [23.661, 67.436], [23.593, 67.454], [23.553, 67.452], [23.514, 67.444], [23.478, 67.444], [23.445, 67.461], [23.431, 67.486], [23.485, 67.544], [23.474, 67.555], [23.553, 67.588], [23.485, 67.738], [23.481, 67.864], [23.499, 67.881], [23.532, 67.893], [23.604, 67.903], [23.636, 67.913], [23.661, 67.932], [23.661, 67.951], [23.643, 67.962], [23.575, 67.973], [23.485, 68.016], [23.384, 68.052], [23.33, 68.128], [23.305, 68.145], [23.272, 68.145], [23.186, 68.123], [23.164, 68.123], [23.15, 68.13], [23.161, 68.179], [23.15, 68.194], [23.154, 68.217], [23.139, 68.234], [23.082, 68.265], [23.053, 68.298], [22.905, 68.337], [22.808, 68.395], [22.747, 68.386], [22.66, 68.427], [22.606, 68.425], [22.567, 68.437], [22.52, 68.439], [22.455, 68.452], [22.38, 68.454], [22.372, 68.469], [22.304, 68.476], [22.074, 68.477], [22.038, 68.488], [22.038, 68.506], [21.919, 68.569], [21.739, 68.587], [21.717, 68.619], [21.663, 68.633], [21.573, 68.667], [21.494, 68.675], [21.465, 68.687], [21.408, 68.749], [21.386, 68.754], [21.307, 68.756], [21.217, 68.817], [21.073, 68.869], [20.907, 68.895], [20.886, 68.906], [20.889, 68.927], [20.918, 68.933], [20.936, 68.949], [20.936, 68.967], [20.911, 68.981], [20.864, 68.986], [20.796, 69.011], [20.677, 69.018], [20.623, 69.036], [20.716, 69.099], [20.745, 69.104], [21.073, 69.036], [21.098, 69.043], [21.156, 69.087], [21.033, 69.182], [21.062, 69.215], [21.098, 69.239], [21.314, 69.291], [21.638, 69.271], [21.663, 69.263], [22.023, 69.013], [22.16, 68.955], [22.2, 68.908], [22.279, 68.857], [22.358, 68.832], [22.372, 68.822], [22.408, 68.712], [22.43, 68.71], [22.57, 68.727], [22.851, 68.675], [23.02, 68.687], [23.071, 68.68], [23.1, 68.67], [23.175, 68.621], [23.197, 68.618], [23.481, 68.685], [23.643, 68.695], [23.733, 68.716], [23.769, 68.756], [23.787, 68.8], [23.852, 68.817], [23.928, 68.817], [24.133, 68.776], [24.187, 68.744], [24.331, 68.709], [24.662, 68.667], [24.756, 68.638], [24.831, 68.594], [24.878, 68.555], [24.907, 68.557], [24.928, 68.57], [24.95, 68.606], [24.982, 68.616], [25.008, 68.614], [25.072, 68.631], [25.119, 68.638], [25.134, 68.648], [25.144, 68.668], [25.134, 68.683], [25.144, 68.695], [25.148, 68.764], [25.202, 68.813], [25.386, 68.874], [25.432, 68.884], [25.483, 68.888], [25.602, 68.873], [25.627, 68.874], [25.652, 68.883], [25.677, 68.913], [25.728, 68.942], [25.753, 68.979], [25.796, 68.994], [25.8, 69.013], [25.767, 69.031], [25.749, 69.06], [25.771, 69.134], [25.735, 69.192], [25.738, 69.219], [25.785, 69.313], [25.879, 69.371], [25.843, 69.418], [25.886, 69.455], [25.886, 69.479], [25.908, 69.502], [25.886, 69.521], [25.9, 69.533], [25.962, 69.548], [26.005, 69.587], [26.005, 69.61], [25.962, 69.653], [26.005, 69.69], [26.034, 69.697], [26.199, 69.715], [26.318, 69.795], [26.419, 69.835], [26.448, 69.855], [26.437, 69.874], [26.448, 69.882], [26.502, 69.918], [26.534, 69.925], [26.707, 69.935], [26.772, 69.928], [26.865, 69.938], [26.952, 69.919], [27.009, 69.923], [27.081, 69.903], [27.099, 69.903], [27.312, 69.93], [27.351, 69.948], [27.322, 69.96], [27.333, 69.968], [27.38, 69.974], [27.445, 70.004], [27.564, 70.024], [27.571, 70.041], [27.614, 70.061], [27.664, 70.068], [27.79, 70.06], [27.866, 70.075], [27.898, 70.071], [27.981, 70.009], [28.168, 69.894], [28.19, 69.886], [28.381, 69.857], [28.381, 69.822], [28.406, 69.803], [28.442, 69.791], [29.13, 69.675], [29.148, 69.665], [29.202, 69.587], [29.346, 69.464], [29.23, 69.377], [28.863, 69.217], [28.845, 69.182], [28.827, 69.09], [28.838, 69.08]]],
+    [[[22.408, 60.053], [22.401, 60.075], [22.412, 60.085], [22.43, 60.082], [22.448, 60.067], [22.444, 59.997], [22.426, 60.008], [22.408, 60.009], [22.394, 60.006], [22.383, 59.992], [22.358, 60.021], [22.347, 60.063], [22.354, 60.075], [22.369, 60.08], [22.383, 60.075], [22.387, 60.051]]],
+    [[[21.498, 60.136], [21.53, 60.159], [21.57, 60.17], [21.613, 60.17], [21.656, 60.156], [21.649, 60.144], [21.613, 60.129], [21.631, 60.129], [21.638, 60.124], [21.627, 60.107], [21.613, 60.102], [21.562, 60.107], [21.516, 60.097], [21.483, 60.116], [21.498, 60.121], [21.559, 60.122], [21.548, 60.134], [21.534, 60.138]]],
+    [[[21.742, 60.19], [21.8, 60.197], [21.854, 60.197], [21.886, 60.183], [21.886, 60.176], [21.854, 60.175], [21.847, 60.17], [21.868, 60.156], [21.793, 60.156], [21.825, 60.149], [21.796, 60.141], [21.807, 60.136], [21.753, 60.116], [21.721, 60.114], [21.696, 60.122], [21.706, 60.129], [21.703, 60.143], [21.721, 60.149], [21.721, 60.156], [21.706, 60.161], [21.706, 60.171]]],
+    [[[21.354, 60.212], [21.368, 60.197], [21.393, 60.192], [21.447, 60.19], [21.447, 60.183], [21.408, 60.185], [21.393, 60.178], [21.386, 60.163], [21.379, 60.163], [21.357, 60.175], [21.31, 60.18], [21.289, 60.192], [21.271, 60.19], [21.285, 60.203], [21.307, 60.21]]],
+    [[[22.059, 60.212], [22.074, 60.197], [22.012, 60.17], [22.038, 60.156], [22.009, 60.138], [21.976, 60.136], [21.951, 60.149], [21.937, 60.176], [21.998, 60.19], [22.041, 60.212]]],
+    [[[25.814, 60.208], [25.821, 60.217], [25.875, 60.217], [25.864, 60.205], [25.836, 60.197], [25.821, 60.197]]],
+    [[[22.21, 60.205], [22.221, 60.224], [22.246, 60.242], [22.272, 60.252], [22.293, 60.246], [22.297, 60.222], [22.268, 60.197], [22.232, 60.185]]],
+    [[[25.623, 60.239], [25.591, 60.242], [25.569, 60.257], [25.566, 60.278], [25.58, 60.296], [25.684, 60.246], [25.677, 60.239], [25.645, 60.229], [25.634, 60.219], [25.638, 60.205], [25.602, 60.215]]],
+    [[[22.844, 60.242], [22.891, 60.286], [22.92, 60.296], [22.956, 60.293], [22.948, 60.271], [22.884, 60.235], [22.866, 60.207], [22.84, 60.202], [22.833, 60.193], [22.84, 60.17], [22.819, 60.163], [22.84, 60.156], [22.833, 60.143], [22.848, 60.111], [22.812, 60.082], [22.729, 60.046], [22.729, 60.04], [22.758, 60.033], [22.729, 60.004], [22.704, 60.008], [22.682, 59.997], [22.653, 60.033], [22.61, 60.001], [22.606, 59.984], [22.599, 59.984], [22.599, 60.008], [22.592, 60.011], [22.578, 60.004], [22.574, 60.018], [22.592, 60.046], [22.545, 60.021], [22.531, 60.008], [22.47, 59.997], [22.477, 60.082], [22.473, 60.09], [22.434, 60.105], [22.423, 60.116], [22.502, 60.136], [22.599, 60.136], [22.599, 60.143], [22.416, 60.149], [22.448, 60.222], [22.477, 60.225], [22.452, 60.188], [22.466, 60.183], [22.567, 60.193], [22.621, 60.212], [22.815, 60.227]]],
+    [[[22.106, 60.313], [22.25, 60.311], [22.322, 60.296], [22.34, 60.286], [22.333, 60.269], [22.311, 60.266], [22.29, 60.273], [22.261, 60.259], [22.214, 60.252], [22.2, 60.254], [22.218, 60.266], [22.203, 60.276], [22.182, 60.281], [22.142, 60.279], [22.182, 60.279], [22.164, 60.259], [22.11, 60.271], [22.081, 60.269], [22.084, 60.301]]],
+    [[[22.387, 60.322], [22.351, 60.313], [22.311, 60.322], [22.351, 60.349], [22.398, 60.355], [22.401, 60.342], [22.43, 60.333], [22.47, 60.332], [22.477, 60.322], [22.455, 60.308], [22.426, 60.3], [22.394, 60.293], [22.369, 60.293]]],
+    [[[21.998, 60.333], [21.98, 60.328], [21.919, 60.333], [21.901, 60.327], [21.901, 60.342], [21.868, 60.354], [21.836, 60.357], [21.793, 60.374], [21.786, 60.386], [21.793, 60.398], [21.807, 60.406], [21.847, 60.409], [21.847, 60.416], [21.8, 60.443], [21.807, 60.467], [21.818, 60.472], [21.832, 60.472], [21.894, 60.45], [21.912, 60.426], [21.933, 60.423], [21.951, 60.396], [21.922, 60.401], [21.894, 60.396], [21.951, 60.376], [21.944, 60.369], [21.987, 60.366], [21.998, 60.355], [21.962, 60.347], [21.998, 60.342]]],
+    [[[21.724, 60.482], [21.688, 60.455], [21.681, 60.465], [21.714, 60.509], [21.742, 60.526], [21.764, 60.526], [21.76, 60.512]]],
+    [[[21.318, 60.482], [21.267, 60.49], [21.249, 60.499], [21.26, 60.519], [21.228, 60.56], [21.249, 60.56], [21.278, 60.543], [21.303, 60.519], [21.325, 60.482]]],
+    [[[21.393, 60.56], [21.411, 60.543], [21.462, 60.539], [21.483, 60.526], [21.462, 60.526], [21.462, 60.492], [21.447, 60.494], [21.433, 60.489], [21.429, 60.48], [21.444, 60.472], [21.418, 60.477], [21.393, 60.49], [21.372, 60.509], [21.361, 60.533], [21.336, 60.519], [21.328, 60.526], [21.325, 60.543], [21.336, 60.558], [21.354, 60.561]]],
+    [[[21.3, 60.568], [21.282, 60.566], [21.264, 60.588], [21.235, 60.593], [21.213, 60.617], [21.242, 60.629], [21.26, 60.647], [21.292, 60.615], [21.278, 60.587], [21.282, 60.575], [21.3, 60.575]]],
+    [[[21.264, 60.882], [21.231, 60.882], [21.202, 60.889], [21.228, 60.899], [21.278, 60.889], [21.3, 60.896], [21.292, 60.909], [21.314, 60.923], [21.282, 60.943], [21.242, 60.951], [21.271, 60.968], [21.303, 60.972], [21.336, 60.946], [21.375, 60.931], [21.328, 60.911], [21.318, 60.881]]],
+    [[[21.422, 63.246], [21.415, 63.221], [21.429, 63.199], [21.379, 63.19], [21.364, 63.194], [21.379, 63.206], [21.364, 63.206], [21.292, 63.179], [21.292, 63.172], [21.318, 63.165], [21.303, 63.157], [21.285, 63.152], [21.242, 63.15], [21.206, 63.184], [21.188, 63.192], [21.163, 63.182], [21.148, 63.182], [21.134, 63.199], [21.156, 63.199], [21.156, 63.206], [21.102, 63.236], [21.08, 63.288], [21.12, 63.272], [21.242, 63.282], [21.242, 63.275], [21.228, 63.272], [21.195, 63.239], [21.195, 63.226], [21.21, 63.221], [21.264, 63.219], [21.285, 63.211], [21.3, 63.223], [21.289, 63.234], [21.314, 63.251], [21.357, 63.261], [21.397, 63.261]]],
+    [[[21.318, 63.288], [21.314, 63.304], [21.278, 63.302], [21.228, 63.329], [21.346, 63.364], [21.375, 63.349], [21.375, 63.334]]],
+    [[[24.993, 65.055], [25.033, 65.058], [25.062, 65.043], [25.029, 65.034], [24.961, 65.034], [24.878, 65.045], [24.82, 65.043], [24.802, 65.024], [24.723, 65.004], [24.752, 64.975], [24.813, 64.979], [24.828, 64.974], [24.806, 64.967], [24.781, 64.967], [24.763, 64.957], [24.734, 64.952], [24.712, 64.952], [24.702, 64.958], [24.709, 64.974], [24.684, 64.997], [24.658, 64.972], [24.633, 64.969], [24.579, 65.009], [24.561, 65.038], [24.655, 65.08], [24.741, 65.083], [24.835, 65.095], [24.882, 65.087], [24.896, 65.073], [24.874, 65.067], [24.882, 65.06]]],
+    [[[23.917, 59.974], [23.924, 59.969], [23.91, 59.953], [23.87, 59.947], [23.852, 59.952], [23.856, 59.964], [23.87, 59.972], [23.892, 59.977]]],
+    [[[22.887, 60.068], [22.927, 60.065], [22.912, 60.041], [22.894, 60.033], [22.873, 60.006], [22.858, 60.011], [22.851, 60.028], [22.855, 60.041], [22.884, 60.043], [22.884, 60.048], [22.855, 60.055], [22.862, 60.063]]],
+    [[[22.959, 60.111], [22.963, 60.097], [22.948, 60.085], [22.938, 60.084], [22.93, 60.085], [22.934, 60.09], [22.927, 60.09], [22.898, 60.082], [22.844, 60.082], [22.873, 60.111], [22.916, 60.126], [22.938, 60.124]]],
+    [[[21.991, 60.131], [22.012, 60.122], [22.009, 60.116], [21.987, 60.112], [21.944, 60.114], [21.93, 60.124], [21.937, 60.131], [21.962, 60.138], [21.976, 60.131]]],
+    [[[22.315, 60.192], [22.376, 60.203], [22.387, 60.195], [22.369, 60.178], [22.318, 60.165], [22.336, 60.148], [22.29, 60.149], [22.29, 60.165], [22.304, 60.188]]],
+    [[[21.984, 60.284], [21.973, 60.286], [22.009, 60.298]]],
+    [[[21.958, 60.281], [21.944, 60.278], [21.908, 60.279], [21.897, 60.29], [21.886, 60.29], [21.879, 60.31], [21.926, 60.313], [21.973, 60.31], [21.976, 60.303]]],
+    [[[22.3, 60.367], [22.29, 60.359], [22.192, 60.342], [22.171, 60.344], [22.156, 60.352], [22.164, 60.362], [22.257, 60.374], [22.286, 60.376]]],
+    [[[22.207, 60.382], [22.207, 60.376], [22.106, 60.354], [22.12, 60.372], [22.138, 60.379]]],
+    [[[21.339, 60.384], [21.354, 60.371], [21.354, 60.352], [21.332, 60.355], [21.332, 60.366], [21.303, 60.364], [21.296, 60.371], [21.307, 60.389], [21.321, 60.391]]],
+    [[[26.602, 60.447], [26.646, 60.431], [26.649, 60.421], [26.635, 60.414], [26.574, 60.406], [26.559, 60.398], [26.548, 60.379], [26.538, 60.377], [26.509, 60.403], [26.512, 60.411], [26.574, 60.421], [26.584, 60.441]]],
+    [[[22.027, 63.322], [22.059, 63.302], [22.048, 63.282], [22.03, 63.277], [22.012, 63.278], [22.005, 63.292], [21.984, 63.277], [21.973, 63.287], [21.976, 63.299], [22.002, 63.314], [22.023, 63.307], [22.03, 63.309], [22.009, 63.326]]],
+    [[[22.146, 63.251], [22.084, 63.261], [22.084, 63.27], [22.066, 63.278], [22.088, 63.295], [22.07, 63.319], [22.11, 63.329], [22.131, 63.326], [22.156, 63.31], [22.171, 63.319], [22.196, 63.31], [22.225, 63.341], [22.246, 63.307], [22.21, 63.273], [22.189, 63.273], [22.156, 63.288], [22.113, 63.283], [22.16, 63.273], [22.164, 63.263]]],
+    [[[21.958, 63.332], [21.948, 63.334], [21.948, 63.341], [21.998, 63.385], [22.03, 63.383], [22.059, 63.388], [22.095, 63.383], [22.081, 63.376], [22.077, 63.359], [22.059, 63.358], [22.027, 63.366], [22.012, 63.364], [21.998, 63.349]]],
+    [[[22.808, 63.78], [22.83, 63.776], [22.801, 63.738], [22.783, 63.744], [22.776, 63.727], [22.74, 63.721], [22.704, 63.736], [22.682, 63.763], [22.765, 63.792], [22.783, 63.79], [22.801, 63.776]]],
+    [[[22.498, 59.878], [22.513, 59.874], [22.506, 59.869], [22.426, 59.849], [22.416, 59.852], [22.423, 59.866]]],
+    [[[21.602, 60.254], [21.627, 60.252], [21.602, 60.222], [21.577, 60.222], [21.562, 60.227], [21.562, 60.241], [21.57, 60.256], [21.588, 60.269], [21.606, 60.269]]],
+    [[[21.26, 60.854], [21.267, 60.852], [21.264, 60.83], [21.206, 60.843], [21.188, 60.86], [21.206, 60.864], [21.22, 60.859], [21.228, 60.847], [21.253, 60.847]]],
+    [[[21.422, 61.176], [21.433, 61.171], [21.39, 61.181], [21.368, 61.176], [21.346, 61.178], [21.346, 61.196], [21.379, 61.215], [21.39, 61.21], [21.39, 61.193]]],
+    [[[21.523, 61.634], [21.526, 61.629], [21.508, 61.618], [21.48, 61.62], [21.462, 61.627], [21.483, 61.64]]],
+    [[[21.21, 62.946], [21.192, 62.954], [21.166, 62.946], [21.138, 62.963], [21.138, 62.968], [21.152, 62.964], [21.159, 62.976], [21.13, 62.993], [21.13, 63.001], [21.145, 63.01], [21.184, 63], [21.206, 62.986], [21.22, 62.961], [21.22, 62.951]]],
+    [[[20.277, 60.143], [20.299, 60.122], [20.27, 60.085], [20.277, 60.067], [20.266, 60.06], [20.202, 60.087], [20.198, 60.104], [20.223, 60.149], [20.259, 60.107], [20.263, 60.119], [20.252, 60.139], [20.256, 60.146]]],
+    [[[19.64, 60.22], [19.672, 60.19], [19.672, 60.158], [19.647, 60.156], [19.611, 60.188], [19.593, 60.197], [19.604, 60.165], [19.6, 60.149], [19.586, 60.136], [19.564, 60.131], [19.546, 60.134], [19.528, 60.149], [19.514, 60.18], [19.536, 60.202], [19.536, 60.232], [19.568, 60.256], [19.593, 60.261], [19.629, 60.247]]],
+    [[[20.428, 60.266], [20.443, 60.246], [20.392, 60.197], [20.382, 60.198], [20.389, 60.234], [20.382, 60.241], [20.353, 60.229], [20.346, 60.252], [20.36, 60.266], [20.378, 60.269], [20.41, 60.259]]],
+    [[[20.817, 60.232], [20.792, 60.239], [20.781, 60.264], [20.788, 60.286], [20.806, 60.286], [20.853, 60.266], [20.839, 60.247], [20.81, 60.246]]],
+    [[[20.209, 60.225], [20.23, 60.205], [20.202, 60.2], [20.173, 60.17], [20.162, 60.168], [20.137, 60.176], [20.097, 60.176], [20.086, 60.181], [20.101, 60.22], [20.122, 60.23], [20.173, 60.232], [20.187, 60.246], [20.148, 60.246], [20.112, 60.239], [20.083, 60.224], [20.065, 60.19], [20.058, 60.19], [20.061, 60.215], [20.032, 60.237], [20.025, 60.256], [20.058, 60.293], [20.061, 60.31], [20.025, 60.313], [20.032, 60.295], [20.025, 60.276], [20.004, 60.268], [19.975, 60.279], [19.993, 60.242], [20.029, 60.217], [20.014, 60.202], [20.018, 60.183], [19.964, 60.195], [19.95, 60.205], [19.957, 60.214], [19.953, 60.225], [19.914, 60.219], [19.942, 60.187], [19.986, 60.173], [20.011, 60.156], [20.022, 60.158], [20.043, 60.176], [20.029, 60.116], [20.05, 60.097], [20.043, 60.087], [20.007, 60.094], [19.968, 60.092], [19.95, 60.084], [19.957, 60.053], [19.95, 60.048], [19.939, 60.05], [19.942, 60.06], [19.924, 60.092], [19.91, 60.1], [19.874, 60.097], [19.86, 60.08], [19.845, 60.078], [19.824, 60.084], [19.824, 60.094], [19.806, 60.1], [19.788, 60.097], [19.762, 60.073], [19.748, 60.102], [19.694, 60.17], [19.683, 60.212], [19.672, 60.217], [19.647, 60.266], [19.683, 60.264], [19.69, 60.256], [19.687, 60.239], [19.708, 60.269], [19.77, 60.286], [19.748, 60.306], [19.777, 60.3], [19.788, 60.303], [19.795, 60.3], [19.766, 60.249], [19.784, 60.225], [19.791, 60.2], [19.813, 60.19], [19.824, 60.208], [19.816, 60.232], [19.852, 60.217], [19.86, 60.246], [19.881, 60.259], [19.892, 60.306], [19.899, 60.276], [19.917, 60.273], [19.935, 60.283], [19.924, 60.315], [19.888, 60.345], [19.856, 60.313], [19.82, 60.347], [19.802, 60.354], [19.777, 60.355], [19.791, 60.36], [19.816, 60.389], [19.838, 60.401], [19.881, 60.406], [19.906, 60.403], [19.928, 60.357], [19.971, 60.362], [19.996, 60.357], [20.036, 60.333], [20.025, 60.36], [20.072, 60.35], [20.094, 60.355], [20.126, 60.333], [20.176, 60.323], [20.191, 60.313], [20.18, 60.286], [20.202, 60.293], [20.238, 60.281], [20.277, 60.279], [20.241, 60.246], [20.238, 60.232]]],
+    [[[20.875, 59.915], [20.86, 59.928], [20.871, 59.937], [20.896, 59.94], [20.922, 59.91], [20.911, 59.905]]],
+    [[[20.983, 59.943], [20.968, 59.942], [20.983, 59.937], [20.99, 59.926], [20.983, 59.921], [20.932, 59.937], [20.914, 59.95], [20.936, 59.959], [20.997, 59.95], [20.997, 59.945]]],
+    [[[20.608, 60.045], [20.619, 60.043], [20.601, 60.04], [20.608, 60.029], [20.587, 60.008], [20.576, 60.006], [20.551, 60.019], [20.54, 60.009], [20.526, 60.006], [20.511, 60.006], [20.5, 60.013], [20.504, 60.024], [20.544, 60.056], [20.583, 60.06], [20.587, 60.051], [20.605, 60.051]]],
+    [[[20.425, 60.055], [20.461, 60.067], [20.45, 60.04], [20.432, 60.024], [20.403, 60.021], [20.389, 60.028]]],
+    [[[20.522, 60.048], [20.5, 60.036], [20.472, 60.041], [20.468, 60.058], [20.526, 60.065], [20.515, 60.067], [20.533, 60.073], [20.544, 60.072]]],
+    [[[20.684, 60.131], [20.688, 60.117], [20.673, 60.109], [20.637, 60.131], [20.644, 60.149], [20.655, 60.151], [20.67, 60.144]]],
+    [[[20.684, 60.229], [20.716, 60.208], [20.709, 60.2], [20.688, 60.195], [20.662, 60.205], [20.67, 60.227]]],
+    [[[20.778, 60.327], [20.742, 60.313], [20.734, 60.315], [20.734, 60.338], [20.763, 60.367], [20.788, 60.362], [20.792, 60.352]]],
+    [[[20.281, 59.977], [20.302, 59.999], [20.338, 60.019], [20.436, 60.004], [20.446, 59.996], [20.4, 59.981], [20.367, 59.982], [20.324, 59.977], [20.324, 59.962], [20.306, 59.953], [20.284, 59.959]]],
+    [[[20.032, 60.063], [20.068, 60.073], [20.101, 60.095], [20.13, 60.087], [20.162, 60.089], [20.194, 60.065], [20.227, 60.006], [20.212, 59.991], [20.176, 59.972], [20.184, 59.992], [20.173, 59.999], [20.122, 59.989], [20.104, 59.996], [20.122, 60.016], [20.104, 60.028], [20.079, 60.028], [20.058, 60.04], [20.025, 60.043]]],
+    [[[21.087, 60.48], [21.098, 60.463], [21.08, 60.448], [21.066, 60.455], [21.058, 60.467], [21.076, 60.48]]]
+  ] },
+  { code: 'EE', name: 'Estonia', polygons: [
+    [[[24.306, 57.868], [24.324, 57.887], [24.334, 57.922], [24.381, 57.985], [24.399, 58.023], [24.446, 58.054], [24.464, 58.072], [24.471, 58.155], [24.453, 58.196], [24.468, 58.218], [24.471, 58.251], [24.547, 58.289], [24.561, 58.312], [24.55, 58.334], [24.529, 58.351], [24.442, 58.386], [24.403, 58.395], [24.363, 58.397], [24.327, 58.388], [24.316, 58.38], [24.295, 58.354], [24.288, 58.319], [24.244, 58.28], [24.212, 58.272], [24.154, 58.277], [24.14, 58.268], [24.122, 58.245], [24.111, 58.241], [24.093, 58.245], [24.054, 58.278], [24.007, 58.3], [23.982, 58.319], [23.913, 58.334], [23.856, 58.339], [23.834, 58.354], [23.823, 58.354], [23.805, 58.346], [23.776, 58.354], [23.755, 58.339], [23.74, 58.343], [23.719, 58.4], [23.683, 58.422], [23.676, 58.435], [23.683, 58.469], [23.679, 58.525], [23.665, 58.537], [23.622, 58.528], [23.586, 58.545], [23.575, 58.552], [23.56, 58.582], [23.546, 58.581], [23.517, 58.555], [23.503, 58.562], [23.499, 58.572], [23.517, 58.604], [23.492, 58.674], [23.506, 58.706], [23.535, 58.702], [23.546, 58.709], [23.532, 58.723], [23.532, 58.748], [23.586, 58.738], [23.658, 58.75], [23.697, 58.751], [23.755, 58.734], [23.802, 58.731], [23.805, 58.748], [23.784, 58.756], [23.78, 58.766], [23.798, 58.785], [23.816, 58.785], [23.874, 58.771], [23.848, 58.788], [23.816, 58.8], [23.784, 58.8], [23.758, 58.785], [23.74, 58.799], [23.676, 58.792], [23.604, 58.795], [23.55, 58.782], [23.542, 58.775], [23.506, 58.78], [23.431, 58.765], [23.467, 58.8], [23.485, 58.81], [23.517, 58.812], [23.524, 58.82], [23.463, 58.864], [23.456, 58.883], [23.424, 58.908], [23.424, 58.929], [23.445, 58.944], [23.51, 58.942], [23.532, 58.957], [23.55, 58.95], [23.586, 58.954], [23.618, 58.967], [23.629, 58.979], [23.622, 59.015], [23.607, 59.033], [23.56, 59.053], [23.571, 59.04], [23.604, 59.025], [23.614, 59.011], [23.589, 59.008], [23.56, 58.991], [23.553, 58.971], [23.542, 58.969], [23.524, 58.984], [23.46, 58.993], [23.409, 59.025], [23.438, 59.025], [23.434, 59.057], [23.492, 59.089], [23.517, 59.074], [23.521, 59.124], [23.485, 59.173], [23.47, 59.212], [23.524, 59.231], [23.578, 59.226], [23.643, 59.258], [23.661, 59.258], [23.719, 59.231], [23.73, 59.231], [23.744, 59.249], [23.737, 59.259], [23.722, 59.265], [23.733, 59.278], [23.758, 59.283], [23.845, 59.285], [23.888, 59.278], [23.935, 59.28], [23.989, 59.292], [24.039, 59.293], [24.079, 59.271], [24.1, 59.295], [24.093, 59.312], [24.028, 59.357], [24.018, 59.368], [24.021, 59.378], [24.046, 59.395], [24.064, 59.398], [24.108, 59.384], [24.165, 59.354], [24.194, 59.347], [24.223, 59.356], [24.212, 59.373], [24.162, 59.403], [24.183, 59.408], [24.27, 59.411], [24.306, 59.42], [24.334, 59.471], [24.399, 59.479], [24.421, 59.477], [24.442, 59.471], [24.478, 59.449], [24.5, 59.444], [24.547, 59.462], [24.568, 59.46], [24.626, 59.438], [24.644, 59.437], [24.662, 59.44], [24.655, 59.45], [24.622, 59.464], [24.622, 59.471], [24.648, 59.469], [24.658, 59.472], [24.666, 59.493], [24.687, 59.496], [24.745, 59.447], [24.774, 59.45], [24.792, 59.459], [24.817, 59.489], [24.784, 59.52], [24.774, 59.56], [24.802, 59.57], [24.842, 59.555], [24.91, 59.511], [24.936, 59.508], [25.011, 59.518], [25.098, 59.498], [25.116, 59.503], [25.108, 59.53], [25.123, 59.54], [25.144, 59.54], [25.195, 59.523], [25.411, 59.491], [25.404, 59.514], [25.414, 59.526], [25.44, 59.531], [25.533, 59.531], [25.544, 59.535], [25.537, 59.55], [25.497, 59.57], [25.483, 59.611], [25.479, 59.651], [25.486, 59.67], [25.537, 59.629], [25.576, 59.617], [25.623, 59.58], [25.645, 59.572], [25.677, 59.567], [25.706, 59.568], [25.717, 59.587], [25.71, 59.604], [25.684, 59.629], [25.692, 59.65], [25.67, 59.656], [25.695, 59.672], [25.724, 59.666], [25.782, 59.636], [25.774, 59.628], [25.792, 59.59], [25.825, 59.575], [25.843, 59.577], [25.861, 59.585], [25.875, 59.601], [25.868, 59.607], [25.882, 59.631], [25.904, 59.624], [25.944, 59.596], [25.965, 59.597], [25.965, 59.621], [25.987, 59.634], [26.037, 59.623], [26.073, 59.604], [26.08, 59.587], [26.091, 59.585], [26.278, 59.587], [26.34, 59.57], [26.401, 59.563], [26.498, 59.54], [26.538, 59.543], [26.584, 59.56], [26.628, 59.558], [26.664, 59.552], [26.739, 59.526], [26.826, 59.477], [26.937, 59.45], [27.117, 59.442], [27.409, 59.452], [27.564, 59.432], [27.718, 59.427], [27.873, 59.408], [27.916, 59.415], [27.952, 59.428], [27.985, 59.447], [28.017, 59.482], [28.039, 59.464], [28.104, 59.438], [28.136, 59.4], [28.186, 59.374], [28.183, 59.356], [28.158, 59.364], [28.114, 59.346], [28.032, 59.342], [27.999, 59.334], [28.075, 59.319], [28.096, 59.319], [28.075, 59.305], [27.96, 59.307], [27.906, 59.29], [27.884, 59.276], [27.891, 59.258], [27.873, 59.236], [27.841, 59.162], [27.769, 59.055], [27.726, 59.015], [27.715, 58.993], [27.697, 58.977], [27.477, 58.876], [27.409, 58.755], [27.556, 58.395], [27.495, 58.319], [27.484, 58.268], [27.495, 58.221], [27.578, 58.126], [27.632, 58.088], [27.632, 58.005], [27.668, 57.991], [27.675, 57.968], [27.661, 57.932], [27.664, 57.919], [27.672, 57.912], [27.776, 57.89], [27.79, 57.882], [27.798, 57.861], [27.787, 57.848], [27.7, 57.824], [27.538, 57.812], [27.524, 57.807], [27.553, 57.795], [27.513, 57.782], [27.502, 57.772], [27.506, 57.714], [27.492, 57.704], [27.409, 57.689], [27.384, 57.674], [27.376, 57.652], [27.387, 57.628], [27.384, 57.603], [27.376, 57.598], [27.337, 57.591], [27.33, 57.583], [27.351, 57.527], [27.319, 57.517], [27.164, 57.547], [27.085, 57.549], [27.063, 57.556], [27.006, 57.6], [26.98, 57.61], [26.948, 57.615], [26.898, 57.615], [26.872, 57.627], [26.854, 57.623], [26.815, 57.581], [26.797, 57.571], [26.7, 57.571], [26.635, 57.554], [26.606, 57.541], [26.592, 57.52], [26.57, 57.52], [26.541, 57.529], [26.516, 57.517], [26.498, 57.515], [26.43, 57.562], [26.34, 57.583], [26.296, 57.6], [26.167, 57.704], [26.134, 57.725], [26.026, 57.774], [26.012, 57.807], [26.026, 57.828], [26.016, 57.843], [25.792, 57.856], [25.767, 57.868], [25.731, 57.924], [25.627, 57.91], [25.58, 57.919], [25.558, 57.934], [25.551, 57.956], [25.54, 57.963], [25.458, 57.985], [25.396, 58.023], [25.357, 58.035], [25.339, 58.032], [25.324, 58.035], [25.299, 58.066], [25.281, 58.074], [25.263, 58.076], [25.252, 58.069], [25.249, 58.05], [25.278, 58.023], [25.285, 58.008], [25.263, 57.995], [25.231, 57.985], [25.216, 57.985], [25.202, 57.991], [25.166, 58.059], [25.141, 58.067], [25.094, 58.067], [25.047, 58.056], [24.975, 58.015], [24.95, 58.007], [24.871, 58], [24.817, 57.976], [24.734, 57.991], [24.702, 57.954], [24.684, 57.947], [24.532, 57.946], [24.482, 57.919], [24.442, 57.909], [24.428, 57.9], [24.403, 57.866], [24.378, 57.86], [24.349, 57.858]]],
+    [[[23.942, 58.113], [23.938, 58.137], [23.956, 58.152], [23.985, 58.157], [24.014, 58.153], [24.021, 58.13], [24.003, 58.108], [23.971, 58.099]]],
+    [[[23.229, 58.505], [23.254, 58.5], [23.319, 58.473], [23.334, 58.456], [23.326, 58.442], [23.262, 58.466], [23.236, 58.456], [23.262, 58.452], [23.28, 58.437], [23.236, 58.441], [23.197, 58.456], [23.182, 58.474], [23.157, 58.478], [23.132, 58.439], [23.11, 58.429], [23.085, 58.43], [23.085, 58.395], [23.042, 58.371], [23.02, 58.363], [22.977, 58.381], [22.956, 58.381], [22.948, 58.373], [22.97, 58.359], [22.902, 58.312], [22.869, 58.305], [22.812, 58.273], [22.722, 58.27], [22.711, 58.258], [22.758, 58.243], [22.722, 58.226], [22.668, 58.221], [22.653, 58.245], [22.621, 58.253], [22.585, 58.248], [22.563, 58.235], [22.534, 58.255], [22.506, 58.223], [22.498, 58.223], [22.491, 58.245], [22.477, 58.245], [22.459, 58.241], [22.423, 58.221], [22.398, 58.228], [22.322, 58.206], [22.272, 58.174], [22.272, 58.137], [22.257, 58.093], [22.221, 58.044], [22.2, 58.027], [22.203, 57.995], [22.048, 57.915], [22.016, 57.914], [21.991, 57.936], [21.991, 57.958], [21.966, 57.969], [21.962, 57.985], [21.998, 57.985], [22.02, 58.022], [22.059, 58.052], [22.084, 58.083], [22.095, 58.086], [22.135, 58.077], [22.149, 58.079], [22.164, 58.116], [22.203, 58.148], [22.182, 58.16], [22.142, 58.169], [22.074, 58.175], [22.052, 58.187], [22.016, 58.235], [21.994, 58.245], [21.93, 58.245], [21.897, 58.251], [21.868, 58.265], [21.85, 58.282], [21.843, 58.302], [21.854, 58.307], [21.908, 58.299], [21.872, 58.341], [21.894, 58.346], [21.944, 58.319], [21.962, 58.327], [21.955, 58.344], [21.969, 58.354], [21.991, 58.358], [22.012, 58.354], [21.948, 58.432], [21.901, 58.469], [21.858, 58.491], [21.832, 58.511], [21.901, 58.498], [21.915, 58.501], [21.93, 58.518], [21.966, 58.518], [21.994, 58.513], [22.02, 58.5], [22.063, 58.457], [22.074, 58.427], [22.088, 58.422], [22.099, 58.425], [22.092, 58.449], [22.102, 58.488], [22.128, 58.505], [22.16, 58.513], [22.189, 58.544], [22.214, 58.547], [22.228, 58.51], [22.272, 58.501], [22.282, 58.522], [22.29, 58.569], [22.322, 58.584], [22.462, 58.592], [22.549, 58.63], [22.585, 58.635], [22.614, 58.606], [22.65, 58.587], [22.682, 58.601], [22.736, 58.587], [22.758, 58.592], [22.812, 58.623], [22.848, 58.613], [22.898, 58.62], [22.923, 58.618], [23.092, 58.571], [23.132, 58.528], [23.19, 58.51]]],
+    [[[23.38, 58.581], [23.402, 58.555], [23.38, 58.547], [23.362, 58.532], [23.312, 58.545], [23.28, 58.547], [23.236, 58.535], [23.222, 58.535], [23.136, 58.581], [23.082, 58.591], [23.06, 58.603], [23.064, 58.625], [23.074, 58.63], [23.107, 58.625], [23.121, 58.628], [23.136, 58.662], [23.154, 58.675], [23.197, 58.68], [23.287, 58.667], [23.33, 58.653], [23.344, 58.645], [23.348, 58.608]]],
+    [[[23.362, 59.028], [23.391, 59.008], [23.395, 58.996], [23.384, 58.981], [23.373, 58.976], [23.341, 58.984], [23.298, 58.971], [23.28, 58.971], [23.222, 58.984], [23.211, 58.972], [23.164, 58.969], [23.15, 58.974], [23.114, 59.021], [23.118, 59.033], [23.132, 59.04], [23.172, 59.047], [23.28, 59.033], [23.344, 59.04]]],
+    [[[22.293, 58.895], [22.228, 58.886], [22.196, 58.888], [22.063, 58.925], [22.045, 58.937], [22.056, 58.952], [22.095, 58.956], [22.167, 58.95], [22.462, 58.971], [22.444, 58.977], [22.441, 58.984], [22.455, 58.988], [22.488, 58.981], [22.488, 59.016], [22.506, 59.025], [22.545, 59.03], [22.56, 59.038], [22.574, 59.053], [22.578, 59.079], [22.588, 59.087], [22.668, 59.086], [22.714, 59.07], [22.693, 59.042], [22.7, 59.025], [22.736, 59.005], [22.837, 59.008], [22.934, 58.984], [22.952, 58.961], [22.948, 58.937], [23.017, 58.891], [23.017, 58.871], [23.02, 58.864], [23.038, 58.861], [23.042, 58.841], [23.035, 58.831], [23.02, 58.829], [22.956, 58.847], [22.941, 58.834], [22.93, 58.841], [22.88, 58.832], [22.866, 58.82], [22.876, 58.82], [22.887, 58.812], [22.887, 58.79], [22.844, 58.777], [22.79, 58.782], [22.779, 58.792], [22.826, 58.819], [22.819, 58.829], [22.801, 58.831], [22.779, 58.824], [22.736, 58.807], [22.682, 58.724], [22.653, 58.702], [22.61, 58.69], [22.556, 58.687], [22.502, 58.696], [22.462, 58.716], [22.498, 58.738], [22.448, 58.787], [22.441, 58.841], [22.43, 58.853], [22.383, 58.883], [22.326, 58.896]]],
+    [[[24.514, 59.599], [24.55, 59.558], [24.543, 59.548], [24.518, 59.545], [24.489, 59.56], [24.486, 59.579], [24.5, 59.596]]],
+    [[[23.262, 57.814], [23.276, 57.799], [23.269, 57.785], [23.251, 57.784], [23.229, 57.792], [23.218, 57.801], [23.218, 57.809], [23.226, 57.824]]]
+  ] },
+  { code: 'LV', name: 'Latvia', polygons: [
+    [[[27.351, 57.527], [27.528, 57.529], [27.524, 57.468], [27.51, 57.431], [27.535, 57.416], [27.639, 57.389], [27.708, 57.348], [27.808, 57.314], [27.841, 57.291], [27.841, 57.211], [27.823, 57.159], [27.794, 57.144], [27.7, 57.118], [27.682, 57.103], [27.697, 57.086], [27.744, 57.068], [27.751, 57.042], [27.722, 56.998], [27.715, 56.958], [27.628, 56.845], [27.661, 56.84], [27.744, 56.865], [27.787, 56.872], [27.83, 56.865], [27.913, 56.819], [27.92, 56.806], [27.866, 56.744], [27.884, 56.725], [27.981, 56.688], [27.992, 56.669], [27.996, 56.603], [28.01, 56.588], [28.028, 56.576], [28.125, 56.548], [28.132, 56.536], [28.1, 56.514], [28.093, 56.502], [28.104, 56.483], [28.165, 56.438], [28.168, 56.37], [28.219, 56.271], [28.215, 56.256], [28.194, 56.232], [28.168, 56.161], [28.15, 56.142], [28.111, 56.158], [28.068, 56.147], [28.024, 56.129], [27.938, 56.114], [27.913, 56.1], [27.88, 56.065], [27.78, 56.016], [27.776, 55.992], [27.744, 55.96], [27.646, 55.923], [27.618, 55.879], [27.61, 55.832], [27.592, 55.795], [27.438, 55.798], [27.373, 55.815], [27.351, 55.832], [27.283, 55.791], [27.261, 55.788], [27.15, 55.832], [27.11, 55.837], [26.98, 55.827], [26.959, 55.818], [26.901, 55.779], [26.844, 55.719], [26.822, 55.707], [26.743, 55.683], [26.721, 55.681], [26.667, 55.693], [26.638, 55.695], [26.617, 55.688], [26.595, 55.666], [26.48, 55.678], [26.343, 55.717], [26.278, 55.744], [26.178, 55.85], [26.08, 55.898], [26.019, 55.938], [25.872, 55.992], [25.767, 56.058], [25.695, 56.088], [25.663, 56.141], [25.648, 56.144], [25.573, 56.142], [25.522, 56.156], [25.454, 56.149], [25.35, 56.159], [25.108, 56.183], [25.072, 56.198], [25.044, 56.228], [25.026, 56.261], [24.972, 56.301], [24.91, 56.423], [24.892, 56.44], [24.871, 56.443], [24.856, 56.436], [24.846, 56.404], [24.806, 56.409], [24.68, 56.377], [24.64, 56.36], [24.54, 56.288], [24.482, 56.269], [24.446, 56.261], [24.414, 56.266], [24.352, 56.291], [24.32, 56.299], [24.288, 56.296], [24.165, 56.261], [24.14, 56.257], [24.108, 56.261], [24.075, 56.271], [23.982, 56.313], [23.859, 56.335], [23.823, 56.335], [23.755, 56.326], [23.726, 56.328], [23.722, 56.345], [23.708, 56.355], [23.679, 56.352], [23.611, 56.353], [23.578, 56.348], [23.517, 56.328], [23.481, 56.33], [23.287, 56.374], [23.172, 56.359], [23.154, 56.352], [23.164, 56.342], [23.114, 56.311], [23.064, 56.304], [23.017, 56.323], [22.956, 56.402], [22.923, 56.413], [22.887, 56.409], [22.822, 56.382], [22.668, 56.348], [22.65, 56.353], [22.606, 56.379], [22.578, 56.387], [22.513, 56.396], [22.214, 56.391], [22.138, 56.416], [22.095, 56.418], [21.685, 56.31], [21.595, 56.308], [21.559, 56.298], [21.418, 56.237], [21.357, 56.234], [21.328, 56.225], [21.289, 56.207], [21.231, 56.163], [21.192, 56.085], [21.148, 56.078], [21.091, 56.078], [21.055, 56.073], [21.03, 56.147], [20.983, 56.21], [20.968, 56.254], [20.983, 56.291], [20.968, 56.37], [20.979, 56.404], [21.004, 56.434], [21.004, 56.465], [21.012, 56.475], [21.001, 56.51], [21.008, 56.521], [21.026, 56.51], [21.044, 56.462], [21.03, 56.448], [21.044, 56.443], [21.044, 56.421], [21.03, 56.407], [21.062, 56.387], [21.08, 56.402], [21.066, 56.441], [21.073, 56.47], [21.058, 56.504], [21.048, 56.516], [21.004, 56.531], [20.994, 56.549], [21.058, 56.689], [21.066, 56.774], [21.051, 56.83], [21.066, 56.847], [21.148, 56.877], [21.156, 56.885], [21.224, 56.907], [21.278, 56.95], [21.361, 56.99], [21.382, 57.009], [21.415, 57.073], [21.415, 57.113], [21.4, 57.152], [21.415, 57.184], [21.411, 57.25], [21.422, 57.289], [21.433, 57.306], [21.48, 57.333], [21.519, 57.387], [21.588, 57.439], [21.699, 57.556], [21.728, 57.574], [21.771, 57.586], [21.955, 57.593], [21.998, 57.6], [22.484, 57.743], [22.549, 57.75], [22.585, 57.76], [22.599, 57.758], [22.61, 57.753], [22.599, 57.743], [22.592, 57.706], [22.592, 57.645], [22.599, 57.63], [22.657, 57.586], [22.88, 57.481], [22.952, 57.432], [23.031, 57.395], [23.082, 57.378], [23.128, 57.37], [23.132, 57.353], [23.175, 57.297], [23.19, 57.243], [23.222, 57.206], [23.262, 57.098], [23.294, 57.09], [23.341, 57.059], [23.424, 57.041], [23.51, 57.031], [23.578, 56.982], [23.632, 56.971], [23.694, 56.968], [23.866, 56.99], [23.953, 57.014], [23.992, 57.031], [24.036, 57.069], [24.075, 57.074], [24.212, 57.123], [24.219, 57.139], [24.277, 57.161], [24.288, 57.179], [24.313, 57.188], [24.378, 57.23], [24.399, 57.259], [24.41, 57.297], [24.406, 57.345], [24.381, 57.47], [24.381, 57.507], [24.36, 57.551], [24.374, 57.613], [24.356, 57.686], [24.298, 57.743], [24.288, 57.844], [24.306, 57.868], [24.349, 57.858], [24.378, 57.86], [24.403, 57.866], [24.428, 57.9], [24.442, 57.909], [24.482, 57.919], [24.532, 57.946], [24.684, 57.947], [24.702, 57.954], [24.734, 57.991], [24.817, 57.976], [24.871, 58], [24.95, 58.007], [24.975, 58.015], [25.047, 58.056], [25.094, 58.067], [25.141, 58.067], [25.166, 58.059], [25.202, 57.991], [25.216, 57.985], [25.231, 57.985], [25.263, 57.995], [25.285, 58.008], [25.278, 58.023], [25.249, 58.05], [25.252, 58.069], [25.263, 58.076], [25.281, 58.074], [25.299, 58.066], [25.324, 58.035], [25.339, 58.032], [25.357, 58.035], [25.396, 58.023], [25.458, 57.985], [25.54, 57.963], [25.551, 57.956], [25.558, 57.934], [25.58, 57.919], [25.627, 57.91], [25.731, 57.924], [25.767, 57.868], [25.792, 57.856], [26.016, 57.843], [26.026, 57.828], [26.012, 57.807], [26.026, 57.774], [26.134, 57.725], [26.167, 57.704], [26.296, 57.6], [26.34, 57.583], [26.43, 57.562], [26.498, 57.515], [26.516, 57.517], [26.541, 57.529], [26.57, 57.52], [26.592, 57.52], [26.606, 57.541], [26.635, 57.554], [26.7, 57.571], [26.797, 57.571], [26.815, 57.581], [26.854, 57.623], [26.872, 57.627], [26.898, 57.615], [26.948, 57.615], [26.98, 57.61], [27.006, 57.6], [27.063, 57.556], [27.085, 57.549], [27.164, 57.547], [27.319, 57.517]]]
+  ] },
+  { code: 'LT', name: 'Lithuania', polygons: [
+    [[[26.595, 55.666], [26.606, 55.59], [26.595, 55.568], [26.53, 55.516], [26.527, 55.492], [26.545, 55.472], [26.545, 55.46], [26.509, 55.44], [26.498, 55.428], [26.487, 55.391], [26.444, 55.337], [26.466, 55.32], [26.527, 55.308], [26.602, 55.317], [26.768, 55.3], [26.793, 55.29], [26.8, 55.273], [26.79, 55.258], [26.764, 55.247], [26.7, 55.237], [26.656, 55.215], [26.635, 55.192], [26.617, 55.136], [26.602, 55.121], [26.577, 55.119], [26.473, 55.146], [26.458, 55.144], [26.43, 55.128], [26.311, 55.144], [26.264, 55.139], [26.232, 55.112], [26.224, 55.055], [26.188, 55.009], [26.138, 54.969], [26.102, 54.957], [25.98, 54.943], [25.908, 54.949], [25.857, 54.933], [25.846, 54.906], [25.782, 54.869], [25.771, 54.851], [25.782, 54.822], [25.778, 54.805], [25.735, 54.79], [25.72, 54.766], [25.724, 54.705], [25.71, 54.663], [25.746, 54.589], [25.742, 54.569], [25.706, 54.542], [25.645, 54.52], [25.63, 54.508], [25.62, 54.488], [25.612, 54.422], [25.594, 54.4], [25.548, 54.368], [25.53, 54.346], [25.53, 54.32], [25.544, 54.309], [25.566, 54.304], [25.609, 54.305], [25.666, 54.324], [25.681, 54.325], [25.695, 54.32], [25.72, 54.282], [25.738, 54.283], [25.749, 54.276], [25.789, 54.236], [25.771, 54.217], [25.771, 54.172], [25.764, 54.157], [25.728, 54.145], [25.692, 54.148], [25.652, 54.128], [25.544, 54.136], [25.515, 54.145], [25.494, 54.158], [25.486, 54.175], [25.53, 54.195], [25.522, 54.204], [25.501, 54.212], [25.501, 54.222], [25.522, 54.229], [25.544, 54.228], [25.555, 54.231], [25.479, 54.293], [25.458, 54.298], [25.432, 54.292], [25.393, 54.258], [25.371, 54.248], [25.288, 54.244], [25.224, 54.258], [25.206, 54.256], [25.155, 54.175], [25.116, 54.148], [25.072, 54.133], [25.026, 54.128], [24.95, 54.146], [24.903, 54.15], [24.856, 54.146], [24.82, 54.135], [24.817, 54.109], [24.781, 54.092], [24.82, 54.02], [24.82, 53.993], [24.806, 53.976], [24.788, 53.969], [24.705, 53.964], [24.691, 53.973], [24.676, 53.993], [24.666, 53.995], [24.644, 53.983], [24.579, 53.976], [24.529, 53.959], [24.414, 53.898], [24.378, 53.886], [24.342, 53.886], [24.309, 53.893], [24.259, 53.893], [24.23, 53.932], [24.201, 53.952], [24.169, 53.959], [24.136, 53.956], [24.075, 53.935], [24.046, 53.93], [23.964, 53.932], [23.92, 53.947], [23.82, 53.919], [23.787, 53.929], [23.755, 53.917], [23.694, 53.912], [23.643, 53.898], [23.611, 53.902], [23.521, 53.934], [23.485, 53.939], [23.492, 53.951], [23.46, 53.981], [23.46, 53.993], [23.496, 54.022], [23.496, 54.045], [23.474, 54.113], [23.449, 54.155], [23.431, 54.17], [23.391, 54.18], [23.355, 54.217], [23.316, 54.236], [23.197, 54.268], [23.118, 54.304], [23.074, 54.295], [23.049, 54.295], [23.031, 54.31], [23.042, 54.341], [23.035, 54.346], [22.988, 54.354], [22.974, 54.376], [22.963, 54.381], [22.92, 54.381], [22.858, 54.4], [22.837, 54.401], [22.812, 54.395], [22.786, 54.366], [22.768, 54.356], [22.707, 54.418], [22.682, 54.454], [22.675, 54.493], [22.682, 54.57], [22.707, 54.636], [22.7, 54.68], [22.729, 54.709], [22.722, 54.719], [22.729, 54.726], [22.765, 54.737], [22.786, 54.756], [22.833, 54.778], [22.848, 54.813], [22.844, 54.832], [22.822, 54.886], [22.808, 54.895], [22.75, 54.91], [22.74, 54.918], [22.75, 54.932], [22.74, 54.933], [22.714, 54.952], [22.65, 54.954], [22.621, 54.971], [22.581, 55.058], [22.567, 55.068], [22.542, 55.075], [22.437, 55.058], [22.25, 55.07], [22.142, 55.055], [22.099, 55.03], [22.077, 55.028], [22.048, 55.033], [22.027, 55.045], [22.016, 55.089], [22.005, 55.094], [21.976, 55.092], [21.944, 55.079], [21.933, 55.08], [21.908, 55.09], [21.872, 55.095], [21.822, 55.119], [21.75, 55.128], [21.717, 55.149], [21.645, 55.182], [21.606, 55.192], [21.505, 55.195], [21.469, 55.212], [21.404, 55.273], [21.375, 55.29], [21.35, 55.288], [21.267, 55.249], [21.264, 55.285], [21.271, 55.288], [21.285, 55.286], [21.292, 55.296], [21.274, 55.327], [21.26, 55.337], [21.256, 55.369], [21.246, 55.371], [21.188, 55.339], [21.184, 55.345], [21.224, 55.399], [21.249, 55.418], [21.249, 55.442], [21.224, 55.521], [21.199, 55.538], [21.195, 55.585], [21.148, 55.659], [21.148, 55.678], [21.091, 55.735], [21.073, 55.746], [21.044, 55.874], [21.044, 55.918], [21.058, 55.952], [21.055, 56.073], [21.091, 56.078], [21.148, 56.078], [21.192, 56.085], [21.231, 56.163], [21.289, 56.207], [21.328, 56.225], [21.357, 56.234], [21.418, 56.237], [21.559, 56.298], [21.595, 56.308], [21.685, 56.31], [22.095, 56.418], [22.138, 56.416], [22.214, 56.391], [22.513, 56.396], [22.578, 56.387], [22.606, 56.379], [22.65, 56.353], [22.668, 56.348], [22.822, 56.382], [22.887, 56.409], [22.923, 56.413], [22.956, 56.402], [23.017, 56.323], [23.064, 56.304], [23.114, 56.311], [23.164, 56.342], [23.154, 56.352], [23.172, 56.359], [23.287, 56.374], [23.481, 56.33], [23.517, 56.328], [23.578, 56.348], [23.611, 56.353], [23.679, 56.352], [23.708, 56.355], [23.722, 56.345], [23.726, 56.328], [23.755, 56.326], [23.823, 56.335], [23.859, 56.335], [23.982, 56.313], [24.075, 56.271], [24.108, 56.261], [24.14, 56.257], [24.165, 56.261], [24.288, 56.296], [24.32, 56.299], [24.352, 56.291], [24.414, 56.266], [24.446, 56.261], [24.482, 56.269], [24.54, 56.288], [24.64, 56.36], [24.68, 56.377], [24.806, 56.409], [24.846, 56.404], [24.856, 56.436], [24.871, 56.443], [24.892, 56.44], [24.91, 56.423], [24.972, 56.301], [25.026, 56.261], [25.044, 56.228], [25.072, 56.198], [25.108, 56.183], [25.35, 56.159], [25.454, 56.149], [25.522, 56.156], [25.573, 56.142], [25.648, 56.144], [25.663, 56.141], [25.695, 56.088], [25.767, 56.058], [25.872, 55.992], [26.019, 55.938], [26.08, 55.898], [26.178, 55.85], [26.278, 55.744], [26.343, 55.717], [26.48, 55.678]]],
+    [[[20.99, 55.273], [20.925, 55.283], [21.001, 55.357], [21.084, 55.497], [21.098, 55.599], [21.091, 55.632], [21.094, 55.695], [21.084, 55.724], [21.116, 55.7], [21.13, 55.656], [21.134, 55.568], [21.12, 55.528], [21.12, 55.489], [21.087, 55.442], [21.105, 55.428], [21.105, 55.421], [21.073, 55.391], [21.037, 55.328], [20.99, 55.291]]]
+  ] },
+  { code: 'PL', name: 'Poland', polygons: [
+    [[[18.834, 49.51], [18.834, 49.547], [18.816, 49.599], [18.798, 49.626], [18.794, 49.662], [18.772, 49.675], [18.729, 49.668], [18.682, 49.695], [18.636, 49.7], [18.618, 49.714], [18.607, 49.743], [18.567, 49.805], [18.567, 49.832], [18.592, 49.852], [18.567, 49.861], [18.567, 49.89], [18.56, 49.906], [18.546, 49.913], [18.506, 49.896], [18.481, 49.896], [18.409, 49.923], [18.369, 49.932], [18.33, 49.928], [18.333, 49.925], [18.308, 49.91], [18.294, 49.908], [18.272, 49.918], [18.258, 49.945], [18.207, 49.959], [18.178, 49.976], [18.16, 49.981], [18.099, 49.989], [18.085, 49.999], [18.092, 50.018], [18.02, 50.045], [18.002, 50.047], [18.006, 50.025], [18.027, 50.025], [18.038, 50.008], [18.031, 50.003], [17.998, 49.996], [17.941, 49.993], [17.912, 49.976], [17.876, 49.969], [17.84, 49.974], [17.764, 50.025], [17.743, 50.06], [17.721, 50.075], [17.721, 50.087], [17.732, 50.096], [17.678, 50.107], [17.66, 50.102], [17.631, 50.106], [17.584, 50.146], [17.581, 50.153], [17.588, 50.163], [17.649, 50.168], [17.674, 50.175], [17.739, 50.202], [17.746, 50.217], [17.718, 50.253], [17.736, 50.29], [17.707, 50.312], [17.692, 50.315], [17.685, 50.312], [17.678, 50.298], [17.631, 50.263], [17.606, 50.258], [17.516, 50.268], [17.469, 50.266], [17.44, 50.242], [17.43, 50.239], [17.419, 50.242], [17.412, 50.261], [17.386, 50.273], [17.365, 50.271], [17.354, 50.253], [17.336, 50.27], [17.332, 50.297], [17.318, 50.308], [17.336, 50.313], [17.318, 50.318], [17.246, 50.322], [17.21, 50.337], [17.188, 50.364], [17.188, 50.379], [17.131, 50.378], [17.084, 50.398], [16.983, 50.416], [16.958, 50.415], [16.915, 50.432], [16.893, 50.433], [16.864, 50.423], [16.864, 50.408], [16.897, 50.378], [16.926, 50.318], [16.944, 50.307], [16.969, 50.298], [16.987, 50.285], [17.016, 50.219], [17.008, 50.21], [16.998, 50.212], [16.976, 50.232], [16.962, 50.232], [16.954, 50.214], [16.918, 50.217], [16.882, 50.192], [16.818, 50.187], [16.796, 50.175], [16.767, 50.143], [16.731, 50.123], [16.702, 50.096], [16.659, 50.092], [16.62, 50.107], [16.566, 50.143], [16.537, 50.207], [16.504, 50.227], [16.44, 50.298], [16.371, 50.318], [16.353, 50.334], [16.353, 50.351], [16.342, 50.369], [16.335, 50.373], [16.288, 50.373], [16.263, 50.364], [16.249, 50.371], [16.231, 50.403], [16.198, 50.406], [16.191, 50.425], [16.198, 50.44], [16.216, 50.437], [16.213, 50.452], [16.267, 50.472], [16.281, 50.481], [16.288, 50.492], [16.303, 50.496], [16.335, 50.491], [16.353, 50.492], [16.393, 50.521], [16.389, 50.535], [16.4, 50.548], [16.393, 50.56], [16.425, 50.568], [16.418, 50.587], [16.332, 50.644], [16.267, 50.661], [16.231, 50.661], [16.22, 50.66], [16.206, 50.636], [16.191, 50.626], [16.177, 50.624], [16.13, 50.644], [16.087, 50.646], [16.026, 50.609], [15.982, 50.604], [15.979, 50.612], [15.997, 50.624], [16, 50.636], [15.972, 50.678], [15.957, 50.687], [15.943, 50.688], [15.882, 50.675], [15.849, 50.675], [15.792, 50.742], [15.766, 50.744], [15.684, 50.732], [15.673, 50.734], [15.655, 50.751], [15.64, 50.756], [15.442, 50.8], [15.399, 50.798], [15.37, 50.773], [15.356, 50.776], [15.349, 50.785], [15.352, 50.813], [15.342, 50.832], [15.288, 50.855], [15.255, 50.899], [15.252, 50.915], [15.27, 50.943], [15.27, 50.953], [15.255, 50.969], [15.226, 50.977], [15.169, 50.979], [15.154, 51.007], [15.144, 51.011], [15.133, 51.006], [15.118, 50.982], [15.108, 50.98], [15.082, 50.992], [15.075, 51.002], [15.025, 51.009], [15.003, 51.021], [14.996, 51.007], [14.96, 50.992], [14.964, 50.982], [14.982, 50.974], [14.996, 50.958], [15, 50.93], [14.982, 50.915], [14.982, 50.859], [14.866, 50.864], [14.809, 50.859], [14.809, 50.877], [14.859, 50.916], [14.956, 51.065], [14.96, 51.105], [14.982, 51.122], [14.982, 51.161], [15.003, 51.215], [15.021, 51.237], [15.014, 51.242], [15.021, 51.273], [14.96, 51.335], [14.946, 51.423], [14.956, 51.435], [14.946, 51.45], [14.928, 51.462], [14.888, 51.475], [14.841, 51.484], [14.798, 51.502], [14.733, 51.516], [14.712, 51.531], [14.704, 51.548], [14.712, 51.568], [14.733, 51.587], [14.744, 51.607], [14.744, 51.632], [14.733, 51.658], [14.719, 51.676], [14.647, 51.717], [14.636, 51.769], [14.604, 51.788], [14.586, 51.804], [14.582, 51.825], [14.596, 51.843], [14.654, 51.879], [14.686, 51.912], [14.697, 51.931], [14.704, 52.002], [14.726, 52.026], [14.737, 52.054], [14.762, 52.076], [14.697, 52.107], [14.686, 52.122], [14.708, 52.179], [14.694, 52.2], [14.712, 52.215], [14.712, 52.237], [14.697, 52.254], [14.607, 52.276], [14.586, 52.291], [14.589, 52.309], [14.546, 52.382], [14.539, 52.422], [14.593, 52.449], [14.632, 52.497], [14.629, 52.507], [14.611, 52.517], [14.618, 52.541], [14.643, 52.576], [14.55, 52.637], [14.488, 52.65], [14.463, 52.674], [14.431, 52.686], [14.384, 52.738], [14.276, 52.785], [14.247, 52.794], [14.215, 52.818], [14.154, 52.828], [14.136, 52.836], [14.125, 52.851], [14.15, 52.865], [14.161, 52.877], [14.164, 52.895], [14.143, 52.959], [14.254, 53.002], [14.344, 53.049], [14.391, 53.132], [14.377, 53.177], [14.38, 53.189], [14.388, 53.203], [14.409, 53.214], [14.442, 53.252], [14.402, 53.279], [14.398, 53.316], [14.37, 53.392], [14.359, 53.444], [14.337, 53.466], [14.33, 53.486], [14.305, 53.508], [14.298, 53.528], [14.298, 53.598], [14.262, 53.657], [14.265, 53.701], [14.305, 53.713], [14.305, 53.721], [14.29, 53.728], [14.301, 53.734], [14.29, 53.741], [14.294, 53.75], [14.33, 53.734], [14.341, 53.714], [14.384, 53.701], [14.402, 53.687], [14.514, 53.667], [14.532, 53.658], [14.589, 53.598], [14.596, 53.601], [14.6, 53.626], [14.625, 53.64], [14.625, 53.653], [14.575, 53.66], [14.546, 53.704], [14.575, 53.77], [14.589, 53.763], [14.625, 53.77], [14.618, 53.795], [14.632, 53.851], [14.625, 53.851], [14.614, 53.832], [14.589, 53.817], [14.596, 53.81], [14.586, 53.812], [14.568, 53.824], [14.589, 53.837], [14.575, 53.854], [14.553, 53.863], [14.442, 53.87], [14.427, 53.88], [14.438, 53.9], [14.431, 53.907], [14.424, 53.897], [14.413, 53.895], [14.395, 53.9], [14.384, 53.897], [14.362, 53.88], [14.409, 53.871], [14.416, 53.853], [14.406, 53.844], [14.391, 53.841], [14.384, 53.844], [14.33, 53.831], [14.33, 53.824], [14.341, 53.819], [14.33, 53.817], [14.29, 53.824], [14.226, 53.871], [14.2, 53.878], [14.193, 53.893], [14.175, 53.907], [14.193, 53.912], [14.211, 53.939], [14.269, 53.922], [14.366, 53.917], [14.406, 53.922], [14.445, 53.934], [14.517, 53.966], [14.784, 54.035], [15.01, 54.07], [15.288, 54.138], [15.666, 54.199], [15.86, 54.249], [16.022, 54.261], [16.13, 54.283], [16.119, 54.276], [16.069, 54.263], [16.09, 54.255], [16.18, 54.263], [16.173, 54.276], [16.22, 54.276], [16.213, 54.283], [16.216, 54.3], [16.191, 54.3], [16.137, 54.29], [16.213, 54.315], [16.274, 54.359], [16.263, 54.344], [16.231, 54.322], [16.274, 54.331], [16.288, 54.341], [16.324, 54.349], [16.335, 54.359], [16.324, 54.373], [16.306, 54.373], [16.281, 54.359], [16.324, 54.401], [16.44, 54.488], [16.436, 54.472], [16.443, 54.471], [16.461, 54.474], [16.472, 54.483], [16.476, 54.499], [16.447, 54.488], [16.465, 54.513], [16.501, 54.533], [16.569, 54.557], [16.778, 54.575], [16.861, 54.594], [16.904, 54.597], [16.94, 54.606], [17.037, 54.667], [17.336, 54.749], [17.714, 54.79], [17.887, 54.824], [18.153, 54.839], [18.315, 54.839], [18.34, 54.834], [18.376, 54.815], [18.409, 54.808], [18.751, 54.69], [18.816, 54.643], [18.834, 54.616], [18.834, 54.602], [18.819, 54.597], [18.801, 54.616], [18.783, 54.624], [18.772, 54.643], [18.708, 54.702], [18.654, 54.71], [18.646, 54.719], [18.499, 54.766], [18.456, 54.788], [18.434, 54.786], [18.412, 54.746], [18.412, 54.732], [18.448, 54.719], [18.474, 54.687], [18.47, 54.667], [18.481, 54.66], [18.477, 54.64], [18.488, 54.631], [18.506, 54.634], [18.524, 54.646], [18.517, 54.629], [18.538, 54.606], [18.571, 54.55], [18.567, 54.488], [18.574, 54.45], [18.589, 54.434], [18.636, 54.417], [18.693, 54.405], [18.718, 54.381], [18.888, 54.351], [18.924, 54.349], [18.956, 54.359], [18.974, 54.349], [19.003, 54.346], [19.377, 54.378], [19.46, 54.401], [19.532, 54.415], [19.593, 54.452], [19.611, 54.457], [19.629, 54.447], [19.68, 54.437], [19.759, 54.434], [22.7, 54.342], [22.768, 54.356], [22.786, 54.366], [22.812, 54.395], [22.837, 54.401], [22.858, 54.4], [22.92, 54.381], [22.963, 54.381], [22.974, 54.376], [22.988, 54.354], [23.035, 54.346], [23.042, 54.341], [23.031, 54.31], [23.049, 54.295], [23.074, 54.295], [23.118, 54.304], [23.197, 54.268], [23.316, 54.236], [23.355, 54.217], [23.391, 54.18], [23.431, 54.17], [23.449, 54.155], [23.474, 54.113], [23.496, 54.045], [23.496, 54.022], [23.46, 53.993], [23.46, 53.981], [23.492, 53.951], [23.485, 53.939], [23.496, 53.885], [23.521, 53.837], [23.539, 53.763], [23.564, 53.743], [23.568, 53.68], [23.589, 53.611], [23.676, 53.456], [23.744, 53.365], [23.784, 53.27], [23.802, 53.243], [23.82, 53.228], [23.848, 53.184], [23.884, 53.164], [23.895, 53.152], [23.892, 53.128], [23.859, 53.088], [23.859, 53.067], [23.866, 53.051], [23.91, 53.013], [23.917, 52.951], [23.902, 52.931], [23.902, 52.912], [23.913, 52.894], [23.924, 52.743], [23.91, 52.699], [23.87, 52.671], [23.737, 52.615], [23.568, 52.586], [23.481, 52.554], [23.391, 52.51], [23.211, 52.348], [23.164, 52.289], [23.193, 52.272], [23.197, 52.259], [23.19, 52.24], [23.211, 52.232], [23.283, 52.22], [23.301, 52.223], [23.312, 52.215], [23.395, 52.2], [23.391, 52.183], [23.406, 52.186], [23.438, 52.176], [23.449, 52.186], [23.47, 52.171], [23.488, 52.181], [23.492, 52.174], [23.485, 52.159], [23.514, 52.125], [23.532, 52.12], [23.578, 52.122], [23.596, 52.115], [23.614, 52.091], [23.636, 52.085], [23.643, 52.073], [23.643, 52.061], [23.676, 51.994], [23.647, 51.973], [23.629, 51.946], [23.622, 51.928], [23.622, 51.896], [23.614, 51.884], [23.622, 51.884], [23.622, 51.877], [23.611, 51.874], [23.607, 51.852], [23.593, 51.843], [23.629, 51.809], [23.618, 51.786], [23.56, 51.754], [23.546, 51.713], [23.56, 51.695], [23.546, 51.69], [23.56, 51.673], [23.542, 51.659], [23.532, 51.659], [23.532, 51.651], [23.542, 51.644], [23.546, 51.634], [23.539, 51.607], [23.542, 51.593], [23.575, 51.555], [23.56, 51.555], [23.571, 51.539], [23.604, 51.531], [23.607, 51.517], [23.614, 51.497], [23.661, 51.48], [23.647, 51.46], [23.697, 51.404], [23.679, 51.394], [23.683, 51.37], [23.665, 51.365], [23.632, 51.34], [23.629, 51.327], [23.636, 51.305], [23.686, 51.293], [23.744, 51.217], [23.766, 51.198], [23.816, 51.178], [23.863, 51.148], [23.874, 51.136], [23.859, 51.131], [23.856, 51.122], [23.902, 51.063], [23.917, 51.021], [23.913, 51.007], [23.946, 50.994], [23.956, 50.984], [23.964, 50.953], [23.978, 50.938], [24.046, 50.898], [24.129, 50.869], [24.144, 50.857], [24.129, 50.839], [24.068, 50.835], [24.046, 50.828], [24.021, 50.839], [23.992, 50.837], [23.971, 50.825], [23.956, 50.808], [23.96, 50.79], [23.974, 50.776], [24.025, 50.768], [24.014, 50.744], [24.028, 50.729], [24.054, 50.717], [24.082, 50.714], [24.075, 50.69], [24.108, 50.631], [24.086, 50.604], [24.097, 50.557], [24.108, 50.538], [24.075, 50.514], [24.01, 50.492], [24.007, 50.448], [23.982, 50.405], [23.928, 50.391], [23.748, 50.389], [23.697, 50.378], [23.683, 50.367], [23.658, 50.325], [23.643, 50.313], [23.564, 50.258], [23.438, 50.194], [23.208, 50.035], [23.179, 50.004], [23.143, 49.986], [23.103, 49.957], [22.992, 49.854], [22.952, 49.827], [22.934, 49.792], [22.898, 49.778], [22.887, 49.77], [22.826, 49.697], [22.808, 49.687], [22.776, 49.68], [22.765, 49.673], [22.743, 49.633], [22.668, 49.567], [22.642, 49.528], [22.668, 49.478], [22.678, 49.418], [22.714, 49.391], [22.725, 49.368], [22.736, 49.275], [22.704, 49.196], [22.682, 49.162], [22.689, 49.157], [22.707, 49.169], [22.75, 49.145], [22.779, 49.12], [22.84, 49.094], [22.855, 49.084], [22.844, 49.044], [22.866, 49.01], [22.855, 48.995], [22.833, 49], [22.812, 49.013], [22.783, 49.022], [22.754, 49.045], [22.722, 49.04], [22.642, 49.044], [22.617, 49.054], [22.581, 49.081], [22.56, 49.086], [22.538, 49.072], [22.506, 49.084], [22.426, 49.086], [22.39, 49.093], [22.34, 49.126], [22.318, 49.131], [22.264, 49.131], [22.218, 49.14], [22.207, 49.145], [22.21, 49.163], [22.2, 49.172], [22.156, 49.172], [22.113, 49.189], [22.041, 49.197], [22.012, 49.211], [21.994, 49.278], [21.966, 49.309], [21.93, 49.331], [21.876, 49.348], [21.84, 49.371], [21.818, 49.378], [21.8, 49.375], [21.757, 49.349], [21.71, 49.391], [21.692, 49.402], [21.66, 49.403], [21.62, 49.424], [21.602, 49.427], [21.53, 49.422], [21.498, 49.412], [21.483, 49.415], [21.429, 49.41], [21.332, 49.429], [21.26, 49.449], [21.242, 49.442], [21.195, 49.4], [21.174, 49.398], [21.123, 49.424], [21.109, 49.425], [21.069, 49.418], [21.055, 49.415], [21.033, 49.4], [21.044, 49.39], [21.069, 49.381], [21.08, 49.366], [21.073, 49.358], [21.019, 49.353], [20.943, 49.295], [20.918, 49.29], [20.9, 49.292], [20.85, 49.321], [20.796, 49.324], [20.778, 49.331], [20.691, 49.4], [20.605, 49.4], [20.569, 49.376], [20.544, 49.371], [20.522, 49.375], [20.439, 49.403], [20.421, 49.4], [20.421, 49.383], [20.371, 49.381], [20.317, 49.391], [20.306, 49.386], [20.284, 49.339], [20.209, 49.334], [20.191, 49.329], [20.162, 49.305], [20.137, 49.309], [20.13, 49.304], [20.086, 49.243], [20.068, 49.184], [20.05, 49.174], [20.018, 49.184], [19.964, 49.216], [19.939, 49.224], [19.906, 49.223], [19.856, 49.191], [19.831, 49.185], [19.762, 49.194], [19.748, 49.206], [19.752, 49.219], [19.809, 49.272], [19.78, 49.294], [19.791, 49.309], [19.784, 49.358], [19.77, 49.393], [19.759, 49.398], [19.726, 49.388], [19.705, 49.388], [19.626, 49.402], [19.629, 49.435], [19.636, 49.442], [19.593, 49.442], [19.557, 49.454], [19.507, 49.564], [19.482, 49.574], [19.449, 49.601], [19.438, 49.601], [19.341, 49.528], [19.316, 49.523], [19.284, 49.525], [19.266, 49.521], [19.233, 49.508], [19.219, 49.493], [19.204, 49.461], [19.212, 49.452], [19.208, 49.445], [19.19, 49.442], [19.172, 49.402], [19.143, 49.395], [19.107, 49.391], [19.068, 49.407], [19.046, 49.403], [19.006, 49.388], [18.963, 49.39], [18.956, 49.4], [18.96, 49.449], [18.952, 49.462], [18.96, 49.493], [18.931, 49.505]]]
+  ] },
+  { code: 'CZ', name: 'Czechia', polygons: [
+    [[[14.809, 50.859], [14.866, 50.864], [14.982, 50.859], [14.982, 50.915], [15, 50.93], [14.996, 50.958], [14.982, 50.974], [14.964, 50.982], [14.96, 50.992], [14.996, 51.007], [15.003, 51.021], [15.025, 51.009], [15.075, 51.002], [15.082, 50.992], [15.108, 50.98], [15.118, 50.982], [15.133, 51.006], [15.144, 51.011], [15.154, 51.007], [15.169, 50.979], [15.226, 50.977], [15.255, 50.969], [15.27, 50.953], [15.27, 50.943], [15.252, 50.915], [15.255, 50.899], [15.288, 50.855], [15.342, 50.832], [15.352, 50.813], [15.349, 50.785], [15.356, 50.776], [15.37, 50.773], [15.399, 50.798], [15.442, 50.8], [15.64, 50.756], [15.655, 50.751], [15.673, 50.734], [15.684, 50.732], [15.766, 50.744], [15.792, 50.742], [15.849, 50.675], [15.882, 50.675], [15.943, 50.688], [15.957, 50.687], [15.972, 50.678], [16, 50.636], [15.997, 50.624], [15.979, 50.612], [15.982, 50.604], [16.026, 50.609], [16.087, 50.646], [16.13, 50.644], [16.177, 50.624], [16.191, 50.626], [16.206, 50.636], [16.22, 50.66], [16.231, 50.661], [16.267, 50.661], [16.332, 50.644], [16.418, 50.587], [16.425, 50.568], [16.393, 50.56], [16.4, 50.548], [16.389, 50.535], [16.393, 50.521], [16.353, 50.492], [16.335, 50.491], [16.303, 50.496], [16.288, 50.492], [16.281, 50.481], [16.267, 50.472], [16.213, 50.452], [16.216, 50.437], [16.198, 50.44], [16.191, 50.425], [16.198, 50.406], [16.231, 50.403], [16.249, 50.371], [16.263, 50.364], [16.288, 50.373], [16.335, 50.373], [16.342, 50.369], [16.353, 50.351], [16.353, 50.334], [16.371, 50.318], [16.44, 50.298], [16.504, 50.227], [16.537, 50.207], [16.566, 50.143], [16.62, 50.107], [16.659, 50.092], [16.702, 50.096], [16.731, 50.123], [16.767, 50.143], [16.796, 50.175], [16.818, 50.187], [16.882, 50.192], [16.918, 50.217], [16.954, 50.214], [16.962, 50.232], [16.976, 50.232], [16.998, 50.212], [17.008, 50.21], [17.016, 50.219], [16.987, 50.285], [16.969, 50.298], [16.944, 50.307], [16.926, 50.318], [16.897, 50.378], [16.864, 50.408], [16.864, 50.423], [16.893, 50.433], [16.915, 50.432], [16.958, 50.415], [16.983, 50.416], [17.084, 50.398], [17.131, 50.378], [17.188, 50.379], [17.188, 50.364], [17.21, 50.337], [17.246, 50.322], [17.318, 50.318], [17.336, 50.313], [17.318, 50.308], [17.332, 50.297], [17.336, 50.27], [17.354, 50.253], [17.365, 50.271], [17.386, 50.273], [17.412, 50.261], [17.419, 50.242], [17.43, 50.239], [17.44, 50.242], [17.469, 50.266], [17.516, 50.268], [17.606, 50.258], [17.631, 50.263], [17.678, 50.298], [17.685, 50.312], [17.692, 50.315], [17.707, 50.312], [17.736, 50.29], [17.718, 50.253], [17.746, 50.217], [17.739, 50.202], [17.674, 50.175], [17.649, 50.168], [17.588, 50.163], [17.581, 50.153], [17.584, 50.146], [17.631, 50.106], [17.66, 50.102], [17.678, 50.107], [17.732, 50.096], [17.721, 50.087], [17.721, 50.075], [17.743, 50.06], [17.764, 50.025], [17.84, 49.974], [17.876, 49.969], [17.912, 49.976], [17.941, 49.993], [17.998, 49.996], [18.031, 50.003], [18.038, 50.008], [18.027, 50.025], [18.006, 50.025], [18.002, 50.047], [18.02, 50.045], [18.092, 50.018], [18.085, 49.999], [18.099, 49.989], [18.16, 49.981], [18.178, 49.976], [18.207, 49.959], [18.258, 49.945], [18.272, 49.918], [18.294, 49.908], [18.308, 49.91], [18.333, 49.925], [18.33, 49.928], [18.369, 49.932], [18.409, 49.923], [18.481, 49.896], [18.506, 49.896], [18.546, 49.913], [18.56, 49.906], [18.567, 49.89], [18.567, 49.861], [18.592, 49.852], [18.567, 49.832], [18.567, 49.805], [18.607, 49.743], [18.618, 49.714], [18.636, 49.7], [18.682, 49.695], [18.729, 49.668], [18.772, 49.675], [18.794, 49.662], [18.798, 49.626], [18.816, 49.599], [18.834, 49.547], [18.834, 49.51], [18.794, 49.51], [18.772, 49.505], [18.733, 49.481], [18.704, 49.479], [18.643, 49.496], [18.628, 49.496], [18.6, 49.486], [18.556, 49.489], [18.535, 49.481], [18.524, 49.445], [18.481, 49.429], [18.438, 49.395], [18.416, 49.385], [18.387, 49.39], [18.384, 49.342], [18.326, 49.312], [18.189, 49.277], [18.16, 49.258], [18.135, 49.233], [18.117, 49.202], [18.103, 49.143], [18.103, 49.093], [18.096, 49.071], [18.074, 49.047], [18.045, 49.028], [18.013, 49.02], [17.934, 49.02], [17.916, 49.01], [17.901, 48.993], [17.88, 48.934], [17.862, 48.922], [17.818, 48.924], [17.797, 48.92], [17.779, 48.912], [17.746, 48.873], [17.728, 48.863], [17.534, 48.812], [17.498, 48.817], [17.455, 48.843], [17.376, 48.819], [17.26, 48.858], [17.214, 48.866], [17.167, 48.86], [17.113, 48.834], [17.098, 48.806], [17.052, 48.773], [17.026, 48.746], [16.976, 48.65], [16.947, 48.623], [16.944, 48.605], [16.911, 48.632], [16.897, 48.697], [16.872, 48.719], [16.8, 48.709], [16.746, 48.73], [16.674, 48.735], [16.663, 48.74], [16.645, 48.778], [16.53, 48.804], [16.512, 48.806], [16.483, 48.799], [16.454, 48.802], [16.436, 48.795], [16.375, 48.73], [16.353, 48.728], [16.339, 48.736], [16.317, 48.733], [16.177, 48.746], [16.087, 48.743], [16.033, 48.758], [15.932, 48.807], [15.932, 48.819], [15.925, 48.822], [15.907, 48.819], [15.907, 48.831], [15.9, 48.834], [15.874, 48.833], [15.885, 48.843], [15.878, 48.841], [15.86, 48.849], [15.838, 48.849], [15.817, 48.873], [15.788, 48.873], [15.727, 48.854], [15.68, 48.858], [15.604, 48.887], [15.522, 48.909], [15.45, 48.946], [15.406, 48.954], [15.36, 48.971], [15.288, 48.976], [15.273, 48.986], [15.262, 48.983], [15.259, 48.964], [15.244, 48.952], [15.144, 48.937], [15.151, 48.966], [15.136, 48.993], [15.061, 48.998], [15.003, 49.01], [14.978, 49.006], [14.978, 48.993], [14.964, 48.971], [14.967, 48.885], [14.938, 48.811], [14.938, 48.797], [14.953, 48.78], [14.938, 48.763], [14.92, 48.762], [14.866, 48.775], [14.816, 48.78], [14.802, 48.777], [14.78, 48.743], [14.776, 48.724], [14.722, 48.694], [14.704, 48.674], [14.697, 48.589], [14.676, 48.576], [14.658, 48.578], [14.636, 48.603], [14.604, 48.599], [14.604, 48.611], [14.593, 48.621], [14.535, 48.608], [14.481, 48.625], [14.46, 48.643], [14.445, 48.637], [14.42, 48.598], [14.406, 48.586], [14.316, 48.557], [14.215, 48.581], [14.074, 48.591], [14.031, 48.606], [14.01, 48.627], [14.006, 48.64], [14.035, 48.662], [14.028, 48.67], [14.013, 48.675], [13.992, 48.701], [13.916, 48.731], [13.876, 48.753], [13.815, 48.767], [13.797, 48.78], [13.725, 48.868], [13.653, 48.881], [13.621, 48.909], [13.61, 48.927], [13.61, 48.946], [13.592, 48.946], [13.538, 48.968], [13.516, 48.971], [13.491, 48.956], [13.484, 48.937], [13.459, 48.946], [13.426, 48.959], [13.398, 48.978], [13.383, 48.993], [13.383, 49.022], [13.372, 49.039], [13.329, 49.067], [13.3, 49.094], [13.268, 49.106], [13.207, 49.108], [13.178, 49.118], [13.149, 49.155], [13.056, 49.238], [13.012, 49.268], [13.002, 49.295], [12.984, 49.3], [12.94, 49.327], [12.886, 49.339], [12.872, 49.337], [12.876, 49.324], [12.858, 49.322], [12.778, 49.332], [12.76, 49.342], [12.728, 49.391], [12.71, 49.405], [12.663, 49.418], [12.645, 49.43], [12.631, 49.444], [12.624, 49.51], [12.595, 49.515], [12.584, 49.523], [12.562, 49.55], [12.548, 49.596], [12.501, 49.619], [12.508, 49.63], [12.498, 49.635], [12.505, 49.646], [12.498, 49.67], [12.418, 49.7], [12.382, 49.743], [12.397, 49.758], [12.436, 49.77], [12.454, 49.78], [12.462, 49.83], [12.483, 49.827], [12.523, 49.886], [12.519, 49.912], [12.462, 49.932], [12.472, 49.955], [12.469, 49.971], [12.451, 49.981], [12.415, 49.982], [12.4, 49.993], [12.246, 50.045], [12.242, 50.07], [12.231, 50.08], [12.188, 50.102], [12.177, 50.133], [12.184, 50.172], [12.163, 50.194], [12.138, 50.21], [12.091, 50.231], [12.08, 50.242], [12.109, 50.264], [12.112, 50.276], [12.109, 50.291], [12.076, 50.315], [12.148, 50.312], [12.17, 50.303], [12.177, 50.27], [12.202, 50.259], [12.231, 50.259], [12.242, 50.253], [12.238, 50.242], [12.228, 50.237], [12.26, 50.21], [12.274, 50.172], [12.285, 50.161], [12.3, 50.161], [12.314, 50.166], [12.307, 50.199], [12.31, 50.217], [12.314, 50.227], [12.336, 50.242], [12.336, 50.259], [12.368, 50.28], [12.397, 50.315], [12.465, 50.342], [12.465, 50.356], [12.476, 50.369], [12.512, 50.389], [12.552, 50.396], [12.627, 50.4], [12.692, 50.394], [12.739, 50.432], [12.771, 50.437], [12.789, 50.435], [12.818, 50.443], [12.919, 50.405], [12.951, 50.405], [12.998, 50.433], [13.009, 50.492], [13.027, 50.497], [13.052, 50.491], [13.07, 50.491], [13.106, 50.499], [13.16, 50.497], [13.185, 50.509], [13.232, 50.582], [13.254, 50.58], [13.286, 50.568], [13.304, 50.575], [13.322, 50.602], [13.358, 50.619], [13.369, 50.629], [13.387, 50.622], [13.408, 50.6], [13.43, 50.594], [13.448, 50.597], [13.498, 50.629], [13.495, 50.643], [13.524, 50.663], [13.527, 50.676], [13.516, 50.692], [13.556, 50.707], [13.603, 50.712], [13.693, 50.712], [13.772, 50.725], [13.833, 50.724], [13.884, 50.742], [13.88, 50.764], [13.891, 50.781], [13.923, 50.779], [13.948, 50.798], [13.981, 50.805], [14.035, 50.803], [14.19, 50.849], [14.233, 50.879], [14.269, 50.884], [14.348, 50.881], [14.377, 50.896], [14.38, 50.921], [14.355, 50.931], [14.319, 50.938], [14.294, 50.953], [14.294, 50.964], [14.305, 50.97], [14.251, 50.977], [14.24, 50.982], [14.265, 51.021], [14.287, 51.036], [14.319, 51.039], [14.355, 51.033], [14.388, 51.012], [14.398, 51.012], [14.427, 51.021], [14.463, 51.019], [14.474, 51.023], [14.481, 51.038], [14.503, 51.009], [14.514, 51.002], [14.542, 50.999], [14.575, 50.975], [14.575, 50.95], [14.55, 50.913], [14.56, 50.906], [14.629, 50.921], [14.636, 50.909], [14.611, 50.871], [14.607, 50.854], [14.614, 50.845], [14.661, 50.835], [14.701, 50.817], [14.758, 50.81], [14.776, 50.813], [14.784, 50.82]]]
+  ] },
+  { code: 'SK', name: 'Slovakia', polygons: [
+    [[[22.538, 49.072], [22.524, 49.033], [22.52, 48.993], [22.506, 48.984], [22.466, 48.981], [22.448, 48.971], [22.412, 48.907], [22.412, 48.888], [22.369, 48.856], [22.362, 48.844], [22.365, 48.794], [22.358, 48.777], [22.329, 48.757], [22.329, 48.721], [22.311, 48.682], [22.282, 48.662], [22.243, 48.652], [22.218, 48.621], [22.153, 48.586], [22.138, 48.569], [22.149, 48.508], [22.135, 48.476], [22.131, 48.405], [22.113, 48.388], [22.095, 48.38], [22.077, 48.377], [22.02, 48.38], [21.93, 48.373], [21.883, 48.358], [21.84, 48.353], [21.789, 48.336], [21.76, 48.334], [21.728, 48.341], [21.678, 48.372], [21.62, 48.429], [21.602, 48.481], [21.591, 48.493], [21.537, 48.495], [21.523, 48.5], [21.498, 48.535], [21.44, 48.559], [21.426, 48.561], [21.372, 48.551], [21.321, 48.547], [21.303, 48.54], [21.278, 48.508], [21.26, 48.503], [21.22, 48.518], [21.188, 48.513], [21.109, 48.49], [21.084, 48.493], [21.066, 48.507], [21.037, 48.515], [20.947, 48.518], [20.893, 48.54], [20.846, 48.545], [20.817, 48.564], [20.799, 48.569], [20.572, 48.537], [20.511, 48.534], [20.482, 48.527], [20.482, 48.478], [20.421, 48.429], [20.371, 48.334], [20.324, 48.28], [20.295, 48.26], [20.274, 48.252], [20.23, 48.27], [20.169, 48.243], [20.133, 48.247], [20.097, 48.198], [19.975, 48.159], [19.928, 48.13], [19.906, 48.125], [19.885, 48.13], [19.845, 48.152], [19.82, 48.157], [19.784, 48.149], [19.777, 48.15], [19.766, 48.159], [19.773, 48.186], [19.755, 48.201], [19.734, 48.203], [19.687, 48.198], [19.644, 48.225], [19.622, 48.226], [19.532, 48.211], [19.514, 48.204], [19.482, 48.135], [19.482, 48.112], [19.428, 48.086], [19.294, 48.088], [19.222, 48.061], [19.1, 48.071], [19.039, 48.064], [18.996, 48.066], [18.837, 48.041], [18.823, 48.03], [18.794, 47.993], [18.765, 47.985], [18.744, 47.971], [18.754, 47.951], [18.744, 47.911], [18.747, 47.87], [18.816, 47.833], [18.769, 47.823], [18.751, 47.814], [18.718, 47.787], [18.693, 47.777], [18.664, 47.775], [18.596, 47.791], [18.553, 47.792], [18.348, 47.777], [18.272, 47.757], [18.236, 47.754], [18.114, 47.762], [17.826, 47.75], [17.743, 47.765], [17.678, 47.789], [17.66, 47.808], [17.606, 47.835], [17.574, 47.83], [17.559, 47.838], [17.527, 47.872], [17.473, 47.889], [17.368, 47.981], [17.34, 47.998], [17.271, 48.005], [17.185, 48.02], [17.149, 48.005], [17.124, 48.02], [17.07, 48.036], [17.077, 48.052], [17.059, 48.061], [17.07, 48.09], [17.08, 48.098], [17.066, 48.106], [17.048, 48.132], [17.019, 48.137], [16.983, 48.16], [16.976, 48.199], [16.954, 48.253], [16.954, 48.274], [16.918, 48.29], [16.904, 48.314], [16.897, 48.316], [16.908, 48.331], [16.893, 48.346], [16.882, 48.353], [16.854, 48.356], [16.843, 48.365], [16.854, 48.39], [16.864, 48.458], [16.9, 48.496], [16.915, 48.52], [16.951, 48.545], [16.954, 48.557], [16.944, 48.605], [16.947, 48.623], [16.976, 48.65], [17.026, 48.746], [17.052, 48.773], [17.098, 48.806], [17.113, 48.834], [17.167, 48.86], [17.214, 48.866], [17.26, 48.858], [17.376, 48.819], [17.455, 48.843], [17.498, 48.817], [17.534, 48.812], [17.728, 48.863], [17.746, 48.873], [17.779, 48.912], [17.797, 48.92], [17.818, 48.924], [17.862, 48.922], [17.88, 48.934], [17.901, 48.993], [17.916, 49.01], [17.934, 49.02], [18.013, 49.02], [18.045, 49.028], [18.074, 49.047], [18.096, 49.071], [18.103, 49.093], [18.103, 49.143], [18.117, 49.202], [18.135, 49.233], [18.16, 49.258], [18.189, 49.277], [18.326, 49.312], [18.384, 49.342], [18.387, 49.39], [18.416, 49.385], [18.438, 49.395], [18.481, 49.429], [18.524, 49.445], [18.535, 49.481], [18.556, 49.489], [18.6, 49.486], [18.628, 49.496], [18.643, 49.496], [18.704, 49.479], [18.733, 49.481], [18.772, 49.505], [18.794, 49.51], [18.834, 49.51], [18.931, 49.505], [18.96, 49.493], [18.952, 49.462], [18.96, 49.449], [18.956, 49.4], [18.963, 49.39], [19.006, 49.388], [19.046, 49.403], [19.068, 49.407], [19.107, 49.391], [19.143, 49.395], [19.172, 49.402], [19.19, 49.442], [19.208, 49.445], [19.212, 49.452], [19.204, 49.461], [19.219, 49.493], [19.233, 49.508], [19.266, 49.521], [19.284, 49.525], [19.316, 49.523], [19.341, 49.528], [19.438, 49.601], [19.449, 49.601], [19.482, 49.574], [19.507, 49.564], [19.557, 49.454], [19.593, 49.442], [19.636, 49.442], [19.629, 49.435], [19.626, 49.402], [19.705, 49.388], [19.726, 49.388], [19.759, 49.398], [19.77, 49.393], [19.784, 49.358], [19.791, 49.309], [19.78, 49.294], [19.809, 49.272], [19.752, 49.219], [19.748, 49.206], [19.762, 49.194], [19.831, 49.185], [19.856, 49.191], [19.906, 49.223], [19.939, 49.224], [19.964, 49.216], [20.018, 49.184], [20.05, 49.174], [20.068, 49.184], [20.086, 49.243], [20.13, 49.304], [20.137, 49.309], [20.162, 49.305], [20.191, 49.329], [20.209, 49.334], [20.284, 49.339], [20.306, 49.386], [20.317, 49.391], [20.371, 49.381], [20.421, 49.383], [20.421, 49.4], [20.439, 49.403], [20.522, 49.375], [20.544, 49.371], [20.569, 49.376], [20.605, 49.4], [20.691, 49.4], [20.778, 49.331], [20.796, 49.324], [20.85, 49.321], [20.9, 49.292], [20.918, 49.29], [20.943, 49.295], [21.019, 49.353], [21.073, 49.358], [21.08, 49.366], [21.069, 49.381], [21.044, 49.39], [21.033, 49.4], [21.055, 49.415], [21.069, 49.418], [21.109, 49.425], [21.123, 49.424], [21.174, 49.398], [21.195, 49.4], [21.242, 49.442], [21.26, 49.449], [21.332, 49.429], [21.429, 49.41], [21.483, 49.415], [21.498, 49.412], [21.53, 49.422], [21.602, 49.427], [21.62, 49.424], [21.66, 49.403], [21.692, 49.402], [21.71, 49.391], [21.757, 49.349], [21.8, 49.375], [21.818, 49.378], [21.84, 49.371], [21.876, 49.348], [21.93, 49.331], [21.966, 49.309], [21.994, 49.278], [22.012, 49.211], [22.041, 49.197], [22.113, 49.189], [22.156, 49.172], [22.2, 49.172], [22.21, 49.163], [22.207, 49.145], [22.218, 49.14], [22.264, 49.131], [22.318, 49.131], [22.34, 49.126], [22.39, 49.093], [22.426, 49.086], [22.506, 49.084]]]
+  ] },
+  { code: 'HU', name: 'Hungary', polygons: [
+    [[[22.876, 47.946], [22.837, 47.902], [22.819, 47.892], [22.765, 47.875], [22.754, 47.862], [22.761, 47.84], [22.747, 47.824], [22.704, 47.818], [22.639, 47.772], [22.603, 47.76], [22.563, 47.757], [22.527, 47.76], [22.455, 47.787], [22.423, 47.782], [22.408, 47.743], [22.398, 47.735], [22.369, 47.732], [22.322, 47.737], [22.272, 47.723], [22.239, 47.693], [22.207, 47.674], [22.196, 47.639], [22.174, 47.615], [22.164, 47.586], [22.149, 47.58], [22.099, 47.571], [22.038, 47.539], [22.009, 47.517], [21.987, 47.493], [22.002, 47.428], [22.002, 47.394], [21.98, 47.367], [21.919, 47.35], [21.861, 47.298], [21.84, 47.24], [21.829, 47.227], [21.822, 47.203], [21.822, 47.173], [21.778, 47.141], [21.764, 47.105], [21.67, 47.054], [21.634, 47.022], [21.638, 47.014], [21.663, 47.005], [21.67, 46.994], [21.649, 46.943], [21.588, 46.906], [21.591, 46.86], [21.584, 46.848], [21.573, 46.842], [21.537, 46.835], [21.516, 46.821], [21.472, 46.756], [21.469, 46.744], [21.505, 46.723], [21.501, 46.703], [21.483, 46.685], [21.465, 46.676], [21.436, 46.675], [21.418, 46.646], [21.397, 46.626], [21.375, 46.619], [21.339, 46.62], [21.318, 46.617], [21.3, 46.604], [21.292, 46.546], [21.26, 46.514], [21.249, 46.497], [21.246, 46.477], [21.274, 46.438], [21.282, 46.416], [21.256, 46.404], [21.195, 46.398], [21.177, 46.384], [21.163, 46.318], [21.145, 46.284], [21.134, 46.278], [21.105, 46.279], [21.098, 46.276], [21.051, 46.235], [21.033, 46.232], [21.001, 46.252], [20.961, 46.249], [20.907, 46.263], [20.875, 46.254], [20.839, 46.271], [20.799, 46.268], [20.778, 46.261], [20.738, 46.237], [20.734, 46.222], [20.745, 46.192], [20.738, 46.187], [20.709, 46.188], [20.698, 46.156], [20.684, 46.144], [20.662, 46.138], [20.601, 46.129], [20.587, 46.132], [20.547, 46.156], [20.468, 46.175], [20.443, 46.148], [20.284, 46.144], [20.241, 46.109], [20.187, 46.141], [20.169, 46.146], [20.137, 46.136], [20.115, 46.153], [20.097, 46.154], [20.036, 46.143], [19.993, 46.16], [19.928, 46.163], [19.888, 46.158], [19.791, 46.129], [19.773, 46.131], [19.712, 46.16], [19.669, 46.173], [19.647, 46.175], [19.55, 46.165], [19.503, 46.146], [19.489, 46.134], [19.5, 46.109], [19.474, 46.099], [19.453, 46.077], [19.438, 46.068], [19.406, 46.06], [19.377, 46.033], [19.327, 46.029], [19.298, 46.023], [19.287, 46.016], [19.276, 45.992], [19.262, 45.982], [19.237, 45.977], [19.147, 45.984], [19.125, 45.992], [19.111, 46.013], [19.089, 46.019], [19.064, 46.013], [19.05, 45.992], [19.05, 45.964], [19.006, 45.962], [18.978, 45.947], [18.988, 45.923], [18.902, 45.932], [18.888, 45.93], [18.866, 45.918], [18.844, 45.915], [18.83, 45.906], [18.805, 45.913], [18.787, 45.888], [18.776, 45.883], [18.675, 45.91], [18.657, 45.908], [18.632, 45.893], [18.625, 45.869], [18.607, 45.857], [18.574, 45.817], [18.531, 45.791], [18.506, 45.785], [18.481, 45.791], [18.412, 45.742], [18.384, 45.742], [18.366, 45.758], [18.351, 45.758], [18.319, 45.747], [18.301, 45.753], [18.283, 45.764], [18.261, 45.764], [18.229, 45.781], [18.211, 45.785], [18.128, 45.785], [18.092, 45.771], [18.081, 45.771], [17.977, 45.791], [17.89, 45.791], [17.88, 45.788], [17.869, 45.773], [17.858, 45.771], [17.84, 45.8], [17.808, 45.815], [17.656, 45.845], [17.646, 45.891], [17.592, 45.937], [17.556, 45.948], [17.426, 45.957], [17.408, 45.943], [17.401, 45.96], [17.39, 45.964], [17.347, 45.955], [17.34, 45.984], [17.329, 45.972], [17.289, 45.984], [17.289, 45.991], [17.318, 45.997], [17.307, 46.006], [17.275, 46.013], [17.25, 46.08], [17.21, 46.117], [17.116, 46.122], [17.052, 46.153], [17.037, 46.173], [16.976, 46.21], [16.94, 46.251], [16.89, 46.293], [16.872, 46.327], [16.875, 46.344], [16.861, 46.366], [16.839, 46.382], [16.832, 46.382], [16.828, 46.374], [16.814, 46.386], [16.771, 46.396], [16.764, 46.382], [16.756, 46.382], [16.742, 46.399], [16.713, 46.413], [16.659, 46.463], [16.638, 46.475], [16.594, 46.484], [16.587, 46.48], [16.584, 46.47], [16.576, 46.47], [16.566, 46.48], [16.515, 46.502], [16.501, 46.545], [16.468, 46.565], [16.429, 46.604], [16.375, 46.629], [16.368, 46.642], [16.378, 46.653], [16.411, 46.668], [16.404, 46.688], [16.389, 46.695], [16.371, 46.695], [16.357, 46.7], [16.357, 46.715], [16.342, 46.713], [16.314, 46.744], [16.299, 46.772], [16.303, 46.788], [16.332, 46.835], [16.324, 46.84], [16.31, 46.84], [16.27, 46.864], [16.137, 46.855], [16.094, 46.862], [16.123, 46.877], [16.17, 46.919], [16.224, 46.941], [16.231, 46.948], [16.234, 46.967], [16.26, 46.978], [16.274, 47.004], [16.389, 47.002], [16.414, 46.989], [16.425, 46.994], [16.486, 46.999], [16.483, 47.009], [16.468, 47.019], [16.425, 47.024], [16.436, 47.032], [16.494, 47.049], [16.494, 47.06], [16.461, 47.068], [16.454, 47.081], [16.461, 47.097], [16.483, 47.105], [16.504, 47.125], [16.508, 47.137], [16.497, 47.149], [16.479, 47.151], [16.447, 47.139], [16.432, 47.146], [16.443, 47.178], [16.414, 47.188], [16.411, 47.203], [16.425, 47.225], [16.422, 47.244], [16.468, 47.264], [16.472, 47.277], [16.468, 47.293], [16.44, 47.336], [16.425, 47.345], [16.425, 47.352], [16.436, 47.355], [16.432, 47.397], [16.443, 47.409], [16.458, 47.412], [16.483, 47.392], [16.591, 47.426], [16.641, 47.453], [16.638, 47.493], [16.648, 47.502], [16.677, 47.51], [16.688, 47.522], [16.688, 47.537], [16.681, 47.551], [16.652, 47.566], [16.656, 47.586], [16.648, 47.607], [16.63, 47.622], [16.609, 47.629], [16.576, 47.625], [16.508, 47.644], [16.483, 47.639], [16.407, 47.661], [16.44, 47.691], [16.45, 47.683], [16.461, 47.684], [16.522, 47.711], [16.53, 47.743], [16.569, 47.754], [16.609, 47.75], [16.692, 47.73], [16.702, 47.723], [16.731, 47.686], [16.742, 47.681], [16.796, 47.676], [16.818, 47.684], [16.85, 47.713], [16.864, 47.686], [16.904, 47.683], [17.077, 47.708], [17.062, 47.713], [17.052, 47.732], [17.041, 47.801], [17.055, 47.813], [17.041, 47.838], [17.012, 47.848], [17.005, 47.853], [17.005, 47.863], [17.052, 47.873], [17.077, 47.892], [17.088, 47.922], [17.073, 47.933], [17.088, 47.939], [17.095, 47.956], [17.084, 47.97], [17.149, 48.005], [17.185, 48.02], [17.271, 48.005], [17.34, 47.998], [17.368, 47.981], [17.473, 47.889], [17.527, 47.872], [17.559, 47.838], [17.574, 47.83], [17.606, 47.835], [17.66, 47.808], [17.678, 47.789], [17.743, 47.765], [17.826, 47.75], [18.114, 47.762], [18.236, 47.754], [18.272, 47.757], [18.348, 47.777], [18.553, 47.792], [18.596, 47.791], [18.664, 47.775], [18.693, 47.777], [18.718, 47.787], [18.751, 47.814], [18.769, 47.823], [18.816, 47.833], [18.747, 47.87], [18.744, 47.911], [18.754, 47.951], [18.744, 47.971], [18.765, 47.985], [18.794, 47.993], [18.823, 48.03], [18.837, 48.041], [18.996, 48.066], [19.039, 48.064], [19.1, 48.071], [19.222, 48.061], [19.294, 48.088], [19.428, 48.086], [19.482, 48.112], [19.482, 48.135], [19.514, 48.204], [19.532, 48.211], [19.622, 48.226], [19.644, 48.225], [19.687, 48.198], [19.734, 48.203], [19.755, 48.201], [19.773, 48.186], [19.766, 48.159], [19.777, 48.15], [19.784, 48.149], [19.82, 48.157], [19.845, 48.152], [19.885, 48.13], [19.906, 48.125], [19.928, 48.13], [19.975, 48.159], [20.097, 48.198], [20.133, 48.247], [20.169, 48.243], [20.23, 48.27], [20.274, 48.252], [20.295, 48.26], [20.324, 48.28], [20.371, 48.334], [20.421, 48.429], [20.482, 48.478], [20.482, 48.527], [20.511, 48.534], [20.572, 48.537], [20.799, 48.569], [20.817, 48.564], [20.846, 48.545], [20.893, 48.54], [20.947, 48.518], [21.037, 48.515], [21.066, 48.507], [21.084, 48.493], [21.109, 48.49], [21.188, 48.513], [21.22, 48.518], [21.26, 48.503], [21.278, 48.508], [21.303, 48.54], [21.321, 48.547], [21.372, 48.551], [21.426, 48.561], [21.44, 48.559], [21.498, 48.535], [21.523, 48.5], [21.537, 48.495], [21.591, 48.493], [21.602, 48.481], [21.62, 48.429], [21.678, 48.372], [21.728, 48.341], [21.76, 48.334], [21.789, 48.336], [21.84, 48.353], [21.883, 48.358], [21.93, 48.373], [22.02, 48.38], [22.077, 48.377], [22.095, 48.38], [22.113, 48.388], [22.131, 48.405], [22.16, 48.402], [22.203, 48.419], [22.236, 48.415], [22.272, 48.404], [22.257, 48.373], [22.257, 48.358], [22.29, 48.358], [22.3, 48.35], [22.297, 48.314], [22.308, 48.294], [22.358, 48.243], [22.365, 48.238], [22.38, 48.238], [22.398, 48.245], [22.434, 48.236], [22.47, 48.245], [22.48, 48.243], [22.556, 48.177], [22.606, 48.096], [22.621, 48.101], [22.693, 48.101], [22.747, 48.117], [22.765, 48.105], [22.801, 48.091], [22.83, 48.073], [22.855, 48.047], [22.862, 48.029], [22.851, 48.008], [22.851, 47.993], [22.833, 47.978], [22.84, 47.966]]]
+  ] },
+  { code: 'SI', name: 'Slovenia', polygons: [
+    [[[13.588, 45.489], [13.596, 45.518], [13.578, 45.523], [13.57, 45.54], [13.588, 45.536], [13.754, 45.553], [13.743, 45.57], [13.711, 45.594], [13.761, 45.596], [13.801, 45.582], [13.848, 45.585], [13.887, 45.619], [13.894, 45.634], [13.884, 45.634], [13.858, 45.65], [13.779, 45.744], [13.711, 45.766], [13.66, 45.791], [13.61, 45.798], [13.581, 45.81], [13.574, 45.818], [13.567, 45.83], [13.57, 45.864], [13.61, 45.926], [13.624, 45.967], [13.606, 45.986], [13.57, 45.981], [13.538, 45.969], [13.509, 45.967], [13.462, 46.006], [13.491, 46.026], [13.491, 46.04], [13.484, 46.045], [13.506, 46.067], [13.617, 46.126], [13.646, 46.161], [13.639, 46.18], [13.56, 46.185], [13.531, 46.205], [13.47, 46.224], [13.423, 46.229], [13.437, 46.21], [13.408, 46.208], [13.398, 46.23], [13.383, 46.244], [13.38, 46.268], [13.365, 46.29], [13.39, 46.301], [13.434, 46.354], [13.459, 46.359], [13.531, 46.389], [13.599, 46.443], [13.66, 46.445], [13.678, 46.452], [13.689, 46.469], [13.689, 46.494], [13.7, 46.506], [13.7, 46.519], [13.783, 46.507], [13.862, 46.516], [13.891, 46.512], [13.981, 46.482], [13.999, 46.48], [14.031, 46.485], [14.067, 46.48], [14.146, 46.44], [14.362, 46.436], [14.406, 46.44], [14.42, 46.425], [14.452, 46.414], [14.503, 46.418], [14.539, 46.379], [14.557, 46.384], [14.575, 46.42], [14.589, 46.435], [14.632, 46.44], [14.661, 46.46], [14.679, 46.458], [14.708, 46.492], [14.726, 46.497], [14.737, 46.494], [14.762, 46.496], [14.784, 46.504], [14.809, 46.536], [14.834, 46.585], [14.852, 46.602], [14.899, 46.605], [14.935, 46.62], [14.949, 46.619], [14.967, 46.6], [15.003, 46.637], [15.061, 46.649], [15.205, 46.639], [15.388, 46.646], [15.464, 46.615], [15.493, 46.619], [15.511, 46.629], [15.532, 46.664], [15.547, 46.671], [15.568, 46.676], [15.604, 46.673], [15.622, 46.678], [15.633, 46.69], [15.637, 46.717], [15.651, 46.71], [15.756, 46.703], [15.824, 46.723], [15.849, 46.725], [15.878, 46.72], [15.946, 46.696], [15.986, 46.691], [16.018, 46.671], [16.015, 46.693], [16.004, 46.71], [15.982, 46.718], [15.972, 46.744], [15.968, 46.761], [15.979, 46.81], [15.972, 46.821], [15.986, 46.83], [16.029, 46.837], [16.094, 46.862], [16.137, 46.855], [16.27, 46.864], [16.31, 46.84], [16.324, 46.84], [16.332, 46.835], [16.303, 46.788], [16.299, 46.772], [16.314, 46.744], [16.342, 46.713], [16.357, 46.715], [16.357, 46.7], [16.371, 46.695], [16.389, 46.695], [16.404, 46.688], [16.411, 46.668], [16.378, 46.653], [16.368, 46.642], [16.375, 46.629], [16.429, 46.604], [16.468, 46.565], [16.501, 46.545], [16.515, 46.502], [16.483, 46.519], [16.44, 46.519], [16.407, 46.539], [16.382, 46.539], [16.357, 46.546], [16.35, 46.539], [16.342, 46.546], [16.332, 46.536], [16.26, 46.514], [16.234, 46.494], [16.249, 46.438], [16.249, 46.413], [16.256, 46.399], [16.274, 46.393], [16.281, 46.376], [16.209, 46.367], [16.177, 46.376], [16.144, 46.394], [16.13, 46.393], [16.105, 46.374], [16.058, 46.377], [16.058, 46.332], [16.04, 46.308], [15.997, 46.291], [15.95, 46.284], [15.885, 46.259], [15.817, 46.256], [15.788, 46.242], [15.77, 46.219], [15.748, 46.21], [15.662, 46.215], [15.64, 46.208], [15.622, 46.192], [15.59, 46.139], [15.59, 46.114], [15.604, 46.09], [15.622, 46.077], [15.644, 46.065], [15.673, 46.058], [15.698, 46.036], [15.673, 45.994], [15.676, 45.925], [15.658, 45.889], [15.676, 45.856], [15.676, 45.842], [15.666, 45.832], [15.626, 45.82], [15.586, 45.818], [15.525, 45.827], [15.486, 45.81], [15.45, 45.815], [15.439, 45.812], [15.435, 45.802], [15.442, 45.783], [15.428, 45.775], [15.306, 45.746], [15.262, 45.731], [15.255, 45.724], [15.248, 45.712], [15.27, 45.699], [15.277, 45.685], [15.291, 45.675], [15.306, 45.672], [15.316, 45.682], [15.334, 45.683], [15.374, 45.639], [15.352, 45.641], [15.298, 45.626], [15.288, 45.611], [15.27, 45.602], [15.298, 45.523], [15.313, 45.506], [15.363, 45.482], [15.324, 45.452], [15.28, 45.45], [15.183, 45.425], [15.14, 45.43], [15.057, 45.481], [15.007, 45.481], [14.985, 45.491], [14.964, 45.493], [14.924, 45.514], [14.906, 45.514], [14.902, 45.493], [14.881, 45.471], [14.838, 45.459], [14.798, 45.466], [14.78, 45.493], [14.69, 45.521], [14.668, 45.535], [14.672, 45.557], [14.665, 45.57], [14.614, 45.594], [14.593, 45.616], [14.593, 45.663], [14.582, 45.668], [14.564, 45.663], [14.542, 45.636], [14.506, 45.606], [14.492, 45.584], [14.488, 45.557], [14.47, 45.526], [14.413, 45.493], [14.373, 45.477], [14.326, 45.476], [14.28, 45.481], [14.218, 45.498], [14.146, 45.476], [14.092, 45.474], [14.067, 45.481], [14.013, 45.508], [13.974, 45.514], [13.963, 45.504], [13.963, 45.493], [13.984, 45.476], [13.97, 45.462], [13.923, 45.449], [13.891, 45.423], [13.819, 45.433], [13.758, 45.464], [13.628, 45.459]]]
+  ] },
+  { code: 'HR', name: 'Croatia', polygons: [
+    [[[16.515, 46.502], [16.566, 46.48], [16.576, 46.47], [16.584, 46.47], [16.587, 46.48], [16.594, 46.484], [16.638, 46.475], [16.659, 46.463], [16.713, 46.413], [16.742, 46.399], [16.756, 46.382], [16.764, 46.382], [16.771, 46.396], [16.814, 46.386], [16.828, 46.374], [16.832, 46.382], [16.839, 46.382], [16.861, 46.366], [16.875, 46.344], [16.872, 46.327], [16.89, 46.293], [16.94, 46.251], [16.976, 46.21], [17.037, 46.173], [17.052, 46.153], [17.116, 46.122], [17.21, 46.117], [17.25, 46.08], [17.275, 46.013], [17.307, 46.006], [17.318, 45.997], [17.289, 45.991], [17.289, 45.984], [17.329, 45.972], [17.34, 45.984], [17.347, 45.955], [17.39, 45.964], [17.401, 45.96], [17.408, 45.943], [17.426, 45.957], [17.556, 45.948], [17.592, 45.937], [17.646, 45.891], [17.656, 45.845], [17.808, 45.815], [17.84, 45.8], [17.858, 45.771], [17.869, 45.773], [17.88, 45.788], [17.89, 45.791], [17.977, 45.791], [18.081, 45.771], [18.092, 45.771], [18.128, 45.785], [18.211, 45.785], [18.229, 45.781], [18.261, 45.764], [18.283, 45.764], [18.301, 45.753], [18.319, 45.747], [18.351, 45.758], [18.366, 45.758], [18.384, 45.742], [18.412, 45.742], [18.481, 45.791], [18.506, 45.785], [18.531, 45.791], [18.574, 45.817], [18.607, 45.857], [18.625, 45.869], [18.632, 45.893], [18.657, 45.908], [18.675, 45.91], [18.776, 45.883], [18.787, 45.888], [18.805, 45.913], [18.83, 45.906], [18.844, 45.915], [18.866, 45.918], [18.888, 45.93], [18.902, 45.932], [18.906, 45.916], [18.873, 45.894], [18.906, 45.876], [18.906, 45.867], [18.898, 45.861], [18.855, 45.857], [18.852, 45.823], [18.844, 45.815], [18.898, 45.764], [18.916, 45.707], [18.963, 45.683], [18.967, 45.668], [18.934, 45.633], [18.913, 45.619], [18.902, 45.574], [18.913, 45.569], [18.942, 45.538], [18.96, 45.54], [18.985, 45.555], [19.017, 45.567], [19.028, 45.563], [19.05, 45.538], [19.096, 45.526], [19.107, 45.511], [19.078, 45.491], [19.01, 45.499], [18.996, 45.474], [19.003, 45.455], [19.032, 45.433], [19.039, 45.422], [19.028, 45.411], [18.978, 45.395], [19.003, 45.366], [19.021, 45.357], [19.093, 45.351], [19.1, 45.32], [19.125, 45.298], [19.161, 45.285], [19.363, 45.248], [19.377, 45.229], [19.399, 45.224], [19.41, 45.204], [19.406, 45.18], [19.392, 45.17], [19.305, 45.167], [19.287, 45.18], [19.269, 45.167], [19.226, 45.162], [19.186, 45.168], [19.154, 45.195], [19.143, 45.199], [19.122, 45.195], [19.143, 45.162], [19.136, 45.146], [19.114, 45.143], [19.06, 45.146], [19.046, 45.138], [19.046, 45.128], [19.071, 45.108], [19.082, 45.086], [19.096, 45.021], [19.086, 44.978], [19.096, 44.971], [19.118, 44.976], [19.129, 44.969], [19.132, 44.954], [19.125, 44.945], [19.104, 44.939], [19.089, 44.92], [19.068, 44.905], [19.053, 44.907], [19.032, 44.923], [19.017, 44.925], [18.992, 44.915], [18.996, 44.895], [19.017, 44.866], [19.006, 44.863], [18.891, 44.861], [18.859, 44.868], [18.819, 44.888], [18.783, 44.913], [18.772, 44.942], [18.78, 44.952], [18.801, 44.964], [18.805, 44.974], [18.794, 44.984], [18.79, 45.006], [18.751, 45.013], [18.726, 45.026], [18.69, 45.081], [18.679, 45.087], [18.664, 45.082], [18.661, 45.07], [18.65, 45.062], [18.632, 45.072], [18.618, 45.097], [18.61, 45.101], [18.582, 45.091], [18.549, 45.094], [18.535, 45.091], [18.542, 45.055], [18.517, 45.055], [18.466, 45.074], [18.43, 45.102], [18.394, 45.119], [18.322, 45.123], [18.24, 45.158], [18.214, 45.153], [18.204, 45.145], [18.2, 45.119], [18.193, 45.109], [18.175, 45.101], [18.153, 45.097], [18.132, 45.097], [18.092, 45.108], [18.034, 45.143], [18.02, 45.15], [18.002, 45.15], [17.988, 45.143], [17.912, 45.081], [17.836, 45.064], [17.815, 45.07], [17.797, 45.082], [17.743, 45.133], [17.685, 45.163], [17.653, 45.165], [17.631, 45.158], [17.574, 45.121], [17.484, 45.114], [17.498, 45.141], [17.462, 45.131], [17.448, 45.135], [17.458, 45.151], [17.444, 45.162], [17.433, 45.148], [17.383, 45.14], [17.268, 45.19], [17.246, 45.155], [17.199, 45.153], [17.188, 45.148], [17.124, 45.168], [17.055, 45.2], [17.037, 45.231], [17.008, 45.216], [17.008, 45.244], [16.998, 45.231], [16.976, 45.248], [16.962, 45.251], [16.969, 45.238], [16.947, 45.236], [16.94, 45.241], [16.944, 45.249], [16.926, 45.285], [16.897, 45.268], [16.854, 45.227], [16.839, 45.224], [16.825, 45.205], [16.825, 45.189], [16.81, 45.182], [16.785, 45.178], [16.587, 45.221], [16.53, 45.222], [16.483, 45.199], [16.436, 45.133], [16.389, 45.118], [16.382, 45.108], [16.382, 45.084], [16.357, 45.048], [16.342, 45.006], [16.317, 45.001], [16.278, 45.008], [16.213, 45.032], [16.123, 45.096], [16.105, 45.113], [16.069, 45.17], [16.026, 45.184], [16.029, 45.205], [16.022, 45.214], [16.008, 45.219], [15.975, 45.216], [15.878, 45.217], [15.824, 45.211], [15.792, 45.19], [15.781, 45.168], [15.781, 45.086], [15.756, 45.042], [15.756, 45.023], [15.766, 44.993], [15.763, 44.976], [15.738, 44.945], [15.73, 44.927], [15.734, 44.902], [15.774, 44.846], [15.77, 44.827], [15.73, 44.817], [15.716, 44.804], [15.716, 44.787], [15.727, 44.77], [15.752, 44.739], [15.784, 44.723], [15.806, 44.697], [15.856, 44.704], [15.878, 44.724], [15.889, 44.724], [15.914, 44.684], [15.936, 44.689], [15.946, 44.679], [15.968, 44.64], [16.029, 44.625], [16.044, 44.589], [16.015, 44.557], [16.008, 44.54], [16.026, 44.525], [16.047, 44.523], [16.083, 44.535], [16.105, 44.532], [16.116, 44.522], [16.159, 44.417], [16.155, 44.393], [16.137, 44.385], [16.137, 44.378], [16.141, 44.381], [16.17, 44.376], [16.191, 44.368], [16.206, 44.351], [16.188, 44.297], [16.188, 44.282], [16.216, 44.208], [16.274, 44.157], [16.328, 44.083], [16.368, 44.059], [16.414, 44.056], [16.44, 44.013], [16.483, 44.003], [16.501, 43.993], [16.555, 43.937], [16.605, 43.902], [16.638, 43.868], [16.677, 43.841], [16.688, 43.809], [16.713, 43.772], [16.825, 43.708], [17.062, 43.527], [17.084, 43.514], [17.142, 43.49], [17.239, 43.478], [17.271, 43.463], [17.286, 43.438], [17.268, 43.353], [17.289, 43.304], [17.329, 43.26], [17.401, 43.216], [17.426, 43.166], [17.44, 43.152], [17.588, 43.083], [17.628, 43.046], [17.66, 42.993], [17.664, 42.966], [17.635, 42.951], [17.581, 42.943], [17.548, 42.955], [17.534, 42.951], [17.498, 42.971], [17.487, 42.983], [17.469, 43.014], [17.502, 43.031], [17.487, 43.036], [17.433, 43.017], [17.462, 43.031], [17.433, 43.036], [17.426, 43.044], [17.433, 43.051], [17.426, 43.064], [17.404, 43.051], [17.372, 43.074], [17.318, 43.127], [17.174, 43.183], [17.113, 43.213], [17.109, 43.226], [17.102, 43.232], [17.073, 43.238], [17.055, 43.257], [17.048, 43.279], [17.026, 43.284], [16.933, 43.373], [16.882, 43.405], [16.753, 43.419], [16.695, 43.438], [16.627, 43.449], [16.533, 43.497], [16.533, 43.505], [16.526, 43.51], [16.504, 43.503], [16.465, 43.51], [16.393, 43.51], [16.393, 43.517], [16.436, 43.522], [16.458, 43.529], [16.472, 43.539], [16.458, 43.546], [16.432, 43.549], [16.335, 43.551], [16.306, 43.541], [16.238, 43.527], [16.119, 43.525], [16.119, 43.517], [16.152, 43.512], [16.166, 43.503], [16.173, 43.49], [16.112, 43.49], [16.112, 43.48], [16.04, 43.492], [16.015, 43.503], [16.008, 43.503], [16.008, 43.497], [15.997, 43.503], [15.975, 43.503], [15.968, 43.51], [15.961, 43.503], [15.961, 43.515], [15.982, 43.52], [15.986, 43.546], [15.961, 43.539], [15.957, 43.547], [15.925, 43.559], [15.943, 43.561], [15.943, 43.568], [15.936, 43.573], [15.918, 43.573], [15.918, 43.579], [15.932, 43.586], [15.918, 43.593], [15.925, 43.6], [15.918, 43.606], [15.925, 43.613], [15.918, 43.628], [15.928, 43.633], [15.968, 43.633], [15.968, 43.642], [15.903, 43.649], [15.918, 43.654], [15.954, 43.65], [15.943, 43.664], [15.932, 43.669], [15.946, 43.672], [15.954, 43.679], [15.95, 43.689], [15.939, 43.696], [15.939, 43.677], [15.932, 43.677], [15.892, 43.701], [15.871, 43.703], [15.846, 43.73], [15.802, 43.747], [15.792, 43.755], [15.77, 43.76], [15.705, 43.763], [15.684, 43.797], [15.633, 43.811], [15.619, 43.826], [15.662, 43.812], [15.68, 43.812], [15.68, 43.819], [15.666, 43.819], [15.64, 43.836], [15.576, 43.86], [15.547, 43.877], [15.511, 43.91], [15.457, 43.927], [15.36, 44.025], [15.32, 44.045], [15.234, 44.121], [15.212, 44.132], [15.212, 44.148], [15.144, 44.196], [15.162, 44.213], [15.133, 44.255], [15.111, 44.265], [15.122, 44.275], [15.14, 44.282], [15.158, 44.28], [15.176, 44.25], [15.198, 44.256], [15.208, 44.273], [15.187, 44.285], [15.194, 44.289], [15.208, 44.285], [15.198, 44.302], [15.248, 44.278], [15.28, 44.251], [15.295, 44.251], [15.28, 44.285], [15.291, 44.287], [15.302, 44.299], [15.288, 44.302], [15.277, 44.311], [15.262, 44.332], [15.28, 44.327], [15.309, 44.309], [15.338, 44.302], [15.424, 44.268], [15.525, 44.26], [15.529, 44.272], [15.514, 44.278], [15.45, 44.285], [15.414, 44.317], [15.309, 44.354], [15.154, 44.466], [15.079, 44.537], [15.054, 44.545], [15.007, 44.571], [14.902, 44.69], [14.884, 44.724], [14.895, 44.736], [14.895, 44.751], [14.884, 44.788], [14.881, 44.844], [14.92, 44.959], [14.913, 44.981], [14.856, 45.077], [14.852, 45.094], [14.827, 45.114], [14.766, 45.138], [14.658, 45.197], [14.607, 45.244], [14.575, 45.263], [14.568, 45.276], [14.582, 45.285], [14.535, 45.314], [14.557, 45.297], [14.553, 45.288], [14.542, 45.283], [14.532, 45.283], [14.51, 45.3], [14.402, 45.339], [14.362, 45.344], [14.33, 45.354], [14.312, 45.344], [14.29, 45.32], [14.258, 45.256], [14.247, 45.187], [14.236, 45.155], [14.208, 45.126], [14.179, 45.135], [14.197, 45.121], [14.193, 45.106], [14.164, 45.081], [14.157, 45.087], [14.157, 45.053], [14.143, 45.059], [14.143, 45.053], [14.161, 45.04], [14.168, 45.02], [14.164, 44.996], [14.139, 44.971], [14.114, 44.978], [14.1, 44.974], [14.074, 44.949], [14.067, 44.949], [14.071, 44.969], [14.085, 44.986], [14.074, 45.005], [14.053, 45.018], [14.053, 45.038], [14.042, 45.038], [14.046, 45.026], [14.038, 45.01], [14.046, 45.001], [14.071, 44.993], [14.074, 44.984], [14.046, 44.952], [14.035, 44.956], [14.042, 44.94], [14.035, 44.922], [14.024, 44.923], [14.028, 44.908], [14.02, 44.907], [14.02, 44.902], [14.01, 44.905], [13.974, 44.902], [13.992, 44.881], [13.992, 44.868], [13.974, 44.847], [13.974, 44.827], [13.988, 44.826], [13.999, 44.814], [13.945, 44.814], [13.93, 44.82], [13.93, 44.815], [13.923, 44.814], [13.92, 44.829], [13.898, 44.829], [13.891, 44.834], [13.884, 44.827], [13.905, 44.817], [13.905, 44.799], [13.912, 44.782], [13.92, 44.778], [13.902, 44.773], [13.898, 44.814], [13.848, 44.827], [13.855, 44.841], [13.844, 44.841], [13.844, 44.854], [13.815, 44.856], [13.786, 44.874], [13.794, 44.881], [13.804, 44.871], [13.819, 44.868], [13.833, 44.873], [13.844, 44.888], [13.815, 44.883], [13.804, 44.885], [13.794, 44.895], [13.794, 44.902], [13.808, 44.915], [13.776, 44.964], [13.732, 44.994], [13.682, 45.047], [13.66, 45.062], [13.624, 45.074], [13.635, 45.094], [13.614, 45.118], [13.639, 45.129], [13.725, 45.135], [13.707, 45.141], [13.682, 45.143], [13.635, 45.141], [13.614, 45.136], [13.599, 45.138], [13.596, 45.145], [13.599, 45.172], [13.588, 45.175], [13.596, 45.187], [13.581, 45.197], [13.581, 45.202], [13.596, 45.212], [13.588, 45.231], [13.596, 45.251], [13.588, 45.259], [13.574, 45.265], [13.585, 45.276], [13.603, 45.28], [13.603, 45.285], [13.578, 45.298], [13.574, 45.307], [13.61, 45.32], [13.563, 45.327], [13.542, 45.346], [13.542, 45.357], [13.556, 45.361], [13.556, 45.368], [13.542, 45.376], [13.513, 45.437], [13.52, 45.44], [13.52, 45.457], [13.506, 45.484], [13.506, 45.511], [13.57, 45.491], [13.588, 45.489], [13.628, 45.459], [13.758, 45.464], [13.819, 45.433], [13.891, 45.423], [13.923, 45.449], [13.97, 45.462], [13.984, 45.476], [13.963, 45.493], [13.963, 45.504], [13.974, 45.514], [14.013, 45.508], [14.067, 45.481], [14.092, 45.474], [14.146, 45.476], [14.218, 45.498], [14.28, 45.481], [14.326, 45.476], [14.373, 45.477], [14.413, 45.493], [14.47, 45.526], [14.488, 45.557], [14.492, 45.584], [14.506, 45.606], [14.542, 45.636], [14.564, 45.663], [14.582, 45.668], [14.593, 45.663], [14.593, 45.616], [14.614, 45.594], [14.665, 45.57], [14.672, 45.557], [14.668, 45.535], [14.69, 45.521], [14.78, 45.493], [14.798, 45.466], [14.838, 45.459], [14.881, 45.471], [14.902, 45.493], [14.906, 45.514], [14.924, 45.514], [14.964, 45.493], [14.985, 45.491], [15.007, 45.481], [15.057, 45.481], [15.14, 45.43], [15.183, 45.425], [15.28, 45.45], [15.324, 45.452], [15.363, 45.482], [15.313, 45.506], [15.298, 45.523], [15.27, 45.602], [15.288, 45.611], [15.298, 45.626], [15.352, 45.641], [15.374, 45.639], [15.334, 45.683], [15.316, 45.682], [15.306, 45.672], [15.291, 45.675], [15.277, 45.685], [15.27, 45.699], [15.248, 45.712], [15.255, 45.724], [15.262, 45.731], [15.306, 45.746], [15.428, 45.775], [15.442, 45.783], [15.435, 45.802], [15.439, 45.812], [15.45, 45.815], [15.486, 45.81], [15.525, 45.827], [15.586, 45.818], [15.626, 45.82], [15.666, 45.832], [15.676, 45.842], [15.676, 45.856], [15.658, 45.889], [15.676, 45.925], [15.673, 45.994], [15.698, 46.036], [15.673, 46.058], [15.644, 46.065], [15.622, 46.077], [15.604, 46.09], [15.59, 46.114], [15.59, 46.139], [15.622, 46.192], [15.64, 46.208], [15.662, 46.215], [15.748, 46.21], [15.77, 46.219], [15.788, 46.242], [15.817, 46.256], [15.885, 46.259], [15.95, 46.284], [15.997, 46.291], [16.04, 46.308], [16.058, 46.332], [16.058, 46.377], [16.105, 46.374], [16.13, 46.393], [16.144, 46.394], [16.177, 46.376], [16.209, 46.367], [16.281, 46.376], [16.274, 46.393], [16.256, 46.399], [16.249, 46.413], [16.249, 46.438], [16.234, 46.494], [16.26, 46.514], [16.332, 46.536], [16.342, 46.546], [16.35, 46.539], [16.357, 46.546], [16.382, 46.539], [16.407, 46.539], [16.44, 46.519], [16.483, 46.519]]],
+    [[[18.438, 42.559], [18.438, 42.494], [18.466, 42.453], [18.492, 42.443], [18.499, 42.431], [18.495, 42.416], [18.474, 42.441], [18.412, 42.462], [18.412, 42.477], [18.24, 42.559], [18.222, 42.58], [18.225, 42.615], [18.218, 42.62], [18.168, 42.627], [18.124, 42.644], [18.078, 42.651], [18.063, 42.657], [18.056, 42.668], [18.078, 42.668], [18.056, 42.683], [18.042, 42.701], [18.027, 42.691], [18.002, 42.701], [17.962, 42.73], [17.901, 42.752], [17.88, 42.769], [17.894, 42.791], [17.865, 42.789], [17.836, 42.808], [17.808, 42.813], [17.786, 42.806], [17.779, 42.798], [17.721, 42.826], [17.75, 42.803], [17.761, 42.779], [17.754, 42.771], [17.75, 42.791], [17.728, 42.801], [17.678, 42.816], [17.635, 42.823], [17.581, 42.841], [17.527, 42.848], [17.44, 42.874], [17.444, 42.899], [17.419, 42.911], [17.35, 42.923], [17.271, 42.963], [17.214, 42.983], [17.095, 42.985], [17.044, 42.995], [17.026, 43.004], [17.019, 43.014], [17.026, 43.031], [17.001, 43.051], [17.023, 43.049], [17.055, 43.029], [17.073, 43.024], [17.16, 43.031], [17.239, 43.022], [17.39, 42.978], [17.455, 42.943], [17.455, 42.933], [17.466, 42.921], [17.48, 42.923], [17.498, 42.912], [17.52, 42.907], [17.527, 42.923], [17.584, 42.901], [17.624, 42.892], [17.653, 42.874], [17.674, 42.875], [17.718, 42.845], [17.743, 42.84], [17.71, 42.857], [17.703, 42.868], [17.714, 42.88], [17.707, 42.887], [17.678, 42.879], [17.653, 42.89], [17.678, 42.916], [17.703, 42.919], [17.786, 42.901], [17.811, 42.911], [17.826, 42.889], [17.826, 42.853], [17.858, 42.818], [17.869, 42.811], [17.905, 42.804], [17.93, 42.791], [17.995, 42.74], [18.258, 42.615], [18.312, 42.602], [18.34, 42.602], [18.351, 42.597], [18.369, 42.573], [18.384, 42.566]]],
+    [[[16.857, 42.784], [16.922, 42.777], [16.933, 42.771], [16.936, 42.755], [16.926, 42.742], [16.904, 42.732], [16.886, 42.73], [16.882, 42.737], [16.857, 42.744], [16.846, 42.733], [16.836, 42.732], [16.821, 42.737], [16.81, 42.75], [16.821, 42.755], [16.825, 42.764], [16.818, 42.769], [16.803, 42.764], [16.81, 42.776]]],
+    [[[17.66, 42.744], [17.678, 42.73], [17.732, 42.713], [17.75, 42.695], [17.386, 42.771], [17.376, 42.76], [17.354, 42.767], [17.325, 42.791], [17.376, 42.803], [17.394, 42.801], [17.386, 42.801], [17.372, 42.791], [17.404, 42.789], [17.412, 42.784], [17.419, 42.791], [17.437, 42.782], [17.487, 42.782], [17.523, 42.765], [17.599, 42.75], [17.592, 42.744], [17.649, 42.738]]],
+    [[[17.131, 42.97], [17.163, 42.941], [17.199, 42.923], [17.192, 42.914], [17.174, 42.923], [17.109, 42.914], [17.016, 42.929], [16.972, 42.926], [16.9, 42.906], [16.85, 42.901], [16.692, 42.928], [16.674, 42.928], [16.674, 42.923], [16.656, 42.926], [16.638, 42.934], [16.706, 42.961], [16.706, 42.97], [16.63, 42.983], [16.652, 42.992], [16.674, 42.993], [16.72, 42.99], [16.767, 42.971], [16.825, 42.961], [16.879, 42.961], [16.915, 42.975], [17.034, 42.983], [17.113, 42.965]]],
+    [[[16.242, 43.073], [16.249, 43.08], [16.252, 43.078], [16.252, 43.063], [16.209, 43.034], [16.123, 43.014], [16.087, 43.012], [16.062, 43.017], [16.083, 43.026], [16.087, 43.041], [16.08, 43.053], [16.062, 43.051], [16.047, 43.064], [16.094, 43.083], [16.17, 43.088], [16.198, 43.08], [16.191, 43.073], [16.216, 43.08]]],
+    [[[16.692, 43.127], [16.67, 43.125], [16.558, 43.144], [16.447, 43.171], [16.371, 43.196], [16.382, 43.203], [16.414, 43.198], [16.44, 43.21], [16.447, 43.203], [16.461, 43.216], [16.461, 43.21], [16.497, 43.218], [16.555, 43.188], [16.584, 43.189], [16.519, 43.23], [16.562, 43.23], [16.584, 43.216], [16.605, 43.223], [16.659, 43.216], [16.692, 43.189], [16.695, 43.184], [16.688, 43.183], [16.706, 43.171], [16.728, 43.164], [16.846, 43.162], [16.864, 43.169], [16.879, 43.159], [16.897, 43.156], [16.958, 43.152], [17.019, 43.14], [17.109, 43.144], [17.156, 43.14], [17.192, 43.127]]],
+    [[[16.501, 43.284], [16.422, 43.318], [16.407, 43.333], [16.418, 43.324], [16.425, 43.324], [16.425, 43.331], [16.44, 43.333], [16.436, 43.346], [16.454, 43.353], [16.425, 43.394], [16.447, 43.395], [16.494, 43.382], [16.688, 43.377], [16.81, 43.353], [16.81, 43.346], [16.796, 43.346], [16.818, 43.34], [16.832, 43.346], [16.857, 43.324], [16.886, 43.323], [16.893, 43.313], [16.872, 43.287], [16.864, 43.292], [16.846, 43.274], [16.814, 43.267], [16.627, 43.264], [16.566, 43.27]]],
+    [[[16.393, 43.346], [16.375, 43.333], [16.35, 43.338], [16.281, 43.37], [16.231, 43.385], [16.206, 43.387], [16.206, 43.392], [16.213, 43.394], [16.202, 43.4], [16.202, 43.407], [16.206, 43.412], [16.22, 43.416], [16.278, 43.412], [16.299, 43.404], [16.303, 43.387], [16.332, 43.39]]],
+    [[[15.68, 43.649], [15.741, 43.628], [15.68, 43.64], [15.673, 43.637], [15.604, 43.674], [15.612, 43.682], [15.619, 43.676], [15.651, 43.672]]],
+    [[[15.262, 43.866], [15.266, 43.856], [15.342, 43.812], [15.396, 43.772], [15.327, 43.795], [15.309, 43.806], [15.288, 43.826], [15.248, 43.85], [15.226, 43.875], [15.241, 43.88]]],
+    [[[15.302, 43.966], [15.298, 43.978], [15.27, 44], [15.262, 44.012], [15.28, 44.012], [15.349, 43.976], [15.385, 43.969], [15.392, 43.942], [15.428, 43.922], [15.446, 43.887], [15.432, 43.893], [15.406, 43.897], [15.399, 43.909], [15.36, 43.919], [15.349, 43.929], [15.356, 43.936], [15.309, 43.958]]],
+    [[[15.255, 44.018], [15.223, 44.05], [15.208, 44.045], [15.198, 44.059], [15.19, 44.047], [15.122, 44.093], [15.068, 44.133], [15.075, 44.142], [15.061, 44.162], [15.226, 44.066], [15.248, 44.047]]],
+    [[[14.841, 44.148], [14.856, 44.152], [14.87, 44.14], [14.856, 44.137], [14.834, 44.142], [14.82, 44.153], [14.823, 44.169], [14.827, 44.159]]],
+    [[[15.144, 43.949], [15.216, 43.912], [15.219, 43.902], [15.194, 43.895], [15.147, 43.924], [15.133, 43.92], [15.144, 43.909], [15.183, 43.887], [15.198, 43.887], [15.194, 43.873], [15.122, 43.912], [15.043, 43.99], [15.003, 44.052], [14.956, 44.076], [14.87, 44.142], [14.863, 44.16], [14.848, 44.175], [14.863, 44.175], [14.938, 44.126], [14.953, 44.103], [14.992, 44.088], [15.007, 44.093], [15, 44.079], [15.021, 44.072], [15.028, 44.062], [15.032, 44.037], [15.09, 43.99], [15.1, 43.985], [15.115, 43.985]]],
+    [[[14.877, 44.56], [14.762, 44.658], [14.733, 44.704], [14.78, 44.67], [14.845, 44.601], [14.884, 44.579], [14.881, 44.609], [14.902, 44.609], [14.938, 44.594], [14.967, 44.574], [15.003, 44.537], [15.043, 44.527], [15.075, 44.484], [15.057, 44.486], [15.028, 44.503], [15.007, 44.505], [15.014, 44.518], [14.974, 44.537], [14.928, 44.552], [14.91, 44.552], [14.91, 44.545], [14.967, 44.523], [15.046, 44.439], [15.097, 44.415], [15.064, 44.437], [15.05, 44.456], [15.043, 44.476], [15.082, 44.462], [15.176, 44.392], [15.198, 44.381], [15.255, 44.339], [15.234, 44.336], [15.165, 44.368], [15.165, 44.361], [15.201, 44.349], [15.216, 44.338], [15.226, 44.326], [15.208, 44.326], [15.208, 44.321], [15.219, 44.312], [15.154, 44.331], [15.129, 44.332], [15.129, 44.326], [15.172, 44.305], [15.172, 44.299], [15.129, 44.312], [15.097, 44.339], [15.097, 44.346], [15.111, 44.346], [15.111, 44.354], [15.097, 44.361], [15.09, 44.375], [15.108, 44.375], [15.118, 44.386], [15.082, 44.402], [15.05, 44.395], [15.021, 44.43], [14.96, 44.466], [14.899, 44.491], [14.899, 44.496], [14.92, 44.505], [14.877, 44.552]]],
+    [[[14.445, 44.565], [14.528, 44.503], [14.535, 44.484], [14.514, 44.483], [14.438, 44.538], [14.438, 44.545], [14.467, 44.538], [14.424, 44.574], [14.406, 44.579], [14.398, 44.569], [14.388, 44.565], [14.373, 44.567], [14.362, 44.574], [14.362, 44.579], [14.37, 44.579], [14.366, 44.587], [14.384, 44.603], [14.377, 44.623], [14.348, 44.655], [14.337, 44.717], [14.38, 44.699], [14.398, 44.685], [14.391, 44.662], [14.409, 44.601]]],
+    [[[14.74, 44.778], [14.74, 44.77], [14.755, 44.758], [14.726, 44.768], [14.701, 44.765], [14.658, 44.799], [14.672, 44.8], [14.704, 44.792], [14.701, 44.814], [14.719, 44.799], [14.726, 44.799], [14.715, 44.819], [14.69, 44.837], [14.686, 44.847], [14.726, 44.841], [14.719, 44.854], [14.74, 44.854], [14.755, 44.846], [14.755, 44.836], [14.74, 44.827], [14.74, 44.82], [14.823, 44.771], [14.852, 44.738], [14.859, 44.717], [14.848, 44.704]]],
+    [[[14.514, 44.662], [14.506, 44.653], [14.51, 44.645], [14.514, 44.641], [14.528, 44.648], [14.535, 44.635], [14.514, 44.62], [14.474, 44.62], [14.427, 44.657], [14.395, 44.707], [14.398, 44.751], [14.384, 44.758], [14.373, 44.755], [14.362, 44.815], [14.355, 44.82], [14.344, 44.82], [14.33, 44.834], [14.316, 44.893], [14.294, 44.908], [14.301, 44.922], [14.294, 44.94], [14.301, 44.944], [14.326, 44.937], [14.359, 44.908], [14.388, 44.908], [14.398, 44.929], [14.388, 44.95], [14.391, 44.961], [14.406, 44.949], [14.413, 44.956], [14.391, 44.969], [14.377, 44.988], [14.348, 45.047], [14.287, 45.101], [14.28, 45.113], [14.276, 45.128], [14.312, 45.172], [14.334, 45.175], [14.355, 45.17], [14.362, 45.158], [14.362, 45.094], [14.388, 45.038], [14.416, 44.998], [14.467, 44.984], [14.474, 44.971], [14.463, 44.935], [14.452, 44.922], [14.46, 44.915], [14.449, 44.898], [14.452, 44.851], [14.467, 44.805], [14.452, 44.799], [14.474, 44.765], [14.467, 44.729], [14.474, 44.707]]],
+    [[[14.722, 44.944], [14.658, 44.971], [14.629, 44.978], [14.622, 45.045], [14.604, 45.038], [14.604, 45.032], [14.618, 45.025], [14.589, 45.023], [14.51, 45.032], [14.485, 45.038], [14.46, 45.052], [14.424, 45.087], [14.442, 45.099], [14.463, 45.101], [14.467, 45.124], [14.532, 45.135], [14.521, 45.148], [14.535, 45.162], [14.542, 45.178], [14.535, 45.202], [14.55, 45.211], [14.55, 45.231], [14.535, 45.238], [14.55, 45.249], [14.564, 45.249], [14.596, 45.238], [14.582, 45.238], [14.586, 45.224], [14.596, 45.217], [14.625, 45.175], [14.596, 45.167], [14.614, 45.16], [14.643, 45.156], [14.665, 45.162], [14.672, 45.143], [14.658, 45.108], [14.665, 45.087], [14.679, 45.077], [14.697, 45.074], [14.74, 45.074], [14.74, 45.045], [14.802, 45.005], [14.816, 44.978], [14.784, 44.969], [14.762, 44.978], [14.748, 44.971], [14.748, 44.964], [14.762, 44.956], [14.758, 44.949]]],
+    [[[16.31, 43.508], [16.375, 43.49], [16.371, 43.485], [16.332, 43.481], [16.281, 43.488], [16.245, 43.481], [16.213, 43.49], [16.22, 43.498], [16.245, 43.495], [16.252, 43.5], [16.249, 43.508], [16.263, 43.514]]],
+    [[[14.758, 44.292], [14.791, 44.273], [14.791, 44.267], [14.766, 44.265], [14.758, 44.26], [14.748, 44.262], [14.737, 44.272], [14.74, 44.28], [14.751, 44.28]]],
+    [[[14.614, 44.341], [14.643, 44.326], [14.661, 44.309], [14.658, 44.305], [14.64, 44.312], [14.6, 44.339], [14.596, 44.348]]],
+    [[[14.798, 44.378], [14.812, 44.349], [14.802, 44.343], [14.784, 44.348], [14.755, 44.365], [14.769, 44.385], [14.762, 44.415], [14.766, 44.417], [14.784, 44.419], [14.794, 44.415], [14.805, 44.395], [14.798, 44.388]]],
+    [[[14.244, 44.662], [14.265, 44.68], [14.28, 44.677], [14.276, 44.662], [14.258, 44.658], [14.258, 44.635], [14.272, 44.613], [14.265, 44.611], [14.24, 44.62], [14.233, 44.626]]]
+  ] },
+  { code: 'BA', name: 'Bosnia and Herzegovina', polygons: [
+    [[[17.653, 42.89], [17.556, 42.934], [17.574, 42.934], [17.617, 42.923], [17.581, 42.943], [17.635, 42.951], [17.664, 42.966], [17.66, 42.993], [17.628, 43.046], [17.588, 43.083], [17.44, 43.152], [17.426, 43.166], [17.401, 43.216], [17.329, 43.26], [17.289, 43.304], [17.268, 43.353], [17.286, 43.438], [17.271, 43.463], [17.239, 43.478], [17.142, 43.49], [17.084, 43.514], [17.062, 43.527], [16.825, 43.708], [16.713, 43.772], [16.688, 43.809], [16.677, 43.841], [16.638, 43.868], [16.605, 43.902], [16.555, 43.937], [16.501, 43.993], [16.483, 44.003], [16.44, 44.013], [16.414, 44.056], [16.368, 44.059], [16.328, 44.083], [16.274, 44.157], [16.216, 44.208], [16.188, 44.282], [16.188, 44.297], [16.206, 44.351], [16.191, 44.368], [16.17, 44.376], [16.141, 44.381], [16.137, 44.378], [16.137, 44.385], [16.155, 44.393], [16.159, 44.417], [16.116, 44.522], [16.105, 44.532], [16.083, 44.535], [16.047, 44.523], [16.026, 44.525], [16.008, 44.54], [16.015, 44.557], [16.044, 44.589], [16.029, 44.625], [15.968, 44.64], [15.946, 44.679], [15.936, 44.689], [15.914, 44.684], [15.889, 44.724], [15.878, 44.724], [15.856, 44.704], [15.806, 44.697], [15.784, 44.723], [15.752, 44.739], [15.727, 44.77], [15.716, 44.787], [15.716, 44.804], [15.73, 44.817], [15.77, 44.827], [15.774, 44.846], [15.734, 44.902], [15.73, 44.927], [15.738, 44.945], [15.763, 44.976], [15.766, 44.993], [15.756, 45.023], [15.756, 45.042], [15.781, 45.086], [15.781, 45.168], [15.792, 45.19], [15.824, 45.211], [15.878, 45.217], [15.975, 45.216], [16.008, 45.219], [16.022, 45.214], [16.029, 45.205], [16.026, 45.184], [16.069, 45.17], [16.105, 45.113], [16.123, 45.096], [16.213, 45.032], [16.278, 45.008], [16.317, 45.001], [16.342, 45.006], [16.357, 45.048], [16.382, 45.084], [16.382, 45.108], [16.389, 45.118], [16.436, 45.133], [16.483, 45.199], [16.53, 45.222], [16.587, 45.221], [16.785, 45.178], [16.81, 45.182], [16.825, 45.189], [16.825, 45.205], [16.839, 45.224], [16.854, 45.227], [16.897, 45.268], [16.926, 45.285], [16.944, 45.249], [16.94, 45.241], [16.947, 45.236], [16.969, 45.238], [16.962, 45.251], [16.976, 45.248], [16.998, 45.231], [17.008, 45.244], [17.008, 45.216], [17.037, 45.231], [17.055, 45.2], [17.124, 45.168], [17.188, 45.148], [17.199, 45.153], [17.246, 45.155], [17.268, 45.19], [17.383, 45.14], [17.433, 45.148], [17.444, 45.162], [17.458, 45.151], [17.448, 45.135], [17.462, 45.131], [17.498, 45.141], [17.484, 45.114], [17.574, 45.121], [17.631, 45.158], [17.653, 45.165], [17.685, 45.163], [17.743, 45.133], [17.797, 45.082], [17.815, 45.07], [17.836, 45.064], [17.912, 45.081], [17.988, 45.143], [18.002, 45.15], [18.02, 45.15], [18.034, 45.143], [18.092, 45.108], [18.132, 45.097], [18.153, 45.097], [18.175, 45.101], [18.193, 45.109], [18.2, 45.119], [18.204, 45.145], [18.214, 45.153], [18.24, 45.158], [18.322, 45.123], [18.394, 45.119], [18.43, 45.102], [18.466, 45.074], [18.517, 45.055], [18.542, 45.055], [18.535, 45.091], [18.549, 45.094], [18.582, 45.091], [18.61, 45.101], [18.618, 45.097], [18.632, 45.072], [18.65, 45.062], [18.661, 45.07], [18.664, 45.082], [18.679, 45.087], [18.69, 45.081], [18.726, 45.026], [18.751, 45.013], [18.79, 45.006], [18.794, 44.984], [18.805, 44.974], [18.801, 44.964], [18.78, 44.952], [18.772, 44.942], [18.783, 44.913], [18.819, 44.888], [18.859, 44.868], [18.891, 44.861], [19.006, 44.863], [19.017, 44.866], [19.086, 44.88], [19.176, 44.925], [19.186, 44.927], [19.201, 44.908], [19.24, 44.915], [19.284, 44.908], [19.309, 44.912], [19.33, 44.898], [19.352, 44.896], [19.352, 44.9], [19.37, 44.886], [19.377, 44.863], [19.363, 44.854], [19.32, 44.716], [19.276, 44.685], [19.255, 44.645], [19.208, 44.589], [19.19, 44.576], [19.186, 44.547], [19.179, 44.538], [19.165, 44.527], [19.129, 44.518], [19.143, 44.457], [19.143, 44.43], [19.114, 44.403], [19.107, 44.363], [19.14, 44.309], [19.158, 44.294], [19.251, 44.27], [19.309, 44.273], [19.341, 44.246], [19.356, 44.224], [19.356, 44.204], [19.363, 44.191], [19.442, 44.143], [19.467, 44.153], [19.482, 44.121], [19.5, 44.11], [19.521, 44.084], [19.554, 44.071], [19.579, 44.052], [19.59, 44.061], [19.6, 44.062], [19.611, 44.054], [19.618, 44.035], [19.611, 44.02], [19.593, 44.005], [19.554, 43.983], [19.528, 43.978], [19.446, 43.98], [19.366, 43.973], [19.302, 44.01], [19.287, 44.013], [19.251, 44.008], [19.237, 43.993], [19.244, 43.973], [19.23, 43.958], [19.276, 43.934], [19.359, 43.843], [19.46, 43.762], [19.482, 43.73], [19.507, 43.674], [19.507, 43.647], [19.482, 43.628], [19.478, 43.617], [19.474, 43.603], [19.482, 43.578], [19.492, 43.569], [19.482, 43.561], [19.446, 43.573], [19.431, 43.571], [19.42, 43.549], [19.41, 43.541], [19.381, 43.586], [19.363, 43.601], [19.345, 43.608], [19.302, 43.588], [19.262, 43.591], [19.251, 43.588], [19.219, 43.532], [19.194, 43.532], [19.147, 43.539], [19.122, 43.535], [19.096, 43.514], [19.075, 43.507], [19.057, 43.507], [19.039, 43.512], [18.999, 43.547], [18.978, 43.546], [18.913, 43.507], [18.906, 43.49], [18.938, 43.48], [18.952, 43.465], [18.945, 43.444], [18.967, 43.448], [18.974, 43.444], [19.01, 43.411], [19.039, 43.351], [19.071, 43.309], [19.064, 43.304], [19.035, 43.304], [19.021, 43.297], [18.992, 43.267], [18.967, 43.292], [18.956, 43.313], [18.956, 43.326], [18.924, 43.346], [18.898, 43.351], [18.841, 43.348], [18.823, 43.341], [18.834, 43.324], [18.808, 43.318], [18.679, 43.25], [18.664, 43.233], [18.69, 43.225], [18.628, 43.156], [18.621, 43.125], [18.621, 43.096], [18.639, 43.02], [18.538, 43.024], [18.484, 43.015], [18.452, 42.993], [18.434, 42.955], [18.434, 42.938], [18.474, 42.862], [18.445, 42.835], [18.445, 42.818], [18.466, 42.769], [18.502, 42.727], [18.538, 42.696], [18.549, 42.668], [18.549, 42.639], [18.538, 42.619], [18.488, 42.59], [18.495, 42.58], [18.492, 42.565], [18.459, 42.57], [18.438, 42.559], [18.384, 42.566], [18.369, 42.573], [18.351, 42.597], [18.34, 42.602], [18.312, 42.602], [18.258, 42.615], [17.995, 42.74], [17.93, 42.791], [17.905, 42.804], [17.869, 42.811], [17.858, 42.818], [17.826, 42.853], [17.826, 42.889], [17.811, 42.911], [17.786, 42.901], [17.703, 42.919], [17.678, 42.916]]]
+  ] },
+  { code: 'RS', name: 'Serbia', polygons: [
+    [[[20.241, 46.109], [20.306, 46.053], [20.338, 45.992], [20.353, 45.977], [20.428, 45.947], [20.482, 45.913], [20.5, 45.906], [20.536, 45.905], [20.558, 45.898], [20.572, 45.888], [20.605, 45.845], [20.637, 45.827], [20.644, 45.788], [20.688, 45.742], [20.698, 45.736], [20.727, 45.736], [20.752, 45.764], [20.778, 45.763], [20.785, 45.753], [20.778, 45.724], [20.781, 45.672], [20.756, 45.606], [20.76, 45.589], [20.788, 45.553], [20.799, 45.53], [20.799, 45.516], [20.76, 45.493], [20.767, 45.479], [20.817, 45.462], [20.864, 45.418], [20.929, 45.378], [20.965, 45.342], [20.983, 45.332], [21.066, 45.307], [21.091, 45.288], [21.102, 45.287], [21.141, 45.303], [21.156, 45.295], [21.188, 45.259], [21.238, 45.229], [21.256, 45.224], [21.3, 45.222], [21.404, 45.2], [21.458, 45.173], [21.494, 45.145], [21.494, 45.119], [21.483, 45.111], [21.458, 45.108], [21.444, 45.092], [21.444, 45.074], [21.429, 45.057], [21.422, 45.032], [21.4, 45.021], [21.364, 45.016], [21.35, 44.998], [21.354, 44.989], [21.382, 44.986], [21.386, 44.969], [21.408, 44.959], [21.458, 44.952], [21.516, 44.934], [21.53, 44.925], [21.541, 44.908], [21.537, 44.89], [21.523, 44.881], [21.483, 44.873], [21.454, 44.869], [21.397, 44.871], [21.368, 44.864], [21.346, 44.846], [21.343, 44.832], [21.379, 44.817], [21.397, 44.79], [21.411, 44.785], [21.498, 44.778], [21.559, 44.782], [21.577, 44.778], [21.595, 44.766], [21.62, 44.714], [21.656, 44.687], [21.706, 44.677], [21.757, 44.677], [21.8, 44.684], [21.854, 44.699], [21.962, 44.662], [21.994, 44.658], [22.005, 44.652], [22.045, 44.569], [22.077, 44.55], [22.088, 44.522], [22.106, 44.51], [22.128, 44.503], [22.171, 44.505], [22.185, 44.515], [22.3, 44.662], [22.304, 44.677], [22.318, 44.685], [22.362, 44.692], [22.426, 44.734], [22.47, 44.731], [22.484, 44.724], [22.552, 44.668], [22.588, 44.65], [22.621, 44.638], [22.7, 44.631], [22.765, 44.582], [22.758, 44.565], [22.743, 44.552], [22.7, 44.542], [22.678, 44.545], [22.642, 44.564], [22.599, 44.571], [22.581, 44.565], [22.567, 44.555], [22.549, 44.511], [22.491, 44.505], [22.484, 44.5], [22.477, 44.478], [22.48, 44.456], [22.506, 44.435], [22.506, 44.403], [22.524, 44.375], [22.549, 44.349], [22.581, 44.329], [22.621, 44.316], [22.664, 44.312], [22.682, 44.305], [22.689, 44.292], [22.686, 44.243], [22.693, 44.228], [22.639, 44.208], [22.606, 44.174], [22.61, 44.16], [22.596, 44.12], [22.606, 44.079], [22.592, 44.064], [22.534, 44.057], [22.516, 44.03], [22.502, 44.02], [22.466, 44.018], [22.412, 44.007], [22.401, 43.993], [22.394, 43.936], [22.38, 43.914], [22.369, 43.853], [22.354, 43.829], [22.351, 43.807], [22.362, 43.78], [22.387, 43.758], [22.387, 43.726], [22.405, 43.687], [22.426, 43.669], [22.455, 43.657], [22.473, 43.637], [22.473, 43.613], [22.48, 43.601], [22.477, 43.588], [22.484, 43.581], [22.477, 43.559], [22.491, 43.541], [22.52, 43.475], [22.531, 43.465], [22.567, 43.453], [22.596, 43.429], [22.639, 43.426], [22.664, 43.397], [22.704, 43.394], [22.725, 43.387], [22.819, 43.316], [22.826, 43.282], [22.884, 43.23], [22.916, 43.213], [22.981, 43.199], [22.984, 43.174], [22.956, 43.108], [22.934, 43.086], [22.902, 43.069], [22.884, 43.037], [22.83, 42.993], [22.776, 42.98], [22.74, 42.897], [22.725, 42.887], [22.668, 42.872], [22.592, 42.887], [22.563, 42.884], [22.538, 42.868], [22.506, 42.87], [22.48, 42.847], [22.444, 42.83], [22.426, 42.814], [22.452, 42.764], [22.484, 42.737], [22.484, 42.73], [22.441, 42.681], [22.448, 42.668], [22.426, 42.573], [22.513, 42.519], [22.538, 42.478], [22.52, 42.421], [22.509, 42.404], [22.47, 42.392], [22.455, 42.377], [22.437, 42.34], [22.423, 42.326], [22.405, 42.321], [22.365, 42.321], [22.344, 42.313], [22.308, 42.32], [22.275, 42.342], [22.268, 42.37], [22.232, 42.348], [22.095, 42.306], [22.059, 42.301], [22.027, 42.304], [21.93, 42.335], [21.883, 42.31], [21.818, 42.304], [21.706, 42.256], [21.678, 42.235], [21.624, 42.242], [21.577, 42.242], [21.562, 42.247], [21.555, 42.274], [21.516, 42.318], [21.516, 42.342], [21.537, 42.359], [21.598, 42.372], [21.616, 42.387], [21.624, 42.402], [21.616, 42.435], [21.62, 42.45], [21.667, 42.49], [21.717, 42.551], [21.728, 42.575], [21.717, 42.592], [21.732, 42.602], [21.735, 42.624], [21.768, 42.639], [21.771, 42.647], [21.764, 42.669], [21.739, 42.683], [21.71, 42.688], [21.631, 42.673], [21.613, 42.681], [21.566, 42.72], [21.541, 42.727], [21.444, 42.737], [21.404, 42.735], [21.379, 42.744], [21.408, 42.821], [21.408, 42.847], [21.4, 42.855], [21.346, 42.86], [21.307, 42.882], [21.26, 42.887], [21.231, 42.911], [21.224, 42.973], [21.21, 42.995], [21.192, 42.998], [21.166, 42.985], [21.148, 42.993], [21.138, 43.005], [21.123, 43.058], [21.109, 43.081], [21.091, 43.091], [21.026, 43.093], [21.004, 43.1], [20.839, 43.171], [20.832, 43.179], [20.842, 43.206], [20.839, 43.211], [20.853, 43.22], [20.864, 43.218], [20.85, 43.238], [20.821, 43.257], [20.796, 43.264], [20.745, 43.253], [20.666, 43.21], [20.644, 43.203], [20.612, 43.203], [20.605, 43.198], [20.598, 43.184], [20.626, 43.123], [20.641, 43.115], [20.662, 43.117], [20.67, 43.11], [20.666, 43.085], [20.644, 43.053], [20.598, 43.007], [20.562, 43.01], [20.54, 42.98], [20.511, 42.97], [20.475, 42.966], [20.461, 42.95], [20.45, 42.923], [20.49, 42.899], [20.5, 42.879], [20.475, 42.855], [20.428, 42.841], [20.346, 42.828], [20.356, 42.867], [20.353, 42.89], [20.338, 42.907], [20.277, 42.929], [20.223, 42.958], [20.194, 42.966], [20.115, 42.977], [20.022, 43.047], [19.96, 43.078], [19.928, 43.113], [19.917, 43.117], [19.906, 43.113], [19.874, 43.09], [19.806, 43.09], [19.78, 43.096], [19.762, 43.108], [19.712, 43.166], [19.683, 43.157], [19.662, 43.159], [19.597, 43.176], [19.55, 43.218], [19.514, 43.24], [19.474, 43.294], [19.413, 43.338], [19.374, 43.383], [19.356, 43.394], [19.219, 43.438], [19.194, 43.454], [19.176, 43.481], [19.176, 43.51], [19.194, 43.532], [19.219, 43.532], [19.251, 43.588], [19.262, 43.591], [19.302, 43.588], [19.345, 43.608], [19.363, 43.601], [19.381, 43.586], [19.41, 43.541], [19.42, 43.549], [19.431, 43.571], [19.446, 43.573], [19.482, 43.561], [19.492, 43.569], [19.482, 43.578], [19.474, 43.603], [19.478, 43.617], [19.482, 43.628], [19.507, 43.647], [19.507, 43.674], [19.482, 43.73], [19.46, 43.762], [19.359, 43.843], [19.276, 43.934], [19.23, 43.958], [19.244, 43.973], [19.237, 43.993], [19.251, 44.008], [19.287, 44.013], [19.302, 44.01], [19.366, 43.973], [19.446, 43.98], [19.528, 43.978], [19.554, 43.983], [19.593, 44.005], [19.611, 44.02], [19.618, 44.035], [19.611, 44.054], [19.6, 44.062], [19.59, 44.061], [19.579, 44.052], [19.554, 44.071], [19.521, 44.084], [19.5, 44.11], [19.482, 44.121], [19.467, 44.153], [19.442, 44.143], [19.363, 44.191], [19.356, 44.204], [19.356, 44.224], [19.341, 44.246], [19.309, 44.273], [19.251, 44.27], [19.158, 44.294], [19.14, 44.309], [19.107, 44.363], [19.114, 44.403], [19.143, 44.43], [19.143, 44.457], [19.129, 44.518], [19.165, 44.527], [19.179, 44.538], [19.186, 44.547], [19.19, 44.576], [19.208, 44.589], [19.255, 44.645], [19.276, 44.685], [19.32, 44.716], [19.363, 44.854], [19.377, 44.863], [19.37, 44.886], [19.352, 44.9], [19.352, 44.896], [19.33, 44.898], [19.309, 44.912], [19.284, 44.908], [19.24, 44.915], [19.201, 44.908], [19.186, 44.927], [19.176, 44.925], [19.086, 44.88], [19.017, 44.866], [18.996, 44.895], [18.992, 44.915], [19.017, 44.925], [19.032, 44.923], [19.053, 44.907], [19.068, 44.905], [19.089, 44.92], [19.104, 44.939], [19.125, 44.945], [19.132, 44.954], [19.129, 44.969], [19.118, 44.976], [19.096, 44.971], [19.086, 44.978], [19.096, 45.021], [19.082, 45.086], [19.071, 45.108], [19.046, 45.128], [19.046, 45.138], [19.06, 45.146], [19.114, 45.143], [19.136, 45.146], [19.143, 45.162], [19.122, 45.195], [19.143, 45.199], [19.154, 45.195], [19.186, 45.168], [19.226, 45.162], [19.269, 45.167], [19.287, 45.18], [19.305, 45.167], [19.392, 45.17], [19.406, 45.18], [19.41, 45.204], [19.399, 45.224], [19.377, 45.229], [19.363, 45.248], [19.161, 45.285], [19.125, 45.298], [19.1, 45.32], [19.093, 45.351], [19.021, 45.357], [19.003, 45.366], [18.978, 45.395], [19.028, 45.411], [19.039, 45.422], [19.032, 45.433], [19.003, 45.455], [18.996, 45.474], [19.01, 45.499], [19.078, 45.491], [19.107, 45.511], [19.096, 45.526], [19.05, 45.538], [19.028, 45.563], [19.017, 45.567], [18.985, 45.555], [18.96, 45.54], [18.942, 45.538], [18.913, 45.569], [18.902, 45.574], [18.913, 45.619], [18.934, 45.633], [18.967, 45.668], [18.963, 45.683], [18.916, 45.707], [18.898, 45.764], [18.844, 45.815], [18.852, 45.823], [18.855, 45.857], [18.898, 45.861], [18.906, 45.867], [18.906, 45.876], [18.873, 45.894], [18.906, 45.916], [18.902, 45.932], [18.988, 45.923], [18.978, 45.947], [19.006, 45.962], [19.05, 45.964], [19.05, 45.992], [19.064, 46.013], [19.089, 46.019], [19.111, 46.013], [19.125, 45.992], [19.147, 45.984], [19.237, 45.977], [19.262, 45.982], [19.276, 45.992], [19.287, 46.016], [19.298, 46.023], [19.327, 46.029], [19.377, 46.033], [19.406, 46.06], [19.438, 46.068], [19.453, 46.077], [19.474, 46.099], [19.5, 46.109], [19.489, 46.134], [19.503, 46.146], [19.55, 46.165], [19.647, 46.175], [19.669, 46.173], [19.712, 46.16], [19.773, 46.131], [19.791, 46.129], [19.888, 46.158], [19.928, 46.163], [19.993, 46.16], [20.036, 46.143], [20.097, 46.154], [20.115, 46.153], [20.137, 46.136], [20.169, 46.146], [20.187, 46.141]]]
+  ] },
+  { code: 'XK', name: 'Kosovo', polygons: [
+    [[[20.065, 42.546], [20.079, 42.573], [20.076, 42.603], [20.104, 42.652], [20.094, 42.668], [20.036, 42.708], [20.025, 42.723], [20.025, 42.744], [20.076, 42.774], [20.112, 42.767], [20.184, 42.742], [20.209, 42.764], [20.209, 42.792], [20.216, 42.803], [20.263, 42.818], [20.346, 42.828], [20.428, 42.841], [20.475, 42.855], [20.5, 42.879], [20.49, 42.899], [20.45, 42.923], [20.461, 42.95], [20.475, 42.966], [20.511, 42.97], [20.54, 42.98], [20.562, 43.01], [20.598, 43.007], [20.644, 43.053], [20.666, 43.085], [20.67, 43.11], [20.662, 43.117], [20.641, 43.115], [20.626, 43.123], [20.598, 43.184], [20.605, 43.198], [20.612, 43.203], [20.644, 43.203], [20.666, 43.21], [20.745, 43.253], [20.796, 43.264], [20.821, 43.257], [20.85, 43.238], [20.864, 43.218], [20.853, 43.22], [20.839, 43.211], [20.842, 43.206], [20.832, 43.179], [20.839, 43.171], [21.004, 43.1], [21.026, 43.093], [21.091, 43.091], [21.109, 43.081], [21.123, 43.058], [21.138, 43.005], [21.148, 42.993], [21.166, 42.985], [21.192, 42.998], [21.21, 42.995], [21.224, 42.973], [21.231, 42.911], [21.26, 42.887], [21.307, 42.882], [21.346, 42.86], [21.4, 42.855], [21.408, 42.847], [21.408, 42.821], [21.379, 42.744], [21.404, 42.735], [21.444, 42.737], [21.541, 42.727], [21.566, 42.72], [21.613, 42.681], [21.631, 42.673], [21.71, 42.688], [21.739, 42.683], [21.764, 42.669], [21.771, 42.647], [21.768, 42.639], [21.735, 42.624], [21.732, 42.602], [21.717, 42.592], [21.728, 42.575], [21.717, 42.551], [21.667, 42.49], [21.62, 42.45], [21.616, 42.435], [21.624, 42.402], [21.616, 42.387], [21.598, 42.372], [21.537, 42.359], [21.516, 42.342], [21.516, 42.318], [21.555, 42.274], [21.562, 42.247], [21.519, 42.239], [21.498, 42.239], [21.483, 42.247], [21.469, 42.235], [21.436, 42.247], [21.418, 42.24], [21.429, 42.217], [21.418, 42.215], [21.386, 42.225], [21.368, 42.223], [21.354, 42.217], [21.296, 42.149], [21.292, 42.141], [21.3, 42.129], [21.3, 42.092], [21.238, 42.097], [21.224, 42.107], [21.199, 42.141], [21.163, 42.168], [21.127, 42.19], [21.105, 42.196], [21.073, 42.185], [21.03, 42.151], [20.81, 42.093], [20.785, 42.082], [20.767, 42.065], [20.756, 42.043], [20.742, 41.994], [20.742, 41.97], [20.756, 41.931], [20.752, 41.911], [20.742, 41.887], [20.724, 41.867], [20.702, 41.85], [20.68, 41.844], [20.644, 41.874], [20.619, 41.85], [20.601, 41.85], [20.569, 41.874], [20.562, 41.901], [20.572, 41.918], [20.59, 41.93], [20.598, 41.96], [20.59, 41.994], [20.551, 42.073], [20.551, 42.124], [20.54, 42.151], [20.5, 42.212], [20.457, 42.25], [20.335, 42.318], [20.238, 42.32], [20.22, 42.343], [20.22, 42.372], [20.194, 42.394], [20.205, 42.419], [20.18, 42.443], [20.151, 42.494], [20.137, 42.509], [20.086, 42.531]]]
+  ] },
+  { code: 'ME', name: 'Montenegro', polygons: [
+    [[[18.495, 42.416], [18.499, 42.431], [18.492, 42.443], [18.466, 42.453], [18.438, 42.494], [18.438, 42.559], [18.459, 42.57], [18.492, 42.565], [18.495, 42.58], [18.488, 42.59], [18.538, 42.619], [18.549, 42.639], [18.549, 42.668], [18.538, 42.696], [18.502, 42.727], [18.466, 42.769], [18.445, 42.818], [18.445, 42.835], [18.474, 42.862], [18.434, 42.938], [18.434, 42.955], [18.452, 42.993], [18.484, 43.015], [18.538, 43.024], [18.639, 43.02], [18.621, 43.096], [18.621, 43.125], [18.628, 43.156], [18.69, 43.225], [18.664, 43.233], [18.679, 43.25], [18.808, 43.318], [18.834, 43.324], [18.823, 43.341], [18.841, 43.348], [18.898, 43.351], [18.924, 43.346], [18.956, 43.326], [18.956, 43.313], [18.967, 43.292], [18.992, 43.267], [19.021, 43.297], [19.035, 43.304], [19.064, 43.304], [19.071, 43.309], [19.039, 43.351], [19.01, 43.411], [18.974, 43.444], [18.967, 43.448], [18.945, 43.444], [18.952, 43.465], [18.938, 43.48], [18.906, 43.49], [18.913, 43.507], [18.978, 43.546], [18.999, 43.547], [19.039, 43.512], [19.057, 43.507], [19.075, 43.507], [19.096, 43.514], [19.122, 43.535], [19.147, 43.539], [19.194, 43.532], [19.176, 43.51], [19.176, 43.481], [19.194, 43.454], [19.219, 43.438], [19.356, 43.394], [19.374, 43.383], [19.413, 43.338], [19.474, 43.294], [19.514, 43.24], [19.55, 43.218], [19.597, 43.176], [19.662, 43.159], [19.683, 43.157], [19.712, 43.166], [19.762, 43.108], [19.78, 43.096], [19.806, 43.09], [19.874, 43.09], [19.906, 43.113], [19.917, 43.117], [19.928, 43.113], [19.96, 43.078], [20.022, 43.047], [20.115, 42.977], [20.194, 42.966], [20.223, 42.958], [20.277, 42.929], [20.338, 42.907], [20.353, 42.89], [20.356, 42.867], [20.346, 42.828], [20.263, 42.818], [20.216, 42.803], [20.209, 42.792], [20.209, 42.764], [20.184, 42.742], [20.112, 42.767], [20.076, 42.774], [20.025, 42.744], [20.025, 42.723], [20.036, 42.708], [20.094, 42.668], [20.104, 42.652], [20.076, 42.603], [20.079, 42.573], [20.065, 42.546], [20.04, 42.558], [20.018, 42.546], [19.982, 42.51], [19.957, 42.505], [19.906, 42.507], [19.874, 42.487], [19.831, 42.468], [19.802, 42.468], [19.752, 42.494], [19.734, 42.524], [19.734, 42.563], [19.748, 42.58], [19.748, 42.588], [19.737, 42.624], [19.723, 42.646], [19.698, 42.654], [19.676, 42.647], [19.622, 42.605], [19.604, 42.585], [19.59, 42.532], [19.55, 42.509], [19.518, 42.458], [19.503, 42.445], [19.482, 42.435], [19.417, 42.374], [19.402, 42.352], [19.399, 42.326], [19.305, 42.215], [19.276, 42.191], [19.273, 42.181], [19.298, 42.151], [19.356, 42.12], [19.374, 42.104], [19.352, 42.048], [19.356, 42.009], [19.37, 41.987], [19.366, 41.97], [19.345, 41.962], [19.352, 41.931], [19.345, 41.911], [19.366, 41.889], [19.366, 41.852], [19.294, 41.901], [19.219, 41.919], [19.172, 41.938], [19.161, 41.948], [19.161, 41.968], [19.154, 41.97], [19.14, 41.985], [19.14, 42.043], [19.082, 42.082], [19.075, 42.095], [19.086, 42.11], [19.064, 42.12], [19.05, 42.141], [19.01, 42.139], [18.996, 42.164], [18.981, 42.168], [18.952, 42.2], [18.913, 42.222], [18.902, 42.237], [18.888, 42.284], [18.873, 42.291], [18.855, 42.291], [18.837, 42.286], [18.83, 42.277], [18.819, 42.291], [18.78, 42.271], [18.762, 42.291], [18.715, 42.325], [18.715, 42.338], [18.693, 42.353], [18.697, 42.374], [18.679, 42.386], [18.657, 42.387], [18.654, 42.367], [18.618, 42.369], [18.596, 42.384], [18.571, 42.392], [18.578, 42.401], [18.553, 42.414], [18.546, 42.424], [18.549, 42.435], [18.564, 42.438], [18.657, 42.416], [18.686, 42.404], [18.7, 42.392], [18.708, 42.421], [18.682, 42.458], [18.686, 42.483], [18.654, 42.451], [18.61, 42.445], [18.502, 42.456], [18.502, 42.448], [18.52, 42.438], [18.513, 42.409], [18.531, 42.401], [18.51, 42.406]]]
+  ] },
+  { code: 'AL', name: 'Albania', polygons: [
+    [[[20.569, 41.874], [20.54, 41.862], [20.551, 41.793], [20.511, 41.757], [20.5, 41.734], [20.508, 41.661], [20.536, 41.585], [20.522, 41.568], [20.508, 41.562], [20.443, 41.55], [20.446, 41.509], [20.454, 41.494], [20.464, 41.491], [20.482, 41.469], [20.49, 41.437], [20.522, 41.426], [20.54, 41.403], [20.533, 41.371], [20.511, 41.344], [20.497, 41.339], [20.482, 41.342], [20.479, 41.32], [20.482, 41.29], [20.5, 41.236], [20.511, 41.21], [20.551, 41.171], [20.565, 41.148], [20.569, 41.107], [20.576, 41.094], [20.605, 41.084], [20.644, 41.082], [20.655, 41.075], [20.702, 40.937], [20.716, 40.913], [20.742, 40.898], [20.767, 40.895], [20.785, 40.9], [20.817, 40.92], [20.835, 40.923], [20.889, 40.918], [20.94, 40.906], [20.958, 40.895], [20.965, 40.876], [20.965, 40.849], [20.968, 40.802], [20.961, 40.781], [20.943, 40.765], [20.954, 40.759], [20.965, 40.736], [20.994, 40.716], [21.019, 40.69], [21.037, 40.66], [21.033, 40.621], [21.015, 40.548], [20.997, 40.54], [20.983, 40.523], [20.968, 40.521], [20.958, 40.515], [20.95, 40.506], [20.954, 40.494], [20.947, 40.483], [20.911, 40.459], [20.868, 40.472], [20.839, 40.472], [20.821, 40.457], [20.81, 40.437], [20.77, 40.422], [20.774, 40.374], [20.77, 40.363], [20.738, 40.304], [20.706, 40.288], [20.698, 40.278], [20.695, 40.216], [20.684, 40.19], [20.659, 40.179], [20.67, 40.138], [20.648, 40.094], [20.576, 40.067], [20.554, 40.065], [20.5, 40.072], [20.464, 40.06], [20.432, 40.064], [20.414, 40.057], [20.4, 40.045], [20.389, 40.03], [20.378, 39.995], [20.299, 39.988], [20.317, 39.919], [20.346, 39.895], [20.392, 39.836], [20.396, 39.819], [20.389, 39.799], [20.371, 39.785], [20.353, 39.785], [20.338, 39.794], [20.288, 39.807], [20.274, 39.797], [20.284, 39.78], [20.277, 39.756], [20.299, 39.728], [20.284, 39.704], [20.248, 39.686], [20.245, 39.664], [20.227, 39.669], [20.212, 39.667], [20.202, 39.653], [20.205, 39.645], [20.202, 39.64], [20.184, 39.637], [20.162, 39.645], [20.137, 39.664], [20.09, 39.682], [20.014, 39.701], [20, 39.694], [19.996, 39.687], [19.989, 39.687], [19.982, 39.701], [19.986, 39.718], [20.004, 39.748], [19.986, 39.753], [19.982, 39.758], [19.996, 39.783], [20.018, 39.844], [20.011, 39.866], [19.96, 39.878], [19.96, 39.89], [19.906, 39.907], [19.906, 39.913], [19.942, 39.94], [19.924, 39.952], [19.863, 40.045], [19.856, 40.05], [19.824, 40.05], [19.795, 40.057], [19.806, 40.064], [19.777, 40.077], [19.77, 40.064], [19.762, 40.077], [19.748, 40.084], [19.734, 40.111], [19.73, 40.108], [19.719, 40.116], [19.654, 40.133], [19.597, 40.158], [19.564, 40.18], [19.51, 40.194], [19.478, 40.214], [19.381, 40.295], [19.37, 40.309], [19.345, 40.374], [19.291, 40.42], [19.291, 40.427], [19.316, 40.439], [19.334, 40.439], [19.348, 40.43], [19.384, 40.398], [19.413, 40.347], [19.413, 40.334], [19.424, 40.331], [19.446, 40.334], [19.467, 40.341], [19.474, 40.349], [19.482, 40.439], [19.478, 40.454], [19.453, 40.466], [19.42, 40.493], [19.392, 40.521], [19.388, 40.543], [19.399, 40.521], [19.413, 40.523], [19.435, 40.506], [19.446, 40.511], [19.456, 40.553], [19.442, 40.574], [19.417, 40.584], [19.392, 40.579], [19.388, 40.55], [19.381, 40.567], [19.305, 40.653], [19.309, 40.665], [19.352, 40.694], [19.363, 40.726], [19.37, 40.802], [19.377, 40.813], [19.406, 40.82], [19.392, 40.846], [19.413, 40.869], [19.381, 40.908], [19.406, 40.918], [19.424, 40.94], [19.442, 40.949], [19.428, 40.937], [19.435, 40.913], [19.428, 40.893], [19.428, 40.873], [19.435, 40.873], [19.438, 40.886], [19.442, 40.873], [19.453, 40.886], [19.507, 40.905], [19.525, 40.92], [19.525, 40.945], [19.496, 41.003], [19.492, 40.977], [19.453, 40.923], [19.449, 40.935], [19.46, 40.942], [19.478, 40.976], [19.471, 41.001], [19.453, 41.006], [19.442, 41.021], [19.456, 41.107], [19.442, 41.144], [19.464, 41.151], [19.467, 41.188], [19.51, 41.237], [19.518, 41.256], [19.514, 41.276], [19.503, 41.295], [19.489, 41.307], [19.471, 41.312], [19.431, 41.313], [19.42, 41.323], [19.413, 41.342], [19.413, 41.383], [19.392, 41.413], [19.406, 41.401], [19.428, 41.401], [19.446, 41.415], [19.442, 41.442], [19.464, 41.45], [19.51, 41.487], [19.518, 41.514], [19.514, 41.529], [19.467, 41.555], [19.442, 41.585], [19.528, 41.577], [19.564, 41.585], [19.586, 41.619], [19.593, 41.619], [19.597, 41.602], [19.611, 41.605], [19.6, 41.639], [19.593, 41.632], [19.557, 41.661], [19.579, 41.688], [19.572, 41.771], [19.59, 41.766], [19.6, 41.779], [19.6, 41.8], [19.593, 41.818], [19.431, 41.869], [19.366, 41.852], [19.366, 41.889], [19.345, 41.911], [19.352, 41.931], [19.345, 41.962], [19.366, 41.97], [19.37, 41.987], [19.356, 42.009], [19.352, 42.048], [19.374, 42.104], [19.356, 42.12], [19.298, 42.151], [19.273, 42.181], [19.276, 42.191], [19.305, 42.215], [19.399, 42.326], [19.402, 42.352], [19.417, 42.374], [19.482, 42.435], [19.503, 42.445], [19.518, 42.458], [19.55, 42.509], [19.59, 42.532], [19.604, 42.585], [19.622, 42.605], [19.676, 42.647], [19.698, 42.654], [19.723, 42.646], [19.737, 42.624], [19.748, 42.588], [19.748, 42.58], [19.734, 42.563], [19.734, 42.524], [19.752, 42.494], [19.802, 42.468], [19.831, 42.468], [19.874, 42.487], [19.906, 42.507], [19.957, 42.505], [19.982, 42.51], [20.018, 42.546], [20.04, 42.558], [20.065, 42.546], [20.086, 42.531], [20.137, 42.509], [20.151, 42.494], [20.18, 42.443], [20.205, 42.419], [20.194, 42.394], [20.22, 42.372], [20.22, 42.343], [20.238, 42.32], [20.335, 42.318], [20.457, 42.25], [20.5, 42.212], [20.54, 42.151], [20.551, 42.124], [20.551, 42.073], [20.59, 41.994], [20.598, 41.96], [20.59, 41.93], [20.572, 41.918], [20.562, 41.901]]]
+  ] },
+  { code: 'MK', name: 'North Macedonia', polygons: [
+    [[[20.569, 41.874], [20.601, 41.85], [20.619, 41.85], [20.644, 41.874], [20.68, 41.844], [20.702, 41.85], [20.724, 41.867], [20.742, 41.887], [20.752, 41.911], [20.756, 41.931], [20.742, 41.97], [20.742, 41.994], [20.756, 42.043], [20.767, 42.065], [20.785, 42.082], [20.81, 42.093], [21.03, 42.151], [21.073, 42.185], [21.105, 42.196], [21.127, 42.19], [21.163, 42.168], [21.199, 42.141], [21.224, 42.107], [21.238, 42.097], [21.3, 42.092], [21.3, 42.129], [21.292, 42.141], [21.296, 42.149], [21.354, 42.217], [21.368, 42.223], [21.386, 42.225], [21.418, 42.215], [21.429, 42.217], [21.418, 42.24], [21.436, 42.247], [21.469, 42.235], [21.483, 42.247], [21.498, 42.239], [21.519, 42.239], [21.562, 42.247], [21.577, 42.242], [21.624, 42.242], [21.678, 42.235], [21.706, 42.256], [21.818, 42.304], [21.883, 42.31], [21.93, 42.335], [22.027, 42.304], [22.059, 42.301], [22.095, 42.306], [22.232, 42.348], [22.268, 42.37], [22.275, 42.342], [22.308, 42.32], [22.344, 42.313], [22.444, 42.215], [22.48, 42.193], [22.509, 42.144], [22.531, 42.129], [22.617, 42.083], [22.675, 42.061], [22.707, 42.056], [22.718, 42.044], [22.779, 42.043], [22.786, 42.039], [22.79, 42.026], [22.797, 42.021], [22.826, 42.026], [22.844, 42.014], [22.858, 41.972], [22.866, 41.925], [22.88, 41.896], [22.88, 41.872], [22.902, 41.86], [22.945, 41.769], [22.992, 41.761], [23.01, 41.74], [23.01, 41.717], [22.999, 41.693], [22.966, 41.648], [22.941, 41.637], [22.93, 41.599], [22.948, 41.562], [22.941, 41.538], [22.945, 41.453], [22.956, 41.433], [22.938, 41.411], [22.938, 41.389], [22.945, 41.369], [22.941, 41.35], [22.916, 41.335], [22.826, 41.34], [22.779, 41.335], [22.75, 41.315], [22.74, 41.283], [22.736, 41.205], [22.729, 41.166], [22.714, 41.146], [22.704, 41.139], [22.675, 41.156], [22.657, 41.178], [22.646, 41.18], [22.628, 41.177], [22.624, 41.153], [22.606, 41.136], [22.588, 41.124], [22.57, 41.119], [22.502, 41.122], [22.452, 41.114], [22.423, 41.114], [22.369, 41.133], [22.322, 41.129], [22.308, 41.124], [22.304, 41.146], [22.214, 41.161], [22.182, 41.16], [22.16, 41.151], [22.124, 41.128], [22.102, 41.121], [22.059, 41.139], [22.056, 41.149], [22.048, 41.151], [22.03, 41.139], [21.933, 41.112], [21.908, 41.097], [21.897, 41.082], [21.894, 41.053], [21.843, 41.013], [21.832, 40.994], [21.793, 40.974], [21.782, 40.964], [21.778, 40.933], [21.764, 40.923], [21.735, 40.92], [21.685, 40.928], [21.656, 40.918], [21.649, 40.896], [21.624, 40.895], [21.58, 40.866], [21.555, 40.871], [21.508, 40.901], [21.429, 40.91], [21.404, 40.908], [21.382, 40.901], [21.346, 40.873], [21.296, 40.861], [21.26, 40.861], [21.184, 40.871], [21.112, 40.854], [20.965, 40.849], [20.965, 40.876], [20.958, 40.895], [20.94, 40.906], [20.889, 40.918], [20.835, 40.923], [20.817, 40.92], [20.785, 40.9], [20.767, 40.895], [20.742, 40.898], [20.716, 40.913], [20.702, 40.937], [20.655, 41.075], [20.644, 41.082], [20.605, 41.084], [20.576, 41.094], [20.569, 41.107], [20.565, 41.148], [20.551, 41.171], [20.511, 41.21], [20.5, 41.236], [20.482, 41.29], [20.479, 41.32], [20.482, 41.342], [20.497, 41.339], [20.511, 41.344], [20.533, 41.371], [20.54, 41.403], [20.522, 41.426], [20.49, 41.437], [20.482, 41.469], [20.464, 41.491], [20.454, 41.494], [20.446, 41.509], [20.443, 41.55], [20.508, 41.562], [20.522, 41.568], [20.536, 41.585], [20.508, 41.661], [20.5, 41.734], [20.511, 41.757], [20.551, 41.793], [20.54, 41.862]]]
+  ] },
+  { code: 'BG', name: 'Bulgaria', polygons: [
+    [[[26.332, 41.713], [26.296, 41.71], [26.275, 41.715], [26.235, 41.746], [26.21, 41.751], [26.188, 41.735], [26.134, 41.734], [26.109, 41.729], [26.073, 41.708], [26.059, 41.707], [26.048, 41.69], [26.055, 41.649], [26.066, 41.636], [26.095, 41.629], [26.116, 41.617], [26.131, 41.583], [26.131, 41.553], [26.16, 41.543], [26.163, 41.506], [26.16, 41.494], [26.145, 41.479], [26.16, 41.455], [26.174, 41.447], [26.178, 41.44], [26.174, 41.431], [26.163, 41.428], [26.149, 41.398], [26.116, 41.356], [26.106, 41.357], [26.023, 41.342], [25.958, 41.315], [25.922, 41.317], [25.882, 41.305], [25.864, 41.31], [25.832, 41.335], [25.81, 41.34], [25.8, 41.339], [25.764, 41.318], [25.728, 41.317], [25.681, 41.296], [25.641, 41.312], [25.551, 41.315], [25.537, 41.312], [25.515, 41.283], [25.454, 41.281], [25.285, 41.239], [25.238, 41.241], [25.22, 41.249], [25.159, 41.307], [25.116, 41.32], [25.101, 41.337], [25.08, 41.334], [24.918, 41.386], [24.885, 41.401], [24.802, 41.393], [24.799, 41.379], [24.802, 41.362], [24.795, 41.347], [24.774, 41.349], [24.698, 41.41], [24.68, 41.416], [24.637, 41.418], [24.644, 41.428], [24.608, 41.426], [24.579, 41.44], [24.583, 41.46], [24.554, 41.48], [24.532, 41.548], [24.511, 41.562], [24.46, 41.55], [24.439, 41.528], [24.403, 41.528], [24.345, 41.518], [24.316, 41.521], [24.288, 41.518], [24.284, 41.523], [24.288, 41.54], [24.266, 41.55], [24.252, 41.563], [24.216, 41.556], [24.198, 41.548], [24.176, 41.531], [24.169, 41.511], [24.147, 41.526], [24.075, 41.536], [24.046, 41.526], [24.054, 41.464], [24.046, 41.455], [24.021, 41.453], [24, 41.464], [23.996, 41.457], [23.964, 41.438], [23.949, 41.438], [23.902, 41.464], [23.895, 41.464], [23.852, 41.44], [23.83, 41.435], [23.791, 41.435], [23.776, 41.43], [23.755, 41.401], [23.737, 41.398], [23.672, 41.403], [23.654, 41.398], [23.611, 41.371], [23.578, 41.372], [23.514, 41.398], [23.413, 41.399], [23.395, 41.396], [23.348, 41.371], [23.326, 41.369], [23.287, 41.398], [23.269, 41.398], [23.211, 41.369], [23.2, 41.334], [23.179, 41.322], [23.157, 41.317], [23.114, 41.313], [22.916, 41.335], [22.941, 41.35], [22.945, 41.369], [22.938, 41.389], [22.938, 41.411], [22.956, 41.433], [22.945, 41.453], [22.941, 41.538], [22.948, 41.562], [22.93, 41.599], [22.941, 41.637], [22.966, 41.648], [22.999, 41.693], [23.01, 41.717], [23.01, 41.74], [22.992, 41.761], [22.945, 41.769], [22.902, 41.86], [22.88, 41.872], [22.88, 41.896], [22.866, 41.925], [22.858, 41.972], [22.844, 42.014], [22.826, 42.026], [22.797, 42.021], [22.79, 42.026], [22.786, 42.039], [22.779, 42.043], [22.718, 42.044], [22.707, 42.056], [22.675, 42.061], [22.617, 42.083], [22.531, 42.129], [22.509, 42.144], [22.48, 42.193], [22.444, 42.215], [22.344, 42.313], [22.365, 42.321], [22.405, 42.321], [22.423, 42.326], [22.437, 42.34], [22.455, 42.377], [22.47, 42.392], [22.509, 42.404], [22.52, 42.421], [22.538, 42.478], [22.513, 42.519], [22.426, 42.573], [22.448, 42.668], [22.441, 42.681], [22.484, 42.73], [22.484, 42.737], [22.452, 42.764], [22.426, 42.814], [22.444, 42.83], [22.48, 42.847], [22.506, 42.87], [22.538, 42.868], [22.563, 42.884], [22.592, 42.887], [22.668, 42.872], [22.725, 42.887], [22.74, 42.897], [22.776, 42.98], [22.83, 42.993], [22.884, 43.037], [22.902, 43.069], [22.934, 43.086], [22.956, 43.108], [22.984, 43.174], [22.981, 43.199], [22.916, 43.213], [22.884, 43.23], [22.826, 43.282], [22.819, 43.316], [22.725, 43.387], [22.704, 43.394], [22.664, 43.397], [22.639, 43.426], [22.596, 43.429], [22.567, 43.453], [22.531, 43.465], [22.52, 43.475], [22.491, 43.541], [22.477, 43.559], [22.484, 43.581], [22.477, 43.588], [22.48, 43.601], [22.473, 43.613], [22.473, 43.637], [22.455, 43.657], [22.426, 43.669], [22.405, 43.687], [22.387, 43.726], [22.387, 43.758], [22.362, 43.78], [22.351, 43.807], [22.354, 43.829], [22.369, 43.853], [22.38, 43.914], [22.394, 43.936], [22.401, 43.993], [22.412, 44.007], [22.466, 44.018], [22.502, 44.02], [22.516, 44.03], [22.534, 44.057], [22.592, 44.064], [22.606, 44.079], [22.596, 44.12], [22.61, 44.16], [22.606, 44.174], [22.639, 44.208], [22.693, 44.228], [22.905, 44.123], [22.941, 44.111], [23.01, 44.101], [23.031, 44.093], [23.038, 44.062], [23.024, 44.032], [22.988, 44.018], [22.905, 44.003], [22.887, 43.995], [22.876, 43.973], [22.851, 43.897], [22.851, 43.875], [22.862, 43.855], [22.887, 43.839], [22.92, 43.834], [23.132, 43.848], [23.161, 43.858], [23.197, 43.863], [23.233, 43.877], [23.326, 43.887], [23.485, 43.88], [23.593, 43.838], [23.636, 43.833], [23.722, 43.846], [23.744, 43.843], [23.802, 43.819], [24.158, 43.753], [24.36, 43.76], [24.374, 43.763], [24.432, 43.794], [24.468, 43.802], [24.5, 43.799], [24.705, 43.743], [24.752, 43.738], [24.964, 43.75], [25.083, 43.72], [25.213, 43.711], [25.252, 43.704], [25.36, 43.654], [25.404, 43.65], [25.483, 43.671], [25.555, 43.671], [25.616, 43.687], [25.67, 43.718], [25.738, 43.72], [25.782, 43.731], [25.807, 43.763], [25.839, 43.789], [25.868, 43.801], [25.915, 43.844], [25.933, 43.87], [26.055, 43.934], [26.08, 43.969], [26.116, 43.998], [26.152, 44.012], [26.232, 44.027], [26.311, 44.052], [26.613, 44.084], [26.667, 44.094], [26.696, 44.106], [26.754, 44.108], [26.79, 44.116], [26.883, 44.157], [27.002, 44.165], [27.027, 44.177], [27.099, 44.145], [27.207, 44.13], [27.225, 44.121], [27.25, 44.123], [27.268, 44.113], [27.265, 44.089], [27.286, 44.072], [27.355, 44.045], [27.373, 44.02], [27.384, 44.015], [27.574, 44.017], [27.632, 44.03], [27.657, 44.023], [27.675, 43.993], [27.722, 43.949], [27.787, 43.961], [27.855, 43.988], [27.913, 43.993], [27.934, 43.964], [27.981, 43.85], [28.014, 43.829], [28.222, 43.762], [28.435, 43.735], [28.579, 43.741], [28.572, 43.606], [28.575, 43.593], [28.604, 43.552], [28.604, 43.539], [28.579, 43.481], [28.561, 43.454], [28.478, 43.397], [28.474, 43.367], [28.46, 43.38], [28.413, 43.399], [28.395, 43.414], [28.37, 43.422], [28.323, 43.429], [28.298, 43.426], [28.244, 43.407], [28.179, 43.411], [28.158, 43.407], [28.118, 43.392], [28.086, 43.355], [28.032, 43.248], [28.017, 43.233], [27.999, 43.223], [27.906, 43.203], [27.906, 43.196], [27.945, 43.169], [27.945, 43.157], [27.924, 43.113], [27.913, 43.064], [27.888, 43.042], [27.884, 43.031], [27.884, 43.009], [27.906, 42.943], [27.898, 42.875], [27.906, 42.86], [27.884, 42.848], [27.884, 42.831], [27.898, 42.784], [27.898, 42.737], [27.891, 42.71], [27.841, 42.708], [27.787, 42.715], [27.733, 42.715], [27.715, 42.684], [27.726, 42.668], [27.74, 42.661], [27.711, 42.657], [27.646, 42.641], [27.628, 42.629], [27.632, 42.603], [27.65, 42.558], [27.636, 42.565], [27.542, 42.566], [27.513, 42.553], [27.499, 42.532], [27.481, 42.483], [27.463, 42.49], [27.452, 42.48], [27.452, 42.465], [27.466, 42.456], [27.466, 42.428], [27.474, 42.462], [27.502, 42.438], [27.513, 42.435], [27.546, 42.46], [27.564, 42.448], [27.571, 42.458], [27.596, 42.448], [27.628, 42.458], [27.643, 42.456], [27.643, 42.45], [27.636, 42.448], [27.654, 42.419], [27.668, 42.416], [27.693, 42.428], [27.693, 42.419], [27.7, 42.414], [27.718, 42.414], [27.718, 42.407], [27.697, 42.401], [27.704, 42.391], [27.718, 42.387], [27.708, 42.364], [27.715, 42.348], [27.726, 42.338], [27.74, 42.335], [27.78, 42.338], [27.776, 42.321], [27.787, 42.311], [27.762, 42.296], [27.751, 42.277], [27.754, 42.259], [27.78, 42.244], [27.772, 42.235], [27.808, 42.218], [27.83, 42.195], [27.855, 42.181], [27.848, 42.168], [27.88, 42.154], [27.906, 42.12], [27.956, 42.095], [27.974, 42.075], [27.985, 42.071], [27.981, 42.061], [28.006, 42.038], [28.006, 42.031], [27.999, 42.031], [28.017, 42.009], [28.017, 41.972], [27.967, 41.982], [27.916, 41.979], [27.852, 41.995], [27.812, 41.995], [27.801, 41.96], [27.819, 41.953], [27.816, 41.947], [27.79, 41.943], [27.726, 41.967], [27.686, 41.968], [27.61, 41.953], [27.603, 41.938], [27.589, 41.943], [27.571, 41.93], [27.549, 41.925], [27.56, 41.918], [27.549, 41.911], [27.564, 41.906], [27.546, 41.901], [27.495, 41.943], [27.42, 41.974], [27.376, 42.009], [27.333, 42.058], [27.304, 42.078], [27.272, 42.092], [27.24, 42.098], [27.218, 42.095], [27.204, 42.088], [27.175, 42.056], [27.15, 42.061], [27.117, 42.061], [27.085, 42.078], [27.067, 42.083], [27.045, 42.083], [27.024, 42.073], [27.002, 42.043], [26.966, 42.029], [26.952, 42.006], [26.937, 41.995], [26.912, 41.997], [26.89, 41.985], [26.862, 41.989], [26.818, 41.965], [26.779, 41.984], [26.736, 41.958], [26.718, 41.957], [26.624, 41.968], [26.606, 41.967], [26.588, 41.958], [26.541, 41.921], [26.559, 41.908], [26.559, 41.901], [26.541, 41.838], [26.527, 41.825], [26.48, 41.813], [26.376, 41.816], [26.332, 41.789], [26.318, 41.744], [26.322, 41.724]]]
+  ] },
+  { code: 'RO', name: 'Romania', polygons: [
+    [[[22.876, 47.946], [22.916, 47.96], [22.923, 47.973], [22.916, 47.993], [22.923, 48.005], [22.938, 48.005], [23.006, 47.983], [23.02, 47.985], [23.064, 48.007], [23.078, 48.024], [23.1, 48.071], [23.118, 48.091], [23.139, 48.098], [23.233, 48.079], [23.359, 47.993], [23.373, 47.99], [23.395, 47.993], [23.46, 47.971], [23.481, 47.971], [23.514, 47.998], [23.564, 48.005], [23.647, 47.997], [23.686, 47.987], [23.78, 47.988], [23.848, 47.949], [23.856, 47.934], [23.877, 47.934], [23.978, 47.963], [24.01, 47.961], [24.025, 47.953], [24.093, 47.938], [24.133, 47.914], [24.208, 47.897], [24.23, 47.897], [24.298, 47.919], [24.349, 47.921], [24.385, 47.944], [24.41, 47.953], [24.486, 47.943], [24.543, 47.944], [24.561, 47.941], [24.633, 47.909], [24.648, 47.895], [24.662, 47.853], [24.68, 47.84], [24.712, 47.826], [24.795, 47.804], [24.81, 47.796], [24.878, 47.718], [24.896, 47.71], [25.018, 47.725], [25.08, 47.743], [25.123, 47.77], [25.22, 47.878], [25.263, 47.899], [25.753, 47.934], [25.818, 47.953], [25.872, 47.958], [25.9, 47.966], [25.965, 47.965], [26.03, 47.978], [26.127, 47.978], [26.174, 47.993], [26.206, 48.037], [26.257, 48.073], [26.271, 48.093], [26.296, 48.157], [26.304, 48.213], [26.329, 48.208], [26.397, 48.226], [26.462, 48.23], [26.588, 48.25], [26.617, 48.258], [26.667, 48.274], [26.689, 48.275], [26.71, 48.262], [26.721, 48.26], [26.732, 48.27], [26.743, 48.255], [26.764, 48.253], [26.804, 48.258], [26.822, 48.253], [26.844, 48.233], [26.854, 48.238], [26.898, 48.209], [26.908, 48.184], [26.919, 48.187], [26.937, 48.204], [26.952, 48.198], [26.962, 48.176], [26.998, 48.167], [26.998, 48.159], [26.988, 48.15], [26.966, 48.15], [26.966, 48.144], [27.013, 48.128], [27.024, 48.135], [27.049, 48.122], [27.034, 48.101], [27.042, 48.078], [27.06, 48.057], [27.11, 48.034], [27.11, 48.025], [27.088, 48.02], [27.092, 48.008], [27.096, 48.005], [27.121, 48.014], [27.142, 47.987], [27.157, 47.992], [27.168, 47.983], [27.171, 47.973], [27.15, 47.958], [27.178, 47.944], [27.178, 47.938], [27.16, 47.922], [27.211, 47.89], [27.211, 47.848], [27.247, 47.836], [27.254, 47.828], [27.218, 47.814], [27.232, 47.808], [27.261, 47.769], [27.286, 47.752], [27.294, 47.718], [27.272, 47.715], [27.304, 47.666], [27.369, 47.608], [27.398, 47.59], [27.43, 47.578], [27.441, 47.537], [27.459, 47.534], [27.474, 47.492], [27.506, 47.478], [27.549, 47.475], [27.574, 47.46], [27.582, 47.451], [27.574, 47.446], [27.564, 47.416], [27.582, 47.406], [27.571, 47.375], [27.6, 47.36], [27.636, 47.306], [27.672, 47.299], [27.697, 47.287], [27.722, 47.284], [27.733, 47.276], [27.754, 47.252], [27.751, 47.239], [27.787, 47.205], [27.808, 47.163], [27.805, 47.157], [27.794, 47.156], [27.805, 47.144], [27.848, 47.129], [27.844, 47.114], [27.866, 47.105], [27.898, 47.081], [27.938, 47.061], [27.938, 47.046], [27.963, 47.043], [28.01, 47.026], [28.028, 47.032], [28.035, 47.017], [28.082, 46.972], [28.104, 46.935], [28.096, 46.902], [28.114, 46.894], [28.114, 46.872], [28.125, 46.862], [28.122, 46.835], [28.136, 46.806], [28.179, 46.759], [28.179, 46.74], [28.233, 46.663], [28.244, 46.636], [28.248, 46.607], [28.23, 46.583], [28.226, 46.57], [28.233, 46.553], [28.222, 46.541], [28.219, 46.504], [28.233, 46.479], [28.237, 46.475], [28.244, 46.477], [28.248, 46.428], [28.24, 46.42], [28.226, 46.416], [28.233, 46.401], [28.212, 46.389], [28.208, 46.359], [28.19, 46.35], [28.186, 46.344], [28.194, 46.311], [28.179, 46.288], [28.136, 46.269], [28.132, 46.241], [28.107, 46.234], [28.143, 46.192], [28.143, 46.183], [28.129, 46.136], [28.1, 46.082], [28.089, 46.073], [28.096, 46.06], [28.082, 46.014], [28.111, 45.94], [28.125, 45.918], [28.118, 45.894], [28.132, 45.871], [28.111, 45.854], [28.114, 45.825], [28.129, 45.795], [28.154, 45.761], [28.165, 45.661], [28.161, 45.646], [28.168, 45.633], [28.154, 45.628], [28.107, 45.624], [28.06, 45.594], [28.14, 45.56], [28.165, 45.531], [28.165, 45.494], [28.201, 45.462], [28.212, 45.45], [28.237, 45.452], [28.266, 45.44], [28.287, 45.422], [28.28, 45.401], [28.33, 45.324], [28.352, 45.312], [28.406, 45.295], [28.492, 45.278], [28.575, 45.248], [28.708, 45.227], [28.777, 45.231], [28.791, 45.234], [28.802, 45.244], [28.773, 45.253], [28.759, 45.275], [28.762, 45.281], [28.791, 45.292], [28.791, 45.322], [28.816, 45.325], [28.831, 45.322], [28.86, 45.308], [28.881, 45.307], [28.932, 45.28], [28.953, 45.285], [28.968, 45.32], [28.982, 45.325], [29.004, 45.325], [29.068, 45.361], [29.112, 45.369], [29.151, 45.388], [29.18, 45.391], [29.191, 45.406], [29.227, 45.423], [29.281, 45.422], [29.32, 45.444], [29.353, 45.435], [29.432, 45.43], [29.569, 45.395], [29.652, 45.346], [29.666, 45.312], [29.673, 45.273], [29.659, 45.244], [29.666, 45.231], [29.659, 45.216], [29.623, 45.217], [29.623, 45.211], [29.648, 45.178], [29.666, 45.165], [29.698, 45.162], [29.677, 45.145], [29.666, 45.118], [29.652, 45.011], [29.637, 44.984], [29.63, 44.939], [29.623, 44.929], [29.63, 44.908], [29.605, 44.88], [29.619, 44.861], [29.612, 44.849], [29.583, 44.841], [29.562, 44.82], [29.544, 44.827], [29.317, 44.799], [29.191, 44.793], [29.155, 44.785], [29.054, 44.734], [29, 44.689], [28.993, 44.697], [28.996, 44.711], [28.975, 44.744], [29.022, 44.755], [29.058, 44.768], [29.097, 44.775], [29.137, 44.804], [29.144, 44.827], [29.14, 44.839], [29.097, 44.874], [29.104, 44.841], [29.086, 44.842], [29.061, 44.832], [29.047, 44.847], [29.043, 44.866], [29.043, 44.925], [29.05, 44.945], [29.097, 44.957], [29.112, 44.971], [29.101, 44.981], [29.058, 45.001], [29.014, 45.005], [28.982, 45.013], [28.971, 45.011], [28.96, 44.988], [28.917, 44.979], [28.87, 44.944], [28.863, 44.917], [28.878, 44.905], [28.863, 44.891], [28.867, 44.883], [28.881, 44.869], [28.903, 44.863], [28.953, 44.827], [28.935, 44.814], [28.924, 44.814], [28.939, 44.807], [28.939, 44.799], [28.924, 44.793], [28.924, 44.783], [28.946, 44.765], [28.924, 44.758], [28.878, 44.756], [28.798, 44.721], [28.788, 44.706], [28.788, 44.694], [28.795, 44.687], [28.809, 44.697], [28.806, 44.684], [28.784, 44.68], [28.784, 44.65], [28.791, 44.645], [28.845, 44.652], [28.87, 44.662], [28.914, 44.697], [28.899, 44.717], [28.968, 44.701], [28.982, 44.692], [28.989, 44.675], [28.978, 44.655], [28.96, 44.64], [28.939, 44.635], [28.971, 44.67], [28.975, 44.687], [28.953, 44.697], [28.96, 44.682], [28.957, 44.679], [28.939, 44.675], [28.917, 44.682], [28.852, 44.635], [28.773, 44.601], [28.795, 44.635], [28.766, 44.633], [28.759, 44.626], [28.755, 44.614], [28.766, 44.614], [28.759, 44.604], [28.773, 44.591], [28.788, 44.586], [28.748, 44.577], [28.734, 44.567], [28.734, 44.552], [28.748, 44.565], [28.773, 44.552], [28.752, 44.513], [28.744, 44.486], [28.752, 44.466], [28.759, 44.466], [28.773, 44.484], [28.777, 44.508], [28.809, 44.525], [28.856, 44.567], [28.892, 44.577], [28.906, 44.587], [28.924, 44.621], [28.91, 44.584], [28.845, 44.493], [28.798, 44.468], [28.705, 44.381], [28.694, 44.346], [28.68, 44.353], [28.651, 44.339], [28.64, 44.329], [28.629, 44.265], [28.665, 44.199], [28.665, 44.175], [28.672, 44.169], [28.658, 44.174], [28.647, 44.172], [28.629, 44.155], [28.672, 43.998], [28.636, 43.919], [28.608, 43.875], [28.593, 43.819], [28.586, 43.811], [28.59, 43.792], [28.579, 43.741], [28.435, 43.735], [28.222, 43.762], [28.014, 43.829], [27.981, 43.85], [27.934, 43.964], [27.913, 43.993], [27.855, 43.988], [27.787, 43.961], [27.722, 43.949], [27.675, 43.993], [27.657, 44.023], [27.632, 44.03], [27.574, 44.017], [27.384, 44.015], [27.373, 44.02], [27.355, 44.045], [27.286, 44.072], [27.265, 44.089], [27.268, 44.113], [27.25, 44.123], [27.225, 44.121], [27.207, 44.13], [27.099, 44.145], [27.027, 44.177], [27.002, 44.165], [26.883, 44.157], [26.79, 44.116], [26.754, 44.108], [26.696, 44.106], [26.667, 44.094], [26.613, 44.084], [26.311, 44.052], [26.232, 44.027], [26.152, 44.012], [26.116, 43.998], [26.08, 43.969], [26.055, 43.934], [25.933, 43.87], [25.915, 43.844], [25.868, 43.801], [25.839, 43.789], [25.807, 43.763], [25.782, 43.731], [25.738, 43.72], [25.67, 43.718], [25.616, 43.687], [25.555, 43.671], [25.483, 43.671], [25.404, 43.65], [25.36, 43.654], [25.252, 43.704], [25.213, 43.711], [25.083, 43.72], [24.964, 43.75], [24.752, 43.738], [24.705, 43.743], [24.5, 43.799], [24.468, 43.802], [24.432, 43.794], [24.374, 43.763], [24.36, 43.76], [24.158, 43.753], [23.802, 43.819], [23.744, 43.843], [23.722, 43.846], [23.636, 43.833], [23.593, 43.838], [23.485, 43.88], [23.326, 43.887], [23.233, 43.877], [23.197, 43.863], [23.161, 43.858], [23.132, 43.848], [22.92, 43.834], [22.887, 43.839], [22.862, 43.855], [22.851, 43.875], [22.851, 43.897], [22.876, 43.973], [22.887, 43.995], [22.905, 44.003], [22.988, 44.018], [23.024, 44.032], [23.038, 44.062], [23.031, 44.093], [23.01, 44.101], [22.941, 44.111], [22.905, 44.123], [22.693, 44.228], [22.686, 44.243], [22.689, 44.292], [22.682, 44.305], [22.664, 44.312], [22.621, 44.316], [22.581, 44.329], [22.549, 44.349], [22.524, 44.375], [22.506, 44.403], [22.506, 44.435], [22.48, 44.456], [22.477, 44.478], [22.484, 44.5], [22.491, 44.505], [22.549, 44.511], [22.567, 44.555], [22.581, 44.565], [22.599, 44.571], [22.642, 44.564], [22.678, 44.545], [22.7, 44.542], [22.743, 44.552], [22.758, 44.565], [22.765, 44.582], [22.7, 44.631], [22.621, 44.638], [22.588, 44.65], [22.552, 44.668], [22.484, 44.724], [22.47, 44.731], [22.426, 44.734], [22.362, 44.692], [22.318, 44.685], [22.304, 44.677], [22.3, 44.662], [22.185, 44.515], [22.171, 44.505], [22.128, 44.503], [22.106, 44.51], [22.088, 44.522], [22.077, 44.55], [22.045, 44.569], [22.005, 44.652], [21.994, 44.658], [21.962, 44.662], [21.854, 44.699], [21.8, 44.684], [21.757, 44.677], [21.706, 44.677], [21.656, 44.687], [21.62, 44.714], [21.595, 44.766], [21.577, 44.778], [21.559, 44.782], [21.498, 44.778], [21.411, 44.785], [21.397, 44.79], [21.379, 44.817], [21.343, 44.832], [21.346, 44.846], [21.368, 44.864], [21.397, 44.871], [21.454, 44.869], [21.483, 44.873], [21.523, 44.881], [21.537, 44.89], [21.541, 44.908], [21.53, 44.925], [21.516, 44.934], [21.458, 44.952], [21.408, 44.959], [21.386, 44.969], [21.382, 44.986], [21.354, 44.989], [21.35, 44.998], [21.364, 45.016], [21.4, 45.021], [21.422, 45.032], [21.429, 45.057], [21.444, 45.074], [21.444, 45.092], [21.458, 45.108], [21.483, 45.111], [21.494, 45.119], [21.494, 45.145], [21.458, 45.173], [21.404, 45.2], [21.3, 45.222], [21.256, 45.224], [21.238, 45.229], [21.188, 45.259], [21.156, 45.295], [21.141, 45.303], [21.102, 45.287], [21.091, 45.288], [21.066, 45.307], [20.983, 45.332], [20.965, 45.342], [20.929, 45.378], [20.864, 45.418], [20.817, 45.462], [20.767, 45.479], [20.76, 45.493], [20.799, 45.516], [20.799, 45.53], [20.788, 45.553], [20.76, 45.589], [20.756, 45.606], [20.781, 45.672], [20.778, 45.724], [20.785, 45.753], [20.778, 45.763], [20.752, 45.764], [20.727, 45.736], [20.698, 45.736], [20.688, 45.742], [20.644, 45.788], [20.637, 45.827], [20.605, 45.845], [20.572, 45.888], [20.558, 45.898], [20.536, 45.905], [20.5, 45.906], [20.482, 45.913], [20.428, 45.947], [20.353, 45.977], [20.338, 45.992], [20.306, 46.053], [20.241, 46.109], [20.284, 46.144], [20.443, 46.148], [20.468, 46.175], [20.547, 46.156], [20.587, 46.132], [20.601, 46.129], [20.662, 46.138], [20.684, 46.144], [20.698, 46.156], [20.709, 46.188], [20.738, 46.187], [20.745, 46.192], [20.734, 46.222], [20.738, 46.237], [20.778, 46.261], [20.799, 46.268], [20.839, 46.271], [20.875, 46.254], [20.907, 46.263], [20.961, 46.249], [21.001, 46.252], [21.033, 46.232], [21.051, 46.235], [21.098, 46.276], [21.105, 46.279], [21.134, 46.278], [21.145, 46.284], [21.163, 46.318], [21.177, 46.384], [21.195, 46.398], [21.256, 46.404], [21.282, 46.416], [21.274, 46.438], [21.246, 46.477], [21.249, 46.497], [21.26, 46.514], [21.292, 46.546], [21.3, 46.604], [21.318, 46.617], [21.339, 46.62], [21.375, 46.619], [21.397, 46.626], [21.418, 46.646], [21.436, 46.675], [21.465, 46.676], [21.483, 46.685], [21.501, 46.703], [21.505, 46.723], [21.469, 46.744], [21.472, 46.756], [21.516, 46.821], [21.537, 46.835], [21.573, 46.842], [21.584, 46.848], [21.591, 46.86], [21.588, 46.906], [21.649, 46.943], [21.67, 46.994], [21.663, 47.005], [21.638, 47.014], [21.634, 47.022], [21.67, 47.054], [21.764, 47.105], [21.778, 47.141], [21.822, 47.173], [21.822, 47.203], [21.829, 47.227], [21.84, 47.24], [21.861, 47.298], [21.919, 47.35], [21.98, 47.367], [22.002, 47.394], [22.002, 47.428], [21.987, 47.493], [22.009, 47.517], [22.038, 47.539], [22.099, 47.571], [22.149, 47.58], [22.164, 47.586], [22.174, 47.615], [22.196, 47.639], [22.207, 47.674], [22.239, 47.693], [22.272, 47.723], [22.322, 47.737], [22.369, 47.732], [22.398, 47.735], [22.408, 47.743], [22.423, 47.782], [22.455, 47.787], [22.527, 47.76], [22.563, 47.757], [22.603, 47.76], [22.639, 47.772], [22.704, 47.818], [22.747, 47.824], [22.761, 47.84], [22.754, 47.862], [22.765, 47.875], [22.819, 47.892], [22.837, 47.902]]]
+  ] },
+  { code: 'GR', name: 'Greece', polygons: [
+    [[[20.965, 40.849], [21.112, 40.854], [21.184, 40.871], [21.26, 40.861], [21.296, 40.861], [21.346, 40.873], [21.382, 40.901], [21.404, 40.908], [21.429, 40.91], [21.508, 40.901], [21.555, 40.871], [21.58, 40.866], [21.624, 40.895], [21.649, 40.896], [21.656, 40.918], [21.685, 40.928], [21.735, 40.92], [21.764, 40.923], [21.778, 40.933], [21.782, 40.964], [21.793, 40.974], [21.832, 40.994], [21.843, 41.013], [21.894, 41.053], [21.897, 41.082], [21.908, 41.097], [21.933, 41.112], [22.03, 41.139], [22.048, 41.151], [22.056, 41.149], [22.059, 41.139], [22.102, 41.121], [22.124, 41.128], [22.16, 41.151], [22.182, 41.16], [22.214, 41.161], [22.304, 41.146], [22.308, 41.124], [22.322, 41.129], [22.369, 41.133], [22.423, 41.114], [22.452, 41.114], [22.502, 41.122], [22.57, 41.119], [22.588, 41.124], [22.606, 41.136], [22.624, 41.153], [22.628, 41.177], [22.646, 41.18], [22.657, 41.178], [22.675, 41.156], [22.704, 41.139], [22.714, 41.146], [22.729, 41.166], [22.736, 41.205], [22.74, 41.283], [22.75, 41.315], [22.779, 41.335], [22.826, 41.34], [22.916, 41.335], [23.114, 41.313], [23.157, 41.317], [23.179, 41.322], [23.2, 41.334], [23.211, 41.369], [23.269, 41.398], [23.287, 41.398], [23.326, 41.369], [23.348, 41.371], [23.395, 41.396], [23.413, 41.399], [23.514, 41.398], [23.578, 41.372], [23.611, 41.371], [23.654, 41.398], [23.672, 41.403], [23.737, 41.398], [23.755, 41.401], [23.776, 41.43], [23.791, 41.435], [23.83, 41.435], [23.852, 41.44], [23.895, 41.464], [23.902, 41.464], [23.949, 41.438], [23.964, 41.438], [23.996, 41.457], [24, 41.464], [24.021, 41.453], [24.046, 41.455], [24.054, 41.464], [24.046, 41.526], [24.075, 41.536], [24.147, 41.526], [24.169, 41.511], [24.176, 41.531], [24.198, 41.548], [24.216, 41.556], [24.252, 41.563], [24.266, 41.55], [24.288, 41.54], [24.284, 41.523], [24.288, 41.518], [24.316, 41.521], [24.345, 41.518], [24.403, 41.528], [24.439, 41.528], [24.46, 41.55], [24.511, 41.562], [24.532, 41.548], [24.554, 41.48], [24.583, 41.46], [24.579, 41.44], [24.608, 41.426], [24.644, 41.428], [24.637, 41.418], [24.68, 41.416], [24.698, 41.41], [24.774, 41.349], [24.795, 41.347], [24.802, 41.362], [24.799, 41.379], [24.802, 41.393], [24.885, 41.401], [24.918, 41.386], [25.08, 41.334], [25.101, 41.337], [25.116, 41.32], [25.159, 41.307], [25.22, 41.249], [25.238, 41.241], [25.285, 41.239], [25.454, 41.281], [25.515, 41.283], [25.537, 41.312], [25.551, 41.315], [25.641, 41.312], [25.681, 41.296], [25.728, 41.317], [25.764, 41.318], [25.8, 41.339], [25.81, 41.34], [25.832, 41.335], [25.864, 41.31], [25.882, 41.305], [25.922, 41.317], [25.958, 41.315], [26.023, 41.342], [26.106, 41.357], [26.116, 41.356], [26.149, 41.398], [26.163, 41.428], [26.174, 41.431], [26.178, 41.44], [26.174, 41.447], [26.16, 41.455], [26.145, 41.479], [26.16, 41.494], [26.163, 41.506], [26.16, 41.543], [26.131, 41.553], [26.131, 41.583], [26.116, 41.617], [26.095, 41.629], [26.066, 41.636], [26.055, 41.649], [26.048, 41.69], [26.059, 41.707], [26.073, 41.708], [26.109, 41.729], [26.134, 41.734], [26.188, 41.735], [26.21, 41.751], [26.235, 41.746], [26.275, 41.715], [26.296, 41.71], [26.332, 41.713], [26.361, 41.715], [26.404, 41.692], [26.476, 41.676], [26.466, 41.649], [26.52, 41.617], [26.566, 41.599], [26.577, 41.59], [26.595, 41.612], [26.595, 41.597], [26.602, 41.585], [26.602, 41.548], [26.595, 41.538], [26.606, 41.523], [26.631, 41.42], [26.635, 41.379], [26.631, 41.357], [26.624, 41.34], [26.61, 41.33], [26.592, 41.328], [26.57, 41.334], [26.541, 41.352], [26.491, 41.312], [26.473, 41.307], [26.466, 41.296], [26.412, 41.266], [26.394, 41.259], [26.332, 41.254], [26.322, 41.246], [26.336, 41.229], [26.322, 41.188], [26.325, 41.17], [26.336, 41.153], [26.318, 41.131], [26.318, 41.122], [26.34, 41.114], [26.322, 41.089], [26.325, 41.074], [26.347, 41.041], [26.376, 41.031], [26.368, 41.008], [26.336, 40.998], [26.332, 40.991], [26.336, 40.982], [26.358, 40.965], [26.35, 40.955], [26.293, 40.927], [26.304, 40.91], [26.289, 40.906], [26.275, 40.91], [26.268, 40.92], [26.26, 40.92], [26.253, 40.901], [26.239, 40.886], [26.232, 40.886], [26.224, 40.9], [26.228, 40.889], [26.214, 40.879], [26.21, 40.874], [26.217, 40.873], [26.206, 40.866], [26.214, 40.847], [26.16, 40.812], [26.142, 40.793], [26.134, 40.768], [26.113, 40.748], [26.08, 40.736], [26.044, 40.739], [26.048, 40.743], [26.037, 40.758], [26.026, 40.797], [26.005, 40.803], [26.005, 40.81], [26.055, 40.817], [26.059, 40.82], [26.055, 40.83], [26.037, 40.832], [26.012, 40.825], [26.005, 40.839], [25.998, 40.839], [26.005, 40.817], [25.998, 40.817], [25.983, 40.83], [25.951, 40.846], [25.918, 40.852], [25.897, 40.846], [25.825, 40.849], [25.814, 40.856], [25.731, 40.852], [25.605, 40.876], [25.566, 40.866], [25.537, 40.871], [25.486, 40.898], [25.418, 40.906], [25.382, 40.92], [25.342, 40.942], [25.299, 40.952], [25.267, 40.927], [25.26, 40.927], [25.26, 40.932], [25.18, 40.943], [25.134, 40.962], [25.141, 40.984], [25.148, 40.991], [25.17, 40.996], [25.137, 41.009], [25.058, 41.009], [25.04, 41.006], [25.04, 40.989], [25.008, 40.971], [24.993, 40.969], [25, 40.95], [24.99, 40.942], [24.954, 40.942], [24.892, 40.92], [24.864, 40.905], [24.835, 40.874], [24.802, 40.854], [24.766, 40.866], [24.727, 40.852], [24.709, 40.852], [24.691, 40.859], [24.698, 40.866], [24.662, 40.879], [24.637, 40.859], [24.63, 40.859], [24.597, 40.901], [24.601, 40.913], [24.576, 40.927], [24.568, 40.937], [24.568, 40.952], [24.504, 40.962], [24.496, 40.955], [24.471, 40.952], [24.464, 40.942], [24.442, 40.949], [24.417, 40.945], [24.392, 40.937], [24.37, 40.915], [24.313, 40.879], [24.324, 40.873], [24.331, 40.856], [24.306, 40.847], [24.309, 40.835], [24.342, 40.832], [24.111, 40.727], [24.072, 40.721], [23.985, 40.732], [23.874, 40.778], [23.841, 40.783], [23.809, 40.78], [23.755, 40.763], [23.712, 40.737], [23.697, 40.721], [23.69, 40.695], [23.701, 40.673], [23.719, 40.658], [23.755, 40.646], [23.773, 40.628], [23.794, 40.587], [23.834, 40.564], [23.863, 40.558], [23.888, 40.564], [23.917, 40.53], [23.906, 40.525], [23.838, 40.518], [23.823, 40.506], [23.82, 40.488], [23.827, 40.461], [23.866, 40.413], [23.917, 40.39], [23.964, 40.38], [24.003, 40.386], [24.01, 40.393], [24.01, 40.401], [24.007, 40.415], [23.992, 40.434], [24, 40.44], [23.992, 40.447], [24.01, 40.449], [24.028, 40.432], [24.064, 40.381], [24.086, 40.366], [24.108, 40.358], [24.129, 40.366], [24.18, 40.351], [24.187, 40.347], [24.205, 40.317], [24.234, 40.317], [24.266, 40.288], [24.32, 40.228], [24.385, 40.179], [24.392, 40.153], [24.36, 40.133], [24.32, 40.125], [24.298, 40.128], [24.288, 40.16], [24.237, 40.187], [24.212, 40.217], [24.194, 40.249], [24.169, 40.275], [24.129, 40.29], [24.046, 40.302], [24.018, 40.31], [23.992, 40.324], [23.956, 40.352], [23.924, 40.369], [23.884, 40.366], [23.834, 40.373], [23.784, 40.352], [23.758, 40.349], [23.73, 40.359], [23.722, 40.344], [23.715, 40.346], [23.701, 40.327], [23.694, 40.309], [23.715, 40.255], [23.758, 40.231], [23.766, 40.216], [23.78, 40.202], [23.866, 40.173], [23.881, 40.177], [23.895, 40.172], [23.942, 40.141], [23.982, 40.131], [23.992, 40.119], [23.989, 40.109], [23.978, 40.101], [23.978, 40.091], [24, 40.076], [24.003, 40.059], [23.985, 40.054], [23.985, 40.042], [23.992, 40.037], [24.01, 40.043], [24.01, 40.027], [24.018, 40.016], [23.992, 40], [23.989, 39.989], [24, 39.981], [24, 39.974], [23.978, 39.974], [23.971, 39.967], [23.974, 39.962], [23.992, 39.961], [23.992, 39.954], [23.938, 39.952], [23.92, 39.956], [23.924, 39.974], [23.902, 39.971], [23.899, 39.978], [23.902, 39.988], [23.859, 40.006], [23.856, 40.016], [23.845, 40.025], [23.83, 40.027], [23.823, 40.022], [23.827, 40.008], [23.784, 40.067], [23.794, 40.094], [23.78, 40.101], [23.766, 40.126], [23.676, 40.217], [23.643, 40.236], [23.539, 40.244], [23.485, 40.27], [23.438, 40.28], [23.398, 40.278], [23.366, 40.261], [23.341, 40.228], [23.337, 40.209], [23.362, 40.15], [23.402, 40.145], [23.47, 40.067], [23.499, 40.042], [23.604, 39.998], [23.672, 39.986], [23.676, 39.961], [23.697, 39.94], [23.748, 39.93], [23.722, 39.915], [23.704, 39.913], [23.618, 39.924], [23.47, 39.971], [23.445, 39.974], [23.373, 39.966], [23.359, 39.961], [23.38, 39.991], [23.38, 40.003], [23.362, 40.027], [23.352, 40.057], [23.305, 40.104], [23.319, 40.136], [23.323, 40.175], [23.319, 40.211], [23.298, 40.236], [23.258, 40.253], [23.2, 40.266], [23.164, 40.28], [23.15, 40.277], [23.096, 40.307], [23.085, 40.307], [23.074, 40.314], [23.028, 40.325], [23.01, 40.351], [22.945, 40.386], [22.887, 40.386], [22.898, 40.401], [22.891, 40.418], [22.858, 40.447], [22.869, 40.449], [22.83, 40.486], [22.822, 40.503], [22.844, 40.51], [22.909, 40.511], [22.941, 40.518], [22.984, 40.553], [22.977, 40.57], [22.941, 40.587], [22.948, 40.606], [22.934, 40.631], [22.909, 40.645], [22.884, 40.648], [22.855, 40.64], [22.862, 40.621], [22.858, 40.606], [22.84, 40.584], [22.815, 40.574], [22.815, 40.57], [22.797, 40.57], [22.779, 40.579], [22.758, 40.567], [22.747, 40.555], [22.743, 40.54], [22.75, 40.523], [22.743, 40.523], [22.736, 40.53], [22.736, 40.515], [22.729, 40.515], [22.729, 40.523], [22.722, 40.523], [22.718, 40.511], [22.711, 40.511], [22.689, 40.523], [22.689, 40.528], [22.675, 40.526], [22.657, 40.516], [22.657, 40.504], [22.675, 40.496], [22.66, 40.493], [22.65, 40.472], [22.628, 40.483], [22.603, 40.481], [22.578, 40.469], [22.603, 40.444], [22.61, 40.428], [22.606, 40.413], [22.639, 40.383], [22.657, 40.38], [22.66, 40.369], [22.621, 40.31], [22.592, 40.241], [22.592, 40.231], [22.552, 40.167], [22.549, 40.143], [22.574, 40.087], [22.57, 40.054], [22.585, 40.05], [22.599, 40.016], [22.66, 39.978], [22.711, 39.957], [22.707, 39.939], [22.729, 39.885], [22.779, 39.849], [22.801, 39.841], [22.851, 39.79], [22.866, 39.753], [22.866, 39.731], [22.927, 39.599], [22.941, 39.581], [22.952, 39.571], [23.006, 39.544], [23.056, 39.527], [23.096, 39.505], [23.125, 39.454], [23.211, 39.38], [23.222, 39.358], [23.272, 39.322], [23.294, 39.268], [23.341, 39.192], [23.344, 39.179], [23.301, 39.152], [23.244, 39.142], [23.211, 39.132], [23.229, 39.125], [23.229, 39.118], [23.204, 39.105], [23.168, 39.106], [23.114, 39.088], [23.053, 39.098], [23.074, 39.125], [23.067, 39.138], [23.082, 39.147], [23.114, 39.159], [23.1, 39.105], [23.172, 39.135], [23.182, 39.147], [23.175, 39.155], [23.19, 39.159], [23.2, 39.152], [23.218, 39.179], [23.175, 39.235], [23.179, 39.252], [23.168, 39.268], [23.136, 39.297], [23.1, 39.312], [23.02, 39.317], [23.02, 39.326], [22.999, 39.358], [22.938, 39.361], [22.941, 39.344], [22.934, 39.336], [22.93, 39.312], [22.941, 39.304], [22.844, 39.289], [22.826, 39.272], [22.826, 39.221], [22.855, 39.159], [22.88, 39.179], [22.876, 39.191], [22.884, 39.191], [22.894, 39.172], [22.902, 39.179], [22.912, 39.164], [22.92, 39.125], [22.938, 39.111], [22.941, 39.116], [22.938, 39.132], [22.963, 39.12], [22.981, 39.084], [22.999, 39.069], [22.992, 39.054], [22.999, 39.049], [22.966, 39.035], [22.959, 39.025], [22.963, 39.008], [23.017, 39.034], [23.042, 39.04], [23.074, 39.042], [23.074, 39.037], [23.031, 39.015], [23.013, 38.981], [22.984, 38.954], [22.963, 38.956], [22.938, 38.948], [22.941, 38.932], [22.927, 38.932], [22.898, 38.919], [22.858, 38.929], [22.848, 38.926], [22.84, 38.919], [22.837, 38.897], [22.83, 38.892], [22.804, 38.89], [22.794, 38.878], [22.732, 38.872], [22.718, 38.89], [22.689, 38.878], [22.657, 38.892], [22.621, 38.914], [22.614, 38.914], [22.581, 38.894], [22.56, 38.892], [22.538, 38.878], [22.524, 38.885], [22.524, 38.858], [22.574, 38.865], [22.574, 38.858], [22.552, 38.848], [22.563, 38.836], [22.581, 38.833], [22.592, 38.845], [22.599, 38.845], [22.592, 38.829], [22.621, 38.834], [22.642, 38.829], [22.689, 38.85], [22.704, 38.851], [22.725, 38.819], [22.768, 38.785], [22.779, 38.782], [22.815, 38.789], [22.83, 38.785], [22.858, 38.767], [22.866, 38.755], [22.887, 38.772], [22.916, 38.775], [22.945, 38.758], [22.959, 38.755], [23.017, 38.755], [23.042, 38.747], [23.06, 38.728], [23.089, 38.649], [23.103, 38.639], [23.125, 38.637], [23.157, 38.654], [23.182, 38.654], [23.197, 38.666], [23.168, 38.679], [23.186, 38.686], [23.204, 38.682], [23.236, 38.666], [23.287, 38.659], [23.305, 38.652], [23.319, 38.644], [23.337, 38.617], [23.334, 38.605], [23.323, 38.595], [23.305, 38.59], [23.294, 38.579], [23.287, 38.556], [23.294, 38.568], [23.308, 38.569], [23.341, 38.546], [23.38, 38.536], [23.38, 38.529], [23.373, 38.525], [23.352, 38.525], [23.33, 38.515], [23.334, 38.503], [23.42, 38.503], [23.521, 38.49], [23.542, 38.512], [23.568, 38.502], [23.6, 38.473], [23.575, 38.461], [23.575, 38.453], [23.596, 38.446], [23.6, 38.441], [23.593, 38.426], [23.625, 38.414], [23.672, 38.357], [23.712, 38.336], [23.784, 38.343], [23.913, 38.297], [23.949, 38.291], [24.05, 38.211], [24.068, 38.205], [24.072, 38.188], [24.068, 38.174], [24.079, 38.166], [24.064, 38.156], [24.061, 38.132], [24.054, 38.146], [24.039, 38.144], [23.989, 38.122], [23.989, 38.102], [24.003, 38.059], [24.032, 38.007], [24.01, 37.967], [24.018, 37.938], [24.01, 37.926], [24.036, 37.923], [24.046, 37.906], [24.043, 37.901], [24.01, 37.892], [24.039, 37.877], [24.054, 37.879], [24.046, 37.87], [24.068, 37.865], [24.061, 37.855], [24.061, 37.843], [24.068, 37.837], [24.054, 37.828], [24.054, 37.823], [24.086, 37.801], [24.082, 37.752], [24.061, 37.734], [24.072, 37.727], [24.072, 37.72], [24.061, 37.72], [24.061, 37.713], [24.068, 37.71], [24.064, 37.705], [24.068, 37.7], [24.064, 37.705], [24.061, 37.7], [24.072, 37.69], [24.064, 37.678], [24.032, 37.651], [23.982, 37.671], [23.949, 37.678], [23.942, 37.69], [23.942, 37.727], [23.924, 37.722], [23.913, 37.74], [23.902, 37.782], [23.888, 37.774], [23.866, 37.808], [23.848, 37.818], [23.834, 37.816], [23.82, 37.83], [23.812, 37.83], [23.809, 37.808], [23.787, 37.813], [23.78, 37.803], [23.776, 37.815], [23.766, 37.816], [23.769, 37.828], [23.766, 37.838], [23.744, 37.857], [23.74, 37.877], [23.701, 37.926], [23.697, 37.94], [23.679, 37.946], [23.629, 37.933], [23.629, 37.94], [23.643, 37.953], [23.625, 37.948], [23.611, 37.961], [23.56, 37.973], [23.553, 37.98], [23.589, 38.007], [23.596, 38.021], [23.589, 38.039], [23.575, 38.048], [23.56, 38.043], [23.51, 38.041], [23.496, 38.029], [23.449, 38.022], [23.413, 37.994], [23.395, 37.988], [23.431, 37.98], [23.409, 37.975], [23.33, 37.98], [23.226, 37.973], [23.19, 37.958], [23.143, 37.929], [23.092, 37.911], [23.053, 37.926], [23.042, 37.923], [23.017, 37.926], [23.01, 37.897], [22.995, 37.882], [22.999, 37.864], [23.013, 37.848], [23.031, 37.85], [23.049, 37.843], [23.074, 37.842], [23.096, 37.843], [23.114, 37.85], [23.164, 37.815], [23.182, 37.809], [23.175, 37.789], [23.182, 37.774], [23.128, 37.761], [23.121, 37.74], [23.146, 37.725], [23.175, 37.72], [23.164, 37.681], [23.175, 37.644], [23.161, 37.644], [23.168, 37.614], [23.19, 37.607], [23.229, 37.583], [23.236, 37.59], [23.276, 37.561], [23.294, 37.556], [23.323, 37.538], [23.337, 37.536], [23.359, 37.548], [23.359, 37.575], [23.341, 37.6], [23.312, 37.61], [23.312, 37.617], [23.33, 37.629], [23.348, 37.634], [23.398, 37.637], [23.409, 37.625], [23.406, 37.6], [23.391, 37.571], [23.373, 37.556], [23.395, 37.541], [23.424, 37.536], [23.424, 37.527], [23.395, 37.522], [23.395, 37.516], [23.438, 37.509], [23.46, 37.495], [23.478, 37.49], [23.524, 37.46], [23.517, 37.453], [23.524, 37.44], [23.445, 37.414], [23.323, 37.409], [23.305, 37.413], [23.312, 37.397], [23.262, 37.401], [23.265, 37.391], [23.229, 37.384], [23.229, 37.376], [23.236, 37.37], [23.258, 37.37], [23.251, 37.357], [23.28, 37.35], [23.262, 37.343], [23.186, 37.34], [23.186, 37.332], [23.204, 37.303], [23.168, 37.3], [23.143, 37.31], [23.143, 37.316], [23.161, 37.316], [23.161, 37.323], [23.15, 37.327], [23.125, 37.325], [23.114, 37.337], [23.136, 37.33], [23.121, 37.345], [23.1, 37.357], [23.092, 37.35], [23.082, 37.35], [23.074, 37.355], [23.071, 37.401], [23.096, 37.389], [23.114, 37.411], [23.114, 37.426], [23.143, 37.413], [23.132, 37.448], [23.096, 37.462], [23.064, 37.455], [23.046, 37.46], [23.06, 37.467], [23.046, 37.487], [23.01, 37.468], [23.006, 37.46], [22.992, 37.495], [22.981, 37.509], [22.963, 37.522], [22.941, 37.522], [22.938, 37.536], [22.923, 37.541], [22.902, 37.541], [22.916, 37.539], [22.923, 37.527], [22.902, 37.534], [22.884, 37.533], [22.855, 37.516], [22.819, 37.536], [22.826, 37.549], [22.801, 37.561], [22.797, 37.576], [22.779, 37.597], [22.74, 37.582], [22.725, 37.566], [22.722, 37.541], [22.736, 37.524], [22.729, 37.494], [22.75, 37.467], [22.75, 37.443], [22.765, 37.431], [22.758, 37.397], [22.819, 37.343], [22.812, 37.33], [22.826, 37.33], [22.826, 37.323], [22.819, 37.323], [22.819, 37.316], [22.855, 37.274], [22.862, 37.256], [22.912, 37.183], [22.902, 37.173], [22.898, 37.159], [22.894, 37.134], [22.902, 37.121], [22.923, 37.117], [22.956, 37.124], [22.963, 37.11], [22.956, 37.107], [22.963, 37.104], [22.956, 37.095], [22.974, 37.09], [22.981, 37.083], [22.981, 37.078], [22.963, 37.083], [22.999, 37.033], [22.999, 37.021], [23.013, 36.987], [22.992, 36.987], [22.992, 36.982], [23.006, 36.967], [23.013, 36.974], [23.017, 36.947], [23.013, 36.938], [23.049, 36.877], [23.046, 36.869], [23.092, 36.818], [23.096, 36.806], [23.092, 36.798], [23.082, 36.795], [23.082, 36.79], [23.114, 36.781], [23.092, 36.756], [23.096, 36.744], [23.089, 36.732], [23.074, 36.734], [23.053, 36.747], [23.024, 36.715], [23.038, 36.707], [23.031, 36.693], [23.06, 36.693], [23.035, 36.675], [23.035, 36.649], [23.082, 36.579], [23.136, 36.555], [23.146, 36.541], [23.154, 36.541], [23.143, 36.535], [23.146, 36.518], [23.136, 36.508], [23.154, 36.487], [23.204, 36.457], [23.197, 36.433], [23.161, 36.447], [23.154, 36.435], [23.139, 36.433], [23.096, 36.443], [23.067, 36.474], [23.071, 36.492], [23.053, 36.523], [23.035, 36.528], [22.974, 36.519], [22.963, 36.531], [22.959, 36.548], [22.93, 36.597], [22.876, 36.631], [22.887, 36.643], [22.884, 36.655], [22.837, 36.687], [22.819, 36.665], [22.815, 36.671], [22.819, 36.719], [22.808, 36.739], [22.801, 36.776], [22.786, 36.793], [22.765, 36.805], [22.686, 36.81], [22.621, 36.803], [22.578, 36.783], [22.578, 36.741], [22.545, 36.722], [22.524, 36.685], [22.542, 36.685], [22.549, 36.678], [22.552, 36.651], [22.545, 36.651], [22.534, 36.671], [22.524, 36.671], [22.516, 36.666], [22.509, 36.648], [22.531, 36.633], [22.527, 36.612], [22.513, 36.602], [22.506, 36.624], [22.491, 36.617], [22.484, 36.607], [22.484, 36.548], [22.491, 36.506], [22.513, 36.467], [22.506, 36.46], [22.513, 36.452], [22.498, 36.445], [22.495, 36.435], [22.506, 36.405], [22.491, 36.403], [22.491, 36.391], [22.48, 36.401], [22.477, 36.438], [22.47, 36.452], [22.455, 36.462], [22.419, 36.474], [22.408, 36.487], [22.401, 36.487], [22.39, 36.479], [22.38, 36.481], [22.354, 36.513], [22.354, 36.523], [22.369, 36.548], [22.383, 36.545], [22.387, 36.557], [22.383, 36.572], [22.372, 36.582], [22.387, 36.602], [22.369, 36.602], [22.372, 36.643], [22.387, 36.644], [22.387, 36.651], [22.369, 36.656], [22.369, 36.673], [22.387, 36.707], [22.358, 36.702], [22.322, 36.758], [22.304, 36.774], [22.308, 36.795], [22.293, 36.82], [22.221, 36.898], [22.2, 36.906], [22.174, 36.891], [22.138, 36.918], [22.135, 36.931], [22.142, 36.936], [22.149, 36.957], [22.156, 37.014], [22.153, 37.021], [22.084, 37.033], [22.048, 37.034], [22.03, 37.031], [21.991, 37.012], [21.955, 37.004], [21.944, 36.994], [21.937, 36.98], [21.922, 36.864], [21.933, 36.844], [21.93, 36.822], [21.955, 36.803], [21.969, 36.801], [21.969, 36.795], [21.944, 36.79], [21.94, 36.783], [21.944, 36.774], [21.937, 36.766], [21.883, 36.727], [21.876, 36.727], [21.822, 36.808], [21.789, 36.805], [21.764, 36.795], [21.753, 36.805], [21.728, 36.813], [21.721, 36.822], [21.706, 36.818], [21.688, 36.85], [21.692, 36.859], [21.688, 36.891], [21.71, 36.926], [21.71, 36.943], [21.703, 36.957], [21.688, 36.965], [21.667, 36.96], [21.678, 36.964], [21.681, 36.974], [21.667, 36.97], [21.663, 36.96], [21.656, 36.994], [21.631, 37.021], [21.598, 37.046], [21.58, 37.077], [21.57, 37.115], [21.566, 37.156], [21.573, 37.193], [21.591, 37.22], [21.656, 37.261], [21.681, 37.284], [21.696, 37.316], [21.692, 37.357], [21.674, 37.396], [21.606, 37.499], [21.57, 37.546], [21.552, 37.561], [21.444, 37.619], [21.4, 37.656], [21.343, 37.669], [21.325, 37.664], [21.318, 37.637], [21.314, 37.637], [21.31, 37.658], [21.3, 37.673], [21.314, 37.71], [21.296, 37.772], [21.285, 37.786], [21.228, 37.811], [21.112, 37.843], [21.109, 37.855], [21.112, 37.87], [21.105, 37.879], [21.134, 37.946], [21.141, 37.946], [21.163, 37.929], [21.206, 37.946], [21.253, 37.977], [21.278, 38], [21.292, 37.997], [21.325, 38.022], [21.318, 38.036], [21.285, 38.015], [21.368, 38.122], [21.375, 38.144], [21.375, 38.22], [21.397, 38.193], [21.408, 38.186], [21.4, 38.215], [21.422, 38.203], [21.472, 38.196], [21.523, 38.166], [21.602, 38.152], [21.624, 38.154], [21.674, 38.179], [21.703, 38.205], [21.742, 38.27], [21.764, 38.296], [21.85, 38.341], [21.915, 38.331], [21.937, 38.331], [21.955, 38.336], [21.976, 38.323], [22.02, 38.313], [22.038, 38.282], [22.077, 38.264], [22.099, 38.262], [22.113, 38.267], [22.138, 38.254], [22.16, 38.213], [22.207, 38.2], [22.218, 38.188], [22.257, 38.186], [22.311, 38.173], [22.333, 38.179], [22.365, 38.159], [22.416, 38.137], [22.434, 38.144], [22.513, 38.129], [22.621, 38.083], [22.682, 38.066], [22.779, 38], [22.801, 37.973], [22.822, 37.97], [22.866, 37.94], [22.884, 37.938], [22.923, 37.946], [22.945, 37.946], [22.974, 37.973], [22.966, 37.99], [22.952, 38.002], [22.923, 38.012], [22.898, 38.027], [22.88, 38.029], [22.887, 38.034], [22.855, 38.036], [22.884, 38.054], [22.912, 38.059], [22.941, 38.083], [22.97, 38.081], [23.02, 38.064], [23.038, 38.07], [23.067, 38.059], [23.1, 38.063], [23.172, 38.08], [23.19, 38.095], [23.218, 38.103], [23.211, 38.115], [23.193, 38.127], [23.175, 38.132], [23.175, 38.146], [23.222, 38.152], [23.222, 38.159], [23.143, 38.167], [23.128, 38.173], [23.15, 38.186], [23.121, 38.208], [23.11, 38.21], [23.067, 38.183], [23.031, 38.186], [23.031, 38.193], [23.053, 38.193], [23.024, 38.216], [22.952, 38.225], [22.934, 38.222], [22.923, 38.206], [22.938, 38.211], [22.952, 38.21], [22.963, 38.205], [22.97, 38.193], [22.923, 38.198], [22.909, 38.193], [22.894, 38.242], [22.887, 38.242], [22.88, 38.227], [22.876, 38.242], [22.819, 38.233], [22.804, 38.227], [22.765, 38.249], [22.797, 38.282], [22.696, 38.316], [22.675, 38.343], [22.686, 38.362], [22.671, 38.382], [22.646, 38.39], [22.628, 38.372], [22.646, 38.37], [22.646, 38.362], [22.635, 38.357], [22.614, 38.363], [22.592, 38.345], [22.588, 38.331], [22.606, 38.323], [22.606, 38.316], [22.599, 38.313], [22.599, 38.303], [22.588, 38.292], [22.563, 38.294], [22.545, 38.303], [22.527, 38.33], [22.527, 38.335], [22.538, 38.336], [22.524, 38.358], [22.477, 38.406], [22.47, 38.421], [22.401, 38.453], [22.408, 38.416], [22.372, 38.392], [22.387, 38.38], [22.394, 38.385], [22.398, 38.375], [22.39, 38.362], [22.38, 38.358], [22.387, 38.352], [22.383, 38.343], [22.369, 38.341], [22.322, 38.352], [22.286, 38.348], [22.254, 38.362], [22.243, 38.358], [22.225, 38.36], [22.196, 38.34], [22.189, 38.323], [22.167, 38.352], [22.146, 38.353], [22.149, 38.363], [22.131, 38.373], [22.048, 38.399], [22.03, 38.399], [22.012, 38.392], [21.987, 38.411], [21.958, 38.412], [21.879, 38.379], [21.865, 38.377], [21.847, 38.395], [21.832, 38.397], [21.782, 38.363], [21.775, 38.353], [21.771, 38.333], [21.764, 38.328], [21.742, 38.338], [21.717, 38.358], [21.66, 38.358], [21.613, 38.345], [21.598, 38.352], [21.534, 38.314], [21.519, 38.296], [21.508, 38.303], [21.476, 38.306], [21.429, 38.331], [21.444, 38.335], [21.49, 38.309], [21.483, 38.325], [21.49, 38.336], [21.476, 38.343], [21.476, 38.352], [21.49, 38.358], [21.469, 38.358], [21.476, 38.372], [21.458, 38.367], [21.444, 38.372], [21.422, 38.363], [21.429, 38.384], [21.415, 38.394], [21.379, 38.399], [21.372, 38.409], [21.361, 38.468], [21.328, 38.495], [21.307, 38.495], [21.354, 38.433], [21.339, 38.433], [21.346, 38.426], [21.336, 38.395], [21.292, 38.377], [21.3, 38.372], [21.292, 38.363], [21.278, 38.37], [21.271, 38.368], [21.267, 38.358], [21.271, 38.355], [21.264, 38.346], [21.238, 38.331], [21.213, 38.331], [21.188, 38.341], [21.181, 38.331], [21.199, 38.323], [21.174, 38.313], [21.174, 38.303], [21.156, 38.304], [21.141, 38.336], [21.084, 38.343], [21.098, 38.348], [21.109, 38.36], [21.105, 38.372], [21.091, 38.363], [21.105, 38.385], [21.102, 38.379], [21.112, 38.373], [21.141, 38.399], [21.123, 38.411], [21.105, 38.399], [21.094, 38.402], [21.08, 38.421], [21.084, 38.441], [21.105, 38.426], [21.116, 38.428], [21.12, 38.441], [21.105, 38.433], [21.112, 38.446], [21.102, 38.465], [21.105, 38.482], [21.08, 38.488], [21.098, 38.495], [21.084, 38.502], [21.098, 38.525], [21.094, 38.532], [21.087, 38.537], [21.037, 38.507], [21.03, 38.512], [21.015, 38.546], [21.026, 38.586], [21.026, 38.608], [21.004, 38.627], [20.979, 38.672], [20.94, 38.672], [20.914, 38.686], [20.875, 38.796], [20.86, 38.804], [20.846, 38.799], [20.81, 38.762], [20.803, 38.774], [20.792, 38.767], [20.785, 38.769], [20.774, 38.76], [20.763, 38.782], [20.731, 38.804], [20.749, 38.856], [20.767, 38.865], [20.788, 38.863], [20.806, 38.868], [20.796, 38.88], [20.763, 38.892], [20.756, 38.907], [20.752, 38.926], [20.756, 38.941], [20.77, 38.959], [20.781, 38.936], [20.817, 38.921], [20.835, 38.929], [20.86, 38.961], [20.868, 38.961], [20.871, 38.953], [20.868, 38.926], [20.904, 38.927], [20.914, 38.936], [20.922, 38.954], [20.929, 38.954], [20.936, 38.944], [20.976, 38.948], [21.008, 38.934], [21.026, 38.932], [21.03, 38.926], [21.026, 38.899], [21.033, 38.892], [21.062, 38.882], [21.084, 38.865], [21.087, 38.878], [21.098, 38.885], [21.091, 38.904], [21.102, 38.91], [21.12, 38.91], [21.138, 38.902], [21.159, 38.878], [21.174, 38.873], [21.181, 38.885], [21.17, 38.895], [21.166, 38.91], [21.159, 38.91], [21.141, 38.931], [21.148, 38.954], [21.141, 38.963], [21.152, 38.976], [21.159, 38.975], [21.159, 38.998], [21.084, 39.062], [21.073, 39.051], [21.08, 39.037], [21.066, 39.04], [21.055, 39.037], [21.037, 39.022], [21.058, 39.008], [21.004, 39.015], [21.004, 39.022], [20.99, 39.024], [20.965, 39.039], [20.954, 39.034], [20.936, 39.047], [20.936, 39.057], [20.947, 39.062], [20.947, 39.069], [20.922, 39.064], [20.9, 39.078], [20.893, 39.078], [20.889, 39.067], [20.871, 39.059], [20.868, 39.052], [20.871, 39.044], [20.886, 39.037], [20.846, 39.037], [20.86, 39.042], [20.857, 39.059], [20.853, 39.066], [20.846, 39.062], [20.846, 39.078], [20.832, 39.078], [20.824, 39.069], [20.839, 39.091], [20.835, 39.108], [20.821, 39.115], [20.81, 39.105], [20.806, 39.111], [20.796, 39.098], [20.778, 39.091], [20.778, 39.083], [20.792, 39.081], [20.785, 39.049], [20.756, 39.022], [20.742, 39.029], [20.745, 39.015], [20.756, 39.015], [20.803, 38.985], [20.824, 38.978], [20.832, 38.964], [20.828, 38.961], [20.803, 38.971], [20.767, 38.978], [20.756, 38.975], [20.756, 38.97], [20.734, 38.949], [20.727, 38.966], [20.702, 38.997], [20.716, 39.015], [20.706, 39.049], [20.688, 39.073], [20.598, 39.123], [20.518, 39.201], [20.479, 39.225], [20.482, 39.235], [20.475, 39.267], [20.482, 39.282], [20.461, 39.277], [20.45, 39.289], [20.418, 39.284], [20.392, 39.297], [20.367, 39.287], [20.324, 39.304], [20.292, 39.334], [20.292, 39.365], [20.259, 39.397], [20.238, 39.4], [20.241, 39.412], [20.216, 39.441], [20.266, 39.447], [20.256, 39.469], [20.216, 39.488], [20.216, 39.495], [20.256, 39.493], [20.263, 39.508], [20.238, 39.52], [20.223, 39.522], [20.223, 39.508], [20.191, 39.522], [20.202, 39.53], [20.184, 39.534], [20.166, 39.535], [20.133, 39.53], [20.144, 39.547], [20.148, 39.571], [20.155, 39.564], [20.162, 39.564], [20.176, 39.581], [20.173, 39.598], [20.187, 39.604], [20.184, 39.625], [20.14, 39.642], [20.122, 39.657], [20.097, 39.665], [20.09, 39.674], [20.043, 39.68], [20.011, 39.694], [20, 39.694], [20.014, 39.701], [20.09, 39.682], [20.137, 39.664], [20.162, 39.645], [20.184, 39.637], [20.202, 39.64], [20.205, 39.645], [20.202, 39.653], [20.212, 39.667], [20.227, 39.669], [20.245, 39.664], [20.248, 39.686], [20.284, 39.704], [20.299, 39.728], [20.277, 39.756], [20.284, 39.78], [20.274, 39.797], [20.288, 39.807], [20.338, 39.794], [20.353, 39.785], [20.371, 39.785], [20.389, 39.799], [20.396, 39.819], [20.392, 39.836], [20.346, 39.895], [20.317, 39.919], [20.299, 39.988], [20.378, 39.995], [20.389, 40.03], [20.4, 40.045], [20.414, 40.057], [20.432, 40.064], [20.464, 40.06], [20.5, 40.072], [20.554, 40.065], [20.576, 40.067], [20.648, 40.094], [20.67, 40.138], [20.659, 40.179], [20.684, 40.19], [20.695, 40.216], [20.698, 40.278], [20.706, 40.288], [20.738, 40.304], [20.77, 40.363], [20.774, 40.374], [20.77, 40.422], [20.81, 40.437], [20.821, 40.457], [20.839, 40.472], [20.868, 40.472], [20.911, 40.459], [20.947, 40.483], [20.954, 40.494], [20.95, 40.506], [20.958, 40.515], [20.968, 40.521], [20.983, 40.523], [20.997, 40.54], [21.015, 40.548], [21.033, 40.621], [21.037, 40.66], [21.019, 40.69], [20.994, 40.716], [20.965, 40.736], [20.954, 40.759], [20.943, 40.765], [20.961, 40.781], [20.968, 40.802]]],
+    [[[24.129, 34.854], [24.122, 34.846], [24.122, 34.836], [24.126, 34.827], [24.136, 34.822], [24.136, 34.816], [24.108, 34.817], [24.046, 34.849], [24.046, 34.854], [24.068, 34.858], [24.079, 34.87], [24.129, 34.863]]],
+    [[[26.977, 35.432], [27.013, 35.437], [27.013, 35.432], [26.998, 35.425], [27.006, 35.398], [26.959, 35.39], [26.876, 35.349], [26.854, 35.363], [26.847, 35.373], [26.89, 35.407], [26.901, 35.425], [26.923, 35.418]]],
+    [[[26.322, 35.315], [26.311, 35.297], [26.268, 35.26], [26.286, 35.209], [26.3, 35.185], [26.322, 35.197], [26.286, 35.15], [26.293, 35.136], [26.278, 35.099], [26.25, 35.064], [26.242, 35.039], [26.149, 35.003], [26.106, 35], [26.08, 35.02], [26.059, 35.023], [26.019, 35.022], [25.994, 35.037], [25.983, 35.039], [25.962, 35.028], [25.926, 35.033], [25.882, 35.027], [25.807, 35.006], [25.602, 35.013], [25.504, 34.985], [25.414, 34.993], [25.346, 34.991], [25.303, 34.985], [25.281, 34.973], [25.209, 34.951], [25.152, 34.956], [25.13, 34.951], [25.108, 34.937], [25.098, 34.937], [25.087, 34.944], [25.058, 34.944], [25.018, 34.932], [24.982, 34.939], [24.738, 34.932], [24.738, 34.937], [24.752, 34.946], [24.756, 34.957], [24.752, 34.996], [24.759, 35.042], [24.741, 35.077], [24.72, 35.094], [24.619, 35.098], [24.594, 35.101], [24.579, 35.109], [24.565, 35.106], [24.518, 35.145], [24.482, 35.157], [24.464, 35.15], [24.403, 35.175], [24.403, 35.191], [24.295, 35.182], [24.219, 35.191], [24.205, 35.206], [24.183, 35.197], [24.111, 35.197], [24.086, 35.204], [24.079, 35.194], [24.05, 35.191], [24.032, 35.197], [24.003, 35.226], [23.989, 35.233], [23.902, 35.231], [23.859, 35.236], [23.827, 35.253], [23.812, 35.245], [23.798, 35.246], [23.784, 35.234], [23.712, 35.236], [23.683, 35.226], [23.668, 35.238], [23.611, 35.234], [23.586, 35.239], [23.582, 35.26], [23.553, 35.266], [23.532, 35.288], [23.517, 35.294], [23.524, 35.3], [23.517, 35.307], [23.546, 35.315], [23.546, 35.321], [23.553, 35.322], [23.542, 35.336], [23.546, 35.356], [23.539, 35.375], [23.575, 35.435], [23.56, 35.452], [23.56, 35.459], [23.578, 35.493], [23.578, 35.501], [23.568, 35.506], [23.571, 35.518], [23.568, 35.528], [23.582, 35.552], [23.586, 35.564], [23.582, 35.576], [23.604, 35.613], [23.607, 35.552], [23.622, 35.525], [23.64, 35.52], [23.64, 35.511], [23.65, 35.503], [23.683, 35.5], [23.704, 35.503], [23.719, 35.513], [23.73, 35.53], [23.726, 35.574], [23.712, 35.608], [23.722, 35.618], [23.712, 35.648], [23.715, 35.662], [23.74, 35.687], [23.751, 35.687], [23.78, 35.672], [23.78, 35.663], [23.769, 35.653], [23.78, 35.609], [23.776, 35.584], [23.798, 35.545], [23.816, 35.535], [23.928, 35.521], [23.946, 35.525], [24, 35.52], [24.025, 35.521], [24.046, 35.528], [24.057, 35.554], [24.093, 35.554], [24.082, 35.591], [24.115, 35.601], [24.162, 35.597], [24.183, 35.586], [24.205, 35.542], [24.183, 35.513], [24.144, 35.506], [24.104, 35.515], [24.082, 35.515], [24.068, 35.506], [24.072, 35.498], [24.136, 35.474], [24.169, 35.456], [24.187, 35.452], [24.223, 35.461], [24.252, 35.479], [24.266, 35.415], [24.262, 35.378], [24.266, 35.369], [24.273, 35.364], [24.295, 35.364], [24.342, 35.348], [24.428, 35.369], [24.464, 35.363], [24.486, 35.373], [24.568, 35.385], [24.594, 35.391], [24.655, 35.418], [24.698, 35.427], [24.82, 35.413], [24.842, 35.403], [24.849, 35.41], [24.896, 35.425], [24.957, 35.403], [24.968, 35.412], [24.972, 35.425], [25.018, 35.415], [25.029, 35.403], [25.054, 35.403], [25.047, 35.38], [25.054, 35.356], [25.076, 35.344], [25.152, 35.344], [25.18, 35.351], [25.198, 35.349], [25.22, 35.336], [25.306, 35.342], [25.346, 35.336], [25.36, 35.342], [25.368, 35.336], [25.375, 35.342], [25.425, 35.3], [25.454, 35.294], [25.483, 35.297], [25.638, 35.346], [25.659, 35.349], [25.692, 35.337], [25.767, 35.336], [25.749, 35.31], [25.724, 35.294], [25.731, 35.288], [25.724, 35.272], [25.728, 35.265], [25.738, 35.26], [25.742, 35.285], [25.76, 35.275], [25.753, 35.265], [25.76, 35.26], [25.753, 35.253], [25.749, 35.256], [25.738, 35.255], [25.731, 35.246], [25.735, 35.238], [25.72, 35.211], [25.724, 35.191], [25.713, 35.182], [25.713, 35.174], [25.724, 35.153], [25.728, 35.133], [25.753, 35.133], [25.796, 35.115], [25.818, 35.116], [25.832, 35.123], [25.846, 35.15], [25.882, 35.165], [25.897, 35.185], [25.987, 35.197], [26.026, 35.223], [26.055, 35.228], [26.059, 35.233], [26.12, 35.216], [26.109, 35.206], [26.131, 35.196], [26.156, 35.197], [26.199, 35.219], [26.192, 35.221], [26.192, 35.226], [26.26, 35.285], [26.293, 35.288], [26.286, 35.3], [26.3, 35.3], [26.293, 35.315]]],
+    [[[27.211, 35.521], [27.232, 35.505], [27.236, 35.493], [27.232, 35.472], [27.207, 35.478], [27.182, 35.469], [27.16, 35.451], [27.157, 35.425], [27.16, 35.43], [27.171, 35.432], [27.15, 35.408], [27.135, 35.403], [27.142, 35.42], [27.135, 35.427], [27.121, 35.427], [27.11, 35.432], [27.092, 35.452], [27.096, 35.462], [27.11, 35.466], [27.103, 35.479], [27.117, 35.483], [27.121, 35.493], [27.11, 35.521], [27.114, 35.543], [27.11, 35.562], [27.074, 35.581], [27.067, 35.589], [27.085, 35.626], [27.114, 35.643], [27.124, 35.668], [27.128, 35.694], [27.153, 35.717], [27.164, 35.778], [27.157, 35.802], [27.171, 35.809], [27.178, 35.809], [27.178, 35.802], [27.186, 35.802], [27.204, 35.822], [27.222, 35.829], [27.232, 35.822], [27.211, 35.778], [27.211, 35.753], [27.218, 35.726], [27.189, 35.697], [27.182, 35.673], [27.16, 35.651], [27.157, 35.635], [27.157, 35.613], [27.186, 35.596], [27.207, 35.56], [27.222, 35.55], [27.204, 35.535], [27.204, 35.527]]],
+    [[[23.28, 35.898], [23.316, 35.879], [23.33, 35.864], [23.334, 35.829], [23.326, 35.829], [23.294, 35.859], [23.272, 35.905]]],
+    [[[23.013, 36.308], [23.078, 36.271], [23.096, 36.254], [23.103, 36.237], [23.067, 36.226], [23.06, 36.217], [23.053, 36.204], [23.053, 36.145], [23.013, 36.148], [23.002, 36.146], [22.992, 36.138], [22.988, 36.151], [22.977, 36.158], [22.948, 36.165], [22.948, 36.177], [22.93, 36.178], [22.909, 36.205], [22.916, 36.285], [22.898, 36.329], [22.934, 36.381], [22.945, 36.389], [22.956, 36.383], [22.995, 36.324]]],
+    [[[25.735, 36.383], [25.767, 36.401], [25.803, 36.389], [25.836, 36.366], [25.854, 36.364], [25.846, 36.351], [25.818, 36.364], [25.778, 36.354], [25.746, 36.357], [25.731, 36.373]]],
+    [[[28.24, 36.433], [28.226, 36.418], [28.237, 36.373], [28.215, 36.364], [28.204, 36.322], [28.176, 36.29], [28.165, 36.237], [28.147, 36.226], [28.129, 36.185], [28.111, 36.187], [28.1, 36.182], [28.096, 36.168], [28.086, 36.165], [28.06, 36.116], [28.096, 36.104], [28.089, 36.089], [28.075, 36.075], [28.089, 36.055], [28.039, 36.069], [28.017, 36.069], [27.992, 36.062], [27.931, 36.025], [27.862, 35.94], [27.826, 35.913], [27.78, 35.89], [27.733, 35.915], [27.711, 35.952], [27.726, 35.967], [27.754, 36.036], [27.762, 36.062], [27.758, 36.084], [27.708, 36.128], [27.715, 36.139], [27.711, 36.145], [27.704, 36.15], [27.69, 36.15], [27.682, 36.158], [27.772, 36.199], [27.769, 36.205], [27.78, 36.217], [27.78, 36.232], [27.808, 36.275], [27.837, 36.281], [27.884, 36.322], [27.898, 36.34], [27.96, 36.357], [28.118, 36.428], [28.183, 36.425], [28.215, 36.455], [28.23, 36.45]]],
+    [[[25.382, 36.479], [25.418, 36.47], [25.454, 36.45], [25.479, 36.425], [25.49, 36.398], [25.49, 36.378], [25.465, 36.342], [25.447, 36.337], [25.425, 36.339], [25.378, 36.349], [25.36, 36.357], [25.375, 36.362], [25.411, 36.364], [25.436, 36.391], [25.425, 36.427], [25.418, 36.433], [25.422, 36.452], [25.368, 36.467], [25.368, 36.474]]],
+    [[[27.398, 36.438], [27.387, 36.421], [27.398, 36.41], [27.42, 36.408], [27.438, 36.418], [27.445, 36.411], [27.438, 36.394], [27.416, 36.381], [27.376, 36.383], [27.366, 36.393], [27.358, 36.41], [27.362, 36.425], [27.351, 36.432], [27.337, 36.428], [27.322, 36.411], [27.315, 36.411], [27.294, 36.435], [27.294, 36.455], [27.301, 36.474], [27.312, 36.457], [27.355, 36.479], [27.369, 36.472], [27.38, 36.443]]],
+    [[[26.361, 36.638], [26.394, 36.636], [26.43, 36.619], [26.458, 36.597], [26.466, 36.582], [26.455, 36.577], [26.444, 36.59], [26.43, 36.579], [26.372, 36.572], [26.347, 36.541], [26.35, 36.516], [26.343, 36.509], [26.318, 36.508], [26.3, 36.513], [26.282, 36.54], [26.268, 36.548], [26.275, 36.562], [26.264, 36.573], [26.26, 36.587], [26.268, 36.595], [26.282, 36.59], [26.296, 36.597], [26.343, 36.568], [26.365, 36.59], [26.386, 36.585], [26.404, 36.59], [26.39, 36.595], [26.386, 36.606], [26.39, 36.616], [26.368, 36.624]]],
+    [[[27.87, 36.59], [27.877, 36.562], [27.862, 36.555], [27.873, 36.55], [27.877, 36.541], [27.844, 36.528], [27.83, 36.528], [27.83, 36.535], [27.848, 36.548], [27.805, 36.56], [27.794, 36.567], [27.808, 36.575], [27.762, 36.575], [27.765, 36.585], [27.787, 36.606], [27.787, 36.617], [27.794, 36.617], [27.801, 36.624], [27.801, 36.617], [27.819, 36.634], [27.841, 36.644], [27.862, 36.646], [27.862, 36.638], [27.834, 36.631], [27.823, 36.624], [27.816, 36.611], [27.83, 36.612], [27.837, 36.602], [27.87, 36.624], [27.877, 36.617], [27.862, 36.602], [27.873, 36.606]]],
+    [[[24.867, 36.665], [24.946, 36.624], [24.964, 36.597], [24.939, 36.597], [24.921, 36.602], [24.896, 36.624], [24.864, 36.638], [24.849, 36.648], [24.842, 36.665]]],
+    [[[25.144, 36.72], [25.184, 36.719], [25.184, 36.707], [25.13, 36.66], [25.094, 36.636], [25.069, 36.638], [25.105, 36.7], [25.116, 36.702]]],
+    [[[21.764, 36.754], [21.778, 36.747], [21.782, 36.736], [21.778, 36.7], [21.768, 36.709], [21.764, 36.72], [21.75, 36.712]]],
+    [[[24.475, 36.747], [24.532, 36.768], [24.547, 36.754], [24.543, 36.742], [24.547, 36.688], [24.518, 36.673], [24.486, 36.665], [24.363, 36.663], [24.327, 36.651], [24.324, 36.665], [24.331, 36.687], [24.327, 36.7], [24.342, 36.712], [24.327, 36.72], [24.338, 36.727], [24.345, 36.746], [24.356, 36.754], [24.381, 36.734], [24.396, 36.736], [24.406, 36.707], [24.428, 36.7], [24.471, 36.703], [24.46, 36.727], [24.45, 36.734], [24.435, 36.727], [24.41, 36.754], [24.41, 36.761], [24.421, 36.771], [24.45, 36.754]]],
+    [[[24.644, 36.79], [24.666, 36.774], [24.669, 36.764], [24.658, 36.751], [24.644, 36.747], [24.608, 36.781], [24.622, 36.795], [24.64, 36.795]]],
+    [[[25.274, 36.72], [25.281, 36.727], [25.252, 36.727], [25.263, 36.749], [25.263, 36.768], [25.306, 36.795], [25.335, 36.758], [25.368, 36.739], [25.4, 36.729], [25.411, 36.712], [25.396, 36.71], [25.389, 36.703], [25.396, 36.678], [25.375, 36.655], [25.339, 36.668]]],
+    [[[21.696, 36.741], [21.696, 36.776], [21.699, 36.791], [21.71, 36.801], [21.728, 36.795], [21.728, 36.79], [21.717, 36.781], [21.717, 36.771]]],
+    [[[24.608, 36.835], [24.608, 36.828], [24.572, 36.781], [24.54, 36.785], [24.532, 36.791], [24.522, 36.817], [24.532, 36.837], [24.561, 36.845], [24.586, 36.837], [24.601, 36.842]]],
+    [[[25.422, 36.832], [25.429, 36.844], [25.447, 36.857], [25.479, 36.871], [25.472, 36.864], [25.479, 36.861], [25.479, 36.835], [25.458, 36.825], [25.436, 36.823]]],
+    [[[27.279, 36.908], [27.29, 36.893], [27.34, 36.882], [27.355, 36.864], [27.322, 36.849], [27.214, 36.823], [27.189, 36.812], [27.132, 36.761], [27.11, 36.758], [27.085, 36.761], [27.049, 36.774], [26.991, 36.754], [26.977, 36.741], [26.988, 36.72], [26.973, 36.717], [26.966, 36.705], [26.966, 36.692], [26.973, 36.678], [26.955, 36.682], [26.923, 36.707], [26.919, 36.751], [26.926, 36.766], [26.937, 36.761], [26.959, 36.781], [26.988, 36.768], [27.009, 36.788], [27.02, 36.808], [27.06, 36.839], [27.164, 36.891]]],
+    [[[25.609, 36.884], [25.623, 36.899], [25.638, 36.903], [25.648, 36.911], [25.684, 36.891], [25.674, 36.879]]],
+    [[[26.005, 36.938], [26.034, 36.913], [26.073, 36.898], [26.073, 36.893], [26.066, 36.891], [26.052, 36.898], [26.016, 36.889], [26.005, 36.891], [25.947, 36.854], [25.933, 36.85], [25.893, 36.803], [25.879, 36.795], [25.8, 36.773], [25.756, 36.769], [25.738, 36.795], [25.753, 36.79], [25.76, 36.8], [25.789, 36.81], [25.8, 36.801], [25.821, 36.808], [25.846, 36.808], [25.864, 36.835], [25.85, 36.832], [25.843, 36.845], [25.846, 36.85], [25.857, 36.85], [25.972, 36.898], [25.972, 36.904], [25.951, 36.911], [25.951, 36.918], [25.98, 36.925], [25.998, 36.938]]],
+    [[[25.08, 36.953], [25.065, 36.955], [25.047, 36.969], [25.029, 36.989], [25.026, 37.007], [25.036, 37.023], [25.072, 37.043], [25.087, 37.041], [25.062, 36.974]]],
+    [[[24.705, 37.034], [24.752, 36.985], [24.766, 36.957], [24.763, 36.945], [24.748, 36.94], [24.709, 36.904], [24.694, 36.923], [24.669, 36.979], [24.676, 37.001], [24.666, 37.007], [24.655, 37.024], [24.644, 37.028], [24.644, 37.036], [24.651, 37.041], [24.644, 37.043], [24.644, 37.05], [24.655, 37.05], [24.691, 37.029]]],
+    [[[26.912, 36.947], [26.93, 36.967], [26.926, 36.982], [26.93, 36.994], [26.955, 37.028], [26.944, 37.041], [26.923, 37.034], [26.916, 37.041], [26.905, 37.063], [26.887, 37.075], [26.89, 37.09], [26.901, 37.077], [26.988, 37.05], [26.988, 37.041], [26.973, 37.041], [26.98, 37.029], [27.006, 37.016], [27.006, 37.001], [27.016, 37.009], [27.031, 37.012], [27.042, 37.007], [27.045, 36.996], [27.038, 36.979], [27.042, 36.967], [27.034, 36.957], [27.034, 36.953], [27.042, 36.953], [27.042, 36.96], [27.049, 36.96], [27.042, 36.945], [27.024, 36.945], [26.995, 36.953], [26.988, 36.947], [26.984, 36.93], [26.977, 36.926], [26.952, 36.931], [26.944, 36.926], [26.93, 36.943]]],
+    [[[25.807, 37.104], [25.807, 37.099], [25.8, 37.095], [25.782, 37.124], [25.81, 37.127], [25.836, 37.137], [25.828, 37.124], [25.843, 37.11], [25.836, 37.102], [25.828, 37.097], [25.818, 37.097]]],
+    [[[25.281, 37.05], [25.263, 37.039], [25.245, 37.014], [25.206, 36.989], [25.188, 36.985], [25.152, 36.987], [25.105, 37.012], [25.101, 37.024], [25.112, 37.063], [25.155, 37.09], [25.137, 37.094], [25.152, 37.11], [25.177, 37.129], [25.238, 37.153], [25.224, 37.134], [25.231, 37.127], [25.26, 37.124], [25.274, 37.137], [25.267, 37.153], [25.292, 37.153], [25.288, 37.136], [25.263, 37.09], [25.263, 37.075], [25.281, 37.07], [25.281, 37.063], [25.267, 37.063], [25.267, 37.055], [25.281, 37.055]]],
+    [[[25.526, 37.197], [25.533, 37.2], [25.551, 37.193], [25.587, 37.161], [25.594, 37.082], [25.58, 37.018], [25.548, 36.965], [25.526, 36.96], [25.49, 36.931], [25.461, 36.925], [25.45, 36.918], [25.436, 36.931], [25.418, 36.974], [25.389, 36.987], [25.393, 37.004], [25.378, 37.028], [25.382, 37.034], [25.368, 37.06], [25.357, 37.072], [25.342, 37.077], [25.342, 37.083], [25.353, 37.088], [25.36, 37.083], [25.371, 37.088], [25.411, 37.124], [25.476, 37.161], [25.494, 37.19]]],
+    [[[24.442, 37.178], [24.435, 37.185], [24.468, 37.202], [24.486, 37.207], [24.5, 37.2], [24.514, 37.207], [24.522, 37.203], [24.532, 37.186], [24.536, 37.168], [24.532, 37.131], [24.525, 37.144], [24.518, 37.144], [24.514, 37.122], [24.5, 37.11], [24.489, 37.122], [24.5, 37.124], [24.482, 37.129], [24.471, 37.129], [24.464, 37.124], [24.46, 37.137], [24.45, 37.131], [24.435, 37.134], [24.421, 37.124], [24.421, 37.137], [24.432, 37.144], [24.424, 37.149], [24.435, 37.164], [24.432, 37.173]]],
+    [[[23.128, 37.288], [23.15, 37.278], [23.161, 37.264], [23.164, 37.254], [23.161, 37.244], [23.154, 37.24], [23.132, 37.244], [23.096, 37.274], [23.11, 37.286]]],
+    [[[23.586, 37.37], [23.571, 37.359], [23.546, 37.35], [23.524, 37.347], [23.506, 37.35], [23.51, 37.33], [23.496, 37.32], [23.452, 37.316], [23.395, 37.303], [23.373, 37.303], [23.373, 37.31], [23.463, 37.357], [23.488, 37.364], [23.532, 37.364], [23.553, 37.37]]],
+    [[[24.367, 37.413], [24.374, 37.438], [24.435, 37.487], [24.442, 37.487], [24.442, 37.465], [24.432, 37.446], [24.468, 37.428], [24.482, 37.413], [24.478, 37.391], [24.464, 37.394], [24.453, 37.384], [24.442, 37.35], [24.41, 37.323], [24.367, 37.31], [24.385, 37.36], [24.403, 37.37], [24.403, 37.377], [24.388, 37.384], [24.396, 37.411], [24.385, 37.416]]],
+    [[[25.396, 37.418], [25.306, 37.413], [25.31, 37.419], [25.306, 37.428], [25.31, 37.436], [25.321, 37.44], [25.328, 37.463], [25.321, 37.472], [25.306, 37.473], [25.314, 37.489], [25.339, 37.499], [25.35, 37.509], [25.378, 37.467], [25.386, 37.49], [25.396, 37.494], [25.432, 37.485], [25.443, 37.475], [25.461, 37.47], [25.465, 37.463], [25.465, 37.455], [25.458, 37.446], [25.407, 37.436], [25.404, 37.418]]],
+    [[[24.943, 37.436], [24.961, 37.424], [24.964, 37.403], [24.882, 37.364], [24.882, 37.381], [24.889, 37.397], [24.86, 37.397], [24.867, 37.414], [24.882, 37.426], [24.867, 37.431], [24.885, 37.435], [24.9, 37.448], [24.903, 37.48], [24.896, 37.511], [24.928, 37.509], [24.939, 37.5], [24.957, 37.46]]],
+    [[[23.478, 37.556], [23.485, 37.555], [23.499, 37.533], [23.524, 37.527], [23.524, 37.522], [23.506, 37.512], [23.481, 37.509], [23.456, 37.512], [23.438, 37.522], [23.438, 37.527], [23.474, 37.541]]],
+    [[[25.09, 37.583], [25.08, 37.587], [25.047, 37.617], [24.997, 37.637], [24.99, 37.646], [24.982, 37.671], [24.986, 37.679], [25.054, 37.679], [25.069, 37.673], [25.069, 37.666], [25.062, 37.666], [25.062, 37.658], [25.083, 37.651], [25.087, 37.644], [25.105, 37.654], [25.123, 37.652], [25.141, 37.642], [25.148, 37.631], [25.166, 37.646], [25.245, 37.624], [25.238, 37.617], [25.249, 37.615], [25.26, 37.59], [25.234, 37.563], [25.227, 37.538], [25.216, 37.533], [25.17, 37.539], [25.116, 37.56], [25.105, 37.578]]],
+    [[[24.374, 37.686], [24.403, 37.656], [24.396, 37.625], [24.313, 37.538], [24.295, 37.526], [24.277, 37.531], [24.28, 37.595], [24.277, 37.622], [24.288, 37.646], [24.306, 37.661], [24.32, 37.658], [24.327, 37.664], [24.334, 37.673], [24.32, 37.673], [24.32, 37.679], [24.338, 37.686], [24.36, 37.679], [24.363, 37.686]]],
+    [[[26.361, 37.686], [26.343, 37.659], [26.318, 37.634], [26.232, 37.571], [26.214, 37.565], [26.127, 37.556], [26.059, 37.519], [26.03, 37.522], [25.99, 37.514], [25.976, 37.516], [25.972, 37.536], [25.98, 37.549], [26.012, 37.575], [26.041, 37.617], [26.073, 37.637], [26.098, 37.639], [26.156, 37.632], [26.178, 37.637], [26.196, 37.632], [26.228, 37.639], [26.253, 37.652], [26.282, 37.676]]],
+    [[[23.546, 37.774], [23.564, 37.769], [23.546, 37.745], [23.546, 37.734], [23.532, 37.725], [23.528, 37.715], [23.532, 37.703], [23.524, 37.693], [23.485, 37.679], [23.456, 37.693], [23.456, 37.7], [23.47, 37.705], [23.467, 37.715], [23.46, 37.723], [23.434, 37.734], [23.424, 37.762], [23.427, 37.769]]],
+    [[[27.049, 37.727], [27.06, 37.734], [27.067, 37.728], [27.06, 37.706], [27.038, 37.713], [27.002, 37.706], [26.908, 37.678], [26.89, 37.666], [26.88, 37.649], [26.869, 37.644], [26.797, 37.644], [26.786, 37.647], [26.779, 37.669], [26.761, 37.69], [26.707, 37.713], [26.656, 37.705], [26.628, 37.691], [26.624, 37.679], [26.617, 37.679], [26.617, 37.686], [26.61, 37.686], [26.599, 37.678], [26.588, 37.688], [26.581, 37.717], [26.584, 37.752], [26.595, 37.762], [26.646, 37.772], [26.656, 37.793], [26.772, 37.815], [26.844, 37.809], [26.883, 37.786], [26.916, 37.777], [26.955, 37.757], [26.966, 37.747], [26.97, 37.759], [26.944, 37.789], [26.973, 37.784], [26.995, 37.796], [26.995, 37.784], [27.02, 37.777], [27.067, 37.774], [27.034, 37.762], [27.031, 37.754]]],
+    [[[20.9, 37.793], [20.918, 37.766], [20.986, 37.73], [20.997, 37.7], [20.983, 37.712], [20.954, 37.723], [20.922, 37.732], [20.893, 37.734], [20.878, 37.728], [20.864, 37.71], [20.842, 37.701], [20.842, 37.69], [20.853, 37.673], [20.846, 37.654], [20.814, 37.651], [20.778, 37.686], [20.727, 37.718], [20.706, 37.739], [20.702, 37.754], [20.641, 37.811], [20.619, 37.823], [20.626, 37.835], [20.623, 37.852], [20.626, 37.857], [20.619, 37.865], [20.659, 37.911], [20.684, 37.929], [20.709, 37.926], [20.742, 37.862], [20.778, 37.843], [20.81, 37.85], [20.85, 37.837], [20.886, 37.815]]],
+    [[[24.993, 37.769], [24.986, 37.735], [24.957, 37.706], [24.964, 37.686], [24.957, 37.686], [24.95, 37.696], [24.918, 37.72], [24.892, 37.769], [24.864, 37.774], [24.828, 37.818], [24.817, 37.825], [24.799, 37.816], [24.795, 37.843], [24.777, 37.862], [24.738, 37.892], [24.73, 37.892], [24.716, 37.879], [24.712, 37.884], [24.72, 37.899], [24.684, 37.933], [24.698, 37.94], [24.691, 37.946], [24.691, 37.956], [24.702, 37.973], [24.756, 37.997], [24.781, 38], [24.795, 37.994], [24.792, 37.983], [24.795, 37.977], [24.831, 37.963], [24.838, 37.926], [24.849, 37.914], [24.874, 37.906], [24.954, 37.906], [24.964, 37.897], [24.961, 37.877], [24.943, 37.843], [24.986, 37.816], [24.972, 37.809], [24.972, 37.796], [24.957, 37.781], [24.957, 37.774], [24.964, 37.769], [24.979, 37.774]]],
+    [[[23.409, 37.899], [23.402, 37.906], [23.409, 37.923], [23.438, 37.94], [23.467, 37.933], [23.481, 37.941], [23.499, 37.967], [23.485, 37.967], [23.47, 37.955], [23.46, 37.953], [23.424, 37.96], [23.456, 37.973], [23.431, 37.988], [23.452, 37.988], [23.47, 37.98], [23.474, 37.988], [23.47, 37.994], [23.485, 38.002], [23.532, 37.995], [23.535, 37.988], [23.532, 37.975], [23.546, 37.953], [23.575, 37.953], [23.539, 37.94], [23.542, 37.929], [23.521, 37.914], [23.517, 37.899], [23.503, 37.906], [23.467, 37.884], [23.42, 37.892]]],
+    [[[20.734, 38.063], [20.72, 38.066], [20.68, 38.098], [20.652, 38.112], [20.616, 38.12], [20.58, 38.115], [20.565, 38.09], [20.547, 38.102], [20.511, 38.11], [20.497, 38.125], [20.49, 38.159], [20.468, 38.193], [20.482, 38.189], [20.497, 38.178], [20.511, 38.173], [20.511, 38.179], [20.493, 38.191], [20.457, 38.262], [20.446, 38.276], [20.436, 38.279], [20.428, 38.262], [20.428, 38.245], [20.436, 38.193], [20.425, 38.176], [20.382, 38.152], [20.374, 38.169], [20.346, 38.183], [20.338, 38.2], [20.356, 38.228], [20.353, 38.254], [20.378, 38.274], [20.392, 38.301], [20.4, 38.333], [20.4, 38.363], [20.407, 38.343], [20.414, 38.343], [20.428, 38.363], [20.454, 38.323], [20.464, 38.331], [20.472, 38.314], [20.479, 38.309], [20.529, 38.338], [20.54, 38.355], [20.54, 38.373], [20.529, 38.392], [20.551, 38.385], [20.536, 38.426], [20.544, 38.449], [20.536, 38.473], [20.572, 38.473], [20.626, 38.352], [20.626, 38.328], [20.598, 38.303], [20.608, 38.294], [20.63, 38.259], [20.644, 38.254], [20.68, 38.282], [20.673, 38.267], [20.695, 38.265], [20.709, 38.227], [20.752, 38.196], [20.763, 38.171], [20.799, 38.132], [20.806, 38.115], [20.806, 38.083], [20.796, 38.066], [20.756, 38.07]]],
+    [[[20.716, 38.392], [20.756, 38.372], [20.738, 38.372], [20.749, 38.335], [20.763, 38.331], [20.763, 38.323], [20.72, 38.316], [20.706, 38.318], [20.688, 38.336], [20.695, 38.343], [20.666, 38.372], [20.644, 38.414], [20.641, 38.446], [20.616, 38.466], [20.619, 38.482], [20.637, 38.473], [20.644, 38.478], [20.655, 38.502], [20.673, 38.497], [20.67, 38.471], [20.662, 38.461], [20.688, 38.458], [20.709, 38.446], [20.695, 38.409], [20.673, 38.377], [20.706, 38.37], [20.716, 38.372], [20.716, 38.377], [20.702, 38.385], [20.724, 38.385]]],
+    [[[20.94, 38.605], [20.918, 38.579], [20.907, 38.549], [20.893, 38.549], [20.893, 38.556], [20.932, 38.603]]],
+    [[[26.163, 38.542], [26.152, 38.531], [26.145, 38.493], [26.124, 38.488], [26.131, 38.478], [26.142, 38.473], [26.138, 38.468], [26.152, 38.468], [26.156, 38.461], [26.142, 38.446], [26.138, 38.419], [26.149, 38.343], [26.163, 38.303], [26.138, 38.299], [26.113, 38.284], [26.102, 38.262], [26.113, 38.237], [26.113, 38.223], [26.041, 38.2], [26.019, 38.159], [26.008, 38.157], [25.976, 38.166], [25.944, 38.194], [25.933, 38.196], [25.915, 38.215], [25.911, 38.227], [25.89, 38.22], [25.89, 38.249], [25.872, 38.24], [25.864, 38.245], [25.875, 38.276], [25.886, 38.282], [25.918, 38.289], [25.933, 38.303], [25.965, 38.303], [25.972, 38.314], [25.976, 38.338], [25.99, 38.343], [25.987, 38.355], [25.99, 38.379], [25.987, 38.392], [25.98, 38.385], [25.969, 38.399], [25.951, 38.406], [25.958, 38.414], [25.951, 38.443], [25.933, 38.463], [25.89, 38.473], [25.843, 38.515], [25.832, 38.544], [25.846, 38.566], [25.85, 38.581], [25.994, 38.605], [26.062, 38.59], [26.109, 38.542], [26.113, 38.552], [26.124, 38.556], [26.124, 38.561], [26.116, 38.563], [26.131, 38.568], [26.145, 38.564], [26.156, 38.556]]],
+    [[[25.587, 38.612], [25.623, 38.585], [25.623, 38.579], [25.616, 38.578], [25.605, 38.536], [25.58, 38.541], [25.562, 38.536], [25.558, 38.544], [25.562, 38.563], [25.522, 38.598], [25.526, 38.605], [25.533, 38.606], [25.548, 38.598], [25.558, 38.61], [25.58, 38.605], [25.58, 38.612]]],
+    [[[20.587, 38.618], [20.551, 38.569], [20.544, 38.569], [20.544, 38.595], [20.562, 38.691], [20.601, 38.782], [20.612, 38.785], [20.644, 38.828], [20.662, 38.841], [20.688, 38.85], [20.691, 38.841], [20.716, 38.823], [20.731, 38.782], [20.724, 38.76], [20.731, 38.737], [20.698, 38.689], [20.698, 38.682], [20.706, 38.681], [20.724, 38.708], [20.716, 38.627], [20.709, 38.625], [20.702, 38.639], [20.695, 38.639], [20.702, 38.618], [20.688, 38.625], [20.68, 38.605], [20.666, 38.612], [20.648, 38.608], [20.641, 38.6], [20.648, 38.585], [20.63, 38.588], [20.634, 38.605], [20.612, 38.606], [20.601, 38.627]]],
+    [[[24.676, 38.809], [24.684, 38.801], [24.684, 38.784], [24.669, 38.782], [24.658, 38.769], [24.651, 38.769], [24.644, 38.775], [24.626, 38.769], [24.604, 38.782], [24.601, 38.792], [24.594, 38.792], [24.568, 38.779], [24.568, 38.762], [24.532, 38.796], [24.576, 38.809], [24.558, 38.846], [24.547, 38.836], [24.54, 38.836], [24.536, 38.848], [24.529, 38.851], [24.504, 38.845], [24.504, 38.855], [24.482, 38.863], [24.478, 38.878], [24.471, 38.872], [24.453, 38.885], [24.435, 38.878], [24.439, 38.897], [24.46, 38.91], [24.464, 38.922], [24.457, 38.941], [24.46, 38.968], [24.471, 38.976], [24.493, 38.981], [24.561, 38.944], [24.576, 38.932], [24.572, 38.899], [24.579, 38.875], [24.644, 38.841]]],
+    [[[24.586, 38.159], [24.579, 38.085], [24.594, 38.063], [24.568, 37.988], [24.532, 37.97], [24.489, 37.96], [24.471, 37.968], [24.471, 37.98], [24.446, 38.01], [24.428, 38.021], [24.403, 38.012], [24.385, 37.997], [24.403, 37.988], [24.403, 37.98], [24.388, 37.97], [24.37, 37.972], [24.338, 37.997], [24.313, 38.029], [24.313, 38.036], [24.327, 38.043], [24.316, 38.064], [24.306, 38.071], [24.291, 38.07], [24.288, 38.086], [24.27, 38.095], [24.248, 38.097], [24.23, 38.09], [24.212, 38.097], [24.205, 38.09], [24.205, 38.097], [24.212, 38.098], [24.212, 38.125], [24.201, 38.13], [24.187, 38.127], [24.183, 38.135], [24.212, 38.166], [24.208, 38.179], [24.194, 38.193], [24.187, 38.218], [24.158, 38.23], [24.144, 38.227], [24.147, 38.213], [24.126, 38.218], [24.147, 38.257], [24.162, 38.267], [24.154, 38.281], [24.147, 38.281], [24.126, 38.265], [24.126, 38.255], [24.108, 38.257], [24.115, 38.276], [24.1, 38.276], [24.122, 38.309], [24.079, 38.326], [24.025, 38.331], [24.05, 38.336], [24.061, 38.341], [24.068, 38.352], [24.057, 38.368], [24.061, 38.377], [24.043, 38.402], [24.039, 38.395], [23.982, 38.399], [23.913, 38.392], [23.845, 38.406], [23.794, 38.399], [23.712, 38.412], [23.665, 38.404], [23.65, 38.406], [23.64, 38.416], [23.614, 38.461], [23.604, 38.453], [23.593, 38.453], [23.636, 38.5], [23.629, 38.515], [23.636, 38.529], [23.614, 38.558], [23.6, 38.571], [23.582, 38.578], [23.517, 38.588], [23.503, 38.605], [23.499, 38.632], [23.452, 38.659], [23.445, 38.677], [23.38, 38.708], [23.337, 38.738], [23.323, 38.762], [23.204, 38.829], [23.143, 38.851], [23.071, 38.846], [23.035, 38.875], [22.97, 38.888], [22.956, 38.885], [22.956, 38.878], [22.984, 38.873], [22.992, 38.865], [22.992, 38.851], [22.981, 38.845], [22.855, 38.833], [22.833, 38.823], [22.837, 38.855], [22.884, 38.878], [22.909, 38.882], [22.952, 38.902], [22.984, 38.907], [23.035, 38.926], [23.046, 38.948], [23.085, 38.954], [23.096, 38.971], [23.096, 38.988], [23.11, 38.991], [23.128, 39.005], [23.139, 39.008], [23.2, 39.008], [23.272, 39.039], [23.298, 39.042], [23.308, 39.039], [23.33, 39.022], [23.373, 39.01], [23.38, 39.002], [23.373, 38.983], [23.384, 38.968], [23.406, 38.958], [23.427, 38.954], [23.452, 38.875], [23.481, 38.838], [23.524, 38.823], [23.568, 38.794], [23.593, 38.789], [23.593, 38.77], [23.607, 38.775], [23.622, 38.765], [23.647, 38.762], [23.661, 38.755], [23.672, 38.76], [23.683, 38.755], [23.704, 38.765], [23.722, 38.762], [23.737, 38.75], [23.755, 38.72], [23.773, 38.708], [23.859, 38.682], [23.906, 38.679], [23.949, 38.669], [23.967, 38.671], [23.985, 38.686], [24.007, 38.677], [24.072, 38.679], [24.136, 38.662], [24.154, 38.652], [24.144, 38.65], [24.126, 38.635], [24.122, 38.608], [24.126, 38.598], [24.216, 38.539], [24.23, 38.522], [24.205, 38.507], [24.187, 38.475], [24.183, 38.439], [24.205, 38.419], [24.205, 38.412], [24.187, 38.407], [24.187, 38.399], [24.212, 38.377], [24.216, 38.336], [24.237, 38.313], [24.244, 38.297], [24.252, 38.296], [24.252, 38.265], [24.259, 38.259], [24.244, 38.242], [24.252, 38.228], [24.291, 38.2], [24.327, 38.186], [24.338, 38.162], [24.345, 38.159], [24.392, 38.164], [24.421, 38.147], [24.478, 38.139], [24.496, 38.146]]],
+    [[[23.438, 39.147], [23.413, 39.15], [23.395, 39.147], [23.398, 39.164], [23.431, 39.176], [23.445, 39.199], [23.47, 39.214], [23.503, 39.194], [23.514, 39.179], [23.506, 39.159], [23.488, 39.169], [23.474, 39.157], [23.46, 39.132]]],
+    [[[23.668, 39.118], [23.629, 39.147], [23.618, 39.169], [23.586, 39.208], [23.6, 39.214], [23.604, 39.208], [23.614, 39.208], [23.665, 39.17], [23.697, 39.155], [23.73, 39.147], [23.726, 39.132], [23.773, 39.13], [23.794, 39.125], [23.794, 39.118], [23.762, 39.091], [23.74, 39.081], [23.715, 39.078], [23.694, 39.089], [23.665, 39.093], [23.658, 39.098]]],
+    [[[20.14, 39.241], [20.191, 39.203], [20.202, 39.179], [20.169, 39.182], [20.137, 39.209], [20.126, 39.236]]],
+    [[[23.935, 39.221], [23.92, 39.191], [23.895, 39.162], [23.863, 39.143], [23.834, 39.147], [23.874, 39.181], [23.888, 39.218], [23.938, 39.28], [23.956, 39.289], [23.949, 39.275], [23.971, 39.272], [23.967, 39.252], [23.949, 39.23]]],
+    [[[26.613, 39.049], [26.61, 39.024], [26.599, 39.012], [26.566, 39.022], [26.552, 39.015], [26.538, 39.019], [26.52, 39.037], [26.527, 39.042], [26.516, 39.047], [26.527, 39.083], [26.512, 39.094], [26.505, 39.11], [26.491, 39.113], [26.455, 39.111], [26.437, 39.103], [26.451, 39.086], [26.491, 39.062], [26.548, 39.008], [26.545, 38.997], [26.548, 38.988], [26.491, 38.973], [26.422, 38.968], [26.376, 38.98], [26.34, 38.983], [26.275, 39.01], [26.217, 39.02], [26.167, 39.022], [26.145, 39.032], [26.116, 39.067], [26.088, 39.078], [26.088, 39.083], [26.109, 39.093], [26.124, 39.091], [26.16, 39.098], [26.192, 39.128], [26.224, 39.132], [26.293, 39.177], [26.289, 39.187], [26.271, 39.201], [26.224, 39.208], [26.188, 39.203], [26.174, 39.196], [26.16, 39.184], [26.145, 39.155], [26.098, 39.106], [26.084, 39.094], [26.062, 39.091], [26.044, 39.093], [25.958, 39.118], [25.929, 39.133], [25.89, 39.145], [25.854, 39.172], [25.836, 39.179], [25.836, 39.187], [25.846, 39.191], [25.854, 39.221], [25.843, 39.228], [25.854, 39.236], [25.857, 39.26], [25.882, 39.268], [25.918, 39.297], [25.926, 39.297], [25.936, 39.277], [25.969, 39.279], [26.005, 39.287], [26.034, 39.282], [26.048, 39.304], [26.059, 39.289], [26.073, 39.304], [26.163, 39.324], [26.174, 39.336], [26.163, 39.378], [26.343, 39.383], [26.361, 39.378], [26.354, 39.356], [26.372, 39.346], [26.401, 39.341], [26.419, 39.331], [26.379, 39.282], [26.383, 39.277], [26.422, 39.245], [26.466, 39.23], [26.505, 39.186], [26.541, 39.165], [26.527, 39.159], [26.53, 39.15], [26.548, 39.135], [26.548, 39.125], [26.556, 39.116], [26.566, 39.118], [26.566, 39.098], [26.581, 39.076]]],
+    [[[25.011, 39.564], [25.047, 39.545], [25.04, 39.52], [24.993, 39.468], [24.986, 39.468], [24.975, 39.537], [24.997, 39.55], [24.993, 39.559], [24.997, 39.562]]],
+    [[[20.094, 39.434], [20.104, 39.392], [20.119, 39.378], [20.119, 39.371], [20.104, 39.365], [20.072, 39.376], [20.05, 39.39], [19.989, 39.404], [19.953, 39.425], [19.91, 39.431], [19.906, 39.436], [19.921, 39.437], [19.928, 39.447], [19.881, 39.461], [19.878, 39.452], [19.856, 39.49], [19.842, 39.552], [19.827, 39.572], [19.784, 39.604], [19.748, 39.62], [19.719, 39.674], [19.69, 39.674], [19.68, 39.68], [19.672, 39.724], [19.654, 39.714], [19.651, 39.741], [19.64, 39.748], [19.626, 39.748], [19.669, 39.794], [19.798, 39.802], [19.852, 39.824], [19.867, 39.821], [19.892, 39.804], [19.928, 39.792], [19.935, 39.783], [19.942, 39.783], [19.942, 39.79], [19.95, 39.79], [19.946, 39.76], [19.935, 39.741], [19.842, 39.704], [19.834, 39.692], [19.838, 39.68], [19.86, 39.667], [19.86, 39.658], [19.845, 39.658], [19.845, 39.653], [19.903, 39.63], [19.928, 39.625], [19.924, 39.603], [19.917, 39.599], [19.899, 39.604], [19.914, 39.584], [19.935, 39.473], [19.96, 39.463], [19.989, 39.459], [20.032, 39.439], [20.076, 39.449], [20.083, 39.447]]],
+    [[[25.45, 40.037], [25.436, 40.023], [25.436, 40.016], [25.443, 40.016], [25.45, 39.988], [25.4, 39.964], [25.386, 39.944], [25.389, 39.92], [25.364, 39.917], [25.35, 39.907], [25.368, 39.898], [25.353, 39.893], [25.342, 39.883], [25.339, 39.875], [25.357, 39.866], [25.342, 39.854], [25.371, 39.817], [25.357, 39.81], [25.35, 39.789], [25.296, 39.807], [25.292, 39.831], [25.274, 39.836], [25.256, 39.856], [25.238, 39.858], [25.263, 39.871], [25.281, 39.89], [25.274, 39.903], [25.252, 39.919], [25.238, 39.92], [25.198, 39.893], [25.22, 39.89], [25.224, 39.885], [25.206, 39.883], [25.184, 39.859], [25.177, 39.844], [25.191, 39.853], [25.202, 39.841], [25.22, 39.81], [25.213, 39.804], [25.191, 39.804], [25.144, 39.817], [25.17, 39.849], [25.166, 39.859], [25.141, 39.846], [25.137, 39.837], [25.13, 39.837], [25.123, 39.858], [25.047, 39.837], [25.058, 39.854], [25.069, 39.858], [25.047, 39.866], [25.047, 39.878], [25.062, 39.885], [25.062, 39.893], [25.054, 39.893], [25.054, 39.898], [25.069, 39.907], [25.062, 39.907], [25.069, 39.92], [25.065, 39.93], [25.047, 39.947], [25.047, 39.974], [25.044, 39.984], [25.033, 39.988], [25.033, 39.995], [25.069, 39.996], [25.134, 40.008], [25.148, 40.003], [25.155, 39.995], [25.224, 40.008], [25.249, 40.003], [25.288, 39.961], [25.285, 39.954], [25.35, 39.981], [25.35, 39.991], [25.368, 40.015], [25.382, 40.023], [25.414, 40.023]]],
+    [[[25.692, 40.447], [25.695, 40.432], [25.681, 40.423], [25.591, 40.398], [25.566, 40.4], [25.465, 40.455], [25.443, 40.483], [25.461, 40.481], [25.519, 40.508], [25.548, 40.515], [25.576, 40.515], [25.656, 40.496], [25.674, 40.488], [25.699, 40.461]]],
+    [[[24.788, 40.736], [24.766, 40.734], [24.759, 40.724], [24.766, 40.712], [24.788, 40.707], [24.788, 40.689], [24.77, 40.683], [24.766, 40.67], [24.781, 40.628], [24.781, 40.613], [24.774, 40.611], [24.756, 40.619], [24.745, 40.609], [24.727, 40.602], [24.68, 40.596], [24.644, 40.57], [24.615, 40.599], [24.601, 40.599], [24.601, 40.613], [24.586, 40.623], [24.554, 40.631], [24.532, 40.631], [24.518, 40.64], [24.511, 40.667], [24.532, 40.719], [24.568, 40.756], [24.644, 40.803], [24.673, 40.792], [24.716, 40.788], [24.73, 40.783], [24.745, 40.759], [24.766, 40.754]]],
+    [[[23.884, 36.844], [23.888, 36.833], [23.884, 36.832], [23.877, 36.837], [23.877, 36.844]]],
+    [[[23.46, 36.921], [23.467, 36.906], [23.463, 36.904], [23.456, 36.906], [23.449, 36.93], [23.456, 36.928]]],
+    [[[27.567, 36.244], [27.618, 36.242], [27.614, 36.219], [27.582, 36.212], [27.567, 36.215], [27.531, 36.212], [27.52, 36.217], [27.517, 36.231], [27.528, 36.241]]],
+    [[[27.186, 36.616], [27.196, 36.607], [27.207, 36.587], [27.196, 36.568], [27.175, 36.56], [27.16, 36.56], [27.139, 36.563], [27.128, 36.57], [27.124, 36.58], [27.139, 36.6], [27.168, 36.616]]],
+    [[[26.872, 37.134], [26.887, 37.117], [26.887, 37.105], [26.862, 37.097], [26.836, 37.105], [26.836, 37.112], [26.851, 37.124], [26.844, 37.126], [26.829, 37.119], [26.818, 37.121], [26.811, 37.129], [26.818, 37.146], [26.775, 37.17], [26.772, 37.183], [26.782, 37.191], [26.797, 37.19], [26.8, 37.2], [26.851, 37.188], [26.854, 37.181], [26.844, 37.163], [26.865, 37.153]]],
+    [[[26.599, 37.355], [26.606, 37.34], [26.602, 37.337], [26.588, 37.345], [26.574, 37.347], [26.563, 37.342], [26.556, 37.327], [26.548, 37.327], [26.566, 37.308], [26.566, 37.274], [26.556, 37.271], [26.545, 37.278], [26.548, 37.284], [26.534, 37.291], [26.527, 37.301], [26.538, 37.332], [26.534, 37.347], [26.538, 37.372], [26.57, 37.374], [26.592, 37.364]]],
+    [[[24.738, 37.614], [24.741, 37.595], [24.72, 37.593], [24.673, 37.6], [24.658, 37.607], [24.694, 37.615], [24.716, 37.631], [24.734, 37.632], [24.741, 37.625]]],
+    [[[20.947, 38.652], [20.954, 38.639], [20.943, 38.627], [20.896, 38.606], [20.878, 38.585], [20.871, 38.583], [20.868, 38.593], [20.871, 38.603], [20.904, 38.642]]],
+    [[[20.799, 38.666], [20.806, 38.666], [20.803, 38.657], [20.788, 38.645], [20.763, 38.639], [20.76, 38.627], [20.792, 38.605], [20.799, 38.595], [20.752, 38.627], [20.738, 38.652], [20.745, 38.664], [20.763, 38.666], [20.785, 38.676], [20.792, 38.669], [20.799, 38.671]]],
+    [[[24.082, 39.353], [24.093, 39.346], [24.093, 39.329], [24.082, 39.306], [24.064, 39.297], [24.054, 39.306], [24.054, 39.312], [24.061, 39.314], [24.043, 39.331], [24.057, 39.361], [24.068, 39.363], [24.068, 39.346]]]
+  ] },
+  { code: 'CY', name: 'Cyprus', polygons: [
+    [[[33.781, 34.976], [33.781, 34.979], [33.77, 34.979], [33.77, 34.985], [33.759, 34.988], [33.788, 34.985], [33.795, 34.978]]],
+    [[[33.741, 35.001], [33.738, 35.005], [33.741, 35.013], [33.752, 35.015], [33.752, 35.005]]],
+    [[[33.702, 34.988], [33.702, 34.973], [33.68, 34.966], [33.655, 34.944], [33.633, 34.898], [33.633, 34.853], [33.615, 34.846], [33.612, 34.827], [33.605, 34.822], [33.59, 34.817], [33.543, 34.816], [33.515, 34.785], [33.468, 34.775], [33.439, 34.763], [33.414, 34.758], [33.399, 34.773], [33.399, 34.745], [33.371, 34.731], [33.295, 34.718], [33.259, 34.701], [33.245, 34.697], [33.173, 34.706], [33.086, 34.694], [33.025, 34.652], [33.014, 34.635], [32.971, 34.632], [32.964, 34.625], [32.957, 34.628], [32.953, 34.643], [32.967, 34.652], [32.971, 34.647], [32.989, 34.647], [32.989, 34.674], [32.953, 34.677], [32.935, 34.657], [32.917, 34.667], [32.913, 34.66], [32.885, 34.667], [32.867, 34.679], [32.859, 34.687], [32.859, 34.701], [32.831, 34.701], [32.82, 34.687], [32.805, 34.686], [32.798, 34.67], [32.766, 34.675], [32.759, 34.669], [32.762, 34.654], [32.708, 34.645], [32.665, 34.652], [32.557, 34.699], [32.474, 34.713], [32.413, 34.753], [32.402, 34.797], [32.381, 34.849], [32.337, 34.876], [32.323, 34.898], [32.323, 34.912], [32.33, 34.924], [32.309, 34.961], [32.305, 35.001], [32.276, 35.047], [32.273, 35.072], [32.276, 35.091], [32.287, 35.098], [32.309, 35.086], [32.352, 35.049], [32.373, 35.042], [32.413, 35.044], [32.449, 35.059], [32.481, 35.082], [32.503, 35.109], [32.528, 35.157], [32.553, 35.179], [32.575, 35.17], [32.586, 35.172], [32.593, 35.162], [32.607, 35.153], [32.633, 35.153], [32.647, 35.162], [32.661, 35.187], [32.69, 35.184], [32.697, 35.157], [32.712, 35.133], [32.795, 35.103], [32.805, 35.094], [32.809, 35.071], [32.816, 35.062], [32.827, 35.059], [32.874, 35.072], [32.892, 35.091], [32.921, 35.072], [32.935, 35.072], [32.949, 35.079], [32.985, 35.109], [33.036, 35.136], [33.122, 35.131], [33.144, 35.14], [33.173, 35.163], [33.191, 35.163], [33.216, 35.153], [33.23, 35.153], [33.277, 35.118], [33.302, 35.113], [33.349, 35.155], [33.417, 35.16], [33.425, 35.13], [33.461, 35.094], [33.461, 35.042], [33.446, 35.001], [33.45, 34.988], [33.461, 34.978], [33.486, 34.981], [33.497, 35.027], [33.518, 35.044], [33.529, 35.037], [33.533, 35], [33.547, 34.995], [33.565, 35.001], [33.579, 35.02], [33.605, 35.012], [33.619, 35.017], [33.662, 35], [33.684, 34.998]]],
+    [[[33.9, 35.06], [33.932, 35.05], [33.979, 35.057], [34.001, 35.047], [34.011, 35.049], [34.022, 35.057], [34.051, 35.033], [34.073, 34.988], [34.098, 34.966], [34.058, 34.966], [34.033, 34.973], [34.011, 34.988], [33.911, 34.971], [33.893, 34.957], [33.864, 34.963], [33.846, 34.959], [33.839, 34.964], [33.849, 34.973], [33.86, 34.974], [33.86, 34.991], [33.842, 34.993], [33.828, 35.001], [33.831, 35.023], [33.824, 35.03], [33.799, 35.039], [33.813, 35.055], [33.828, 35.06], [33.842, 35.05], [33.857, 35.054], [33.882, 35.072]]],
+    [[[33.907, 35.069], [33.921, 35.081], [33.914, 35.091], [33.907, 35.091], [33.9, 35.109], [33.893, 35.111], [33.889, 35.12], [33.875, 35.12], [33.871, 35.086], [33.878, 35.077], [33.853, 35.059], [33.842, 35.057], [33.824, 35.067], [33.799, 35.052], [33.795, 35.04], [33.777, 35.04], [33.767, 35.032], [33.741, 35.047], [33.72, 35.032], [33.709, 35.03], [33.72, 35.062], [33.716, 35.067], [33.705, 35.067], [33.695, 35.059], [33.68, 35.055], [33.673, 35.047], [33.68, 35.033], [33.637, 35.03], [33.615, 35.047], [33.59, 35.033], [33.579, 35.035], [33.565, 35.044], [33.554, 35.067], [33.54, 35.072], [33.536, 35.057], [33.529, 35.055], [33.518, 35.06], [33.493, 35.057], [33.479, 35.018], [33.479, 35.003], [33.468, 35.005], [33.464, 35.015], [33.479, 35.057], [33.479, 35.094], [33.439, 35.148], [33.421, 35.194], [33.414, 35.199], [33.399, 35.197], [33.374, 35.174], [33.327, 35.167], [33.317, 35.162], [33.241, 35.172], [33.191, 35.191], [33.158, 35.185], [33.144, 35.18], [33.119, 35.16], [33.108, 35.158], [33.097, 35.17], [33.032, 35.15], [32.989, 35.131], [32.971, 35.113], [32.946, 35.103], [32.924, 35.099], [32.877, 35.101], [32.859, 35.088], [32.856, 35.079], [32.838, 35.081], [32.831, 35.101], [32.795, 35.126], [32.73, 35.143], [32.712, 35.163], [32.712, 35.182], [32.777, 35.17], [32.827, 35.148], [32.867, 35.157], [32.892, 35.175], [32.913, 35.201], [32.928, 35.233], [32.935, 35.27], [32.935, 35.337], [32.921, 35.398], [32.946, 35.395], [32.985, 35.375], [33.068, 35.359], [33.14, 35.363], [33.263, 35.349], [33.281, 35.342], [33.428, 35.329], [33.659, 35.359], [33.785, 35.417], [33.835, 35.41], [34.037, 35.471], [34.076, 35.494], [34.13, 35.511], [34.181, 35.554], [34.321, 35.586], [34.361, 35.608], [34.544, 35.679], [34.591, 35.692], [34.58, 35.682], [34.573, 35.643], [34.541, 35.638], [34.44, 35.584], [34.353, 35.521], [34.137, 35.415], [34.109, 35.395], [34.058, 35.324], [34.044, 35.315], [34.019, 35.314], [33.972, 35.321], [33.95, 35.312], [33.911, 35.26], [33.9, 35.165], [33.954, 35.123], [33.979, 35.088], [34.011, 35.064], [34.008, 35.06], [33.965, 35.069], [33.939, 35.06]]],
+    [[[32.64, 35.187], [32.636, 35.174], [32.625, 35.165], [32.615, 35.163], [32.6, 35.179], [32.618, 35.185]]],
+    [[[33.907, 35.069], [33.939, 35.06], [33.965, 35.069], [34.008, 35.06], [34.011, 35.064], [34.022, 35.057], [34.011, 35.049], [34.001, 35.047], [33.979, 35.057], [33.932, 35.05], [33.9, 35.06]]],
+    [[[33.68, 35.033], [33.702, 35.022], [33.705, 35.015], [33.698, 35.003], [33.716, 34.998], [33.713, 34.986], [33.702, 34.988], [33.684, 34.998], [33.662, 35], [33.619, 35.017], [33.605, 35.012], [33.579, 35.02], [33.565, 35.001], [33.547, 34.995], [33.533, 35], [33.529, 35.037], [33.518, 35.044], [33.497, 35.027], [33.486, 34.981], [33.461, 34.978], [33.45, 34.988], [33.446, 35.001], [33.461, 35.042], [33.461, 35.094], [33.425, 35.13], [33.417, 35.16], [33.349, 35.155], [33.302, 35.113], [33.277, 35.118], [33.23, 35.153], [33.216, 35.153], [33.191, 35.163], [33.173, 35.163], [33.144, 35.14], [33.122, 35.131], [33.036, 35.136], [32.985, 35.109], [32.949, 35.079], [32.935, 35.072], [32.921, 35.072], [32.892, 35.091], [32.874, 35.072], [32.827, 35.059], [32.816, 35.062], [32.809, 35.071], [32.805, 35.094], [32.795, 35.103], [32.712, 35.133], [32.697, 35.157], [32.69, 35.184], [32.712, 35.182], [32.712, 35.163], [32.73, 35.143], [32.795, 35.126], [32.831, 35.101], [32.838, 35.081], [32.856, 35.079], [32.859, 35.088], [32.877, 35.101], [32.924, 35.099], [32.946, 35.103], [32.971, 35.113], [32.989, 35.131], [33.032, 35.15], [33.097, 35.17], [33.108, 35.158], [33.119, 35.16], [33.144, 35.18], [33.158, 35.185], [33.191, 35.191], [33.241, 35.172], [33.317, 35.162], [33.327, 35.167], [33.374, 35.174], [33.399, 35.197], [33.414, 35.199], [33.421, 35.194], [33.439, 35.148], [33.479, 35.094], [33.479, 35.057], [33.464, 35.015], [33.468, 35.005], [33.479, 35.003], [33.479, 35.018], [33.493, 35.057], [33.518, 35.06], [33.529, 35.055], [33.536, 35.057], [33.54, 35.072], [33.554, 35.067], [33.565, 35.044], [33.579, 35.035], [33.59, 35.033], [33.615, 35.047], [33.637, 35.03]]],
+    [[[32.64, 35.187], [32.661, 35.187], [32.647, 35.162], [32.633, 35.153], [32.607, 35.153], [32.593, 35.162], [32.586, 35.172], [32.6, 35.179], [32.615, 35.163], [32.625, 35.165], [32.636, 35.174]]]
+  ] }
+];
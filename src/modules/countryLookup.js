@@ -0,0 +1,173 @@
+import { COUNTRY_BOUNDARIES } from './countryBoundaries.js';
+
+/**
+ * Offline country lookup based on the bundled Natural Earth boundaries
+ * Works without the Google Geocoder, e.g. before reverse geocoding has finished. The simplified
+ * borders are accurate to about 1 km: points closer than that to another country, or just off
+ * the coastline, are flagged `nearBorder` so the Geocoder's country takes precedence.
+ */
+
+const BORDER_MARGIN_KM = 2;
+const COAST_MARGIN_KM = 5;
+
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LNG_AT_EQUATOR = 111.32;
+
+// Towns next to the borders of Germany and on its coasts and islands, checked in development builds
+const KNOWN_LOCATIONS = [
+  { name: 'Görlitz', lat: 51.152, lng: 14.987, code: 'DE' },
+  { name: 'Zgorzelec', lat: 51.15, lng: 15.01, code: 'PL' },
+  { name: 'Frankfurt (Oder)', lat: 52.342, lng: 14.55, code: 'DE' },
+  { name: 'Słubice', lat: 52.35, lng: 14.57, code: 'PL' },
+  { name: 'Forst (Lausitz)', lat: 51.736, lng: 14.637, code: 'DE' },
+  { name: 'Łęknica', lat: 51.54, lng: 14.735, code: 'PL' },
+  { name: 'Jestetten', lat: 47.654, lng: 8.572, code: 'DE' },
+  { name: 'Burghausen', lat: 48.169, lng: 12.831, code: 'DE' },
+  { name: 'Neuhaus am Inn', lat: 48.462, lng: 13.421, code: 'DE' },
+  { name: 'Nieuweschans', lat: 53.185, lng: 7.199, code: 'NL' },
+  { name: 'List (Sylt)', lat: 55.017, lng: 8.431, code: 'DE' },
+  { name: 'Hörnum (Sylt)', lat: 54.757, lng: 8.296, code: 'DE' },
+  { name: 'Wyk auf Föhr', lat: 54.692, lng: 8.568, code: 'DE' },
+  { name: 'Nebel (Amrum)', lat: 54.653, lng: 8.36, code: 'DE' },
+  { name: 'Sassnitz', lat: 54.516, lng: 13.643, code: 'DE' },
+  { name: 'Sellin', lat: 54.378, lng: 13.697, code: 'DE' },
+  { name: 'St. Peter-Ording', lat: 54.304, lng: 8.633, code: 'DE' },
+  { name: 'Großenbrode', lat: 54.366, lng: 11.085, code: 'DE' },
+  { name: 'Sylt', lat: 54.9, lng: 8.3, code: 'DE' },
+  { name: 'Borkum', lat: 53.58, lng: 6.7, code: 'DE' },
+  { name: 'Rügen', lat: 54.42, lng: 13.43, code: 'DE' },
+  { name: 'Basel', lat: 47.558, lng: 7.588, code: 'CH' },
+  { name: 'Weil am Rhein', lat: 47.59, lng: 7.62, code: 'DE' },
+  { name: 'Strasbourg', lat: 48.583, lng: 7.745, code: 'FR' },
+  { name: 'Kehl', lat: 48.573, lng: 7.815, code: 'DE' },
+  { name: 'Konstanz', lat: 47.665, lng: 9.175, code: 'DE' },
+  { name: 'Kreuzlingen', lat: 47.645, lng: 9.175, code: 'CH' },
+  { name: 'Salzburg', lat: 47.8, lng: 13.045, code: 'AT' },
+  { name: 'Passau', lat: 48.57, lng: 13.46, code: 'DE' },
+  { name: 'Aachen', lat: 50.776, lng: 6.083, code: 'DE' },
+  { name: 'Vaals', lat: 50.77, lng: 6.02, code: 'NL' },
+  { name: 'Flensburg', lat: 54.78, lng: 9.43, code: 'DE' },
+  { name: 'Padborg', lat: 54.83, lng: 9.36, code: 'DK' }
+];
+
+// Bounding boxes let most polygons be skipped without a full point-in-polygon test
+const INDEXED_BOUNDARIES = COUNTRY_BOUNDARIES.map(country => ({
+  ...country,
+  polygons: country.polygons.map(rings => ({ rings, bounds: getRingBounds(rings[0]) }))
+}));
+
+function getRingBounds(ring) {
+  const longitudes = ring.map(([lng]) => lng);
+  const latitudes = ring.map(([, lat]) => lat);
+  return {
+    minLng: Math.min(...longitudes),
+    maxLng: Math.max(...longitudes),
+    minLat: Math.min(...latitudes),
+    maxLat: Math.max(...latitudes)
+  };
+}
+
+function isWithinBounds(lng, lat, bounds, marginKm = 0) {
+  const marginLat = marginKm / KM_PER_DEGREE_LAT;
+  const marginLng = marginKm / (KM_PER_DEGREE_LNG_AT_EQUATOR * Math.cos(lat * Math.PI / 180));
+  return lat >= bounds.minLat - marginLat && lat <= bounds.maxLat + marginLat &&
+    lng >= bounds.minLng - marginLng && lng <= bounds.maxLng + marginLng;
+}
+
+/**
+ * Ray casting test for a [longitude, latitude] point against a polygon
+ * @param {number[][][]} rings - The outline followed by its holes (e.g. enclaves)
+ */
+export function isPointInPolygon(lng, lat, rings) {
+  let inside = false;
+
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [lngI, latI] = ring[i];
+      const [lngJ, latJ] = ring[j];
+
+      const crossesRay = (latI > lat) !== (latJ > lat) &&
+        lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+      if (crossesRay) inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Distance in km from a point to the nearest edge of a polygon, on a local flat projection
+ */
+function getDistanceToPolygonKm(lng, lat, rings) {
+  const kmPerDegreeLng = KM_PER_DEGREE_LNG_AT_EQUATOR * Math.cos(lat * Math.PI / 180);
+  let minDistance = Infinity;
+
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const ax = (ring[j][0] - lng) * kmPerDegreeLng;
+      const ay = (ring[j][1] - lat) * KM_PER_DEGREE_LAT;
+      const dx = (ring[i][0] - ring[j][0]) * kmPerDegreeLng;
+      const dy = (ring[i][1] - ring[j][1]) * KM_PER_DEGREE_LAT;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+      minDistance = Math.min(minDistance, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  }
+
+  return minDistance;
+}
+
+/**
+ * Distance in km from a point to the nearest polygon of a country, Infinity beyond the margin
+ */
+function getDistanceToCountryKm(lng, lat, country, marginKm) {
+  return country.polygons
+    .filter(({ bounds }) => isWithinBounds(lng, lat, bounds, marginKm))
+    .reduce((minDistance, { rings }) => Math.min(minDistance, getDistanceToPolygonKm(lng, lat, rings)), Infinity);
+}
+
+/**
+ * Find the country containing a coordinate
+ * Points just off the simplified coastline get the nearest country within a few km.
+ * @returns {{code: string, name: string, nearBorder: boolean}|null} ISO 3166-1 alpha-2 code and name,
+ *   nearBorder when another country or the sea is within the accuracy of the boundaries;
+ *   null outside the covered countries
+ */
+export function lookupCountry(latitude, longitude) {
+  const match = INDEXED_BOUNDARIES.find(country => country.polygons.some(({ rings, bounds }) =>
+    isWithinBounds(longitude, latitude, bounds) && isPointInPolygon(longitude, latitude, rings)
+  ));
+
+  if (match) {
+    const nearBorder = INDEXED_BOUNDARIES.some(country => country !== match &&
+      getDistanceToCountryKm(longitude, latitude, country, BORDER_MARGIN_KM) < BORDER_MARGIN_KM);
+    return { code: match.code, name: match.name, nearBorder };
+  }
+
+  let nearest = null;
+  let nearestDistance = COAST_MARGIN_KM;
+  INDEXED_BOUNDARIES.forEach(country => {
+    const distance = getDistanceToCountryKm(longitude, latitude, country, COAST_MARGIN_KM);
+    if (distance < nearestDistance) {
+      nearest = country;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest ? { code: nearest.code, name: nearest.name, nearBorder: true } : null;
+}
+
+/**
+ * Known locations the boundaries assign to the wrong country
+ * Near a border only a missing country counts; the Geocoder decides those points.
+ * @returns {Object[]} { name, code, found } per mismatch; empty when the data is consistent
+ */
+export function findBoundaryMismatches() {
+  return KNOWN_LOCATIONS
+    .map(({ name, lat, lng, code }) => {
+      const country = lookupCountry(lat, lng);
+      return { name, code, found: country?.code || null, nearBorder: country?.nearBorder || false };
+    })
+    .filter(({ code, found, nearBorder }) => !found || (code !== found && !nearBorder))
+    .map(({ name, code, found }) => ({ name, code, found }));
+}
@@ -0,0 +1,110 @@
+/**
+ * EconomicsCalculator - Investment analysis for balcony solar systems
+ * Builds a year-by-year production and cash-flow forecast from the first-year simulation,
+ * taking panel degradation, electricity price inflation and the discount rate into account.
+ * Degradation follows the usual datasheet warranty: a one-off light-induced loss (LID) in the
+ * first year, then a linear loss of a fixed share of the rated power per year.
+ */
+export class EconomicsCalculator {
+  constructor() {
+    this.defaults = {
+      panelCost: 250,
+      inverterCost: 150,
+      mountingCost: 100,
+      firstYearDegradation: 0.01, // 1 % light-induced degradation in the first year
+      annualDegradation: 0.005, // 0.5 % of the rated power per year after that
+      priceInflation: 0.02, // 2 % per year
+      discountRate: 0.03, // 3 % per year
+      lifetimeYears: 25
+    };
+  }
+
+  /**
+   * Output relative to new panels in a year of operation (1 = first year)
+   */
+  getProductionFactor(year, firstYearDegradation = this.defaults.firstYearDegradation,
+    annualDegradation = this.defaults.annualDegradation) {
+    return Math.max(0, 1 - firstYearDegradation - annualDegradation * (year - 1));
+  }
+
+  /**
+   * Calculate production, cash flows, payback year, ROI and NPV
+   * @param {Object} params - Investment parameters
+   * @param {number} params.annualSavings - Savings with new panels in the first year (€)
+   * @param {number} params.annualExportIncome - Export compensation with new panels in the first year (€),
+   *   not inflated: feed-in tariffs are fixed for the contract term
+   * @param {number} params.annualProductionKwh - Simulated production of new panels (kWh/year)
+   * @param {Object} params.systemCost - { panels, inverter, mounting } purchase costs (€)
+   * @param {number} params.firstYearDegradation - Light-induced loss in the first year (fraction)
+   * @param {number} params.annualDegradation - Linear loss per year after the first (fraction of rated power)
+   * @param {number} params.priceInflation - Yearly electricity price increase (fraction)
+   * @param {number} params.discountRate - Discount rate for NPV (fraction)
+   * @param {number} params.lifetimeYears - System lifetime in years
+   * @returns {Object} Investment analysis
+   */
+  calculateInvestment(params) {
+    const {
+      annualSavings,
+      annualExportIncome = 0,
+      annualProductionKwh = 0,
+      systemCost = {},
+      firstYearDegradation = this.defaults.firstYearDegradation,
+      annualDegradation = this.defaults.annualDegradation,
+      priceInflation = this.defaults.priceInflation,
+      discountRate = this.defaults.discountRate,
+      lifetimeYears = this.defaults.lifetimeYears
+    } = params;
+
+    const totalCost = (systemCost.panels || 0) + (systemCost.inverter || 0) + (systemCost.mounting || 0);
+    const years = [];
+    let cumulativeCashFlow = -totalCost;
+    let netPresentValue = -totalCost;
+    let totalSavings = 0;
+    let totalProductionKwh = 0;
+    let totalExportIncome = 0;
+    let paybackYear = null;
+
+    for (let year = 1; year <= lifetimeYears; year++) {
+      const productionFactor = this.getProductionFactor(year, firstYearDegradation, annualDegradation);
+      const productionKwh = annualProductionKwh * productionFactor;
+      const priceFactor = Math.pow(1 + priceInflation, year - 1);
+      const exportIncome = annualExportIncome * productionFactor;
+      const savings = annualSavings * productionFactor * priceFactor + exportIncome;
+      const discountedSavings = savings / Math.pow(1 + discountRate, year);
+
+      const previousCashFlow = cumulativeCashFlow;
+      cumulativeCashFlow += savings;
+      netPresentValue += discountedSavings;
+      totalSavings += savings;
+      totalProductionKwh += productionKwh;
+      totalExportIncome += exportIncome;
+
+      // Interpolate within the year in which the investment is paid back
+      if (paybackYear === null && cumulativeCashFlow >= 0 && savings > 0) {
+        paybackYear = year - 1 + (-previousCashFlow / savings);
+      }
+
+      years.push({
+        year,
+        productionFactor,
+        productionKwh,
+        savings, // Bill savings plus export income
+        exportIncome,
+        discountedSavings,
+        cumulativeCashFlow
+      });
+    }
+
+    return {
+      totalCost,
+      totalSavings,
+      totalProductionKwh,
+      totalExportIncome,
+      years,
+      paybackYear,
+      roi: totalCost > 0 ? ((totalSavings - totalCost) / totalCost) * 100 : null,
+      npv: netPresentValue,
+      lifetimeYears
+    };
+  }
+}
@@ -0,0 +1,229 @@
+import { LoadProfileImporter } from './loadProfileImporter.js';
+import { getH0DayType } from './loadProfiles.js';
+
+/**
+ * Electricity tariffs for valuing self-consumed solar energy
+ * A tariff gives the grid price in €/kWh for every hour of the 8760-hour simulation year,
+ * in standard time like the load profiles (hour 0 = January 1, 00:00).
+ */
+export const TARIFF_TYPES = {
+  flat: 'Flat rate',
+  timeOfUse: 'Day/night (time of use)',
+  hourly: 'Dynamic (hourly prices)'
+};
+
+export class ElectricityTariff {
+  /**
+   * @param {Object} options
+   * @param {string} options.type - Key of TARIFF_TYPES
+   * @param {number} options.price - Flat price, or the day rate of a time-of-use tariff (€/kWh)
+   * @param {number} options.lowPrice - Night rate of a time-of-use tariff (€/kWh)
+   * @param {number} options.lowStartHour - First hour of the night rate (0-23)
+   * @param {number} options.lowEndHour - First hour of the day rate again (0-23)
+   * @param {boolean} options.lowRateOnWeekends - Night rate all day on Saturdays and Sundays
+   * @param {number[]} options.hourlyPrices - 8760 prices of a dynamic tariff (€/kWh)
+   * @param {number} options.surcharge - Added to each hourly price: grid fees, levies, taxes (€/kWh)
+   */
+  constructor({
+    type = 'flat',
+    price = 0.32,
+    lowPrice = 0.25,
+    lowStartHour = 22,
+    lowEndHour = 6,
+    lowRateOnWeekends = false,
+    hourlyPrices = null,
+    surcharge = 0
+  } = {}) {
+    this.type = type === 'hourly' && !hourlyPrices ? 'flat' : type; // No price series imported yet
+    this.price = price;
+    this.lowPrice = lowPrice;
+    this.lowStartHour = lowStartHour;
+    this.lowEndHour = lowEndHour;
+    this.lowRateOnWeekends = lowRateOnWeekends;
+    this.hourlyPrices = hourlyPrices;
+    this.surcharge = surcharge;
+  }
+
+  /**
+   * Grid price in one hour of the simulation year (€/kWh)
+   * @param {number} hourOfYear - Hour index (0-8759)
+   */
+  getPrice(hourOfYear) {
+    if (this.type === 'hourly') {
+      return this.hourlyPrices[hourOfYear % this.hourlyPrices.length] + this.surcharge;
+    }
+    if (this.type === 'timeOfUse') {
+      return this.isLowRateHour(hourOfYear) ? this.lowPrice : this.price;
+    }
+    return this.price;
+  }
+
+  isLowRateHour(hourOfYear) {
+    const hour = hourOfYear % 24;
+    if (this.lowRateOnWeekends && getH0DayType(Math.floor(hourOfYear / 24) + 1) !== 'workday') return true;
+
+    // The night window usually wraps around midnight (e.g. 22-6)
+    return this.lowStartHour <= this.lowEndHour
+      ? hour >= this.lowStartHour && hour < this.lowEndHour
+      : hour >= this.lowStartHour || hour < this.lowEndHour;
+  }
+}
+
+export const EXPORT_COMPENSATION_TYPES = {
+  none: 'None',
+  fixed: 'Fixed feed-in tariff',
+  market: 'Market value'
+};
+
+/**
+ * Payment for energy fed into the grid, per hour of the simulation year
+ * The market value follows imported spot prices when available (nothing is paid in hours
+ * with negative prices), otherwise an average market value.
+ */
+export class ExportCompensation {
+  /**
+   * @param {Object} options
+   * @param {string} options.type - Key of EXPORT_COMPENSATION_TYPES
+   * @param {number} options.rate - Fixed feed-in tariff (€/kWh)
+   * @param {number} options.marketValue - Average market value without a price series (€/kWh)
+   * @param {number[]} options.hourlyPrices - 8760 spot prices (€/kWh)
+   */
+  constructor({ type = 'none', rate = 0.0786, marketValue = 0.05, hourlyPrices = null } = {}) {
+    this.type = type;
+    this.rate = rate;
+    this.marketValue = marketValue;
+    this.hourlyPrices = hourlyPrices;
+  }
+
+  /**
+   * Compensation in one hour of the simulation year (€/kWh)
+   */
+  getRate(hourOfYear) {
+    if (this.type === 'fixed') return this.rate;
+    if (this.type === 'market') {
+      return this.hourlyPrices
+        ? Math.max(0, this.hourlyPrices[hourOfYear % this.hourlyPrices.length])
+        : this.marketValue;
+    }
+    return 0;
+  }
+}
+
+// Header units and their factor to €/kWh
+const PRICE_UNITS = [
+  { pattern: /(€|eur)\s*\/\s*mwh/i, factor: 0.001 },
+  { pattern: /(ct|cent)\s*\/\s*kwh/i, factor: 0.01 },
+  { pattern: /(€|eur)\s*\/\s*kwh/i, factor: 1 }
+];
+
+/**
+ * PriceSeriesImporter - Reads hourly or 15-minute electricity prices from CSV
+ * e.g. day-ahead spot prices or the price export of a dynamic tariff. Rows are
+ * "timestamp;price" like the smart meter exports, so time stamps, time zones and daylight
+ * saving time are handled as in LoadProfileImporter; prices within an hour are averaged.
+ */
+export class PriceSeriesImporter extends LoadProfileImporter {
+  /**
+   * Import raw file contents
+   * @returns {Object} { hourlyPrices, report }
+   */
+  importText(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const delimiter = this.detectDelimiter(lines.slice(0, 10));
+    const readings = [];
+    let skippedRows = 0;
+    let unit = null;
+
+    lines.forEach((line, index) => {
+      const columns = line.split(delimiter).map(column => column.trim().replace(/^"|"$/g, ''));
+
+      if (index === 0 && this.isHeaderRow(columns)) {
+        unit = PRICE_UNITS.find(({ pattern }) => pattern.test(columns.join(' '))) || null;
+        return;
+      }
+
+      let timestampText = columns[0];
+      let valueColumns = columns.slice(1);
+      if (/^\d{1,2}:\d{2}(:\d{2})?$/.test(columns[1] || '')) {
+        timestampText = `${columns[0]} ${columns[1]}`;
+        valueColumns = columns.slice(2);
+      }
+
+      const timestamp = this.parseTimestamp(timestampText);
+      // Spot prices can be negative
+      const price = valueColumns.map(column => this.parseNumber(column, delimiter)).find(number => !isNaN(number));
+
+      if (!timestamp || price === undefined) {
+        skippedRows++;
+        return;
+      }
+
+      readings.push({ timestamp, price });
+    });
+
+    if (readings.length === 0) {
+      throw new Error('No valid price readings found in file');
+    }
+
+    const prices = readings.map(reading => reading.price).sort((a, b) => a - b);
+    const medianPrice = prices[Math.floor(prices.length / 2)];
+    if (!unit && medianPrice > 1) {
+      throw new Error('Prices look like ct/kWh or €/MWh; please name the unit in the header (€/kWh, ct/kWh or €/MWh)');
+    }
+    const factor = unit ? unit.factor : 1;
+
+    const result = this.resamplePrices(readings, factor);
+    result.report.skippedRows = skippedRows;
+
+    console.log('Price series import report:', result.report);
+
+    return result;
+  }
+
+  /**
+   * Average the readings per hour of the 8760-hour simulation year
+   */
+  resamplePrices(readings, factor) {
+    const usesLocalDST = this.detectLocalDST(readings);
+    const autumnSeen = new Map();
+
+    const slotTotals = new Array(8760).fill(0);
+    const slotCounts = new Array(8760).fill(0);
+    readings.forEach(reading => {
+      const { ms } = this.toStandardTimeMs(reading.timestamp, usesLocalDST, autumnSeen);
+      const hourIndex = this.getHourIndex(ms);
+      if (hourIndex < 0) return;
+
+      slotTotals[hourIndex] += reading.price * factor;
+      slotCounts[hourIndex]++;
+    });
+
+    const hourlyPrices = slotTotals.map((total, index) => slotCounts[index] > 0 ? total / slotCounts[index] : null);
+
+    const coveredHours = hourlyPrices.filter(value => value !== null).length;
+    if (coveredHours / 8760 < this.minCoverage) {
+      throw new Error(`Not enough data: only ${coveredHours} of 8760 hours covered. Please import a full year of prices.`);
+    }
+
+    const { filledHours, longestGapHours } = this.fillGaps(hourlyPrices);
+    const averagePrice = hourlyPrices.reduce((sum, price) => sum + price, 0) / 8760;
+
+    const warnings = [];
+    if (filledHours > 0) {
+      warnings.push(`${filledHours} missing hours were filled (longest gap: ${longestGapHours} h)`);
+    }
+
+    return {
+      hourlyPrices,
+      report: {
+        readings: readings.length,
+        coveredHours,
+        filledHours,
+        averagePrice: Math.round(averagePrice * 1000) / 1000,
+        minPrice: Math.round(Math.min(...hourlyPrices) * 1000) / 1000,
+        maxPrice: Math.round(Math.max(...hourlyPrices) * 1000) / 1000,
+        warnings
+      }
+    };
+  }
+}
@@ -0,0 +1,140 @@
+import { fromArrayBuffer } from 'geotiff';
+
+/**
+ * GeoTIFF helpers for the Solar API data layers (annual flux, DSM, ...)
+ * The layers are delivered in UTM (EPSG:326xx / 327xx); WGS 84 rasters are supported as well
+ */
+
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const UTM_SCALE = 0.9996;
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LNG = 111320;
+
+/**
+ * Parse a GeoTIFF into its bands and georeferencing
+ * @returns {Promise<Object>} { width, height, originX, originY, resolutionX, resolutionY, epsg, noDataValue, bands }
+ */
+export async function parseGeoTiff(arrayBuffer) {
+  const tiff = await fromArrayBuffer(arrayBuffer);
+  const image = await tiff.getImage();
+  const bands = await image.readRasters();
+  const [originX, originY] = image.getOrigin();
+  const [resolutionX, resolutionY] = image.getResolution();
+  const geoKeys = image.getGeoKeys() || {};
+
+  return {
+    width: image.getWidth(),
+    height: image.getHeight(),
+    originX,
+    originY,
+    resolutionX,
+    resolutionY, // Negative for north-up rasters
+    epsg: geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey || 4326,
+    noDataValue: image.getGDALNoData(),
+    bands: Array.from(bands)
+  };
+}
+
+/**
+ * Convert WGS 84 coordinates to UTM easting/northing for a zone
+ */
+export function latLngToUtm(lat, lng, zone, isSouthernHemisphere = lat < 0) {
+  const e2 = WGS84_F * (2 - WGS84_F);
+  const ep2 = e2 / (1 - e2);
+  const phi = lat * Math.PI / 180;
+  const centralMeridian = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const n = WGS84_A / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+  const t = Math.tan(phi) ** 2;
+  const c = ep2 * cosPhi * cosPhi;
+  const a = cosPhi * (lng * Math.PI / 180 - centralMeridian);
+
+  // Meridional arc length
+  const m = WGS84_A * (
+    (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi -
+    (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi) +
+    (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi) -
+    (35 * e2 ** 3 / 3072) * Math.sin(6 * phi)
+  );
+
+  const easting = UTM_SCALE * n * (
+    a + (1 - t + c) * a ** 3 / 6 +
+    (5 - 18 * t + t * t + 72 * c - 58 * ep2) * a ** 5 / 120
+  ) + 500000;
+
+  let northing = UTM_SCALE * (m + n * Math.tan(phi) * (
+    a * a / 2 + (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24 +
+    (61 - 58 * t + t * t + 600 * c - 330 * ep2) * a ** 6 / 720
+  ));
+  if (isSouthernHemisphere) northing += 10000000;
+
+  return { easting, northing };
+}
+
+/**
+ * Project a coordinate into the raster's CRS
+ */
+export function projectToRaster(raster, lat, lng) {
+  if (raster.epsg === 4326) return { x: lng, y: lat };
+
+  if (raster.epsg >= 32601 && raster.epsg <= 32660) {
+    const { easting, northing } = latLngToUtm(lat, lng, raster.epsg - 32600, false);
+    return { x: easting, y: northing };
+  }
+
+  if (raster.epsg >= 32701 && raster.epsg <= 32760) {
+    const { easting, northing } = latLngToUtm(lat, lng, raster.epsg - 32700, true);
+    return { x: easting, y: northing };
+  }
+
+  throw new Error(`Unsupported GeoTIFF projection EPSG:${raster.epsg}`);
+}
+
+/**
+ * Value of a band at a coordinate, or null outside the raster or on no-data pixels
+ */
+export function sampleRaster(raster, lat, lng, band = 0) {
+  const { x, y } = projectToRaster(raster, lat, lng);
+  const column = Math.floor((x - raster.originX) / raster.resolutionX);
+  const row = Math.floor((y - raster.originY) / raster.resolutionY);
+
+  if (column < 0 || row < 0 || column >= raster.width || row >= raster.height) return null;
+
+  const value = raster.bands[band][row * raster.width + column];
+  if (!Number.isFinite(value) || value === raster.noDataValue || value <= -9999) return null;
+
+  return value;
+}
+
+/**
+ * Points every `spacingM` metres along polylines given as [{ lat, lng }, ...]
+ */
+export function getPointsAlongPaths(paths, spacingM = 0.5) {
+  const points = [];
+
+  paths.forEach(path => {
+    for (let i = 0; i < path.length - 1; i++) {
+      const start = path[i];
+      const end = path[i + 1];
+      const cosLat = Math.cos(start.lat * Math.PI / 180);
+      const lengthM = Math.hypot(
+        (end.lat - start.lat) * METERS_PER_DEGREE_LAT,
+        (end.lng - start.lng) * METERS_PER_DEGREE_LNG * cosLat
+      );
+      const steps = Math.max(1, Math.ceil(lengthM / spacingM));
+
+      for (let step = 0; step <= steps; step++) {
+        const fraction = step / steps;
+        points.push({
+          lat: start.lat + (end.lat - start.lat) * fraction,
+          lng: start.lng + (end.lng - start.lng) * fraction
+        });
+      }
+    }
+  });
+
+  return points;
+}
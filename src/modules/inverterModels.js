@@ -0,0 +1,104 @@
+/**
+ * Microinverter catalogue for balcony solar systems
+ * Per input: the DC power it converts at most (maxDcPowerPerInputW), the module power the
+ * manufacturer recommends (maxPvPowerPerInputW), the operating and short-circuit current
+ * limits, the maximum voltage and the MPPT range.
+ * Efficiency curves give the conversion efficiency over the DC load as a fraction of the
+ * rated AC output. Values follow the datasheets (rounded); check the datasheet of your inverter.
+ */
+
+const HOYMILES_HMS_EFFICIENCY = [[0, 0], [0.05, 0.9], [0.1, 0.935], [0.2, 0.955], [0.3, 0.962], [0.5, 0.967], [0.75, 0.966], [1, 0.963]];
+const APSYSTEMS_EZ1_EFFICIENCY = [[0, 0], [0.05, 0.89], [0.1, 0.93], [0.2, 0.952], [0.3, 0.96], [0.5, 0.965], [0.75, 0.966], [1, 0.962]];
+
+export const INVERTER_MODELS = [
+  {
+    id: 'hoymiles-hms-600-2t',
+    name: 'Hoymiles HMS-600-2T',
+    maxAcOutputW: 600,
+    inputs: 2,
+    maxDcPowerPerInputW: 310,
+    maxPvPowerPerInputW: 470,
+    maxInputCurrentA: 11.5,
+    maxShortCircuitCurrentA: 25,
+    maxInputVoltageV: 65,
+    mpptVoltageRangeV: [16, 60],
+    efficiencyCurve: HOYMILES_HMS_EFFICIENCY
+  },
+  {
+    id: 'hoymiles-hms-800-2t',
+    name: 'Hoymiles HMS-800-2T',
+    maxAcOutputW: 800,
+    inputs: 2,
+    maxDcPowerPerInputW: 415,
+    maxPvPowerPerInputW: 540,
+    maxInputCurrentA: 14,
+    maxShortCircuitCurrentA: 25,
+    maxInputVoltageV: 65,
+    mpptVoltageRangeV: [16, 60],
+    efficiencyCurve: HOYMILES_HMS_EFFICIENCY
+  },
+  {
+    id: 'apsystems-ez1-m',
+    name: 'APsystems EZ1-M',
+    maxAcOutputW: 800,
+    inputs: 2,
+    maxDcPowerPerInputW: 415,
+    maxPvPowerPerInputW: 730,
+    maxInputCurrentA: 20,
+    maxShortCircuitCurrentA: 25,
+    maxInputVoltageV: 60,
+    mpptVoltageRangeV: [16, 60],
+    efficiencyCurve: APSYSTEMS_EZ1_EFFICIENCY
+  },
+  {
+    id: 'hoymiles-hms-1600-4t',
+    name: 'Hoymiles HMS-1600-4T',
+    maxAcOutputW: 1600,
+    inputs: 4,
+    maxDcPowerPerInputW: 415,
+    maxPvPowerPerInputW: 540,
+    maxInputCurrentA: 13,
+    maxShortCircuitCurrentA: 25,
+    maxInputVoltageV: 65,
+    mpptVoltageRangeV: [16, 60],
+    efficiencyCurve: HOYMILES_HMS_EFFICIENCY
+  }
+];
+
+export function getInverterModel(id) {
+  return INVERTER_MODELS.find(model => model.id === id) || null;
+}
+
+/**
+ * Conversion efficiency at a DC load (fraction of the rated AC output), interpolated on the curve
+ */
+export function getConversionEfficiency(inverter, loadFraction) {
+  const curve = inverter.efficiencyCurve;
+  if (loadFraction >= curve[curve.length - 1][0]) return curve[curve.length - 1][1];
+
+  const upper = curve.findIndex(([load]) => load > loadFraction);
+  if (upper <= 0) return curve[0][1];
+
+  const [lowLoad, lowEfficiency] = curve[upper - 1];
+  const [highLoad, highEfficiency] = curve[upper];
+  return lowEfficiency + (highEfficiency - lowEfficiency) * (loadFraction - lowLoad) / (highLoad - lowLoad);
+}
+
+/**
+ * Wire panels to the inverter inputs in drawing order, neighbouring panels on the same input
+ * @param {number[]} panelCounts - Panels per array
+ * @returns {number[][]} Panels of each array per input: wiring[input][arrayIndex]
+ */
+export function assignPanelsToInputs(panelCounts, inputs) {
+  const wiring = Array.from({ length: inputs }, () => new Array(panelCounts.length).fill(0));
+  const totalPanels = panelCounts.reduce((sum, count) => sum + count, 0);
+
+  let panel = 0;
+  panelCounts.forEach((count, arrayIndex) => {
+    for (let i = 0; i < count; i++, panel++) {
+      wiring[Math.floor(panel * inputs / totalPanels)][arrayIndex]++;
+    }
+  });
+
+  return wiring;
+}
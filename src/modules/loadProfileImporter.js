@@ -0,0 +1,458 @@
+import { DAYS_IN_MONTH } from './utils.js';
+
+/**
+ * LoadProfileImporter - Imports smart meter consumption exports (CSV or JSON)
+ * Interval data (typically 15 minutes, timestamp + kWh) is resampled to the
+ * 8760-hour grid used by SolarCalculator. All timestamps are normalized to
+ * standard time (no daylight saving time); SolarCalculator moves the simulated
+ * production from solar time to the same clock hours (see toStandardTime).
+ */
+export class LoadProfileImporter {
+  constructor(options = {}) {
+    this.standardOffsetMinutes = options.standardOffsetMinutes ?? 60; // CET (UTC+1)
+    this.maxInterpolationGapHours = options.maxInterpolationGapHours ?? 3;
+    this.minCoverage = options.minCoverage ?? 0.5; // Require at least half a year of data
+    this.timestampsMarkIntervalEnd = options.timestampsMarkIntervalEnd ?? false;
+  }
+
+  /**
+   * Import a File selected by the user
+   * @param {File} file - CSV or JSON export from a smart meter portal
+   * @returns {Promise<Object>} { hourlyLoadWh, report }
+   */
+  async importFile(file) {
+    const text = await file.text();
+    const isJSON = file.name?.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+    return this.importText(text, isJSON ? 'json' : 'csv');
+  }
+
+  /**
+   * Import raw file contents
+   * @param {string} text - File contents
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Object} { hourlyLoadWh, report }
+   */
+  importText(text, format = 'csv') {
+    const { readings, skippedRows } = format === 'json' ? this.parseJSON(text) : this.parseCSV(text);
+
+    if (readings.length === 0) {
+      throw new Error('No valid consumption readings found in file');
+    }
+
+    const result = this.resampleToHourly(readings);
+    result.report.format = format;
+    result.report.skippedRows += skippedRows;
+
+    console.log('Load profile import report:', result.report);
+
+    return result;
+  }
+
+  /**
+   * Parse CSV exports: "timestamp;kWh", "date;time;kWh" or with a header row
+   * Supports comma, semicolon and tab delimiters and decimal commas
+   */
+  parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const delimiter = this.detectDelimiter(lines.slice(0, 10));
+    const readings = [];
+    let skippedRows = 0;
+    let valueScale = 1; // Multiplier to convert values to kWh
+
+    lines.forEach((line, index) => {
+      const columns = line.split(delimiter).map(column => column.trim().replace(/^"|"$/g, ''));
+
+      // Header row: detect units, don't count it as skipped
+      if (index === 0 && this.isHeaderRow(columns)) {
+        const header = columns.join(' ').toLowerCase();
+        if (/\bwh\b/.test(header) && !/kwh/.test(header)) valueScale = 0.001;
+        return;
+      }
+
+      // Separate date and time columns
+      let timestampText = columns[0];
+      let valueColumns = columns.slice(1);
+      if (/^\d{1,2}:\d{2}(:\d{2})?$/.test(columns[1] || '')) {
+        timestampText = `${columns[0]} ${columns[1]}`;
+        valueColumns = columns.slice(2);
+      }
+
+      const timestamp = this.parseTimestamp(timestampText);
+      const value = valueColumns.map(column => this.parseNumber(column, delimiter)).find(number => !isNaN(number));
+
+      if (!timestamp || value === undefined || value < 0) {
+        skippedRows++;
+        return;
+      }
+
+      readings.push({ timestamp, kWh: value * valueScale });
+    });
+
+    return { readings, skippedRows };
+  }
+
+  /**
+   * Parse JSON exports: an array of { timestamp, kWh } objects or [timestamp, kWh] pairs
+   */
+  parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON file: ${error.message}`);
+    }
+
+    // Accept wrappers like { readings: [...] } or { data: [...] }
+    const entries = Array.isArray(data) ? data : (data.readings || data.data || data.values || []);
+    const readings = [];
+    let skippedRows = 0;
+
+    entries.forEach(entry => {
+      let timestampValue, value;
+      if (Array.isArray(entry)) {
+        [timestampValue, value] = entry;
+      } else if (entry && typeof entry === 'object') {
+        timestampValue = entry.timestamp ?? entry.time ?? entry.date ?? entry.start;
+        value = entry.kWh ?? entry.kwh ?? entry.value ?? entry.consumption;
+        if (value === undefined && entry.Wh !== undefined) value = entry.Wh / 1000;
+      }
+
+      const timestamp = this.parseTimestamp(timestampValue);
+      const number = typeof value === 'number' ? value : this.parseNumber(String(value ?? ''), ',');
+
+      if (!timestamp || isNaN(number) || number < 0) {
+        skippedRows++;
+        return;
+      }
+
+      readings.push({ timestamp, kWh: number });
+    });
+
+    return { readings, skippedRows };
+  }
+
+  /**
+   * The first row is a header unless it starts with a timestamp, in one column or split into
+   * date and time columns
+   */
+  isHeaderRow(columns) {
+    return !this.parseTimestamp(columns[0]) && !this.parseTimestamp(`${columns[0]} ${columns[1] || ''}`);
+  }
+
+  detectDelimiter(sampleLines) {
+    const candidates = [';', '\t', ','];
+    const counts = candidates.map(delimiter =>
+      sampleLines.reduce((sum, line) => sum + line.split(delimiter).length - 1, 0)
+    );
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? candidates[best] : ';';
+  }
+
+  parseNumber(text, delimiter) {
+    if (!text || !/\d/.test(text)) return NaN;
+    let normalized = text.replace(/\s/g, '');
+    // With comma-delimited files a comma can't be the decimal separator
+    if (delimiter !== ',' && /,\d+$/.test(normalized)) {
+      normalized = normalized.replace(/\./g, '').replace(',', '.');
+    }
+    return /^-?\d*\.?\d+(e-?\d+)?$/i.test(normalized) ? parseFloat(normalized) : NaN;
+  }
+
+  /**
+   * Parse a timestamp into wall-clock components
+   * Supports ISO 8601 (with or without offset), German "dd.mm.yyyy hh:mm" and Unix epochs
+   * @returns {Object|null} { year, month, day, hour, minute, offsetMinutes } (offsetMinutes null if unknown)
+   */
+  parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    // Unix epoch in seconds or milliseconds
+    if (typeof value === 'number' || /^\d{10,13}$/.test(String(value).trim())) {
+      const ms = Number(value) < 1e12 ? Number(value) * 1000 : Number(value);
+      const date = new Date(ms);
+      if (isNaN(date.getTime())) return null;
+      return {
+        year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+        hour: date.getUTCHours(), minute: date.getUTCMinutes(), offsetMinutes: 0
+      };
+    }
+
+    const text = String(value).trim();
+
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+    if (iso) {
+      return {
+        year: +iso[1], month: +iso[2], day: +iso[3], hour: +iso[4], minute: +iso[5],
+        offsetMinutes: this.parseOffset(iso[6])
+      };
+    }
+
+    const german = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})[ ,]+(\d{1,2}):(\d{2})(?::\d{2})?$/);
+    if (german) {
+      return {
+        year: +german[3], month: +german[2], day: +german[1], hour: +german[4], minute: +german[5],
+        offsetMinutes: null
+      };
+    }
+
+    return null;
+  }
+
+  parseOffset(offsetText) {
+    if (!offsetText) return null;
+    if (offsetText.toUpperCase() === 'Z') return 0;
+    const match = offsetText.match(/([+-])(\d{2}):?(\d{2})/);
+    const minutes = (+match[2]) * 60 + (+match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+  }
+
+  /**
+   * Get the EU daylight saving time window for a year (last Sunday of March to last Sunday of October)
+   * @returns {Object} { startMs, endMs } as wall-clock UTC timestamps of the switch moments
+   */
+  getDSTWindow(year) {
+    const lastSunday = (month) => {
+      const lastDay = new Date(Date.UTC(year, month + 1, 0));
+      return lastDay.getUTCDate() - lastDay.getUTCDay();
+    };
+    return {
+      startMs: Date.UTC(year, 2, lastSunday(2), 2), // 02:00 wall clock jumps to 03:00
+      endMs: Date.UTC(year, 9, lastSunday(9), 2) // 03:00 wall clock falls back to 02:00
+    };
+  }
+
+  /**
+   * Decide whether naive (offset-less) timestamps are in local time with DST
+   * Local DST data has no readings in the skipped spring hour and repeats the autumn hour
+   */
+  detectLocalDST(readings) {
+    const naive = readings.filter(reading => reading.timestamp.offsetMinutes === null);
+    if (naive.length === 0) return false;
+
+    // A reading in the non-existent spring hour means the data isn't DST-shifted.
+    // Otherwise assume local time, which is what German metering portals export.
+    return !naive.some(({ timestamp }) => {
+      const wallMs = Date.UTC(timestamp.year, timestamp.month - 1, timestamp.day, timestamp.hour, timestamp.minute);
+      const { startMs } = this.getDSTWindow(timestamp.year);
+      return wallMs >= startMs && wallMs < startMs + 3600000;
+    });
+  }
+
+  /**
+   * Convert a parsed timestamp to milliseconds in standard time (wall clock without DST)
+   */
+  toStandardTimeMs(timestamp, usesLocalDST, autumnSeen) {
+    const wallMs = Date.UTC(timestamp.year, timestamp.month - 1, timestamp.day, timestamp.hour, timestamp.minute);
+
+    if (timestamp.offsetMinutes !== null) {
+      // Explicit offset: convert through UTC, DST is irrelevant
+      return {
+        ms: wallMs - timestamp.offsetMinutes * 60000 + this.standardOffsetMinutes * 60000,
+        dstAdjusted: timestamp.offsetMinutes === this.standardOffsetMinutes + 60
+      };
+    }
+
+    if (!usesLocalDST) return { ms: wallMs, dstAdjusted: false };
+
+    const { startMs, endMs } = this.getDSTWindow(timestamp.year);
+    let inDST = wallMs >= startMs + 3600000 && wallMs < endMs + 3600000;
+
+    // The repeated autumn hour: first occurrence is still summer time, the second is winter time
+    if (wallMs >= endMs && wallMs < endMs + 3600000) {
+      const occurrence = (autumnSeen.get(wallMs) || 0) + 1;
+      autumnSeen.set(wallMs, occurrence);
+      inDST = occurrence === 1;
+    }
+
+    return { ms: inDST ? wallMs - 3600000 : wallMs, dstAdjusted: inDST };
+  }
+
+  /**
+   * Map a standard-time timestamp to the hour index of the 365-day simulation year
+   * @returns {number} Hour index (0-8759), or -1 for February 29
+   */
+  getHourIndex(standardMs) {
+    const date = new Date(standardMs);
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    if (month === 1 && day === 29) return -1;
+
+    const dayOfYear = DAYS_IN_MONTH.slice(0, month).reduce((sum, days) => sum + days, 0) + day;
+    return (dayOfYear - 1) * 24 + date.getUTCHours();
+  }
+
+  /**
+   * Resample interval readings to hourly values on the 8760-hour grid
+   * Validates coverage, fills gaps and reports time-zone/DST handling
+   */
+  resampleToHourly(readings) {
+    const usesLocalDST = this.detectLocalDST(readings);
+    const autumnSeen = new Map();
+    let dstAdjustedReadings = 0;
+
+    const normalized = readings.map(reading => {
+      const { ms, dstAdjusted } = this.toStandardTimeMs(reading.timestamp, usesLocalDST, autumnSeen);
+      if (dstAdjusted) dstAdjustedReadings++;
+      return { ms, kWh: reading.kWh };
+    }).sort((a, b) => a.ms - b.ms);
+
+    const intervalMinutes = this.detectIntervalMinutes(normalized);
+    const intervalShiftMs = this.timestampsMarkIntervalEnd ? intervalMinutes * 60000 : 0;
+    const intervalsPerHour = Math.max(1, Math.round(60 / intervalMinutes));
+
+    // Sum intervals per absolute hour, dropping exact duplicate timestamps
+    const absoluteHours = new Map();
+    let duplicateReadings = 0;
+    let previousMs = null;
+
+    normalized.forEach(({ ms, kWh }) => {
+      if (ms === previousMs) {
+        duplicateReadings++;
+        return;
+      }
+      previousMs = ms;
+
+      const startMs = ms - intervalShiftMs;
+      const hourKey = Math.floor(startMs / 3600000);
+      const hour = absoluteHours.get(hourKey) || { kWh: 0, intervals: 0 };
+      hour.kWh += kWh;
+      hour.intervals++;
+      absoluteHours.set(hourKey, hour);
+    });
+
+    // Fold absolute hours onto the simulation year, averaging if several years overlap
+    const slotTotals = new Array(8760).fill(0);
+    const slotCounts = new Array(8760).fill(0);
+    let leapDayHours = 0;
+    let partialHours = 0;
+
+    absoluteHours.forEach((hour, hourKey) => {
+      const hourIndex = this.getHourIndex(hourKey * 3600000);
+      if (hourIndex < 0) {
+        leapDayHours++;
+        return;
+      }
+
+      // Scale up hours with missing intervals
+      let kWh = hour.kWh;
+      if (hour.intervals < intervalsPerHour) {
+        kWh *= intervalsPerHour / hour.intervals;
+        partialHours++;
+      }
+
+      slotTotals[hourIndex] += kWh;
+      slotCounts[hourIndex]++;
+    });
+
+    const hourlyLoadWh = slotTotals.map((total, index) =>
+      slotCounts[index] > 0 ? (total / slotCounts[index]) * 1000 : null
+    );
+
+    const coveredHours = hourlyLoadWh.filter(value => value !== null).length;
+    if (coveredHours / 8760 < this.minCoverage) {
+      throw new Error(`Not enough data: only ${coveredHours} of 8760 hours covered. Please import a full year of readings.`);
+    }
+
+    const { filledHours, longestGapHours } = this.fillGaps(hourlyLoadWh);
+    const annualConsumptionKwh = Math.round(hourlyLoadWh.reduce((sum, wh) => sum + wh, 0) / 1000);
+
+    const warnings = [];
+    if (filledHours > 0) {
+      warnings.push(`${filledHours} missing hours were filled (longest gap: ${longestGapHours} h)`);
+    }
+    if (partialHours > 0) {
+      warnings.push(`${partialHours} hours had missing intervals and were extrapolated`);
+    }
+    if (duplicateReadings > 0) {
+      warnings.push(`${duplicateReadings} duplicate readings were ignored`);
+    }
+    if (dstAdjustedReadings > 0) {
+      warnings.push(`${dstAdjustedReadings} readings were shifted from summer time to standard time`);
+    }
+    if (leapDayHours > 0) {
+      warnings.push('Readings from February 29 were ignored');
+    }
+
+    return {
+      hourlyLoadWh,
+      report: {
+        readings: readings.length,
+        skippedRows: 0,
+        intervalMinutes,
+        timeBasis: readings.some(reading => reading.timestamp.offsetMinutes !== null)
+          ? 'utc-offset'
+          : (usesLocalDST ? 'local-dst' : 'standard'),
+        coveredHours,
+        missingHours: 8760 - coveredHours,
+        filledHours,
+        longestGapHours,
+        partialHours,
+        duplicateReadings,
+        dstAdjustedReadings,
+        annualConsumptionKwh,
+        warnings
+      }
+    };
+  }
+
+  detectIntervalMinutes(normalized) {
+    const differences = [];
+    for (let i = 1; i < normalized.length && differences.length < 1000; i++) {
+      const minutes = (normalized[i].ms - normalized[i - 1].ms) / 60000;
+      if (minutes > 0) differences.push(minutes);
+    }
+    if (differences.length === 0) return 60;
+
+    differences.sort((a, b) => a - b);
+    const median = differences[Math.floor(differences.length / 2)];
+    return Math.min(60, Math.max(1, median));
+  }
+
+  /**
+   * Fill missing hours in place
+   * Short gaps are interpolated linearly, longer gaps copy the same hour one week
+   * earlier or later (keeping the weekday pattern), falling back to the hour-of-day average
+   */
+  fillGaps(hourlyLoadWh) {
+    const hours = hourlyLoadWh.length;
+    const hourOfDayAverage = new Array(24).fill(0).map((_, hour) => {
+      const values = hourlyLoadWh.filter((value, index) => value !== null && index % 24 === hour);
+      return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    });
+    const original = hourlyLoadWh.slice();
+
+    let filledHours = 0;
+    let longestGapHours = 0;
+    let index = 0;
+
+    while (index < hours) {
+      if (original[index] !== null) {
+        index++;
+        continue;
+      }
+
+      const gapStart = index;
+      while (index < hours && original[index] === null) index++;
+      const gapEnd = index; // Exclusive
+      const gapLength = gapEnd - gapStart;
+      longestGapHours = Math.max(longestGapHours, gapLength);
+
+      const before = original[(gapStart - 1 + hours) % hours];
+      const after = original[gapEnd % hours];
+
+      for (let hour = gapStart; hour < gapEnd; hour++) {
+        if (gapLength <= this.maxInterpolationGapHours && before !== null && after !== null) {
+          const position = (hour - gapStart + 1) / (gapLength + 1);
+          hourlyLoadWh[hour] = before + (after - before) * position;
+        } else {
+          const weekBefore = original[(hour - 168 + hours) % hours];
+          const weekAfter = original[(hour + 168) % hours];
+          hourlyLoadWh[hour] = weekBefore ?? weekAfter ?? hourOfDayAverage[hour % 24];
+        }
+        filledHours++;
+      }
+    }
+
+    return { filledHours, longestGapHours };
+  }
+}
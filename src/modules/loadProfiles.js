@@ -0,0 +1,90 @@
+/**
+ * Household load profiles for self-consumption analysis.
+ * The standard profile follows the shape of the German BDEW H0 profile
+ * (household, seasons × day types) including its dynamization over the year.
+ */
+
+/**
+ * Reference year used to map days of the simulation year to weekdays.
+ * 2025 is not a leap year, matching the 365-day simulation.
+ */
+export const LOAD_PROFILE_YEAR = 2025;
+
+/**
+ * Average hourly load in W for an annual consumption of 1000 kWh (BDEW H0 shape).
+ * Indexed by season, then day type, then hour of the day (0-23).
+ */
+export const H0_HOURLY_PROFILE = {
+  winter: {
+    workday: [67, 57, 52, 50, 50, 56, 78, 110, 125, 124, 122, 128, 143, 138, 122, 113, 117, 146, 180, 190, 180, 160, 130, 95],
+    saturday: [75, 63, 56, 53, 52, 55, 65, 88, 118, 135, 143, 148, 155, 148, 135, 127, 130, 152, 178, 185, 175, 158, 130, 100],
+    sunday: [80, 66, 58, 54, 52, 53, 58, 72, 100, 128, 145, 160, 168, 150, 128, 120, 122, 145, 172, 178, 168, 150, 125, 95]
+  },
+  summer: {
+    workday: [70, 60, 55, 52, 52, 57, 75, 95, 105, 108, 110, 115, 128, 122, 108, 100, 102, 112, 130, 140, 145, 140, 122, 95],
+    saturday: [82, 68, 60, 56, 55, 57, 64, 80, 100, 115, 122, 128, 135, 128, 118, 112, 112, 120, 132, 138, 142, 138, 122, 98],
+    sunday: [85, 70, 61, 57, 55, 56, 60, 70, 92, 112, 125, 138, 145, 130, 115, 108, 108, 118, 130, 136, 140, 135, 118, 92]
+  },
+  transition: {
+    workday: [70, 58, 53, 51, 51, 56, 77, 103, 116, 117, 117, 122, 136, 130, 115, 107, 110, 130, 158, 170, 168, 152, 126, 95],
+    saturday: [78, 65, 58, 54, 53, 56, 64, 85, 110, 126, 133, 138, 145, 138, 127, 120, 121, 138, 158, 165, 160, 148, 126, 99],
+    sunday: [82, 68, 59, 55, 53, 54, 59, 71, 96, 120, 135, 149, 157, 140, 122, 114, 115, 132, 152, 158, 155, 143, 122, 94]
+  }
+};
+
+/**
+ * Get the H0 season for a day of the year.
+ * Winter: Nov 1 - Mar 20, Summer: May 15 - Sep 14, Transition: otherwise.
+ * @param {number} dayOfYear - The day of the year (1-365).
+ * @returns {string} 'winter', 'summer' or 'transition'.
+ */
+export function getH0Season(dayOfYear) {
+  if (dayOfYear <= 79 || dayOfYear >= 305) return 'winter';
+  if (dayOfYear >= 135 && dayOfYear <= 257) return 'summer';
+  return 'transition';
+}
+
+/**
+ * Get the H0 day type (workday, saturday, sunday) for a day of the reference year.
+ * @param {number} dayOfYear - The day of the year (1-365).
+ * @param {number} year - Reference year for weekday lookup.
+ * @returns {string} 'workday', 'saturday' or 'sunday'.
+ */
+export function getH0DayType(dayOfYear, year = LOAD_PROFILE_YEAR) {
+  const weekday = new Date(Date.UTC(year, 0, dayOfYear)).getUTCDay();
+  if (weekday === 0) return 'sunday';
+  if (weekday === 6) return 'saturday';
+  return 'workday';
+}
+
+/**
+ * BDEW dynamization factor: households use more power in winter than in summer.
+ * @param {number} dayOfYear - The day of the year (1-365).
+ * @returns {number} Multiplier applied to the static profile.
+ */
+export function getH0DynamizationFactor(dayOfYear) {
+  const d = dayOfYear;
+  return -3.92e-10 * Math.pow(d, 4) + 3.2e-7 * Math.pow(d, 3) - 7.02e-5 * Math.pow(d, 2) + 2.1e-3 * d + 1.24;
+}
+
+/**
+ * Build an hourly household load profile for a full year from the H0 standard profile.
+ * @param {number} annualConsumptionKwh - Annual household consumption in kWh.
+ * @param {number} year - Reference year for weekday lookup.
+ * @returns {number[]} 8760 hourly consumption values in Wh, index = (dayOfYear - 1) * 24 + hour.
+ */
+export function buildH0LoadProfile(annualConsumptionKwh, year = LOAD_PROFILE_YEAR) {
+  const hourlyLoadWh = [];
+
+  for (let dayOfYear = 1; dayOfYear <= 365; dayOfYear++) {
+    const dayProfile = H0_HOURLY_PROFILE[getH0Season(dayOfYear)][getH0DayType(dayOfYear, year)];
+    const dynamization = getH0DynamizationFactor(dayOfYear);
+    dayProfile.forEach(watts => hourlyLoadWh.push(watts * dynamization));
+  }
+
+  // Scale the profile so the year adds up exactly to the requested consumption
+  const profileTotalWh = hourlyLoadWh.reduce((sum, wh) => sum + wh, 0);
+  const scalingFactor = profileTotalWh > 0 ? (annualConsumptionKwh * 1000) / profileTotalWh : 0;
+
+  return hourlyLoadWh.map(wh => wh * scalingFactor);
+}
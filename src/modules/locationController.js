@@ -125,10 +125,15 @@ export class LocationController {
       lng: latLng.lng()
     });
     
-    // Reverse geocode to get address
-    this.reverseGeocode(latLng).then(address => {
+    // Reverse geocode to get address (resolves once the country is known)
+    return this.reverseGeocode(latLng).then(result => {
+      // The country decides which balcony solar regulations apply
+      const country = this.getCountryFromResult(result);
+      if (country) this.app.setLocationCountry(country.code, country.name);
+      if (this.app.selectedLocation) this.app.selectedLocation.address = result.formatted_address;
+      
       // Update UI with location info
-      this.updateLocationInfo(latLng, address);
+      this.updateLocationInfo(latLng, result.formatted_address);
     }).catch(error => {
       console.error('Reverse geocoding failed:', error);
       this.updateLocationInfo(latLng, 'Address not found');
@@ -139,7 +144,7 @@ export class LocationController {
     return new Promise((resolve, reject) => {
       this.geocoder.geocode({ location: latLng }, (results, status) => {
         if (status === 'OK' && results[0]) {
-          resolve(results[0].formatted_address);
+          resolve(results[0]);
         } else {
           reject(status);
         }
@@ -147,6 +152,14 @@ export class LocationController {
     });
   }
 
+  /**
+   * Extract the ISO country code from a geocoder result's address components
+   */
+  getCountryFromResult(result) {
+    const component = result?.address_components?.find(part => part.types.includes('country'));
+    return component ? { code: component.short_name, name: component.long_name } : null;
+  }
+
   updateLocationInfo(latLng, address) {
     document.getElementById('location-coords').textContent = 
       `${latLng.lat().toFixed(6)}, ${latLng.lng().toFixed(6)}`;
@@ -221,6 +234,9 @@ export class LocationController {
         // Set the location and update the map
         this.app.setSelectedLocation(location, address);
         
+        const country = this.getCountryFromResult(result);
+        if (country) this.app.setLocationCountry(country.code, country.name);
+        
         // Center map on the found location
         this.map.setCenter(location);
         this.map.setZoom(18);
@@ -1,3 +1,13 @@
+import { DEFAULT_TEMPERATURE_COEFFICIENT, MOUNTING_TYPES } from './cellTemperatureModel.js';
+import { escapeHtml, readInputNumber, readKey, readLatLng, readNumber } from './utils.js';
+
+// Reasonable power range of a single panel (W)
+const MIN_PANEL_WATTAGE = 100;
+const MAX_PANEL_WATTAGE = 800;
+
+const PANEL_ORIENTATIONS = ['length', 'width'];
+const PANEL_SIDES = ['left', 'right'];
+
 /**
  * PanelController - Handles panel line drawing and configuration
  */
@@ -7,27 +17,34 @@ export class PanelController {
     this.app = app;
     
     // Balcony solar panel line system
+    // Every mounting line is a segment with its own side, tilt and panel count
+    // (L- or U-shaped balconies); panelLine is the segment the step 3 controls edit
+    this.panelLines = [];
     this.panelLine = null;
-    this.panelLineVisual = null;
-    this.panelAreaVisual = null;
+    this.nextSegmentId = 1;
     this.isDrawingLine = false;
     this.lineStartPoint = null;
     this.startMarker = null;
-    this.endMarker = null;
     
-    // Panel configuration
+    // Panel configuration (shared by all segments)
     this.panelLength = 2.0;
     this.panelWidth = 1.0;
     this.panelWattage = 400;
-    this.panelTilt = 90;
     this.panelOrientation = 'length';
     this.railingHeight = 1.1;
-    this.panelMounting = 'railing';
-    this.panelSide = 'left';
-    this.maxSystemWattage = 2000;
+    this.panelMounting = 'railing'; // Key of MOUNTING_TYPES: 'railing' (open rack) or 'wall'
+    this.temperatureCoefficient = DEFAULT_TEMPERATURE_COEFFICIENT; // Power temperature coefficient (%/°C)
+    this.panelModuleId = null; // Module picked from the library, null while the values are entered by hand
+    this.bifacialFactor = 0; // Rear/front power ratio of the selected module
+    this.panelWeightKg = null; // Weight of one panel, known for library modules
+    this.overhangHeight = 2.5; // Balcony floor to the underside of the slab above (m)
+    this.overhangDepth = 0; // How far the slab above reaches out past the panels (m), 0 = no overhang
+    this.maxSystemWattage = 2000; // Follows the DC limit of the selected country
     this.wattageLeeway = 200;
     
-    // Panel count override
+    // Per-segment settings: defaults for new segments, mirror the active segment
+    this.panelTilt = 90;
+    this.panelSide = 'left';
     this.panelCountOverride = false;
     this.maxPanelCount = 4;
   }
@@ -46,16 +63,35 @@ export class PanelController {
       this.app.showStep(2);
     });
 
-    // Parameter controls
+    // Panel module library
+    this.populatePanelModuleSelect();
+
+    document.getElementById('panel-module').addEventListener('change', (e) => {
+      this.selectPanelModule(e.target.value);
+    });
+
+    document.getElementById('module-file').addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      if (file) this.importPanelModules(file);
+    });
+
+    document.getElementById('export-modules').addEventListener('click', () => {
+      this.exportPanelModules();
+    });
+
+    // Parameter controls (editing a datasheet value by hand leaves the selected module)
     document.getElementById('panel-length').addEventListener('input', (e) => {
+      this.clearPanelModule();
       this.updatePanelLength(e.target.value);
     });
 
     document.getElementById('panel-width').addEventListener('input', (e) => {
+      this.clearPanelModule();
       this.updatePanelWidth(e.target.value);
     });
 
     document.getElementById('panel-wattage').addEventListener('input', (e) => {
+      this.clearPanelModule();
       this.updatePanelWattage(e.target.value);
     });
 
@@ -63,6 +99,28 @@ export class PanelController {
       this.updatePanelTilt(e.target.value);
     });
 
+    document.getElementById('panel-mounting').addEventListener('change', (e) => {
+      this.panelMounting = e.target.value;
+    });
+
+    document.getElementById('temperature-coefficient').addEventListener('input', (e) => {
+      this.clearPanelModule();
+      this.updateTemperatureCoefficient(e.target.value);
+    });
+
+    document.getElementById('bifacial-factor').addEventListener('input', (e) => {
+      this.clearPanelModule();
+      this.updateBifacialFactor(e.target.value);
+    });
+
+    document.getElementById('overhang-height').addEventListener('input', (e) => {
+      this.updateOverhang('overhangHeight', e.target.value);
+    });
+
+    document.getElementById('overhang-depth').addEventListener('input', (e) => {
+      this.updateOverhang('overhangDepth', e.target.value);
+    });
+
     // Button group event listeners for orientation and side
     document.querySelectorAll('.btn-option[data-group="orientation"]').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -93,6 +151,23 @@ export class PanelController {
     document.getElementById('panel-count-slider').addEventListener('input', (e) => {
       this.updatePanelCountOverride(parseInt(e.target.value));
     });
+
+    // Mounting line selection (step 2 list and step 3 selector)
+    document.getElementById('panel-line-list').addEventListener('click', (e) => {
+      const removeButton = e.target.closest('[data-remove-segment]');
+      if (removeButton) {
+        this.removeSegment(parseInt(removeButton.dataset.removeSegment));
+        return;
+      }
+      
+      const item = e.target.closest('[data-segment-id]');
+      if (item) this.selectSegment(parseInt(item.dataset.segmentId));
+    });
+
+    document.getElementById('segment-selector').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-segment-id]');
+      if (button) this.selectSegment(parseInt(button.dataset.segmentId));
+    });
   }
 
   handleLineDrawing(latLng) {
@@ -134,11 +209,6 @@ export class PanelController {
   completeLineDrawing(endPoint) {
     if (!this.lineStartPoint) return;
     
-    // Clear existing panel line
-    if (this.panelLine) {
-      this.clearPanelLine();
-    }
-    
     // Calculate line length using Google Maps geometry
     const lineLength = google.maps.geometry.spherical.computeDistanceBetween(
       this.lineStartPoint, 
@@ -161,43 +231,50 @@ export class PanelController {
       end: endPoint
     });
     
-    // Create panel line object
-    this.panelLine = {
+    // Create a new segment with the current per-segment defaults
+    const segment = {
+      id: this.nextSegmentId++,
       start: this.lineStartPoint,
       end: endPoint,
       length: lineLength,
       azimuth: normalizedAzimuth,
-      panelAzimuth: this.calculatePanelAzimuth(normalizedAzimuth),
-      panelArea: this.calculatePanelArea(lineLength),
-      panelConfig: this.calculatePanelConfiguration(lineLength)
+      side: this.panelSide,
+      tilt: this.panelTilt,
+      panelCountOverride: this.panelCountOverride,
+      maxPanelCount: this.maxPanelCount,
+      lineVisual: null,
+      areaVisual: null,
+      endMarker: null
     };
     
+    this.panelLines.push(segment);
+    this.panelLine = segment;
+    
     // Clean up temporary marker
     if (this.startMarker) {
       this.startMarker.map = null;
       this.startMarker = null;
     }
     
-    // Draw the line and panel area
-    this.drawPanelLine();
-    this.drawPanelArea();
+    // Draw the line; the panel areas are drawn by updatePanelProperties
+    this.drawPanelLine(segment);
     
     // Reset drawing state
     this.isDrawingLine = false;
     this.lineStartPoint = null;
     
-    // Update UI
+    // Update UI and recalculate all segments (the wattage limit is shared)
     this.updateLineDrawingStatus(false);
-    this.updatePanelLineStatus();
+    this.updatePanelProperties();
     
-    console.log('Panel line created:', this.panelLine);
+    console.log('Panel line created:', segment);
   }
 
-  calculatePanelAzimuth(lineAzimuth) {
+  calculatePanelAzimuth(lineAzimuth, side = this.panelSide) {
     // Calculate which direction panels face based on line direction and selected side
     let panelAzimuth;
     
-    if (this.panelSide === 'left') {
+    if (side === 'left') {
       // Panels face 90 degrees to the left of line direction
       panelAzimuth = (lineAzimuth - 90 + 360) % 360;
     } else {
@@ -225,16 +302,16 @@ export class PanelController {
     return panelArea;
   }
 
-  calculatePanelConfiguration(lineLength) {
+  calculatePanelConfiguration(lineLength, segment = this.panelLine, maxPanelsByWattage = this.getMaxPanelsByWattage()) {
     let panelCount, availableLength, totalWattage, totalArea;
     let isConstrainedByLength = false;
     let isConstrainedByWattage = false;
     let isConstrainedByCount = false;
     
-    // Check if panel count override is enabled
-    if (this.panelCountOverride) {
+    // Check if panel count override is enabled for this segment
+    if (segment?.panelCountOverride) {
       // Use the manually set panel count
-      panelCount = this.maxPanelCount;
+      panelCount = segment.maxPanelCount;
       isConstrainedByCount = true;
       console.log('Using panel count override:', panelCount, 'panels');
     } else {
@@ -249,11 +326,9 @@ export class PanelController {
         panelCount = Math.floor(availableLength / this.panelWidth);
       }
       
-      // Check if we exceed maximum system wattage
-      const maxPanelsByWattage = Math.floor((this.maxSystemWattage + this.wattageLeeway) / this.panelWattage);
-      
+      // Check if we exceed the wattage still available to this segment
       if (panelCount > maxPanelsByWattage) {
-        panelCount = maxPanelsByWattage;
+        panelCount = Math.max(0, maxPanelsByWattage);
         isConstrainedByWattage = true;
       } else {
         isConstrainedByLength = true;
@@ -275,17 +350,95 @@ export class PanelController {
     };
   }
 
-  drawPanelLine() {
-    if (!this.panelLine) return;
+  /**
+   * Panels allowed by the maximum system wattage (null when the country sets no DC limit)
+   */
+  getMaxPanelsByWattage() {
+    return this.maxSystemWattage !== null
+      ? Math.floor((this.maxSystemWattage + this.wattageLeeway) / this.panelWattage)
+      : Infinity;
+  }
+
+  /**
+   * Recalculate all segments in drawing order
+   * The wattage limit applies to the whole system, so later lines get the remaining panels
+   */
+  recalculateSegments() {
+    let remainingPanels = this.getMaxPanelsByWattage();
+    
+    this.panelLines.forEach(segment => {
+      segment.panelAzimuth = this.calculatePanelAzimuth(segment.azimuth, segment.side);
+      segment.panelArea = this.calculatePanelArea(segment.length);
+      segment.panelConfig = this.calculatePanelConfiguration(segment.length, segment, remainingPanels);
+      remainingPanels -= segment.panelConfig.panelCount;
+    });
+  }
+
+  /**
+   * Combined configuration of all segments, as used by the solar calculation
+   */
+  getSystemConfig() {
+    const segments = this.panelLines.map((segment, index) => ({
+      id: segment.id,
+      label: `Line ${index + 1}`,
+      length: segment.length,
+      panelCount: segment.panelConfig.panelCount,
+      totalWattage: segment.panelConfig.totalWattage,
+      totalArea: segment.panelConfig.totalArea,
+      panelAzimuth: segment.panelAzimuth,
+      panelTilt: segment.tilt,
+      overhang: this.getOverhangGeometry(segment.tilt),
+      mounting: this.panelMounting,
+      temperatureCoefficient: this.temperatureCoefficient,
+      bifacialFactor: this.bifacialFactor,
+      path: [segment.start, segment.end].map(point => ({ lat: point.lat(), lng: point.lng() }))
+    }));
+    
+    const panelCount = segments.reduce((sum, segment) => sum + segment.panelCount, 0);
+    
+    return {
+      panelCount,
+      totalWattage: segments.reduce((sum, segment) => sum + segment.totalWattage, 0),
+      totalArea: segments.reduce((sum, segment) => sum + segment.totalArea, 0),
+      isConstrainedByWattage: this.panelLines.some(segment => segment.panelConfig.isConstrainedByWattage),
+      isConstrainedByCount: this.panelLines.some(segment => segment.panelConfig.isConstrainedByCount),
+      isConstrainedByLength: this.panelLines.every(segment => segment.panelConfig.isConstrainedByLength),
+      panelWattage: this.panelWattage,
+      panelModule: this.app.panelModuleLibrary.getModule(this.panelModuleId), // Datasheet values, null for hand-entered panels
+      totalWeightKg: this.panelWeightKg !== null ? Math.round(panelCount * this.panelWeightKg * 10) / 10 : null,
+      segments
+    };
+  }
+
+  /**
+   * Vertical geometry of the panels below the balcony slab above, or null without an overhang
+   * The panels hang from the top of the railing; tilted panels are treated as their vertical projection
+   */
+  getOverhangGeometry(panelTilt = this.panelTilt) {
+    if (this.overhangDepth <= 0) return null;
+    
+    const panelDepth = this.panelOrientation === 'length' ? this.panelWidth : this.panelLength;
+    const verticalExtent = panelDepth * Math.sin(panelTilt * Math.PI / 180);
+    
+    return {
+      overhangHeightM: this.overhangHeight,
+      depthM: this.overhangDepth,
+      panelTopM: this.railingHeight,
+      panelBottomM: Math.max(0, this.railingHeight - verticalExtent)
+    };
+  }
+
+  drawPanelLine(segment) {
+    if (!segment) return;
     
     // Clear existing line
-    if (this.panelLineVisual) {
-      this.panelLineVisual.setMap(null);
+    if (segment.lineVisual) {
+      segment.lineVisual.setMap(null);
     }
     
     // Draw the line
-    this.panelLineVisual = new google.maps.Polyline({
-      path: [this.panelLine.start, this.panelLine.end],
+    segment.lineVisual = new google.maps.Polyline({
+      path: [segment.start, segment.end],
       geodesic: false,
       strokeColor: '#FF6B35',
       strokeOpacity: 1.0,
@@ -303,25 +456,25 @@ export class PanelController {
     endMarkerElement.style.cursor = 'pointer';
     endMarkerElement.title = 'Panel Line End';
     
-    this.endMarker = new google.maps.marker.AdvancedMarkerElement({
-      position: this.panelLine.end,
+    segment.endMarker = new google.maps.marker.AdvancedMarkerElement({
+      position: segment.end,
       map: this.map,
       content: endMarkerElement
     });
   }
 
-  drawPanelArea() {
-    if (!this.panelLine) return;
+  drawPanelArea(segment) {
+    if (!segment) return;
     
     // Clear existing area visualization
-    if (this.panelAreaVisual) {
-      this.panelAreaVisual.setMap(null);
+    if (segment.areaVisual) {
+      segment.areaVisual.setMap(null);
     }
     
     // Calculate panel area rectangle based on side selection
     const lineVector = {
-      lat: this.panelLine.end.lat() - this.panelLine.start.lat(),
-      lng: this.panelLine.end.lng() - this.panelLine.start.lng()
+      lat: segment.end.lat() - segment.start.lat(),
+      lng: segment.end.lng() - segment.start.lng()
     };
     
     // Normalize the vector
@@ -342,30 +495,31 @@ export class PanelController {
     const depthInDegrees = panelDepth / 111000; // Approximate conversion to degrees
     
     // Determine which side of the line panels are on
-    const sideMultiplier = this.panelSide === 'left' ? -1 : 1;
+    const sideMultiplier = segment.side === 'left' ? -1 : 1;
     
     // Calculate rectangle corners
     const rect = [
-      this.panelLine.start,
-      this.panelLine.end,
+      segment.start,
+      segment.end,
       new google.maps.LatLng(
-        this.panelLine.end.lat() + (perpVector.lat * depthInDegrees * sideMultiplier),
-        this.panelLine.end.lng() + (perpVector.lng * depthInDegrees * sideMultiplier)
+        segment.end.lat() + (perpVector.lat * depthInDegrees * sideMultiplier),
+        segment.end.lng() + (perpVector.lng * depthInDegrees * sideMultiplier)
       ),
       new google.maps.LatLng(
-        this.panelLine.start.lat() + (perpVector.lat * depthInDegrees * sideMultiplier),
-        this.panelLine.start.lng() + (perpVector.lng * depthInDegrees * sideMultiplier)
+        segment.start.lat() + (perpVector.lat * depthInDegrees * sideMultiplier),
+        segment.start.lng() + (perpVector.lng * depthInDegrees * sideMultiplier)
       )
     ];
     
-    // Draw the panel area
-    this.panelAreaVisual = new google.maps.Polygon({
+    // Draw the panel area (the active segment is highlighted)
+    const isActive = segment === this.panelLine;
+    segment.areaVisual = new google.maps.Polygon({
       paths: rect,
       strokeColor: '#00D2AA',
       strokeOpacity: 0.8,
-      strokeWeight: 2,
+      strokeWeight: isActive ? 3 : 2,
       fillColor: '#00D2AA',
-      fillOpacity: 0.3,
+      fillOpacity: isActive ? 0.5 : 0.3,
       map: this.map
     });
   }
@@ -384,10 +538,10 @@ export class PanelController {
   }
 
   updatePanelLineStatus() {
-    const hasLine = this.panelLine !== null;
+    const hasLine = this.panelLines.length > 0;
     
     const statusElement = document.getElementById('panel-line-status');
-    statusElement.textContent = hasLine ? 'Yes' : 'No';
+    statusElement.textContent = hasLine ? `${this.panelLines.length} line${this.panelLines.length !== 1 ? 's' : ''}` : 'No';
     statusElement.setAttribute('data-status', hasLine ? 'yes' : 'no');
     
     const detailsDiv = document.getElementById('panel-line-details');
@@ -396,14 +550,16 @@ export class PanelController {
     
     if (hasLine) {
       detailsDiv.classList.remove('hidden');
-      const config = this.panelLine.panelConfig;
+      const config = this.getSystemConfig();
+      const totalLength = this.panelLines.reduce((sum, segment) => sum + segment.length, 0);
       
-      document.getElementById('line-length').textContent = `${Math.round(this.panelLine.length * 10) / 10}m`;
+      document.getElementById('line-length').textContent = `${Math.round(totalLength * 10) / 10}m`;
       document.getElementById('panel-count').textContent = `${config.panelCount} panels`;
       document.getElementById('total-wattage').textContent = `${config.totalWattage}W`;
       document.getElementById('panel-area').textContent = `${Math.round(config.totalArea * 10) / 10} m²`;
+      document.getElementById('panel-weight').textContent = config.totalWeightKg !== null ? `${config.totalWeightKg} kg` : '-';
       
-      // Update panel orientation display
+      // Update panel orientation display (of the active line)
       const orientationName = this.getOrientationName(this.panelLine.azimuth);
       const orientationElement = document.getElementById('panel-orientation');
       orientationElement.innerHTML = `<span class="compass-direction ${orientationName.toLowerCase()}">${orientationName}</span> (${Math.round(this.panelLine.azimuth)}°)`;
@@ -431,11 +587,43 @@ export class PanelController {
       nextBtn.textContent = this.isDrawingLine ? 'Click second point to complete line' : 'Draw Panel Mounting Line';
       clearBtn.classList.add('hidden');
     }
+    
+    this.renderSegmentList();
+  }
+
+  /**
+   * Render the list of mounting lines in step 2 and the line selector in step 3
+   */
+  renderSegmentList() {
+    const list = document.getElementById('panel-line-list');
+    const selector = document.getElementById('segment-selector');
+    const selectorGroup = document.getElementById('segment-selector-group');
+    
+    list.innerHTML = this.panelLines.map((segment, index) => {
+      const orientationName = this.getOrientationName(segment.panelAzimuth);
+      const activeClass = segment === this.panelLine ? ' active' : '';
+      const meta = `${Math.round(segment.length * 10) / 10}m · ${segment.panelConfig.panelCount} panels · ${orientationName} · ${segment.tilt}°`;
+      return `
+        <li class="panel-line-item${activeClass}" data-segment-id="${segment.id}">
+          <span class="panel-line-name">Line ${index + 1}</span>
+          <span class="panel-line-meta">${escapeHtml(meta)}</span>
+          <button class="panel-line-remove" data-remove-segment="${segment.id}" title="Remove line">×</button>
+        </li>
+      `;
+    }).join('');
+    
+    selector.innerHTML = this.panelLines.map((segment, index) => {
+      const activeClass = segment === this.panelLine ? ' active' : '';
+      return `<button type="button" class="btn btn-option${activeClass}" data-segment-id="${segment.id}">Line ${index + 1}</button>`;
+    }).join('');
+    
+    // The selector is only needed when there is more than one line
+    selectorGroup.classList.toggle('hidden', this.panelLines.length < 2);
   }
 
   updateStep3Summary() {
-    if (this.panelLine && this.panelLine.panelConfig) {
-      const config = this.panelLine.panelConfig;
+    if (this.panelLines.length > 0) {
+      const config = this.getSystemConfig();
       
       console.log('Updating step 3 summary with config:', config);
       
@@ -445,6 +633,7 @@ export class PanelController {
       // Update constraint info in step 3
       const step3ConstraintInfo = document.querySelector('#step-3 #constraint-info');
       if (step3ConstraintInfo) {
+        const totalLength = this.panelLines.reduce((sum, segment) => sum + segment.length, 0);
         if (config.isConstrainedByCount) {
           step3ConstraintInfo.textContent = `Manual panel count limit: ${config.panelCount} panels`;
           step3ConstraintInfo.style.color = '#10B981';
@@ -452,7 +641,8 @@ export class PanelController {
           step3ConstraintInfo.textContent = `System limited by ${this.maxSystemWattage}W max power (${config.panelCount} panels)`;
           step3ConstraintInfo.style.color = '#FF6B35';
         } else {
-          step3ConstraintInfo.textContent = `${config.panelCount} panels fit on ${Math.round(this.panelLine.length * 10) / 10}m line`;
+          const lineText = this.panelLines.length > 1 ? `${this.panelLines.length} lines` : 'line';
+          step3ConstraintInfo.textContent = `${config.panelCount} panels fit on ${Math.round(totalLength * 10) / 10}m ${lineText}`;
           step3ConstraintInfo.style.color = '#276EF1';
         }
       }
@@ -468,29 +658,87 @@ export class PanelController {
     }
   }
 
-  clearPanelLine() {
-    // Clear all visual elements
-    if (this.panelLineVisual) {
-      this.panelLineVisual.setMap(null);
-      this.panelLineVisual = null;
+  /**
+   * Make a segment the active one and load its settings into the step 3 controls
+   */
+  selectSegment(segmentId) {
+    const segment = this.panelLines.find(line => line.id === segmentId);
+    if (!segment) return;
+    
+    this.panelLine = segment;
+    this.panelTilt = segment.tilt;
+    this.panelSide = segment.side;
+    this.panelCountOverride = segment.panelCountOverride;
+    this.maxPanelCount = segment.maxPanelCount;
+    
+    // Sync the controls without triggering their change handlers
+    document.getElementById('panel-tilt').value = segment.tilt;
+    document.getElementById('panel-tilt-value').textContent = this.getTiltDisplayText(segment.tilt);
+    
+    const sideButton = document.querySelector(`.btn-option[data-group="side"][data-value="${segment.side}"]`);
+    if (sideButton) this.selectButtonOption(sideButton, 'side');
+    
+    document.getElementById('enable-panel-count').checked = segment.panelCountOverride;
+    document.getElementById('panel-count-slider').value = segment.maxPanelCount;
+    document.getElementById('panel-count-slider').disabled = !segment.panelCountOverride;
+    document.getElementById('panel-count-control').classList.toggle('disabled', !segment.panelCountOverride);
+    document.getElementById('panel-count-value').textContent = `${segment.maxPanelCount} panel${segment.maxPanelCount !== 1 ? 's' : ''}`;
+    
+    console.log('Selected panel line:', segment.id);
+    this.updatePanelProperties();
+  }
+
+  /**
+   * Remove a single mounting line
+   */
+  removeSegment(segmentId) {
+    const segment = this.panelLines.find(line => line.id === segmentId);
+    if (!segment) return;
+    
+    this.clearSegmentVisuals(segment);
+    this.panelLines = this.panelLines.filter(line => line !== segment);
+    
+    if (this.panelLines.length === 0) {
+      this.panelLine = null;
+      this.updatePanelLineStatus();
+      return;
+    }
+    
+    if (this.panelLine === segment) {
+      this.selectSegment(this.panelLines[this.panelLines.length - 1].id);
+    } else {
+      this.updatePanelProperties();
+    }
+  }
+
+  clearSegmentVisuals(segment) {
+    if (segment.lineVisual) {
+      segment.lineVisual.setMap(null);
+      segment.lineVisual = null;
     }
     
-    if (this.panelAreaVisual) {
-      this.panelAreaVisual.setMap(null);
-      this.panelAreaVisual = null;
+    if (segment.areaVisual) {
+      segment.areaVisual.setMap(null);
+      segment.areaVisual = null;
     }
     
+    if (segment.endMarker) {
+      segment.endMarker.map = null;
+      segment.endMarker = null;
+    }
+  }
+
+  clearPanelLine() {
+    // Clear all visual elements
+    this.panelLines.forEach(segment => this.clearSegmentVisuals(segment));
+    
     if (this.startMarker) {
       this.startMarker.map = null;
       this.startMarker = null;
     }
     
-    if (this.endMarker) {
-      this.endMarker.map = null;
-      this.endMarker = null;
-    }
-    
     // Reset state
+    this.panelLines = [];
     this.panelLine = null;
     this.isDrawingLine = false;
     this.lineStartPoint = null;
@@ -499,6 +747,238 @@ export class PanelController {
     this.updatePanelLineStatus();
   }
 
+  /**
+   * Panel parameters and mounting lines for a project link
+   */
+  getShareState() {
+    const point = (latLng) => ({ lat: latLng.lat(), lng: latLng.lng() });
+    
+    return {
+      moduleId: this.panelModuleId,
+      length: this.panelLength,
+      width: this.panelWidth,
+      wattage: this.panelWattage,
+      orientation: this.panelOrientation,
+      mounting: this.panelMounting,
+      temperatureCoefficient: this.temperatureCoefficient,
+      bifacialFactor: this.bifacialFactor,
+      overhangHeight: this.overhangHeight,
+      overhangDepth: this.overhangDepth,
+      lines: this.panelLines.map(segment => ({
+        start: point(segment.start),
+        end: point(segment.end),
+        side: segment.side,
+        tilt: segment.tilt,
+        maxPanelCount: segment.panelCountOverride ? segment.maxPanelCount : null
+      }))
+    };
+  }
+
+  /**
+   * Check the panel parameters and mounting lines of a project link
+   * Numbers are clamped to the limits of the step 3 inputs
+   * @throws {Error} When a value is missing, not a number or not a known option
+   */
+  readShareState(state) {
+    return {
+      moduleId: typeof state.moduleId === 'string' ? state.moduleId : null,
+      length: readInputNumber(state.length, 'panel-length'),
+      width: readInputNumber(state.width, 'panel-width'),
+      wattage: Math.round(readNumber(state.wattage, MIN_PANEL_WATTAGE, MAX_PANEL_WATTAGE)),
+      orientation: readKey(state.orientation, PANEL_ORIENTATIONS),
+      mounting: readKey(state.mounting, Object.keys(MOUNTING_TYPES)),
+      temperatureCoefficient: readInputNumber(state.temperatureCoefficient, 'temperature-coefficient'),
+      bifacialFactor: readInputNumber(state.bifacialFactor, 'bifacial-factor'),
+      overhangHeight: readInputNumber(state.overhangHeight, 'overhang-height'),
+      overhangDepth: readInputNumber(state.overhangDepth, 'overhang-depth'),
+      lines: state.lines.map(line => ({
+        start: readLatLng(line.start),
+        end: readLatLng(line.end),
+        side: readKey(line.side, PANEL_SIDES),
+        tilt: Math.round(readInputNumber(line.tilt, 'panel-tilt')),
+        maxPanelCount: line.maxPanelCount === null ? null : Math.round(readInputNumber(line.maxPanelCount, 'panel-count-slider'))
+      }))
+    };
+  }
+
+  /**
+   * Restore the panel parameters and redraw the mounting lines from a project link
+   * The state has been checked by readShareState
+   * Modules missing from this browser's library (e.g. imported by the sender) keep their
+   * values but show as entered by hand
+   */
+  applyShareState(state) {
+    if (this.app.panelModuleLibrary.getModule(state.moduleId)) {
+      this.selectPanelModule(state.moduleId);
+    } else {
+      this.panelModuleId = null;
+      this.panelWeightKg = null;
+      this.panelLength = state.length;
+      this.panelWidth = state.width;
+      this.panelWattage = state.wattage;
+      this.temperatureCoefficient = state.temperatureCoefficient;
+      this.bifacialFactor = state.bifacialFactor;
+      
+      document.getElementById('panel-module').value = 'custom';
+      document.getElementById('panel-module-info').textContent = 'Values entered by hand';
+      document.getElementById('panel-length').value = state.length;
+      document.getElementById('panel-length-value').textContent = `${state.length}m`;
+      document.getElementById('panel-width').value = state.width;
+      document.getElementById('panel-width-value').textContent = `${state.width}m`;
+      document.getElementById('panel-wattage').value = state.wattage;
+      document.getElementById('temperature-coefficient').value = state.temperatureCoefficient;
+      document.getElementById('bifacial-factor').value = state.bifacialFactor;
+    }
+    
+    this.panelOrientation = state.orientation;
+    const orientationButton = document.querySelector(`.btn-option[data-group="orientation"][data-value="${state.orientation}"]`);
+    if (orientationButton) this.selectButtonOption(orientationButton, 'orientation');
+    
+    this.panelMounting = state.mounting;
+    document.getElementById('panel-mounting').value = state.mounting;
+    
+    this.overhangHeight = state.overhangHeight;
+    this.overhangDepth = state.overhangDepth;
+    document.getElementById('overhang-height').value = state.overhangHeight;
+    document.getElementById('overhang-depth').value = state.overhangDepth;
+    
+    // Redraw each line with its own per-segment settings
+    this.clearPanelLine();
+    state.lines.forEach(line => {
+      this.panelSide = line.side;
+      this.panelTilt = line.tilt;
+      this.panelCountOverride = line.maxPanelCount !== null;
+      if (line.maxPanelCount !== null) this.maxPanelCount = line.maxPanelCount;
+      
+      this.lineStartPoint = new google.maps.LatLng(line.start.lat, line.start.lng);
+      this.completeLineDrawing(new google.maps.LatLng(line.end.lat, line.end.lng));
+    });
+    
+    if (this.panelLines.length > 0) this.selectSegment(this.panelLines[0].id);
+  }
+
+  /**
+   * Fill the module selector with the built-in and imported modules
+   */
+  populatePanelModuleSelect() {
+    const select = document.getElementById('panel-module');
+    select.replaceChildren(new Option('Custom values', 'custom'));
+    this.app.panelModuleLibrary.getModules().forEach(module => {
+      const label = `${module.name}${module.custom ? ' (imported)' : ''}, ${module.wattagePeak} Wp`;
+      select.add(new Option(label, module.id));
+    });
+    select.value = this.panelModuleId || 'custom';
+  }
+
+  /**
+   * Apply the datasheet values of a library module to the panel parameters
+   */
+  selectPanelModule(id) {
+    const module = this.app.panelModuleLibrary.getModule(id);
+    if (!module) {
+      this.clearPanelModule();
+      return;
+    }
+    
+    this.panelModuleId = module.id;
+    this.panelLength = module.lengthM;
+    this.panelWidth = module.widthM;
+    this.panelWattage = module.wattagePeak;
+    this.temperatureCoefficient = module.temperatureCoefficient;
+    this.bifacialFactor = module.bifacialFactor;
+    this.panelWeightKg = module.weightKg;
+    
+    // Show the datasheet values in the manual controls
+    document.getElementById('panel-module').value = module.id;
+    document.getElementById('panel-length').value = module.lengthM;
+    document.getElementById('panel-length-value').textContent = `${module.lengthM}m`;
+    document.getElementById('panel-width').value = module.widthM;
+    document.getElementById('panel-width-value').textContent = `${module.widthM}m`;
+    document.getElementById('panel-wattage').value = module.wattagePeak;
+    document.getElementById('panel-wattage').classList.remove('error');
+    document.getElementById('temperature-coefficient').value = module.temperatureCoefficient;
+    document.getElementById('temperature-coefficient').classList.remove('error');
+    document.getElementById('bifacial-factor').value = module.bifacialFactor;
+    document.getElementById('bifacial-factor').classList.remove('error');
+    
+    // Degradation from the power warranty feeds the production forecast in the results
+    if (module.firstYearDegradation !== null) {
+      document.getElementById('first-year-degradation').value = module.firstYearDegradation;
+    }
+    if (module.annualDegradation !== null) {
+      document.getElementById('annual-degradation').value = module.annualDegradation;
+    }
+    
+    const details = [
+      `${module.lengthM} × ${module.widthM} m`,
+      `${module.efficiency}% efficiency`,
+      `${module.temperatureCoefficient} %/°C`,
+      module.bifacialFactor > 0 ? `bifacial ${Math.round(module.bifacialFactor * 100)}%` : 'monofacial',
+      module.weightKg !== null ? `${module.weightKg} kg` : null,
+      module.annualDegradation !== null ? `${module.annualDegradation} %/year degradation` : null
+    ];
+    document.getElementById('panel-module-info').textContent = details.filter(Boolean).join(' · ');
+    
+    console.log('Panel module selected:', module);
+    this.updatePanelProperties();
+  }
+
+  /**
+   * Switch back to hand-entered values; the current values are kept
+   */
+  clearPanelModule() {
+    if (this.panelModuleId === null) return;
+    
+    this.panelModuleId = null;
+    this.panelWeightKg = null;
+    document.getElementById('panel-module').value = 'custom';
+    document.getElementById('panel-module-info').textContent = 'Values entered by hand';
+  }
+
+  async importPanelModules(file) {
+    try {
+      const modules = await this.app.panelModuleLibrary.importFile(file);
+      this.populatePanelModuleSelect();
+      this.selectPanelModule(modules[0].id);
+      this.app.uiController.showSuccess(`Imported ${modules.length} module${modules.length !== 1 ? 's' : ''} from ${escapeHtml(file.name)}`);
+    } catch (error) {
+      console.error('Module import failed:', error);
+      this.app.showError(`Import failed: ${error.message}`);
+    } finally {
+      // Allow re-importing the same file
+      document.getElementById('module-file').value = '';
+    }
+  }
+
+  /**
+   * Download the imported modules as JSON
+   * Without imported modules the current panel serves as a template for a custom definition
+   */
+  exportPanelModules() {
+    const library = this.app.panelModuleLibrary;
+    const modules = library.customModules.length > 0
+      ? library.customModules
+      : [library.getModule(this.panelModuleId) || {
+        name: 'My panel',
+        lengthM: this.panelLength,
+        widthM: this.panelWidth,
+        wattagePeak: this.panelWattage,
+        temperatureCoefficient: this.temperatureCoefficient,
+        bifacialFactor: this.bifacialFactor,
+        weightKg: this.panelWeightKg,
+        firstYearDegradation: parseFloat(document.getElementById('first-year-degradation').value),
+        annualDegradation: parseFloat(document.getElementById('annual-degradation').value)
+      }];
+    
+    const blob = new Blob([library.exportJson(modules)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'panel-modules.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
   // Parameter update methods
   updatePanelLength(value) {
     this.panelLength = parseFloat(value);
@@ -526,7 +1006,7 @@ export class PanelController {
     const wattage = parseInt(numericValue);
     
     // Validate reasonable wattage range (100W to 800W per panel)
-    if (!isNaN(wattage) && wattage >= 100 && wattage <= 800) {
+    if (!isNaN(wattage) && wattage >= MIN_PANEL_WATTAGE && wattage <= MAX_PANEL_WATTAGE) {
       this.panelWattage = wattage;
       inputField.classList.remove('error');
     } else if (numericValue === '') {
@@ -544,13 +1024,52 @@ export class PanelController {
 
   updatePanelTilt(value) {
     this.panelTilt = parseInt(value);
-    const displayText = value == 90 ? `${value}° (Vertical)` : 
-                       value == 0 ? `${value}° (Horizontal)` : 
-                       `${value}°`;
-    document.getElementById('panel-tilt-value').textContent = displayText;
+    if (this.panelLine) this.panelLine.tilt = this.panelTilt;
+    document.getElementById('panel-tilt-value').textContent = this.getTiltDisplayText(value);
     this.updatePanelProperties();
   }
 
+  getTiltDisplayText(value) {
+    return value == 90 ? `${value}° (Vertical)` : 
+           value == 0 ? `${value}° (Horizontal)` : 
+           `${value}°`;
+  }
+
+  updateTemperatureCoefficient(value) {
+    const coefficient = parseFloat(value);
+    const inputField = document.getElementById('temperature-coefficient');
+    
+    // Crystalline modules lose roughly 0.25-0.5 %/°C
+    if (isNaN(coefficient) || coefficient > 0 || coefficient < -1) {
+      inputField.classList.add('error');
+      return;
+    }
+    
+    inputField.classList.remove('error');
+    this.temperatureCoefficient = coefficient;
+  }
+
+  updateBifacialFactor(value) {
+    const factor = parseFloat(value);
+    const inputField = document.getElementById('bifacial-factor');
+    
+    if (isNaN(factor) || factor < 0 || factor > 1) {
+      inputField.classList.add('error');
+      return;
+    }
+    
+    inputField.classList.remove('error');
+    this.bifacialFactor = factor;
+  }
+
+  updateOverhang(property, value) {
+    const meters = parseFloat(value);
+    if (isNaN(meters) || meters < 0) return;
+    
+    this[property] = meters;
+    console.log('Overhang updated:', { height: this.overhangHeight, depth: this.overhangDepth });
+  }
+
   selectButtonOption(selectedButton, groupName) {
     // Remove active class from all buttons in the group
     document.querySelectorAll(`.btn-option[data-group="${groupName}"]`).forEach(btn => {
@@ -568,6 +1087,7 @@ export class PanelController {
 
   updatePanelSide(value) {
     this.panelSide = value;
+    if (this.panelLine) this.panelLine.side = value;
     this.updatePanelProperties();
   }
 
@@ -579,6 +1099,7 @@ export class PanelController {
 
   togglePanelCountOverride(enabled) {
     this.panelCountOverride = enabled;
+    if (this.panelLine) this.panelLine.panelCountOverride = enabled;
     const slider = document.getElementById('panel-count-slider');
     const valueDisplay = document.getElementById('panel-count-value');
     const container = document.getElementById('panel-count-control');
@@ -599,6 +1120,7 @@ export class PanelController {
 
   updatePanelCountOverride(count) {
     this.maxPanelCount = count;
+    if (this.panelLine) this.panelLine.maxPanelCount = count;
     const valueDisplay = document.getElementById('panel-count-value');
     valueDisplay.textContent = `${count} panel${count !== 1 ? 's' : ''}`;
     
@@ -608,20 +1130,31 @@ export class PanelController {
     this.updatePanelProperties();
   }
 
+  /**
+   * Apply the DC panel limit of the location's regulation profile
+   */
+  setMaxSystemWattage(maxPanelCapacityW) {
+    this.maxSystemWattage = maxPanelCapacityW;
+    
+    const maxWattageElement = document.getElementById('max-system-wattage');
+    if (maxWattageElement) {
+      maxWattageElement.textContent = maxPanelCapacityW !== null ? `${maxPanelCapacityW}W` : 'No limit';
+    }
+    
+    console.log('Maximum system wattage set to:', maxPanelCapacityW);
+    this.updatePanelProperties();
+  }
+
   updatePanelProperties() {
     console.log('Updating panel properties');
-    if (this.panelLine) {
-      // Recalculate panel azimuth based on new side selection
-      this.panelLine.panelAzimuth = this.calculatePanelAzimuth(this.panelLine.azimuth);
-      
-      // Recalculate panel area based on new mounting/dimensions
-      this.panelLine.panelArea = this.calculatePanelArea(this.panelLine.length);
-      this.panelLine.panelConfig = this.calculatePanelConfiguration(this.panelLine.length);
+    if (this.panelLines.length > 0) {
+      // Recalculate every line: the wattage limit is shared across all of them
+      this.recalculateSegments();
       
-      console.log('Updated panel configuration:', this.panelLine.panelConfig);
+      console.log('Updated system configuration:', this.getSystemConfig());
       
       // Redraw visual elements
-      this.drawPanelArea();
+      this.panelLines.forEach(segment => this.drawPanelArea(segment));
       this.updatePanelLineStatus();
       
       // Update step 3 summary if we're on step 3
@@ -630,8 +1163,8 @@ export class PanelController {
         
         // Also check and update the calculate button
         const calculateBtn = document.getElementById('calculate-solar');
-        if (calculateBtn && this.panelLine.panelConfig) {
-          const config = this.panelLine.panelConfig;
+        if (calculateBtn) {
+          const config = this.getSystemConfig();
           if (config.panelCount > 0) {
             calculateBtn.disabled = false;
             calculateBtn.textContent = 'Calculate Solar Potential';
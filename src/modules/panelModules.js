@@ -0,0 +1,216 @@
+import { DEFAULT_TEMPERATURE_COEFFICIENT } from './cellTemperatureModel.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Panel module library: datasheet values of common balcony-solar modules
+ * Dimensions in metres, power in Wp at STC, efficiency in %, temperature coefficient of
+ * Pmax in %/°C, bifacial factor as rear/front power ratio (0 = monofacial), weight in kg,
+ * open-circuit and MPP voltage (V) and short-circuit current (A) at STC, and the power
+ * warranty's first-year degradation (%) and linear degradation per year after that (%/year).
+ * Values follow the manufacturers' datasheets (rounded); check the datasheet of your module.
+ */
+export const PANEL_MODULES = [
+  {
+    id: 'aiko-neostar-2p-450',
+    name: 'AIKO Neostar 2P A450-MAH54Mw',
+    lengthM: 1.757,
+    widthM: 1.134,
+    wattagePeak: 450,
+    efficiency: 22.6,
+    temperatureCoefficient: -0.26,
+    bifacialFactor: 0,
+    weightKg: 21,
+    vocV: 40.2,
+    vmpV: 33.6,
+    iscA: 14.1,
+    firstYearDegradation: 1,
+    annualDegradation: 0.35
+  },
+  {
+    id: 'ja-solar-jam54d40-430',
+    name: 'JA Solar JAM54D40 430/LB (bifacial)',
+    lengthM: 1.762,
+    widthM: 1.134,
+    wattagePeak: 430,
+    efficiency: 21.5,
+    temperatureCoefficient: -0.29,
+    bifacialFactor: 0.8,
+    weightKg: 24.5,
+    vocV: 39.0,
+    vmpV: 32.4,
+    iscA: 14.0,
+    firstYearDegradation: 1,
+    annualDegradation: 0.4
+  },
+  {
+    id: 'jinko-tiger-neo-430',
+    name: 'Jinko Tiger Neo JKM430N-54HL4R-B',
+    lengthM: 1.722,
+    widthM: 1.134,
+    wattagePeak: 430,
+    efficiency: 22.0,
+    temperatureCoefficient: -0.29,
+    bifacialFactor: 0,
+    weightKg: 22,
+    vocV: 39.0,
+    vmpV: 32.3,
+    iscA: 13.9,
+    firstYearDegradation: 1,
+    annualDegradation: 0.4
+  },
+  {
+    id: 'longi-hi-mo-6-430',
+    name: 'LONGi Hi-MO 6 LR5-54HTH-430M',
+    lengthM: 1.722,
+    widthM: 1.134,
+    wattagePeak: 430,
+    efficiency: 22.0,
+    temperatureCoefficient: -0.29,
+    bifacialFactor: 0,
+    weightKg: 21.3,
+    vocV: 38.9,
+    vmpV: 32.6,
+    iscA: 13.9,
+    firstYearDegradation: 1,
+    annualDegradation: 0.4
+  },
+  {
+    id: 'meyer-burger-black-390',
+    name: 'Meyer Burger Black 390',
+    lengthM: 1.767,
+    widthM: 1.041,
+    wattagePeak: 390,
+    efficiency: 21.2,
+    temperatureCoefficient: -0.26,
+    bifacialFactor: 0,
+    weightKg: 19.7,
+    vocV: 44.7,
+    vmpV: 37.9,
+    iscA: 10.9,
+    firstYearDegradation: 1,
+    annualDegradation: 0.2
+  },
+  {
+    id: 'trina-vertex-s-plus-440',
+    name: 'Trina Vertex S+ TSM-NEG9R.28 440',
+    lengthM: 1.762,
+    widthM: 1.134,
+    wattagePeak: 440,
+    efficiency: 22.0,
+    temperatureCoefficient: -0.29,
+    bifacialFactor: 0,
+    weightKg: 21,
+    vocV: 39.6,
+    vmpV: 32.9,
+    iscA: 14.1,
+    firstYearDegradation: 1,
+    annualDegradation: 0.4
+  }
+];
+
+const EXPORT_FORMAT = 'solarized-panel-modules';
+
+/**
+ * PanelModuleLibrary - Built-in modules plus custom definitions imported from JSON
+ */
+export class PanelModuleLibrary {
+  constructor() {
+    this.customModules = [];
+  }
+
+  getModules() {
+    return [...PANEL_MODULES, ...this.customModules];
+  }
+
+  getModule(id) {
+    return this.getModules().find(module => module.id === id) || null;
+  }
+
+  /**
+   * Import custom modules from a JSON file selected by the user
+   * @returns {Promise<Object[]>} The imported modules
+   */
+  async importFile(file) {
+    const text = await file.text();
+    return this.importJson(text);
+  }
+
+  /**
+   * Import custom modules from JSON: an export of this library, an array or a single module
+   * Modules with the id of an earlier custom module replace it
+   * @returns {Object[]} The imported modules
+   */
+  importJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    const definitions = Array.isArray(data) ? data : (data.modules ?? [data]);
+    if (definitions.length === 0) {
+      throw new Error('The file contains no module definitions');
+    }
+
+    const modules = definitions.map((definition, index) => this.validateModule(definition, index));
+    modules.forEach(module => {
+      if (PANEL_MODULES.some(builtIn => builtIn.id === module.id)) module.id = `custom-${module.id}`;
+      this.customModules = this.customModules.filter(custom => custom.id !== module.id);
+      this.customModules.push(module);
+    });
+
+    console.log('Imported panel modules:', modules.map(module => module.name));
+    return modules;
+  }
+
+  /**
+   * JSON export of the custom modules, or of the given modules
+   */
+  exportJson(modules = this.customModules) {
+    return JSON.stringify({ format: EXPORT_FORMAT, version: 1, modules }, null, 2);
+  }
+
+  /**
+   * Check a module definition and fill in the optional values
+   */
+  validateModule(definition, index = 0) {
+    // The message ends up in the notification markup; the name comes from a shared file
+    const label = definition?.name ? `"${escapeHtml(String(definition.name))}"` : `#${index + 1}`;
+    if (!definition || typeof definition !== 'object' || !definition.name) {
+      throw new Error(`Module ${label} has no name`);
+    }
+
+    const number = (key, min, max) => {
+      const value = Number(definition[key]);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`Module ${label}: ${key} must be between ${min} and ${max}`);
+      }
+      return value;
+    };
+    const optional = (key, min, max, fallback) => (definition[key] ?? null) === null ? fallback : number(key, min, max);
+
+    // Same ranges as the panel size sliders and the wattage input in step 3
+    const lengthM = number('lengthM', 0.5, 2.5);
+    const widthM = number('widthM', 0.5, 1.5);
+    const wattagePeak = number('wattagePeak', 100, 800);
+
+    return {
+      id: String(definition.id || `custom-${definition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`),
+      name: String(definition.name),
+      lengthM,
+      widthM,
+      wattagePeak,
+      efficiency: optional('efficiency', 1, 50, Math.round(wattagePeak / (lengthM * widthM * 10) * 10) / 10),
+      temperatureCoefficient: optional('temperatureCoefficient', -1, 0, DEFAULT_TEMPERATURE_COEFFICIENT),
+      bifacialFactor: optional('bifacialFactor', 0, 1, 0),
+      weightKg: optional('weightKg', 0, 100, null),
+      vocV: optional('vocV', 1, 100, null),
+      vmpV: optional('vmpV', 1, 100, null),
+      iscA: optional('iscA', 0.1, 30, null),
+      firstYearDegradation: optional('firstYearDegradation', 0, 10, null),
+      annualDegradation: optional('annualDegradation', 0, 3, null),
+      custom: true
+    };
+  }
+}
@@ -0,0 +1,172 @@
+import { escapeHtml } from './utils.js';
+
+/**
+ * ProjectController - Saving analyses and the saved project list in step 1
+ * Projects live in the ProjectStore together with their imported load profile, prices and
+ * weather data; opening one restores it into step 3, from where the steps work as usual.
+ * Saving again overwrites the project that was opened last.
+ */
+export class ProjectController {
+  constructor(app, projectStore) {
+    this.app = app;
+    this.projectStore = projectStore;
+    this.currentProjectId = null;
+  }
+
+  setupEventListeners() {
+    document.getElementById('save-project').addEventListener('click', () => {
+      this.saveCurrentProject();
+    });
+
+    document.getElementById('saved-project-list').addEventListener('click', (e) => {
+      const item = e.target.closest('[data-project-id]');
+      if (!item) return;
+
+      const id = item.dataset.projectId;
+      const action = e.target.closest('[data-project-action]')?.dataset.projectAction;
+      if (action === 'rename') this.renameProject(id);
+      else if (action === 'duplicate') this.duplicateProject(id);
+      else if (action === 'delete') this.deleteProject(id);
+      else this.openProject(id);
+    });
+
+    this.refreshProjectList();
+  }
+
+  clearCurrentProject() {
+    this.currentProjectId = null;
+  }
+
+  async saveCurrentProject() {
+    if (!this.app.selectedLocation || !this.app.currentSolarData) {
+      this.app.showError('Please calculate the solar potential before saving the project.');
+      return;
+    }
+
+    try {
+      const current = this.currentProjectId ? await this.projectStore.get(this.currentProjectId) : null;
+      const address = this.app.selectedLocation.address || null;
+      const name = this.promptName(current?.name || address || 'Balcony solar project');
+      if (!name) return;
+
+      const project = await this.projectStore.save({
+        id: current?.id,
+        name,
+        address,
+        state: {
+          ...this.app.projectLink.captureState(),
+          importedData: this.app.uiController.getImportedData()
+        },
+        results: this.app.uiController.getResultsSummary()
+      });
+
+      this.currentProjectId = project.id;
+      this.app.uiController.showSuccess(`Saved "${escapeHtml(project.name)}"`);
+      await this.refreshProjectList();
+    } catch (error) {
+      console.error('Saving the project failed:', error);
+      this.app.showError('The project could not be saved in this browser.');
+    }
+  }
+
+  async openProject(id) {
+    try {
+      const project = await this.projectStore.get(id);
+      if (!project) throw new Error('Project not found');
+
+      this.app.uiController.resetAnalysis();
+      if (await this.app.projectLink.restoreState(project.state, { showResults: false })) {
+        this.currentProjectId = project.id;
+        this.app.uiController.showSuccess(`Opened "${escapeHtml(project.name)}"`);
+        await this.refreshProjectList();
+      }
+    } catch (error) {
+      console.error('Opening the project failed:', error);
+      this.app.showError('The project could not be opened.');
+    }
+  }
+
+  async renameProject(id) {
+    try {
+      const project = await this.projectStore.get(id);
+      const name = project && this.promptName(project.name);
+      if (!name || name === project.name) return;
+
+      await this.projectStore.rename(id, name);
+      await this.refreshProjectList();
+    } catch (error) {
+      console.error('Renaming the project failed:', error);
+      this.app.showError('The project could not be renamed.');
+    }
+  }
+
+  async duplicateProject(id) {
+    try {
+      const project = await this.projectStore.get(id);
+      if (!project) return;
+
+      await this.projectStore.duplicate(id, `${project.name} (copy)`);
+      await this.refreshProjectList();
+    } catch (error) {
+      console.error('Duplicating the project failed:', error);
+      this.app.showError('The project could not be duplicated.');
+    }
+  }
+
+  async deleteProject(id) {
+    try {
+      const project = await this.projectStore.get(id);
+      if (!project || !confirm(`Delete "${project.name}"?`)) return;
+
+      await this.projectStore.delete(id);
+      if (this.currentProjectId === id) this.clearCurrentProject();
+      await this.refreshProjectList();
+    } catch (error) {
+      console.error('Deleting the project failed:', error);
+      this.app.showError('The project could not be deleted.');
+    }
+  }
+
+  /**
+   * Ask for a project name; null when cancelled or left empty
+   */
+  promptName(defaultName) {
+    const name = prompt('Project name', defaultName);
+    return name?.trim() || null;
+  }
+
+  async refreshProjectList() {
+    const list = document.getElementById('saved-project-list');
+    const section = document.getElementById('saved-projects');
+
+    let projects = [];
+    try {
+      projects = await this.projectStore.list();
+    } catch (error) {
+      // Private browsing modes may not offer IndexedDB
+      console.error('Saved projects are not available:', error);
+    }
+
+    section.classList.toggle('hidden', projects.length === 0);
+    list.innerHTML = projects.map(project => {
+      const { results } = project;
+      const meta = [
+        results && `${results.panelCount} panels · ${results.annualEnergyKwh} kWh/year · €${results.annualSavings}/year`,
+        `saved ${new Date(project.updatedAt).toLocaleDateString()}`
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <li class="panel-line-item saved-project-item${project.id === this.currentProjectId ? ' active' : ''}" data-project-id="${project.id}" title="Open project">
+          <span class="saved-project-text">
+            <span class="panel-line-name">${escapeHtml(project.name)}</span>
+            ${project.address ? `<span class="panel-line-meta">${escapeHtml(project.address)}</span>` : ''}
+            <span class="panel-line-meta">${meta}</span>
+          </span>
+          <button class="panel-line-action" data-project-action="rename" title="Rename project">✎</button>
+          <button class="panel-line-action" data-project-action="duplicate" title="Duplicate project">⧉</button>
+          <button class="panel-line-remove" data-project-action="delete" title="Delete project">×</button>
+        </li>
+      `;
+    }).join('');
+  }
+}
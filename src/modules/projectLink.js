@@ -0,0 +1,168 @@
+import { escapeHtml, readLatLng, readNumber } from './utils.js';
+
+/**
+ * ProjectLink - Shareable links that carry a whole analysis
+ * Location, mounting lines, panel parameters, shading, the step 3 settings and the economics
+ * inputs are written to the URL hash (#project=...) as deflate-compressed, base64url-encoded
+ * JSON. The hash never reaches a server. Opening such a link restores the project and shows
+ * the results. Imported files are too large for a URL; only their names travel along (saved
+ * projects add the imported data itself, see ProjectController).
+ */
+
+const HASH_KEY = 'project';
+const STATE_VERSION = 1;
+
+const IMPORTED_FILE_LABELS = {
+  loadProfile: 'load profile',
+  tariffPrices: 'price series',
+  weather: 'weather file'
+};
+
+export class ProjectLink {
+  constructor(app) {
+    this.app = app;
+  }
+
+  /**
+   * Collect the current analysis from the controllers
+   */
+  captureState() {
+    const { selectedLocation, map } = this.app;
+    return {
+      version: STATE_VERSION,
+      location: { lat: selectedLocation.lat, lng: selectedLocation.lng, zoom: map.getZoom() },
+      panels: this.app.panelController.getShareState(),
+      shading: this.app.shadingController.getShareState(),
+      settings: this.app.uiController.getShareState(),
+      economics: this.app.uiController.getEconomicsState(),
+      importedFiles: this.app.uiController.getImportedFileNames()
+    };
+  }
+
+  /**
+   * URL of the current page with the analysis in the hash
+   * @returns {Promise<string>}
+   */
+  async createUrl() {
+    const encoded = await this.encode(this.captureState());
+    const url = new URL(window.location.href);
+    url.hash = `${HASH_KEY}=${encoded}`;
+    return url.toString();
+  }
+
+  /**
+   * Restore the analysis from the page URL, if it carries one
+   * @returns {Promise<boolean>} Whether a project was restored
+   */
+  async restoreFromUrl() {
+    const encoded = new URLSearchParams(window.location.hash.slice(1)).get(HASH_KEY);
+    if (!encoded) return false;
+
+    let state;
+    try {
+      state = await this.decode(encoded);
+    } catch (error) {
+      console.error('Project link could not be read:', error);
+      this.app.showError('This project link is invalid or incomplete.');
+      return false;
+    }
+
+    return this.restoreState(state);
+  }
+
+  /**
+   * Restore a project state, from a link or the project store
+   * @param {Object} state - As returned by captureState, optionally with economics inputs
+   * @param {Object} options - showResults: calculate and show the results, otherwise stop at step 3
+   * @returns {Promise<boolean>} Whether the project was restored
+   */
+  async restoreState(state, { showResults = true } = {}) {
+    if (state?.version !== STATE_VERSION || !state.location || !(state.panels?.lines?.length > 0)) {
+      this.app.showError('This project is not supported by this version of the app.');
+      return false;
+    }
+
+    try {
+      state = this.readState(state);
+    } catch (error) {
+      console.error('Project contains invalid values:', error);
+      this.app.showError('This project link is invalid or incomplete.');
+      return false;
+    }
+
+    console.log('Restoring project:', state);
+
+    const { lat, lng, zoom } = state.location;
+    const latLng = new google.maps.LatLng(lat, lng);
+    this.app.map.setCenter(latLng);
+    this.app.map.setZoom(zoom || 19);
+
+    // The country (and with it the DC limit) has to be known before the panels are placed
+    await this.app.locationController.selectLocation(latLng);
+    this.app.panelController.applyShareState(state.panels);
+    this.app.shadingController.applyShareState(state.shading);
+    this.app.uiController.applyShareState(state.settings);
+    if (state.importedData) this.app.uiController.applyImportedData(state.importedData);
+    if (state.economics) this.app.uiController.applyEconomicsState(state.economics);
+
+    this.app.showStep(3);
+    if (showResults) await this.app.uiController.calculatePanelSolarData();
+    this.showMissingImports(state.importedFiles, state.importedData || {});
+    return true;
+  }
+
+  /**
+   * Check every value of a project before anything is applied; links can be edited by hand
+   * Numbers are clamped to the limits of their inputs, options must be known keys
+   * @throws {Error} When a value is missing, not a number or not a known option
+   */
+  readState(state) {
+    const importedFiles = state.importedFiles || {};
+    return {
+      ...state,
+      location: { ...readLatLng(state.location), zoom: Math.round(readNumber(state.location.zoom ?? 19, 1, 22)) },
+      panels: this.app.panelController.readShareState(state.panels),
+      shading: this.app.shadingController.readShareState(state.shading || {}),
+      settings: this.app.uiController.readShareState(state.settings || {}),
+      economics: state.economics ? this.app.uiController.readEconomicsState(state.economics) : null,
+      importedFiles: Object.fromEntries(Object.keys(IMPORTED_FILE_LABELS)
+        .map(key => [key, typeof importedFiles[key] === 'string' ? importedFiles[key] : null]))
+    };
+  }
+
+  /**
+   * Tell the user which imported files the original analysis used but could not be restored;
+   * defaults replace them
+   */
+  showMissingImports(importedFiles, importedData) {
+    const missing = Object.entries(IMPORTED_FILE_LABELS)
+      .filter(([key]) => importedFiles[key] && !importedData[key])
+      .map(([key, label]) => `${label} (${escapeHtml(importedFiles[key])})`);
+    if (missing.length === 0) return;
+
+    this.app.showError(`Not included in the project: ${missing.join(', ')}. Import the files again to get the original results.`);
+  }
+
+  async encode(state) {
+    // Seven decimals keep coordinates to about a centimetre
+    const json = JSON.stringify(state, (key, value) => typeof value === 'number' ? Math.round(value * 1e7) / 1e7 : value);
+    const bytes = new TextEncoder().encode(json);
+    const compressed = await this.transform(bytes, new CompressionStream('deflate-raw'));
+
+    let binary = '';
+    compressed.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  async decode(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+    const decompressed = await this.transform(bytes, new DecompressionStream('deflate-raw'));
+    return JSON.parse(new TextDecoder().decode(decompressed));
+  }
+
+  async transform(bytes, stream) {
+    const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+    return new Uint8Array(buffer);
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * ProjectStore - Saved projects in the browser's IndexedDB
+ * A project keeps the state written by ProjectLink.captureState, the address and a summary
+ * of the computed results for the project list.
+ */
+
+const DB_NAME = 'solarized';
+const DB_VERSION = 1;
+const STORE_NAME = 'projects';
+
+export class ProjectStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request in its own transaction; resolves once the transaction is complete
+   */
+  async run(mode, createRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * All projects, most recently changed first
+   */
+  async list() {
+    const projects = await this.run('readonly', store => store.getAll());
+    return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async get(id) {
+    return (await this.run('readonly', store => store.get(id))) || null;
+  }
+
+  /**
+   * Create a project, or overwrite the one with the given id
+   * @param {Object} project - { id, name, address, state, results }
+   * @returns {Promise<Object>} The stored project
+   */
+  async save({ id = null, name, address = null, state, results = null }) {
+    const existing = id ? await this.get(id) : null;
+    const now = Date.now();
+    const project = {
+      id: existing?.id || crypto.randomUUID(),
+      name,
+      address,
+      state,
+      results,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    await this.run('readwrite', store => store.put(project));
+    return project;
+  }
+
+  async rename(id, name) {
+    const project = await this.get(id);
+    if (!project) throw new Error('Project not found');
+
+    return this.save({ ...project, name });
+  }
+
+  async duplicate(id, name) {
+    const project = await this.get(id);
+    if (!project) throw new Error('Project not found');
+
+    return this.save({ ...project, id: null, name });
+  }
+
+  delete(id) {
+    return this.run('readwrite', store => store.delete(id));
+  }
+}
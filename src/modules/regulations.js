@@ -0,0 +1,105 @@
+/**
+ * Regulation registry for plug-in (balcony) solar systems
+ * Profiles are keyed by ISO 3166-1 alpha-2 country code. A null limit means the
+ * country sets no fixed cap for that value. Rules change often, so the notes
+ * point users to their grid operator for the final word.
+ */
+export const REGULATION_PROFILES = {
+  DE: {
+    countryCode: 'DE',
+    countryName: 'Germany',
+    maxInverterOutputW: 800,
+    maxPanelCapacityW: 2000,
+    registration: [
+      'Register the system in the Marktstammdatenregister (MaStR) within one month'
+    ],
+    notes: 'Since the Solarpaket I (2024) no separate grid operator notification is required and a Schuko plug is tolerated.'
+  },
+  AT: {
+    countryCode: 'AT',
+    countryName: 'Austria',
+    maxInverterOutputW: 800,
+    maxPanelCapacityW: null,
+    registration: [
+      'Notify your grid operator before commissioning'
+    ],
+    notes: 'OVE R 25 allows plug-in systems with up to 800 W feed-in; a dedicated energy socket is recommended.'
+  },
+  CH: {
+    countryCode: 'CH',
+    countryName: 'Switzerland',
+    maxInverterOutputW: 600,
+    maxPanelCapacityW: null,
+    registration: [
+      'Notify your local grid operator'
+    ],
+    notes: 'Plug-in systems up to 600 W may be connected to a regular socket without an installation permit.'
+  },
+  NL: {
+    countryCode: 'NL',
+    countryName: 'Netherlands',
+    maxInverterOutputW: 600,
+    maxPanelCapacityW: null,
+    registration: [
+      'Register the system at energieleveren.nl'
+    ],
+    notes: 'There is no statutory cap; grid operators advise at most 600 W per circuit.'
+  },
+  FR: {
+    countryCode: 'FR',
+    countryName: 'France',
+    maxInverterOutputW: null,
+    maxPanelCapacityW: null,
+    registration: [
+      'Declare the system to Enedis (self-consumption agreement, CACSI)'
+    ],
+    notes: 'There is no fixed power cap, but plug-in kits must be declared before they feed power into the grid.'
+  },
+  IT: {
+    countryCode: 'IT',
+    countryName: 'Italy',
+    maxInverterOutputW: 800,
+    maxPanelCapacityW: null,
+    registration: [
+      'Submit the simplified "Modello Unico" notification to your grid operator'
+    ],
+    notes: 'Plug-in systems up to 800 W are covered by the simplified connection procedure.'
+  }
+};
+
+/**
+ * Profile used for countries that are not in the registry
+ */
+export const DEFAULT_REGULATION_PROFILE = {
+  countryCode: null,
+  countryName: 'Unknown region',
+  maxInverterOutputW: null,
+  maxPanelCapacityW: null,
+  registration: [],
+  notes: 'No balcony solar rules are known for this location. Check local requirements before installing.'
+};
+
+/**
+ * Look up the regulation profile for an ISO country code
+ */
+export function getRegulationProfile(countryCode) {
+  if (!countryCode) return DEFAULT_REGULATION_PROFILE;
+  return REGULATION_PROFILES[countryCode.toUpperCase()] || {
+    ...DEFAULT_REGULATION_PROFILE,
+    countryCode: countryCode.toUpperCase(),
+    countryName: countryCode.toUpperCase()
+  };
+}
+
+/**
+ * Short human readable summary of a profile's limits
+ */
+export function describeRegulationProfile(profile) {
+  const limits = [];
+  if (profile.maxInverterOutputW !== null) limits.push(`${profile.maxInverterOutputW}W inverter`);
+  if (profile.maxPanelCapacityW !== null) limits.push(`${profile.maxPanelCapacityW}W panels`);
+
+  return limits.length > 0
+    ? `${profile.countryName} balcony solar regulations (${limits.join(', ')})`
+    : 'No specific regulatory limits applied';
+}
@@ -0,0 +1,99 @@
+import { buildH0LoadProfile } from './loadProfiles.js';
+
+/**
+ * SelfConsumptionCalculator - Compares hourly solar production with household load
+ * Only the self-consumed share of the production lowers the electricity bill; balcony
+ * systems usually feed the rest into the grid without payment (see ExportCompensation)
+ */
+export class SelfConsumptionCalculator {
+  constructor() {
+    this.defaultAnnualConsumptionKwh = 2500; // Typical two-person household in Germany
+  }
+
+  /**
+   * Get the hourly load profile for a household
+   * Uses the standard H0 profile scaled to the annual consumption
+   */
+  getLoadProfile(annualConsumptionKwh = this.defaultAnnualConsumptionKwh) {
+    return buildH0LoadProfile(annualConsumptionKwh);
+  }
+
+  /**
+   * Compare hourly production with hourly household load
+   * Both arrays hold Wh per hour for the same hours of the year
+   */
+  calculateSelfConsumption(hourlyProductionWh, hourlyLoadWh) {
+    let productionWh = 0;
+    let consumptionWh = 0;
+    let selfConsumedWh = 0;
+
+    const hours = Math.min(hourlyProductionWh.length, hourlyLoadWh.length);
+
+    for (let hour = 0; hour < hours; hour++) {
+      const production = hourlyProductionWh[hour];
+      const load = hourlyLoadWh[hour];
+
+      productionWh += production;
+      consumptionWh += load;
+      // Solar power covers the household first, the rest is exported
+      selfConsumedWh += Math.min(production, load);
+    }
+
+    const gridExportWh = productionWh - selfConsumedWh;
+    const gridImportWh = consumptionWh - selfConsumedWh;
+
+    return {
+      productionKwh: Math.round(productionWh / 1000),
+      consumptionKwh: Math.round(consumptionWh / 1000),
+      selfConsumedKwh: Math.round(selfConsumedWh / 1000),
+      gridExportKwh: Math.round(gridExportWh / 1000),
+      gridImportKwh: Math.round(gridImportWh / 1000),
+      // Share of the production used in the household
+      selfConsumptionRate: productionWh > 0 ? Math.round((selfConsumedWh / productionWh) * 1000) / 10 : 0,
+      // Share of the household consumption covered by solar
+      autarkyRate: consumptionWh > 0 ? Math.round((selfConsumedWh / consumptionWh) * 1000) / 10 : 0
+    };
+  }
+
+  /**
+   * Value the self-consumed energy at the grid price of the hour it replaces,
+   * and the hourly surplus at the export compensation
+   * Without a load profile all production counts as self-consumed
+   * @param {ElectricityTariff} tariff - Grid price per hour of the year
+   * @param {ExportCompensation} exportCompensation - Payment per exported kWh, null for none
+   * @returns {Object} { savings, exportIncome (€/year), averagePrice (€/kWh of self-consumed energy) }
+   */
+  calculateSavings(hourlyProductionWh, hourlyLoadWh, tariff, exportCompensation = null) {
+    let selfConsumedWh = 0;
+    let savings = 0;
+    let exportIncome = 0;
+
+    hourlyProductionWh.forEach((production, hour) => {
+      const selfConsumed = hourlyLoadWh ? Math.min(production, hourlyLoadWh[hour] ?? 0) : production;
+      selfConsumedWh += selfConsumed;
+      savings += selfConsumed / 1000 * tariff.getPrice(hour);
+      if (exportCompensation) exportIncome += (production - selfConsumed) / 1000 * exportCompensation.getRate(hour);
+    });
+
+    return {
+      savings,
+      exportIncome,
+      averagePrice: selfConsumedWh > 0 ? savings / (selfConsumedWh / 1000) : tariff.getPrice(0)
+    };
+  }
+
+  /**
+   * Run the self-consumption analysis for a calculated solar output
+   */
+  analyze(germanOutput, annualConsumptionKwh = this.defaultAnnualConsumptionKwh, hourlyLoadWh = null) {
+    if (!germanOutput?.annualSimulation) return null;
+
+    const loadProfile = hourlyLoadWh || this.getLoadProfile(annualConsumptionKwh);
+    const result = this.calculateSelfConsumption(germanOutput.annualSimulation.hourlyProductionWh, loadProfile);
+
+    console.log('Self-consumption analysis:', result);
+
+    // Keep the load profile for follow-up simulations (e.g. battery storage)
+    return { ...result, hourlyLoadWh: loadProfile };
+  }
+}
@@ -0,0 +1,251 @@
+import { OBSTACLE_TYPES } from './shadingModel.js';
+import { escapeHtml, readInputNumber, readKey, readLatLng, readNumber } from './utils.js';
+
+/**
+ * ShadingController - Horizon profile inputs and obstacle drawing for the shading model
+ * Obstacles are drawn as polygons on the map in step 3 and stored in the ShadingModel
+ */
+export class ShadingController {
+  constructor(map, app, shadingModel) {
+    this.map = map;
+    this.app = app;
+    this.shadingModel = shadingModel;
+
+    // Obstacle drawing state
+    this.isDrawingObstacle = false;
+    this.obstaclePoints = [];
+    this.obstaclePreview = null;
+    this.obstacleVisuals = new Map(); // obstacle id -> google.maps.Polygon
+    this.nextObstacleId = 1;
+
+    // Height of the panels above ground, used for the obstacle elevation angles
+    this.panelHeight = 3;
+  }
+
+  setupEventListeners() {
+    document.querySelectorAll('.horizon-input').forEach(input => {
+      input.addEventListener('input', () => this.updateHorizonProfile());
+    });
+
+    document.getElementById('panel-height').addEventListener('input', (e) => {
+      const height = parseFloat(e.target.value);
+      if (!isNaN(height) && height >= 0) {
+        this.panelHeight = height;
+      }
+    });
+
+    document.getElementById('draw-obstacle').addEventListener('click', () => {
+      this.startObstacleDrawing();
+    });
+
+    document.getElementById('finish-obstacle').addEventListener('click', () => {
+      this.finishObstacleDrawing();
+    });
+
+    document.getElementById('obstacle-list').addEventListener('click', (e) => {
+      const removeButton = e.target.closest('[data-remove-obstacle]');
+      if (removeButton) this.removeObstacle(parseInt(removeButton.dataset.removeObstacle));
+    });
+  }
+
+  updateHorizonProfile() {
+    const elevations = Array.from(document.querySelectorAll('.horizon-input'), input => input.value);
+    this.shadingModel.setHorizonProfile(elevations);
+    console.log('Horizon profile updated:', this.shadingModel.horizonProfile);
+  }
+
+  startObstacleDrawing() {
+    this.cancelObstacleDrawing();
+    this.isDrawingObstacle = true;
+    this.updateObstacleDrawingStatus();
+  }
+
+  /**
+   * Add a corner to the obstacle being drawn (called from the map click handler)
+   */
+  addObstaclePoint(latLng) {
+    if (!this.isDrawingObstacle) return;
+
+    this.obstaclePoints.push(latLng);
+
+    if (this.obstaclePreview) {
+      this.obstaclePreview.setMap(null);
+    }
+
+    const type = document.getElementById('obstacle-type').value;
+    this.obstaclePreview = new google.maps.Polyline({
+      path: this.obstaclePoints,
+      strokeColor: OBSTACLE_TYPES[type].color,
+      strokeOpacity: 1.0,
+      strokeWeight: 3,
+      map: this.map
+    });
+
+    this.updateObstacleDrawingStatus();
+  }
+
+  finishObstacleDrawing() {
+    if (this.obstaclePoints.length < 3) {
+      this.app.showError('An obstacle needs at least 3 corners.');
+      return;
+    }
+
+    this.addObstacle({
+      path: this.obstaclePoints.map(point => ({ lat: point.lat(), lng: point.lng() })),
+      heightM: parseFloat(document.getElementById('obstacle-height').value) || 0,
+      type: document.getElementById('obstacle-type').value
+    });
+
+    this.cancelObstacleDrawing();
+    this.renderObstacleList();
+  }
+
+  /**
+   * Store an obstacle in the shading model and draw it on the map
+   * @param {Object} definition - { path: [{ lat, lng }], heightM, type }
+   */
+  addObstacle({ path, heightM, type }) {
+    const obstacle = { id: this.nextObstacleId++, path, heightM, type };
+
+    this.shadingModel.addObstacle(obstacle);
+    this.obstacleVisuals.set(obstacle.id, new google.maps.Polygon({
+      paths: obstacle.path,
+      strokeColor: OBSTACLE_TYPES[type].color,
+      strokeOpacity: 0.9,
+      strokeWeight: 2,
+      fillColor: OBSTACLE_TYPES[type].color,
+      fillOpacity: 0.35,
+      map: this.map
+    }));
+
+    console.log('Obstacle added:', obstacle);
+  }
+
+  cancelObstacleDrawing() {
+    if (this.obstaclePreview) {
+      this.obstaclePreview.setMap(null);
+      this.obstaclePreview = null;
+    }
+
+    this.isDrawingObstacle = false;
+    this.obstaclePoints = [];
+    this.updateObstacleDrawingStatus();
+  }
+
+  removeObstacle(id) {
+    this.obstacleVisuals.get(id)?.setMap(null);
+    this.obstacleVisuals.delete(id);
+    this.shadingModel.removeObstacle(id);
+    this.renderObstacleList();
+  }
+
+  clearObstacles() {
+    this.cancelObstacleDrawing();
+    this.obstacleVisuals.forEach(visual => visual.setMap(null));
+    this.obstacleVisuals.clear();
+    this.shadingModel.clearObstacles();
+    this.renderObstacleList();
+  }
+
+  /**
+   * Horizon, panel height and obstacles for a project link
+   */
+  getShareState() {
+    return {
+      horizon: this.shadingModel.horizonProfile,
+      panelHeight: this.panelHeight,
+      obstacles: this.shadingModel.obstacles.map(obstacle => ({
+        type: obstacle.type,
+        heightM: obstacle.heightM,
+        path: obstacle.path
+      }))
+    };
+  }
+
+  /**
+   * Check the shading inputs of a project link; numbers are clamped to the input limits
+   * @throws {Error} When a value is not a number or not a known obstacle type
+   */
+  readShareState(state) {
+    const horizonInputs = document.querySelectorAll('.horizon-input');
+    return {
+      horizon: (state.horizon || []).slice(0, horizonInputs.length).map((elevation, index) => {
+        const input = horizonInputs[index];
+        return readNumber(elevation, parseFloat(input.min), parseFloat(input.max));
+      }),
+      panelHeight: state.panelHeight === undefined ? this.panelHeight : readInputNumber(state.panelHeight, 'panel-height'),
+      obstacles: (state.obstacles || [])
+        .filter(obstacle => obstacle.path?.length >= 3)
+        .map(obstacle => ({
+          type: readKey(obstacle.type, Object.keys(OBSTACLE_TYPES)),
+          heightM: readInputNumber(obstacle.heightM, 'obstacle-height'),
+          path: obstacle.path.map(readLatLng)
+        }))
+    };
+  }
+
+  /**
+   * Restore the shading inputs from a project link
+   * The state has been checked by readShareState
+   */
+  applyShareState(state) {
+    const horizonInputs = document.querySelectorAll('.horizon-input');
+    state.horizon.forEach((elevation, index) => {
+      horizonInputs[index].value = elevation;
+    });
+    this.updateHorizonProfile();
+
+    this.panelHeight = state.panelHeight;
+    document.getElementById('panel-height').value = state.panelHeight;
+
+    this.clearObstacles();
+    state.obstacles.forEach(obstacle => this.addObstacle(obstacle));
+    this.renderObstacleList();
+  }
+
+  /**
+   * Place the shading observer at the centre of the drawn panel lines
+   */
+  updateObserver() {
+    const lines = this.app.panelController.panelLines;
+    if (lines.length === 0) {
+      this.shadingModel.setObserver(null);
+      return;
+    }
+
+    const points = lines.flatMap(line => [line.start, line.end]);
+    this.shadingModel.setObserver({
+      lat: points.reduce((sum, point) => sum + point.lat(), 0) / points.length,
+      lng: points.reduce((sum, point) => sum + point.lng(), 0) / points.length,
+      heightM: this.panelHeight
+    });
+  }
+
+  updateObstacleDrawingStatus() {
+    const status = document.getElementById('obstacle-drawing-status');
+    const drawBtn = document.getElementById('draw-obstacle');
+    const finishBtn = document.getElementById('finish-obstacle');
+
+    if (this.isDrawingObstacle) {
+      status.textContent = `Click the map to add obstacle corners (${this.obstaclePoints.length} added)`;
+      drawBtn.classList.add('hidden');
+      finishBtn.classList.remove('hidden');
+      finishBtn.disabled = this.obstaclePoints.length < 3;
+    } else {
+      status.textContent = '';
+      drawBtn.classList.remove('hidden');
+      finishBtn.classList.add('hidden');
+    }
+  }
+
+  renderObstacleList() {
+    const list = document.getElementById('obstacle-list');
+    list.innerHTML = this.shadingModel.obstacles.map((obstacle, index) => `
+      <li class="panel-line-item">
+        <span class="panel-line-name">${escapeHtml(`${OBSTACLE_TYPES[obstacle.type].label} ${index + 1}`)}</span>
+        <span class="panel-line-meta">${escapeHtml(`${obstacle.heightM}m high · ${obstacle.path.length} corners`)}</span>
+        <button class="panel-line-remove" data-remove-obstacle="${obstacle.id}" title="Remove obstacle">×</button>
+      </li>
+    `).join('');
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * ShadingModel - Horizon and obstacle shading for balcony placements
+ * Every obstruction is reduced to an elevation angle per azimuth degree as seen from the
+ * panels. While the sun is behind an obstruction only the diffuse share of the irradiance
+ * reaches the panels (plus the light filtered through the foliage for trees).
+ */
+
+// Obstacle types that can be drawn on the map; transmittance is the share of direct light passing through
+export const OBSTACLE_TYPES = {
+  building: { label: 'Building', transmittance: 0, color: '#5E5E5E' },
+  tree: { label: 'Tree', transmittance: 0.3, color: '#10B981' }
+};
+
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LNG = 111320;
+
+export class ShadingModel {
+  constructor() {
+    this.horizonProfile = []; // Obstruction elevation (°) per equal-width sector, clockwise from north
+    this.obstacles = []; // { id, path: [{ lat, lng }], heightM, type }
+    this.observer = null; // { lat, lng, heightM } - position of the panels
+    this.diffuseFraction = 0.2; // Share of irradiance that is diffuse and not blocked by obstructions
+    this.obstructionTable = null; // Cached per-degree obstruction elevations
+  }
+
+  setHorizonProfile(elevations) {
+    this.horizonProfile = elevations.map(elevation => Math.min(90, Math.max(0, Number(elevation) || 0)));
+    this.obstructionTable = null;
+  }
+
+  addObstacle(obstacle) {
+    this.obstacles.push(obstacle);
+    this.obstructionTable = null;
+  }
+
+  removeObstacle(id) {
+    this.obstacles = this.obstacles.filter(obstacle => obstacle.id !== id);
+    this.obstructionTable = null;
+  }
+
+  clearObstacles() {
+    this.obstacles = [];
+    this.obstructionTable = null;
+  }
+
+  setObserver(observer) {
+    this.observer = observer;
+    this.obstructionTable = null;
+  }
+
+  hasShading() {
+    return this.horizonProfile.some(elevation => elevation > 0) ||
+      (this.obstacles.length > 0 && this.observer !== null);
+  }
+
+  /**
+   * Share (0-1) of the direct light that passes the obstructions for a sun position
+   */
+  getDirectTransmittance(sunElevation, sunAzimuth) {
+    if (sunElevation <= 0 || !this.hasShading()) return 1;
+
+    const obstructions = this.getObstructions(sunAzimuth);
+    const blocking = obstructions.filter(obstruction => sunElevation < obstruction.elevation);
+    if (blocking.length === 0) return 1;
+
+    // The most opaque obstruction in front of the sun decides how much direct light remains
+    return Math.min(...blocking.map(obstruction => obstruction.transmittance));
+  }
+
+  /**
+   * Obstruction elevations in the direction of an azimuth, one entry per obstruction source
+   */
+  getObstructions(azimuth) {
+    if (!this.obstructionTable) {
+      this.obstructionTable = this.buildObstructionTable();
+    }
+
+    const degree = Math.floor(((azimuth % 360) + 360) % 360);
+    return this.obstructionTable[degree];
+  }
+
+  buildObstructionTable() {
+    const table = [];
+    const sectorWidth = this.horizonProfile.length > 0 ? 360 / this.horizonProfile.length : 360;
+    const localObstacles = this.observer ? this.obstacles.map(obstacle => this.toLocalObstacle(obstacle)) : [];
+
+    for (let degree = 0; degree < 360; degree++) {
+      const obstructions = [];
+
+      const horizonElevation = this.horizonProfile[Math.floor(degree / sectorWidth)] || 0;
+      if (horizonElevation > 0) {
+        obstructions.push({ elevation: horizonElevation, transmittance: 0 });
+      }
+
+      // Cast a ray through the middle of the degree and find the nearest edge of each obstacle
+      const rayAzimuth = (degree + 0.5) * Math.PI / 180;
+      const direction = { x: Math.sin(rayAzimuth), y: Math.cos(rayAzimuth) };
+
+      localObstacles.forEach(obstacle => {
+        const distance = this.getRayDistance(direction, obstacle.points);
+        const heightAbovePanels = obstacle.heightM - this.observer.heightM;
+        if (distance === null || heightAbovePanels <= 0) return;
+
+        obstructions.push({
+          elevation: Math.atan2(heightAbovePanels, distance) * 180 / Math.PI,
+          transmittance: OBSTACLE_TYPES[obstacle.type]?.transmittance ?? 0
+        });
+      });
+
+      table.push(obstructions);
+    }
+
+    return table;
+  }
+
+  /**
+   * Project an obstacle outline to metres east (x) and north (y) of the observer
+   */
+  toLocalObstacle(obstacle) {
+    const cosLat = Math.cos(this.observer.lat * Math.PI / 180);
+    return {
+      ...obstacle,
+      points: obstacle.path.map(point => ({
+        x: (point.lng - this.observer.lng) * METERS_PER_DEGREE_LNG * cosLat,
+        y: (point.lat - this.observer.lat) * METERS_PER_DEGREE_LAT
+      }))
+    };
+  }
+
+  /**
+   * Distance from the observer to the nearest polygon edge along a ray, or null if the ray misses
+   */
+  getRayDistance(direction, points) {
+    let nearest = null;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const edge = { x: points[i].x - points[j].x, y: points[i].y - points[j].y };
+      const denominator = direction.x * edge.y - direction.y * edge.x;
+      if (Math.abs(denominator) < 1e-9) continue; // Ray parallel to edge
+
+      // Solve observer + t * direction = points[j] + s * edge
+      const t = (points[j].x * edge.y - points[j].y * edge.x) / denominator;
+      const s = (points[j].x * direction.y - points[j].y * direction.x) / denominator;
+
+      if (t > 0 && s >= 0 && s <= 1 && (nearest === null || t < nearest)) {
+        nearest = t;
+      }
+    }
+
+    return nearest;
+  }
+}
@@ -1,11 +1,45 @@
+import { getMonthIndex, DAYS_IN_MONTH, MONTH_NAMES } from './utils.js';
+import { getRegulationProfile, describeRegulationProfile } from './regulations.js';
+import { lookupCountry } from './countryLookup.js';
+import { TranspositionModel } from './transpositionModel.js';
+import { CellTemperatureModel, MOUNTING_TYPES } from './cellTemperatureModel.js';
+import { getConversionEfficiency, assignPanelsToInputs } from './inverterModels.js';
+
+// Load profiles, tariff windows and price series count hours in standard time (CET, UTC+1,
+// see LoadProfileImporter); the simulation itself runs in solar time (hour 12 = solar noon)
+const STANDARD_TIME_MERIDIAN = 15; // Degrees east of the CET meridian
+
 /**
  * SolarCalculator - Handles global solar calculations with regional regulations
  * Works for any location worldwide, including Northern and Southern Hemisphere
- * Applies German regulations only for European locations
+ * Applies the balcony solar limits of the country the location is in
  */
 export class SolarCalculator {
-  constructor(solarAPI) {
+  constructor(solarAPI, shadingModel = null, transpositionModel = new TranspositionModel(), cellTemperatureModel = new CellTemperatureModel()) {
     this.solarAPI = solarAPI;
+    this.shadingModel = shadingModel; // Optional horizon/obstacle shading (see ShadingModel)
+    this.transpositionModel = transpositionModel; // Beam, sky-diffuse and ground-reflected light on the panels
+    this.cellTemperatureModel = cellTemperatureModel; // Cell temperature and temperature-coefficient losses
+    this.weatherSource = null; // Optional hourly weather data, e.g. a TMY file (see TmyWeatherData)
+    this.inverter = null; // Optional microinverter model (see INVERTER_MODELS); null = ideal inverter
+  }
+
+  /**
+   * Drive the hourly simulation from measured irradiance instead of the clear-sky model
+   * @param {Object|null} weatherSource - Provides getHour(dayOfYear, hour) → { ghi, dni, dhi, temperature }
+   *   in solar time and getDailyIrradiationKwh(dayOfYear); null switches back to the model
+   */
+  setWeatherSource(weatherSource) {
+    this.weatherSource = weatherSource;
+  }
+
+  /**
+   * Simulate a specific microinverter: per-input clipping, part-load conversion losses and
+   * its rated AC output; null switches back to an ideal inverter clipped at the legal limit
+   * @param {Object|null} inverter - Entry of INVERTER_MODELS
+   */
+  setInverter(inverter) {
+    this.inverter = inverter;
   }
 
   /**
@@ -13,15 +47,19 @@ export class SolarCalculator {
    */
   async calculatePanelSolarData(location, panelConfig, panelAzimuth, panelTilt) {
     try {
-      // Get solar data from API
-      const solarData = await this.solarAPI.getSolarData(location.lat, location.lng);
+      // Get solar data from API (sampled along the mounting lines where data layers are available)
+      const panelPaths = panelConfig.segments?.map(segment => segment.path).filter(Boolean);
+      const solarData = await this.solarAPI.getSolarData(location.lat, location.lng, panelPaths);
       
       if (!solarData) {
         throw new Error('Failed to get solar data from API');
       }
       
       // Calculate efficiency based on orientation and tilt
-      const efficiency = this.calculatePanelEfficiency(panelAzimuth, panelTilt, location.lat);
+      // (wattage-weighted over all mounting lines for multi-line layouts)
+      const efficiency = panelConfig.segments?.length > 1
+        ? this.calculateWeightedEfficiency(panelConfig.segments, location.lat)
+        : this.calculatePanelEfficiency(panelAzimuth, panelTilt, location.lat);
       
       // Calculate German balcony solar output with regulations
       const germanOutput = this.calculateGermanSolarOutput(solarData, panelConfig, efficiency, panelAzimuth, panelTilt, location);
@@ -83,11 +121,25 @@ export class SolarCalculator {
     return totalEfficiency;
   }
 
+  /**
+   * Wattage-weighted panel efficiency of a multi-line layout
+   */
+  calculateWeightedEfficiency(segments, latitude = 51.0) {
+    const totalWattage = segments.reduce((sum, segment) => sum + segment.totalWattage, 0);
+    if (totalWattage === 0) return 0;
+    
+    return segments.reduce((sum, segment) => {
+      const segmentEfficiency = this.calculatePanelEfficiency(segment.panelAzimuth, segment.panelTilt, latitude);
+      return sum + segmentEfficiency * segment.totalWattage;
+    }, 0) / totalWattage;
+  }
+
   /**
    * Calculate solar power output with location-specific regulations
-   * - European locations: German balcony solar regulations (800W inverter, 2000W panels)
-   * - Non-European locations: No regulatory limits
+   * - Countries in the regulation registry: their AC inverter and DC panel limits
+   * - Other locations: No regulatory limits
    * - Uses real Solar API data when available
+   * - Simulates all 8760 hours of the year instead of extrapolating a single day
    */
   calculateGermanSolarOutput(solarData, panelConfig, efficiency, panelAzimuth = 180, panelTilt = 30, location = null) {
     // Default location for fallback (Central Europe)
@@ -97,16 +149,10 @@ export class SolarCalculator {
     // Get regional regulations based on location
     let regulations;
     if (calculationLocation.lat !== undefined && calculationLocation.lng !== undefined) {
-      regulations = this.getRegionalSolarRegulations(calculationLocation.lat, calculationLocation.lng);
+      regulations = this.getRegionalSolarRegulations(calculationLocation.lat, calculationLocation.lng, calculationLocation.countryCode);
     } else {
       // Fallback to German regulations if location parsing fails
-      regulations = {
-        maxInverterOutputW: 800,
-        maxPanelCapacityW: 2000,
-        regionName: 'Europe (German Regulations - Default)',
-        applyGermanRules: true,
-        description: 'German balcony solar regulations (800W inverter, 2000W panels) - applied as default'
-      };
+      regulations = this.buildRegulations(getRegulationProfile('DE'), true);
     }
     
     console.log('Applying regulations for:', regulations.regionName);
@@ -119,71 +165,156 @@ export class SolarCalculator {
       hemisphere: locationInfo.hemisphere,
       optimalAzimuth: locationInfo.optimalAzimuth,
       optimalTilt: locationInfo.optimalTilt,
-      isEuropean: regulations.applyGermanRules
+      countryCode: regulations.countryCode,
+      hasLimits: regulations.hasLimits
     });
     
-    // Check if system exceeds regional limits (only for European locations)
+    // Check if system exceeds regional limits (only where the country sets them)
     let exceedsPanelLimit = false;
     let exceedsInverterCapacity = false;
     
-    if (regulations.applyGermanRules) {
+    if (regulations.maxPanelCapacityW !== null) {
       exceedsPanelLimit = panelConfig.totalWattage > regulations.maxPanelCapacityW;
     }
     
     // Use real Solar API data when available, fallback to German averages
-    let annualSunshineHours, peakSunHours;
-    
-    if (solarData && solarData.solarPotential && solarData.solarPotential.maxSunshineHoursPerYear) {
+    let annualSunshineHours, peakSunHours, irradianceSource;
+    
+    // Monthly flux and hourly shade layers replace the weather model and clear-sky curve
+    // (a loaded weather file already has its own seasons and hours)
+    const irradianceProfile = this.weatherSource
+      ? null
+      : this.buildIrradianceProfile(solarData?.localFlux, calculationLocation.lat);
+    
+    if (this.weatherSource) {
+      // Hourly irradiance from a weather file (kWh/m² per year equals peak sun hours per year)
+      annualSunshineHours = this.weatherSource.getAnnualIrradiationKwh();
+      peakSunHours = annualSunshineHours / 365;
+      irradianceSource = 'tmy';
+      console.log('Using weather file irradiance:', { name: this.weatherSource.name, annualSunshineHours });
+    } else if (solarData?.localFlux?.annualFluxKwhPerKw > 0) {
+      // Annual flux sampled along the drawn lines (kWh/kW/year equals peak sun hours per year)
+      annualSunshineHours = solarData.localFlux.annualFluxKwhPerKw;
+      peakSunHours = annualSunshineHours / 365;
+      irradianceSource = irradianceProfile ? 'solar-layers' : 'local-flux';
+      console.log('Using local annual flux at the panel lines:', { annualSunshineHours, peakSunHours });
+    } else if (solarData && solarData.solarPotential && solarData.solarPotential.maxSunshineHoursPerYear) {
       // Use real data from Solar API
       annualSunshineHours = solarData.solarPotential.maxSunshineHoursPerYear;
       peakSunHours = annualSunshineHours / 365; // Convert to daily average
+      irradianceSource = 'building-insights';
       console.log('Using real Solar API data:', { annualSunshineHours, peakSunHours });
     } else {
       // Fallback to German averages
       const annualIrradianceKwhPerSqm = 1100; // Typical for Germany
       peakSunHours = annualIrradianceKwhPerSqm / 365; // ~3.0 hours/day average
       annualSunshineHours = peakSunHours * 365;
+      irradianceSource = 'fallback';
       console.log('Using fallback German averages:', { annualIrradianceKwhPerSqm, peakSunHours });
     }
     
-    // Calculate realistic daily energy production with clipping (if regulations apply)
-    const maxInverterOutputForCalculation = regulations.applyGermanRules 
+    // Calculate realistic hour-by-hour production with clipping (if regulations apply)
+    let maxInverterOutputForCalculation = regulations.maxInverterOutputW !== null
       ? regulations.maxInverterOutputW 
-      : panelConfig.totalWattage * 2; // Allow much higher limit for non-European locations
+      : panelConfig.totalWattage * 2; // Allow much higher limit where no inverter cap applies
+    if (this.inverter) {
+      // A larger inverter has to be throttled to the legal limit
+      maxInverterOutputForCalculation = Math.min(maxInverterOutputForCalculation, this.inverter.maxAcOutputW);
+    }
     
-    const dailyProduction = this.calculateDailyEnergyWithClipping(
-      panelConfig.totalWattage,
-      peakSunHours,
-      efficiency,
-      maxInverterOutputForCalculation,
-      panelAzimuth,  // Pass panel orientation
-      panelTilt,     // Pass panel tilt
-      172,           // Summer solstice for base calculation
-      calculationLocation.lat   // Pass latitude for hemisphere-aware calculations
-    );
+    // Full-year simulation: every day of the year, every hour of the day
+    // Mounting lines are simulated with each line's own orientation (and overhang geometry)
+    const annualSimulation = panelConfig.segments?.length > 0
+      ? this.simulateSegments(
+        panelConfig.segments,
+        annualSunshineHours,
+        maxInverterOutputForCalculation,
+        calculationLocation.lat,
+        irradianceProfile
+      )
+      : this.simulateAnnualProduction(
+        panelConfig.totalWattage,
+        annualSunshineHours,
+        efficiency,
+        maxInverterOutputForCalculation,
+        panelAzimuth,  // Pass panel orientation
+        panelTilt,     // Pass panel tilt
+        calculationLocation.lat,   // Pass latitude for hemisphere-aware calculations
+        null,
+        irradianceProfile
+      );
+    
+    // Self-consumption, the battery and the tariffs match the production with the load and
+    // prices of the same clock hour
+    annualSimulation.hourlyProductionWh = this.toStandardTime(annualSimulation.hourlyProductionWh, calculationLocation.lng);
+    annualSimulation.hourlyClippedWh = this.toStandardTime(annualSimulation.hourlyClippedWh, calculationLocation.lng);
     
     // Check inverter capacity limits
-    if (regulations.applyGermanRules) {
-      exceedsInverterCapacity = dailyProduction.maxInstantaneousPower > regulations.maxInverterOutputW;
+    if (regulations.maxInverterOutputW !== null) {
+      exceedsInverterCapacity = annualSimulation.maxInstantaneousPower > regulations.maxInverterOutputW;
     }
-    
-    // Annual calculation: daily average × 365
-    const annualEnergyProduction = dailyProduction.totalEnergy * 365;
-    const annualEnergyLostToClipping = dailyProduction.energyLostToClipping * 365;
+    const inverterCheck = this.inverter ? this.checkInverterCompatibility(panelConfig, regulations) : null;
+    
+    // Annual totals come straight from the simulated hours
+    const annualEnergyProduction = annualSimulation.annualEnergyWh;
+    const annualEnergyLostToClipping = annualSimulation.annualClippingWh;
+    const annualEnergyLostToShading = annualSimulation.annualShadingWh;
+    const annualEnergyLostToOverhang = annualSimulation.annualOverhangWh;
+    const annualEnergyLostToTemperature = annualSimulation.annualTemperatureWh;
+    const annualEnergyLostToConversion = annualSimulation.annualConversionWh;
+    const averageDailyEnergy = annualEnergyProduction / 365;
+    const averageHoursClippedPerDay = annualSimulation.hoursClipped / 365;
     
     // Calculate clipping statistics
     const totalPotentialEnergy = annualEnergyProduction + annualEnergyLostToClipping;
     const clippingLossPercentage = totalPotentialEnergy > 0 
       ? (annualEnergyLostToClipping / totalPotentialEnergy) * 100 
       : 0;
+    const unshadedPotentialEnergy = totalPotentialEnergy + annualEnergyLostToConversion + annualEnergyLostToTemperature + annualEnergyLostToShading + annualEnergyLostToOverhang;
+    const shadingLossPercentage = unshadedPotentialEnergy > 0
+      ? (annualEnergyLostToShading / unshadedPotentialEnergy) * 100
+      : 0;
+    const overhangLossPercentage = unshadedPotentialEnergy > 0
+      ? (annualEnergyLostToOverhang / unshadedPotentialEnergy) * 100
+      : 0;
+    const conversionLossPercentage = unshadedPotentialEnergy > 0
+      ? (annualEnergyLostToConversion / unshadedPotentialEnergy) * 100
+      : 0;
+    // Gain relative to the same panels without their back side
+    const monofacialPotentialEnergy = unshadedPotentialEnergy - annualSimulation.annualBifacialGainWh;
+    const bifacialGainPercentage = monofacialPotentialEnergy > 0
+      ? (annualSimulation.annualBifacialGainWh / monofacialPotentialEnergy) * 100
+      : 0;
+    const temperatureLossPercentage = unshadedPotentialEnergy > 0
+      ? (annualEnergyLostToTemperature / unshadedPotentialEnergy) * 100
+      : 0;
     
     console.log('Peak sun hours per day:', Math.round(peakSunHours * 100) / 100);
-    console.log('Daily energy production (clipped):', Math.round(dailyProduction.totalEnergy), 'Wh');
-    console.log('Daily energy lost to clipping:', Math.round(dailyProduction.energyLostToClipping), 'Wh');
+    console.log('Average daily energy production (clipped):', Math.round(averageDailyEnergy), 'Wh');
     console.log('Annual energy production:', Math.round(annualEnergyProduction / 1000), 'kWh');
+    console.log('Annual energy lost to clipping:', Math.round(annualEnergyLostToClipping / 1000), 'kWh');
     console.log('Annual clipping loss:', Math.round(clippingLossPercentage * 10) / 10, '%');
-    console.log('Peak instantaneous power:', Math.round(dailyProduction.maxInstantaneousPower), 'W');
-    console.log('Hours clipped per day:', Math.round(dailyProduction.hoursClippedPerDay * 100) / 100);
+    console.log('Annual shading loss:', Math.round(shadingLossPercentage * 10) / 10, '%');
+    console.log('Annual overhang loss:', Math.round(overhangLossPercentage * 10) / 10, '%');
+    console.log('Annual temperature loss:', Math.round(temperatureLossPercentage * 10) / 10, '%');
+    console.log('Peak instantaneous power:', Math.round(annualSimulation.maxInstantaneousPower), 'W');
+    console.log('Average hours clipped per day:', Math.round(averageHoursClippedPerDay * 100) / 100);
+    
+    // Monthly production series derived from the simulated hours
+    const monthlyData = this.calculateMonthlyBreakdown(annualSimulation);
+    
+    // Split layouts are compared with the same DC capacity facing the equator
+    const splitComparison = panelConfig.segments?.length > 1
+      ? this.compareWithSingleArray(
+        panelConfig.segments,
+        annualSimulation,
+        annualSunshineHours,
+        maxInverterOutputForCalculation,
+        panelTilt,
+        calculationLocation.lat,
+        irradianceProfile
+      )
+      : null;
     
     // Add seasonal analysis for detailed insights
     const seasonalData = this.calculateSeasonalVariations(
@@ -193,7 +324,11 @@ export class SolarCalculator {
       panelAzimuth,
       panelTilt,
       solarData, // Pass Solar API data for realistic seasonal calculations
-      calculationLocation.lat // Pass latitude for hemisphere-aware calculations
+      calculationLocation.lat, // Pass latitude for hemisphere-aware calculations
+      monthlyData, // Use real monthly totals instead of daily × 30
+      irradianceProfile,
+      // Sample days of a multi-line layout use each line's orientation, like the annual simulation
+      panelConfig.segments?.length > 0 ? this.buildSegmentArrays(panelConfig.segments, calculationLocation.lat) : null
     );
     
     return {
@@ -201,19 +336,67 @@ export class SolarCalculator {
       unclippedEstimate: Math.round(totalPotentialEnergy / 1000),
       energyLostToClipping: Math.round(annualEnergyLostToClipping / 1000),
       clippingLossPercentage: Math.round(clippingLossPercentage * 10) / 10,
-      hoursClippedPerDay: Math.round(dailyProduction.hoursClippedPerDay * 100) / 100,
-      maxInstantaneousPower: Math.round(dailyProduction.maxInstantaneousPower),
+      energyLostToShading: Math.round(annualEnergyLostToShading / 1000),
+      shadingLossPercentage: Math.round(shadingLossPercentage * 10) / 10,
+      hasShading: this.shadingModel?.hasShading() || false,
+      energyLostToOverhang: Math.round(annualEnergyLostToOverhang / 1000),
+      overhangLossPercentage: Math.round(overhangLossPercentage * 10) / 10,
+      hasOverhang: panelConfig.segments?.some(segment => segment.overhang) || false,
+      energyLostToTemperature: Math.round(annualEnergyLostToTemperature / 1000), // Negative when cool cells gain
+      temperatureLossPercentage: Math.round(temperatureLossPercentage * 10) / 10,
+      maxCellTemperature: annualSimulation.maxCellTemperature !== null ? Math.round(annualSimulation.maxCellTemperature) : null,
+      bifacialGain: Math.round(annualSimulation.annualBifacialGainWh / 1000), // DC kWh from the back of bifacial panels
+      bifacialGainPercentage: Math.round(bifacialGainPercentage * 10) / 10,
+      isBifacial: panelConfig.segments?.some(segment => segment.bifacialFactor > 0) || false,
+      inverter: this.inverter, // Selected microinverter model, null for an ideal inverter
+      energyLostToConversion: Math.round(annualEnergyLostToConversion / 1000),
+      conversionLossPercentage: Math.round(conversionLossPercentage * 10) / 10,
+      energyLostToInputClipping: Math.round(annualSimulation.annualInputClippingWh / 1000), // Part of energyLostToClipping
+      inverterCheck, // Panels per input and input limit violations of the selected inverter
+      planeOfArrayIrradiation: {
+        beamKwh: Math.round(annualSimulation.planeOfArrayWh.beam / 1000),
+        skyDiffuseKwh: Math.round(annualSimulation.planeOfArrayWh.skyDiffuse / 1000),
+        groundReflectedKwh: Math.round(annualSimulation.planeOfArrayWh.groundReflected / 1000),
+        totalKwh: Math.round((annualSimulation.planeOfArrayWh.beam + annualSimulation.planeOfArrayWh.skyDiffuse +
+          annualSimulation.planeOfArrayWh.groundReflected) / 1000),
+        rearKwh: Math.round(annualSimulation.planeOfArrayWh.rear / 1000) // Back of bifacial panels
+      }, // kWh/m² per year on the panels (capacity-weighted over all lines)
+      skyDiffuseModel: this.transpositionModel.skyDiffuseModel,
+      albedo: this.transpositionModel.albedo,
+      hoursClippedPerDay: Math.round(averageHoursClippedPerDay * 100) / 100,
+      maxInstantaneousPower: Math.round(annualSimulation.maxInstantaneousPower),
       maxInverterOutput: regulations.maxInverterOutputW,
       isClippingSignificant: clippingLossPercentage > 5,
       exceedsInverterCapacity: exceedsInverterCapacity,
       exceedsPanelLimit,
-      isCompliantWithGermanRules: regulations.applyGermanRules ? (!exceedsPanelLimit && !exceedsInverterCapacity) : true,
+      exceedsInverterInputLimits: inverterCheck?.issues.length > 0,
+      isCompliant: !exceedsPanelLimit && !exceedsInverterCapacity,
       peakSunHours: Math.round(peakSunHours * 100) / 100,
+      irradianceSource, // 'tmy', 'solar-layers', 'local-flux', 'building-insights' or 'fallback'
+      localFlux: solarData?.localFlux || null,
+      weatherFileName: this.weatherSource?.name || null,
+      seasonalProfileSource: this.weatherSource ? 'tmy' : (irradianceProfile?.monthlyPeakSunHours ? 'monthly-flux' : 'weather-model'),
+      dailyProfileSource: this.weatherSource ? 'tmy' : (irradianceProfile?.hourlyFactors ? 'hourly-shade' : 'clear-sky'),
       seasonalData: seasonalData, // Add seasonal analysis data
-      dailyEnergyWh: Math.round(dailyProduction.totalEnergy), // Add daily energy for detailed view
+      dailyEnergyWh: Math.round(averageDailyEnergy), // Average daily energy for detailed view
+      monthlyData: monthlyData, // 12-entry monthly production series
+      dailyEnergyKwh: annualSimulation.daily.map(day => Math.round(day.energyWh / 10) / 100),
+      annualSimulation: annualSimulation, // Raw hour-by-hour results for downstream analysis
+      segments: annualSimulation.segments?.map(segment => ({
+        label: segment.label,
+        panelCount: segment.panelCount,
+        totalWattage: segment.totalWattage,
+        panelAzimuth: segment.panelAzimuth,
+        panelTilt: segment.panelTilt,
+        efficiency: segment.efficiency,
+        annualEnergyKwh: Math.round(segment.annualEnergyWh / 1000),
+        clippingKwh: Math.round(segment.annualClippingWh / 1000)
+      })) || null, // Per-line results of multi-line layouts
+      splitComparison, // Split layout vs. a single equator-facing array (null for one line)
       // Regional information
       regulations: regulations,
-      isInEurope: regulations.applyGermanRules,
+      hasRegulatoryLimits: regulations.hasLimits,
+      countryCode: regulations.countryCode,
       regionName: regulations.regionName
     };
   }
@@ -281,10 +464,14 @@ export class SolarCalculator {
   /**
    * Generate realistic daily solar irradiance curve for any location
    * Uses proper solar geometry and atmospheric modeling
+   * Pass `useWeatherFactor = false` for the geometry alone (when measured monthly flux is available)
    */
-  generateSolarCurve(dayOfYear = 172, latitude = 51.0) {
+  generateSolarCurve(dayOfYear = 172, latitude = 51.0, useWeatherFactor = true) {
     const hourlyIrradiance = [];
     
+    // Location-specific weather corrections only depend on the day, not the hour
+    const weatherFactor = useWeatherFactor ? this.getLocationWeatherFactor(dayOfYear, latitude) : 1;
+    
     for (let hour = 0; hour < 24; hour++) {
       const solarPos = this.calculateSolarPosition(hour, dayOfYear, latitude);
       
@@ -293,8 +480,6 @@ export class SolarCalculator {
         let irradiance = this.calculateAtmosphericAttenuation(solarPos.elevation);
         
         // Apply location-specific weather corrections
-        const weatherFactor = this.getLocationWeatherFactor(dayOfYear, latitude);
-        
         irradiance *= weatherFactor;
         
         // Apply consistent variation pattern (based on hour for consistency)
@@ -313,100 +498,684 @@ export class SolarCalculator {
   /**
    * Calculate daily energy production with inverter clipping
    * Now accounts for realistic sun movement, panel orientation, and atmospheric effects globally
+   * Several arrays ({ dcCapacityW, efficiency, panelAzimuth, panelTilt }) behind one inverter,
+   * e.g. an east/west split, are summed per hour before clipping; the single-array
+   * parameters are ignored when `arrays` is given
+   * `hourlyFactors` (24 values, 0-1) reshape the curve where the sun is hidden, e.g. from the
+   * Solar API hourly shade layers; the day's peak sun hours stay the same
+   * With a weather source the hour's measured GHI and diffuse share are used instead
+   * Each array's output is corrected for its cell temperature (mounting type and temperature
+   * coefficient per array, ambient temperature from the weather source or a latitude estimate)
+   * With an inverter model (see setInverter) the panels are wired to its inputs: each input is
+   * clipped at its DC limit and the conversion losses follow the efficiency curve
    */
-  calculateDailyEnergyWithClipping(dcCapacityW, peakSunHours, efficiency, maxInverterOutputW, panelAzimuth = 180, panelTilt = 30, dayOfYear = 172, latitude = 51.0) {
+  calculateDailyEnergyWithClipping(dcCapacityW, peakSunHours, efficiency, maxInverterOutputW, panelAzimuth = 180, panelTilt = 30, dayOfYear = 172, latitude = 51.0, arrays = null, hourlyFactors = null) {
+    const pvArrays = arrays || [{ dcCapacityW, efficiency, panelAzimuth, panelTilt }];
     let totalEnergyWh = 0;
     let energyLostToClippingWh = 0;
+    let energyLostToShadingWh = 0;
+    let energyLostToOverhangWh = 0;
+    let energyLostToTemperatureWh = 0;
+    let energyLostToConversionWh = 0;
+    let energyLostToInputClippingWh = 0;
     let maxInstantaneousPower = 0;
+    let maxCellTemperature = null; // Stays null without production
     let hoursClipped = 0;
+    let bifacialGainWh = 0;
+    const planeOfArrayWh = { beam: 0, skyDiffuse: 0, groundReflected: 0, rear: 0 }; // Per m², capacity-weighted
+    const totalCapacityW = pvArrays.reduce((sum, pvArray) => sum + pvArray.dcCapacityW, 0);
+    const hourlyPower = new Array(24).fill(0);
+    const hourlyClipped = new Array(24).fill(0);
+    const arrayHourlyPower = pvArrays.map(() => new Array(24).fill(0)); // DC output per array
+    const arrayEnergyWh = new Array(pvArrays.length).fill(0);
+    const arrayClippingWh = new Array(pvArrays.length).fill(0);
+    const inputShares = this.inverter ? this.getInverterInputShares(pvArrays) : null;
+    
+    // Measured weather replaces the scaled solar curve
+    const weatherHours = this.weatherSource
+      ? Array.from({ length: 24 }, (_, hour) => this.weatherSource.getHour(dayOfYear, hour))
+      : null;
+    
+    // Generate the day's solar curve once instead of once per hour
+    let solarCurve = null;
+    if (!weatherHours) {
+      solarCurve = hourlyFactors
+        ? this.generateSolarCurve(dayOfYear, latitude, false).map((factor, hour) => factor * hourlyFactors[hour])
+        : this.generateSolarCurve(dayOfYear, latitude);
+    }
     
     // Calculate hourly production accounting for sun movement and panel orientation
     for (let hour = 0; hour < 24; hour++) {
-      const baseIrradiance = this.getHourlyIrradiance(hour, peakSunHours, dayOfYear, latitude);
+      const baseIrradiance = weatherHours
+        ? weatherHours[hour].ghi / 1000
+        : this.getHourlyIrradiance(hour, peakSunHours, dayOfYear, latitude, solarCurve);
       
       if (baseIrradiance > 0.001) { // Only process significant irradiance
         // Get actual sun position for this hour
         const sunPosition = this.calculateSolarPosition(hour, dayOfYear, latitude);
         
-        // Calculate how well the panel is oriented relative to the sun
-        const panelOrientationFactor = this.calculatePanelOrientationFactor(
-          sunPosition.elevation, 
-          sunPosition.azimuth, 
-          panelTilt, 
-          panelAzimuth
-        );
+        // Obstructions between the panels and the sun only block the beam part
+        const directTransmittance = this.shadingModel
+          ? this.shadingModel.getDirectTransmittance(sunPosition.elevation, sunPosition.azimuth)
+          : 1;
         
-        // Effective irradiance considering panel orientation
-        const effectiveIrradiance = baseIrradiance * panelOrientationFactor;
+        // Horizontal irradiance components: measured, or split from the modelled global value
+        const ghi = baseIrradiance * 1000;
+        const { dni, dhi } = weatherHours
+          ? weatherHours[hour]
+          : this.transpositionModel.splitGlobalIrradiance(ghi, sunPosition.elevation, dayOfYear);
+        const ambientTemperature = weatherHours
+          ? weatherHours[hour].temperature
+          : this.cellTemperatureModel.getAmbientTemperature(dayOfYear, hour, latitude);
         
-        // Calculate instantaneous power for this hour
-        const instantaneousPower = dcCapacityW * efficiency * effectiveIrradiance;
+        // Sum the DC output of all arrays; each is oriented differently relative to the sun
+        let instantaneousPower = 0;
+        pvArrays.forEach((pvArray, index) => {
+          const planeOfArray = this.transpositionModel.getPlaneOfArrayIrradiance({
+            ghi,
+            dni,
+            dhi,
+            sunElevation: sunPosition.elevation,
+            sunAzimuth: sunPosition.azimuth,
+            panelTilt: pvArray.panelTilt,
+            panelAzimuth: pvArray.panelAzimuth,
+            dayOfYear
+          });
+          
+          // Panel output scales with the irradiance on its plane (1000 W/m² = rated power)
+          const wattsPerIrradiance = pvArray.dcCapacityW * pvArray.efficiency / 1000;
+          const unshadedPower = wattsPerIrradiance * planeOfArray.total;
+          
+          // The slab above shades part of the panel; only beam light that got past the obstructions is affected
+          const overhangFraction = this.calculateOverhangShading(
+            sunPosition.elevation, sunPosition.azimuth, pvArray.panelAzimuth, pvArray.overhang
+          );
+          const beamPower = wattsPerIrradiance * planeOfArray.beam;
+          const obstructionLoss = beamPower * (1 - directTransmittance);
+          const overhangLoss = beamPower * directTransmittance * overhangFraction;
+          
+          // Bifacial panels also convert the light reaching their back, weighted by the bifaciality
+          const rearExposure = (MOUNTING_TYPES[pvArray.mounting] || MOUNTING_TYPES.railing).rearExposure;
+          const rear = pvArray.bifacialFactor > 0 && rearExposure > 0
+            ? this.transpositionModel.getRearIrradiance({
+              ghi,
+              dni,
+              dhi,
+              sunElevation: sunPosition.elevation,
+              sunAzimuth: sunPosition.azimuth,
+              panelTilt: pvArray.panelTilt,
+              panelAzimuth: pvArray.panelAzimuth,
+              dayOfYear
+            })
+            : null;
+          const rearIrradiance = rear ? (rear.total - rear.beam * (1 - directTransmittance)) * rearExposure : 0;
+          const rearPower = wattsPerIrradiance * (pvArray.bifacialFactor || 0) * rearIrradiance;
+          const shadedPower = unshadedPower - obstructionLoss - overhangLoss + rearPower;
+          
+          // Hot cells produce less, cold cells slightly more than the rated power
+          const receivedIrradiance = planeOfArray.total - planeOfArray.beam * (1 - directTransmittance * (1 - overhangFraction)) +
+            rearIrradiance;
+          const cellTemperature = this.cellTemperatureModel.getCellTemperature(
+            receivedIrradiance, ambientTemperature, pvArray.mounting
+          );
+          const temperatureFactor = this.cellTemperatureModel.getTemperatureFactor(cellTemperature, pvArray.temperatureCoefficient);
+          const arrayPower = shadedPower * temperatureFactor;
+          if (maxCellTemperature === null || cellTemperature > maxCellTemperature) maxCellTemperature = cellTemperature;
+          
+          const capacityShare = totalCapacityW > 0 ? pvArray.dcCapacityW / totalCapacityW : 0;
+          planeOfArrayWh.beam += planeOfArray.beam * capacityShare;
+          planeOfArrayWh.skyDiffuse += planeOfArray.skyDiffuse * capacityShare;
+          planeOfArrayWh.groundReflected += planeOfArray.groundReflected * capacityShare;
+          planeOfArrayWh.rear += rearIrradiance * capacityShare;
+
+          energyLostToShadingWh += obstructionLoss;
+          energyLostToOverhangWh += overhangLoss;
+          energyLostToTemperatureWh += shadedPower - arrayPower;
+          bifacialGainWh += rearPower * temperatureFactor;
+          arrayHourlyPower[index][hour] = arrayPower;
+          instantaneousPower += arrayPower;
+        });
         
         // Track maximum power
         maxInstantaneousPower = Math.max(maxInstantaneousPower, instantaneousPower);
         
+        // Inverter inputs: each converts at most its DC limit, with part-load conversion losses
+        let acPower = instantaneousPower;
+        let inputClipped = 0;
+        if (this.inverter) {
+          const convertedPower = inputShares.reduce((sum, shares) => {
+            const inputPower = shares.reduce((inputSum, share, index) => inputSum + share * arrayHourlyPower[index][hour], 0);
+            return sum + Math.min(inputPower, this.inverter.maxDcPowerPerInputW);
+          }, 0);
+          inputClipped = instantaneousPower - convertedPower;
+          acPower = convertedPower * getConversionEfficiency(this.inverter, convertedPower / this.inverter.maxAcOutputW);
+          energyLostToInputClippingWh += inputClipped;
+          energyLostToConversionWh += convertedPower - acPower;
+        }
+        
         // Apply inverter clipping
-        let actualPower = instantaneousPower;
-        if (instantaneousPower > maxInverterOutputW) {
+        let actualPower = acPower;
+        if (acPower > maxInverterOutputW) {
           actualPower = maxInverterOutputW;
-          energyLostToClippingWh += (instantaneousPower - maxInverterOutputW);
+        }
+        const clipped = inputClipped + (acPower - actualPower);
+        if (clipped > 0) {
+          energyLostToClippingWh += clipped;
+          hourlyClipped[hour] = clipped;
           
           // Calculate fractional clipping (more accurate than just counting hours)
-          const clippingFactor = (instantaneousPower - maxInverterOutputW) / instantaneousPower;
+          const clippingFactor = clipped / instantaneousPower;
           hoursClipped += clippingFactor; // This gives us fractional hours of clipping
         }
         
         // Add to total energy (1 hour of generation)
         totalEnergyWh += actualPower;
+        hourlyPower[hour] = actualPower;
+        
+        // Attribute output and clipping to the arrays by their share of the DC power
+        if (instantaneousPower > 0) {
+          pvArrays.forEach((_, index) => {
+            const share = arrayHourlyPower[index][hour] / instantaneousPower;
+            arrayEnergyWh[index] += actualPower * share;
+            arrayClippingWh[index] += hourlyClipped[hour] * share;
+          });
+        }
       }
     }
     
-    
     return {
       totalEnergy: totalEnergyWh,
       energyLostToClipping: energyLostToClippingWh,
+      energyLostToShading: energyLostToShadingWh, // DC energy blocked by obstructions
+      energyLostToOverhang: energyLostToOverhangWh, // DC energy blocked by the balcony slab above
+      energyLostToTemperature: energyLostToTemperatureWh, // DC energy lost to cell temperatures above 25 °C (net)
+      energyLostToConversion: energyLostToConversionWh, // Inverter conversion losses (0 for an ideal inverter)
+      energyLostToInputClipping: energyLostToInputClippingWh, // Part of energyLostToClipping lost at the inverter inputs
+      bifacialGain: bifacialGainWh, // DC energy from the back of bifacial panels
+      maxCellTemperature,
+      planeOfArrayWh, // Irradiation on the panels per m² (front: beam, sky diffuse, ground reflected; rear)
       maxInstantaneousPower: maxInstantaneousPower,
-      hoursClippedPerDay: hoursClipped
+      hoursClippedPerDay: hoursClipped,
+      hourlyPower, // AC output per hour (Wh, since each step is one hour)
+      hourlyClipped, // Energy lost to clipping per hour (Wh)
+      arrayHourlyPower,
+      arrayEnergyWh,
+      arrayClippingWh
+    };
+  }
+
+  /**
+   * Simulate a full year hour by hour (365 days × 24 hours)
+   * The annual peak sun hours are distributed over the days according to solar geometry
+   * and seasonal weather, so clipping follows the real distribution of sunny and dull hours
+   * Pass `arrays` to simulate several arrays sharing one inverter (see calculateDailyEnergyWithClipping)
+   * Pass an `irradianceProfile` (see buildIrradianceProfile) to use measured monthly flux and
+   * hourly shade instead of the seasonal weather model and the clear-sky curve
+   * With a weather source (see setWeatherSource) each day gets its measured irradiation
+   */
+  simulateAnnualProduction(dcCapacityW, annualPeakSunHours, efficiency, maxInverterOutputW, panelAzimuth = 180, panelTilt = 30, latitude = 51.0, arrays = null, irradianceProfile = null) {
+    const daysInYear = 365;
+    const monthlyPeakSunHours = irradianceProfile?.monthlyPeakSunHours || null;
+
+    // Relative daily irradiance (geometry × weather) used to distribute the annual total;
+    // with measured monthly flux only the geometry spreads each month's total over its days
+    const dailyWeights = [];
+    for (let dayOfYear = 1; dayOfYear <= daysInYear; dayOfYear++) {
+      const solarCurve = this.generateSolarCurve(dayOfYear, latitude, !monthlyPeakSunHours);
+      dailyWeights.push(solarCurve.reduce((sum, factor) => sum + factor, 0));
+    }
+    const totalWeight = dailyWeights.reduce((sum, weight) => sum + weight, 0);
+    const monthlyWeights = new Array(DAYS_IN_MONTH.length).fill(0);
+    dailyWeights.forEach((weight, index) => { monthlyWeights[getMonthIndex(index + 1)] += weight; });
+
+    const daily = [];
+    const monthlyEnergyWh = new Array(DAYS_IN_MONTH.length).fill(0);
+    const monthlyClippingWh = new Array(DAYS_IN_MONTH.length).fill(0);
+    const hourlyProductionWh = [];
+    const hourlyClippedWh = [];
+    const arrayCount = arrays ? arrays.length : 1;
+    const arrayEnergyWh = new Array(arrayCount).fill(0);
+    const arrayClippingWh = new Array(arrayCount).fill(0);
+    let annualEnergyWh = 0;
+    let annualClippingWh = 0;
+    let annualShadingWh = 0;
+    let annualOverhangWh = 0;
+    let annualTemperatureWh = 0;
+    let annualConversionWh = 0;
+    let annualInputClippingWh = 0;
+    let annualBifacialGainWh = 0;
+    const planeOfArrayWh = { beam: 0, skyDiffuse: 0, groundReflected: 0, rear: 0 };
+    let maxInstantaneousPower = 0;
+    let maxCellTemperature = null; // Stays null without production
+    let hoursClipped = 0;
+
+    for (let dayOfYear = 1; dayOfYear <= daysInYear; dayOfYear++) {
+      const month = getMonthIndex(dayOfYear);
+      let dailyPeakSunHours;
+      if (this.weatherSource) {
+        dailyPeakSunHours = this.weatherSource.getDailyIrradiationKwh(dayOfYear);
+      } else if (monthlyPeakSunHours) {
+        dailyPeakSunHours = monthlyWeights[month] > 0
+          ? monthlyPeakSunHours[month] * dailyWeights[dayOfYear - 1] / monthlyWeights[month]
+          : 0;
+      } else {
+        dailyPeakSunHours = totalWeight > 0
+          ? annualPeakSunHours * dailyWeights[dayOfYear - 1] / totalWeight
+          : 0;
+      }
+
+      const dailyProduction = this.calculateDailyEnergyWithClipping(
+        dcCapacityW,
+        dailyPeakSunHours,
+        efficiency,
+        maxInverterOutputW,
+        panelAzimuth,
+        panelTilt,
+        dayOfYear,
+        latitude,
+        arrays,
+        irradianceProfile?.hourlyFactors?.[month] || null
+      );
+
+      monthlyEnergyWh[month] += dailyProduction.totalEnergy;
+      monthlyClippingWh[month] += dailyProduction.energyLostToClipping;
+      annualEnergyWh += dailyProduction.totalEnergy;
+      annualClippingWh += dailyProduction.energyLostToClipping;
+      annualShadingWh += dailyProduction.energyLostToShading;
+      annualOverhangWh += dailyProduction.energyLostToOverhang;
+      annualTemperatureWh += dailyProduction.energyLostToTemperature;
+      annualConversionWh += dailyProduction.energyLostToConversion;
+      annualInputClippingWh += dailyProduction.energyLostToInputClipping;
+      annualBifacialGainWh += dailyProduction.bifacialGain;
+      if (dailyProduction.maxCellTemperature !== null &&
+        (maxCellTemperature === null || dailyProduction.maxCellTemperature > maxCellTemperature)) {
+        maxCellTemperature = dailyProduction.maxCellTemperature;
+      }
+      Object.keys(planeOfArrayWh).forEach(part => { planeOfArrayWh[part] += dailyProduction.planeOfArrayWh[part]; });
+      maxInstantaneousPower = Math.max(maxInstantaneousPower, dailyProduction.maxInstantaneousPower);
+      hoursClipped += dailyProduction.hoursClippedPerDay;
+      hourlyProductionWh.push(...dailyProduction.hourlyPower);
+      hourlyClippedWh.push(...dailyProduction.hourlyClipped);
+      dailyProduction.arrayEnergyWh.forEach((energy, index) => { arrayEnergyWh[index] += energy; });
+      dailyProduction.arrayClippingWh.forEach((clipping, index) => { arrayClippingWh[index] += clipping; });
+
+      daily.push({
+        dayOfYear,
+        month,
+        energyWh: dailyProduction.totalEnergy,
+        clippingWh: dailyProduction.energyLostToClipping,
+        peakSunHours: dailyPeakSunHours
+      });
+    }
+
+    return {
+      annualEnergyWh,
+      annualClippingWh,
+      annualShadingWh,
+      annualOverhangWh,
+      annualTemperatureWh,
+      annualConversionWh,
+      annualInputClippingWh,
+      annualBifacialGainWh,
+      planeOfArrayWh,
+      maxInstantaneousPower,
+      maxCellTemperature,
+      hoursClipped,
+      monthlyEnergyWh,
+      monthlyClippingWh,
+      daily,
+      hourlyProductionWh, // 8760 values, index = (dayOfYear - 1) * 24 + solar hour (see toStandardTime)
+      hourlyClippedWh,
+      arrayEnergyWh, // AC output per array, in the order of `arrays`
+      arrayClippingWh,
+      maxInverterOutputW
+    };
+  }
+
+  /**
+   * Simulate a multi-line layout (e.g. an east/west split) behind one shared inverter
+   * Each line keeps its own orientation and tilt; the lines are summed per hour before
+   * the inverter limit is applied, so clipping reflects the combined output
+   * @returns {Object} Same shape as simulateAnnualProduction, plus per-line results in `segments`
+   */
+  simulateSegments(segments, annualPeakSunHours, maxInverterOutputW, latitude = 51.0, irradianceProfile = null) {
+    const arrays = this.buildSegmentArrays(segments, latitude);
+    const totalWattage = segments.reduce((sum, segment) => sum + segment.totalWattage, 0);
+    
+    const simulation = this.simulateAnnualProduction(
+      totalWattage,
+      annualPeakSunHours,
+      null,
+      maxInverterOutputW,
+      null,
+      null,
+      latitude,
+      arrays,
+      irradianceProfile
+    );
+    
+    return {
+      ...simulation,
+      segments: segments.map((segment, index) => ({
+        ...segment,
+        efficiency: arrays[index].efficiency,
+        annualEnergyWh: simulation.arrayEnergyWh[index],
+        annualClippingWh: simulation.arrayClippingWh[index]
+      }))
     };
   }
 
   /**
-   * Calculate how well a panel is oriented relative to the sun at a given time
-   * Returns a factor from 0 (no direct sunlight) to 1 (optimal orientation)
+   * Convert mounting lines into arrays for calculateDailyEnergyWithClipping
+   */
+  buildSegmentArrays(segments, latitude = 51.0) {
+    return segments.map(segment => ({
+      dcCapacityW: segment.totalWattage,
+      efficiency: this.calculatePanelEfficiency(segment.panelAzimuth, segment.panelTilt, latitude),
+      panelAzimuth: segment.panelAzimuth,
+      panelTilt: segment.panelTilt,
+      overhang: segment.overhang || null,
+      panelCount: segment.panelCount,
+      bifacialFactor: segment.bifacialFactor || 0,
+      mounting: segment.mounting,
+      temperatureCoefficient: segment.temperatureCoefficient
+    }));
+  }
+
+  /**
+   * Share of each array's DC power that reaches each inverter input
+   * Arrays without a panel count are spread evenly over all inputs
+   * @returns {number[][]} shares[input][arrayIndex]
    */
-  calculatePanelOrientationFactor(sunElevation, sunAzimuth, panelTilt, panelAzimuth) {
-    if (sunElevation <= 0) return 0; // Sun below horizon
-    
-    // Convert angles to radians
-    const sunElev = sunElevation * Math.PI / 180;
-    const sunAz = sunAzimuth * Math.PI / 180;
-    const panelTiltRad = panelTilt * Math.PI / 180;
-    const panelAzRad = panelAzimuth * Math.PI / 180;
-    
-    // Calculate sun vector (pointing from ground to sun)
-    const sunX = Math.cos(sunElev) * Math.sin(sunAz);
-    const sunY = Math.cos(sunElev) * Math.cos(sunAz);
-    const sunZ = Math.sin(sunElev);
-    
-    // Calculate panel normal vector (perpendicular to panel surface)
-    const panelX = Math.sin(panelTiltRad) * Math.sin(panelAzRad);
-    const panelY = Math.sin(panelTiltRad) * Math.cos(panelAzRad);
-    const panelZ = Math.cos(panelTiltRad);
-    
-    // Calculate dot product (cosine of angle between vectors)
-    const dotProduct = sunX * panelX + sunY * panelY + sunZ * panelZ;
-    
-    // Return the cosine factor (0 to 1), representing how directly the sun hits the panel
-    return Math.max(0, dotProduct);
+  getInverterInputShares(pvArrays) {
+    const { inputs } = this.inverter;
+    if (!pvArrays.every(pvArray => pvArray.panelCount > 0)) {
+      return Array.from({ length: inputs }, () => pvArrays.map(() => 1 / inputs));
+    }
+    
+    const wiring = assignPanelsToInputs(pvArrays.map(pvArray => pvArray.panelCount), inputs);
+    return wiring.map(panels => panels.map((count, index) => count / pvArrays[index].panelCount));
+  }
+
+  /**
+   * Check the panels against the input limits of the selected inverter
+   * Panels sharing an input are assumed to be connected in parallel
+   * @returns {Object} { panelsPerInput, issues, notes } - issues are exceeded input limits,
+   *   notes other hints; both are readable messages
+   */
+  checkInverterCompatibility(panelConfig, regulations) {
+    const inverter = this.inverter;
+    const segments = panelConfig.segments?.length > 0 ? panelConfig.segments : [{ panelCount: panelConfig.panelCount }];
+    const wiring = assignPanelsToInputs(segments.map(segment => segment.panelCount), inverter.inputs);
+    const panelsPerInput = wiring.map(panels => panels.reduce((sum, count) => sum + count, 0));
+    const module = panelConfig.panelModule;
+    const panelWattage = panelConfig.panelWattage ?? (panelConfig.panelCount > 0 ? panelConfig.totalWattage / panelConfig.panelCount : 0);
+    const issues = [];
+    const notes = [];
+    
+    panelsPerInput.forEach((panels, input) => {
+      const label = `Input ${input + 1}`;
+      if (panels * panelWattage > inverter.maxPvPowerPerInputW) {
+        issues.push(`${label}: ${panels} × ${panelWattage} Wp exceeds the recommended ${inverter.maxPvPowerPerInputW} Wp`);
+      }
+      if (module?.iscA && panels * module.iscA > inverter.maxShortCircuitCurrentA) {
+        issues.push(`${label}: short-circuit current ${Math.round(panels * module.iscA * 10) / 10} A exceeds the ${inverter.maxShortCircuitCurrentA} A limit`);
+      }
+      // Above the operating current the inverter limits the input, which the simulation covers
+      const operatingCurrent = module?.vmpV ? panels * panelWattage / module.vmpV : 0;
+      if (operatingCurrent > inverter.maxInputCurrentA) {
+        notes.push(`${label}: MPP current ${Math.round(operatingCurrent * 10) / 10} A is above the ${inverter.maxInputCurrentA} A the input uses`);
+      }
+    });
+    
+    if (module?.vocV && module.vocV > inverter.maxInputVoltageV) {
+      issues.push(`Panel open-circuit voltage ${module.vocV} V exceeds the ${inverter.maxInputVoltageV} V input limit`);
+    }
+    const [mpptMin, mpptMax] = inverter.mpptVoltageRangeV;
+    if (module?.vmpV && (module.vmpV < mpptMin || module.vmpV > mpptMax)) {
+      issues.push(`Panel MPP voltage ${module.vmpV} V is outside the MPPT range ${mpptMin}-${mpptMax} V`);
+    }
+    if (regulations.maxInverterOutputW !== null && inverter.maxAcOutputW > regulations.maxInverterOutputW) {
+      notes.push(`Rated ${inverter.maxAcOutputW} W AC must be limited to ${regulations.maxInverterOutputW} W in ${regulations.regionName}`);
+    }
+    
+    console.log('Inverter check:', { inverter: inverter.name, panelsPerInput, issues, notes });
+    return { panelsPerInput, issues, notes };
+  }
+
+  /**
+   * Compare a split layout with the same DC capacity as a single array facing the equator
+   * Shows how much flatter the combined curve is and how much clipping the split avoids
+   */
+  compareWithSingleArray(segments, annualSimulation, annualPeakSunHours, maxInverterOutputW, referenceTilt, latitude = 51.0, irradianceProfile = null) {
+    const locationInfo = this.getLocationInfo(latitude, 0);
+    const referenceAzimuth = locationInfo.optimalAzimuth;
+    const totalWattage = segments.reduce((sum, segment) => sum + segment.totalWattage, 0);
+    const referenceEfficiency = this.calculatePanelEfficiency(referenceAzimuth, referenceTilt, latitude);
+    
+    const reference = this.simulateAnnualProduction(
+      totalWattage,
+      annualPeakSunHours,
+      referenceEfficiency,
+      maxInverterOutputW,
+      referenceAzimuth,
+      referenceTilt,
+      latitude,
+      null,
+      irradianceProfile
+    );
+    
+    // Typical summer day: the day with the most clipping pressure
+    const dayOfYear = latitude >= 0 ? 172 : 355;
+    const dayPeakSunHours = annualSimulation.daily[dayOfYear - 1].peakSunHours;
+    const dayHourlyFactors = irradianceProfile?.hourlyFactors?.[getMonthIndex(dayOfYear)] || null;
+    const splitDay = this.calculateDailyEnergyWithClipping(
+      totalWattage, dayPeakSunHours, null, maxInverterOutputW, null, null, dayOfYear, latitude,
+      this.buildSegmentArrays(segments, latitude), dayHourlyFactors
+    );
+    const referenceDay = this.calculateDailyEnergyWithClipping(
+      totalWattage, dayPeakSunHours, referenceEfficiency, maxInverterOutputW, referenceAzimuth, referenceTilt, dayOfYear, latitude,
+      null, dayHourlyFactors
+    );
+    
+    const clippingPercent = (simulation) => {
+      const potential = simulation.annualEnergyWh + simulation.annualClippingWh;
+      return potential > 0 ? Math.round((simulation.annualClippingWh / potential) * 1000) / 10 : 0;
+    };
+    
+    return {
+      referenceAzimuth,
+      referenceTilt,
+      dayOfYear,
+      split: {
+        annualEnergyKwh: Math.round(annualSimulation.annualEnergyWh / 1000),
+        clippingKwh: Math.round(annualSimulation.annualClippingWh / 1000),
+        clippingLossPercentage: clippingPercent(annualSimulation),
+        maxInstantaneousPower: Math.round(annualSimulation.maxInstantaneousPower),
+        hourlyPower: splitDay.hourlyPower.map(Math.round)
+      },
+      reference: {
+        annualEnergyKwh: Math.round(reference.annualEnergyWh / 1000),
+        clippingKwh: Math.round(reference.annualClippingWh / 1000),
+        clippingLossPercentage: clippingPercent(reference),
+        maxInstantaneousPower: Math.round(reference.maxInstantaneousPower),
+        hourlyPower: referenceDay.hourlyPower.map(Math.round)
+      }
+    };
+  }
+
+  /**
+   * Minutes by which solar time runs ahead of mean local time (equation of time, Spencer 1971)
+   */
+  getEquationOfTime(dayOfYear) {
+    const b = 2 * Math.PI * (dayOfYear - 1) / 365;
+    return 229.18 * (0.000075 + 0.001868 * Math.cos(b) - 0.032077 * Math.sin(b) -
+      0.014615 * Math.cos(2 * b) - 0.040849 * Math.sin(2 * b));
+  }
+
+  /**
+   * Move an 8760-hour series from solar time to standard time (CET)
+   * Solar time runs ahead of CET by 4 minutes per degree east of 15°E plus the equation of
+   * time, e.g. 20-60 minutes behind in Germany. Each simulated hour is the power at the full
+   * solar hour and stands for the half hours either side; its energy is split between the
+   * clock hours that interval overlaps.
+   * @param {number[]} hourlyWh - index = (dayOfYear - 1) * 24 + solar hour
+   * @param {number} longitude - Longitude of the location
+   * @returns {number[]} index = (dayOfYear - 1) * 24 + hour in standard time
+   */
+  toStandardTime(hourlyWh, longitude) {
+    const hours = hourlyWh.length;
+    const shifted = new Array(hours).fill(0);
+    const wrap = (index) => ((index % hours) + hours) % hours;
+
+    hourlyWh.forEach((energy, index) => {
+      if (energy === 0) return;
+
+      const dayOfYear = Math.floor(index / 24) + 1;
+      const offsetHours = (STANDARD_TIME_MERIDIAN - longitude) / 15 - this.getEquationOfTime(dayOfYear) / 60;
+      const start = index - 0.5 + offsetHours;
+      const firstHour = Math.floor(start);
+      const fraction = start - firstHour;
+
+      shifted[wrap(firstHour)] += energy * (1 - fraction);
+      shifted[wrap(firstHour + 1)] += energy * fraction;
+    });
+
+    return shifted;
+  }
+
+  /**
+   * Simulate a DC-coupled battery behind the inverter hour by hour
+   * The battery charges from clipped energy and from production the household doesn't use,
+   * and discharges through the inverter's remaining headroom when the load exceeds production.
+   * With a tariff the extra self-consumption is priced at the grid price of each hour,
+   * less the export compensation for the energy no longer fed into the grid.
+   */
+  simulateBattery(annualSimulation, hourlyLoadWh, batteryConfig, tariff = null, exportCompensation = null) {
+    const {
+      capacityWh,
+      maxChargePowerW,
+      maxDischargePowerW,
+      roundTripEfficiency = 0.9,
+      minStateOfCharge = 0.1
+    } = batteryConfig;
+    
+    const inverterLimitW = annualSimulation.maxInverterOutputW;
+    const oneWayEfficiency = Math.sqrt(roundTripEfficiency);
+    const minEnergyWh = capacityWh * minStateOfCharge;
+    
+    let stateOfChargeWh = minEnergyWh;
+    let chargedWh = 0;
+    let dischargedWh = 0;
+    let addedSavings = 0; // € per year, priced with the tariff of each hour
+    const withoutBattery = { selfConsumedWh: 0, exportWh: 0, clippedWh: 0 };
+    const withBattery = { selfConsumedWh: 0, exportWh: 0, clippedWh: 0 };
+    
+    const hours = Math.min(annualSimulation.hourlyProductionWh.length, hourlyLoadWh.length);
+    
+    for (let hour = 0; hour < hours; hour++) {
+      const acOutput = annualSimulation.hourlyProductionWh[hour];
+      const clipped = annualSimulation.hourlyClippedWh[hour];
+      const load = hourlyLoadWh[hour];
+      
+      // Reference case without battery
+      const directWithoutBattery = Math.min(acOutput, load);
+      withoutBattery.selfConsumedWh += directWithoutBattery;
+      withoutBattery.exportWh += acOutput - directWithoutBattery;
+      withoutBattery.clippedWh += clipped;
+      
+      // DC energy available before the inverter
+      const dcAvailable = acOutput + clipped;
+      const direct = Math.min(dcAvailable, load, inverterLimitW);
+      
+      // Charge the battery with whatever the household doesn't need
+      const surplus = dcAvailable - direct;
+      const charge = Math.min(surplus, maxChargePowerW, (capacityWh - stateOfChargeWh) / oneWayEfficiency);
+      stateOfChargeWh += charge * oneWayEfficiency;
+      chargedWh += charge;
+      
+      // Remaining surplus is exported up to the inverter limit, the rest is clipped
+      const remaining = surplus - charge;
+      const exported = Math.min(remaining, inverterLimitW - direct);
+      withBattery.exportWh += exported;
+      withBattery.clippedWh += remaining - exported;
+      
+      // Cover the remaining load from the battery through the inverter headroom
+      const deficit = load - direct;
+      let discharge = 0;
+      if (deficit > 0) {
+        discharge = Math.min(
+          deficit,
+          maxDischargePowerW,
+          (stateOfChargeWh - minEnergyWh) * oneWayEfficiency,
+          inverterLimitW - direct
+        );
+        discharge = Math.max(0, discharge);
+        stateOfChargeWh -= discharge / oneWayEfficiency;
+        dischargedWh += discharge;
+      }
+      
+      withBattery.selfConsumedWh += direct + discharge;
+      if (tariff) addedSavings += (direct + discharge - directWithoutBattery) / 1000 * tariff.getPrice(hour);
+      if (exportCompensation) {
+        addedSavings -= (acOutput - directWithoutBattery - exported) / 1000 * exportCompensation.getRate(hour);
+      }
+    }
+    
+    const usableCapacityWh = capacityWh - minEnergyWh;
+    const toKwh = (wh) => Math.round(wh / 100) / 10;
+    
+    const result = {
+      selfConsumedKwh: toKwh(withBattery.selfConsumedWh),
+      selfConsumedWithoutBatteryKwh: toKwh(withoutBattery.selfConsumedWh),
+      extraSelfConsumptionKwh: toKwh(withBattery.selfConsumedWh - withoutBattery.selfConsumedWh),
+      gridExportKwh: toKwh(withBattery.exportWh),
+      gridExportWithoutBatteryKwh: toKwh(withoutBattery.exportWh),
+      clippingKwh: toKwh(withBattery.clippedWh),
+      clippingWithoutBatteryKwh: toKwh(withoutBattery.clippedWh),
+      reducedClippingKwh: toKwh(withoutBattery.clippedWh - withBattery.clippedWh),
+      chargedKwh: toKwh(chargedWh),
+      dischargedKwh: toKwh(dischargedWh),
+      conversionLossKwh: toKwh(chargedWh - dischargedWh - (stateOfChargeWh - minEnergyWh)),
+      addedSavings: tariff ? addedSavings : null,
+      equivalentFullCycles: usableCapacityWh > 0 ? Math.round(dischargedWh / usableCapacityWh) : 0
+    };
+    
+    console.log('Battery simulation:', result);
+    
+    return result;
+  }
+
+  /**
+   * Shaded fraction (0-1) of a panel below a balcony slab
+   * The shadow edge drops below the slab by depth × tan(profile angle), where the profile
+   * angle is the sun elevation projected onto the plane perpendicular to the panel
+   */
+  calculateOverhangShading(sunElevation, sunAzimuth, panelAzimuth, overhang) {
+    if (!overhang || overhang.depthM <= 0 || sunElevation <= 0) return 0;
+    
+    const { overhangHeightM, depthM, panelTopM, panelBottomM } = overhang;
+    const panelHeight = panelTopM - panelBottomM;
+    if (panelHeight <= 0) return 0;
+    
+    // Sun behind the panel plane: there is no direct light to shade
+    const azimuthCosine = Math.cos((sunAzimuth - panelAzimuth) * Math.PI / 180);
+    if (azimuthCosine <= 0) return 0;
+    
+    const tanProfileAngle = Math.tan(sunElevation * Math.PI / 180) / azimuthCosine;
+    const shadowEdgeM = overhangHeightM - depthM * tanProfileAngle;
+    const shadedHeight = Math.min(panelHeight, Math.max(0, panelTopM - Math.max(shadowEdgeM, panelBottomM)));
+    
+    return shadedHeight / panelHeight;
   }
 
   /**
    * Get hourly solar irradiance factor (0-1) based on realistic sun position
    * Accounts for local latitude, seasonal variations, and atmospheric effects
    */
-  getHourlyIrradiance(hour, peakSunHours, dayOfYear = 172, latitude = 51.0) {
+  getHourlyIrradiance(hour, peakSunHours, dayOfYear = 172, latitude = 51.0, solarCurve = null) {
     // Use realistic solar curve based on sun position and atmospheric conditions
-    const realisticCurve = this.generateSolarCurve(dayOfYear, latitude);
+    const realisticCurve = solarCurve || this.generateSolarCurve(dayOfYear, latitude);
     const rawFactor = realisticCurve[hour] || 0;
     
     // Scale the curve to match the actual peak sun hours for the location
@@ -422,8 +1191,9 @@ export class SolarCalculator {
   /**
    * Calculate seasonal energy production variations using real Solar API data
    * Shows how solar output changes throughout the year based on actual solar geometry (hemisphere-aware)
+   * Pass `arrays` (see buildSegmentArrays) to simulate the sample days of a multi-line layout
    */
-  calculateSeasonalVariations(dcCapacityW, efficiency, maxInverterOutputW, panelAzimuth, panelTilt, solarData = null, latitude = 51.0) {
+  calculateSeasonalVariations(dcCapacityW, efficiency, maxInverterOutputW, panelAzimuth, panelTilt, solarData = null, latitude = 51.0, monthlyData = null, irradianceProfile = null, arrays = null) {
     const locationInfo = this.getLocationInfo(latitude, 0);
     
     // Define seasons based on hemisphere
@@ -447,7 +1217,9 @@ export class SolarCalculator {
     
     // Calculate base annual peak sun hours from Solar API or fallback
     let annualPeakSunHours;
-    if (solarData && solarData.solarPotential && solarData.solarPotential.maxSunshineHoursPerYear) {
+    if (this.weatherSource) {
+      annualPeakSunHours = this.weatherSource.getAnnualIrradiationKwh() / 365;
+    } else if (solarData && solarData.solarPotential && solarData.solarPotential.maxSunshineHoursPerYear) {
       annualPeakSunHours = solarData.solarPotential.maxSunshineHoursPerYear / 365;
       console.log('Using real Solar API data for seasonal calculations:', { annualPeakSunHours, hemisphere: locationInfo.hemisphere });
     } else {
@@ -475,9 +1247,27 @@ export class SolarCalculator {
     }
     
     const seasonalResults = seasons.map(season => {
-      // Calculate realistic seasonal variation based on solar geometry
-      const seasonalIrradiance = this.calculateSeasonalSolarIrradiance(season.day, latitude);
-      const seasonalPeakSunHours = annualPeakSunHours * seasonalIrradiance;
+      const monthIndex = getMonthIndex(season.day);
+      
+      // Measured monthly flux beats the modelled seasonal variation
+      let seasonalIrradiance, seasonalPeakSunHours;
+      if (this.weatherSource) {
+        const firstDay = DAYS_IN_MONTH.slice(0, monthIndex).reduce((sum, days) => sum + days, 0) + 1;
+        let monthIrradiation = 0;
+        for (let day = firstDay; day < firstDay + DAYS_IN_MONTH[monthIndex]; day++) {
+          monthIrradiation += this.weatherSource.getDailyIrradiationKwh(day);
+        }
+        seasonalPeakSunHours = monthIrradiation / DAYS_IN_MONTH[monthIndex];
+        seasonalIrradiance = annualPeakSunHours > 0 ? seasonalPeakSunHours / annualPeakSunHours : 0;
+      } else if (irradianceProfile?.monthlyPeakSunHours) {
+        seasonalPeakSunHours = irradianceProfile.monthlyPeakSunHours[monthIndex] / DAYS_IN_MONTH[monthIndex];
+        const profileAnnualPeakSunHours = irradianceProfile.monthlyPeakSunHours.reduce((sum, value) => sum + value, 0) / 365;
+        seasonalIrradiance = profileAnnualPeakSunHours > 0 ? seasonalPeakSunHours / profileAnnualPeakSunHours : 0;
+      } else {
+        // Calculate realistic seasonal variation based on solar geometry
+        seasonalIrradiance = this.calculateSeasonalSolarIrradiance(season.day, latitude);
+        seasonalPeakSunHours = annualPeakSunHours * seasonalIrradiance;
+      }
       
       const dailyProduction = this.calculateDailyEnergyWithClipping(
         dcCapacityW,
@@ -487,14 +1277,25 @@ export class SolarCalculator {
         panelAzimuth,
         panelTilt,
         season.day,
-        latitude // Pass latitude for hemisphere-aware calculations
+        latitude, // Pass latitude for hemisphere-aware calculations
+        arrays,
+        irradianceProfile?.hourlyFactors?.[monthIndex] || null
       );
       
+      // Prefer the simulated month over extrapolating the sample day
+      const monthlyEnergyKwh = monthlyData
+        ? monthlyData[monthIndex].energyKwh
+        : (dailyProduction.totalEnergy * 30) / 1000;
+      const dailyEnergyKwh = monthlyData
+        ? monthlyData[monthIndex].dailyAverageKwh
+        : dailyProduction.totalEnergy / 1000;
+      
       return {
         season: season.name,
         month: season.month,
-        dailyEnergyKwh: dailyProduction.totalEnergy / 1000,
-        monthlyEnergyKwh: (dailyProduction.totalEnergy * 30) / 1000,
+        monthIndex,
+        dailyEnergyKwh,
+        monthlyEnergyKwh,
         clippingLossPercent: dailyProduction.energyLostToClipping > 0 
           ? (dailyProduction.energyLostToClipping / (dailyProduction.totalEnergy + dailyProduction.energyLostToClipping)) * 100 
           : 0,
@@ -507,6 +1308,32 @@ export class SolarCalculator {
     return seasonalResults;
   }
 
+  /**
+   * Build a 12-month production series from the annual simulation
+   * Each entry holds the month's energy, clipping loss and peak sun hours
+   */
+  calculateMonthlyBreakdown(annualSimulation) {
+    return DAYS_IN_MONTH.map((days, month) => {
+      const monthDays = annualSimulation.daily.filter(day => day.month === month);
+      const energyWh = annualSimulation.monthlyEnergyWh[month];
+      const clippingWh = annualSimulation.monthlyClippingWh[month];
+      const peakSunHours = monthDays.reduce((sum, day) => sum + day.peakSunHours, 0);
+      
+      return {
+        month,
+        name: MONTH_NAMES[month],
+        days,
+        energyKwh: Math.round(energyWh / 100) / 10,
+        dailyAverageKwh: Math.round(energyWh / days / 10) / 100,
+        clippingLossPercent: energyWh + clippingWh > 0
+          ? Math.round((clippingWh / (energyWh + clippingWh)) * 1000) / 10
+          : 0,
+        peakSunHours: Math.round(peakSunHours * 10) / 10, // Total for the month
+        peakSunHoursPerDay: Math.round((peakSunHours / days) * 100) / 100
+      };
+    });
+  }
+
   /**
    * Calculate seasonal solar irradiance factor based on solar geometry
    * More accurate than fixed multipliers - uses actual sun position calculations
@@ -546,6 +1373,70 @@ export class SolarCalculator {
     return Math.max(0.1, Math.min(1.5, geometricFactor * weatherFactor));
   }
 
+  /**
+   * Build the measured irradiance profile from the Solar API monthly flux and hourly shade layers
+   * - monthlyPeakSunHours: the annual flux split by the monthly layer's shares (12 values)
+   * - hourlyFactors: per month and solar hour, the diffuse share plus the direct share on the
+   *   days the lines see the sun (12 × 24 values, 0-1)
+   * @returns {Object|null} null when neither layer was available
+   */
+  buildIrradianceProfile(localFlux, latitude = 51.0) {
+    if (!localFlux?.annualFluxKwhPerKw) return null;
+    
+    let monthlyPeakSunHours = null;
+    const monthlyFlux = localFlux.monthlyFluxKwhPerKw;
+    const monthlyTotal = monthlyFlux ? monthlyFlux.reduce((sum, value) => sum + value, 0) : 0;
+    if (monthlyTotal > 0) {
+      // Only the shares are used, so the months always add up to the annual flux layer
+      monthlyPeakSunHours = monthlyFlux.map(value => localFlux.annualFluxKwhPerKw * value / monthlyTotal);
+    }
+    
+    let hourlyFactors = null;
+    if (localFlux.hourlySunFraction) {
+      const diffuseFraction = this.shadingModel?.diffuseFraction ?? 0.2;
+      const offset = this.getShadeHourOffset(localFlux.hourlySunFraction, latitude);
+      hourlyFactors = localFlux.hourlySunFraction.map(hours => Array.from({ length: 24 }, (_, hour) => {
+        const sunFraction = hours[(hour + offset + 24) % 24];
+        return diffuseFraction + (1 - diffuseFraction) * sunFraction;
+      }));
+    }
+    
+    if (!monthlyPeakSunHours && !hourlyFactors) return null;
+    
+    console.log('Using Solar API layer profile:', { monthlyPeakSunHours, hasHourlyShade: hourlyFactors !== null });
+    return { monthlyPeakSunHours, hourlyFactors };
+  }
+
+  /**
+   * Offset (hours) from solar time to the bands of the hourly shade layers
+   * The bands are in local clock time, which differs from solar time by the time zone and
+   * daylight saving; the offset is the one where the sun-visible hours line up best with daylight
+   */
+  getShadeHourOffset(hourlySunFraction, latitude = 51.0) {
+    let bestOffset = 0;
+    let bestScore = -Infinity;
+    
+    for (let offset = -3; offset <= 3; offset++) {
+      let score = 0;
+      hourlySunFraction.forEach((hours, month) => {
+        const midMonthDay = DAYS_IN_MONTH.slice(0, month).reduce((sum, days) => sum + days, 0) + 15;
+        for (let hour = 0; hour < 24; hour++) {
+          const isDaylight = this.calculateSolarPosition(hour, midMonthDay, latitude).elevation > 0;
+          const sunFraction = hours[(hour + offset + 24) % 24];
+          score += isDaylight ? sunFraction : -sunFraction;
+        }
+      });
+      
+      // Prefer the smallest shift on ties (e.g. completely shaded lines)
+      if (score > bestScore || (score === bestScore && Math.abs(offset) < Math.abs(bestOffset))) {
+        bestScore = score;
+        bestOffset = offset;
+      }
+    }
+    
+    return bestOffset;
+  }
+
   /**
    * Get location-specific weather factors throughout the year
    * Accounts for hemisphere differences and climate patterns
@@ -597,85 +1488,10 @@ export class SolarCalculator {
     
     const finalWeatherFactor = baseWeatherFactor * seasonalMultiplier;
     
-    console.log('Weather factor calculation:', {
-      latitude,
-      hemisphere: locationInfo.hemisphere,
-      absLatitude,
-      adjustedDayOfYear,
-      monthApprox,
-      baseWeatherFactor,
-      seasonalMultiplier,
-      finalWeatherFactor: Math.round(finalWeatherFactor * 100) / 100
-    });
-    
+    // No logging here: this runs for every simulated day of the annual simulation
     return Math.max(0.2, Math.min(1.0, finalWeatherFactor));
   }
 
-  /**
-   * Enhanced panel efficiency calculation with seasonal considerations
-   */
-  calculateDetailedPanelEfficiency(panelAzimuth, panelTilt, dayOfYear = 172) {
-    const baseEfficiency = this.calculatePanelEfficiency(panelAzimuth, panelTilt);
-    
-    // Add seasonal efficiency variations (snow, temperature effects, etc.)
-    const seasonalIrradiance = this.calculateSeasonalSolarIrradiance(dayOfYear);
-    const temperatureEfficiency = this.getTemperatureEfficiency(dayOfYear);
-    
-    const totalEfficiency = baseEfficiency * seasonalIrradiance * temperatureEfficiency;
-    
-    console.log('Detailed panel efficiency:', {
-      baseEfficiency: Math.round(baseEfficiency * 100),
-      seasonalFactor: Math.round(seasonalIrradiance * 100),
-      temperatureFactor: Math.round(temperatureEfficiency * 100),
-      totalEfficiency: Math.round(totalEfficiency * 100)
-    });
-    
-    return totalEfficiency;
-  }
-
-  /**
-   * Calculate temperature efficiency factor
-   * Solar panels lose efficiency at high temperatures
-   */
-  getTemperatureEfficiency(dayOfYear) {
-    // Simplified temperature model for Germany
-    // Peak temperature around summer solstice reduces efficiency
-    const summerDay = 172;
-    const dayOffset = Math.abs(dayOfYear - summerDay);
-    const temperatureCycle = Math.cos((dayOffset / 182.5) * Math.PI);
-    
-    // Temperature coefficient: -0.4%/°C above 25°C
-    // Summer: ~25-30°C = 98-100% efficiency
-    // Winter: ~0-10°C = 100-102% efficiency  
-    const tempEfficiency = 1.0 - (temperatureCycle * 0.05); // Max 5% loss in summer
-    
-    return Math.max(0.95, Math.min(1.02, tempEfficiency));
-  }
-
-  /**
-   * Check if a location is within Europe (where German regulations might apply)
-   * Uses approximate geographic boundaries
-   */
-  isLocationInEurope(latitude, longitude) {
-    // Approximate European boundaries
-    // Latitude: 35°N (Southern Europe) to 71°N (Northern Europe)
-    // Longitude: 10°W (Western Europe) to 40°E (Eastern Europe)
-    const isInEuropeLatitude = latitude >= 35 && latitude <= 71;
-    const isInEuropeLongitude = longitude >= -10 && longitude <= 40;
-    
-    const isInEurope = isInEuropeLatitude && isInEuropeLongitude;
-    
-    console.log('Location check:', {
-      latitude,
-      longitude,
-      isInEuropeLatitude,
-      isInEuropeLongitude,
-      isInEurope
-    });
-    
-    return isInEurope;
-  }
-
   /**
    * Determine hemisphere and optimal panel orientation based on latitude
    */
@@ -708,26 +1524,32 @@ export class SolarCalculator {
 
   /**
    * Get region-specific solar regulations based on location
+   * Uses the reverse-geocoded country when known, the offline boundary lookup otherwise;
+   * a lookup close to a border or the coast is only assumed until the Geocoder answers
    */
-  getRegionalSolarRegulations(latitude, longitude) {
-    const isInEurope = this.isLocationInEurope(latitude, longitude);
+  getRegionalSolarRegulations(latitude, longitude, countryCode = null) {
+    if (countryCode) return this.buildRegulations(getRegulationProfile(countryCode));
+
+    const country = lookupCountry(latitude, longitude);
+    return this.buildRegulations(getRegulationProfile(country?.code || null), country?.nearBorder || false);
+  }
+
+  /**
+   * Turn a registry profile into the regulations object used by the calculations
+   */
+  buildRegulations(profile, isAssumed = false) {
+    const hasLimits = profile.maxInverterOutputW !== null || profile.maxPanelCapacityW !== null;
     
-    if (isInEurope) {
-      return {
-        maxInverterOutputW: 800,    // German regulation: 800W AC to grid
-        maxPanelCapacityW: 2000,    // German regulation: 2000W DC panels
-        regionName: 'Europe (German Regulations)',
-        applyGermanRules: true,
-        description: 'German balcony solar regulations (800W inverter, 2000W panels)'
-      };
-    } else {
-      return {
-        maxInverterOutputW: null,   // No inverter limit
-        maxPanelCapacityW: null,    // No panel limit
-        regionName: 'Outside Europe',
-        applyGermanRules: false,
-        description: 'No specific regulatory limits applied'
-      };
-    }
+    return {
+      countryCode: profile.countryCode,
+      regionName: isAssumed ? `${profile.countryName} (assumed)` : profile.countryName,
+      maxInverterOutputW: profile.maxInverterOutputW,
+      maxPanelCapacityW: profile.maxPanelCapacityW,
+      registration: profile.registration,
+      notes: profile.notes,
+      hasLimits,
+      isAssumed,
+      description: describeRegulationProfile(profile)
+    };
   }
 }
@@ -0,0 +1,283 @@
+/**
+ * Typical meteorological year (TMY) weather data for the hourly simulation
+ * Holds 8760 hourly values of global horizontal (GHI), direct normal (DNI) and diffuse
+ * horizontal (DHI) irradiance in W/m² plus the ambient temperature in °C, shifted to the
+ * solar time the simulation runs on (hour 12 = solar noon).
+ *
+ * Any object with the same `getHour(dayOfYear, hour)` method can be plugged into
+ * SolarCalculator.setWeatherSource() as a weather data source.
+ */
+export class TmyWeatherData {
+  constructor({ ghi, dni, dhi, temperature, latitude = null, longitude = null, name = 'TMY' }) {
+    this.ghi = ghi;
+    this.dni = dni;
+    this.dhi = dhi;
+    this.temperature = temperature;
+    this.latitude = latitude;
+    this.longitude = longitude;
+    this.name = name;
+  }
+
+  /**
+   * Weather for one hour of the simulation year
+   * @param {number} dayOfYear - Day of the year (1-365)
+   * @param {number} hour - Solar hour (0-23)
+   * @returns {Object} { ghi, dni, dhi, temperature }
+   */
+  getHour(dayOfYear, hour) {
+    const index = (dayOfYear - 1) * 24 + hour;
+    return {
+      ghi: this.ghi[index],
+      dni: this.dni[index],
+      dhi: this.dhi[index],
+      temperature: this.temperature[index]
+    };
+  }
+
+  /**
+   * Global horizontal irradiation of one day in kWh/m² (= peak sun hours)
+   */
+  getDailyIrradiationKwh(dayOfYear) {
+    const start = (dayOfYear - 1) * 24;
+    return this.ghi.slice(start, start + 24).reduce((sum, value) => sum + value, 0) / 1000;
+  }
+
+  /**
+   * Global horizontal irradiation of the whole year in kWh/m²
+   */
+  getAnnualIrradiationKwh() {
+    return this.ghi.reduce((sum, value) => sum + value, 0) / 1000;
+  }
+}
+
+// Column names used by PVGIS, EPW-derived CSVs and pvlib exports
+const COLUMN_ALIASES = {
+  time: ['time(utc)', 'time', 'timestamp', 'datetime', 'date'],
+  ghi: ['g(h)', 'ghi', 'glohorzrad'],
+  dni: ['gb(n)', 'dni', 'dirnormrad'],
+  dhi: ['gd(h)', 'dhi', 'difhorzrad'],
+  temperature: ['t2m', 'temp_air', 'temperature', 'temp', 'drybulb']
+};
+
+/**
+ * TmyImporter - Reads TMY files from PVGIS (CSV) or EnergyPlus (EPW)
+ * PVGIS timestamps are UTC, EPW hours are local standard time at the end of the hour;
+ * both are converted to solar time with the longitude of the file (or of the location).
+ */
+export class TmyImporter {
+  constructor(options = {}) {
+    this.maxLocationDistanceDeg = options.maxLocationDistanceDeg ?? 1; // Warn if the file is for another place
+  }
+
+  /**
+   * Import a File selected by the user
+   * @param {File} file - PVGIS TMY CSV or EPW file
+   * @param {Object} location - { lat, lng } of the analysed location, used when the file has no coordinates
+   * @returns {Promise<Object>} { weatherData, report }
+   */
+  async importFile(file, location = null) {
+    const text = await file.text();
+    return this.importText(text, location, file.name);
+  }
+
+  /**
+   * Import raw file contents
+   * @returns {Object} { weatherData, report }
+   */
+  importText(text, location = null, name = 'TMY') {
+    const isEPW = /^\s*LOCATION,/i.test(text);
+    const parsed = isEPW ? this.parseEPW(text) : this.parseCSV(text);
+
+    const latitude = parsed.latitude ?? location?.lat ?? null;
+    const longitude = parsed.longitude ?? location?.lng ?? null;
+    if (longitude === null) {
+      throw new Error('The weather file has no coordinates; select a location first');
+    }
+
+    const records = this.dropLeapDay(parsed.records);
+    if (records.length !== 8760) {
+      throw new Error(`Expected 8760 hourly rows, found ${records.length}. Please use a full TMY year.`);
+    }
+
+    // Hours between the record index and solar time (ignoring the equation of time);
+    // each record covers one hour, so its values belong to the middle of that hour
+    const solarTimeShift = 0.5 + longitude / 15 - parsed.utcOffsetHours;
+    const series = this.toSolarTime(records, solarTimeShift);
+
+    const weatherData = new TmyWeatherData({ ...series, latitude, longitude, name });
+
+    const warnings = [];
+    if (location && parsed.latitude !== null &&
+      Math.hypot(parsed.latitude - location.lat, parsed.longitude - location.lng) > this.maxLocationDistanceDeg) {
+      warnings.push(`The file is for ${parsed.latitude.toFixed(2)}, ${parsed.longitude.toFixed(2)}, which is far from the selected location`);
+    }
+    if (parsed.skippedRows > 0) {
+      warnings.push(`${parsed.skippedRows} rows could not be read and were set to zero`);
+    }
+
+    const report = {
+      format: isEPW ? 'epw' : 'csv',
+      latitude,
+      longitude,
+      annualGhiKwh: Math.round(weatherData.getAnnualIrradiationKwh()),
+      annualDniKwh: Math.round(series.dni.reduce((sum, value) => sum + value, 0) / 1000),
+      annualDhiKwh: Math.round(series.dhi.reduce((sum, value) => sum + value, 0) / 1000),
+      meanTemperature: Math.round(series.temperature.reduce((sum, value) => sum + value, 0) / 8760 * 10) / 10,
+      warnings
+    };
+
+    console.log('TMY import report:', report);
+
+    return { weatherData, report };
+  }
+
+  /**
+   * Parse an EPW file: 8 header lines, then one row per hour
+   * Columns: year, month, day, hour (1-24), ..., 6 dry bulb, 13 GHI, 14 DNI, 15 DHI
+   */
+  parseEPW(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const location = lines[0].split(',');
+    const records = [];
+    let skippedRows = 0;
+
+    lines.slice(8).forEach(line => {
+      const columns = line.split(',');
+      const values = [6, 13, 14, 15].map(index => parseFloat(columns[index]));
+      if (columns.length < 16 || values.some(isNaN)) {
+        skippedRows++;
+        records.push({ month: null, day: null, ghi: 0, dni: 0, dhi: 0, temperature: null });
+        return;
+      }
+
+      const [temperature, ghi, dni, dhi] = values;
+      records.push({ month: +columns[1], day: +columns[2], ghi, dni, dhi, temperature });
+    });
+
+    return {
+      records,
+      skippedRows,
+      latitude: Number.isFinite(parseFloat(location[6])) ? parseFloat(location[6]) : null,
+      longitude: Number.isFinite(parseFloat(location[7])) ? parseFloat(location[7]) : null,
+      utcOffsetHours: parseFloat(location[8]) || 0 // Hour 1 is 00:00-01:00 local standard time
+    };
+  }
+
+  /**
+   * Parse a CSV with a header row (PVGIS TMY export or similar)
+   * Metadata lines before the header ("Latitude (decimal degrees): 52.5") are read for the coordinates
+   */
+  parseCSV(text) {
+    const lines = text.split(/\r?\n/);
+    let latitude = null;
+    let longitude = null;
+    let headerIndex = -1;
+    let columnIndex = null;
+
+    for (let i = 0; i < lines.length && headerIndex < 0; i++) {
+      const line = lines[i];
+      const coordinate = line.match(/^\s*(latitude|longitude)[^:]*:\s*(-?\d+(?:\.\d+)?)/i);
+      if (coordinate) {
+        if (coordinate[1].toLowerCase() === 'latitude') latitude = parseFloat(coordinate[2]);
+        else longitude = parseFloat(coordinate[2]);
+        continue;
+      }
+
+      const columns = line.split(',').map(column => column.trim().toLowerCase());
+      const indices = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([key, aliases]) =>
+        [key, columns.findIndex(column => aliases.includes(column))]
+      ));
+      if (Object.values(indices).every(index => index >= 0)) {
+        headerIndex = i;
+        columnIndex = indices;
+      }
+    }
+
+    if (headerIndex < 0) {
+      throw new Error('No header with time, GHI, DNI, DHI and temperature columns found');
+    }
+
+    const records = [];
+    let skippedRows = 0;
+    let utcOffsetHours = 0;
+
+    for (const line of lines.slice(headerIndex + 1)) {
+      const columns = line.split(',').map(column => column.trim());
+      const time = this.parseTime(columns[columnIndex.time]);
+      if (!time) break; // PVGIS appends a legend after the data rows
+
+      const values = ['ghi', 'dni', 'dhi', 'temperature'].map(key => parseFloat(columns[columnIndex[key]]));
+      utcOffsetHours = time.offsetHours;
+      if (values.some(isNaN)) {
+        skippedRows++;
+        records.push({ month: time.month, day: time.day, ghi: 0, dni: 0, dhi: 0, temperature: null });
+        continue;
+      }
+
+      const [ghi, dni, dhi, temperature] = values;
+      records.push({ month: time.month, day: time.day, ghi, dni, dhi, temperature });
+    }
+
+    return {
+      records,
+      skippedRows,
+      latitude,
+      longitude,
+      utcOffsetHours // Time stamps mark the start of the hour
+    };
+  }
+
+  /**
+   * Parse "20050101:0010" (PVGIS, UTC) or ISO 8601 time stamps (UTC unless an offset is given)
+   * @returns {Object|null} { month, day, offsetHours }
+   */
+  parseTime(value) {
+    if (!value) return null;
+
+    const pvgis = value.match(/^\d{4}(\d{2})(\d{2}):\d{4}$/);
+    if (pvgis) return { month: +pvgis[1], day: +pvgis[2], offsetHours: 0 };
+
+    const iso = value.match(/^\d{4}-(\d{2})-(\d{2})[T ]\d{2}:\d{2}(?::\d{2})?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+    if (iso) {
+      let offsetHours = 0;
+      if (iso[3] && iso[3].toUpperCase() !== 'Z') {
+        const [, sign, hours, minutes] = iso[3].match(/([+-])(\d{2}):?(\d{2})/);
+        offsetHours = (sign === '-' ? -1 : 1) * (+hours + +minutes / 60);
+      }
+      return { month: +iso[1], day: +iso[2], offsetHours };
+    }
+
+    return null;
+  }
+
+  dropLeapDay(records) {
+    return records.filter(record => !(record.month === 2 && record.day === 29));
+  }
+
+  /**
+   * Resample the records onto the solar-time grid of the simulation
+   * The year is treated as circular, so the first hours borrow from the end of December
+   */
+  toSolarTime(records, solarTimeShift) {
+    const hours = records.length;
+    const knownTemperatures = records.map(record => record.temperature).filter(value => value !== null);
+    const fallbackTemperature = knownTemperatures.length > 0
+      ? knownTemperatures.reduce((sum, value) => sum + value, 0) / knownTemperatures.length
+      : 15;
+
+    const interpolate = (key, slot) => {
+      const position = slot - solarTimeShift; // Record index at this solar hour
+      const lower = Math.floor(position);
+      const fraction = position - lower;
+      const value = (index) => records[((index % hours) + hours) % hours][key] ?? fallbackTemperature;
+      return value(lower) * (1 - fraction) + value(lower + 1) * fraction;
+    };
+
+    const series = { ghi: [], dni: [], dhi: [], temperature: [] };
+    for (let slot = 0; slot < hours; slot++) {
+      Object.keys(series).forEach(key => series[key].push(interpolate(key, slot)));
+    }
+
+    return series;
+  }
+}
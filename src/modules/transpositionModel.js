@@ -0,0 +1,155 @@
+/**
+ * TranspositionModel - Irradiance on the tilted panel plane (plane of array)
+ * Splits the horizontal irradiance into beam, sky-diffuse and ground-reflected parts so that
+ * steep balcony panels still receive diffuse and reflected light while the sun is behind them.
+ * Sky diffuse follows either the isotropic model or the Perez (1990) anisotropic model.
+ */
+
+// Perez et al. (1990) coefficients per sky clearness bin: [f11, f12, f13, f21, f22, f23]
+const PEREZ_COEFFICIENTS = [
+  [-0.008, 0.588, -0.062, -0.060, 0.072, -0.022],
+  [0.130, 0.683, -0.151, -0.019, 0.066, -0.029],
+  [0.330, 0.487, -0.221, 0.055, -0.064, -0.026],
+  [0.568, 0.187, -0.295, 0.109, -0.152, -0.014],
+  [0.873, -0.392, -0.362, 0.226, -0.462, 0.001],
+  [1.132, -1.237, -0.412, 0.288, -0.823, 0.056],
+  [1.060, -1.600, -0.359, 0.264, -1.127, 0.131],
+  [0.678, -0.327, -0.250, 0.156, -1.377, 0.251]
+];
+const PEREZ_CLEARNESS_BINS = [1.065, 1.23, 1.5, 1.95, 2.8, 4.5, 6.2];
+
+const SOLAR_CONSTANT = 1367; // W/m²
+const DEG = Math.PI / 180;
+
+export class TranspositionModel {
+  constructor(options = {}) {
+    this.albedo = options.albedo ?? 0.2; // Ground reflectance: grass ~0.2, concrete ~0.3, snow ~0.8
+    this.skyDiffuseModel = options.skyDiffuseModel ?? 'perez'; // 'perez' or 'isotropic'
+    this.rearStructureLoss = options.rearStructureLoss ?? 0.15; // Rear light lost to railing, frame and mismatch
+  }
+
+  setAlbedo(albedo) {
+    this.albedo = Math.min(1, Math.max(0, Number(albedo) || 0));
+  }
+
+  setSkyDiffuseModel(model) {
+    this.skyDiffuseModel = model === 'isotropic' ? 'isotropic' : 'perez';
+  }
+
+  /**
+   * Extraterrestrial irradiance on a surface normal to the sun (W/m²)
+   */
+  getExtraterrestrialIrradiance(dayOfYear) {
+    return SOLAR_CONSTANT * (1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365));
+  }
+
+  /**
+   * Estimate beam and diffuse parts of the global horizontal irradiance (Erbs et al. 1982)
+   * Used when only GHI is known, e.g. from the clear-sky curve
+   * @returns {Object} { dni, dhi } in W/m²
+   */
+  splitGlobalIrradiance(ghi, sunElevation, dayOfYear) {
+    const sinElevation = Math.sin(sunElevation * DEG);
+    if (ghi <= 0) return { dni: 0, dhi: 0 };
+    if (sunElevation <= 1) return { dni: 0, dhi: ghi }; // Too low for a meaningful clearness index
+
+    const extraterrestrial = this.getExtraterrestrialIrradiance(dayOfYear);
+    const clearnessIndex = Math.min(1, ghi / (extraterrestrial * sinElevation));
+
+    let diffuseFraction;
+    if (clearnessIndex <= 0.22) {
+      diffuseFraction = 1 - 0.09 * clearnessIndex;
+    } else if (clearnessIndex <= 0.8) {
+      diffuseFraction = 0.9511 - 0.1604 * clearnessIndex + 4.388 * clearnessIndex ** 2 -
+        16.638 * clearnessIndex ** 3 + 12.336 * clearnessIndex ** 4;
+    } else {
+      diffuseFraction = 0.165;
+    }
+
+    const dhi = ghi * diffuseFraction;
+    return { dni: Math.min(extraterrestrial, (ghi - dhi) / sinElevation), dhi };
+  }
+
+  /**
+   * Cosine of the angle of incidence between the sun and the panel normal (may be negative)
+   */
+  getIncidenceCosine(sunElevation, sunAzimuth, panelTilt, panelAzimuth) {
+    const elevation = sunElevation * DEG;
+    const tilt = panelTilt * DEG;
+    return Math.sin(elevation) * Math.cos(tilt) +
+      Math.cos(elevation) * Math.sin(tilt) * Math.cos((sunAzimuth - panelAzimuth) * DEG);
+  }
+
+  /**
+   * Irradiance on the panel plane
+   * @param {Object} input - { ghi, dni, dhi } in W/m², sun and panel angles in degrees, dayOfYear
+   * @returns {Object} { beam, skyDiffuse, groundReflected, total } in W/m²
+   */
+  getPlaneOfArrayIrradiance({ ghi, dni, dhi, sunElevation, sunAzimuth, panelTilt, panelAzimuth, dayOfYear }) {
+    const tilt = panelTilt * DEG;
+    const incidenceCosine = this.getIncidenceCosine(sunElevation, sunAzimuth, panelTilt, panelAzimuth);
+
+    const beam = sunElevation > 0 ? dni * Math.max(0, incidenceCosine) : 0;
+    const skyDiffuse = this.skyDiffuseModel === 'perez'
+      ? this.getPerezSkyDiffuse(dni, dhi, sunElevation, incidenceCosine, tilt, dayOfYear)
+      : dhi * (1 + Math.cos(tilt)) / 2;
+    const groundReflected = ghi * this.albedo * (1 - Math.cos(tilt)) / 2;
+
+    return { beam, skyDiffuse, groundReflected, total: beam + skyDiffuse + groundReflected };
+  }
+
+  /**
+   * Irradiance on the back of a bifacial panel: the same model applied to the plane facing
+   * the opposite way (tilt 180° - tilt), less the light blocked by the mounting structure
+   * @param {Object} input - Same as getPlaneOfArrayIrradiance, with the front panel angles
+   * @returns {Object} { beam, skyDiffuse, groundReflected, total } in W/m²
+   */
+  getRearIrradiance(input) {
+    const rear = this.getPlaneOfArrayIrradiance({
+      ...input,
+      panelTilt: 180 - input.panelTilt,
+      panelAzimuth: (input.panelAzimuth + 180) % 360
+    });
+    const transmitted = 1 - this.rearStructureLoss;
+
+    return {
+      beam: rear.beam * transmitted,
+      skyDiffuse: rear.skyDiffuse * transmitted,
+      groundReflected: rear.groundReflected * transmitted,
+      total: rear.total * transmitted
+    };
+  }
+
+  /**
+   * Perez anisotropic sky: isotropic background plus circumsolar and horizon brightening
+   */
+  getPerezSkyDiffuse(dni, dhi, sunElevation, incidenceCosine, tilt, dayOfYear) {
+    if (dhi <= 0) return 0;
+
+    const zenith = (90 - Math.max(0, sunElevation)) * DEG;
+    const cosZenith = Math.cos(zenith);
+
+    // Sky clearness (epsilon) and brightness (delta)
+    const zenithTerm = 1.041 * zenith ** 3;
+    const clearness = ((dhi + dni) / dhi + zenithTerm) / (1 + zenithTerm);
+    const zenithDegrees = zenith / DEG;
+    const airMass = zenithDegrees < 90
+      ? 1 / (cosZenith + 0.50572 * (96.07995 - zenithDegrees) ** -1.6364) // Kasten & Young (1989)
+      : 38;
+    const brightness = dhi * airMass / this.getExtraterrestrialIrradiance(dayOfYear);
+
+    const bin = PEREZ_CLEARNESS_BINS.findIndex(limit => clearness < limit);
+    const [f11, f12, f13, f21, f22, f23] = PEREZ_COEFFICIENTS[bin === -1 ? PEREZ_COEFFICIENTS.length - 1 : bin];
+    const circumsolar = Math.max(0, f11 + f12 * brightness + f13 * zenith);
+    const horizon = f21 + f22 * brightness + f23 * zenith;
+
+    const a = Math.max(0, incidenceCosine);
+    const b = Math.max(Math.cos(85 * DEG), cosZenith);
+
+    return Math.max(0, dhi * (
+      (1 - circumsolar) * (1 + Math.cos(tilt)) / 2 +
+      circumsolar * a / b +
+      horizon * Math.sin(tilt)
+    ));
+  }
+}
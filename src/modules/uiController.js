@@ -1,4 +1,17 @@
-import { getAzimuthDirection } from './utils.js';
+import { getAzimuthDirection, readInputNumber, readKey, readNumber } from './utils.js';
+import { INVERTER_MODELS, getInverterModel } from './inverterModels.js';
+import { ElectricityTariff, ExportCompensation } from './electricityTariffs.js';
+import { TmyWeatherData } from './tmyWeatherData.js';
+
+// Economics and battery inputs of a project
+const ECONOMICS_INPUTS = [
+  'electricityPriceInput', 'tariffTypeSelect', 'lowPriceInput', 'lowStartHourInput', 'lowEndHourInput',
+  'lowRateWeekendsInput', 'priceSurchargeInput', 'exportCompensationSelect', 'feedInTariffInput',
+  'marketValueInput', 'annualConsumptionInput', 'costPanelsInput', 'costInverterInput', 'costMountingInput',
+  'firstYearDegradationInput', 'annualDegradationInput', 'priceInflationInput', 'discountRateInput',
+  'lifetimeYearsInput', 'batteryCapacityInput', 'batteryPowerInput', 'batteryEfficiencyInput',
+  'batteryMinSocInput', 'batteryCostInput'
+];
 
 /**
  * UIController - Handles UI state management and user interactions
@@ -14,6 +27,7 @@ export class UIController {
       // Main buttons
       calculateSolarBtn: document.getElementById('calculate-solar'),
       newAnalysisBtn: document.getElementById('new-analysis'),
+      shareProjectBtn: document.getElementById('share-project'),
       
       // Location search
       addressSearchInput: document.getElementById('address-search'),
@@ -23,11 +37,21 @@ export class UIController {
       // Standard View
       standardAnnualEnergy: document.getElementById('standard-annual-energy'),
       standardAnnualSavings: document.getElementById('standard-annual-savings'),
+      standardSavingsSplit: document.getElementById('standard-savings-split'),
+      standardDataSource: document.getElementById('standard-data-source'),
       
       // Nerds View: Energy
       nerdsAnnualEnergy: document.getElementById('nerds-annual-energy'),
       nerdsDailyEnergy: document.getElementById('nerds-daily-energy'),
       nerdsPeakSunHours: document.getElementById('nerds-peak-sun-hours'),
+      nerdsIrradianceSource: document.getElementById('nerds-irradiance-source'),
+      nerdsProfileSource: document.getElementById('nerds-profile-source'),
+      nerdsPoaIrradiation: document.getElementById('nerds-poa-irradiation'),
+      nerdsTemperatureLoss: document.getElementById('nerds-temperature-loss'),
+      nerdsInverterLoss: document.getElementById('nerds-inverter-loss'),
+      nerdsBifacialGain: document.getElementById('nerds-bifacial-gain'),
+      nerdsShadingLoss: document.getElementById('nerds-shading-loss'),
+      nerdsOverhangLoss: document.getElementById('nerds-overhang-loss'),
       
       // Nerds View: System
       nerdsPanelCount: document.getElementById('nerds-panel-count'),
@@ -36,15 +60,102 @@ export class UIController {
       nerdsPanelAzimuth: document.getElementById('nerds-panel-azimuth'),
       nerdsPanelTilt: document.getElementById('nerds-panel-tilt'),
       nerdsSystemEfficiency: document.getElementById('nerds-system-efficiency'),
+      nerdsSegmentDetails: document.getElementById('nerds-segment-details'),
+      nerdsSegmentBreakdown: document.getElementById('nerds-segment-breakdown'),
+      
+      // Nerds View: Split System
+      nerdsSplitSection: document.getElementById('nerds-split-section'),
+      nerdsSplitEnergy: document.getElementById('nerds-split-energy'),
+      nerdsSplitReferenceLabel: document.getElementById('nerds-split-reference-label'),
+      nerdsSplitReferenceEnergy: document.getElementById('nerds-split-reference-energy'),
+      nerdsSplitClipping: document.getElementById('nerds-split-clipping'),
+      nerdsSplitPeak: document.getElementById('nerds-split-peak'),
+      nerdsSplitChart: document.getElementById('nerds-split-chart'),
+      nerdsSplitSummary: document.getElementById('nerds-split-summary'),
       
       // Nerds View: Economics
       nerdsAnnualSavings: document.getElementById('nerds-annual-savings'),
       nerdsLifetimeSavings: document.getElementById('nerds-lifetime-savings'),
       nerdsCo2Reduction: document.getElementById('nerds-co2-reduction'),
       electricityPriceInput: document.getElementById('electricity-price'),
+      electricityPriceLabel: document.getElementById('electricity-price-label'),
+      nerdsAverageSavedPrice: document.getElementById('nerds-average-saved-price'),
+      nerdsSelfConsumptionSavings: document.getElementById('nerds-self-consumption-savings'),
+      nerdsExportIncome: document.getElementById('nerds-export-income'),
+      
+      // Electricity tariff
+      tariffTypeSelect: document.getElementById('tariff-type'),
+      tariffTimeOfUseGroup: document.querySelector('.tariff-time-of-use'),
+      lowPriceInput: document.getElementById('low-price'),
+      lowStartHourInput: document.getElementById('low-start-hour'),
+      lowEndHourInput: document.getElementById('low-end-hour'),
+      lowRateWeekendsInput: document.getElementById('low-rate-weekends'),
+      tariffImportGroup: document.querySelector('.tariff-import'),
+      tariffFileInput: document.getElementById('tariff-file'),
+      tariffStatus: document.getElementById('tariff-status'),
+      tariffWarnings: document.getElementById('tariff-warnings'),
+      priceSurchargeInput: document.getElementById('price-surcharge'),
+      
+      // Export compensation
+      exportCompensationSelect: document.getElementById('export-compensation'),
+      feedInTariffInput: document.getElementById('feed-in-tariff'),
+      marketValueInput: document.getElementById('market-value'),
+      annualConsumptionInput: document.getElementById('annual-consumption'),
+      costPanelsInput: document.getElementById('cost-panels'),
+      costInverterInput: document.getElementById('cost-inverter'),
+      costMountingInput: document.getElementById('cost-mounting'),
+      firstYearDegradationInput: document.getElementById('first-year-degradation'),
+      annualDegradationInput: document.getElementById('annual-degradation'),
+      priceInflationInput: document.getElementById('price-inflation'),
+      discountRateInput: document.getElementById('discount-rate'),
+      lifetimeYearsInput: document.getElementById('lifetime-years'),
+      nerdsLifetimeSavingsLabel: document.getElementById('nerds-lifetime-savings-label'),
+      nerdsTotalInvestment: document.getElementById('nerds-total-investment'),
+      nerdsPaybackYear: document.getElementById('nerds-payback-year'),
+      nerdsRoi: document.getElementById('nerds-roi'),
+      nerdsNpv: document.getElementById('nerds-npv'),
+      nerdsCashflowTable: document.getElementById('nerds-cashflow-table'),
+      nerdsForecastChart: document.getElementById('nerds-forecast-chart'),
+      nerdsForecastSummary: document.getElementById('nerds-forecast-summary'),
+      
+      // Nerds View: Self-Consumption
+      nerdsSelfConsumed: document.getElementById('nerds-self-consumed'),
+      nerdsGridExport: document.getElementById('nerds-grid-export'),
+      nerdsSelfConsumptionRate: document.getElementById('nerds-self-consumption-rate'),
+      nerdsAutarkyRate: document.getElementById('nerds-autarky-rate'),
+      nerdsLoadProfileSource: document.getElementById('nerds-load-profile-source'),
+      loadProfileFileInput: document.getElementById('load-profile-file'),
+      resetLoadProfileBtn: document.getElementById('reset-load-profile'),
+      loadProfileWarnings: document.getElementById('load-profile-warnings'),
+      
+      // Weather file import
+      tmyFileInput: document.getElementById('tmy-file'),
+      resetTmyBtn: document.getElementById('reset-tmy'),
+      tmyStatus: document.getElementById('tmy-status'),
+      tmyWarnings: document.getElementById('tmy-warnings'),
+      albedoInput: document.getElementById('albedo'),
+      skyDiffuseModelSelect: document.getElementById('sky-diffuse-model'),
+      inverterModelSelect: document.getElementById('inverter-model'),
+      inverterInfo: document.getElementById('inverter-info'),
+      
+      // Nerds View: Battery
+      batteryCapacityInput: document.getElementById('battery-capacity'),
+      batteryPowerInput: document.getElementById('battery-power'),
+      batteryEfficiencyInput: document.getElementById('battery-efficiency'),
+      batteryMinSocInput: document.getElementById('battery-min-soc'),
+      batteryCostInput: document.getElementById('battery-cost'),
+      nerdsBatteryExtraSelfConsumption: document.getElementById('nerds-battery-extra-self-consumption'),
+      nerdsBatteryReducedClipping: document.getElementById('nerds-battery-reduced-clipping'),
+      nerdsBatteryAddedSavings: document.getElementById('nerds-battery-added-savings'),
+      nerdsBatteryPayback: document.getElementById('nerds-battery-payback'),
+      nerdsBatteryCycles: document.getElementById('nerds-battery-cycles'),
       
       // Nerds View: Compliance
       nerdsComplianceStatus: document.getElementById('nerds-compliance-status'),
+      nerdsInverterIssues: document.getElementById('nerds-inverter-issues'),
+      nerdsRegulationRegion: document.getElementById('nerds-regulation-region'),
+      nerdsRegulationRegistration: document.getElementById('nerds-regulation-registration'),
+      nerdsRegulationNotes: document.getElementById('nerds-regulation-notes'),
       nerdsDcLimit: document.getElementById('nerds-dc-limit'),
       nerdsAcLimit: document.getElementById('nerds-ac-limit'),
 
@@ -57,6 +168,10 @@ export class UIController {
       nerdsSummerMonthly: document.getElementById('nerds-summer-monthly'),
       nerdsFallDaily: document.getElementById('nerds-fall-daily'),
       nerdsFallMonthly: document.getElementById('nerds-fall-monthly'),
+
+      // Nerds View: Monthly
+      nerdsMonthlyChart: document.getElementById('nerds-monthly-chart'),
+      nerdsMonthlySummary: document.getElementById('nerds-monthly-summary'),
       
       // View Containers & Toggles
       standardView: document.getElementById('standard-view'),
@@ -79,9 +194,125 @@ export class UIController {
       this.resetAnalysis();
     });
 
+    this.elements.shareProjectBtn?.addEventListener('click', () => {
+      this.shareProject();
+    });
+
     // Electricity price input
     this.elements.electricityPriceInput?.addEventListener('input', (e) => {
       this.updateEconomicsCalculations();
+      this.updateBatteryAnalysis();
+    });
+
+    // Tariff settings
+    this.elements.tariffTypeSelect?.addEventListener('change', () => {
+      this.showTariffControls();
+      this.updateEconomicsCalculations();
+      this.updateBatteryAnalysis();
+    });
+
+    [
+      this.elements.lowPriceInput,
+      this.elements.lowStartHourInput,
+      this.elements.lowEndHourInput,
+      this.elements.lowRateWeekendsInput,
+      this.elements.priceSurchargeInput
+    ].forEach(input => {
+      input?.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+        this.updateEconomicsCalculations();
+        this.updateBatteryAnalysis();
+      });
+    });
+
+    this.elements.exportCompensationSelect?.addEventListener('change', () => {
+      this.showExportCompensationControls();
+      this.updateEconomicsCalculations();
+      this.updateBatteryAnalysis();
+    });
+
+    [this.elements.feedInTariffInput, this.elements.marketValueInput].forEach(input => {
+      input?.addEventListener('input', () => {
+        this.updateEconomicsCalculations();
+        this.updateBatteryAnalysis();
+      });
+    });
+
+    this.elements.tariffFileInput?.addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      if (file) this.importTariffPrices(file);
+    });
+
+    // Household consumption input
+    this.elements.annualConsumptionInput?.addEventListener('input', (e) => {
+      this.updateSelfConsumption();
+      this.updateEconomicsCalculations();
+    });
+
+    // Investment inputs
+    [
+      this.elements.costPanelsInput,
+      this.elements.costInverterInput,
+      this.elements.costMountingInput,
+      this.elements.firstYearDegradationInput,
+      this.elements.annualDegradationInput,
+      this.elements.priceInflationInput,
+      this.elements.discountRateInput,
+      this.elements.lifetimeYearsInput
+    ].forEach(input => {
+      input?.addEventListener('input', () => {
+        this.updateEconomicsCalculations();
+      });
+    });
+
+    // Smart meter load profile import
+    this.elements.loadProfileFileInput?.addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      if (file) this.importLoadProfile(file);
+    });
+
+    this.elements.resetLoadProfileBtn?.addEventListener('click', () => {
+      this.clearCustomLoadProfile();
+    });
+
+    // TMY weather file import
+    this.elements.tmyFileInput?.addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      if (file) this.importWeatherData(file);
+    });
+
+    this.elements.resetTmyBtn?.addEventListener('click', () => {
+      this.clearWeatherData();
+    });
+
+    // Plane-of-array transposition settings
+    this.elements.albedoInput?.addEventListener('input', (e) => {
+      this.app.solarCalculator.transpositionModel.setAlbedo(e.target.value);
+    });
+
+    this.elements.skyDiffuseModelSelect?.addEventListener('change', (e) => {
+      this.app.solarCalculator.transpositionModel.setSkyDiffuseModel(e.target.value);
+    });
+
+    // Microinverter model
+    INVERTER_MODELS.forEach(model => {
+      this.elements.inverterModelSelect?.add(new Option(`${model.name} (${model.maxAcOutputW} W, ${model.inputs} inputs)`, model.id));
+    });
+
+    this.elements.inverterModelSelect?.addEventListener('change', (e) => {
+      this.selectInverter(e.target.value);
+    });
+
+    // Battery inputs
+    [
+      this.elements.batteryCapacityInput,
+      this.elements.batteryPowerInput,
+      this.elements.batteryEfficiencyInput,
+      this.elements.batteryMinSocInput,
+      this.elements.batteryCostInput
+    ].forEach(input => {
+      input?.addEventListener('input', () => {
+        this.updateBatteryAnalysis();
+      });
     });
   }
 
@@ -95,9 +326,17 @@ export class UIController {
     this.showStep(4);
 
     try {
-      const panelConfig = this.app.panelController.panelLine.panelConfig;
-      const panelAzimuth = this.app.panelController.panelLine.panelAzimuth;
-      const panelTilt = this.app.panelController.panelTilt;
+      // Combined configuration of all mounting lines; the largest line is the primary orientation
+      const panelConfig = this.app.panelController.getSystemConfig();
+      const primarySegment = panelConfig.segments.reduce((largest, segment) =>
+        segment.totalWattage > largest.totalWattage ? segment : largest
+      );
+      const panelAzimuth = primarySegment.panelAzimuth;
+      const panelTilt = primarySegment.panelTilt;
+      
+      // Obstacle shading is evaluated from the position of the panels
+      this.app.shadingController.cancelObstacleDrawing();
+      this.app.shadingController.updateObserver();
 
       const solarResults = await this.app.solarCalculator.calculatePanelSolarData(
         this.app.selectedLocation,
@@ -144,11 +383,22 @@ export class UIController {
   populateStandardView(germanOutput) {
     // Store the german output for economics updates
     this.currentGermanOutput = germanOutput;
+    this.updateSelfConsumption();
     
     // Standard View - Simple and clean
     if (this.elements.standardAnnualEnergy) {
       this.elements.standardAnnualEnergy.textContent = `${germanOutput.annualEnergyProduction} kWh`;
     }
+    if (this.elements.standardDataSource) {
+      const notes = {
+        'tmy': `Based on the hourly weather file ${germanOutput.weatherFileName}`,
+        'solar-layers': 'Based on measured sunlight and shade at your panel lines (Google Solar API)',
+        'local-flux': 'Based on measured annual sunlight at your panel lines (Google Solar API)',
+        'building-insights': 'Based on the sunniest part of the nearest roof (Google Solar API)',
+        'fallback': 'Based on regional averages (no Solar API data for this location)'
+      };
+      this.elements.standardDataSource.textContent = notes[germanOutput.irradianceSource] || '';
+    }
     
     // Update savings with current electricity price
     this.updateEconomicsCalculations();
@@ -156,10 +406,9 @@ export class UIController {
 
   populateNerdsView(germanOutput, panelConfig, panelAzimuth, panelTilt, efficiency) {
     const {
-      nerdsAnnualEnergy, nerdsDailyEnergy, nerdsPeakSunHours,
+      nerdsAnnualEnergy, nerdsDailyEnergy, nerdsPeakSunHours, nerdsIrradianceSource, nerdsProfileSource, nerdsPoaIrradiation, nerdsTemperatureLoss, nerdsBifacialGain, nerdsInverterLoss, nerdsShadingLoss, nerdsOverhangLoss,
       nerdsPanelCount, nerdsDcPower, nerdsPanelArea, nerdsPanelAzimuth, nerdsPanelTilt, nerdsSystemEfficiency,
       nerdsAnnualSavings, nerdsLifetimeSavings, nerdsCo2Reduction,
-      nerdsComplianceStatus, nerdsDcLimit, nerdsAcLimit
     } = this.elements;
 
     // Store the german output for economics updates
@@ -169,6 +418,52 @@ export class UIController {
     if (nerdsAnnualEnergy) nerdsAnnualEnergy.textContent = `${germanOutput.annualEnergyProduction} kWh/year`;
     if (nerdsDailyEnergy) nerdsDailyEnergy.textContent = `${(germanOutput.annualEnergyProduction / 365).toFixed(2)} kWh/day`;
     if (nerdsPeakSunHours) nerdsPeakSunHours.textContent = `${germanOutput.peakSunHours.toFixed(2)} hours/day`;
+    if (nerdsIrradianceSource) {
+      const sources = {
+        'tmy': `Weather file (${germanOutput.weatherFileName})`,
+        'solar-layers': `Flux layers at your lines (${Math.round(germanOutput.localFlux?.annualFluxKwhPerKw)} kWh/kW)`,
+        'local-flux': `Flux at your lines (${Math.round(germanOutput.localFlux?.annualFluxKwhPerKw)} kWh/kW)`,
+        'building-insights': 'Roof maximum (Solar API)',
+        'fallback': 'Regional average'
+      };
+      nerdsIrradianceSource.textContent = sources[germanOutput.irradianceSource] || '--';
+    }
+    if (nerdsProfileSource) {
+      const seasonal = { 'tmy': 'Weather file', 'monthly-flux': 'Monthly flux layer' }[germanOutput.seasonalProfileSource] || 'Weather model';
+      const daily = { 'tmy': 'measured hours', 'hourly-shade': 'hourly shade layers' }[germanOutput.dailyProfileSource] || 'clear-sky curve';
+      nerdsProfileSource.textContent = `${seasonal} / ${daily}`;
+    }
+    if (nerdsPoaIrradiation) {
+      const { totalKwh, beamKwh, skyDiffuseKwh, groundReflectedKwh } = germanOutput.planeOfArrayIrradiation;
+      const model = germanOutput.skyDiffuseModel === 'perez' ? 'Perez' : 'isotropic';
+      nerdsPoaIrradiation.textContent = `${totalKwh} kWh/m² (direct ${beamKwh}, sky ${skyDiffuseKwh}, ground ${groundReflectedKwh}; ${model}, albedo ${germanOutput.albedo})`;
+    }
+    if (nerdsTemperatureLoss) {
+      const cellTemperature = germanOutput.maxCellTemperature !== null ? `, cells up to ${germanOutput.maxCellTemperature} °C` : '';
+      nerdsTemperatureLoss.textContent =
+        `${germanOutput.energyLostToTemperature} kWh (${germanOutput.temperatureLossPercentage}%${cellTemperature})`;
+    }
+    if (nerdsBifacialGain) {
+      nerdsBifacialGain.textContent = germanOutput.isBifacial
+        ? `+${germanOutput.bifacialGain} kWh (+${germanOutput.bifacialGainPercentage}%, ${germanOutput.planeOfArrayIrradiation.rearKwh} kWh/m² on the back)`
+        : 'Monofacial panels';
+    }
+    if (nerdsInverterLoss) {
+      nerdsInverterLoss.textContent = germanOutput.inverter
+        ? `${germanOutput.energyLostToConversion} kWh conversion (${germanOutput.conversionLossPercentage}%), ` +
+          `${germanOutput.energyLostToInputClipping} kWh input clipping`
+        : 'Ideal inverter';
+    }
+    if (nerdsShadingLoss) {
+      nerdsShadingLoss.textContent = germanOutput.hasShading
+        ? `${germanOutput.energyLostToShading} kWh (${germanOutput.shadingLossPercentage}%)`
+        : 'No shading entered';
+    }
+    if (nerdsOverhangLoss) {
+      nerdsOverhangLoss.textContent = germanOutput.hasOverhang
+        ? `${germanOutput.energyLostToOverhang} kWh (${germanOutput.overhangLossPercentage}%)`
+        : 'No overhang entered';
+    }
     
     // System Configuration Section
     if (nerdsPanelCount) nerdsPanelCount.textContent = `${panelConfig.panelCount} panels`;
@@ -177,57 +472,337 @@ export class UIController {
     if (nerdsPanelAzimuth) nerdsPanelAzimuth.textContent = `${Math.round(panelAzimuth)}° (${getAzimuthDirection(panelAzimuth)})`;
     if (nerdsPanelTilt) nerdsPanelTilt.textContent = `${panelTilt}° (${panelTilt === 90 ? 'Vertical' : 'Tilted'})`;
     if (nerdsSystemEfficiency) nerdsSystemEfficiency.textContent = `${(efficiency * 100).toFixed(1)}%`;
+    this.renderSegmentBreakdown(germanOutput.segments);
     
     // Economics Section - will be updated by updateEconomicsCalculations()
     this.updateEconomicsCalculations();
     
     // Regional Compliance Section
+    this.populateRegulations(germanOutput);
+    
+    // Seasonal Analysis Section
+    if (germanOutput.seasonalData?.length > 0) {
+      this.populateSeasonalData(germanOutput.seasonalData);
+    }
+    
+    // Monthly Production Section
+    if (germanOutput.monthlyData?.length === 12) {
+      this.renderMonthlyChart(germanOutput.monthlyData);
+    }
+    
+    // Split System Section
+    this.renderSplitComparison(germanOutput.splitComparison);
+  }
+
+  /**
+   * Per-line results of a multi-line layout (hidden for a single line)
+   */
+  renderSegmentBreakdown(segments) {
+    const { nerdsSegmentDetails, nerdsSegmentBreakdown } = this.elements;
+    if (!nerdsSegmentDetails || !nerdsSegmentBreakdown) return;
+    
+    if (!segments || segments.length < 2) {
+      nerdsSegmentDetails.classList.add('hidden');
+      return;
+    }
+    
+    nerdsSegmentBreakdown.innerHTML = segments.map(segment =>
+      `<li>${segment.label}: ${segment.panelCount} panels, ${segment.totalWattage}W DC, ` +
+      `${Math.round(segment.panelAzimuth)}° (${getAzimuthDirection(segment.panelAzimuth)}), ${segment.panelTilt}° tilt, ` +
+      `${(segment.efficiency * 100).toFixed(1)}% efficiency, ${segment.annualEnergyKwh} kWh/year</li>`
+    ).join('');
+    nerdsSegmentDetails.classList.remove('hidden');
+  }
+
+  populateRegulations(germanOutput) {
+    const {
+      nerdsComplianceStatus, nerdsInverterIssues, nerdsDcLimit, nerdsAcLimit,
+      nerdsRegulationRegion, nerdsRegulationRegistration, nerdsRegulationNotes
+    } = this.elements;
+    const regulations = germanOutput.regulations;
+    const formatLimit = (limitW) => limitW !== null ? `${limitW}W` : 'No limit';
+    
+    if (nerdsRegulationRegion) nerdsRegulationRegion.textContent = regulations.regionName;
+    if (nerdsDcLimit) nerdsDcLimit.textContent = formatLimit(regulations.maxPanelCapacityW);
+    if (nerdsAcLimit) nerdsAcLimit.textContent = formatLimit(regulations.maxInverterOutputW);
+    
     if (nerdsComplianceStatus) {
-      let status = 'Compliant';
-      let className = 'compliance-good';
+      let status;
+      let className;
       
-      // Update regulatory limit displays
-      const { nerdsDcLimit, nerdsAcLimit } = this.elements;
-      
-      if (!germanOutput.isInEurope) {
-        // For locations outside Europe
-        status = `${germanOutput.regionName} - No limits applied`;
+      if (!regulations.hasLimits) {
+        status = `${regulations.regionName} - No limits applied`;
         className = 'compliance-info';
-        if (nerdsDcLimit) nerdsDcLimit.textContent = 'No limit';
-        if (nerdsAcLimit) nerdsAcLimit.textContent = 'No limit';
+      } else if (germanOutput.exceedsPanelLimit) {
+        status = `Exceeds ${regulations.maxPanelCapacityW}W DC limit (${regulations.regionName})`;
+        className = 'compliance-error';
+      } else if (germanOutput.exceedsInverterCapacity) {
+        status = `Exceeds ${regulations.maxInverterOutputW}W AC limit (${regulations.regionName})`;
+        className = 'compliance-error';
+      } else if (germanOutput.exceedsInverterInputLimits) {
+        status = `Panels exceed the ${germanOutput.inverter.name} input limits`;
+        className = 'compliance-warning';
+      } else if (germanOutput.isClippingSignificant) {
+        status = 'Compliant but oversized (clipping)';
+        className = 'compliance-warning';
       } else {
-        // For European locations with German regulations
-        if (nerdsDcLimit) nerdsDcLimit.textContent = '2000W';
-        if (nerdsAcLimit) nerdsAcLimit.textContent = '800W';
-        
-        if (germanOutput.exceedsPanelLimit) {
-          status = 'Exceeds 2000W DC limit (German regulations)';
-          className = 'compliance-error';
-        } else if (germanOutput.exceedsInverterCapacity) {
-          status = 'Exceeds 800W AC limit (German regulations)';
-          className = 'compliance-error';
-        } else if (germanOutput.isClippingSignificant) {
-          status = 'Compliant but oversized (clipping)';
-          className = 'compliance-warning';
-        } else {
-          status = 'Compliant with German regulations';
-          className = 'compliance-good';
-        }
+        status = `Compliant with ${regulations.regionName} regulations`;
+        className = 'compliance-good';
       }
       
       nerdsComplianceStatus.textContent = status;
       nerdsComplianceStatus.className = `compliance-status ${className}`;
     }
     
-    // DC and AC Limits
-    if (nerdsDcLimit && nerdsAcLimit) {
-      nerdsDcLimit.textContent = `${germanOutput.dcLimit}W DC, ${germanOutput.acLimit}W AC`;
+    if (nerdsRegulationRegistration) {
+      nerdsRegulationRegistration.innerHTML = regulations.registration.length > 0
+        ? regulations.registration.map(step => `<li>${step}</li>`).join('')
+        : '<li>No registration requirements known</li>';
     }
+    if (nerdsRegulationNotes) nerdsRegulationNotes.textContent = regulations.notes;
     
-    // Seasonal Analysis Section
-    if (germanOutput.seasonalData?.length > 0) {
-      this.populateSeasonalData(germanOutput.seasonalData);
+    if (nerdsInverterIssues) {
+      const messages = germanOutput.inverterCheck
+        ? [...germanOutput.inverterCheck.issues, ...germanOutput.inverterCheck.notes]
+        : [];
+      nerdsInverterIssues.innerHTML = messages.map(message => `<li>${message}</li>`).join('');
+      nerdsInverterIssues.classList.toggle('hidden', messages.length === 0);
+    }
+  }
+
+  /**
+   * Use a microinverter model from the catalogue, or the ideal inverter
+   */
+  selectInverter(id) {
+    const inverter = getInverterModel(id);
+    this.app.solarCalculator.setInverter(inverter);
+    
+    if (this.elements.inverterInfo) {
+      this.elements.inverterInfo.textContent = inverter
+        ? `${inverter.inputs} × up to ${inverter.maxPvPowerPerInputW} Wp, ${inverter.maxInputCurrentA} A, ` +
+          `MPPT ${inverter.mpptVoltageRangeV.join('-')} V, ${inverter.maxAcOutputW} W AC`
+        : 'Pick a microinverter to include its conversion losses and per-input limits';
+    }
+  }
+
+  /**
+   * Irradiance and inverter settings of step 3 for a project link
+   * An imported weather file is not part of the link; the recipient gets the built-in model
+   */
+  getShareState() {
+    const { transpositionModel, inverter } = this.app.solarCalculator;
+    return {
+      albedo: transpositionModel.albedo,
+      skyDiffuseModel: transpositionModel.skyDiffuseModel,
+      inverterId: inverter?.id || null
+    };
+  }
+
+  /**
+   * Check the step 3 settings of a project link
+   * @throws {Error} When a value is not a number or not a known option
+   */
+  readShareState(state) {
+    return {
+      albedo: readInputNumber(state.albedo ?? this.app.solarCalculator.transpositionModel.albedo, 'albedo'),
+      skyDiffuseModel: readKey(state.skyDiffuseModel ?? 'perez', ['perez', 'isotropic']),
+      inverterId: readKey(state.inverterId ?? null, [null, ...INVERTER_MODELS.map(model => model.id)])
+    };
+  }
+
+  applyShareState(state) {
+    const { transpositionModel } = this.app.solarCalculator;
+    transpositionModel.setAlbedo(state.albedo);
+    transpositionModel.setSkyDiffuseModel(state.skyDiffuseModel);
+    if (this.elements.albedoInput) this.elements.albedoInput.value = transpositionModel.albedo;
+    if (this.elements.skyDiffuseModelSelect) this.elements.skyDiffuseModelSelect.value = transpositionModel.skyDiffuseModel;
+
+    this.selectInverter(state.inverterId);
+    if (this.elements.inverterModelSelect) {
+      this.elements.inverterModelSelect.value = this.app.solarCalculator.inverter?.id || 'ideal';
+    }
+  }
+
+  /**
+   * Economics and battery inputs of a saved project, by input id
+   */
+  getEconomicsState() {
+    return Object.fromEntries(ECONOMICS_INPUTS
+      .map(key => this.elements[key])
+      .filter(Boolean)
+      .map(input => [input.id, input.type === 'checkbox' ? input.checked : input.value]));
+  }
+
+  /**
+   * Check the economics inputs of a project; numbers are clamped to the input limits
+   * Inputs this version does not know are ignored
+   * @throws {Error} When a value does not fit its input
+   */
+  readEconomicsState(state) {
+    return Object.fromEntries(ECONOMICS_INPUTS
+      .map(key => this.elements[key])
+      .filter(input => input && input.id in state)
+      .map(input => {
+        const value = state[input.id];
+        if (input.type === 'checkbox') return [input.id, readKey(value, [true, false])];
+        if (input.tagName === 'SELECT') return [input.id, readKey(value, Array.from(input.options, option => option.value))];
+        // An input left empty stays empty
+        if (value === '') return [input.id, value];
+        return [input.id, String(readNumber(parseFloat(value), parseFloat(input.min), parseFloat(input.max)))];
+      }));
+  }
+
+  applyEconomicsState(state) {
+    ECONOMICS_INPUTS.map(key => this.elements[key]).filter(input => input && input.id in state).forEach(input => {
+      if (input.type === 'checkbox') {
+        input.checked = !!state[input.id];
+      } else {
+        input.value = state[input.id];
+      }
+    });
+
+    this.showTariffControls();
+    this.showExportCompensationControls();
+  }
+
+  /**
+   * Names of the imported files, null where the built-in data is used
+   */
+  getImportedFileNames() {
+    return {
+      loadProfile: this.customLoadProfile?.fileName || null,
+      tariffPrices: this.tariffPrices?.fileName || null,
+      weather: this.app.solarCalculator.weatherSource?.name || null
+    };
+  }
+
+  /**
+   * Imported load profile, price series and weather data for a saved project
+   * IndexedDB keeps the hourly arrays that are too large for a project link
+   */
+  getImportedData() {
+    const weatherData = this.app.solarCalculator.weatherSource;
+    return {
+      loadProfile: this.customLoadProfile || null,
+      tariffPrices: this.tariffPrices || null,
+      weather: weatherData ? { weatherData, report: this.weatherReport } : null
+    };
+  }
+
+  applyImportedData({ loadProfile = null, tariffPrices = null, weather = null }) {
+    this.customLoadProfile = loadProfile;
+    this.showLoadProfileStatus();
+
+    this.tariffPrices = tariffPrices;
+    this.showTariffStatus();
+
+    // The store keeps plain objects; the simulation needs the TmyWeatherData methods
+    this.app.solarCalculator.setWeatherSource(weather ? new TmyWeatherData(weather.weatherData) : null);
+    this.weatherReport = weather?.report || null;
+    this.showWeatherDataStatus();
+  }
+
+  /**
+   * Key figures of the current results for the project list
+   */
+  getResultsSummary() {
+    const output = this.currentGermanOutput;
+    const investment = this.currentInvestment;
+    if (!output || !investment) return null;
+
+    const config = this.app.panelController.getSystemConfig();
+    return {
+      panelCount: config.panelCount,
+      totalWattage: config.totalWattage,
+      annualEnergyKwh: output.annualEnergyProduction,
+      annualSavings: this.currentAnnualSavings,
+      paybackYear: investment.paybackYear,
+      npv: Math.round(investment.npv)
+    };
+  }
+
+  renderMonthlyChart(monthlyData) {
+    const { nerdsMonthlyChart, nerdsMonthlySummary } = this.elements;
+    if (!nerdsMonthlyChart) return;
+    
+    const maxEnergy = Math.max(...monthlyData.map(month => month.energyKwh), 0.1);
+    
+    nerdsMonthlyChart.innerHTML = monthlyData.map(month => {
+      const height = Math.max(1, (month.energyKwh / maxEnergy) * 100);
+      const tooltip = `${month.name}: ${month.energyKwh.toFixed(1)} kWh (${month.dailyAverageKwh.toFixed(2)} kWh/day), ` +
+        `Peak sun hours: ${month.peakSunHours.toFixed(0)} hrs, Clipping: ${month.clippingLossPercent.toFixed(1)}%`;
+      
+      return `
+        <div class="monthly-bar" title="${tooltip}">
+          <span class="monthly-bar-value">${Math.round(month.energyKwh)}</span>
+          <div class="monthly-bar-track">
+            <div class="monthly-bar-fill${month.clippingLossPercent > 5 ? ' clipped' : ''}" style="height: ${height}%"></div>
+          </div>
+          <span class="monthly-bar-label">${month.name}</span>
+        </div>
+      `;
+    }).join('');
+    
+    if (nerdsMonthlySummary) {
+      const best = monthlyData.reduce((prev, curr) => curr.energyKwh > prev.energyKwh ? curr : prev);
+      const worst = monthlyData.reduce((prev, curr) => curr.energyKwh < prev.energyKwh ? curr : prev);
+      const ratio = worst.energyKwh > 0 ? (best.energyKwh / worst.energyKwh).toFixed(1) : '∞';
+      nerdsMonthlySummary.textContent = `kWh per month. Best: ${best.name} ${best.energyKwh.toFixed(0)} kWh, ` +
+        `worst: ${worst.name} ${worst.energyKwh.toFixed(0)} kWh (${ratio}× difference)`;
+    }
+  }
+
+  /**
+   * Combined hourly curve of a split layout against a single equator-facing array
+   */
+  renderSplitComparison(comparison) {
+    const {
+      nerdsSplitSection, nerdsSplitEnergy, nerdsSplitReferenceLabel, nerdsSplitReferenceEnergy,
+      nerdsSplitClipping, nerdsSplitPeak, nerdsSplitChart, nerdsSplitSummary
+    } = this.elements;
+    if (!nerdsSplitSection) return;
+    
+    if (!comparison) {
+      nerdsSplitSection.classList.add('hidden');
+      return;
+    }
+    
+    const { split, reference } = comparison;
+    const referenceDirection = getAzimuthDirection(comparison.referenceAzimuth);
+    
+    if (nerdsSplitEnergy) nerdsSplitEnergy.textContent = `${split.annualEnergyKwh} kWh/year`;
+    if (nerdsSplitReferenceLabel) nerdsSplitReferenceLabel.textContent = `Single Array (${referenceDirection}, ${comparison.referenceTilt}°)`;
+    if (nerdsSplitReferenceEnergy) nerdsSplitReferenceEnergy.textContent = `${reference.annualEnergyKwh} kWh/year`;
+    if (nerdsSplitClipping) nerdsSplitClipping.textContent = `${split.clippingLossPercentage}% / ${reference.clippingLossPercentage}%`;
+    if (nerdsSplitPeak) nerdsSplitPeak.textContent = `${split.maxInstantaneousPower}W / ${reference.maxInstantaneousPower}W`;
+    
+    if (nerdsSplitChart) {
+      const maxPower = Math.max(...split.hourlyPower, ...reference.hourlyPower, 1);
+      
+      nerdsSplitChart.innerHTML = split.hourlyPower.map((power, hour) => {
+        const height = Math.max(1, (power / maxPower) * 100);
+        const referenceHeight = (reference.hourlyPower[hour] / maxPower) * 100;
+        const tooltip = `${hour}:00: split ${power} W, single array ${reference.hourlyPower[hour]} W`;
+        
+        return `
+          <div class="monthly-bar" title="${tooltip}">
+            <div class="monthly-bar-track">
+              <div class="monthly-bar-fill" style="height: ${height}%"></div>
+              <div class="hourly-bar-reference" style="bottom: ${referenceHeight}%"></div>
+            </div>
+            <span class="monthly-bar-label">${hour % 6 === 0 ? hour : ''}</span>
+          </div>
+        `;
+      }).join('');
+    }
+    
+    if (nerdsSplitSummary) {
+      const avoidedClippingKwh = reference.clippingKwh - split.clippingKwh;
+      nerdsSplitSummary.textContent = `AC output per hour on a summer day (bars: split layout, lines: single ${referenceDirection}-facing array). ` +
+        `The split layout avoids ${Math.max(0, avoidedClippingKwh)} kWh of clipping per year.`;
     }
+    
+    nerdsSplitSection.classList.remove('hidden');
   }
 
   populateSeasonalData(seasonalData) {
@@ -294,7 +869,7 @@ export class UIController {
       // Enable calculate button if we have a panel line with valid configuration
       const calculateBtn = this.elements.calculateSolarBtn;
       if (this.app.panelController.panelLine?.panelConfig && calculateBtn) {
-        const config = this.app.panelController.panelLine.panelConfig;
+        const config = this.app.panelController.getSystemConfig();
         
         // Only enable if we have at least one panel
         if (config.panelCount > 0) {
@@ -354,47 +929,484 @@ export class UIController {
     setTimeout(() => notificationDiv.remove(), duration);
   }
 
+  /**
+   * Put the analysis into the address bar and copy the link
+   */
+  async shareProject() {
+    if (!this.app.selectedLocation || this.app.panelController.panelLines.length === 0) {
+      this.showError('Please select a location and draw a panel line first.');
+      return;
+    }
+
+    try {
+      const url = await this.app.projectLink.createUrl();
+      history.replaceState(null, '', url);
+      await navigator.clipboard.writeText(url);
+      this.showSuccess('Project link copied to the clipboard');
+    } catch (error) {
+      console.error('Sharing the project failed:', error);
+      this.showError('Could not copy the link; copy it from the address bar instead.');
+    }
+  }
+
   resetAnalysis() {
     this.app.locationController.clearMarkers();
     this.app.panelController.clearPanelLine();
+    this.app.shadingController.clearObstacles();
     this.app.mapOverlay.clearOverlays();
     this.app.selectedLocation = null;
     this.app.currentSolarData = null;
     this.currentGermanOutput = null;
+    this.currentSelfConsumption = null;
+    this.currentBatteryResult = null;
+    this.currentInvestment = null;
+    this.app.projectController.clearCurrentProject();
     this.showStep(1);
     
+    // A shared project in the address bar would come back on reload
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    
     if (this.elements.addressSearchInput) this.elements.addressSearchInput.value = '';
     if (this.elements.selectedLocationDiv) this.elements.selectedLocationDiv.classList.add('hidden');
     if (this.elements.nextStep1Btn) this.elements.nextStep1Btn.classList.add('hidden');
     
-    // Keep electricity price setting - don't reset it
+    // Keep electricity price and consumption settings - don't reset them
+  }
+
+  updateSelfConsumption() {
+    if (!this.currentGermanOutput) return;
+
+    const annualConsumption = parseFloat(this.elements.annualConsumptionInput?.value);
+    if (!this.customLoadProfile && !(annualConsumption > 0)) return; // Keep the last valid result while typing
+
+    this.currentSelfConsumption = this.app.selfConsumptionCalculator.analyze(
+      this.currentGermanOutput,
+      annualConsumption,
+      this.customLoadProfile?.hourlyLoadWh
+    );
+    const selfConsumption = this.currentSelfConsumption;
+    if (!selfConsumption) return;
+
+    const { nerdsSelfConsumed, nerdsGridExport, nerdsSelfConsumptionRate, nerdsAutarkyRate } = this.elements;
+    if (nerdsSelfConsumed) nerdsSelfConsumed.textContent = `${selfConsumption.selfConsumedKwh} kWh/year`;
+    if (nerdsGridExport) nerdsGridExport.textContent = `${selfConsumption.gridExportKwh} kWh/year`;
+    if (nerdsSelfConsumptionRate) nerdsSelfConsumptionRate.textContent = `${selfConsumption.selfConsumptionRate.toFixed(1)}%`;
+    if (nerdsAutarkyRate) nerdsAutarkyRate.textContent = `${selfConsumption.autarkyRate.toFixed(1)}%`;
+    
+    // The battery works against the same load profile
+    this.updateBatteryAnalysis();
+  }
+
+  getBatteryConfig() {
+    const { batteryCapacityInput, batteryPowerInput, batteryEfficiencyInput, batteryMinSocInput } = this.elements;
+    const capacityKwh = parseFloat(batteryCapacityInput?.value);
+    const powerW = parseFloat(batteryPowerInput?.value);
+    const efficiencyPercent = parseFloat(batteryEfficiencyInput?.value);
+    const minSocPercent = parseFloat(batteryMinSocInput?.value);
+    
+    if (!(capacityKwh > 0) || !(powerW > 0) || !(efficiencyPercent > 0) || isNaN(minSocPercent)) {
+      return null;
+    }
+    
+    return {
+      capacityWh: capacityKwh * 1000,
+      maxChargePowerW: powerW,
+      maxDischargePowerW: powerW,
+      roundTripEfficiency: Math.min(efficiencyPercent, 100) / 100,
+      minStateOfCharge: Math.min(Math.max(minSocPercent, 0), 90) / 100
+    };
+  }
+
+  updateBatteryAnalysis() {
+    if (!this.currentGermanOutput?.annualSimulation || !this.currentSelfConsumption) return;
+    
+    const batteryConfig = this.getBatteryConfig();
+    if (!batteryConfig) return; // Keep the last valid result while typing
+    
+    this.currentBatteryResult = this.app.solarCalculator.simulateBattery(
+      this.currentGermanOutput.annualSimulation,
+      this.currentSelfConsumption.hourlyLoadWh,
+      batteryConfig,
+      this.getTariff(),
+      this.getExportCompensation()
+    );
+    
+    const battery = this.currentBatteryResult;
+    const batteryCost = parseFloat(this.elements.batteryCostInput?.value) || 0;
+    const addedSavings = battery.addedSavings;
+    const paybackYears = addedSavings > 0 ? batteryCost / addedSavings : Infinity;
+    
+    const {
+      nerdsBatteryExtraSelfConsumption, nerdsBatteryReducedClipping,
+      nerdsBatteryAddedSavings, nerdsBatteryPayback, nerdsBatteryCycles
+    } = this.elements;
+    
+    if (nerdsBatteryExtraSelfConsumption) {
+      nerdsBatteryExtraSelfConsumption.textContent = `+${battery.extraSelfConsumptionKwh.toFixed(0)} kWh/year`;
+      nerdsBatteryExtraSelfConsumption.title = `${battery.selfConsumedWithoutBatteryKwh.toFixed(0)} → ${battery.selfConsumedKwh.toFixed(0)} kWh/year self-consumed`;
+    }
+    if (nerdsBatteryReducedClipping) {
+      nerdsBatteryReducedClipping.textContent = `${battery.reducedClippingKwh.toFixed(0)} kWh/year`;
+      nerdsBatteryReducedClipping.title = `Clipping: ${battery.clippingWithoutBatteryKwh.toFixed(0)} → ${battery.clippingKwh.toFixed(0)} kWh/year`;
+    }
+    if (nerdsBatteryAddedSavings) nerdsBatteryAddedSavings.textContent = `€${Math.round(addedSavings)}/year`;
+    if (nerdsBatteryPayback) {
+      nerdsBatteryPayback.textContent = paybackYears <= 30 ? `${paybackYears.toFixed(1)} years` : 'More than 30 years';
+      nerdsBatteryPayback.className = paybackYears <= 10 ? 'compliance-good' : (paybackYears <= 15 ? 'compliance-warning' : 'compliance-error');
+    }
+    if (nerdsBatteryCycles) nerdsBatteryCycles.textContent = `${battery.equivalentFullCycles}`;
+  }
+
+  async importLoadProfile(file) {
+    try {
+      const result = await this.app.loadProfileImporter.importFile(file);
+      this.customLoadProfile = { ...result, fileName: file.name };
+      this.showLoadProfileStatus();
+      this.updateSelfConsumption();
+      this.updateEconomicsCalculations();
+      this.showSuccess(`Imported ${result.report.annualConsumptionKwh} kWh/year from ${file.name}`);
+    } catch (error) {
+      console.error('Load profile import failed:', error);
+      this.showError(`Import failed: ${error.message}`);
+    } finally {
+      // Allow re-importing the same file
+      if (this.elements.loadProfileFileInput) this.elements.loadProfileFileInput.value = '';
+    }
+  }
+
+  clearCustomLoadProfile() {
+    this.customLoadProfile = null;
+    this.showLoadProfileStatus();
+    this.updateSelfConsumption();
+    this.updateEconomicsCalculations();
+  }
+
+  showLoadProfileStatus() {
+    const { nerdsLoadProfileSource, resetLoadProfileBtn, loadProfileWarnings, annualConsumptionInput } = this.elements;
+    const profile = this.customLoadProfile;
+
+    if (nerdsLoadProfileSource) {
+      nerdsLoadProfileSource.textContent = profile
+        ? `${profile.fileName} (${profile.report.annualConsumptionKwh} kWh, ${profile.report.intervalMinutes}-min data)`
+        : 'Standard (H0)';
+    }
+    resetLoadProfileBtn?.classList.toggle('hidden', !profile);
+
+    // The imported data defines the consumption, so the manual input doesn't apply
+    if (annualConsumptionInput) {
+      annualConsumptionInput.disabled = !!profile;
+      if (profile) annualConsumptionInput.value = profile.report.annualConsumptionKwh;
+    }
+
+    if (loadProfileWarnings) {
+      const warnings = profile?.report.warnings || [];
+      loadProfileWarnings.innerHTML = warnings.map(warning => `<li>${warning}</li>`).join('');
+      loadProfileWarnings.classList.toggle('hidden', warnings.length === 0);
+    }
+  }
+
+  async importWeatherData(file) {
+    try {
+      const { weatherData, report } = await this.app.tmyImporter.importFile(file, this.app.selectedLocation);
+      this.app.solarCalculator.setWeatherSource(weatherData);
+      this.weatherReport = report;
+      this.showWeatherDataStatus();
+      this.showSuccess(`Imported ${report.annualGhiKwh} kWh/m² per year from ${file.name}`);
+    } catch (error) {
+      console.error('Weather file import failed:', error);
+      this.showError(`Import failed: ${error.message}`);
+    } finally {
+      // Allow re-importing the same file
+      if (this.elements.tmyFileInput) this.elements.tmyFileInput.value = '';
+    }
+  }
+
+  clearWeatherData() {
+    this.app.solarCalculator.setWeatherSource(null);
+    this.weatherReport = null;
+    this.showWeatherDataStatus();
+  }
+
+  showWeatherDataStatus() {
+    const { tmyStatus, resetTmyBtn, tmyWarnings } = this.elements;
+    const weatherData = this.app.solarCalculator.weatherSource;
+    const report = this.weatherReport;
+
+    if (tmyStatus) {
+      tmyStatus.textContent = weatherData
+        ? `${weatherData.name}: ${report.annualGhiKwh} kWh/m² GHI, ${report.meanTemperature} °C mean`
+        : 'Built-in weather model';
+    }
+    resetTmyBtn?.classList.toggle('hidden', !weatherData);
+
+    if (tmyWarnings) {
+      const warnings = report?.warnings || [];
+      tmyWarnings.innerHTML = warnings.map(warning => `<li>${warning}</li>`).join('');
+      tmyWarnings.classList.toggle('hidden', warnings.length === 0);
+    }
   }
 
   updateEconomicsCalculations() {
     if (!this.currentGermanOutput) return;
 
-    const electricityPrice = parseFloat(this.elements.electricityPriceInput?.value || 0.32);
     const germanOutput = this.currentGermanOutput;
     
-    // Calculate economics based on current electricity price
-    const annualSavings = Math.round(germanOutput.annualEnergyProduction * electricityPrice);
-    const lifetimeSavings = Math.round(germanOutput.annualEnergyProduction * electricityPrice * 20);
+    // Self-consumed hours are valued at the tariff price of that hour,
+    // the hourly surplus at the export compensation (nothing by default)
+    const savings = this.app.selfConsumptionCalculator.calculateSavings(
+      germanOutput.annualSimulation.hourlyProductionWh,
+      this.currentSelfConsumption?.hourlyLoadWh || null,
+      this.getTariff(),
+      this.getExportCompensation()
+    );
+    
+    const selfConsumptionSavings = Math.round(savings.savings);
+    const exportIncome = Math.round(savings.exportIncome);
+    const annualSavings = selfConsumptionSavings + exportIncome;
     const co2Saved = Math.round(germanOutput.annualEnergyProduction * 0.4); // 0.4 kg CO2/kWh for German grid
     
+    const investment = this.app.economicsCalculator.calculateInvestment({
+      annualSavings: savings.savings,
+      annualExportIncome: savings.exportIncome,
+      annualProductionKwh: germanOutput.annualEnergyProduction,
+      ...this.getInvestmentConfig()
+    });
+    this.currentInvestment = investment;
+    this.currentAnnualSavings = annualSavings;
+    
     // Update UI elements
     if (this.elements.nerdsAnnualSavings) {
       this.elements.nerdsAnnualSavings.textContent = `€${annualSavings}/year`;
     }
+    if (this.elements.nerdsSelfConsumptionSavings) {
+      this.elements.nerdsSelfConsumptionSavings.textContent = `€${selfConsumptionSavings}/year`;
+    }
+    if (this.elements.nerdsExportIncome) {
+      this.elements.nerdsExportIncome.textContent = `€${exportIncome}/year`;
+    }
+    if (this.elements.nerdsAverageSavedPrice) {
+      this.elements.nerdsAverageSavedPrice.textContent = `€${savings.averagePrice.toFixed(3)}/kWh`;
+    }
+    if (this.elements.nerdsLifetimeSavingsLabel) {
+      this.elements.nerdsLifetimeSavingsLabel.textContent = `${investment.lifetimeYears}-Year Savings`;
+    }
     if (this.elements.nerdsLifetimeSavings) {
-      this.elements.nerdsLifetimeSavings.textContent = `€${lifetimeSavings}`;
+      this.elements.nerdsLifetimeSavings.textContent = `€${Math.round(investment.totalSavings)}`;
     }
     if (this.elements.nerdsCo2Reduction) {
       this.elements.nerdsCo2Reduction.textContent = `${co2Saved} kg/year`;
     }
     
+    this.renderInvestmentAnalysis(investment);
+    
     // Also update standard view
     if (this.elements.standardAnnualSavings) {
       this.elements.standardAnnualSavings.textContent = `€${annualSavings}`;
     }
+    if (this.elements.standardSavingsSplit) {
+      this.elements.standardSavingsSplit.textContent =
+        `€${selfConsumptionSavings} savings from self-consumption + €${exportIncome} income from export`;
+    }
+  }
+
+  /**
+   * Build the electricity tariff from the economics inputs
+   * A dynamic tariff without imported prices falls back to the flat price
+   */
+  getTariff() {
+    const readNumber = (input, fallback) => {
+      const value = parseFloat(input?.value);
+      return isNaN(value) ? fallback : value;
+    };
+    const readHour = (input, fallback) => Math.min(23, Math.max(0, Math.round(readNumber(input, fallback))));
+
+    return new ElectricityTariff({
+      type: this.elements.tariffTypeSelect?.value || 'flat',
+      price: readNumber(this.elements.electricityPriceInput, 0.32),
+      lowPrice: readNumber(this.elements.lowPriceInput, 0.25),
+      lowStartHour: readHour(this.elements.lowStartHourInput, 22),
+      lowEndHour: readHour(this.elements.lowEndHourInput, 6),
+      lowRateOnWeekends: !!this.elements.lowRateWeekendsInput?.checked,
+      hourlyPrices: this.tariffPrices?.hourlyPrices || null,
+      surcharge: readNumber(this.elements.priceSurchargeInput, 0)
+    });
+  }
+
+  /**
+   * Build the export compensation from the economics inputs
+   * The market value follows the imported hourly prices when there are any
+   */
+  getExportCompensation() {
+    const readNumber = (input, fallback) => {
+      const value = parseFloat(input?.value);
+      return isNaN(value) ? fallback : value;
+    };
+
+    return new ExportCompensation({
+      type: this.elements.exportCompensationSelect?.value || 'none',
+      rate: Math.max(0, readNumber(this.elements.feedInTariffInput, 0)),
+      marketValue: Math.max(0, readNumber(this.elements.marketValueInput, 0)),
+      hourlyPrices: this.tariffPrices?.hourlyPrices || null
+    });
+  }
+
+  showExportCompensationControls() {
+    const type = this.elements.exportCompensationSelect?.value || 'none';
+    document.querySelectorAll('.export-fixed').forEach(element => element.classList.toggle('hidden', type !== 'fixed'));
+    document.querySelectorAll('.export-market').forEach(element => element.classList.toggle('hidden', type !== 'market'));
+  }
+
+  /**
+   * Show the inputs of the selected tariff type
+   */
+  showTariffControls() {
+    const { tariffTypeSelect, tariffTimeOfUseGroup, tariffImportGroup, electricityPriceLabel } = this.elements;
+    const type = tariffTypeSelect?.value || 'flat';
+
+    tariffTimeOfUseGroup?.classList.toggle('hidden', type !== 'timeOfUse');
+    tariffImportGroup?.classList.toggle('hidden', type !== 'hourly');
+    if (electricityPriceLabel) {
+      electricityPriceLabel.textContent = {
+        flat: 'Electricity Price (€/kWh)',
+        timeOfUse: 'Day Rate (€/kWh)',
+        hourly: 'Fallback Price (€/kWh)'
+      }[type];
+    }
+  }
+
+  async importTariffPrices(file) {
+    try {
+      const result = await this.app.priceSeriesImporter.importFile(file);
+      this.tariffPrices = { ...result, fileName: file.name };
+      this.showTariffStatus();
+      this.updateEconomicsCalculations();
+      this.updateBatteryAnalysis();
+      this.showSuccess(`Imported prices for ${result.report.coveredHours} hours from ${file.name}`);
+    } catch (error) {
+      console.error('Price import failed:', error);
+      this.showError(`Import failed: ${error.message}`);
+    } finally {
+      // Allow re-importing the same file
+      if (this.elements.tariffFileInput) this.elements.tariffFileInput.value = '';
+    }
+  }
+
+  showTariffStatus() {
+    const { tariffStatus, tariffWarnings } = this.elements;
+    const prices = this.tariffPrices;
+
+    if (tariffStatus) {
+      tariffStatus.textContent = prices
+        ? `${prices.fileName}: €${prices.report.averagePrice}/kWh average (€${prices.report.minPrice} to €${prices.report.maxPrice}) before surcharge`
+        : 'No prices imported; the flat price is used';
+    }
+
+    if (tariffWarnings) {
+      const warnings = prices?.report.warnings || [];
+      tariffWarnings.innerHTML = warnings.map(warning => `<li>${warning}</li>`).join('');
+      tariffWarnings.classList.toggle('hidden', warnings.length === 0);
+    }
+  }
+
+  /**
+   * Read the investment inputs from the economics section
+   * Percent inputs are converted to fractions for the EconomicsCalculator
+   */
+  getInvestmentConfig() {
+    const defaults = this.app.economicsCalculator.defaults;
+    const readNumber = (input, fallback) => {
+      const value = parseFloat(input?.value);
+      return isNaN(value) ? fallback : value;
+    };
+
+    return {
+      systemCost: {
+        panels: Math.max(0, readNumber(this.elements.costPanelsInput, defaults.panelCost)),
+        inverter: Math.max(0, readNumber(this.elements.costInverterInput, defaults.inverterCost)),
+        mounting: Math.max(0, readNumber(this.elements.costMountingInput, defaults.mountingCost))
+      },
+      firstYearDegradation: readNumber(this.elements.firstYearDegradationInput, defaults.firstYearDegradation * 100) / 100,
+      annualDegradation: readNumber(this.elements.annualDegradationInput, defaults.annualDegradation * 100) / 100,
+      priceInflation: readNumber(this.elements.priceInflationInput, defaults.priceInflation * 100) / 100,
+      discountRate: readNumber(this.elements.discountRateInput, defaults.discountRate * 100) / 100,
+      lifetimeYears: Math.min(40, Math.max(1, Math.round(readNumber(this.elements.lifetimeYearsInput, defaults.lifetimeYears))))
+    };
+  }
+
+  /**
+   * Show payback, ROI, NPV, the production forecast chart and the year-by-year table
+   */
+  renderInvestmentAnalysis(investment) {
+    const { nerdsTotalInvestment, nerdsPaybackYear, nerdsRoi, nerdsNpv, nerdsCashflowTable } = this.elements;
+
+    if (nerdsTotalInvestment) {
+      nerdsTotalInvestment.textContent = `€${Math.round(investment.totalCost)}`;
+    }
+    if (nerdsPaybackYear) {
+      nerdsPaybackYear.textContent = investment.paybackYear !== null
+        ? `${investment.paybackYear.toFixed(1)} years`
+        : `> ${investment.lifetimeYears} years`;
+    }
+    if (nerdsRoi) {
+      nerdsRoi.textContent = investment.roi !== null ? `${Math.round(investment.roi)}%` : '--';
+    }
+    if (nerdsNpv) {
+      nerdsNpv.textContent = `€${Math.round(investment.npv)}`;
+    }
+
+    if (nerdsCashflowTable) {
+      nerdsCashflowTable.innerHTML = investment.years.map(year => `
+        <tr class="${year.cumulativeCashFlow >= 0 ? 'positive' : 'negative'}">
+          <td>${year.year}</td>
+          <td>${(year.productionFactor * 100).toFixed(1)}%</td>
+          <td>${Math.round(year.productionKwh)} kWh</td>
+          <td>€${Math.round(year.savings)}</td>
+          <td>€${Math.round(year.discountedSavings)}</td>
+          <td>€${Math.round(year.cumulativeCashFlow)}</td>
+        </tr>
+      `).join('');
+    }
+
+    this.renderForecastChart(investment);
+
+    console.log('Investment analysis:', {
+      totalCost: investment.totalCost,
+      paybackYear: investment.paybackYear,
+      roi: investment.roi,
+      npv: investment.npv
+    });
+  }
+
+  /**
+   * Production per year of the forecast; years after the payback are highlighted
+   */
+  renderForecastChart(investment) {
+    const { nerdsForecastChart, nerdsForecastSummary } = this.elements;
+    if (!nerdsForecastChart) return;
+
+    const maxProduction = Math.max(...investment.years.map(year => year.productionKwh), 0.1);
+
+    nerdsForecastChart.style.gridTemplateColumns = `repeat(${investment.years.length}, 1fr)`;
+    nerdsForecastChart.innerHTML = investment.years.map(year => {
+      const height = Math.max(1, (year.productionKwh / maxProduction) * 100);
+      const tooltip = `Year ${year.year}: ${Math.round(year.productionKwh)} kWh (${(year.productionFactor * 100).toFixed(1)}%), ` +
+        `savings €${Math.round(year.savings)}, cumulative €${Math.round(year.cumulativeCashFlow)}`;
+
+      return `
+        <div class="monthly-bar" title="${tooltip}">
+          <div class="monthly-bar-track">
+            <div class="monthly-bar-fill${year.cumulativeCashFlow >= 0 ? ' paid-back' : ''}" style="height: ${height}%"></div>
+          </div>
+          <span class="monthly-bar-label">${year.year === 1 || year.year % 5 === 0 ? year.year : ''}</span>
+        </div>
+      `;
+    }).join('');
+
+    if (nerdsForecastSummary) {
+      const lastYear = investment.years[investment.years.length - 1];
+      nerdsForecastSummary.textContent = `kWh per year (green: investment paid back). ` +
+        `Year ${lastYear.year}: ${Math.round(lastYear.productionKwh)} kWh, ${(lastYear.productionFactor * 100).toFixed(1)}% of new panels; ` +
+        `${Math.round(investment.totalProductionKwh).toLocaleString()} kWh over ${investment.lifetimeYears} years.`;
+    }
   }
 }
@@ -24,3 +24,92 @@ export function getAzimuthDirection(azimuth) {
   const direction = directions.find(d => normalizedAzimuth >= d.min && normalizedAzimuth < d.max);
   return direction ? direction.name : 'Unknown';
 }
+
+/**
+ * Number of days per month in the (non-leap) simulation year.
+ */
+export const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Short month names, indexed 0 (January) to 11 (December).
+ */
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Converts a day of the year to its month index.
+ * @param {number} dayOfYear - The day of the year (1-365).
+ * @returns {number} The month index (0 = January, 11 = December).
+ */
+export function getMonthIndex(dayOfYear) {
+  let remainingDays = dayOfYear;
+  for (let month = 0; month < DAYS_IN_MONTH.length; month++) {
+    if (remainingDays <= DAYS_IN_MONTH[month]) return month;
+    remainingDays -= DAYS_IN_MONTH[month];
+  }
+  return DAYS_IN_MONTH.length - 1;
+}
+
+/**
+ * Escapes text for insertion into HTML markup.
+ * @param {string} text - User-provided text, e.g. a project name.
+ * @returns {string} The text with HTML special characters escaped.
+ */
+export function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Reads a number from untrusted data, e.g. a project link, and clamps it to a range.
+ * @param {*} value - The value to check.
+ * @param {number} min - The lower limit.
+ * @param {number} max - The upper limit.
+ * @returns {number} The value, clamped to [min, max].
+ * @throws {Error} If the value is not a finite number.
+ */
+export function readNumber(value, min, max) {
+  if (!Number.isFinite(value)) {
+    throw new Error(`Expected a number, got ${JSON.stringify(value)}`);
+  }
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Reads a number from untrusted data and clamps it to the min/max of the form input it belongs to.
+ * @param {*} value - The value to check.
+ * @param {string} inputId - Id of the input whose limits apply.
+ * @returns {number} The value, clamped to the input's limits.
+ * @throws {Error} If the value is not a finite number.
+ */
+export function readInputNumber(value, inputId) {
+  const input = document.getElementById(inputId);
+  return readNumber(value, parseFloat(input.min), parseFloat(input.max));
+}
+
+/**
+ * Reads a key from untrusted data, allowing only known values.
+ * @param {*} value - The value to check.
+ * @param {Array} allowed - The known values.
+ * @returns {*} The value.
+ * @throws {Error} If the value is not one of the known values.
+ */
+export function readKey(value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new Error(`Unknown value ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Reads a map position from untrusted data.
+ * @param {*} point - The position to check.
+ * @returns {{lat: number, lng: number}} The position.
+ * @throws {Error} If the position has no valid coordinates.
+ */
+export function readLatLng(point) {
+  return {
+    lat: readNumber(point?.lat, -90, 90),
+    lng: readNumber(point?.lng, -180, 180)
+  };
+}
@@ -1,10 +1,13 @@
 // Solar API Service for integrating with Google Solar API
 // Documentation: https://developers.google.com/maps/documentation/solar
 
+import { parseGeoTiff, sampleRaster, getPointsAlongPaths } from './modules/geoTiffLayer.js';
+import { DAYS_IN_MONTH } from './modules/utils.js';
+
 export class SolarAPIService {
-  constructor(apiKey) {
+  constructor(apiKey, baseUrl = 'https://solar.googleapis.com/v1') {
     this.apiKey = apiKey;
-    this.baseUrl = 'https://solar.googleapis.com/v1';
+    this.baseUrl = baseUrl; // Point to the local mock server (npm run mock:solar) for offline testing
   }
 
   /**
@@ -65,6 +68,130 @@ export class SolarAPIService {
     }
   }
 
+  /**
+   * Download and parse a data layer GeoTIFF
+   * @param {string} url - Layer URL from getDataLayers (e.g. annualFluxUrl)
+   * @returns {Promise<Object>} Parsed raster (see parseGeoTiff)
+   */
+  async getGeoTiff(url) {
+    try {
+      const response = await fetch(`${url}${url.includes('?') ? '&' : '?'}key=${this.apiKey}`);
+      
+      if (!response.ok) {
+        throw new Error(`Solar API error: ${response.status} ${response.statusText}`);
+      }
+      
+      return await parseGeoTiff(await response.arrayBuffer());
+    } catch (error) {
+      console.error('Failed to fetch GeoTIFF:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sample the flux and shade layers along the drawn panel lines
+   * @param {number} lat - Latitude of the selected location
+   * @param {number} lng - Longitude of the selected location
+   * @param {Array<Array<{lat: number, lng: number}>>} paths - Panel mounting lines
+   * @returns {Promise<Object|null>} Local flux statistics, or null if no pixel along the lines has data
+   */
+  async getLocalFlux(lat, lng, paths) {
+    const samplePoints = getPointsAlongPaths(paths);
+    
+    // The layers must cover every point of the lines (plus a margin for the pixel size)
+    const cosLat = Math.cos(lat * Math.PI / 180);
+    const maxDistance = Math.max(...samplePoints.map(point => Math.hypot(
+      (point.lat - lat) * 110540,
+      (point.lng - lng) * 111320 * cosLat
+    )));
+    const radiusMeters = Math.min(100, Math.max(20, Math.ceil(maxDistance + 10)));
+    
+    const dataLayers = await this.getDataLayers(lat, lng, radiusMeters, 'FULL_LAYERS');
+    const fluxRaster = await this.getGeoTiff(dataLayers.annualFluxUrl);
+    
+    const fluxValues = samplePoints
+      .map(point => sampleRaster(fluxRaster, point.lat, point.lng))
+      .filter(value => value !== null);
+    
+    if (fluxValues.length === 0) return null;
+    
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    
+    // Seasonal and hourly layers are optional; the annual flux alone is still useful without them
+    const [monthlyFluxKwhPerKw, hourlySunFraction] = await Promise.all([
+      this.getMonthlyFlux(dataLayers.monthlyFluxUrl, samplePoints).catch(error => {
+        console.warn('Failed to sample monthly flux layer:', error);
+        return null;
+      }),
+      this.getHourlySunFraction(dataLayers.hourlyShadeUrls, samplePoints).catch(error => {
+        console.warn('Failed to sample hourly shade layers:', error);
+        return null;
+      })
+    ]);
+    
+    return {
+      annualFluxKwhPerKw: average(fluxValues), // kWh per kW of panels per year at the lines
+      monthlyFluxKwhPerKw, // 12 values (January first), or null without a monthly flux layer
+      hourlySunFraction // [month][hour] share of days the sun is visible, or null without shade layers
+    };
+  }
+
+  /**
+   * Average monthly flux along the lines from the 12-band monthly flux layer
+   * @returns {Promise<Array<number>|null>} Flux per month, or null if the layer is missing or has no data
+   */
+  async getMonthlyFlux(url, samplePoints) {
+    if (!url) return null;
+    
+    const raster = await this.getGeoTiff(url);
+    if (raster.bands.length < 12) return null;
+    
+    const monthlyFlux = [];
+    for (let month = 0; month < 12; month++) {
+      const values = samplePoints
+        .map(point => sampleRaster(raster, point.lat, point.lng, month))
+        .filter(value => value !== null);
+      if (values.length === 0) return null;
+      monthlyFlux.push(values.reduce((sum, value) => sum + value, 0) / values.length);
+    }
+    
+    return monthlyFlux;
+  }
+
+  /**
+   * Share of days on which the lines see the sun, per month and hour, from the hourly shade layers
+   * Each of the 12 layers has 24 bands (one per hour); every pixel is a bitmask with bit n set
+   * when the sun is visible on day n + 1 of the month
+   * @returns {Promise<Array<Array<number>>|null>} 12 × 24 fractions (0-1), hours in local clock time
+   */
+  async getHourlySunFraction(urls, samplePoints) {
+    if (!urls || urls.length < 12) return null;
+    
+    const rasters = await Promise.all(urls.slice(0, 12).map(url => this.getGeoTiff(url)));
+    
+    const countBits = (value) => {
+      let count = 0;
+      for (let bits = value; bits; bits &= bits - 1) count++;
+      return count;
+    };
+    
+    const fractions = rasters.map((raster, month) => {
+      const dayMask = (2 ** DAYS_IN_MONTH[month]) - 1;
+      
+      return Array.from({ length: 24 }, (_, hour) => {
+        const values = samplePoints
+          .map(point => sampleRaster(raster, point.lat, point.lng, hour))
+          .filter(value => value !== null);
+        if (values.length === 0) return null;
+        
+        const visibleDays = values.reduce((sum, value) => sum + countBits(value & dayMask), 0);
+        return visibleDays / (values.length * DAYS_IN_MONTH[month]);
+      });
+    });
+    
+    return fractions.some(month => month.includes(null)) ? null : fractions;
+  }
+
   /**
    * Get solar potential for a specific area
    * @param {number} lat - Latitude
@@ -420,29 +547,43 @@ export class SolarAPIService {
    * Get solar data for a specific location (used by solarCalculator)
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
+   * @param {Array} panelPaths - Optional panel lines to sample the annual flux layer along
    * @returns {Promise<Object>} Solar data compatible with German calculations
    */
-  async getSolarData(lat, lng) {
-    try {
-      console.log('Getting solar data for German balcony solar calculations');
-      
-      // Try to get real data from Google Solar API
-      const buildingInsights = await this.getBuildingInsights(lat, lng);
-      
-      // Process and return data in format expected by German solar calculator
-      return this.formatSolarDataForGermanCalculations(buildingInsights);
-      
-    } catch (error) {
-      console.warn('Failed to get real solar data, using mock data:', error);
-      
-      // Return mock data that's compatible with German calculations
+  async getSolarData(lat, lng, panelPaths = null) {
+    console.log('Getting solar data for German balcony solar calculations');
+    
+    // The data layers usually cover points that have no building insights entry, so both are
+    // requested independently; local irradiance at the panel lines wins over the roof maximum
+    const [buildingInsights, localFlux] = await Promise.all([
+      this.getBuildingInsights(lat, lng).catch(error => {
+        console.warn('Failed to get building insights, using default roof values:', error);
+        return null;
+      }),
+      panelPaths?.length > 0
+        ? this.getLocalFlux(lat, lng, panelPaths).catch(error => {
+          console.warn('Failed to sample data layers:', error);
+          return null;
+        })
+        : null
+    ]);
+    
+    if (!buildingInsights && !localFlux) {
+      console.warn('No real solar data for this location, using mock data');
       return this.getMockSolarDataForGermanCalculations();
     }
+    
+    // Process and return data in format expected by German solar calculator
+    const solarData = this.formatSolarDataForGermanCalculations(buildingInsights);
+    solarData.localFlux = localFlux;
+    console.log('Local annual flux at panel lines:', localFlux);
+    
+    return solarData;
   }
 
   /**
    * Format solar data for German balcony solar calculations
-   * @param {Object} buildingInsights - Raw building insights from Solar API
+   * @param {Object|null} buildingInsights - Raw building insights from Solar API, or null for the defaults
    * @returns {Object} Formatted solar data
    */
   formatSolarDataForGermanCalculations(buildingInsights) {
@@ -483,10 +624,10 @@ export class SolarAPIService {
    * @returns {Object} Mock solar data
    */
   getMockSolarDataForGermanCalculations() {
-    // Realistic values for Central Europe / Germany
+    // No measured sunshine for this location; the emission factor is the German grid average
     return {
       solarPotential: {
-        maxSunshineHoursPerYear: Math.round(1500 + Math.random() * 300), // 1500-1800 hours
+        maxSunshineHoursPerYear: null, // Unknown: the calculator uses a weather file or regional averages
         carbonOffsetFactorKgPerMwh: 401 // German grid emission factor kg CO2/MWh
       },
       buildingInsights: null,